@@ -0,0 +1,23 @@
+const js = require('@eslint/js');
+const globals = require('globals');
+
+module.exports = [
+  {
+    ignores: ['node_modules/**', 'uploads/**', 'coverage/**']
+  },
+  js.configs.recommended,
+  {
+    files: ['**/*.js'],
+    languageOptions: {
+      ecmaVersion: 2022,
+      sourceType: 'commonjs',
+      globals: {
+        ...globals.node
+      }
+    },
+    rules: {
+      // Los argumentos (req, res, next) y errores capturados se nombran aunque no se usen
+      'no-unused-vars': ['error', { args: 'none', caughtErrors: 'none' }]
+    }
+  }
+];
@@ -1,19 +1,43 @@
+const path = require('path');
 const express = require('express');
 const swaggerUi = require('swagger-ui-express');
 const swaggerJsdoc = require('swagger-jsdoc');
 
 // ===== IMPORT CONFIGURATION =====
 const connectDB = require('./config/database');
-const { PORT, NODE_ENV, API_VERSION } = require('./config/constants');
+const {
+  PORT,
+  NODE_ENV,
+  API_VERSION,
+  RESERVATION_TTL_MINUTES,
+  MEDIA_STORAGE_DRIVERS,
+  MEDIA_STORAGE_DRIVER,
+  MEDIA_LOCAL_DIR,
+  MEDIA_PUBLIC_BASE_URL,
+  MAIL_TRANSPORT,
+  ACCOUNT_DELETION_GRACE_DAYS,
+  REALTIME_PUBSUB_DRIVER,
+  WEBHOOK_MAX_ATTEMPTS,
+  JOB_WORKER_CONCURRENCY,
+  OUTBOX_MAX_ATTEMPTS
+} = require('./config/constants');
+const RoleService = require('./services/roleService');
+const RealtimeService = require('./services/realtimeService');
+const JobQueueService = require('./services/jobQueueService');
+const DomainEventService = require('./services/domainEventService');
+const { getUnavailablePaymentMethods } = require('./services/payments');
 
 const {
   // Security
+  identifyApiKey,
   generalLimiter,
-  authLimiter,
   cors,
   helmet,
   securityHeaders,
   
+  // Audit trail
+  requestId,
+  
   // Response formatting
   autoFormatter,
   
@@ -24,19 +48,8 @@ const {
 
 const apiRoutes = require('./routes');
 
-const User = require('./models/User');
-const Category = require('./models/Category');
-const Product = require('./models/Product');
-const Cart = require('./models/Cart');
-const Wishlist = require('./models/Wishlist');
-const Order = require('./models/Order');
-const Shipment = require('./models/Shipment');
-const Review = require('./models/Review');
-const Comment = require('./models/Comment');
-const Reaction = require('./models/Reaction');
-const Post = require('./models/Post');
-const Follow = require('./models/Follow');
-const InventoryTransaction = require('./models/InventoryTransaction');
+// Registrar todos los modelos en Mongoose
+require('./models');
 
 const app = express();
 
@@ -75,6 +88,24 @@ const swaggerOptions = {
           scheme: 'bearer',
           bearerFormat: 'JWT',
           description: 'Ingresa tu JWT token'
+        },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'API key de integración (POST /api/api-keys). Se acepta en las rutas de catálogo, inventario, órdenes, envíos, pagos, devoluciones, promociones y precios según sus scopes'
+        },
+        cartToken: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-Cart-Token',
+          description: 'Token del carrito de invitado (también se acepta la cookie cart_token)'
+        },
+        orderToken: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-Order-Token',
+          description: 'Token de acceso de invitado a una orden (POST /api/orders/lookup)'
         }
       },
       schemas: {
@@ -156,13 +187,36 @@ const swaggerOptions = {
 
 const swaggerSpec = swaggerJsdoc(swaggerOptions);
 
+app.use(requestId); // X-Request-Id para correlacionar logs y auditoría
 app.use(helmet); // Security headers
 app.use(cors); // Cross-origin resource sharing
 app.use(securityHeaders); // Custom security headers
 
+// ===== ARCHIVOS SUBIDOS (ALMACENAMIENTO LOCAL) =====
+// Con S3 los archivos se sirven directamente desde el bucket. Va antes del
+// rate limiter para que cargar una galería no consuma el cupo de la API
+if (MEDIA_STORAGE_DRIVER === MEDIA_STORAGE_DRIVERS.LOCAL) {
+  app.use(MEDIA_PUBLIC_BASE_URL, express.static(path.resolve(MEDIA_LOCAL_DIR), {
+    immutable: true,
+    maxAge: '365d',
+    setHeaders: (res) => {
+      // Permitir que el storefront en otro origen muestre las imágenes
+      res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+    }
+  }));
+}
+
+// Las API keys válidas usan su propio límite por llave en lugar del general
+app.use(identifyApiKey);
 app.use(generalLimiter); // Apply to all routes
 
-app.use(express.json({ limit: '10mb' }));
+// Se conserva el cuerpo original para verificar firmas de webhooks
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // ===== RESPONSE FORMATTER =====
@@ -215,9 +269,12 @@ app.get('/health/detailed', (req, res) => {
     database: {
       status: 'Connected',
       models: [
-        'User', 'Category', 'Product', 'Cart', 'Wishlist', 
+        'User', 'Role', 'ApiKey', 'AuditLog', 'DataExport', 'Session', 'AuthToken', 'Category', 'Product', 'ProductVariant', 'ProductActivity', 'Cart', 'Wishlist', 
         'Order', 'Shipment', 'Review', 'Comment', 'Reaction', 
-        'Post', 'Follow', 'InventoryTransaction'
+        'Post', 'Follow', 'Notification', 'InventoryTransaction', 'Reservation',
+        'Payment', 'ReturnRequest', 'Promotion', 'PromotionRedemption',
+        'TaxRule', 'ShippingRate', 'Media', 'RealtimeEvent',
+        'WebhookSubscription', 'WebhookDelivery', 'Job', 'JobSchedule', 'OutboxEvent'
       ]
     }
   }, 'Estado detallado del sistema');
@@ -238,36 +295,51 @@ app.get('/', (req, res) => {
       // Core API
       api: '/api',
       
-      // E-Commerce Core (10 módulos)
+      // E-Commerce Core (20 módulos)
       auth: '/api/auth',
       users: '/api/users',
+      roles: '/api/roles',
+      apiKeys: '/api/api-keys',
+      webhooks: '/api/webhooks',
+      jobs: '/api/jobs',
+      events: '/api/events',
+      admin: '/api/admin',
       products: '/api/products',
       categories: '/api/categories',
       cart: '/api/cart',
       orders: '/api/orders',
+      payments: '/api/payments',
+      returns: '/api/returns',
+      promotions: '/api/promotions',
+      pricing: '/api/pricing',
       wishlist: '/api/wishlist',
       reviews: '/api/reviews',
       shipments: '/api/shipments',
       inventory: '/api/inventory',
       
-      // Social Media (4 módulos)
+      // Social Media (5 módulos)
       posts: '/api/posts',
       comments: '/api/comments',
       reactions: '/api/reactions',
-      follows: '/api/follows'
+      follows: '/api/follows',
+      notifications: '/api/notifications',
+
+      // Tiempo real (SSE)
+      realtime: '/api/realtime/stream'
     },
     modules: {
       ecommerce: [
-        'auth', 'users', 'products', 'categories', 
-        'cart', 'orders', 'wishlist', 'reviews', 
+        'auth', 'users', 'roles', 'api-keys', 'webhooks', 'jobs', 'events', 'admin', 'products',
+        'categories', 'cart', 'orders', 'payments', 'returns', 'promotions', 'pricing', 'wishlist', 'reviews',
         'shipments', 'inventory'
       ],
       social: [
-        'posts', 'comments', 'reactions', 'follows'
-      ]
+        'posts', 'comments', 'reactions', 'follows', 'notifications'
+      ],
+      realtime: ['realtime']
     },
     totalEndpoints: '~110 endpoints',
-    totalModules: 14
+    totalModules: 26
   }, 'Bienvenido a Destello Shop API - Backend Completo');
 });
 
@@ -280,8 +352,31 @@ app.use(globalErrorHandler);
 // ===== SERVER STARTUP =====
 const startServer = async () => {
   try {
+    // The sandbox payment provider is disabled in production and when
+    // SANDBOX_WEBHOOK_SECRET is not set; checkout with a method whose provider
+    // is missing answers 503 until one is configured
+    const unavailableMethods = getUnavailablePaymentMethods();
+    if (unavailableMethods.length > 0) {
+      console.warn(`⚠️  Métodos de pago sin proveedor disponible: ${unavailableMethods.join(', ')}`);
+    }
+
     // Connect to database
     await connectDB();
+
+    // Create built-in roles missing from the database (keeps edited permissions)
+    await RoleService.syncSystemRoles();
+
+    // Background jobs and cron schedules (order expiry, privacy sweeps,
+    // popularity, rating repair, webhook retries, cleanups); safe to run on
+    // every instance
+    await JobQueueService.start();
+
+    // Fan out realtime events (SSE) from this and the other API processes
+    await RealtimeService.start();
+
+    // Dispatch domain events from the outbox to subscribers and sinks
+    // (notifications, realtime, webhooks); starts after the services they use
+    DomainEventService.startDispatcher();
     
     // Start server
     const server = app.listen(PORT, () => {
@@ -295,29 +390,56 @@ const startServer = async () => {
       console.log('   ✅ CORS configurado');
       console.log('   ✅ Helmet (security headers)');
       console.log('   ✅ Rate limiting activo');
-      console.log('   ✅ JWT authentication listo');
+      console.log('   ✅ JWT authentication listo (sesiones con refresh tokens rotativos)');
+      console.log('   ✅ API keys para integraciones (X-API-Key)');
       console.log('   ✅ Validación con Joi');
       console.log('   ✅ Error handling global');
       console.log('   ✅ Response formatting');
+      console.log(`   ✅ Reservas de stock (expiran en ${RESERVATION_TTL_MINUTES} min)`);
+      console.log(`   ✅ Cola de trabajos en segundo plano (${JOB_WORKER_CONCURRENCY} simultáneos por instancia)`);
+      console.log(`   ✅ Archivos subidos (almacenamiento: ${MEDIA_STORAGE_DRIVER})`);
+      console.log(`   ✅ Correo saliente (transporte: ${MAIL_TRANSPORT})`);
+      console.log(`   ✅ Exportación de datos y eliminación de cuentas (gracia de ${ACCOUNT_DELETION_GRACE_DAYS} días)`);
+      console.log(`   ✅ Eventos en tiempo real por SSE (pub/sub: ${REALTIME_PUBSUB_DRIVER})`);
+      console.log(`   ✅ Webhooks salientes firmados (hasta ${WEBHOOK_MAX_ATTEMPTS} intentos)`);
+      console.log(`   ✅ Eventos de dominio con outbox transaccional (hasta ${OUTBOX_MAX_ATTEMPTS} intentos)`);
       console.log('\n📋 Modelos cargados:');
-      console.log('   👤 User, 📂 Category, 🛍️ Product');
+      console.log('   👤 User, 🛡️  Role, 🗝️  ApiKey, 📜 AuditLog, 📤 DataExport, 🔑 Session, AuthToken, 📂 Category, 🛍️ Product, ProductVariant, ProductActivity');
       console.log('   🛒 Cart, ❤️ Wishlist, 📦 Order');
       console.log('   🚚 Shipment, ⭐ Review, 💬 Comment');
-      console.log('   👍 Reaction, 📝 Post, 👥 Follow');
-      console.log('   📊 InventoryTransaction');
+      console.log('   👍 Reaction, 📝 Post, 👥 Follow, 🔔 Notification');
+      console.log('   📊 InventoryTransaction, ⏳ Reservation, 💳 Payment');
+      console.log('   ↩️  ReturnRequest, 🏷️  Promotion, PromotionRedemption');
+      console.log('   🧾 TaxRule, 🚚 ShippingRate, 🖼️  Media, 📡 RealtimeEvent');
+      console.log('   🪝 WebhookSubscription, WebhookDelivery, ⚙️  Job, JobSchedule, 📮 OutboxEvent');
       console.log('\n🛣️  Rutas configuradas:');
       console.log('   🔐 /api/auth - Autenticación');
       console.log('   👥 /api/users - Usuarios (Admin)');
+      console.log('   🛡️  /api/roles - Roles y permisos (Admin)');
+      console.log('   🗝️  /api/api-keys - API keys de integraciones (Admin)');
+      console.log('   🪝 /api/webhooks - Webhooks salientes (Admin)');
+      console.log('   ⚙️  /api/jobs - Trabajos en segundo plano (Admin)');
+      console.log('   📮 /api/events - Eventos de dominio (Admin)');
+      console.log('   🧾 /api/admin/audit-log - Registro de auditoría (Admin)');
       console.log('   🛍️  /api/products - Productos');
       console.log('   📂 /api/categories - Categorías');
       console.log('   🛒 /api/cart - Carrito');
       console.log('   📦 /api/orders - Órdenes');
+      console.log('   💳 /api/payments - Pagos y webhooks');
+      console.log('   ↩️  /api/returns - Devoluciones');
+      console.log('   🏷️  /api/promotions - Promociones (Admin)');
+      console.log('   🧾 /api/pricing - Impuestos y envíos (Admin)');
+      console.log('   🔔 /api/notifications - Centro de notificaciones');
+      console.log('   📡 /api/realtime/stream - Eventos en tiempo real (SSE)');
       console.log('\n💻 API lista para recibir requests! 🎯\n');
     });
 
     // Graceful shutdown
     process.on('SIGTERM', () => {
       console.log('🔄 SIGTERM received. Shutting down gracefully...');
+      JobQueueService.stop();
+      RealtimeService.stop();
+      DomainEventService.stopDispatcher();
       server.close(() => {
         console.log('✅ Server closed successfully');
         process.exit(0);
@@ -326,6 +448,9 @@ const startServer = async () => {
 
     process.on('SIGINT', () => {
       console.log('\n🔄 SIGINT received. Shutting down gracefully...');
+      JobQueueService.stop();
+      RealtimeService.stop();
+      DomainEventService.stopDispatcher();
       server.close(() => {
         console.log('✅ Server closed successfully');
         process.exit(0);
@@ -6,10 +6,336 @@ const NODE_ENV = process.env.NODE_ENV || 'development';
 const API_VERSION = '1.0.0';
 
 // ===== USER CONSTANTS =====
+// Roles incluidos; los administradores pueden crear otros en la colección Role
 const USER_ROLES = {
   CUSTOMER: 'customer',
   ADMIN: 'admin',
-  MODERATOR: 'moderator'
+  MODERATOR: 'moderator',
+  WAREHOUSE: 'warehouse',
+  SUPPORT: 'support'
+};
+
+// ===== PERMISSION CONSTANTS =====
+// Registro de permisos "recurso:acción" que se asignan a los roles
+const PERMISSIONS = {
+  USERS_READ: 'users:read',
+  USERS_MANAGE: 'users:manage',
+  USERS_SECURITY: 'users:security',
+  ROLES_MANAGE: 'roles:manage',
+  API_KEYS_MANAGE: 'api_keys:manage',
+  WEBHOOKS_MANAGE: 'webhooks:manage',
+  JOBS_MANAGE: 'jobs:manage',
+  EVENTS_MANAGE: 'events:manage',
+  AUDIT_READ: 'audit:read',
+  CATALOG_MANAGE: 'catalog:manage',
+  INVENTORY_READ: 'inventory:read',
+  INVENTORY_ADJUST: 'inventory:adjust',
+  ORDERS_READ: 'orders:read',
+  ORDERS_UPDATE_STATUS: 'orders:update_status',
+  SHIPMENTS_READ: 'shipments:read',
+  SHIPMENTS_MANAGE: 'shipments:manage',
+  PAYMENTS_MANAGE: 'payments:manage',
+  RETURNS_READ: 'returns:read',
+  RETURNS_RECEIVE: 'returns:receive',
+  RETURNS_MANAGE: 'returns:manage',
+  RETURNS_REFUND: 'returns:refund',
+  PROMOTIONS_MANAGE: 'promotions:manage',
+  PRICING_MANAGE: 'pricing:manage',
+  CONTENT_MODERATE: 'content:moderate',
+  REPORTS_VIEW: 'reports:view'
+};
+
+const PERMISSION_DESCRIPTIONS = {
+  [PERMISSIONS.USERS_READ]: 'Ver usuarios y sus datos de cuenta',
+  [PERMISSIONS.USERS_MANAGE]: 'Crear, editar, activar, desactivar y eliminar usuarios',
+  [PERMISSIONS.USERS_SECURITY]: 'Ver historiales de inicio de sesión y desbloquear cuentas',
+  [PERMISSIONS.ROLES_MANAGE]: 'Crear roles y editar sus permisos',
+  [PERMISSIONS.API_KEYS_MANAGE]: 'Emitir, rotar y revocar API keys de integraciones',
+  [PERMISSIONS.WEBHOOKS_MANAGE]: 'Gestionar suscripciones de webhooks salientes y reenviar entregas',
+  [PERMISSIONS.JOBS_MANAGE]: 'Ver, reintentar y cancelar trabajos en segundo plano y sus programaciones',
+  [PERMISSIONS.EVENTS_MANAGE]: 'Ver los eventos de dominio pendientes o fallidos y volver a despacharlos',
+  [PERMISSIONS.AUDIT_READ]: 'Consultar y exportar el registro de auditoría',
+  [PERMISSIONS.CATALOG_MANAGE]: 'Gestionar productos, variantes, categorías e imágenes',
+  [PERMISSIONS.INVENTORY_READ]: 'Ver movimientos, reportes y análisis de inventario',
+  [PERMISSIONS.INVENTORY_ADJUST]: 'Registrar y corregir movimientos de stock',
+  [PERMISSIONS.ORDERS_READ]: 'Ver todas las órdenes y sus pagos',
+  [PERMISSIONS.ORDERS_UPDATE_STATUS]: 'Cambiar el estado de las órdenes y cancelarlas',
+  [PERMISSIONS.SHIPMENTS_READ]: 'Ver todos los envíos',
+  [PERMISSIONS.SHIPMENTS_MANAGE]: 'Crear envíos, actualizarlos y registrar eventos de tracking',
+  [PERMISSIONS.PAYMENTS_MANAGE]: 'Capturar, anular y reembolsar pagos',
+  [PERMISSIONS.RETURNS_READ]: 'Ver todas las devoluciones',
+  [PERMISSIONS.RETURNS_RECEIVE]: 'Registrar la recepción de devoluciones en almacén',
+  [PERMISSIONS.RETURNS_MANAGE]: 'Aprobar y rechazar devoluciones',
+  [PERMISSIONS.RETURNS_REFUND]: 'Reembolsar devoluciones',
+  [PERMISSIONS.PROMOTIONS_MANAGE]: 'Gestionar promociones y cupones',
+  [PERMISSIONS.PRICING_MANAGE]: 'Gestionar reglas de impuestos y tarifas de envío',
+  [PERMISSIONS.CONTENT_MODERATE]: 'Eliminar posts, comentarios y reseñas de otros usuarios',
+  [PERMISSIONS.REPORTS_VIEW]: 'Ver estadísticas de ventas, catálogo y envíos'
+};
+
+// Comodín: todos los permisos (solo el rol admin, que no se puede editar)
+const PERMISSION_WILDCARD = '*';
+
+// Permisos iniciales de los roles incluidos. Se copian a la colección Role la
+// primera vez; después los administradores los editan desde /api/roles
+const DEFAULT_ROLE_PERMISSIONS = {
+  [USER_ROLES.CUSTOMER]: [],
+  [USER_ROLES.ADMIN]: [PERMISSION_WILDCARD],
+  [USER_ROLES.MODERATOR]: [
+    PERMISSIONS.CONTENT_MODERATE,
+    PERMISSIONS.USERS_READ
+  ],
+  [USER_ROLES.WAREHOUSE]: [
+    PERMISSIONS.INVENTORY_READ,
+    PERMISSIONS.INVENTORY_ADJUST,
+    PERMISSIONS.ORDERS_READ,
+    PERMISSIONS.ORDERS_UPDATE_STATUS,
+    PERMISSIONS.SHIPMENTS_READ,
+    PERMISSIONS.SHIPMENTS_MANAGE,
+    PERMISSIONS.RETURNS_READ,
+    PERMISSIONS.RETURNS_RECEIVE
+  ],
+  [USER_ROLES.SUPPORT]: [
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.USERS_SECURITY,
+    PERMISSIONS.ORDERS_READ,
+    PERMISSIONS.SHIPMENTS_READ,
+    PERMISSIONS.RETURNS_READ,
+    PERMISSIONS.RETURNS_MANAGE
+  ]
+};
+
+const DEFAULT_ROLE_NAMES = {
+  [USER_ROLES.CUSTOMER]: 'Cliente',
+  [USER_ROLES.ADMIN]: 'Administrador',
+  [USER_ROLES.MODERATOR]: 'Moderador',
+  [USER_ROLES.WAREHOUSE]: 'Personal de almacén',
+  [USER_ROLES.SUPPORT]: 'Agente de soporte'
+};
+
+// Nombres válidos para roles personalizados (se guardan en User.role)
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_-]{1,29}$/;
+
+// Segundos que se reutilizan los permisos de un rol antes de releerlos
+const ROLE_PERMISSIONS_CACHE_SECONDS = parseInt(process.env.ROLE_PERMISSIONS_CACHE_SECONDS) || 60;
+
+// ===== API KEY CONSTANTS =====
+// Formato de la llave: dsk_<prefijo>_<secreto>. El prefijo identifica la llave
+// y se guarda en claro; del secreto solo se guarda el hash
+const API_KEY_PREFIX = 'dsk';
+
+// Cómo se autenticó la petición (req.authMethod)
+const AUTH_METHODS = {
+  JWT: 'jwt',
+  API_KEY: 'api_key'
+};
+
+// Permisos que se pueden asignar como scopes: la administración de usuarios,
+// roles y llaves queda reservada a sesiones de personas
+const API_KEY_SCOPES = Object.values(PERMISSIONS).filter(permission => ![
+  PERMISSIONS.USERS_READ,
+  PERMISSIONS.USERS_MANAGE,
+  PERMISSIONS.USERS_SECURITY,
+  PERMISSIONS.ROLES_MANAGE,
+  PERMISSIONS.API_KEYS_MANAGE,
+  PERMISSIONS.WEBHOOKS_MANAGE,
+  PERMISSIONS.JOBS_MANAGE,
+  PERMISSIONS.EVENTS_MANAGE,
+  PERMISSIONS.AUDIT_READ
+].includes(permission));
+
+// Límite de peticiones por minuto de cada llave
+const API_KEY_DEFAULT_RATE_LIMIT = parseInt(process.env.API_KEY_DEFAULT_RATE_LIMIT) || 120;
+const API_KEY_MAX_RATE_LIMIT = 6000;
+
+// Horas que el secreto anterior sigue valiendo tras una rotación (para
+// actualizar la integración sin cortes)
+const API_KEY_ROTATION_GRACE_HOURS = 24;
+const API_KEY_MAX_ROTATION_GRACE_HOURS = 168;
+
+// lastUsedAt se escribe como mucho una vez por intervalo para no generar una
+// escritura por petición
+const API_KEY_LAST_USED_INTERVAL_SECONDS = 60;
+
+// ===== AUDIT LOG CONSTANTS =====
+// Campos que nunca se copian al registro: solo se indica que cambiaron
+const AUDIT_REDACTED_FIELDS = [
+  'passwordHash',
+  'twoFactor',
+  'loginSecurity',
+  'secretHash',
+  'previousSecretHash',
+  'secret'
+];
+
+// Campos que cambian en cada escritura y no aportan al diff
+const AUDIT_IGNORED_FIELDS = ['updatedAt', '__v'];
+
+// Filas máximas de una exportación CSV
+const AUDIT_LOG_EXPORT_MAX_ROWS = 10000;
+
+// ===== PRIVACY CONSTANTS =====
+// Exportación de datos personales (derecho de acceso / portabilidad)
+const DATA_EXPORT_FORMATS = {
+  JSON: 'json',
+  ZIP: 'zip'
+};
+
+const DATA_EXPORT_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  READY: 'ready',
+  FAILED: 'failed',
+  EXPIRED: 'expired'
+};
+
+// Backend privado donde se guardan los archivos: nunca se sirve como estático,
+// solo se descarga a través de la API autenticada
+const DATA_EXPORT_STORAGE_DRIVER = 'exports';
+const DATA_EXPORT_DIR = process.env.DATA_EXPORT_DIR || 'tmp/exports';
+const DATA_EXPORT_TTL_HOURS = parseInt(process.env.DATA_EXPORT_TTL_HOURS) || 72;
+// Tiempo mínimo entre dos solicitudes de exportación del mismo usuario
+const DATA_EXPORT_COOLDOWN_MINUTES = parseInt(process.env.DATA_EXPORT_COOLDOWN_MINUTES) || 60;
+// Una exportación que sigue en proceso después de esto se considera abandonada
+const DATA_EXPORT_STALE_MINUTES = 30;
+
+// Eliminación de cuenta (derecho de cancelación): se programa y se ejecuta al
+// terminar el periodo de gracia, durante el cual el usuario puede cancelarla
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+// Qué pasa con el contenido social del usuario al borrar la cuenta:
+//   remove     se elimina (con sus comentarios, reacciones y archivos)
+//   anonymize  se conserva atribuido al usuario anonimizado
+// Las órdenes y pagos siempre se conservan por obligaciones fiscales
+const ACCOUNT_DELETION_CONTENT_POLICY = {
+  posts: process.env.ACCOUNT_DELETION_POSTS_POLICY || 'remove',
+  comments: process.env.ACCOUNT_DELETION_COMMENTS_POLICY || 'anonymize',
+  reviews: process.env.ACCOUNT_DELETION_REVIEWS_POLICY || 'anonymize'
+};
+
+const ACCOUNT_DELETION_CONTENT_ACTIONS = {
+  REMOVE: 'remove',
+  ANONYMIZE: 'anonymize'
+};
+
+// Datos que reemplazan la información personal del usuario eliminado
+const DELETED_USER_FIRST_NAME = 'Usuario';
+const DELETED_USER_LAST_NAME = 'eliminado';
+// Dominio reservado (RFC 2606): el email anonimizado nunca recibe correo
+const DELETED_USER_EMAIL_DOMAIN = 'deleted.example.com';
+// Calle de las órdenes conservadas; ciudad, estado, CP y país se mantienen
+// porque determinan los impuestos cobrados
+const DELETED_USER_ADDRESS_STREET = 'Dirección eliminada';
+
+// ===== SESSION CONSTANTS =====
+// Tokens de acceso de vida corta; la sesión se mantiene con refresh tokens rotativos
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Hashes de refresh tokens ya rotados que se conservan para detectar reutilización
+const SESSION_ROTATED_TOKENS_KEPT = 100;
+
+const SESSION_REVOKE_REASONS = {
+  LOGOUT: 'logout',
+  REVOKED: 'revoked',
+  TOKEN_REUSE: 'token_reuse',
+  PASSWORD_CHANGED: 'password_changed',
+  PASSWORD_RESET: 'password_reset',
+  ACCOUNT_DELETED: 'account_deleted'
+};
+
+// ===== LOGIN SECURITY CONSTANTS =====
+// Contadores de fallos por cuenta: tras FREE_ATTEMPTS cada intento exige una
+// espera creciente (2s, 4s, 8s...) y al llegar a LOCKOUT_THRESHOLD la cuenta se
+// bloquea; cada bloqueo consecutivo dura el doble que el anterior
+const LOGIN_LOCKOUT = {
+  FREE_ATTEMPTS: parseInt(process.env.LOGIN_FREE_ATTEMPTS) || 3,
+  BACKOFF_BASE_SECONDS: 2,
+  MAX_BACKOFF_SECONDS: 60,
+  LOCKOUT_THRESHOLD: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10,
+  LOCKOUT_MINUTES: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+  MAX_LOCKOUT_MINUTES: 24 * 60,
+  // Los fallos más antiguos que esto ya no cuentan
+  FAILURE_WINDOW_MINUTES: 60
+};
+
+const LOGIN_METHODS = {
+  PASSWORD: 'password',
+  TWO_FACTOR: 'two_factor',
+  REGISTER: 'register'
+};
+
+const LOGIN_FAILURE_REASONS = {
+  UNKNOWN_EMAIL: 'unknown_email',
+  INVALID_PASSWORD: 'invalid_password',
+  INVALID_TWO_FACTOR_CODE: 'invalid_two_factor_code',
+  ACCOUNT_DEACTIVATED: 'account_deactivated',
+  ACCOUNT_LOCKED: 'account_locked',
+  THROTTLED: 'throttled'
+};
+
+// Historial de inicios de sesión que se conserva
+const LOGIN_EVENT_TTL_DAYS = parseInt(process.env.LOGIN_EVENT_TTL_DAYS) || 180;
+
+// ===== ACCOUNT TOKEN CONSTANTS =====
+// Tokens de un solo uso enviados por email; cada uno sirve solo para su propósito
+const AUTH_TOKEN_PURPOSES = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification'
+};
+
+const AUTH_TOKEN_TTL_MINUTES = {
+  [AUTH_TOKEN_PURPOSES.PASSWORD_RESET]: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+  [AUTH_TOKEN_PURPOSES.EMAIL_VERIFICATION]: parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES) || 48 * 60
+};
+
+// URL del storefront para construir los enlaces de los emails
+const APP_URL = process.env.APP_URL || 'http://localhost:5173';
+
+// ===== TWO-FACTOR CONSTANTS =====
+// TOTP (RFC 6238) compatible con Google Authenticator, Authy, 1Password, etc.
+const MFA_ISSUER = process.env.MFA_ISSUER || 'Destello Shop';
+
+const TOTP_SETTINGS = {
+  algorithm: 'sha1',
+  digits: 6,
+  period: 30,
+  // Pasos de tolerancia a cada lado por desfase de reloj
+  window: 1
+};
+
+const MFA_RECOVERY_CODES_COUNT = 10;
+
+// Token intermedio entre la contraseña y el código: no abre sesión
+const MFA_PENDING_SCOPE = 'mfa_pending';
+const MFA_PENDING_TOKEN_EXPIRES_IN = process.env.MFA_PENDING_TOKEN_EXPIRES_IN || '5m';
+
+// Los roles con alguno de estos permisos deben tener 2FA activo para usar
+// funciones privilegiadas, incluidos los roles personalizados
+// (MFA_ENFORCE_PRIVILEGED_ROLES=false lo desactiva, p. ej. en desarrollo)
+const MFA_ENFORCE_PRIVILEGED_ROLES = process.env.MFA_ENFORCE_PRIVILEGED_ROLES !== 'false';
+const MFA_REQUIRED_PERMISSIONS = Object.values(PERMISSIONS).filter(permission => ![
+  PERMISSIONS.INVENTORY_READ,
+  PERMISSIONS.REPORTS_VIEW
+].includes(permission));
+
+// ===== MAIL CONSTANTS =====
+const MAIL_TRANSPORTS = {
+  SMTP: 'smtp',
+  FILE: 'file'
+};
+
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || MAIL_TRANSPORTS.FILE;
+const MAIL_FROM = process.env.MAIL_FROM || 'Destello Shop <no-reply@destello-shop.com>';
+// Directorio donde el transporte de archivo deja cada email (.eml)
+const MAIL_FILE_DIR = process.env.MAIL_FILE_DIR || 'tmp/mail';
+
+const SMTP_CONFIG = {
+  host: process.env.SMTP_HOST || 'localhost',
+  port: parseInt(process.env.SMTP_PORT) || 1025,
+  secure: process.env.SMTP_SECURE === 'true',
+  user: process.env.SMTP_USER,
+  pass: process.env.SMTP_PASS
 };
 
 // ===== ORDER CONSTANTS =====
@@ -20,9 +346,41 @@ const ORDER_STATUS = {
   SHIPPED: 'shipped',
   DELIVERED: 'delivered',
   CANCELLED: 'cancelled',
+  PARTIALLY_REFUNDED: 'partially_refunded',
   REFUNDED: 'refunded'
 };
 
+// Acceso de invitados a su orden (consulta por número de orden + email):
+// token de vida corta limitado a una orden
+const ORDER_ACCESS_SCOPE = 'order_access';
+const ORDER_ACCESS_TOKEN_EXPIRES_IN = process.env.ORDER_ACCESS_TOKEN_EXPIRES_IN || '2h';
+const ORDER_ACCESS_TOKEN_HEADER = 'X-Order-Token';
+
+// ===== RETURN (RMA) CONSTANTS =====
+const RETURN_STATUS = {
+  REQUESTED: 'requested',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  RECEIVED: 'received',
+  // Reembolso en curso con el proveedor de pago
+  REFUNDING: 'refunding',
+  REFUNDED: 'refunded',
+  CANCELLED: 'cancelled'
+};
+
+// Minutos en REFUNDING tras los cuales el barrido concilia la devolución; deja
+// margen a los reembolsos que siguen en curso
+const RETURN_REFUND_RECONCILE_AFTER_MINUTES = parseInt(process.env.RETURN_REFUND_RECONCILE_AFTER_MINUTES) || 15;
+
+const RETURN_REASONS = {
+  DEFECTIVE: 'defective',
+  WRONG_ITEM: 'wrong_item',
+  NOT_AS_DESCRIBED: 'not_as_described',
+  DAMAGED_IN_TRANSIT: 'damaged_in_transit',
+  NO_LONGER_NEEDED: 'no_longer_needed',
+  OTHER: 'other'
+};
+
 // ===== SHIPMENT CONSTANTS =====
 const SHIPMENT_STATUS = {
   PENDING: 'pending',
@@ -42,6 +400,14 @@ const SHIPMENT_CARRIERS = {
   PAQUETEXPRESS: 'paquetexpress'
 };
 
+// ===== PRICING CONSTANTS =====
+// Valores por defecto cuando no hay reglas de impuestos o tarifas configuradas
+const DEFAULT_TAX_RATE = parseFloat(process.env.DEFAULT_TAX_RATE) || 0.16; // IVA México
+const DEFAULT_SHIPPING_COST = parseFloat(process.env.DEFAULT_SHIPPING_COST) || 99;
+const FREE_SHIPPING_THRESHOLD = parseFloat(process.env.FREE_SHIPPING_THRESHOLD) || 500;
+// Divisor estándar de paquetería para peso volumétrico (cm³ por kg)
+const VOLUMETRIC_DIVISOR = 5000;
+
 const PAYMENT_METHODS = {
   CREDIT_CARD: 'credit_card',
   DEBIT_CARD: 'debit_card',
@@ -51,11 +417,175 @@ const PAYMENT_METHODS = {
 
 const PAYMENT_STATUS = {
   PENDING: 'pending',
+  AUTHORIZED: 'authorized',
   PAID: 'paid',
   FAILED: 'failed',
+  VOIDED: 'voided',
+  PARTIALLY_REFUNDED: 'partially_refunded',
+  REFUNDED: 'refunded'
+};
+
+// ===== PROMOTION CONSTANTS =====
+const PROMOTION_TYPES = {
+  PERCENTAGE: 'percentage',
+  FIXED_AMOUNT: 'fixed_amount',
+  FREE_SHIPPING: 'free_shipping',
+  BUY_X_GET_Y: 'buy_x_get_y'
+};
+
+const PROMOTION_SCOPES = {
+  ORDER: 'order',
+  CATEGORY: 'category',
+  PRODUCT: 'product'
+};
+
+// ===== PAYMENT PROVIDER CONSTANTS =====
+const PAYMENT_PROVIDERS = {
+  SANDBOX: 'sandbox'
+};
+
+// Proveedor que procesa cada método de pago (configurable por entorno). El
+// sandbox solo se registra fuera de producción y con SANDBOX_WEBHOOK_SECRET;
+// sin él, los métodos que lo usan responden 503 en el checkout
+const PAYMENT_METHOD_PROVIDERS = {
+  [PAYMENT_METHODS.CREDIT_CARD]: process.env.PAYMENT_PROVIDER_CREDIT_CARD || PAYMENT_PROVIDERS.SANDBOX,
+  [PAYMENT_METHODS.DEBIT_CARD]: process.env.PAYMENT_PROVIDER_DEBIT_CARD || PAYMENT_PROVIDERS.SANDBOX,
+  [PAYMENT_METHODS.PAYPAL]: process.env.PAYMENT_PROVIDER_PAYPAL || PAYMENT_PROVIDERS.SANDBOX,
+  [PAYMENT_METHODS.BANK_TRANSFER]: process.env.PAYMENT_PROVIDER_BANK_TRANSFER || PAYMENT_PROVIDERS.SANDBOX
+};
+
+const PAYMENT_INTENT_STATUS = {
+  REQUIRES_ACTION: 'requires_action',
+  AUTHORIZED: 'authorized',
+  CAPTURED: 'captured',
+  FAILED: 'failed',
+  VOIDED: 'voided',
+  PARTIALLY_REFUNDED: 'partially_refunded',
   REFUNDED: 'refunded'
 };
 
+// Eventos normalizados que los proveedores entregan vía webhook
+const PAYMENT_EVENTS = {
+  AUTHORIZED: 'payment.authorized',
+  CAPTURED: 'payment.captured',
+  FAILED: 'payment.failed',
+  VOIDED: 'payment.voided',
+  REFUNDED: 'payment.refunded'
+};
+
+// Por qué un pago quedó marcado para revisión del personal
+const PAYMENT_REVIEW_REASONS = {
+  CAPTURED_ON_CANCELLED_ORDER: 'captured_on_cancelled_order'
+};
+
+const PAYMENT_CURRENCY = 'MXN';
+const SANDBOX_WEBHOOK_SECRET = process.env.SANDBOX_WEBHOOK_SECRET;
+const WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+
+// ===== MEDIA CONSTANTS =====
+// Uso de cada archivo subido; determina validaciones y miniaturas
+const MEDIA_USAGES = {
+  PRODUCT_IMAGE: 'product_image',
+  CATEGORY_IMAGE: 'category_image',
+  POST_ATTACHMENT: 'post_attachment',
+  AVATAR: 'avatar'
+};
+
+const MEDIA_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+const MEDIA_DOCUMENT_TYPES = ['application/pdf'];
+const MEDIA_ATTACHMENT_TYPES = [...MEDIA_IMAGE_TYPES, ...MEDIA_DOCUMENT_TYPES];
+
+const MEDIA_MAX_FILE_SIZE = parseInt(process.env.MEDIA_MAX_FILE_SIZE) || 5 * 1024 * 1024;
+const MEDIA_MAX_AVATAR_SIZE = parseInt(process.env.MEDIA_MAX_AVATAR_SIZE) || 2 * 1024 * 1024;
+
+// Ancho máximo (px) de cada miniatura generada; los avatares se recortan cuadrados
+const MEDIA_THUMBNAIL_SIZES = {
+  thumb: 150,
+  small: 400,
+  medium: 800
+};
+
+const PRODUCT_MAX_IMAGES = 10;
+const POST_MAX_ATTACHMENTS = 4;
+
+const MEDIA_STORAGE_DRIVERS = {
+  LOCAL: 'local',
+  S3: 's3'
+};
+
+const MEDIA_STORAGE_DRIVER = process.env.MEDIA_STORAGE_DRIVER || MEDIA_STORAGE_DRIVERS.LOCAL;
+const MEDIA_LOCAL_DIR = process.env.MEDIA_LOCAL_DIR || 'uploads';
+const MEDIA_PUBLIC_BASE_URL = process.env.MEDIA_PUBLIC_BASE_URL || '/media';
+
+// Almacenamiento compatible con S3 (AWS, MinIO, etc.)
+const S3_CONFIG = {
+  endpoint: process.env.S3_ENDPOINT,
+  region: process.env.S3_REGION || 'us-east-1',
+  bucket: process.env.S3_BUCKET || 'destello-media',
+  accessKeyId: process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+  forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+  publicUrl: process.env.S3_PUBLIC_URL
+};
+
+// ===== GUEST CART CONSTANTS =====
+// Los carritos de invitado se identifican con un token firmado (header o
+// cookie) y expiran tras este tiempo sin actividad
+const GUEST_CART_TTL_DAYS = parseInt(process.env.GUEST_CART_TTL_DAYS) || 14;
+const CART_TOKEN_HEADER = 'X-Cart-Token';
+const CART_TOKEN_COOKIE = 'cart_token';
+
+// Ajustes reportados al fusionar el carrito de invitado con el del usuario
+const CART_MERGE_ACTIONS = {
+  ADDED: 'added',
+  MERGED: 'merged',
+  QUANTITY_CAPPED: 'quantity_capped',
+  PRICE_UPDATED: 'price_updated',
+  REMOVED: 'removed'
+};
+
+// ===== RATING CONSTANTS =====
+// Promedio bayesiano para ordenar por calificación: cada producto parte de
+// `weight` reseñas virtuales con calificación `mean`, así pocas reseñas de 5
+// estrellas no superan a muchas de 4.8
+const RATING_BAYESIAN_PRIOR = {
+  mean: parseFloat(process.env.RATING_PRIOR_MEAN) || 3.5,
+  weight: parseInt(process.env.RATING_PRIOR_WEIGHT) || 5
+};
+
+// ===== POPULARITY CONSTANTS =====
+// Señales de interés registradas por producto (las compras salen de Order y
+// las calificaciones de Review)
+const PRODUCT_ACTIVITY_TYPES = {
+  VIEW: 'view',
+  CART_ADD: 'cart_add',
+  WISHLIST_ADD: 'wishlist_add'
+};
+
+// Una vista cuenta una vez por sesión (o visitante anónimo) y producto en este lapso
+const PRODUCT_VIEW_DEDUP_HOURS = parseInt(process.env.PRODUCT_VIEW_DEDUP_HOURS) || 24;
+// Las señales se conservan un poco más que la ventana más larga
+const PRODUCT_ACTIVITY_TTL_DAYS = 45;
+
+// Ventanas de popularidad: cada señal pesa la mitad cada halfLifeHours
+const POPULARITY_WINDOWS = {
+  day: { hours: 24, halfLifeHours: 6 },
+  week: { hours: 7 * 24, halfLifeHours: 48 },
+  month: { hours: 30 * 24, halfLifeHours: 7 * 24 }
+};
+
+const POPULARITY_DEFAULT_WINDOW = 'week';
+
+// Puntos por señal: por unidad vendida, por evento y por reseña (una reseña de
+// 5 estrellas suma el peso completo y una de 1 estrella lo resta)
+const POPULARITY_WEIGHTS = {
+  purchase: 5,
+  [PRODUCT_ACTIVITY_TYPES.CART_ADD]: 1,
+  [PRODUCT_ACTIVITY_TYPES.WISHLIST_ADD]: 1.5,
+  [PRODUCT_ACTIVITY_TYPES.VIEW]: 0.2,
+  review: 2
+};
+
 // ===== INVENTORY CONSTANTS =====
 const INVENTORY_TX_TYPES = {
   PURCHASE: 'purchase',
@@ -67,6 +597,22 @@ const INVENTORY_TX_TYPES = {
   EXPIRED: 'expired'
 };
 
+// Stock por debajo del cual un producto se considera bajo (webhooks de inventario)
+const INVENTORY_LOW_STOCK_THRESHOLD = parseInt(process.env.INVENTORY_LOW_STOCK_THRESHOLD) || 10;
+
+// ===== RESERVATION CONSTANTS =====
+const RESERVATION_STATUS = {
+  ACTIVE: 'active',
+  COMMITTED: 'committed',
+  RELEASED: 'released'
+};
+
+const RESERVATION_TTL_MINUTES = parseInt(process.env.RESERVATION_TTL_MINUTES) || 30;
+
+// Veces que una orden con pago autorizado puede extender su reserva esperando
+// la captura; agotadas, la orden se cancela y la autorización se anula
+const RESERVATION_MAX_EXTENSIONS = parseInt(process.env.RESERVATION_MAX_EXTENSIONS) || 12;
+
 // ===== REACTION CONSTANTS =====
 const REACTION_TYPES = {
   LIKE: 'like',
@@ -85,17 +631,328 @@ const TARGET_TYPES = {
   COMMENT: 'Comment'
 };
 
+// ===== NOTIFICATION CONSTANTS =====
+const NOTIFICATION_TYPES = {
+  NEW_FOLLOWER: 'new_follower',
+  COMMENT: 'comment',
+  COMMENT_REPLY: 'comment_reply',
+  REACTION: 'reaction',
+  ORDER_STATUS: 'order_status',
+  SHIPMENT_STATUS: 'shipment_status'
+};
+
+// Eventos del mismo tipo sobre el mismo elemento se agrupan en una sola
+// notificación ("María y 12 personas más...") mientras siga sin leer y el
+// último evento tenga menos de este tiempo
+const NOTIFICATION_GROUP_WINDOW_MINUTES = parseInt(process.env.NOTIFICATION_GROUP_WINDOW_MINUTES) || 24 * 60;
+// Actores que se guardan por notificación agrupada (los más recientes)
+const NOTIFICATION_MAX_ACTORS = 5;
+const NOTIFICATION_TTL_DAYS = 90;
+
+// ===== REALTIME CONSTANTS =====
+// Canal en tiempo real por Server-Sent Events (GET /api/realtime/stream)
+const REALTIME_EVENTS = {
+  READY: 'ready',
+  ORDER_STATUS_CHANGED: 'order.status_changed',
+  SHIPMENT_TRACKING: 'shipment.tracking',
+  COMMENT_CREATED: 'comment.created',
+  REACTION_CHANGED: 'reaction.changed',
+  NOTIFICATION_CREATED: 'notification.created',
+  INVENTORY_CHANGED: 'inventory.changed',
+  SESSION_REVOKED: 'session.revoked',
+  TOKEN_EXPIRED: 'token.expired'
+};
+
+// Recursos a los que un cliente puede suscribirse además de su propio canal
+const REALTIME_RESOURCE_TYPES = {
+  ORDER: 'order',
+  SHIPMENT: 'shipment',
+  POST: 'post'
+};
+
+// memory: un solo proceso. mongo: varios procesos o servidores, vía change
+// streams sobre la colección realtimeevents (requiere replica set)
+const REALTIME_PUBSUB_DRIVERS = {
+  MEMORY: 'memory',
+  MONGO: 'mongo'
+};
+
+const REALTIME_PUBSUB_DRIVER = process.env.REALTIME_PUBSUB_DRIVER || REALTIME_PUBSUB_DRIVERS.MEMORY;
+// Comentario periódico para que proxies y balanceadores no corten la conexión
+const REALTIME_HEARTBEAT_MS = parseInt(process.env.REALTIME_HEARTBEAT_MS) || 25 * 1000;
+const REALTIME_MAX_CONNECTIONS_PER_USER = parseInt(process.env.REALTIME_MAX_CONNECTIONS_PER_USER) || 5;
+const REALTIME_MAX_SUBSCRIPTIONS = 50;
+// Los eventos del driver mongo solo sirven mientras se reparten
+const REALTIME_EVENT_TTL_SECONDS = 60;
+
+// ===== OUTBOUND WEBHOOK CONSTANTS =====
+// Eventos que se envían a las integraciones (ERP, marketing) suscritas
+const WEBHOOK_EVENTS = {
+  ORDER_CREATED: 'order.created',
+  ORDER_PAID: 'order.paid',
+  ORDER_STATUS_CHANGED: 'order.status_changed',
+  ORDER_CANCELLED: 'order.cancelled',
+  ORDER_DELIVERED: 'order.delivered',
+  SHIPMENT_STATUS_CHANGED: 'shipment.status_changed',
+  INVENTORY_LOW_STOCK: 'inventory.low_stock',
+  INVENTORY_OUT_OF_STOCK: 'inventory.out_of_stock',
+  INVENTORY_RESTOCKED: 'inventory.restocked',
+  PING: 'ping'
+};
+
+// Una suscripción con este filtro recibe todos los eventos
+const WEBHOOK_EVENT_WILDCARD = '*';
+
+const WEBHOOK_DELIVERY_STATUS = {
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+// Header con la firma: t=<timestamp>,v1=<HMAC-SHA256 de "<timestamp>.<body>">
+const WEBHOOK_SIGNATURE_HEADER = 'x-destello-signature';
+// Intentos por entrega; entre uno y otro la espera se duplica (con un tope)
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const WEBHOOK_RETRY_BASE_SECONDS = 30;
+const WEBHOOK_RETRY_MAX_SECONDS = 6 * 60 * 60;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+// Caracteres de la respuesta del destino que se guardan en el log de la entrega
+const WEBHOOK_RESPONSE_BODY_MAX_LENGTH = 1000;
+const WEBHOOK_DELIVERY_TTL_DAYS = 30;
+
+// ===== JOB QUEUE CONSTANTS =====
+// Cola de trabajos en segundo plano sobre MongoDB (colección jobs)
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  // Agotó los intentos: queda en la cola de fallidos hasta reintentarlo o cancelarlo
+  DEAD: 'dead',
+  CANCELLED: 'cancelled'
+};
+
+// Trabajos incluidos (services/jobs)
+const JOB_NAMES = {
+  ORDERS_EXPIRE_RESERVATIONS: 'orders.expire_reservations',
+  FOLLOWS_CLEAN_INACTIVE: 'follows.clean_inactive',
+  WISHLISTS_CLEAN_UNAVAILABLE: 'wishlists.clean_unavailable',
+  SHIPMENTS_CHECK_DELAYED: 'shipments.check_delayed',
+  PRIVACY_SWEEP_EXPORTS: 'privacy.sweep_exports',
+  PRIVACY_PROCESS_DELETIONS: 'privacy.process_deletions',
+  PRODUCTS_RECOMPUTE_POPULARITY: 'products.recompute_popularity',
+  REVIEWS_REPAIR_RATING_STATS: 'reviews.repair_rating_stats',
+  WEBHOOKS_RETRY_DELIVERIES: 'webhooks.retry_deliveries',
+  RETURNS_RECONCILE_REFUNDS: 'returns.reconcile_refunds'
+};
+
+// Trabajos simultáneos por proceso (cada tipo tiene además su propio límite)
+const JOB_WORKER_CONCURRENCY = parseInt(process.env.JOB_WORKER_CONCURRENCY) || 4;
+const JOB_POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5 * 1000;
+const JOB_DEFAULT_MAX_ATTEMPTS = 5;
+const JOB_DEFAULT_TIMEOUT_MS = 5 * 60 * 1000;
+// Espera entre intentos: se duplica en cada fallo, con un tope
+const JOB_RETRY_BASE_SECONDS = 30;
+const JOB_RETRY_MAX_SECONDS = 60 * 60;
+// Fallos que se conservan por trabajo (los más recientes)
+const JOB_MAX_FAILURES_KEPT = 10;
+const JOB_COMPLETED_RETENTION_DAYS = 7;
+const JOB_DEAD_RETENTION_DAYS = 30;
+
+// ===== DOMAIN EVENT CONSTANTS =====
+// Eventos de dominio: se guardan en el outbox (colección outboxevents) en la
+// misma transacción que el cambio y se despachan a los suscriptores
+const DOMAIN_EVENTS = {
+  ORDER_PLACED: 'OrderPlaced',
+  ORDER_PAID: 'OrderPaid',
+  ORDER_STATUS_CHANGED: 'OrderStatusChanged',
+  SHIPMENT_STATUS_CHANGED: 'ShipmentStatusChanged',
+  STOCK_ADJUSTED: 'StockAdjusted',
+  COMMENT_CREATED: 'CommentCreated',
+  REACTION_CHANGED: 'ReactionChanged',
+  USER_FOLLOWED: 'UserFollowed'
+};
+
+// Suscriptor a todos los eventos (sinks externos)
+const DOMAIN_EVENT_WILDCARD = '*';
+
+const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  DISPATCHED: 'dispatched',
+  // Agotó los intentos: se revisa y reintenta desde /api/events
+  FAILED: 'failed'
+};
+
+// Respaldo del despacho inmediato que sigue a cada commit
+const OUTBOX_DISPATCH_INTERVAL_MS = parseInt(process.env.OUTBOX_DISPATCH_INTERVAL_MS) || 5 * 1000;
+// Tiempo que una instancia retiene un evento mientras corre sus suscriptores
+const OUTBOX_LOCK_MS = 2 * 60 * 1000;
+// Tiempo máximo de cada suscriptor por evento (cuenta como fallo)
+const OUTBOX_HANDLER_TIMEOUT_MS = 30 * 1000;
+const OUTBOX_MAX_ATTEMPTS = 10;
+const OUTBOX_RETRY_BASE_SECONDS = 10;
+const OUTBOX_RETRY_MAX_SECONDS = 60 * 60;
+const OUTBOX_DISPATCHED_RETENTION_DAYS = 7;
+const OUTBOX_FAILED_RETENTION_DAYS = 30;
+
 module.exports = {
   PORT,
   NODE_ENV,
   API_VERSION,
   USER_ROLES,
+  PERMISSIONS,
+  PERMISSION_DESCRIPTIONS,
+  PERMISSION_WILDCARD,
+  DEFAULT_ROLE_PERMISSIONS,
+  DEFAULT_ROLE_NAMES,
+  ROLE_NAME_PATTERN,
+  ROLE_PERMISSIONS_CACHE_SECONDS,
+  API_KEY_PREFIX,
+  AUTH_METHODS,
+  API_KEY_SCOPES,
+  API_KEY_DEFAULT_RATE_LIMIT,
+  API_KEY_MAX_RATE_LIMIT,
+  API_KEY_ROTATION_GRACE_HOURS,
+  API_KEY_MAX_ROTATION_GRACE_HOURS,
+  API_KEY_LAST_USED_INTERVAL_SECONDS,
+  AUDIT_REDACTED_FIELDS,
+  AUDIT_IGNORED_FIELDS,
+  AUDIT_LOG_EXPORT_MAX_ROWS,
+  DATA_EXPORT_FORMATS,
+  DATA_EXPORT_STATUS,
+  DATA_EXPORT_STORAGE_DRIVER,
+  DATA_EXPORT_DIR,
+  DATA_EXPORT_TTL_HOURS,
+  DATA_EXPORT_COOLDOWN_MINUTES,
+  DATA_EXPORT_STALE_MINUTES,
+  ACCOUNT_DELETION_GRACE_DAYS,
+  ACCOUNT_DELETION_CONTENT_POLICY,
+  ACCOUNT_DELETION_CONTENT_ACTIONS,
+  DELETED_USER_FIRST_NAME,
+  DELETED_USER_LAST_NAME,
+  DELETED_USER_EMAIL_DOMAIN,
+  DELETED_USER_ADDRESS_STREET,
+  ACCESS_TOKEN_EXPIRES_IN,
+  REFRESH_TOKEN_TTL_DAYS,
+  SESSION_ROTATED_TOKENS_KEPT,
+  SESSION_REVOKE_REASONS,
+  AUTH_TOKEN_PURPOSES,
+  AUTH_TOKEN_TTL_MINUTES,
+  APP_URL,
+  MAIL_TRANSPORTS,
+  MAIL_TRANSPORT,
+  MAIL_FROM,
+  MAIL_FILE_DIR,
+  SMTP_CONFIG,
   ORDER_STATUS,
+  RETURN_STATUS,
+  RETURN_REFUND_RECONCILE_AFTER_MINUTES,
+  RETURN_REASONS,
   SHIPMENT_STATUS,
   SHIPMENT_CARRIERS,
+  DEFAULT_TAX_RATE,
+  DEFAULT_SHIPPING_COST,
+  FREE_SHIPPING_THRESHOLD,
+  VOLUMETRIC_DIVISOR,
   INVENTORY_TX_TYPES,
+  INVENTORY_LOW_STOCK_THRESHOLD,
+  RATING_BAYESIAN_PRIOR,
+  PRODUCT_ACTIVITY_TYPES,
+  PRODUCT_VIEW_DEDUP_HOURS,
+  PRODUCT_ACTIVITY_TTL_DAYS,
+  POPULARITY_WINDOWS,
+  POPULARITY_DEFAULT_WINDOW,
+  POPULARITY_WEIGHTS,
+  RESERVATION_STATUS,
+  RESERVATION_TTL_MINUTES,
+  RESERVATION_MAX_EXTENSIONS,
   REACTION_TYPES,
   TARGET_TYPES,
+  NOTIFICATION_TYPES,
+  NOTIFICATION_GROUP_WINDOW_MINUTES,
+  NOTIFICATION_MAX_ACTORS,
+  NOTIFICATION_TTL_DAYS,
+  REALTIME_EVENTS,
+  REALTIME_RESOURCE_TYPES,
+  REALTIME_PUBSUB_DRIVERS,
+  REALTIME_PUBSUB_DRIVER,
+  REALTIME_HEARTBEAT_MS,
+  REALTIME_MAX_CONNECTIONS_PER_USER,
+  REALTIME_MAX_SUBSCRIPTIONS,
+  REALTIME_EVENT_TTL_SECONDS,
+  WEBHOOK_EVENTS,
+  WEBHOOK_EVENT_WILDCARD,
+  WEBHOOK_DELIVERY_STATUS,
+  WEBHOOK_SIGNATURE_HEADER,
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_RETRY_BASE_SECONDS,
+  WEBHOOK_RETRY_MAX_SECONDS,
+  WEBHOOK_TIMEOUT_MS,
+  WEBHOOK_RESPONSE_BODY_MAX_LENGTH,
+  WEBHOOK_DELIVERY_TTL_DAYS,
+  JOB_STATUS,
+  JOB_NAMES,
+  JOB_WORKER_CONCURRENCY,
+  JOB_POLL_INTERVAL_MS,
+  JOB_DEFAULT_MAX_ATTEMPTS,
+  JOB_DEFAULT_TIMEOUT_MS,
+  JOB_RETRY_BASE_SECONDS,
+  JOB_RETRY_MAX_SECONDS,
+  JOB_MAX_FAILURES_KEPT,
+  JOB_COMPLETED_RETENTION_DAYS,
+  JOB_DEAD_RETENTION_DAYS,
+  DOMAIN_EVENTS,
+  DOMAIN_EVENT_WILDCARD,
+  OUTBOX_STATUS,
+  OUTBOX_DISPATCH_INTERVAL_MS,
+  OUTBOX_LOCK_MS,
+  OUTBOX_HANDLER_TIMEOUT_MS,
+  OUTBOX_MAX_ATTEMPTS,
+  OUTBOX_RETRY_BASE_SECONDS,
+  OUTBOX_RETRY_MAX_SECONDS,
+  OUTBOX_DISPATCHED_RETENTION_DAYS,
+  OUTBOX_FAILED_RETENTION_DAYS,
   PAYMENT_METHODS,
-  PAYMENT_STATUS
+  PAYMENT_STATUS,
+  PROMOTION_TYPES,
+  PROMOTION_SCOPES,
+  PAYMENT_PROVIDERS,
+  PAYMENT_METHOD_PROVIDERS,
+  PAYMENT_INTENT_STATUS,
+  PAYMENT_EVENTS,
+  PAYMENT_REVIEW_REASONS,
+  PAYMENT_CURRENCY,
+  SANDBOX_WEBHOOK_SECRET,
+  WEBHOOK_TOLERANCE_SECONDS,
+  MEDIA_USAGES,
+  MEDIA_IMAGE_TYPES,
+  MEDIA_DOCUMENT_TYPES,
+  MEDIA_ATTACHMENT_TYPES,
+  MEDIA_MAX_FILE_SIZE,
+  MEDIA_MAX_AVATAR_SIZE,
+  MEDIA_THUMBNAIL_SIZES,
+  PRODUCT_MAX_IMAGES,
+  POST_MAX_ATTACHMENTS,
+  MEDIA_STORAGE_DRIVERS,
+  MEDIA_STORAGE_DRIVER,
+  MEDIA_LOCAL_DIR,
+  MEDIA_PUBLIC_BASE_URL,
+  S3_CONFIG,
+  GUEST_CART_TTL_DAYS,
+  CART_TOKEN_HEADER,
+  CART_TOKEN_COOKIE,
+  CART_MERGE_ACTIONS,
+  ORDER_ACCESS_SCOPE,
+  ORDER_ACCESS_TOKEN_EXPIRES_IN,
+  ORDER_ACCESS_TOKEN_HEADER,
+  MFA_ISSUER,
+  TOTP_SETTINGS,
+  MFA_RECOVERY_CODES_COUNT,
+  MFA_PENDING_SCOPE,
+  MFA_PENDING_TOKEN_EXPIRES_IN,
+  MFA_ENFORCE_PRIVILEGED_ROLES,
+  MFA_REQUIRED_PERMISSIONS,
+  LOGIN_LOCKOUT,
+  LOGIN_METHODS,
+  LOGIN_FAILURE_REASONS,
+  LOGIN_EVENT_TTL_DAYS
 }; 
\ No newline at end of file
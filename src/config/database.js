@@ -6,7 +6,7 @@ const connectDB = async () => {
     mongoose.set('bufferCommands', false);
     
     const conn = await mongoose.connect(
-      process.env.MONGO_URI || "mongodb://mongo:27017/destello_shop",
+      process.env.MONGO_URI || "mongodb://mongo:27017/destello_shop?replicaSet=rs0",
       {
         useNewUrlParser: true,
         useUnifiedTopology: true,
@@ -20,4 +20,13 @@ const connectDB = async () => {
   }
 };
 
-module.exports = connectDB;
\ No newline at end of file
+// ===== TRANSACCIONES =====
+// Ejecuta fn dentro de una transacción de MongoDB (requiere replica set).
+// Mongoose reintenta fn ante errores transitorios, así que todas las lecturas
+// y escrituras deben hacerse dentro de fn usando la sesión recibida.
+const withTransaction = (fn) => {
+  return mongoose.connection.transaction(fn);
+};
+
+module.exports = connectDB;
+module.exports.withTransaction = withTransaction;
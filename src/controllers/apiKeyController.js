@@ -0,0 +1,374 @@
+const ApiKeyService = require('../services/apiKeyService');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const {
+  API_KEY_SCOPES,
+  API_KEY_MAX_RATE_LIMIT,
+  API_KEY_ROTATION_GRACE_HOURS,
+  API_KEY_MAX_ROTATION_GRACE_HOURS
+} = require('../config/constants');
+const Joi = require('joi');
+
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/).message('ID inválido');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: ERP central
+ *         description:
+ *           type: string
+ *         keyPrefix:
+ *           type: string
+ *           example: dsk_3f9a1c2b7d4e
+ *           description: Identifica la llave en logs y listados (el secreto no se vuelve a mostrar)
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["shipments:manage", "orders:read"]
+ *         status:
+ *           type: string
+ *           enum: [active, expired, revoked]
+ *         user:
+ *           type: object
+ *           description: Usuario en cuyo nombre actúa la llave
+ *         rateLimit:
+ *           type: integer
+ *           description: Peticiones por minuto
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedIp:
+ *           type: string
+ *         rotatedAt:
+ *           type: string
+ *           format: date-time
+ *         previousSecretExpiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: Hasta cuándo sigue valiendo el secreto anterior a la última rotación
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     IssuedApiKey:
+ *       type: object
+ *       properties:
+ *         apiKey:
+ *           $ref: '#/components/schemas/ApiKey'
+ *         key:
+ *           type: string
+ *           description: Llave completa para el header X-API-Key. Solo se muestra esta vez.
+ *           example: dsk_3f9a1c2b7d4e_Jr0m8m3m2d3l0cHk1e0mYt9xQ2Zb6vWn
+ */
+
+class ApiKeyController {
+  /**
+   * @swagger
+   * /api/api-keys:
+   *   get:
+   *     summary: Obtener API keys (Admin)
+   *     tags: [API Keys]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [active, expired, revoked]
+   *       - in: query
+   *         name: userId
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: search
+   *         schema:
+   *           type: string
+   *         description: Nombre o prefijo de la llave
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: API keys obtenidas exitosamente
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/ApiKey'
+   *                 pagination:
+   *                   type: object
+   *       403:
+   *         description: Acceso denegado - Requiere el permiso api_keys:manage
+   */
+  static getApiKeys = asyncHandler(async (req, res) => {
+    const querySchema = Joi.object({
+      status: Joi.string().valid('active', 'expired', 'revoked').optional(),
+      userId: objectId.optional(),
+      search: Joi.string().trim().max(100).optional(),
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(100).default(20)
+    });
+
+    const { error, value } = querySchema.validate(req.query);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const { page, limit, ...filters } = value;
+    const result = await ApiKeyService.getApiKeys(filters, { page, limit });
+
+    res.success(result.apiKeys, 'API keys obtenidas exitosamente', result.pagination);
+  });
+
+  /**
+   * @swagger
+   * /api/api-keys/scopes:
+   *   get:
+   *     summary: Obtener los scopes que se pueden asignar a una API key (Admin)
+   *     tags: [API Keys]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Scopes obtenidos exitosamente
+   */
+  static getScopes = asyncHandler(async (req, res) => {
+    res.success(API_KEY_SCOPES, 'Scopes obtenidos exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/api-keys/{keyId}:
+   *   get:
+   *     summary: Obtener API key por ID (Admin)
+   *     tags: [API Keys]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: keyId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: API key obtenida exitosamente
+   *       404:
+   *         description: API key no encontrada
+   */
+  static getApiKeyById = asyncHandler(async (req, res) => {
+    const { error } = objectId.validate(req.params.keyId);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const apiKey = await ApiKeyService.getApiKeyById(req.params.keyId);
+
+    res.success(apiKey, 'API key obtenida exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/api-keys:
+   *   post:
+   *     summary: Emitir API key (Admin)
+   *     description: |
+   *       La llave completa se devuelve una sola vez. Actúa en nombre de `userId`
+   *       (por defecto quien la emite) y sus scopes no pueden superar los permisos
+   *       del rol de ese usuario.
+   *     tags: [API Keys]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - name
+   *               - scopes
+   *             properties:
+   *               name:
+   *                 type: string
+   *                 example: Escáneres de almacén
+   *               description:
+   *                 type: string
+   *               scopes:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *                 example: ["shipments:manage", "inventory:adjust"]
+   *               userId:
+   *                 type: string
+   *                 description: Usuario en cuyo nombre actúa la llave
+   *               rateLimit:
+   *                 type: integer
+   *                 description: Peticiones por minuto
+   *               expiresAt:
+   *                 type: string
+   *                 format: date-time
+   *     responses:
+   *       201:
+   *         description: API key emitida exitosamente
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   $ref: '#/components/schemas/IssuedApiKey'
+   *       400:
+   *         description: Scopes no permitidos o mayores que los permisos del usuario
+   */
+  static issueApiKey = asyncHandler(async (req, res) => {
+    const issueSchema = Joi.object({
+      name: Joi.string().trim().min(2).max(100).required(),
+      description: Joi.string().trim().max(300).allow('').optional(),
+      scopes: Joi.array().items(Joi.string().valid(...API_KEY_SCOPES)).min(1).unique().required(),
+      userId: objectId.optional(),
+      rateLimit: Joi.number().integer().min(1).max(API_KEY_MAX_RATE_LIMIT).optional(),
+      expiresAt: Joi.date().greater('now').optional()
+    });
+
+    const { error, value } = issueSchema.validate(req.body);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const result = await ApiKeyService.issueKey(value, req.user._id);
+
+    res.created(result, 'API key emitida exitosamente. Guárdala ahora: no se volverá a mostrar.');
+  });
+
+  /**
+   * @swagger
+   * /api/api-keys/{keyId}/rotate:
+   *   post:
+   *     summary: Rotar el secreto de una API key (Admin)
+   *     description: El secreto anterior sigue valiendo durante el periodo de gracia (24 horas por defecto, 0 para invalidarlo ya).
+   *     tags: [API Keys]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: keyId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               gracePeriodHours:
+   *                 type: integer
+   *                 minimum: 0
+   *                 maximum: 168
+   *     responses:
+   *       200:
+   *         description: API key rotada exitosamente
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   $ref: '#/components/schemas/IssuedApiKey'
+   *       400:
+   *         description: La API key está revocada o expirada
+   */
+  static rotateApiKey = asyncHandler(async (req, res) => {
+    const rotateSchema = Joi.object({
+      keyId: objectId.required(),
+      gracePeriodHours: Joi.number().integer().min(0).max(API_KEY_MAX_ROTATION_GRACE_HOURS)
+        .default(API_KEY_ROTATION_GRACE_HOURS)
+    });
+
+    const { error, value } = rotateSchema.validate({ ...req.body, keyId: req.params.keyId });
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const result = await ApiKeyService.rotateKey(value.keyId, { gracePeriodHours: value.gracePeriodHours });
+
+    res.success(result, 'API key rotada exitosamente. Guarda la nueva llave: no se volverá a mostrar.');
+  });
+
+  /**
+   * @swagger
+   * /api/api-keys/{keyId}/revoke:
+   *   post:
+   *     summary: Revocar API key (Admin)
+   *     description: La llave deja de funcionar de inmediato, incluido el secreto anterior de una rotación.
+   *     tags: [API Keys]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: keyId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               reason:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: API key revocada exitosamente
+   *       400:
+   *         description: La API key ya está revocada
+   */
+  static revokeApiKey = asyncHandler(async (req, res) => {
+    const revokeSchema = Joi.object({
+      keyId: objectId.required(),
+      reason: Joi.string().trim().max(300).optional()
+    });
+
+    const { error, value } = revokeSchema.validate({ ...req.body, keyId: req.params.keyId });
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const apiKey = await ApiKeyService.revokeKey(value.keyId, req.user._id, value.reason);
+
+    res.success(apiKey, 'API key revocada exitosamente');
+  });
+}
+
+module.exports = ApiKeyController;
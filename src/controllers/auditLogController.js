@@ -0,0 +1,190 @@
+const AuditLogService = require('../services/auditLogService');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { AUTH_METHODS } = require('../config/constants');
+const Joi = require('joi');
+
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/).message('ID inválido');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditLog:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         action:
+ *           type: string
+ *           example: order.update_status
+ *         targetModel:
+ *           type: string
+ *           example: Order
+ *         targetId:
+ *           type: string
+ *         actor:
+ *           type: object
+ *           properties:
+ *             userId:
+ *               type: string
+ *             email:
+ *               type: string
+ *             role:
+ *               type: string
+ *             authMethod:
+ *               type: string
+ *               enum: [jwt, api_key]
+ *             apiKeyId:
+ *               type: string
+ *         changes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *                 example: status
+ *               before:
+ *                 example: processing
+ *               after:
+ *                 example: shipped
+ *         method:
+ *           type: string
+ *         path:
+ *           type: string
+ *         statusCode:
+ *           type: integer
+ *         ip:
+ *           type: string
+ *         userAgent:
+ *           type: string
+ *         requestId:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+class AuditLogController {
+  /**
+   * @swagger
+   * /api/admin/audit-log:
+   *   get:
+   *     summary: Consultar el registro de auditoría (Admin)
+   *     description: Con `format=csv` devuelve un archivo CSV con las entradas que cumplen los filtros (máximo 10000).
+   *     tags: [Admin]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: actorId
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: action
+   *         schema:
+   *           type: string
+   *         description: Acción exacta (order.update_status) o recurso (order)
+   *       - in: query
+   *         name: targetModel
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: targetId
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: requestId
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: authMethod
+   *         schema:
+   *           type: string
+   *           enum: [jwt, api_key]
+   *       - in: query
+   *         name: dateFrom
+   *         schema:
+   *           type: string
+   *           format: date
+   *       - in: query
+   *         name: dateTo
+   *         schema:
+   *           type: string
+   *           format: date
+   *       - in: query
+   *         name: format
+   *         schema:
+   *           type: string
+   *           enum: [json, csv]
+   *           default: json
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Registro obtenido exitosamente
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/AuditLog'
+   *                 pagination:
+   *                   type: object
+   *           text/csv:
+   *             schema:
+   *               type: string
+   *       403:
+   *         description: Acceso denegado - Requiere el permiso audit:read
+   */
+  static getAuditLog = asyncHandler(async (req, res) => {
+    const querySchema = Joi.object({
+      actorId: objectId.optional(),
+      action: Joi.string().pattern(/^[a-z_]+(\.[a-z_]+)?$/).optional()
+        .messages({ 'string.pattern.base': 'La acción debe tener el formato recurso o recurso.acción' }),
+      targetModel: Joi.string().alphanum().max(50).optional(),
+      targetId: Joi.string().max(100).optional(),
+      requestId: Joi.string().max(100).optional(),
+      authMethod: Joi.string().valid(...Object.values(AUTH_METHODS)).optional(),
+      dateFrom: Joi.date().optional(),
+      dateTo: Joi.date().optional(),
+      format: Joi.string().valid('json', 'csv').default('json'),
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(200).default(50)
+    });
+
+    const { error, value } = querySchema.validate(req.query);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const { format, page, limit, ...filters } = value;
+
+    if (format === 'csv') {
+      const { csv, truncated } = await AuditLogService.exportCsv(filters);
+      const fileName = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      res.setHeader('X-Export-Truncated', String(truncated));
+      return res.send(csv);
+    }
+
+    const result = await AuditLogService.getAuditLogs(filters, { page, limit });
+
+    res.success(result.logs, 'Registro de auditoría obtenido exitosamente', result.pagination);
+  });
+}
+
+module.exports = AuditLogController;
@@ -1,8 +1,26 @@
 const AuthService = require('../services/authService');
-const { asyncHandler, AppError } = require('../middlewares/errorHandler');
-const { validate } = require('../middlewares/validation');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { getGuestIdFromRequest, clearCartToken } = require('../middlewares/cart');
 const Joi = require('joi');
 
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/).message('ID inválido');
+const totpCode = Joi.string().trim().pattern(/^\d{6}$/).message('El código debe tener 6 dígitos');
+
+// Datos del cliente que se guardan con la sesión
+const getClientContext = (req, deviceName) => ({
+  userAgent: (req.get('user-agent') || '').substring(0, 500) || undefined,
+  ip: req.ip,
+  deviceName
+});
+
+// El carrito de invitado ya fusionado deja de existir; si la fusión falló se
+// conserva el token para reintentar con /api/cart/merge
+const clearMergedCartToken = (res, result) => {
+  if (result.cartMerge !== undefined && !(result.cartMerge && result.cartMerge.failed)) {
+    clearCartToken(res);
+  }
+};
+
 /**
  * @swagger
  * components:
@@ -26,13 +44,26 @@ const Joi = require('joi');
  *           type: string
  *           format: email
  *           description: Email del usuario
+ *         emailVerified:
+ *           type: boolean
+ *           description: Si el usuario confirmó su email
+ *         twoFactorEnabled:
+ *           type: boolean
+ *           description: Si el usuario tiene activa la verificación en dos pasos
  *         role:
  *           type: string
- *           enum: [user, admin]
- *           description: Rol del usuario
+ *           description: Rol del usuario (customer, admin, moderator, warehouse, support o uno personalizado)
  *         isActive:
  *           type: boolean
  *           description: Estado del usuario
+ *         isLocked:
+ *           type: boolean
+ *           description: Cuenta bloqueada temporalmente por intentos fallidos (solo en respuestas de admin)
+ *         deletionScheduledFor:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Fecha en que se eliminará la cuenta si hay una solicitud pendiente
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -42,21 +73,185 @@ const Joi = require('joi');
  *           format: date-time
  *           description: Fecha de actualización
  *     
+ *     DataExport:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         format:
+ *           type: string
+ *           enum: [json, zip]
+ *         status:
+ *           type: string
+ *           enum: [pending, processing, ready, failed, expired]
+ *         size:
+ *           type: integer
+ *           description: Tamaño del archivo en bytes
+ *         counts:
+ *           type: object
+ *           additionalProperties:
+ *             type: integer
+ *           description: Registros exportados por sección
+ *         downloadable:
+ *           type: boolean
+ *         requestedAt:
+ *           type: string
+ *           format: date-time
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *     
  *     AuthResponse:
  *       type: object
  *       properties:
  *         token:
  *           type: string
- *           description: JWT token de autenticación
+ *           description: JWT de acceso de vida corta
  *         expiresIn:
  *           type: string
- *           description: Duración del token
+ *           description: Duración del token de acceso
+ *           example: 15m
  *         tokenExpiry:
  *           type: string
  *           format: date-time
- *           description: Fecha de expiración del token
+ *           description: Fecha de expiración del token de acceso
+ *         refreshToken:
+ *           type: string
+ *           description: Token de un solo uso para obtener un nuevo par de tokens en /api/auth/refresh
+ *         refreshTokenExpiry:
+ *           type: string
+ *           format: date-time
+ *         sessionId:
+ *           type: string
  *         user:
  *           $ref: '#/components/schemas/User'
+ *         cartMerge:
+ *           description: |
+ *             Solo si se envió el token del carrito de invitado (X-Cart-Token o cookie
+ *             cart_token): reporte de la fusión, null si estaba vacío, o
+ *             { failed, message } si no se pudo fusionar
+ *           allOf:
+ *             - $ref: '#/components/schemas/CartMergeReport'
+ *           nullable: true
+ *
+ *     TwoFactorChallenge:
+ *       type: object
+ *       description: Respuesta del login cuando la cuenta tiene 2FA; la sesión se abre en /api/auth/login/2fa
+ *       properties:
+ *         mfaRequired:
+ *           type: boolean
+ *           example: true
+ *         mfaToken:
+ *           type: string
+ *           description: Token de vida corta que solo sirve para completar el login
+ *         expiresIn:
+ *           type: string
+ *           example: 5m
+ *         methods:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [totp, recovery_code]
+ *
+ *     TwoFactorSetup:
+ *       type: object
+ *       properties:
+ *         secret:
+ *           type: string
+ *           description: Secreto base32 para ingresarlo manualmente en la app
+ *           example: JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP
+ *         otpauthUri:
+ *           type: string
+ *           description: URI de aprovisionamiento; el cliente la muestra como código QR
+ *           example: otpauth://totp/Destello%20Shop:ana%40example.com?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=Destello%20Shop&algorithm=SHA1&digits=6&period=30
+ *         issuer:
+ *           type: string
+ *         accountName:
+ *           type: string
+ *         algorithm:
+ *           type: string
+ *           example: SHA1
+ *         digits:
+ *           type: integer
+ *           example: 6
+ *         period:
+ *           type: integer
+ *           example: 30
+ *
+ *     TwoFactorStatus:
+ *       type: object
+ *       properties:
+ *         enabled:
+ *           type: boolean
+ *         enabledAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         required:
+ *           type: boolean
+ *           description: El rol del usuario obliga a usar 2FA
+ *         recoveryCodesRemaining:
+ *           type: integer
+ *
+ *     LoginEvent:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         success:
+ *           type: boolean
+ *         method:
+ *           type: string
+ *           enum: [password, two_factor, register]
+ *         reason:
+ *           type: string
+ *           nullable: true
+ *           enum: [unknown_email, invalid_password, invalid_two_factor_code, account_deactivated, account_locked, throttled]
+ *           description: Motivo del rechazo (null si fue exitoso)
+ *         ip:
+ *           type: string
+ *         device:
+ *           type: string
+ *           example: Chrome en Windows
+ *         userAgent:
+ *           type: string
+ *         newDevice:
+ *           type: boolean
+ *           description: Inicio de sesión exitoso desde un dispositivo que la cuenta no había usado
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     Session:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         device:
+ *           type: string
+ *           example: Chrome en Windows
+ *         userAgent:
+ *           type: string
+ *         ip:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         mfaVerified:
+ *           type: boolean
+ *           description: La sesión superó la verificación en dos pasos
+ *         isCurrent:
+ *           type: boolean
+ *           description: Sesión del token usado en la petición
  *     
  *     RegisterRequest:
  *       type: object
@@ -101,6 +296,9 @@ const Joi = require('joi');
  *         password:
  *           type: string
  *           description: Contraseña del usuario
+ *         deviceName:
+ *           type: string
+ *           description: Nombre del dispositivo para la lista de sesiones (opcional)
  *     
  *     Address:
  *       type: object
@@ -138,6 +336,12 @@ class AuthController {
    *     summary: Registrar nuevo usuario
    *     tags: [Auth]
    *     security: []
+   *     parameters:
+   *       - in: header
+   *         name: X-Cart-Token
+   *         schema:
+   *           type: string
+   *         description: Token del carrito de invitado a fusionar (opcional; también se lee la cookie cart_token)
    *     requestBody:
    *       required: true
    *       content:
@@ -187,8 +391,12 @@ class AuthController {
       return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
     }
 
-    const result = await AuthService.register(value);
-    
+    const result = await AuthService.registerUser(value, {
+      ...getClientContext(req),
+      guestCartId: getGuestIdFromRequest(req)
+    });
+    clearMergedCartToken(res, result);
+
     res.status(201).success(result, 'Usuario registrado exitosamente');
   });
 
@@ -197,8 +405,15 @@ class AuthController {
    * /api/auth/login:
    *   post:
    *     summary: Iniciar sesión
+   *     description: Si la cuenta tiene verificación en dos pasos, responde con un TwoFactorChallenge en lugar de tokens; el login se completa en /api/auth/login/2fa.
    *     tags: [Auth]
    *     security: []
+   *     parameters:
+   *       - in: header
+   *         name: X-Cart-Token
+   *         schema:
+   *           type: string
+   *         description: Token del carrito de invitado a fusionar (opcional; también se lee la cookie cart_token)
    *     requestBody:
    *       required: true
    *       content:
@@ -207,7 +422,7 @@ class AuthController {
    *             $ref: '#/components/schemas/LoginRequest'
    *     responses:
    *       200:
-   *         description: Login exitoso
+   *         description: Login exitoso, o código de verificación requerido
    *         content:
    *           application/json:
    *             schema:
@@ -217,7 +432,9 @@ class AuthController {
    *                   type: boolean
    *                   example: true
    *                 data:
-   *                   $ref: '#/components/schemas/AuthResponse'
+   *                   oneOf:
+   *                     - $ref: '#/components/schemas/AuthResponse'
+   *                     - $ref: '#/components/schemas/TwoFactorChallenge'
    *                 message:
    *                   type: string
    *                   example: Login exitoso
@@ -227,6 +444,12 @@ class AuthController {
    *           application/json:
    *             schema:
    *               $ref: '#/components/schemas/Error'
+   *       429:
+   *         description: Cuenta bloqueada (ACCOUNT_LOCKED) o en espera (LOGIN_THROTTLED) por intentos fallidos; details.retryAfter indica los segundos a esperar
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Error'
    *       403:
    *         description: Cuenta desactivada
    *         content:
@@ -234,20 +457,533 @@ class AuthController {
    *             schema:
    *               $ref: '#/components/schemas/Error'
    */
-  static login = asyncHandler(async (req, res) => {
-    const loginSchema = Joi.object({
-      email: Joi.string().email().required(),
-      password: Joi.string().required()
+  static login = asyncHandler(async (req, res) => {
+    const loginSchema = Joi.object({
+      email: Joi.string().email().required(),
+      password: Joi.string().required(),
+      deviceName: Joi.string().max(100).optional()
+    });
+
+    const { error, value } = loginSchema.validate(req.body);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const result = await AuthService.loginUser(value, {
+      ...getClientContext(req, value.deviceName),
+      guestCartId: getGuestIdFromRequest(req)
+    });
+
+    if (result.mfaRequired) {
+      return res.success(result, 'Ingresa el código de verificación para completar el inicio de sesión');
+    }
+
+    clearMergedCartToken(res, result);
+
+    res.success(result, 'Login exitoso');
+  });
+
+  /**
+   * @swagger
+   * /api/auth/login/2fa:
+   *   post:
+   *     summary: Completar el inicio de sesión con el segundo factor
+   *     description: Recibe el mfaToken del login y un código TOTP de la app o un código de recuperación (cada uno sirve una sola vez). La sesión creada queda marcada como verificada con 2FA.
+   *     tags: [Auth]
+   *     security: []
+   *     parameters:
+   *       - in: header
+   *         name: X-Cart-Token
+   *         schema:
+   *           type: string
+   *         description: Token del carrito de invitado a fusionar (opcional; también se lee la cookie cart_token)
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - mfaToken
+   *             properties:
+   *               mfaToken:
+   *                 type: string
+   *               code:
+   *                 type: string
+   *                 description: Código de 6 dígitos de la app autenticadora
+   *                 example: '123456'
+   *               recoveryCode:
+   *                 type: string
+   *                 description: Código de recuperación (en lugar de code)
+   *                 example: 3f9a1-c0b7e
+   *               deviceName:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Login exitoso
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 data:
+   *                   $ref: '#/components/schemas/AuthResponse'
+   *       401:
+   *         description: Token de verificación expirado o código incorrecto
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Error'
+   *       429:
+   *         description: Cuenta bloqueada o en espera por intentos fallidos
+   */
+  static loginTwoFactor = asyncHandler(async (req, res) => {
+    const loginTwoFactorSchema = Joi.object({
+      mfaToken: Joi.string().required(),
+      code: totpCode,
+      recoveryCode: Joi.string().trim().max(20),
+      deviceName: Joi.string().max(100).optional()
+    }).xor('code', 'recoveryCode');
+
+    const { error, value } = loginTwoFactorSchema.validate(req.body);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const result = await AuthService.completeTwoFactorLogin(
+      value.mfaToken,
+      { code: value.code, recoveryCode: value.recoveryCode },
+      {
+        ...getClientContext(req, value.deviceName),
+        guestCartId: getGuestIdFromRequest(req)
+      }
+    );
+    clearMergedCartToken(res, result);
+
+    res.success(result, 'Login exitoso');
+  });
+
+  /**
+   * @swagger
+   * /api/auth/refresh:
+   *   post:
+   *     summary: Renovar el token de acceso
+   *     description: El refresh token es de un solo uso; la respuesta incluye uno nuevo. Presentar un refresh token ya usado revoca la sesión completa.
+   *     tags: [Auth]
+   *     security: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - refreshToken
+   *             properties:
+   *               refreshToken:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Tokens renovados exitosamente
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 data:
+   *                   $ref: '#/components/schemas/AuthResponse'
+   *       401:
+   *         description: Refresh token inválido, expirado o reutilizado
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Error'
+   */
+  static refresh = asyncHandler(async (req, res) => {
+    const refreshSchema = Joi.object({
+      refreshToken: Joi.string().required()
+    });
+
+    const { error, value } = refreshSchema.validate(req.body);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const result = await AuthService.refreshTokens(value.refreshToken, getClientContext(req));
+
+    res.success(result, 'Tokens renovados exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/auth/logout:
+   *   post:
+   *     summary: Cerrar la sesión actual
+   *     description: Revoca la sesión del token usado; el token de acceso y el refresh token dejan de ser válidos de inmediato.
+   *     tags: [Auth]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Sesión cerrada exitosamente
+   *       401:
+   *         description: Token no válido
+   */
+  static logout = asyncHandler(async (req, res) => {
+    const result = await AuthService.logoutUser(req.user.id, req.sessionId);
+
+    res.success(result, 'Sesión cerrada exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/auth/sessions:
+   *   get:
+   *     summary: Listar sesiones activas del usuario
+   *     tags: [Auth]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Sesiones obtenidas exitosamente
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/Session'
+   */
+  static getSessions = asyncHandler(async (req, res) => {
+    const sessions = await AuthService.getUserSessions(req.user.id, req.sessionId);
+
+    res.success(sessions, 'Sesiones obtenidas exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/auth/sessions/{sessionId}:
+   *   delete:
+   *     summary: Cerrar una sesión del usuario (p. ej. otro dispositivo)
+   *     tags: [Auth]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: sessionId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Sesión cerrada exitosamente
+   *       404:
+   *         description: Sesión no encontrada o ya cerrada
+   */
+  static revokeSession = asyncHandler(async (req, res) => {
+    const { error } = objectId.required().validate(req.params.sessionId);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const result = await AuthService.revokeUserSession(req.user.id, req.params.sessionId);
+
+    res.success(result, 'Sesión cerrada exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/auth/login-history:
+   *   get:
+   *     summary: Historial de inicios de sesión de la cuenta
+   *     description: Intentos exitosos y fallidos, incluidos los marcados como dispositivo nuevo.
+   *     tags: [Auth]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 20
+   *           maximum: 100
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [success, failure]
+   *       - in: query
+   *         name: newDevice
+   *         schema:
+   *           type: boolean
+   *     responses:
+   *       200:
+   *         description: Historial obtenido exitosamente
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/LoginEvent'
+   *                 pagination:
+   *                   type: object
+   */
+  static getLoginHistory = asyncHandler(async (req, res) => {
+    const historySchema = Joi.object({
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(100).default(20),
+      status: Joi.string().valid('success', 'failure').optional(),
+      newDevice: Joi.boolean().optional()
+    });
+
+    const { error, value } = historySchema.validate(req.query);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const result = await AuthService.getLoginHistory(
+      req.user.id,
+      {
+        success: value.status ? value.status === 'success' : undefined,
+        newDevice: value.newDevice
+      },
+      { page: value.page, limit: value.limit }
+    );
+
+    res.success(result.events, 'Historial de inicios de sesión obtenido exitosamente', result.pagination);
+  });
+
+  /**
+   * @swagger
+   * /api/auth/2fa:
+   *   get:
+   *     summary: Estado de la verificación en dos pasos
+   *     tags: [Auth]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Estado obtenido exitosamente
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 data:
+   *                   $ref: '#/components/schemas/TwoFactorStatus'
+   */
+  static getTwoFactorStatus = asyncHandler(async (req, res) => {
+    const status = await AuthService.getTwoFactorStatus(req.user.id);
+
+    res.success(status, 'Estado de verificación en dos pasos obtenido');
+  });
+
+  /**
+   * @swagger
+   * /api/auth/2fa/setup:
+   *   post:
+   *     summary: Iniciar la activación de la verificación en dos pasos
+   *     description: Genera un secreto nuevo y su URI otpauth para el código QR. 2FA no se activa hasta confirmar un código en /api/auth/2fa/enable; repetir este paso reemplaza el secreto pendiente.
+   *     tags: [Auth]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Secreto generado
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 data:
+   *                   $ref: '#/components/schemas/TwoFactorSetup'
+   *       400:
+   *         description: La verificación en dos pasos ya está activa
+   */
+  static setupTwoFactor = asyncHandler(async (req, res) => {
+    const result = await AuthService.startTwoFactorSetup(req.user.id);
+
+    res.success(result, 'Escanea el código QR con tu app autenticadora y confirma con un código');
+  });
+
+  /**
+   * @swagger
+   * /api/auth/2fa/enable:
+   *   post:
+   *     summary: Confirmar el código y activar la verificación en dos pasos
+   *     description: Devuelve los códigos de recuperación una única vez. La sesión actual queda verificada con 2FA.
+   *     tags: [Auth]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - code
+   *             properties:
+   *               code:
+   *                 type: string
+   *                 example: '123456'
+   *     responses:
+   *       200:
+   *         description: Verificación en dos pasos activada
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     enabled:
+   *                       type: boolean
+   *                     enabledAt:
+   *                       type: string
+   *                       format: date-time
+   *                     recoveryCodes:
+   *                       type: array
+   *                       items:
+   *                         type: string
+   *       400:
+   *         description: Código incorrecto o configuración no iniciada
+   */
+  static enableTwoFactor = asyncHandler(async (req, res) => {
+    const enableSchema = Joi.object({
+      code: totpCode.required()
+    });
+
+    const { error, value } = enableSchema.validate(req.body);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const result = await AuthService.enableTwoFactor(req.user.id, value.code, req.sessionId);
+
+    res.success(result, 'Verificación en dos pasos activada. Guarda tus códigos de recuperación.');
+  });
+
+  /**
+   * @swagger
+   * /api/auth/2fa/disable:
+   *   post:
+   *     summary: Desactivar la verificación en dos pasos
+   *     description: Requiere la contraseña y un código de la app o de recuperación. No disponible para roles que deben usar 2FA.
+   *     tags: [Auth]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - password
+   *             properties:
+   *               password:
+   *                 type: string
+   *               code:
+   *                 type: string
+   *               recoveryCode:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Verificación en dos pasos desactivada
+   *       400:
+   *         description: Contraseña o código incorrecto
+   *       403:
+   *         description: El rol del usuario requiere 2FA
+   */
+  static disableTwoFactor = asyncHandler(async (req, res) => {
+    const disableSchema = Joi.object({
+      password: Joi.string().required(),
+      code: totpCode,
+      recoveryCode: Joi.string().trim().max(20)
+    }).xor('code', 'recoveryCode');
+
+    const { error, value } = disableSchema.validate(req.body);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const result = await AuthService.disableTwoFactor(req.user.id, value);
+
+    res.success(result, result.message);
+  });
+
+  /**
+   * @swagger
+   * /api/auth/2fa/recovery-codes:
+   *   post:
+   *     summary: Generar nuevos códigos de recuperación
+   *     description: Invalida los códigos anteriores. Requiere un código de la app autenticadora.
+   *     tags: [Auth]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - code
+   *             properties:
+   *               code:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Códigos generados
+   *       400:
+   *         description: Código incorrecto o 2FA no activo
+   */
+  static regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+    const regenerateSchema = Joi.object({
+      code: totpCode.required()
     });
 
-    const { error, value } = loginSchema.validate(req.body);
+    const { error, value } = regenerateSchema.validate(req.body);
     if (error) {
       return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
     }
 
-    const result = await AuthService.login(value.email, value.password);
-    
-    res.success(result, 'Login exitoso');
+    const result = await AuthService.regenerateRecoveryCodes(req.user.id, value.code);
+
+    res.success(result, 'Códigos de recuperación generados. Los anteriores ya no son válidos.');
   });
 
   /**
@@ -283,7 +1019,7 @@ class AuthController {
    */
   static getProfile = asyncHandler(async (req, res) => {
     const userId = req.user.id;
-    const user = await AuthService.getUserById(userId);
+    const user = await AuthService.getUserProfile(userId);
     
     res.success({ user }, 'Perfil obtenido exitosamente');
   });
@@ -349,7 +1085,7 @@ class AuthController {
     }
 
     const userId = req.user.id;
-    const updatedUser = await AuthService.updateProfile(userId, value);
+    const updatedUser = await AuthService.updateUserProfile(userId, value);
     
     res.success({ user: updatedUser }, 'Perfil actualizado exitosamente');
   });
@@ -359,6 +1095,7 @@ class AuthController {
    * /api/auth/change-password:
    *   put:
    *     summary: Cambiar contraseña
+   *     description: Cierra todas las sesiones abiertas y devuelve tokens de una sesión nueva para el dispositivo actual.
    *     tags: [Auth]
    *     security:
    *       - bearerAuth: []
@@ -390,6 +1127,8 @@ class AuthController {
    *                 success:
    *                   type: boolean
    *                   example: true
+   *                 data:
+   *                   $ref: '#/components/schemas/AuthResponse'
    *                 message:
    *                   type: string
    *                   example: Contraseña cambiada exitosamente
@@ -412,9 +1151,157 @@ class AuthController {
     }
 
     const userId = req.user.id;
-    await AuthService.changePassword(userId, value.currentPassword, value.newPassword);
+    const result = await AuthService.changePassword(userId, value, {
+      ...getClientContext(req),
+      mfaVerified: req.mfaVerified
+    });
     
-    res.success(null, 'Contraseña cambiada exitosamente');
+    res.success(result, 'Contraseña cambiada exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/auth/forgot-password:
+   *   post:
+   *     summary: Solicitar enlace para restablecer la contraseña
+   *     description: Envía por email un enlace de un solo uso. La respuesta es la misma exista o no la cuenta.
+   *     tags: [Auth]
+   *     security: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - email
+   *             properties:
+   *               email:
+   *                 type: string
+   *                 format: email
+   *     responses:
+   *       200:
+   *         description: Solicitud recibida
+   */
+  static forgotPassword = asyncHandler(async (req, res) => {
+    const forgotSchema = Joi.object({
+      email: Joi.string().email().required()
+    });
+
+    const { error, value } = forgotSchema.validate(req.body);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const result = await AuthService.requestPasswordReset(value.email);
+
+    res.success(result, result.message);
+  });
+
+  /**
+   * @swagger
+   * /api/auth/reset-password:
+   *   post:
+   *     summary: Restablecer la contraseña con el token recibido por email
+   *     description: El token es de un solo uso. Al restablecer se cierran todas las sesiones del usuario.
+   *     tags: [Auth]
+   *     security: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - token
+   *               - newPassword
+   *             properties:
+   *               token:
+   *                 type: string
+   *               newPassword:
+   *                 type: string
+   *                 minLength: 6
+   *     responses:
+   *       200:
+   *         description: Contraseña actualizada exitosamente
+   *       400:
+   *         description: Token inválido, usado o expirado
+   */
+  static resetPassword = asyncHandler(async (req, res) => {
+    const resetSchema = Joi.object({
+      token: Joi.string().required(),
+      newPassword: Joi.string().min(6).required()
+    });
+
+    const { error, value } = resetSchema.validate(req.body);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const result = await AuthService.resetPassword(value.token, value.newPassword);
+
+    res.success(result, 'Contraseña actualizada exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/auth/verify-email:
+   *   post:
+   *     summary: Confirmar el email con el token recibido
+   *     tags: [Auth]
+   *     security: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - token
+   *             properties:
+   *               token:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Email verificado exitosamente; claimedOrders indica cuántas compras de invitado con ese email se vincularon a la cuenta
+   *       400:
+   *         description: Token inválido, usado o expirado
+   */
+  static verifyEmail = asyncHandler(async (req, res) => {
+    const verifySchema = Joi.object({
+      token: Joi.string().required()
+    });
+
+    const { error, value } = verifySchema.validate(req.body);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const result = await AuthService.verifyEmail(value.token);
+
+    res.success(result, 'Email verificado exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/auth/verify-email/resend:
+   *   post:
+   *     summary: Reenviar el enlace de verificación de email
+   *     tags: [Auth]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Enlace enviado
+   *       400:
+   *         description: El email ya está verificado
+   *       503:
+   *         description: No se pudo enviar el email
+   */
+  static resendVerification = asyncHandler(async (req, res) => {
+    const result = await AuthService.resendVerificationEmail(req.user.id);
+
+    res.success(result, result.message);
   });
 
   /**
@@ -446,7 +1333,7 @@ class AuthController {
    */
   static getAddresses = asyncHandler(async (req, res) => {
     const userId = req.user.id;
-    const user = await AuthService.getUserById(userId);
+    const user = await AuthService.getUserProfile(userId);
     
     res.success(user.addresses || [], 'Direcciones obtenidas exitosamente');
   });
@@ -596,10 +1483,235 @@ class AuthController {
   static removeAddress = asyncHandler(async (req, res) => {
     const userId = req.user.id;
     const addressId = req.params.addressId;
-    await AuthService.removeAddress(userId, addressId);
+    await AuthService.deleteAddress(userId, addressId);
     
     res.success(null, 'Dirección eliminada exitosamente');
   });
+
+  /**
+   * @swagger
+   * /api/auth/me/export:
+   *   post:
+   *     summary: Solicitar una exportación de mis datos personales
+   *     description: |
+   *       Genera en segundo plano un archivo con el perfil, direcciones, órdenes, devoluciones,
+   *       reseñas, posts, comentarios, reacciones, seguidores, lista de deseos e historial de
+   *       inicios de sesión. Se envía un email cuando está listo; el archivo se descarga desde
+   *       /api/auth/me/exports/{exportId}/download y expira a las 72 horas.
+   *     tags: [Auth]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               format:
+   *                 type: string
+   *                 enum: [json, zip]
+   *                 default: zip
+   *     responses:
+   *       202:
+   *         description: Exportación en proceso
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   $ref: '#/components/schemas/DataExport'
+   *       409:
+   *         description: Ya hay una exportación en proceso
+   *       429:
+   *         description: Se solicitó otra exportación hace poco
+   */
+  static requestDataExport = asyncHandler(async (req, res) => {
+    const exportSchema = Joi.object({
+      format: Joi.string().valid('json', 'zip').default('zip')
+    });
+
+    const { error, value } = exportSchema.validate(req.body || {});
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const dataExport = await AuthService.requestDataExport(req.user.id, value);
+
+    res.status(202).success(dataExport, 'Estamos preparando tu archivo. Te avisaremos por email cuando esté listo.');
+  });
+
+  /**
+   * @swagger
+   * /api/auth/me/exports:
+   *   get:
+   *     summary: Listar mis exportaciones de datos
+   *     tags: [Auth]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Exportaciones obtenidas exitosamente
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/DataExport'
+   */
+  static getDataExports = asyncHandler(async (req, res) => {
+    const exports = await AuthService.getDataExports(req.user.id);
+
+    res.success(exports, 'Exportaciones obtenidas exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/auth/me/exports/{exportId}/download:
+   *   get:
+   *     summary: Descargar una exportación de datos
+   *     tags: [Auth]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: exportId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Archivo de la exportación
+   *         content:
+   *           application/zip:
+   *             schema:
+   *               type: string
+   *               format: binary
+   *           application/json:
+   *             schema:
+   *               type: object
+   *       404:
+   *         description: Exportación no encontrada
+   *       409:
+   *         description: La exportación todavía no está lista
+   *       410:
+   *         description: La exportación expiró
+   */
+  static downloadDataExport = asyncHandler(async (req, res) => {
+    const { error } = objectId.validate(req.params.exportId);
+    if (error) {
+      return res.error('ID de exportación inválido', 400, 'VALIDATION_ERROR');
+    }
+
+    const file = await AuthService.getDataExportFile(req.user.id, req.params.exportId);
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+    res.setHeader('Cache-Control', 'no-store');
+    res.send(file.buffer);
+  });
+
+  /**
+   * @swagger
+   * /api/auth/me:
+   *   delete:
+   *     summary: Solicitar la eliminación de mi cuenta
+   *     description: |
+   *       Programa la eliminación al terminar el periodo de gracia (30 días). Después se
+   *       anonimizan los datos personales; las órdenes se conservan por obligaciones fiscales.
+   *       Requiere la contraseña y, si está activa, un código de verificación en dos pasos.
+   *     tags: [Auth]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - password
+   *             properties:
+   *               password:
+   *                 type: string
+   *               code:
+   *                 type: string
+   *               recoveryCode:
+   *                 type: string
+   *               reason:
+   *                 type: string
+   *                 maxLength: 500
+   *     responses:
+   *       202:
+   *         description: Eliminación programada
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     requestedAt:
+   *                       type: string
+   *                       format: date-time
+   *                     scheduledFor:
+   *                       type: string
+   *                       format: date-time
+   *       400:
+   *         description: Contraseña o código incorrecto
+   *       409:
+   *         description: Ya hay una eliminación programada o es el único administrador
+   */
+  static requestAccountDeletion = asyncHandler(async (req, res) => {
+    const deletionSchema = Joi.object({
+      password: Joi.string().required(),
+      code: totpCode,
+      recoveryCode: Joi.string().trim().max(20),
+      reason: Joi.string().trim().max(500).allow('')
+    }).oxor('code', 'recoveryCode');
+
+    const { error, value } = deletionSchema.validate(req.body);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const result = await AuthService.requestAccountDeletion(req.user.id, value);
+
+    res.status(202).success(
+      { requestedAt: result.requestedAt, scheduledFor: result.scheduledFor },
+      result.message
+    );
+  });
+
+  /**
+   * @swagger
+   * /api/auth/me/deletion/cancel:
+   *   post:
+   *     summary: Cancelar la eliminación programada de mi cuenta
+   *     tags: [Auth]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Eliminación cancelada
+   *       400:
+   *         description: No hay una eliminación programada
+   */
+  static cancelAccountDeletion = asyncHandler(async (req, res) => {
+    const result = await AuthService.cancelAccountDeletion(req.user.id);
+
+    res.success(null, result.message);
+  });
 }
 
 module.exports = AuthController; 
\ No newline at end of file
@@ -1,5 +1,6 @@
 const CartService = require('../services/cartService');
-const { asyncHandler, AppError } = require('../middlewares/errorHandler');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { getGuestIdFromRequest, clearCartToken } = require('../middlewares/cart');
 const Joi = require('joi');
 
 /**
@@ -12,6 +13,10 @@ const Joi = require('joi');
  *         productId:
  *           type: string
  *           description: ID del producto
+ *         variantId:
+ *           type: string
+ *           nullable: true
+ *           description: ID de la variante elegida (si el producto tiene variantes)
  *         quantity:
  *           type: integer
  *           minimum: 1
@@ -46,7 +51,11 @@ const Joi = require('joi');
  *           description: ID único del carrito
  *         userId:
  *           type: string
- *           description: ID del usuario propietario
+ *           nullable: true
+ *           description: ID del usuario propietario (null en carritos de invitado)
+ *         isGuest:
+ *           type: boolean
+ *           description: Si es un carrito de invitado
  *         items:
  *           type: array
  *           items:
@@ -74,11 +83,76 @@ const Joi = require('joi');
  *         productId:
  *           type: string
  *           description: ID del producto
+ *         variantId:
+ *           type: string
+ *           description: ID de la variante (requerido si el producto tiene variantes)
  *         quantity:
  *           type: integer
  *           minimum: 1
  *           description: Cantidad a agregar
  *     
+ *     CartMergeReport:
+ *       type: object
+ *       description: Detalle de la fusión del carrito de invitado con el del usuario
+ *       properties:
+ *         lines:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               productId:
+ *                 type: string
+ *               variantId:
+ *                 type: string
+ *                 nullable: true
+ *               productName:
+ *                 type: string
+ *               variantLabel:
+ *                 type: string
+ *                 nullable: true
+ *               action:
+ *                 type: string
+ *                 enum: [added, merged, removed]
+ *               requestedQuantity:
+ *                 type: integer
+ *                 description: Cantidad que traía el carrito de invitado
+ *               quantity:
+ *                 type: integer
+ *                 description: Cantidad final de la línea en el carrito del usuario
+ *               reason:
+ *                 type: string
+ *                 description: Código del motivo (solo si se descartó)
+ *               message:
+ *                 type: string
+ *               adjustments:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                       enum: [quantity_capped, price_updated]
+ *                     message:
+ *                       type: string
+ *                     requestedQuantity:
+ *                       type: integer
+ *                     availableStock:
+ *                       type: integer
+ *                     oldPrice:
+ *                       type: number
+ *                     newPrice:
+ *                       type: number
+ *         promotionCodesAdded:
+ *           type: array
+ *           items:
+ *             type: string
+ *         mergedCount:
+ *           type: integer
+ *         adjustedCount:
+ *           type: integer
+ *         removedCount:
+ *           type: integer
+ *
  *     UpdateCartItemRequest:
  *       type: object
  *       required:
@@ -100,10 +174,11 @@ class CartController {
    * @swagger
    * /api/cart:
    *   get:
-   *     summary: Obtener carrito del usuario autenticado
+   *     summary: Obtener carrito del usuario o del invitado
    *     tags: [Cart]
    *     security:
    *       - bearerAuth: []
+   *       - cartToken: []
    *     responses:
    *       200:
    *         description: Carrito obtenido exitosamente
@@ -124,7 +199,7 @@ class CartController {
    *         description: No autorizado
    */
   static getCart = asyncHandler(async (req, res) => {
-    const cart = await CartService.getCart(req.user.id);
+    const cart = await CartService.getOrCreateCart(req.cartOwner);
     
     res.success(cart, 'Carrito obtenido exitosamente');
   });
@@ -137,6 +212,7 @@ class CartController {
    *     tags: [Cart]
    *     security:
    *       - bearerAuth: []
+   *       - cartToken: []
    *     requestBody:
    *       required: true
    *       content:
@@ -169,6 +245,7 @@ class CartController {
   static addToCart = asyncHandler(async (req, res) => {
     const addToCartSchema = Joi.object({
       productId: Joi.string().required(),
+      variantId: Joi.string().optional(),
       quantity: Joi.number().integer().min(1).required()
     });
 
@@ -177,26 +254,27 @@ class CartController {
       return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
     }
 
-    const cart = await CartService.addToCart(req.user.id, value.productId, value.quantity);
+    const cart = await CartService.addToCart(req.cartOwner, value);
     
     res.success(cart, 'Producto agregado al carrito exitosamente');
   });
 
   /**
    * @swagger
-   * /api/cart/items/{productId}:
+   * /api/cart/items/{itemId}:
    *   put:
    *     summary: Actualizar cantidad de producto en el carrito
    *     tags: [Cart]
    *     security:
    *       - bearerAuth: []
+   *       - cartToken: []
    *     parameters:
    *       - in: path
-   *         name: productId
+   *         name: itemId
    *         required: true
    *         schema:
    *           type: string
-   *         description: ID del producto
+   *         description: ID de la línea del carrito
    *     requestBody:
    *       required: true
    *       content:
@@ -236,26 +314,27 @@ class CartController {
       return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
     }
 
-    const cart = await CartService.updateCartItem(req.user.id, req.params.productId, value.quantity);
+    const cart = await CartService.updateCartItem(req.cartOwner, req.params.itemId, value);
     
     res.success(cart, 'Cantidad actualizada exitosamente');
   });
 
   /**
    * @swagger
-   * /api/cart/items/{productId}:
+   * /api/cart/items/{itemId}:
    *   delete:
    *     summary: Eliminar producto del carrito
    *     tags: [Cart]
    *     security:
    *       - bearerAuth: []
+   *       - cartToken: []
    *     parameters:
    *       - in: path
-   *         name: productId
+   *         name: itemId
    *         required: true
    *         schema:
    *           type: string
-   *         description: ID del producto
+   *         description: ID de la línea del carrito
    *     responses:
    *       200:
    *         description: Producto eliminado del carrito exitosamente
@@ -278,7 +357,7 @@ class CartController {
    *         description: No autorizado
    */
   static removeFromCart = asyncHandler(async (req, res) => {
-    const cart = await CartService.removeFromCart(req.user.id, req.params.productId);
+    const cart = await CartService.removeFromCart(req.cartOwner, req.params.itemId);
     
     res.success(cart, 'Producto eliminado del carrito exitosamente');
   });
@@ -291,6 +370,7 @@ class CartController {
    *     tags: [Cart]
    *     security:
    *       - bearerAuth: []
+   *       - cartToken: []
    *     responses:
    *       200:
    *         description: Carrito vaciado exitosamente
@@ -311,7 +391,7 @@ class CartController {
    *         description: No autorizado
    */
   static clearCart = asyncHandler(async (req, res) => {
-    const cart = await CartService.clearCart(req.user.id);
+    const cart = await CartService.clearCart(req.cartOwner);
     
     res.success(cart, 'Carrito vaciado exitosamente');
   });
@@ -324,6 +404,7 @@ class CartController {
    *     tags: [Cart]
    *     security:
    *       - bearerAuth: []
+   *       - cartToken: []
    *     responses:
    *       200:
    *         description: Carrito validado exitosamente
@@ -366,7 +447,7 @@ class CartController {
    *         description: No autorizado
    */
   static validateCart = asyncHandler(async (req, res) => {
-    const validation = await CartService.validateCart(req.user.id);
+    const validation = await CartService.validateCart(req.cartOwner);
     
     res.success(validation, 'Carrito validado exitosamente');
   });
@@ -375,18 +456,21 @@ class CartController {
    * @swagger
    * /api/cart/merge:
    *   post:
-   *     summary: Fusionar carrito con datos locales
+   *     summary: Fusionar el carrito de invitado y los datos locales con el del usuario
+   *     description: |
+   *       Integra el carrito del token de invitado (X-Cart-Token o cookie cart_token)
+   *       y los productos enviados en `items`. Las cantidades se suman hasta el stock
+   *       disponible, el precio se actualiza al vigente y las líneas no disponibles se
+   *       descartan; cada ajuste se detalla en el reporte. El login y el registro hacen
+   *       esta fusión automáticamente cuando reciben el token de invitado.
    *     tags: [Cart]
    *     security:
    *       - bearerAuth: []
    *     requestBody:
-   *       required: true
    *       content:
    *         application/json:
    *           schema:
    *             type: object
-   *             required:
-   *               - items
    *             properties:
    *               items:
    *                 type: array
@@ -398,6 +482,8 @@ class CartController {
    *                   properties:
    *                     productId:
    *                       type: string
+   *                     variantId:
+   *                       type: string
    *                     quantity:
    *                       type: integer
    *                       minimum: 1
@@ -413,7 +499,12 @@ class CartController {
    *                   type: boolean
    *                   example: true
    *                 data:
-   *                   $ref: '#/components/schemas/Cart'
+   *                   type: object
+   *                   properties:
+   *                     cart:
+   *                       $ref: '#/components/schemas/Cart'
+   *                     report:
+   *                       $ref: '#/components/schemas/CartMergeReport'
    *                 message:
    *                   type: string
    *                   example: Carrito fusionado exitosamente
@@ -426,25 +517,36 @@ class CartController {
     const mergeSchema = Joi.object({
       items: Joi.array().items(
         Joi.object({
-          productId: Joi.string().required(),
+          productId: Joi.string().hex().length(24).required(),
+          variantId: Joi.string().hex().length(24).optional(),
           quantity: Joi.number().integer().min(1).required()
         })
-      ).required()
+      ).default([])
     });
 
-    const { error, value } = mergeSchema.validate(req.body);
+    const { error, value } = mergeSchema.validate(req.body || {});
     if (error) {
       return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
     }
 
-    const cart = await CartService.mergeCart(req.user.id, value.items);
-    
-    res.success(cart, 'Carrito fusionado exitosamente');
+    const guestId = getGuestIdFromRequest(req);
+    const result = await CartService.mergeCart(req.user._id, { guestId, items: value.items });
+
+    if (guestId) {
+      clearCartToken(res);
+    }
+
+    if (!result) {
+      const cart = await CartService.getOrCreateCart({ userId: req.user._id });
+      return res.success({ cart, report: null }, 'No había productos para fusionar');
+    }
+
+    res.success(result, 'Carrito fusionado exitosamente');
   });
 
   /**
    * @swagger
-   * /api/cart/items/{productId}/move-to-wishlist:
+   * /api/cart/items/{itemId}/move-to-wishlist:
    *   post:
    *     summary: Mover producto del carrito a la lista de deseos
    *     tags: [Cart]
@@ -452,11 +554,11 @@ class CartController {
    *       - bearerAuth: []
    *     parameters:
    *       - in: path
-   *         name: productId
+   *         name: itemId
    *         required: true
    *         schema:
    *           type: string
-   *         description: ID del producto
+   *         description: ID de la línea del carrito
    *     responses:
    *       200:
    *         description: Producto movido a lista de deseos exitosamente
@@ -484,7 +586,7 @@ class CartController {
    *         description: No autorizado
    */
   static moveToWishlist = asyncHandler(async (req, res) => {
-    const result = await CartService.moveToWishlist(req.user.id, req.params.productId);
+    const result = await CartService.moveToWishlist(req.user._id, req.params.itemId);
     
     res.success(result, 'Producto movido a lista de deseos exitosamente');
   });
@@ -497,6 +599,7 @@ class CartController {
    *     tags: [Cart]
    *     security:
    *       - bearerAuth: []
+   *       - cartToken: []
    *     responses:
    *       200:
    *         description: Resumen del carrito obtenido exitosamente
@@ -517,6 +620,18 @@ class CartController {
    *                     totalAmount:
    *                       type: number
    *                       description: Total del carrito
+   *                     discountAmount:
+   *                       type: number
+   *                       description: Descuento estimado de las promociones aplicadas
+   *                     discounts:
+   *                       type: array
+   *                       items:
+   *                         type: object
+   *                     rejectedPromotions:
+   *                       type: array
+   *                       description: Códigos aplicados que ya no son válidos
+   *                       items:
+   *                         type: object
    *                     itemCount:
    *                       type: integer
    *                       description: Número de productos únicos
@@ -534,11 +649,181 @@ class CartController {
    *         description: No autorizado
    */
   static getCartSummary = asyncHandler(async (req, res) => {
-    const summary = await CartService.getCartSummary(req.user.id);
+    const summary = await CartService.getCartSummary(req.cartOwner);
     
     res.success(summary, 'Resumen del carrito obtenido exitosamente');
   });
 
+  /**
+   * @swagger
+   * /api/cart/shipping-quote:
+   *   post:
+   *     summary: Cotizar envío del carrito por paquetería
+   *     tags: [Cart]
+   *     security:
+   *       - bearerAuth: []
+   *       - cartToken: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - shippingAddress
+   *             properties:
+   *               shippingAddress:
+   *                 type: object
+   *                 properties:
+   *                   street:
+   *                     type: string
+   *                   city:
+   *                     type: string
+   *                   state:
+   *                     type: string
+   *                   zipCode:
+   *                     type: string
+   *                   country:
+   *                     type: string
+   *     responses:
+   *       200:
+   *         description: Opciones de envío ordenadas por costo
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     subtotal:
+   *                       type: number
+   *                     options:
+   *                       type: array
+   *                       items:
+   *                         type: object
+   *                         properties:
+   *                           rateId:
+   *                             type: string
+   *                             description: Enviar como shippingRateId al crear la orden
+   *                           carrier:
+   *                             type: string
+   *                           name:
+   *                             type: string
+   *                           cost:
+   *                             type: number
+   *                           shippingDiscount:
+   *                             type: number
+   *                           finalCost:
+   *                             type: number
+   *                           billableWeightKg:
+   *                             type: number
+   *                           estimatedDaysMin:
+   *                             type: integer
+   *                           estimatedDaysMax:
+   *                             type: integer
+   *                           estimatedTax:
+   *                             type: number
+   *                           estimatedTotal:
+   *                             type: number
+   *       400:
+   *         description: Carrito vacío o dirección inválida
+   */
+  static getShippingQuote = asyncHandler(async (req, res) => {
+    const quoteSchema = Joi.object({
+      shippingAddress: Joi.object({
+        street: Joi.string().optional(),
+        city: Joi.string().optional(),
+        state: Joi.string().required(),
+        zipCode: Joi.string().optional(),
+        country: Joi.string().required()
+      }).required()
+    });
+
+    const { error, value } = quoteSchema.validate(req.body);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const quote = await CartService.getShippingQuote(req.cartOwner, value.shippingAddress);
+
+    res.success(quote, 'Cotización de envío obtenida exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/cart/coupons:
+   *   post:
+   *     summary: Aplicar código de promoción al carrito
+   *     tags: [Cart]
+   *     security:
+   *       - bearerAuth: []
+   *       - cartToken: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - code
+   *             properties:
+   *               code:
+   *                 type: string
+   *                 example: VERANO10
+   *     responses:
+   *       200:
+   *         description: Código aplicado; devuelve el resumen del carrito con descuentos
+   *       400:
+   *         description: Código vencido, agotado, no aplicable o no combinable
+   *       404:
+   *         description: Código no encontrado
+   */
+  static applyPromotionCode = asyncHandler(async (req, res) => {
+    const applySchema = Joi.object({
+      code: Joi.string().trim().min(2).max(50).required()
+    });
+
+    const { error, value } = applySchema.validate(req.body);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const summary = await CartService.applyPromotionCode(req.cartOwner, value.code);
+
+    res.success(summary, 'Código de promoción aplicado exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/cart/coupons/{code}:
+   *   delete:
+   *     summary: Remover código de promoción del carrito
+   *     tags: [Cart]
+   *     security:
+   *       - bearerAuth: []
+   *       - cartToken: []
+   *     parameters:
+   *       - in: path
+   *         name: code
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Código removido exitosamente
+   *       404:
+   *         description: El código no está aplicado
+   */
+  static removePromotionCode = asyncHandler(async (req, res) => {
+    const summary = await CartService.removePromotionCode(req.cartOwner, req.params.code);
+
+    res.success(summary, 'Código de promoción removido exitosamente');
+  });
+
   /**
    * @swagger
    * /api/cart/items/count:
@@ -547,6 +832,7 @@ class CartController {
    *     tags: [Cart]
    *     security:
    *       - bearerAuth: []
+   *       - cartToken: []
    *     responses:
    *       200:
    *         description: Conteo obtenido exitosamente
@@ -574,7 +860,7 @@ class CartController {
    *         description: No autorizado
    */
   static getCartItemCount = asyncHandler(async (req, res) => {
-    const count = await CartService.getCartItemCount(req.user.id);
+    const count = await CartService.getCartCount(req.cartOwner);
     
     res.success(count, 'Conteo obtenido exitosamente');
   });
@@ -587,6 +873,7 @@ class CartController {
    *     tags: [Cart]
    *     security:
    *       - bearerAuth: []
+   *       - cartToken: []
    *     parameters:
    *       - in: path
    *         name: productId
@@ -624,8 +911,9 @@ class CartController {
    *         description: No autorizado
    */
   static checkProductInCart = asyncHandler(async (req, res) => {
-    const result = await CartService.checkProductInCart(req.user.id, req.params.productId);
-    
+    const quantity = await CartService.getProductQuantityInCart(req.cartOwner, req.params.productId);
+    const result = { inCart: quantity > 0, quantity, productId: req.params.productId };
+
     res.success(result, 'Verificación completada exitosamente');
   });
 }
@@ -1,5 +1,5 @@
 const CategoryService = require('../services/categoryService');
-const { asyncHandler, AppError } = require('../middlewares/errorHandler');
+const { asyncHandler } = require('../middlewares/errorHandler');
 const Joi = require('joi');
 
 /**
@@ -0,0 +1,227 @@
+const DomainEventService = require('../services/domainEventService');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { OUTBOX_STATUS, DOMAIN_EVENTS } = require('../config/constants');
+const Joi = require('joi');
+
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/).message('ID inválido');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DomainEvent:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [OrderPlaced, OrderPaid, OrderStatusChanged, ShipmentStatusChanged, StockAdjusted, CommentCreated, ReactionChanged, UserFollowed]
+ *         aggregateType:
+ *           type: string
+ *           example: Order
+ *         aggregateId:
+ *           type: string
+ *         actorId:
+ *           type: string
+ *           nullable: true
+ *           description: Usuario que provocó el cambio
+ *         status:
+ *           type: string
+ *           enum: [pending, dispatched, failed]
+ *           description: failed = agotó sus intentos de despacho
+ *         attempts:
+ *           type: integer
+ *         occurredAt:
+ *           type: string
+ *           format: date-time
+ *         availableAt:
+ *           type: string
+ *           format: date-time
+ *           description: Siguiente intento de despacho
+ *         dispatchedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         handledBy:
+ *           type: array
+ *           description: Suscriptores que ya lo procesaron
+ *           items:
+ *             type: string
+ *           example: [notifications.order_status, realtime.order_status]
+ *         lastError:
+ *           type: string
+ *           nullable: true
+ *           description: Fallos del último intento, por suscriptor
+ *         payload:
+ *           type: object
+ *           description: Datos del evento; solo en el detalle
+ */
+
+class EventController {
+  /**
+   * @swagger
+   * /api/events:
+   *   get:
+   *     summary: Obtener eventos de dominio del outbox (Admin)
+   *     tags: [Events]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [pending, dispatched, failed]
+   *       - in: query
+   *         name: type
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: aggregateType
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: aggregateId
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 20
+   *     responses:
+   *       200:
+   *         description: Eventos, del más reciente al más antiguo
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/DomainEvent'
+   */
+  static getEvents = asyncHandler(async (req, res) => {
+    const querySchema = Joi.object({
+      status: Joi.string().valid(...Object.values(OUTBOX_STATUS)).optional(),
+      type: Joi.string().valid(...Object.values(DOMAIN_EVENTS)).optional(),
+      aggregateType: Joi.string().trim().max(50).optional(),
+      aggregateId: objectId.optional(),
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(100).default(20)
+    });
+
+    const { error, value } = querySchema.validate(req.query);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const { page, limit, ...filters } = value;
+    const result = await DomainEventService.getEvents(filters, { page, limit });
+
+    res.success(result.events, 'Eventos obtenidos exitosamente', result.pagination);
+  });
+
+  /**
+   * @swagger
+   * /api/events/types:
+   *   get:
+   *     summary: Catálogo de eventos de dominio con sus suscriptores (Admin)
+   *     tags: [Events]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Tipo, agregado, suscriptores y sinks, y conteo por estado de cada evento
+   */
+  static getEventTypes = asyncHandler(async (req, res) => {
+    const types = await DomainEventService.getEventTypes();
+
+    res.success(types, 'Tipos de evento obtenidos exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/events/{eventId}:
+   *   get:
+   *     summary: Detalle de un evento de dominio con su payload (Admin)
+   *     tags: [Events]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: eventId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Evento
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   $ref: '#/components/schemas/DomainEvent'
+   *       404:
+   *         description: Evento no encontrado
+   */
+  static getEventById = asyncHandler(async (req, res) => {
+    const { error } = objectId.validate(req.params.eventId);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const event = await DomainEventService.getEventById(req.params.eventId);
+
+    res.success(event, 'Evento obtenido exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/events/{eventId}/retry:
+   *   post:
+   *     summary: Volver a despachar un evento (Admin)
+   *     description: |
+   *       Los eventos fallidos vuelven a la cola con todos sus intentos; uno pendiente que espera su
+   *       siguiente reintento se adelanta. Solo se ejecutan los suscriptores que aún no lo procesaron.
+   *     tags: [Events]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: eventId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Evento en cola de nuevo
+   *       400:
+   *         description: El evento ya se despachó
+   *       404:
+   *         description: Evento no encontrado
+   *       409:
+   *         description: El evento cambió de estado mientras tanto
+   */
+  static retryEvent = asyncHandler(async (req, res) => {
+    const { error } = objectId.validate(req.params.eventId);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const event = await DomainEventService.retryEvent(req.params.eventId);
+
+    res.success(event, 'Evento en cola de nuevo exitosamente');
+  });
+}
+
+module.exports = EventController;
@@ -7,6 +7,7 @@ const { INVENTORY_TX_TYPES } = require('../config/constants');
 const schemas = {
   createTransaction: Joi.object({
     product: Joi.string().required(),
+    variant: Joi.string().optional(),
     type: Joi.string().valid(...Object.values(INVENTORY_TX_TYPES)).required(),
     quantity: Joi.number().integer().required(),
     reason: Joi.string().max(500).required(),
@@ -47,9 +48,12 @@ const createTransaction = asyncHandler(async (req, res) => {
   const { error, value } = schemas.createTransaction.validate(req.body);
   if (error) throw new AppError(error.details[0].message, 400);
 
+  const { product, variant, ...transactionData } = value;
   const transaction = await inventoryService.createTransaction({
-    ...value,
-    createdBy: req.user._id
+    ...transactionData,
+    productId: product,
+    variantId: variant,
+    performedBy: req.user._id
   });
   
   res.status(201).json({
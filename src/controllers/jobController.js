@@ -0,0 +1,434 @@
+const JobQueueService = require('../services/jobQueueService');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { JOB_STATUS } = require('../config/constants');
+const Joi = require('joi');
+
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/).message('ID inválido');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Job:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: wishlists.clean_unavailable
+ *         status:
+ *           type: string
+ *           enum: [queued, running, completed, dead, cancelled]
+ *           description: dead = agotó sus intentos (cola de fallidos)
+ *         priority:
+ *           type: integer
+ *         attempts:
+ *           type: integer
+ *         maxAttempts:
+ *           type: integer
+ *         runAt:
+ *           type: string
+ *           format: date-time
+ *           description: Cuándo se ejecuta (o reintenta) el trabajo en cola
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         finishedAt:
+ *           type: string
+ *           format: date-time
+ *         lastError:
+ *           type: string
+ *           nullable: true
+ *         lockedBy:
+ *           type: string
+ *           nullable: true
+ *           description: Instancia que lo está ejecutando
+ *         scheduleName:
+ *           type: string
+ *           nullable: true
+ *         data:
+ *           type: object
+ *           description: Solo en el detalle
+ *         result:
+ *           type: object
+ *           description: Resultado del handler; solo en el detalle
+ *         failures:
+ *           type: array
+ *           description: Últimos intentos fallidos; solo en el detalle
+ *           items:
+ *             type: object
+ *             properties:
+ *               attempt:
+ *                 type: integer
+ *               message:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               failedAt:
+ *                 type: string
+ *                 format: date-time
+ *     JobSchedule:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: check-delayed-shipments
+ *         jobName:
+ *           type: string
+ *           example: shipments.check_delayed
+ *         cron:
+ *           type: string
+ *           example: 0 * * * *
+ *           description: Minuto hora día mes día-de-la-semana, en UTC
+ *         description:
+ *           type: string
+ *         isActive:
+ *           type: boolean
+ *         nextRunAt:
+ *           type: string
+ *           format: date-time
+ *         lastRunAt:
+ *           type: string
+ *           format: date-time
+ *         lastJobId:
+ *           type: string
+ */
+
+class JobController {
+  /**
+   * @swagger
+   * /api/jobs:
+   *   get:
+   *     summary: Obtener trabajos en segundo plano (Admin)
+   *     tags: [Jobs]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [queued, running, completed, dead, cancelled]
+   *       - in: query
+   *         name: name
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: scheduleName
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 20
+   *     responses:
+   *       200:
+   *         description: Trabajos, del más reciente al más antiguo
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/Job'
+   */
+  static getJobs = asyncHandler(async (req, res) => {
+    const querySchema = Joi.object({
+      status: Joi.string().valid(...Object.values(JOB_STATUS)).optional(),
+      name: Joi.string().trim().max(100).optional(),
+      scheduleName: Joi.string().trim().max(100).optional(),
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(100).default(20)
+    });
+
+    const { error, value } = querySchema.validate(req.query);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const { page, limit, ...filters } = value;
+    const result = await JobQueueService.getJobs(filters, { page, limit });
+
+    res.success(result.jobs, 'Trabajos obtenidos exitosamente', result.pagination);
+  });
+
+  /**
+   * @swagger
+   * /api/jobs/stats:
+   *   get:
+   *     summary: Conteo de trabajos por tipo y estado (Admin)
+   *     tags: [Jobs]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Conteos y estado del worker de la instancia que responde
+   */
+  static getStats = asyncHandler(async (req, res) => {
+    const stats = await JobQueueService.getStats();
+
+    res.success(stats, 'Estadísticas de trabajos obtenidas exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/jobs/handlers:
+   *   get:
+   *     summary: Obtener los tipos de trabajo registrados (Admin)
+   *     tags: [Jobs]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Nombre, descripción, concurrencia, intentos y timeout de cada tipo
+   */
+  static getHandlers = asyncHandler(async (req, res) => {
+    res.success(JobQueueService.getRegisteredJobs(), 'Tipos de trabajo obtenidos exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/jobs:
+   *   post:
+   *     summary: Encolar un trabajo para ejecutarlo ahora (Admin)
+   *     description: Útil para correr una tarea programada sin esperar a su siguiente ejecución.
+   *     tags: [Jobs]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - name
+   *             properties:
+   *               name:
+   *                 type: string
+   *                 example: follows.clean_inactive
+   *               data:
+   *                 type: object
+   *               priority:
+   *                 type: integer
+   *                 default: 0
+   *     responses:
+   *       201:
+   *         description: Trabajo encolado
+   *       400:
+   *         description: Datos inválidos o trabajo no registrado
+   */
+  static runJob = asyncHandler(async (req, res) => {
+    const runSchema = Joi.object({
+      name: Joi.string().trim().max(100).required(),
+      data: Joi.object().default({}),
+      priority: Joi.number().integer().min(-100).max(100).default(0)
+    });
+
+    const { error, value } = runSchema.validate(req.body);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const { name, data, priority } = value;
+    const job = await JobQueueService.runJob(name, data, { priority, createdBy: req.user._id });
+
+    res.created(job, 'Trabajo encolado exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/jobs/schedules:
+   *   get:
+   *     summary: Obtener las programaciones recurrentes (Admin)
+   *     tags: [Jobs]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Programaciones
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/JobSchedule'
+   */
+  static getSchedules = asyncHandler(async (req, res) => {
+    const schedules = await JobQueueService.getSchedules();
+
+    res.success(schedules, 'Programaciones obtenidas exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/jobs/schedules/{scheduleName}:
+   *   put:
+   *     summary: Pausar, reanudar o cambiar el cron de una programación (Admin)
+   *     tags: [Jobs]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: scheduleName
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               cron:
+   *                 type: string
+   *                 example: 30 6 * * 1-5
+   *               isActive:
+   *                 type: boolean
+   *     responses:
+   *       200:
+   *         description: Programación actualizada (con su siguiente ejecución)
+   *       400:
+   *         description: Expresión cron inválida
+   *       404:
+   *         description: Programación no encontrada
+   */
+  static updateSchedule = asyncHandler(async (req, res) => {
+    const updateSchema = Joi.object({
+      cron: Joi.string().trim().max(100),
+      isActive: Joi.boolean()
+    }).or('cron', 'isActive')
+      .messages({ 'object.missing': 'Debes enviar cron o isActive' });
+
+    const { error, value } = updateSchema.validate(req.body);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const schedule = await JobQueueService.updateSchedule(req.params.scheduleName, value);
+
+    res.success(schedule, 'Programación actualizada exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/jobs/{jobId}:
+   *   get:
+   *     summary: Detalle de un trabajo con su resultado y fallos (Admin)
+   *     tags: [Jobs]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: jobId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Trabajo
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   $ref: '#/components/schemas/Job'
+   *       404:
+   *         description: Trabajo no encontrado
+   */
+  static getJobById = asyncHandler(async (req, res) => {
+    const { error } = objectId.validate(req.params.jobId);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const job = await JobQueueService.getJobById(req.params.jobId);
+
+    res.success(job, 'Trabajo obtenido exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/jobs/{jobId}/retry:
+   *   post:
+   *     summary: Reintentar un trabajo (Admin)
+   *     description: |
+   *       Los trabajos fallidos (dead) o cancelados vuelven a la cola con todos sus intentos. Un trabajo
+   *       en cola que espera su siguiente reintento se adelanta para ejecutarse ahora.
+   *     tags: [Jobs]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: jobId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Trabajo encolado de nuevo
+   *       400:
+   *         description: El trabajo está en ejecución o ya se completó
+   *       404:
+   *         description: Trabajo no encontrado
+   */
+  static retryJob = asyncHandler(async (req, res) => {
+    const { error } = objectId.validate(req.params.jobId);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const job = await JobQueueService.retryJob(req.params.jobId);
+
+    res.success(job, 'Trabajo encolado de nuevo exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/jobs/{jobId}/cancel:
+   *   post:
+   *     summary: Cancelar un trabajo en cola o fallido (Admin)
+   *     tags: [Jobs]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: jobId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Trabajo cancelado
+   *       400:
+   *         description: El trabajo está en ejecución o ya terminó
+   *       404:
+   *         description: Trabajo no encontrado
+   */
+  static cancelJob = asyncHandler(async (req, res) => {
+    const { error } = objectId.validate(req.params.jobId);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const job = await JobQueueService.cancelJob(req.params.jobId, req.user._id);
+
+    res.success(job, 'Trabajo cancelado exitosamente');
+  });
+}
+
+module.exports = JobController;
@@ -0,0 +1,499 @@
+const MediaService = require('../services/mediaService');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const Joi = require('joi');
+
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/).message('ID inválido');
+const altText = Joi.string().max(200).allow('');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MediaReference:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: ID del archivo (Media)
+ *         url:
+ *           type: string
+ *           example: /media/products/665f.../3f2a....jpg
+ *         thumbnails:
+ *           type: object
+ *           description: URL de cada miniatura generada (webp)
+ *           additionalProperties:
+ *             type: string
+ *           example:
+ *             thumb: /media/products/665f.../3f2a..._thumb.webp
+ *             small: /media/products/665f.../3f2a..._small.webp
+ *         width:
+ *           type: integer
+ *         height:
+ *           type: integer
+ *
+ *     ProductImage:
+ *       allOf:
+ *         - $ref: '#/components/schemas/MediaReference'
+ *         - type: object
+ *           properties:
+ *             alt:
+ *               type: string
+ *             isPrimary:
+ *               type: boolean
+ *
+ *     PostAttachment:
+ *       allOf:
+ *         - $ref: '#/components/schemas/MediaReference'
+ *         - type: object
+ *           properties:
+ *             mimeType:
+ *               type: string
+ *             originalName:
+ *               type: string
+ *             size:
+ *               type: integer
+ */
+
+class MediaController {
+  // ===== GALERÍA DE PRODUCTOS =====
+
+  /**
+   * @swagger
+   * /api/products/{productId}/images:
+   *   post:
+   *     summary: Subir imágenes a la galería del producto (Admin)
+   *     description: Acepta JPEG, PNG, WebP o GIF. Se agregan al final de la galería; si el producto no tenía imágenes la primera queda como principal.
+   *     tags: [Products]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: productId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         multipart/form-data:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - images
+   *             properties:
+   *               images:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *                   format: binary
+   *               alt:
+   *                 type: array
+   *                 description: Texto alternativo de cada imagen, en el mismo orden
+   *                 items:
+   *                   type: string
+   *     responses:
+   *       201:
+   *         description: Imágenes subidas exitosamente
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/ProductImage'
+   *       400:
+   *         description: Sin archivos o galería llena
+   *       413:
+   *         description: Archivo demasiado grande
+   *       415:
+   *         description: Tipo de archivo no permitido
+   */
+  static uploadProductImages = asyncHandler(async (req, res) => {
+    const uploadSchema = Joi.object({
+      alt: Joi.alternatives().try(altText, Joi.array().items(altText)).optional()
+    });
+
+    const { error, value } = uploadSchema.validate(req.body);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const alts = [].concat(value.alt || []);
+    const images = await MediaService.addProductImages(req.params.productId, req.files, alts, req.user.id);
+
+    res.created(images, 'Imágenes subidas exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/products/{productId}/images/order:
+   *   put:
+   *     summary: Reordenar la galería del producto (Admin)
+   *     tags: [Products]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: productId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - imageIds
+   *             properties:
+   *               imageIds:
+   *                 type: array
+   *                 description: Todos los IDs de imagen del producto en el nuevo orden
+   *                 items:
+   *                   type: string
+   *     responses:
+   *       200:
+   *         description: Galería reordenada exitosamente
+   *       400:
+   *         description: El orden no incluye exactamente las imágenes actuales
+   */
+  static reorderProductImages = asyncHandler(async (req, res) => {
+    const reorderSchema = Joi.object({
+      imageIds: Joi.array().items(objectId).min(1).unique().required()
+    });
+
+    const { error, value } = reorderSchema.validate(req.body);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const images = await MediaService.reorderProductImages(req.params.productId, value.imageIds);
+
+    res.success(images, 'Galería reordenada exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/products/{productId}/images/{imageId}:
+   *   put:
+   *     summary: Actualizar texto alternativo o marcar imagen principal (Admin)
+   *     tags: [Products]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: productId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: imageId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               alt:
+   *                 type: string
+   *               isPrimary:
+   *                 type: boolean
+   *                 enum: [true]
+   *     responses:
+   *       200:
+   *         description: Imagen actualizada exitosamente
+   *       404:
+   *         description: Imagen no encontrada
+   */
+  static updateProductImage = asyncHandler(async (req, res) => {
+    const updateSchema = Joi.object({
+      alt: altText.optional(),
+      isPrimary: Joi.boolean().valid(true).optional()
+    }).min(1);
+
+    const { error, value } = updateSchema.validate(req.body);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const images = await MediaService.updateProductImage(req.params.productId, req.params.imageId, value);
+
+    res.success(images, 'Imagen actualizada exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/products/{productId}/images/{imageId}:
+   *   delete:
+   *     summary: Eliminar imagen de la galería (Admin)
+   *     tags: [Products]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: productId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: imageId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Imagen eliminada exitosamente
+   *       404:
+   *         description: Imagen no encontrada
+   */
+  static deleteProductImage = asyncHandler(async (req, res) => {
+    const images = await MediaService.deleteProductImage(req.params.productId, req.params.imageId);
+
+    res.success(images, 'Imagen eliminada exitosamente');
+  });
+
+  // ===== IMAGEN DE CATEGORÍA =====
+
+  /**
+   * @swagger
+   * /api/categories/{categoryId}/image:
+   *   put:
+   *     summary: Subir o reemplazar la imagen de la categoría (Admin)
+   *     tags: [Categories]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: categoryId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         multipart/form-data:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - image
+   *             properties:
+   *               image:
+   *                 type: string
+   *                 format: binary
+   *     responses:
+   *       200:
+   *         description: Imagen de categoría actualizada exitosamente
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 data:
+   *                   $ref: '#/components/schemas/MediaReference'
+   */
+  static setCategoryImage = asyncHandler(async (req, res) => {
+    const image = await MediaService.setCategoryImage(req.params.categoryId, req.file, req.user.id);
+
+    res.success(image, 'Imagen de categoría actualizada exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/categories/{categoryId}/image:
+   *   delete:
+   *     summary: Eliminar la imagen de la categoría (Admin)
+   *     tags: [Categories]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: categoryId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Imagen de categoría eliminada exitosamente
+   */
+  static removeCategoryImage = asyncHandler(async (req, res) => {
+    const result = await MediaService.removeCategoryImage(req.params.categoryId);
+
+    res.success(result, 'Imagen de categoría eliminada exitosamente');
+  });
+
+  // ===== ADJUNTOS DE POSTS =====
+
+  /**
+   * @swagger
+   * /api/posts/{id}/attachments:
+   *   post:
+   *     summary: Adjuntar archivos a un post propio
+   *     description: Acepta imágenes (JPEG, PNG, WebP, GIF) y PDF.
+   *     tags: [Posts]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         multipart/form-data:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - files
+   *             properties:
+   *               files:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *                   format: binary
+   *     responses:
+   *       201:
+   *         description: Archivos adjuntados exitosamente
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/PostAttachment'
+   *       403:
+   *         description: El post no pertenece al usuario
+   */
+  static addPostAttachments = asyncHandler(async (req, res) => {
+    const attachments = await MediaService.addPostAttachments(
+      req.params.id,
+      req.files,
+      req.user.id,
+      req.permissions
+    );
+
+    res.created(attachments, 'Archivos adjuntados exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/posts/{id}/attachments/{attachmentId}:
+   *   delete:
+   *     summary: Eliminar un adjunto de un post propio
+   *     tags: [Posts]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: attachmentId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Adjunto eliminado exitosamente
+   *       404:
+   *         description: Adjunto no encontrado
+   */
+  static deletePostAttachment = asyncHandler(async (req, res) => {
+    const attachments = await MediaService.deletePostAttachment(
+      req.params.id,
+      req.params.attachmentId,
+      req.user.id,
+      req.permissions
+    );
+
+    res.success(attachments, 'Adjunto eliminado exitosamente');
+  });
+
+  // ===== AVATAR =====
+
+  /**
+   * @swagger
+   * /api/auth/profile/avatar:
+   *   put:
+   *     summary: Subir o reemplazar el avatar del usuario
+   *     description: Se generan miniaturas cuadradas recortadas al centro.
+   *     tags: [Auth]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         multipart/form-data:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - avatar
+   *             properties:
+   *               avatar:
+   *                 type: string
+   *                 format: binary
+   *     responses:
+   *       200:
+   *         description: Avatar actualizado exitosamente
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 data:
+   *                   $ref: '#/components/schemas/MediaReference'
+   *       413:
+   *         description: Archivo demasiado grande
+   *       415:
+   *         description: Tipo de archivo no permitido
+   */
+  static setAvatar = asyncHandler(async (req, res) => {
+    const avatar = await MediaService.setAvatar(req.user.id, req.file);
+
+    res.success(avatar, 'Avatar actualizado exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/auth/profile/avatar:
+   *   delete:
+   *     summary: Eliminar el avatar del usuario
+   *     tags: [Auth]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Avatar eliminado exitosamente
+   */
+  static removeAvatar = asyncHandler(async (req, res) => {
+    const result = await MediaService.removeAvatar(req.user.id);
+
+    res.success(result, 'Avatar eliminado exitosamente');
+  });
+}
+
+module.exports = MediaController;
@@ -0,0 +1,329 @@
+const NotificationService = require('../services/notificationService');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { NOTIFICATION_TYPES } = require('../config/constants');
+const Joi = require('joi');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Notification:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [new_follower, comment, comment_reply, reaction, order_status, shipment_status]
+ *         message:
+ *           type: string
+ *           example: María y 12 personas más reaccionaron a tu publicación
+ *         actors:
+ *           type: array
+ *           description: Actores más recientes del grupo (máximo 5)
+ *           items:
+ *             type: object
+ *             properties:
+ *               userId:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *         actorCount:
+ *           type: integer
+ *           description: Total de actores distintos agrupados
+ *           example: 13
+ *         target:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             type:
+ *               type: string
+ *               example: Post
+ *             id:
+ *               type: string
+ *         data:
+ *           type: object
+ *           description: Datos del último evento (estado de la orden, tipo de reacción, etc.)
+ *         isRead:
+ *           type: boolean
+ *         readAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastActivityAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     NotificationPreferences:
+ *       type: object
+ *       description: Tipo de notificación -> activo
+ *       properties:
+ *         new_follower:
+ *           type: boolean
+ *         comment:
+ *           type: boolean
+ *         comment_reply:
+ *           type: boolean
+ *         reaction:
+ *           type: boolean
+ *         order_status:
+ *           type: boolean
+ *         shipment_status:
+ *           type: boolean
+ */
+
+class NotificationController {
+  /**
+   * @swagger
+   * /api/notifications:
+   *   get:
+   *     summary: Listar mis notificaciones
+   *     description: Las más recientes primero. Los eventos repetidos sobre el mismo elemento llegan agrupados en una sola notificación.
+   *     tags: [Notifications]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: unreadOnly
+   *         schema:
+   *           type: boolean
+   *           default: false
+   *       - in: query
+   *         name: type
+   *         schema:
+   *           type: string
+   *           enum: [new_follower, comment, comment_reply, reaction, order_status, shipment_status]
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 20
+   *     responses:
+   *       200:
+   *         description: Notificaciones obtenidas exitosamente
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     notifications:
+   *                       type: array
+   *                       items:
+   *                         $ref: '#/components/schemas/Notification'
+   *                     unreadCount:
+   *                       type: integer
+   *                 pagination:
+   *                   type: object
+   *       401:
+   *         description: No autenticado
+   */
+  static getNotifications = asyncHandler(async (req, res) => {
+    const querySchema = Joi.object({
+      unreadOnly: Joi.boolean().default(false),
+      type: Joi.string().valid(...Object.values(NOTIFICATION_TYPES)).optional(),
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(100).default(20)
+    });
+
+    const { error, value } = querySchema.validate(req.query);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const { page, limit, ...filters } = value;
+    const result = await NotificationService.getUserNotifications(req.user._id, filters, { page, limit });
+
+    res.success(
+      { notifications: result.notifications, unreadCount: result.unreadCount },
+      'Notificaciones obtenidas exitosamente',
+      result.pagination
+    );
+  });
+
+  /**
+   * @swagger
+   * /api/notifications/unread-count:
+   *   get:
+   *     summary: Contar mis notificaciones sin leer
+   *     tags: [Notifications]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Contador obtenido exitosamente
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     unreadCount:
+   *                       type: integer
+   *                       example: 3
+   */
+  static getUnreadCount = asyncHandler(async (req, res) => {
+    const unreadCount = await NotificationService.getUnreadCount(req.user._id);
+
+    res.success({ unreadCount }, 'Contador obtenido exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/notifications/{notificationId}/read:
+   *   put:
+   *     summary: Marcar una notificación como leída
+   *     description: Una notificación leída deja de agrupar eventos; los siguientes crean una nueva.
+   *     tags: [Notifications]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: notificationId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Notificación marcada como leída
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   $ref: '#/components/schemas/Notification'
+   *       404:
+   *         description: Notificación no encontrada
+   */
+  static markAsRead = asyncHandler(async (req, res) => {
+    const notification = await NotificationService.markAsRead(req.user._id, req.params.notificationId);
+
+    res.success(notification, 'Notificación marcada como leída');
+  });
+
+  /**
+   * @swagger
+   * /api/notifications/read-all:
+   *   put:
+   *     summary: Marcar todas mis notificaciones como leídas
+   *     tags: [Notifications]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Notificaciones marcadas como leídas
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     markedCount:
+   *                       type: integer
+   */
+  static markAllAsRead = asyncHandler(async (req, res) => {
+    const result = await NotificationService.markAllAsRead(req.user._id);
+
+    res.success(result, 'Notificaciones marcadas como leídas');
+  });
+
+  /**
+   * @swagger
+   * /api/notifications/preferences:
+   *   get:
+   *     summary: Obtener mis preferencias de notificación
+   *     tags: [Notifications]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Preferencias obtenidas exitosamente
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   $ref: '#/components/schemas/NotificationPreferences'
+   */
+  static getPreferences = asyncHandler(async (req, res) => {
+    const preferences = await NotificationService.getPreferences(req.user._id);
+
+    res.success(preferences, 'Preferencias obtenidas exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/notifications/preferences:
+   *   put:
+   *     summary: Actualizar mis preferencias de notificación
+   *     description: Solo se modifican los tipos enviados. Los tipos desactivados dejan de generar notificaciones nuevas.
+   *     tags: [Notifications]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/NotificationPreferences'
+   *           example:
+   *             reaction: false
+   *     responses:
+   *       200:
+   *         description: Preferencias actualizadas exitosamente
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   $ref: '#/components/schemas/NotificationPreferences'
+   *       400:
+   *         description: Tipo de notificación inválido
+   */
+  static updatePreferences = asyncHandler(async (req, res) => {
+    const preferenceKeys = Object.fromEntries(
+      Object.values(NOTIFICATION_TYPES).map(type => [type, Joi.boolean()])
+    );
+    const schema = Joi.object(preferenceKeys).min(1)
+      .messages({ 'object.min': 'Debes enviar al menos un tipo de notificación' });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const preferences = await NotificationService.updatePreferences(req.user._id, value);
+
+    res.success(preferences, 'Preferencias actualizadas exitosamente');
+  });
+}
+
+module.exports = NotificationController;
@@ -1,5 +1,6 @@
 const OrderService = require('../services/orderService');
-const { asyncHandler, AppError } = require('../middlewares/errorHandler');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { ORDER_STATUS, PAYMENT_METHODS } = require('../config/constants');
 const Joi = require('joi');
 
 /**
@@ -12,6 +13,14 @@ const Joi = require('joi');
  *         productId:
  *           type: string
  *           description: ID del producto
+ *         variantId:
+ *           type: string
+ *           nullable: true
+ *           description: ID de la variante vendida
+ *         variantLabel:
+ *           type: string
+ *           nullable: true
+ *           example: "color: Rojo / talla: M"
  *         quantity:
  *           type: integer
  *           minimum: 1
@@ -40,7 +49,16 @@ const Joi = require('joi');
  *           description: ID único de la orden
  *         userId:
  *           type: string
- *           description: ID del usuario
+ *           nullable: true
+ *           description: ID del usuario (null en órdenes de invitado aún no vinculadas)
+ *         isGuest:
+ *           type: boolean
+ *           description: Si la orden se hizo como invitado
+ *         contactEmail:
+ *           type: string
+ *           format: email
+ *         contactPhone:
+ *           type: string
  *         orderNumber:
  *           type: string
  *           description: Número de orden único
@@ -56,11 +74,11 @@ const Joi = require('joi');
  *           description: Total de la orden
  *         status:
  *           type: string
- *           enum: [pending, confirmed, processing, shipped, delivered, completed, cancelled]
+ *           enum: [pending, confirmed, processing, shipped, delivered, cancelled, partially_refunded, refunded]
  *           description: Estado de la orden
  *         paymentStatus:
  *           type: string
- *           enum: [pending, paid, failed, refunded]
+ *           enum: [pending, authorized, paid, failed, voided, partially_refunded, refunded]
  *           description: Estado del pago
  *         paymentMethod:
  *           type: string
@@ -102,6 +120,9 @@ const Joi = require('joi');
  *             properties:
  *               productId:
  *                 type: string
+ *               variantId:
+ *                 type: string
+ *                 description: Requerido si el producto tiene variantes
  *               quantity:
  *                 type: integer
  *                 minimum: 1
@@ -127,6 +148,69 @@ const Joi = require('joi');
  *         paymentMethod:
  *           type: string
  *           description: Método de pago
+ *         shippingRateId:
+ *           type: string
+ *           description: Opción de envío cotizada (por defecto la más barata)
+ *
+ *     OrderAccess:
+ *       type: object
+ *       description: Token de acceso de invitado a una orden; se envía en el header X-Order-Token
+ *       properties:
+ *         token:
+ *           type: string
+ *         expiresIn:
+ *           type: string
+ *           example: 2h
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     OrderTracking:
+ *       type: object
+ *       properties:
+ *         orderNumber:
+ *           type: string
+ *         status:
+ *           type: string
+ *         paymentStatus:
+ *           type: string
+ *         statusHistory:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *               timestamp:
+ *                 type: string
+ *                 format: date-time
+ *               notes:
+ *                 type: string
+ *         estimatedDelivery:
+ *           type: string
+ *           format: date-time
+ *         shipments:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               trackingNumber:
+ *                 type: string
+ *               carrier:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *               statusDescription:
+ *                 type: string
+ *               shippedAt:
+ *                 type: string
+ *                 format: date-time
+ *               estimatedDeliveryAt:
+ *                 type: string
+ *                 format: date-time
+ *               deliveredAt:
+ *                 type: string
+ *                 format: date-time
  *
  * tags:
  *   - name: Orders
@@ -163,7 +247,7 @@ class OrderController {
    *         name: status
    *         schema:
    *           type: string
-   *           enum: [pending, confirmed, processing, shipped, delivered, completed, cancelled]
+   *           enum: [pending, confirmed, processing, shipped, delivered, cancelled, partially_refunded, refunded]
    *         description: Filtrar por estado
    *       - in: query
    *         name: dateFrom
@@ -196,7 +280,7 @@ class OrderController {
    */
   static getUserOrders = asyncHandler(async (req, res) => {
     const filtersSchema = Joi.object({
-      status: Joi.string().valid('pending', 'confirmed', 'processing', 'shipped', 'delivered', 'completed', 'cancelled').optional(),
+      status: Joi.string().valid(...Object.values(ORDER_STATUS)).optional(),
       dateFrom: Joi.date().optional(),
       dateTo: Joi.date().optional()
     });
@@ -247,7 +331,7 @@ class OrderController {
    *         name: status
    *         schema:
    *           type: string
-   *           enum: [pending, confirmed, processing, shipped, delivered, completed, cancelled]
+   *           enum: [pending, confirmed, processing, shipped, delivered, cancelled, partially_refunded, refunded]
    *         description: Filtrar por estado
    *       - in: query
    *         name: userId
@@ -285,7 +369,7 @@ class OrderController {
    */
   static getAllOrders = asyncHandler(async (req, res) => {
     const filtersSchema = Joi.object({
-      status: Joi.string().valid('pending', 'confirmed', 'processing', 'shipped', 'delivered', 'completed', 'cancelled').optional(),
+      status: Joi.string().valid(...Object.values(ORDER_STATUS)).optional(),
       userId: Joi.string().optional(),
       dateFrom: Joi.date().optional(),
       dateTo: Joi.date().optional()
@@ -315,8 +399,10 @@ class OrderController {
    *   get:
    *     summary: Obtener orden por ID
    *     tags: [Orders]
+   *     description: Con el JWT de la cuenta o, para invitados, con el token de POST /api/orders/lookup
    *     security:
    *       - bearerAuth: []
+   *       - orderToken: []
    *     parameters:
    *       - in: path
    *         name: orderId
@@ -348,8 +434,12 @@ class OrderController {
    *         description: No autorizado
    */
   static getOrderById = asyncHandler(async (req, res) => {
-    const order = await OrderService.getOrderById(req.params.orderId, req.user);
-    
+    const order = await OrderService.getOrderById(
+      req.params.orderId,
+      req.user ? req.user._id : null,
+      req.permissions
+    );
+
     res.success(order, 'Orden obtenida exitosamente');
   });
 
@@ -395,6 +485,7 @@ class OrderController {
       items: Joi.array().items(
         Joi.object({
           productId: Joi.string().required(),
+          variantId: Joi.string().optional(),
           quantity: Joi.number().integer().min(1).required()
         })
       ).min(1).required(),
@@ -405,7 +496,8 @@ class OrderController {
         zipCode: Joi.string().required(),
         country: Joi.string().required()
       }).required(),
-      paymentMethod: Joi.string().required()
+      paymentMethod: Joi.string().valid(...Object.values(PAYMENT_METHODS)).required(),
+      shippingRateId: Joi.string().optional()
     });
 
     const { error, value } = createOrderSchema.validate(req.body);
@@ -413,7 +505,7 @@ class OrderController {
       return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
     }
 
-    const order = await OrderService.createOrder(req.user.id, value);
+    const order = await OrderService.createDirectOrder(req.user.id, value);
     
     res.status(201).success(order, 'Orden creada exitosamente');
   });
@@ -423,9 +515,15 @@ class OrderController {
    * /api/orders/from-cart:
    *   post:
    *     summary: Crear orden desde el carrito
+   *     description: |
+   *       Con cuenta usa el carrito del usuario. Sin Authorization compra como invitado
+   *       con el carrito del token de invitado (X-Cart-Token o cookie cart_token);
+   *       contactEmail es obligatorio y la respuesta incluye `orderAccess` para
+   *       consultar y pagar la orden.
    *     tags: [Orders]
    *     security:
    *       - bearerAuth: []
+   *       - cartToken: []
    *     requestBody:
    *       required: true
    *       content:
@@ -457,10 +555,20 @@ class OrderController {
    *                     type: string
    *               paymentMethod:
    *                 type: string
+   *                 enum: [credit_card, debit_card, paypal, bank_transfer]
+   *               shippingRateId:
+   *                 type: string
+   *                 description: Opción elegida de POST /api/cart/shipping-quote (por defecto la más barata)
    *               clearCart:
    *                 type: boolean
    *                 default: true
    *                 description: Vaciar carrito después de crear orden
+   *               contactEmail:
+   *                 type: string
+   *                 format: email
+   *                 description: Requerido para invitados (por defecto el email de la cuenta)
+   *               contactPhone:
+   *                 type: string
    *     responses:
    *       201:
    *         description: Orden creada desde carrito exitosamente
@@ -473,12 +581,17 @@ class OrderController {
    *                   type: boolean
    *                   example: true
    *                 data:
-   *                   $ref: '#/components/schemas/Order'
+   *                   allOf:
+   *                     - $ref: '#/components/schemas/Order'
+   *                     - type: object
+   *                       properties:
+   *                         orderAccess:
+   *                           $ref: '#/components/schemas/OrderAccess'
    *                 message:
    *                   type: string
    *                   example: Orden creada desde carrito exitosamente
    *       400:
-   *         description: Carrito vacío o datos inválidos
+   *         description: Carrito vacío, datos inválidos o stock insuficiente (INSUFFICIENT_STOCK incluye los productos en conflicto en error.details.items)
    *       401:
    *         description: No autorizado
    */
@@ -491,8 +604,11 @@ class OrderController {
         zipCode: Joi.string().required(),
         country: Joi.string().required()
       }).required(),
-      paymentMethod: Joi.string().required(),
-      clearCart: Joi.boolean().default(true)
+      paymentMethod: Joi.string().valid(...Object.values(PAYMENT_METHODS)).required(),
+      shippingRateId: Joi.string().optional(),
+      clearCart: Joi.boolean().default(true),
+      contactEmail: Joi.string().email().optional(),
+      contactPhone: Joi.string().max(20).optional()
     });
 
     const { error, value } = createOrderFromCartSchema.validate(req.body);
@@ -500,8 +616,17 @@ class OrderController {
       return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
     }
 
-    const order = await OrderService.createOrderFromCart(req.user.id, value);
-    
+    if (!req.user && !value.contactEmail) {
+      return res.error('El email de contacto es requerido para comprar como invitado', 400, 'VALIDATION_ERROR');
+    }
+
+    // Con cuenta, el contacto por defecto es el del usuario
+    const order = await OrderService.createOrderFromCart(req.cartOwner, {
+      ...value,
+      contactEmail: value.contactEmail || (req.user && req.user.email),
+      contactPhone: value.contactPhone || (req.user && req.user.phone) || undefined
+    });
+
     res.status(201).success(order, 'Orden creada desde carrito exitosamente');
   });
 
@@ -531,7 +656,7 @@ class OrderController {
    *             properties:
    *               status:
    *                 type: string
-   *                 enum: [pending, confirmed, processing, shipped, delivered, completed, cancelled]
+   *                 enum: [pending, confirmed, processing, shipped, delivered, cancelled, partially_refunded, refunded]
    *               notes:
    *                 type: string
    *                 description: Notas sobre el cambio de estado
@@ -560,7 +685,7 @@ class OrderController {
    */
   static updateOrderStatus = asyncHandler(async (req, res) => {
     const updateStatusSchema = Joi.object({
-      status: Joi.string().valid('pending', 'confirmed', 'processing', 'shipped', 'delivered', 'completed', 'cancelled').required(),
+      status: Joi.string().valid(...Object.values(ORDER_STATUS)).required(),
       notes: Joi.string().optional()
     });
 
@@ -633,82 +758,11 @@ class OrderController {
       return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
     }
 
-    const order = await OrderService.cancelOrder(req.params.orderId, req.user, value.reason);
+    const order = await OrderService.cancelOrder(req.params.orderId, req.user._id, req.permissions, value.reason);
     
     res.success(order, 'Orden cancelada exitosamente');
   });
 
-  /**
-   * @swagger
-   * /api/orders/{orderId}/payment:
-   *   put:
-   *     summary: Actualizar estado de pago (Admin)
-   *     tags: [Orders]
-   *     security:
-   *       - bearerAuth: []
-   *     parameters:
-   *       - in: path
-   *         name: orderId
-   *         required: true
-   *         schema:
-   *           type: string
-   *         description: ID de la orden
-   *     requestBody:
-   *       required: true
-   *       content:
-   *         application/json:
-   *           schema:
-   *             type: object
-   *             required:
-   *               - paymentStatus
-   *             properties:
-   *               paymentStatus:
-   *                 type: string
-   *                 enum: [pending, paid, failed, refunded]
-   *               transactionId:
-   *                 type: string
-   *                 description: ID de la transacción
-   *               notes:
-   *                 type: string
-   *                 description: Notas sobre el pago
-   *     responses:
-   *       200:
-   *         description: Estado de pago actualizado exitosamente
-   *         content:
-   *           application/json:
-   *             schema:
-   *               type: object
-   *               properties:
-   *                 success:
-   *                   type: boolean
-   *                   example: true
-   *                 data:
-   *                   $ref: '#/components/schemas/Order'
-   *                 message:
-   *                   type: string
-   *                   example: Estado de pago actualizado exitosamente
-   *       404:
-   *         description: Orden no encontrada
-   *       403:
-   *         description: Acceso denegado - Solo administradores
-   */
-  static updatePaymentStatus = asyncHandler(async (req, res) => {
-    const updatePaymentSchema = Joi.object({
-      paymentStatus: Joi.string().valid('pending', 'paid', 'failed', 'refunded').required(),
-      transactionId: Joi.string().optional(),
-      notes: Joi.string().optional()
-    });
-
-    const { error, value } = updatePaymentSchema.validate(req.body);
-    if (error) {
-      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
-    }
-
-    const order = await OrderService.updatePaymentStatus(req.params.orderId, value);
-    
-    res.success(order, 'Estado de pago actualizado exitosamente');
-  });
-
   /**
    * @swagger
    * /api/orders/stats:
@@ -786,6 +840,163 @@ class OrderController {
     
     res.success(stats, 'Estadísticas de órdenes obtenidas exitosamente');
   });
+
+  /**
+   * @swagger
+   * /api/orders/lookup:
+   *   post:
+   *     summary: Consultar una orden como invitado
+   *     description: |
+   *       Con el número de orden y el email de contacto devuelve un token de acceso de
+   *       vida corta, limitado a esa orden, para ver su estado, seguimiento y pagos
+   *       (header X-Order-Token).
+   *     tags: [Orders]
+   *     security: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - orderNumber
+   *               - email
+   *             properties:
+   *               orderNumber:
+   *                 type: string
+   *                 example: ORD-12345678-042
+   *               email:
+   *                 type: string
+   *                 format: email
+   *     responses:
+   *       200:
+   *         description: Orden encontrada
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     order:
+   *                       $ref: '#/components/schemas/Order'
+   *                     orderAccess:
+   *                       $ref: '#/components/schemas/OrderAccess'
+   *       400:
+   *         description: Datos de entrada inválidos
+   *       404:
+   *         description: No hay una orden con ese número y email
+   */
+  static lookupOrder = asyncHandler(async (req, res) => {
+    const lookupSchema = Joi.object({
+      orderNumber: Joi.string().trim().max(50).required(),
+      email: Joi.string().email().required()
+    });
+
+    const { error, value } = lookupSchema.validate(req.body);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const result = await OrderService.lookupOrder(value.orderNumber, value.email);
+
+    res.success(result, 'Orden encontrada');
+  });
+
+  /**
+   * @swagger
+   * /api/orders/{orderId}/tracking:
+   *   get:
+   *     summary: Seguimiento de la orden y sus envíos
+   *     description: Con el JWT de la cuenta o, para invitados, con el token de POST /api/orders/lookup
+   *     tags: [Orders]
+   *     security:
+   *       - bearerAuth: []
+   *       - orderToken: []
+   *     parameters:
+   *       - in: path
+   *         name: orderId
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: ID de la orden
+   *     responses:
+   *       200:
+   *         description: Seguimiento obtenido exitosamente
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 data:
+   *                   $ref: '#/components/schemas/OrderTracking'
+   *       401:
+   *         description: Token requerido, inválido o expirado
+   *       403:
+   *         description: El token no corresponde a esta orden
+   *       404:
+   *         description: Orden no encontrada
+   */
+  static getOrderTracking = asyncHandler(async (req, res) => {
+    const tracking = await OrderService.getOrderTracking(
+      req.params.orderId,
+      req.user ? req.user._id : null,
+      req.permissions
+    );
+
+    res.success(tracking, 'Seguimiento obtenido exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/orders/claim-guest:
+   *   post:
+   *     summary: Vincular a la cuenta las compras hechas como invitado
+   *     description: |
+   *       Pasa a la cuenta las órdenes de invitado cuyo email de contacto coincide con
+   *       el de la cuenta. Requiere el email verificado (la verificación ya lo hace
+   *       automáticamente; este endpoint sirve para compras posteriores).
+   *     tags: [Orders]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Órdenes vinculadas
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     claimed:
+   *                       type: integer
+   *                     orders:
+   *                       type: array
+   *                       items:
+   *                         type: string
+   *                       description: Números de las órdenes vinculadas
+   *       401:
+   *         description: No autorizado
+   *       403:
+   *         description: El email de la cuenta no está verificado
+   */
+  static claimGuestOrders = asyncHandler(async (req, res) => {
+    const result = await OrderService.claimGuestOrders(req.user._id);
+
+    res.success(result, result.claimed > 0 ? 'Órdenes vinculadas a tu cuenta' : 'No hay órdenes de invitado por vincular');
+  });
 }
 
 module.exports = OrderController; 
\ No newline at end of file
@@ -0,0 +1,346 @@
+const PaymentService = require('../services/paymentService');
+const { getProvider } = require('../services/payments');
+const { asyncHandler, AppError } = require('../middlewares/errorHandler');
+const { PAYMENT_PROVIDERS, PAYMENT_EVENTS } = require('../config/constants');
+const Joi = require('joi');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Payment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: ID del pago
+ *         orderId:
+ *           type: string
+ *           description: ID de la orden
+ *         provider:
+ *           type: string
+ *           description: Proveedor de pago
+ *         providerPaymentId:
+ *           type: string
+ *           description: ID del pago en el proveedor
+ *         method:
+ *           type: string
+ *           description: Método de pago
+ *         amount:
+ *           type: number
+ *           description: Monto del pago
+ *         currency:
+ *           type: string
+ *           example: MXN
+ *         status:
+ *           type: string
+ *           enum: [requires_action, authorized, captured, failed, voided, partially_refunded, refunded]
+ *           description: Estado del pago en el proveedor
+ *         refundedAmount:
+ *           type: number
+ *           description: Monto reembolsado
+ *         reviewRequired:
+ *           type: boolean
+ *           description: Cobro que no corresponde a una orden vigente (se reembolsa automáticamente)
+ *         reviewReason:
+ *           type: string
+ *           enum: [captured_on_cancelled_order]
+ *         clientSecret:
+ *           type: string
+ *           description: Secreto para completar el pago en el cliente (solo al crear la intención)
+ */
+
+class PaymentController {
+  /**
+   * @swagger
+   * /api/payments/orders/{orderId}/intent:
+   *   post:
+   *     summary: Crear intención de pago para una orden
+   *     tags: [Payments]
+   *     security:
+   *       - bearerAuth: []
+   *       - orderToken: []
+   *     parameters:
+   *       - in: path
+   *         name: orderId
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: ID de la orden
+   *     responses:
+   *       201:
+   *         description: Intención de pago creada exitosamente
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 data:
+   *                   $ref: '#/components/schemas/Payment'
+   *       400:
+   *         description: La orden no admite un nuevo pago
+   *       403:
+   *         description: No tienes permiso para pagar esta orden
+   *       404:
+   *         description: Orden no encontrada
+   *       503:
+   *         description: El proveedor del método de pago no está disponible en este entorno
+   */
+  static createPaymentIntent = asyncHandler(async (req, res) => {
+    const payment = await PaymentService.createPaymentIntent(
+      req.params.orderId,
+      req.user ? req.user._id : null,
+      req.permissions
+    );
+
+    res.created(payment, 'Intención de pago creada exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/payments/orders/{orderId}:
+   *   get:
+   *     summary: Obtener pagos de una orden
+   *     tags: [Payments]
+   *     security:
+   *       - bearerAuth: []
+   *       - orderToken: []
+   *     parameters:
+   *       - in: path
+   *         name: orderId
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: ID de la orden
+   *     responses:
+   *       200:
+   *         description: Pagos obtenidos exitosamente
+   *       403:
+   *         description: No tienes permiso para ver esta orden
+   *       404:
+   *         description: Orden no encontrada
+   */
+  static getOrderPayments = asyncHandler(async (req, res) => {
+    const payments = await PaymentService.getOrderPayments(
+      req.params.orderId,
+      req.user ? req.user._id : null,
+      req.permissions
+    );
+
+    res.success(payments, 'Pagos obtenidos exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/payments/{paymentId}/capture:
+   *   post:
+   *     summary: Capturar pago autorizado (Admin)
+   *     tags: [Payments]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: paymentId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Pago capturado exitosamente
+   *       400:
+   *         description: El pago no está autorizado
+   *       404:
+   *         description: Pago no encontrado
+   */
+  static capturePayment = asyncHandler(async (req, res) => {
+    const payment = await PaymentService.capturePayment(req.params.paymentId);
+
+    res.success(payment, 'Pago capturado exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/payments/{paymentId}/void:
+   *   post:
+   *     summary: Anular pago no capturado (Admin)
+   *     tags: [Payments]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: paymentId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Pago anulado exitosamente
+   *       400:
+   *         description: El pago ya fue capturado o cerrado
+   *       404:
+   *         description: Pago no encontrado
+   */
+  static voidPayment = asyncHandler(async (req, res) => {
+    const payment = await PaymentService.voidPayment(req.params.paymentId);
+
+    res.success(payment, 'Pago anulado exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/payments/{paymentId}/refund:
+   *   post:
+   *     summary: Reembolsar pago capturado (Admin)
+   *     tags: [Payments]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: paymentId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               amount:
+   *                 type: number
+   *                 description: Monto a reembolsar (por defecto todo el saldo reembolsable)
+   *               reason:
+   *                 type: string
+   *                 description: Motivo del reembolso
+   *     responses:
+   *       200:
+   *         description: Reembolso procesado exitosamente
+   *       400:
+   *         description: Monto de reembolso inválido
+   *       404:
+   *         description: Pago no encontrado
+   *       409:
+   *         description: Hay otro reembolso en curso para este pago
+   */
+  static refundPayment = asyncHandler(async (req, res) => {
+    const refundSchema = Joi.object({
+      amount: Joi.number().positive().precision(2).optional(),
+      reason: Joi.string().max(500).optional()
+    });
+
+    const { error, value } = refundSchema.validate(req.body);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const payment = await PaymentService.refundPayment(req.params.paymentId, value, req.user.id);
+
+    res.success(payment, 'Reembolso procesado exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/payments/webhook/{provider}:
+   *   post:
+   *     summary: Recibir webhook firmado de un proveedor de pago
+   *     description: |
+   *       Verifica la firma del proveedor y aplica el evento al pago. Los eventos
+   *       repetidos se confirman sin volver a procesarse. Un pago capturado mueve
+   *       la orden de PENDING a CONFIRMED.
+   *     tags: [Payments]
+   *     security: []
+   *     parameters:
+   *       - in: path
+   *         name: provider
+   *         required: true
+   *         schema:
+   *           type: string
+   *           example: sandbox
+   *     responses:
+   *       200:
+   *         description: Webhook recibido
+   *       400:
+   *         description: Firma o payload inválidos
+   *       404:
+   *         description: Proveedor no encontrado
+   */
+  static handleWebhook = asyncHandler(async (req, res) => {
+    const result = await PaymentService.handleWebhook(req.params.provider, req.rawBody, req.headers);
+
+    res.success(result, 'Webhook procesado exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/payments/sandbox/{providerPaymentId}/simulate:
+   *   post:
+   *     summary: Simular un evento del proveedor sandbox (solo desarrollo)
+   *     tags: [Payments]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: providerPaymentId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - type
+   *             properties:
+   *               type:
+   *                 type: string
+   *                 enum: [payment.authorized, payment.captured, payment.failed, payment.voided, payment.refunded]
+   *               amount:
+   *                 type: number
+   *               failureReason:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Evento simulado y procesado
+   *       403:
+   *         description: Solo el dueño de la orden o quien administra pagos
+   *       404:
+   *         description: No disponible en producción o pago no encontrado
+   */
+  static simulateSandboxEvent = asyncHandler(async (req, res) => {
+    if (process.env.NODE_ENV === 'production') {
+      throw new AppError('Ruta no disponible', 404, 'ROUTE_NOT_FOUND');
+    }
+
+    const simulateSchema = Joi.object({
+      type: Joi.string().valid(...Object.values(PAYMENT_EVENTS)).required(),
+      amount: Joi.number().positive().optional(),
+      failureReason: Joi.string().optional()
+    });
+
+    const { error, value } = simulateSchema.validate(req.body);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    await PaymentService.assertSandboxAccess(req.params.providerPaymentId, req.user._id, req.permissions);
+
+    const sandbox = getProvider(PAYMENT_PROVIDERS.SANDBOX);
+    const { rawBody, headers } = sandbox.buildWebhook(value.type, {
+      paymentId: req.params.providerPaymentId,
+      amount: value.amount,
+      failureReason: value.failureReason,
+      ...(value.type === PAYMENT_EVENTS.REFUNDED && { refundId: sandbox.generateId('sbx_re') })
+    });
+
+    const result = await PaymentService.handleWebhook(PAYMENT_PROVIDERS.SANDBOX, rawBody, headers);
+
+    res.success(result, 'Evento sandbox procesado exitosamente');
+  });
+}
+
+module.exports = PaymentController;
@@ -0,0 +1,387 @@
+const PricingService = require('../services/pricingService');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { SHIPMENT_CARRIERS } = require('../config/constants');
+const Joi = require('joi');
+
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/).message('ID inválido');
+
+const taxRuleFields = {
+  name: Joi.string().trim().max(100),
+  country: Joi.string().trim(),
+  state: Joi.string().trim().allow(null, ''),
+  rate: Joi.number().min(0).max(1),
+  exemptCategoryIds: Joi.array().items(objectId),
+  appliesToShipping: Joi.boolean(),
+  isActive: Joi.boolean()
+};
+
+const shippingRateFields = {
+  name: Joi.string().trim().max(100),
+  carrier: Joi.string().valid(...Object.values(SHIPMENT_CARRIERS)),
+  zone: Joi.object({
+    country: Joi.string().trim().required(),
+    states: Joi.array().items(Joi.string().trim()).default([])
+  }),
+  baseCost: Joi.number().min(0),
+  includedWeightKg: Joi.number().min(0),
+  costPerKg: Joi.number().min(0),
+  minWeightKg: Joi.number().min(0),
+  maxWeightKg: Joi.number().min(0).allow(null),
+  volumetricDivisor: Joi.number().min(1).allow(null),
+  freeShippingThreshold: Joi.number().min(0).allow(null),
+  estimatedDaysMin: Joi.number().integer().min(0),
+  estimatedDaysMax: Joi.number().integer().min(0),
+  isActive: Joi.boolean()
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TaxRule:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: IVA frontera
+ *         country:
+ *           type: string
+ *           example: Mexico
+ *         state:
+ *           type: string
+ *           description: Vacío para aplicar a todo el país
+ *         rate:
+ *           type: number
+ *           description: Tasa como fracción (0.16 = 16%)
+ *         exemptCategoryIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *         appliesToShipping:
+ *           type: boolean
+ *         isActive:
+ *           type: boolean
+ *
+ *     ShippingRate:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: DHL Express Nacional
+ *         carrier:
+ *           type: string
+ *           enum: [dhl, fedex, ups, correos_mexico, paquetexpress]
+ *         zone:
+ *           type: object
+ *           properties:
+ *             country:
+ *               type: string
+ *             states:
+ *               type: array
+ *               items:
+ *                 type: string
+ *         baseCost:
+ *           type: number
+ *         includedWeightKg:
+ *           type: number
+ *         costPerKg:
+ *           type: number
+ *           description: Costo por kilo (o fracción) sobre includedWeightKg
+ *         minWeightKg:
+ *           type: number
+ *         maxWeightKg:
+ *           type: number
+ *         volumetricDivisor:
+ *           type: number
+ *           description: cm³ por kg para peso volumétrico (por defecto 5000)
+ *         freeShippingThreshold:
+ *           type: number
+ *         estimatedDaysMin:
+ *           type: integer
+ *         estimatedDaysMax:
+ *           type: integer
+ *         isActive:
+ *           type: boolean
+ */
+
+class PricingController {
+  /**
+   * @swagger
+   * /api/pricing/tax-rules:
+   *   get:
+   *     summary: Obtener reglas de impuestos (Admin)
+   *     tags: [Pricing]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: country
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: isActive
+   *         schema:
+   *           type: boolean
+   *     responses:
+   *       200:
+   *         description: Reglas obtenidas exitosamente
+   */
+  static getTaxRules = asyncHandler(async (req, res) => {
+    const querySchema = Joi.object({
+      country: Joi.string().optional(),
+      isActive: Joi.boolean().optional()
+    });
+
+    const { error, value } = querySchema.validate(req.query);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const rules = await PricingService.getTaxRules(value);
+
+    res.success(rules, 'Reglas de impuestos obtenidas exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/pricing/tax-rules:
+   *   post:
+   *     summary: Crear regla de impuestos (Admin)
+   *     tags: [Pricing]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/TaxRule'
+   *     responses:
+   *       201:
+   *         description: Regla creada exitosamente
+   */
+  static createTaxRule = asyncHandler(async (req, res) => {
+    const createSchema = Joi.object({
+      ...taxRuleFields,
+      name: taxRuleFields.name.required(),
+      country: taxRuleFields.country.required(),
+      rate: taxRuleFields.rate.required()
+    });
+
+    const { error, value } = createSchema.validate(req.body);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const rule = await PricingService.createTaxRule(value);
+
+    res.created(rule, 'Regla de impuestos creada exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/pricing/tax-rules/{ruleId}:
+   *   put:
+   *     summary: Actualizar regla de impuestos (Admin)
+   *     tags: [Pricing]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: ruleId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/TaxRule'
+   *     responses:
+   *       200:
+   *         description: Regla actualizada exitosamente
+   *       404:
+   *         description: Regla no encontrada
+   */
+  static updateTaxRule = asyncHandler(async (req, res) => {
+    const { error, value } = Joi.object(taxRuleFields).min(1).validate(req.body);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const rule = await PricingService.updateTaxRule(req.params.ruleId, value);
+
+    res.success(rule, 'Regla de impuestos actualizada exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/pricing/tax-rules/{ruleId}:
+   *   delete:
+   *     summary: Eliminar regla de impuestos (Admin)
+   *     tags: [Pricing]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: ruleId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Regla eliminada exitosamente
+   *       404:
+   *         description: Regla no encontrada
+   */
+  static deleteTaxRule = asyncHandler(async (req, res) => {
+    const result = await PricingService.deleteTaxRule(req.params.ruleId);
+
+    res.success(result, result.message);
+  });
+
+  /**
+   * @swagger
+   * /api/pricing/shipping-rates:
+   *   get:
+   *     summary: Obtener tarifas de envío (Admin)
+   *     tags: [Pricing]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: carrier
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: country
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: isActive
+   *         schema:
+   *           type: boolean
+   *     responses:
+   *       200:
+   *         description: Tarifas obtenidas exitosamente
+   */
+  static getShippingRates = asyncHandler(async (req, res) => {
+    const querySchema = Joi.object({
+      carrier: Joi.string().valid(...Object.values(SHIPMENT_CARRIERS)).optional(),
+      country: Joi.string().optional(),
+      isActive: Joi.boolean().optional()
+    });
+
+    const { error, value } = querySchema.validate(req.query);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const rates = await PricingService.getShippingRates(value);
+
+    res.success(rates, 'Tarifas de envío obtenidas exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/pricing/shipping-rates:
+   *   post:
+   *     summary: Crear tarifa de envío (Admin)
+   *     tags: [Pricing]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/ShippingRate'
+   *     responses:
+   *       201:
+   *         description: Tarifa creada exitosamente
+   */
+  static createShippingRate = asyncHandler(async (req, res) => {
+    const createSchema = Joi.object({
+      ...shippingRateFields,
+      name: shippingRateFields.name.required(),
+      carrier: shippingRateFields.carrier.required(),
+      zone: shippingRateFields.zone.required(),
+      baseCost: shippingRateFields.baseCost.required()
+    });
+
+    const { error, value } = createSchema.validate(req.body);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const rate = await PricingService.createShippingRate(value);
+
+    res.created(rate, 'Tarifa de envío creada exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/pricing/shipping-rates/{rateId}:
+   *   put:
+   *     summary: Actualizar tarifa de envío (Admin)
+   *     tags: [Pricing]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: rateId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/ShippingRate'
+   *     responses:
+   *       200:
+   *         description: Tarifa actualizada exitosamente
+   *       404:
+   *         description: Tarifa no encontrada
+   */
+  static updateShippingRate = asyncHandler(async (req, res) => {
+    const { error, value } = Joi.object(shippingRateFields).min(1).validate(req.body);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const rate = await PricingService.updateShippingRate(req.params.rateId, value);
+
+    res.success(rate, 'Tarifa de envío actualizada exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/pricing/shipping-rates/{rateId}:
+   *   delete:
+   *     summary: Eliminar tarifa de envío (Admin)
+   *     tags: [Pricing]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: rateId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Tarifa eliminada exitosamente
+   *       404:
+   *         description: Tarifa no encontrada
+   */
+  static deleteShippingRate = asyncHandler(async (req, res) => {
+    const result = await PricingService.deleteShippingRate(req.params.rateId);
+
+    res.success(result, result.message);
+  });
+}
+
+module.exports = PricingController;
@@ -1,5 +1,8 @@
 const ProductService = require('../services/productService');
-const { asyncHandler, AppError } = require('../middlewares/errorHandler');  
+const ProductVariantService = require('../services/productVariantService');
+const { asyncHandler } = require('../middlewares/errorHandler');  
+const { getGuestIdFromRequest } = require('../middlewares/cart');
+const { POPULARITY_WINDOWS, POPULARITY_DEFAULT_WINDOW } = require('../config/constants');
 const Joi = require('joi');
 
 /**
@@ -38,6 +41,16 @@ const Joi = require('joi');
  *         isActive:
  *           type: boolean
  *           description: Si está activo
+ *         averageRating:
+ *           type: number
+ *           description: Calificación promedio (0 si no tiene reseñas)
+ *         reviewCount:
+ *           type: integer
+ *           description: Número de reseñas
+ *         ratingDistribution:
+ *           type: object
+ *           description: Reseñas por estrellas (solo en el detalle del producto)
+ *           example: { "1": 0, "2": 1, "3": 2, "4": 5, "5": 12 }
  *         weight:
  *           type: number
  *           description: Peso del producto
@@ -115,6 +128,11 @@ const Joi = require('joi');
  *           items:
  *             type: string
  *           minItems: 1
+ *         options:
+ *           type: array
+ *           description: Ejes de opción para variantes (p. ej. color, talla)
+ *           items:
+ *             $ref: '#/components/schemas/ProductOption'
  *         isFeatured:
  *           type: boolean
  *           default: false
@@ -122,6 +140,77 @@ const Joi = require('joi');
  *           type: boolean
  *           default: true
  *
+ *     ProductOption:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: color
+ *         values:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [Rojo, Azul]
+ *
+ *     ProductVariant:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         productId:
+ *           type: string
+ *         sku:
+ *           type: string
+ *         options:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *           example: { color: Rojo, talla: M }
+ *         label:
+ *           type: string
+ *           example: "color: Rojo / talla: M"
+ *         price:
+ *           type: number
+ *           description: Precio propio (si no se define se usa el del producto)
+ *         weight:
+ *           type: number
+ *           description: Peso propio (si no se define se usa el del producto)
+ *         stockQty:
+ *           type: integer
+ *         availableQty:
+ *           type: integer
+ *         effectivePrice:
+ *           type: number
+ *         isActive:
+ *           type: boolean
+ *
+ *     VariantRequest:
+ *       type: object
+ *       required:
+ *         - sku
+ *         - options
+ *       properties:
+ *         sku:
+ *           type: string
+ *         options:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *           description: Un valor permitido por cada eje de opción del producto
+ *         price:
+ *           type: number
+ *           minimum: 0
+ *           nullable: true
+ *         weight:
+ *           type: number
+ *           minimum: 0
+ *           nullable: true
+ *         stockQty:
+ *           type: integer
+ *           minimum: 0
+ *         isActive:
+ *           type: boolean
+ *
  * tags:
  *   - name: Products
  *     description: Gestión de productos
@@ -180,12 +269,19 @@ class ProductController {
    *           type: boolean
    *         description: Solo productos destacados
    *       - in: query
+   *         name: minRating
+   *         schema:
+   *           type: number
+   *           minimum: 1
+   *           maximum: 5
+   *         description: Calificación promedio mínima
+   *       - in: query
    *         name: sort
    *         schema:
    *           type: string
-   *           enum: [createdAt, -createdAt, price, -price, name, -name]
+   *           enum: [createdAt, -createdAt, price, -price, name, -name, rating]
    *           default: -createdAt
-   *         description: Ordenar por campo
+   *         description: Ordenar por campo (rating usa un promedio bayesiano que considera el número de reseñas)
    *     responses:
    *       200:
    *         description: Lista de productos obtenida exitosamente
@@ -210,7 +306,8 @@ class ProductController {
       maxPrice: Joi.number().min(0).optional(),
       inStock: Joi.boolean().optional(),
       featured: Joi.boolean().optional(),
-      sort: Joi.string().valid('createdAt', '-createdAt', 'price', '-price', 'name', '-name').default('-createdAt')
+      minRating: Joi.number().min(1).max(5).optional(),
+      sort: Joi.string().valid('createdAt', '-createdAt', 'price', '-price', 'name', '-name', 'rating').default('-createdAt')
     });
 
     const { error, value } = filtersSchema.validate(req.query);
@@ -257,8 +354,16 @@ class ProductController {
    *         description: Producto no encontrado
    */
   static getProductById = asyncHandler(async (req, res) => {
-    const userRole = req.user ? req.user.role : null;
-    const product = await ProductService.getProductById(req.params.productId, userRole);
+    const product = await ProductService.getProductById(req.params.productId, req.permissions);
+
+    // Sin await: la vista se registra en segundo plano y nunca falla
+    ProductService.recordProductView(product.id, {
+      userId: req.user ? req.user._id : null,
+      sessionId: req.sessionId,
+      guestId: getGuestIdFromRequest(req),
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
     
     res.success(product, 'Producto obtenido exitosamente');
   });
@@ -314,6 +419,10 @@ class ProductController {
         height: Joi.number().min(0).required()
       }).optional(),
       categories: Joi.array().items(Joi.string()).min(1).required(),
+      options: Joi.array().items(Joi.object({
+        name: Joi.string().trim().lowercase().max(50).required(),
+        values: Joi.array().items(Joi.string().trim().max(100)).min(1).unique().required()
+      })).unique('name').optional(),
       isFeatured: Joi.boolean().default(false),
       isActive: Joi.boolean().default(true)
     });
@@ -421,6 +530,10 @@ class ProductController {
         height: Joi.number().min(0).required()
       }).optional(),
       categories: Joi.array().items(Joi.string()).min(1).optional(),
+      options: Joi.array().items(Joi.object({
+        name: Joi.string().trim().lowercase().max(50).required(),
+        values: Joi.array().items(Joi.string().trim().max(100)).min(1).unique().required()
+      })).unique('name').optional(),
       isFeatured: Joi.boolean().optional(),
       isActive: Joi.boolean().optional()
     });
@@ -688,6 +801,10 @@ class ProductController {
    * /api/products/popular:
    *   get:
    *     summary: Obtener productos populares
+   *     description: |
+   *       Ordena por un puntaje que combina unidades vendidas, vistas, productos agregados
+   *       al carrito y a listas de deseos, y calificaciones de reseñas, con decaimiento
+   *       temporal. Los puntajes se recalculan periódicamente.
    *     tags: [Products]
    *     security: []
    *     parameters:
@@ -699,6 +816,18 @@ class ProductController {
    *           maximum: 50
    *           default: 10
    *         description: Número de productos a obtener
+   *       - in: query
+   *         name: window
+   *         schema:
+   *           type: string
+   *           enum: [day, week, month]
+   *           default: week
+   *         description: Ventana de tiempo de la popularidad
+   *       - in: query
+   *         name: category
+   *         schema:
+   *           type: string
+   *         description: ID de categoría para filtrar
    *     responses:
    *       200:
    *         description: Productos populares obtenidos exitosamente
@@ -713,22 +842,32 @@ class ProductController {
    *                 data:
    *                   type: array
    *                   items:
-   *                     $ref: '#/components/schemas/Product'
+   *                     allOf:
+   *                       - $ref: '#/components/schemas/Product'
+   *                       - type: object
+   *                         properties:
+   *                           popularityScore:
+   *                             type: number
    *                 message:
    *                   type: string
    *                   example: Productos populares obtenidos exitosamente
    */
   static getPopularProducts = asyncHandler(async (req, res) => {
-    const limitSchema = Joi.object({
-      limit: Joi.number().integer().min(1).max(50).default(10)
+    const popularSchema = Joi.object({
+      limit: Joi.number().integer().min(1).max(50).default(10),
+      window: Joi.string().valid(...Object.keys(POPULARITY_WINDOWS)).default(POPULARITY_DEFAULT_WINDOW),
+      category: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).message('ID de categoría inválido').optional()
     });
 
-    const { error, value } = limitSchema.validate(req.query);
+    const { error, value } = popularSchema.validate(req.query);
     if (error) {
       return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
     }
 
-    const products = await ProductService.getPopularProducts(value.limit);
+    const products = await ProductService.getPopularProducts(value.limit, {
+      window: value.window,
+      categoryId: value.category
+    });
     
     res.success(products, 'Productos populares obtenidos exitosamente');
   });
@@ -891,6 +1030,11 @@ class ProductController {
    *           minimum: 1
    *           default: 1
    *         description: Cantidad requerida
+   *       - in: query
+   *         name: variantId
+   *         schema:
+   *           type: string
+   *         description: Variante a verificar (requerida si el producto tiene variantes)
    *     responses:
    *       200:
    *         description: Disponibilidad verificada exitosamente
@@ -923,7 +1067,8 @@ class ProductController {
    */
   static checkStock = asyncHandler(async (req, res) => {
     const quantitySchema = Joi.object({
-      quantity: Joi.number().integer().min(1).default(1)
+      quantity: Joi.number().integer().min(1).default(1),
+      variantId: Joi.string().optional()
     });
 
     const { error, value } = quantitySchema.validate(req.query);
@@ -931,7 +1076,7 @@ class ProductController {
       return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
     }
 
-    const result = await ProductService.checkStock(req.params.productId, value.quantity);
+    const result = await ProductService.checkStock(req.params.productId, value.quantity, value.variantId);
     
     res.success(result, 'Disponibilidad verificada exitosamente');
   });
@@ -994,6 +1139,202 @@ class ProductController {
     
     res.success(stats, 'Estadísticas del producto obtenidas exitosamente');
   });
+
+  // ===== VARIANTES =====
+
+  /**
+   * @swagger
+   * /api/products/{productId}/variants:
+   *   get:
+   *     summary: Obtener variantes del producto
+   *     description: Los administradores ven también las variantes inactivas
+   *     tags: [Products]
+   *     security: []
+   *     parameters:
+   *       - in: path
+   *         name: productId
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: ID del producto
+   *     responses:
+   *       200:
+   *         description: Variantes obtenidas exitosamente
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     productId:
+   *                       type: string
+   *                     options:
+   *                       type: array
+   *                       items:
+   *                         $ref: '#/components/schemas/ProductOption'
+   *                     variants:
+   *                       type: array
+   *                       items:
+   *                         $ref: '#/components/schemas/ProductVariant'
+   *       404:
+   *         description: Producto no encontrado
+   */
+  static getProductVariants = asyncHandler(async (req, res) => {
+    const result = await ProductVariantService.getProductVariants(req.params.productId, req.permissions);
+
+    res.success(result, 'Variantes obtenidas exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/products/{productId}/variants:
+   *   post:
+   *     summary: Crear variante del producto (Admin)
+   *     tags: [Products]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: productId
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: ID del producto
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/VariantRequest'
+   *     responses:
+   *       201:
+   *         description: Variante creada exitosamente
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 data:
+   *                   $ref: '#/components/schemas/ProductVariant'
+   *       400:
+   *         description: Opciones inválidas, combinación o SKU duplicado
+   *       404:
+   *         description: Producto no encontrado
+   */
+  static createVariant = asyncHandler(async (req, res) => {
+    const createVariantSchema = Joi.object({
+      sku: Joi.string().min(2).max(50).required(),
+      options: Joi.object().pattern(Joi.string(), Joi.string().max(100)).min(1).required(),
+      price: Joi.number().min(0).optional(),
+      weight: Joi.number().min(0).optional(),
+      stockQty: Joi.number().integer().min(0).default(0),
+      isActive: Joi.boolean().default(true)
+    });
+
+    const { error, value } = createVariantSchema.validate(req.body);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const variant = await ProductVariantService.createVariant(req.params.productId, value);
+
+    res.status(201).success(variant, 'Variante creada exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/products/{productId}/variants/{variantId}:
+   *   put:
+   *     summary: Actualizar variante del producto (Admin)
+   *     description: Enviar price o weight en null vuelve a usar el valor del producto
+   *     tags: [Products]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: productId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: variantId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/VariantRequest'
+   *     responses:
+   *       200:
+   *         description: Variante actualizada exitosamente
+   *       400:
+   *         description: Opciones inválidas, combinación o SKU duplicado
+   *       404:
+   *         description: Producto o variante no encontrada
+   */
+  static updateVariant = asyncHandler(async (req, res) => {
+    const updateVariantSchema = Joi.object({
+      sku: Joi.string().min(2).max(50).optional(),
+      options: Joi.object().pattern(Joi.string(), Joi.string().max(100)).min(1).optional(),
+      price: Joi.number().min(0).allow(null).optional(),
+      weight: Joi.number().min(0).allow(null).optional(),
+      stockQty: Joi.number().integer().min(0).optional(),
+      isActive: Joi.boolean().optional()
+    }).min(1);
+
+    const { error, value } = updateVariantSchema.validate(req.body);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const variant = await ProductVariantService.updateVariant(req.params.productId, req.params.variantId, value);
+
+    res.success(variant, 'Variante actualizada exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/products/{productId}/variants/{variantId}:
+   *   delete:
+   *     summary: Eliminar variante del producto (Admin)
+   *     tags: [Products]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: productId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: variantId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Variante eliminada exitosamente
+   *       400:
+   *         description: La variante tiene órdenes pendientes o stock reservado
+   *       404:
+   *         description: Producto o variante no encontrada
+   */
+  static deleteVariant = asyncHandler(async (req, res) => {
+    const result = await ProductVariantService.deleteVariant(req.params.productId, req.params.variantId);
+
+    res.success(result, 'Variante eliminada exitosamente');
+  });
 }
 
 module.exports = ProductController; 
\ No newline at end of file
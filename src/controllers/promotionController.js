@@ -0,0 +1,282 @@
+const PromotionService = require('../services/promotionService');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { PROMOTION_TYPES, PROMOTION_SCOPES } = require('../config/constants');
+const Joi = require('joi');
+
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/).message('ID inválido');
+
+// Campos comunes de creación y actualización
+const promotionFields = {
+  code: Joi.string().trim().uppercase().pattern(/^[A-Z0-9_-]+$/).min(2).max(50),
+  name: Joi.string().trim().min(2).max(200),
+  description: Joi.string().max(1000).allow(''),
+  type: Joi.string().valid(...Object.values(PROMOTION_TYPES)),
+  value: Joi.number().min(0),
+  maxDiscountAmount: Joi.number().min(0),
+  buyQuantity: Joi.number().integer().min(1),
+  getQuantity: Joi.number().integer().min(1),
+  getDiscountPercent: Joi.number().min(0).max(100),
+  scope: Joi.string().valid(...Object.values(PROMOTION_SCOPES)),
+  productIds: Joi.array().items(objectId),
+  categoryIds: Joi.array().items(objectId),
+  minSubtotal: Joi.number().min(0),
+  startsAt: Joi.date(),
+  endsAt: Joi.date(),
+  usageLimit: Joi.number().integer().min(1).allow(null),
+  usageLimitPerUser: Joi.number().integer().min(1).allow(null),
+  stackable: Joi.boolean(),
+  priority: Joi.number().integer(),
+  isActive: Joi.boolean()
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Promotion:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         code:
+ *           type: string
+ *           example: VERANO10
+ *         name:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [percentage, fixed_amount, free_shipping, buy_x_get_y]
+ *         value:
+ *           type: number
+ *           description: Porcentaje (0-100) o monto fijo según el tipo
+ *         maxDiscountAmount:
+ *           type: number
+ *           description: Tope para descuentos porcentuales
+ *         buyQuantity:
+ *           type: integer
+ *         getQuantity:
+ *           type: integer
+ *         getDiscountPercent:
+ *           type: number
+ *           description: Descuento de las unidades "Y" (100 = gratis)
+ *         scope:
+ *           type: string
+ *           enum: [order, category, product]
+ *         productIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *         categoryIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *         minSubtotal:
+ *           type: number
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *         usageLimit:
+ *           type: integer
+ *         usageLimitPerUser:
+ *           type: integer
+ *         usageCount:
+ *           type: integer
+ *         stackable:
+ *           type: boolean
+ *         priority:
+ *           type: integer
+ *         isActive:
+ *           type: boolean
+ */
+
+class PromotionController {
+  /**
+   * @swagger
+   * /api/promotions:
+   *   get:
+   *     summary: Obtener promociones (Admin)
+   *     tags: [Promotions]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: isActive
+   *         schema:
+   *           type: boolean
+   *       - in: query
+   *         name: type
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: search
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Promociones obtenidas exitosamente
+   *       403:
+   *         description: Acceso denegado - Solo administradores
+   */
+  static getAllPromotions = asyncHandler(async (req, res) => {
+    const querySchema = Joi.object({
+      isActive: Joi.boolean().optional(),
+      type: Joi.string().valid(...Object.values(PROMOTION_TYPES)).optional(),
+      search: Joi.string().max(100).optional(),
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(100).default(20)
+    });
+
+    const { error, value } = querySchema.validate(req.query);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const { page, limit, ...filters } = value;
+    const result = await PromotionService.getAllPromotions(filters, { page, limit });
+
+    res.success(result.promotions, 'Promociones obtenidas exitosamente', result.pagination);
+  });
+
+  /**
+   * @swagger
+   * /api/promotions/{promotionId}:
+   *   get:
+   *     summary: Obtener promoción por ID (Admin)
+   *     tags: [Promotions]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: promotionId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Promoción obtenida exitosamente
+   *       404:
+   *         description: Promoción no encontrada
+   */
+  static getPromotionById = asyncHandler(async (req, res) => {
+    const promotion = await PromotionService.getPromotionById(req.params.promotionId);
+
+    res.success(promotion, 'Promoción obtenida exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/promotions:
+   *   post:
+   *     summary: Crear promoción (Admin)
+   *     tags: [Promotions]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/Promotion'
+   *     responses:
+   *       201:
+   *         description: Promoción creada exitosamente
+   *       400:
+   *         description: Reglas inválidas o código duplicado
+   */
+  static createPromotion = asyncHandler(async (req, res) => {
+    const createSchema = Joi.object({
+      ...promotionFields,
+      code: promotionFields.code.required(),
+      name: promotionFields.name.required(),
+      type: promotionFields.type.required()
+    });
+
+    const { error, value } = createSchema.validate(req.body);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const promotion = await PromotionService.createPromotion(value, req.user.id);
+
+    res.created(promotion, 'Promoción creada exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/promotions/{promotionId}:
+   *   put:
+   *     summary: Actualizar promoción (Admin)
+   *     tags: [Promotions]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: promotionId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/Promotion'
+   *     responses:
+   *       200:
+   *         description: Promoción actualizada exitosamente
+   *       404:
+   *         description: Promoción no encontrada
+   */
+  static updatePromotion = asyncHandler(async (req, res) => {
+    const updateSchema = Joi.object(promotionFields).min(1);
+
+    const { error, value } = updateSchema.validate(req.body);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const promotion = await PromotionService.updatePromotion(req.params.promotionId, value);
+
+    res.success(promotion, 'Promoción actualizada exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/promotions/{promotionId}:
+   *   delete:
+   *     summary: Eliminar promoción (Admin)
+   *     description: Las promociones con usos registrados se desactivan en lugar de eliminarse.
+   *     tags: [Promotions]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: promotionId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Promoción eliminada o desactivada
+   *       404:
+   *         description: Promoción no encontrada
+   */
+  static deletePromotion = asyncHandler(async (req, res) => {
+    const result = await PromotionService.deletePromotion(req.params.promotionId);
+
+    res.success(result, result.message);
+  });
+}
+
+module.exports = PromotionController;
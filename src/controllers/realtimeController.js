@@ -0,0 +1,170 @@
+const RealtimeService = require('../services/realtimeService');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { REALTIME_RESOURCE_TYPES, REALTIME_MAX_SUBSCRIPTIONS } = require('../config/constants');
+const Joi = require('joi');
+
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/).message('ID inválido');
+
+const resourceSchema = Joi.object({
+  type: Joi.string().valid(...Object.values(REALTIME_RESOURCE_TYPES)).required(),
+  id: objectId.required()
+});
+
+// "order:<id>,post:<id>" -> [{ type, id }]
+const parseResourceList = (value) => {
+  if (!value) return [];
+
+  return value.split(',').filter(Boolean).map(item => {
+    const [type, id] = item.trim().split(':');
+    return { type, id };
+  });
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RealtimeResource:
+ *       type: object
+ *       required:
+ *         - type
+ *         - id
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [order, shipment, post]
+ *         id:
+ *           type: string
+ */
+
+class RealtimeController {
+  /**
+   * @swagger
+   * /api/realtime/stream:
+   *   get:
+   *     summary: Abrir el canal de eventos en tiempo real (Server-Sent Events)
+   *     description: |
+   *       Conexión `text/event-stream` que queda abierta. Se autentica con el mismo JWT de la API, en el header
+   *       `Authorization` o en `access_token` (EventSource no permite headers). El canal se cierra al cerrar
+   *       la sesión o cuando el token vence (`token.expired`); el cliente debe reconectar con un token nuevo.
+   *
+   *       Siempre llegan los eventos del usuario (`order.status_changed`, `shipment.tracking` de sus órdenes,
+   *       `notification.created`) y, con el permiso inventory:read, `inventory.changed`. Los eventos de una
+   *       orden, envío o post (`comment.created`, `reaction.changed`) requieren suscribirse al recurso.
+   *
+   *       El primer evento es `ready` con el `connectionId` para cambiar las suscripciones.
+   *     tags: [Realtime]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: access_token
+   *         schema:
+   *           type: string
+   *         description: JWT de acceso si no se envía el header Authorization
+   *       - in: query
+   *         name: subscribe
+   *         schema:
+   *           type: string
+   *         description: Recursos separados por comas con el formato tipo:id
+   *         example: order:64b0c1f2a3d4e5f6a7b8c9d0,post:64b0c1f2a3d4e5f6a7b8c9d1
+   *     responses:
+   *       200:
+   *         description: Canal abierto
+   *         content:
+   *           text/event-stream:
+   *             schema:
+   *               type: string
+   *               example: |
+   *                 event: ready
+   *                 data: {"connectionId":"2f1c...","subscriptions":[{"type":"order","id":"64b0..."}]}
+   *       401:
+   *         description: Token inválido, vencido o sesión cerrada
+   *       403:
+   *         description: Sin permisos sobre alguno de los recursos
+   */
+  static openStream = asyncHandler(async (req, res) => {
+    const querySchema = Joi.object({
+      access_token: Joi.string().optional(),
+      subscribe: Joi.array().items(resourceSchema).max(REALTIME_MAX_SUBSCRIPTIONS).default([])
+    });
+
+    const { error, value } = querySchema.validate({
+      ...req.query,
+      subscribe: parseResourceList(req.query.subscribe)
+    });
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    await RealtimeService.openStream({
+      req,
+      res,
+      user: req.user,
+      permissions: req.permissions,
+      sessionId: req.sessionId,
+      tokenExpiresAt: req.tokenExpiresAt,
+      resources: value.subscribe
+    });
+  });
+
+  /**
+   * @swagger
+   * /api/realtime/subscriptions:
+   *   put:
+   *     summary: Cambiar las suscripciones de un canal abierto
+   *     description: El cambio se aplica aunque el canal esté abierto en otra instancia de la API.
+   *     tags: [Realtime]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - connectionId
+   *             properties:
+   *               connectionId:
+   *                 type: string
+   *                 description: Recibido en el evento ready
+   *               subscribe:
+   *                 type: array
+   *                 items:
+   *                   $ref: '#/components/schemas/RealtimeResource'
+   *               unsubscribe:
+   *                 type: array
+   *                 items:
+   *                   $ref: '#/components/schemas/RealtimeResource'
+   *     responses:
+   *       200:
+   *         description: Suscripciones actualizadas
+   *       400:
+   *         description: Datos inválidos
+   *       403:
+   *         description: Sin permisos sobre alguno de los recursos
+   *       404:
+   *         description: Recurso no encontrado
+   */
+  static updateSubscriptions = asyncHandler(async (req, res) => {
+    const schema = Joi.object({
+      connectionId: Joi.string().guid().required(),
+      subscribe: Joi.array().items(resourceSchema).max(REALTIME_MAX_SUBSCRIPTIONS),
+      unsubscribe: Joi.array().items(resourceSchema).max(REALTIME_MAX_SUBSCRIPTIONS)
+    }).or('subscribe', 'unsubscribe')
+      .messages({ 'object.missing': 'Debes enviar subscribe o unsubscribe' });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const { connectionId, ...changes } = value;
+    const result = await RealtimeService.updateSubscriptions(req.user, req.permissions, connectionId, changes);
+
+    res.success(result, 'Suscripciones actualizadas exitosamente');
+  });
+}
+
+module.exports = RealtimeController;
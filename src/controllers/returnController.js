@@ -0,0 +1,550 @@
+const ReturnService = require('../services/returnService');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { RETURN_STATUS, RETURN_REASONS } = require('../config/constants');
+const Joi = require('joi');
+
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/).message('ID inválido');
+
+// Una línea se identifica por producto + variante
+const isSameLine = (a, b) => a.productId === b.productId && (a.variantId || null) === (b.variantId || null);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReturnItem:
+ *       type: object
+ *       properties:
+ *         productId:
+ *           type: string
+ *         variantId:
+ *           type: string
+ *           nullable: true
+ *         productName:
+ *           type: string
+ *         quantity:
+ *           type: integer
+ *           description: Unidades a devolver
+ *         unitPrice:
+ *           type: number
+ *           description: Precio pagado por unidad
+ *         reason:
+ *           type: string
+ *           enum: [defective, wrong_item, not_as_described, damaged_in_transit, no_longer_needed, other]
+ *         comment:
+ *           type: string
+ *         restockedQty:
+ *           type: integer
+ *           description: Unidades recibidas en condición vendible
+ *         damagedQty:
+ *           type: integer
+ *           description: Unidades recibidas dañadas
+ *
+ *     ReturnRequest:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         rmaNumber:
+ *           type: string
+ *           example: RMA-1700000000000-AB12C
+ *         orderId:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [requested, approved, rejected, received, refunding, refunded, cancelled]
+ *         items:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ReturnItem'
+ *         refundAmount:
+ *           type: number
+ *         statusHistory:
+ *           type: array
+ *           items:
+ *             type: object
+ */
+
+class ReturnController {
+  /**
+   * @swagger
+   * /api/returns:
+   *   post:
+   *     summary: Solicitar devolución de items de una orden entregada
+   *     tags: [Returns]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - orderId
+   *               - items
+   *             properties:
+   *               orderId:
+   *                 type: string
+   *               items:
+   *                 type: array
+   *                 items:
+   *                   type: object
+   *                   required:
+   *                     - productId
+   *                     - quantity
+   *                     - reason
+   *                   properties:
+   *                     productId:
+   *                       type: string
+   *                     variantId:
+   *                       type: string
+   *                       description: Requerido si la línea de la orden tiene variante
+   *                     quantity:
+   *                       type: integer
+   *                       minimum: 1
+   *                     reason:
+   *                       type: string
+   *                       enum: [defective, wrong_item, not_as_described, damaged_in_transit, no_longer_needed, other]
+   *                     comment:
+   *                       type: string
+   *               notes:
+   *                 type: string
+   *     responses:
+   *       201:
+   *         description: Devolución solicitada exitosamente
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 data:
+   *                   $ref: '#/components/schemas/ReturnRequest'
+   *       400:
+   *         description: Orden no entregada o cantidad mayor a la devolvible
+   *       403:
+   *         description: La orden no pertenece al usuario
+   */
+  static createReturnRequest = asyncHandler(async (req, res) => {
+    const createSchema = Joi.object({
+      orderId: objectId.required(),
+      items: Joi.array().items(Joi.object({
+        productId: objectId.required(),
+        variantId: objectId.optional(),
+        quantity: Joi.number().integer().min(1).required(),
+        reason: Joi.string().valid(...Object.values(RETURN_REASONS)).required(),
+        comment: Joi.string().max(500).optional()
+      })).min(1).unique(isSameLine).required(),
+      notes: Joi.string().max(500).optional()
+    });
+
+    const { error, value } = createSchema.validate(req.body);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const returnRequest = await ReturnService.createReturnRequest(req.user.id, value);
+
+    res.created(returnRequest, 'Devolución solicitada exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/returns:
+   *   get:
+   *     summary: Obtener devoluciones del usuario autenticado
+   *     tags: [Returns]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Devoluciones obtenidas exitosamente
+   */
+  static getUserReturns = asyncHandler(async (req, res) => {
+    const paginationSchema = Joi.object({
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(50).default(10)
+    });
+
+    const { error, value } = paginationSchema.validate(req.query);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const result = await ReturnService.getUserReturns(req.user.id, value);
+
+    res.success(result.returns, 'Devoluciones obtenidas exitosamente', result.pagination);
+  });
+
+  /**
+   * @swagger
+   * /api/returns/all:
+   *   get:
+   *     summary: Obtener todas las devoluciones (Admin)
+   *     tags: [Returns]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [requested, approved, rejected, received, refunding, refunded, cancelled]
+   *       - in: query
+   *         name: orderId
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: userId
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Devoluciones obtenidas exitosamente
+   *       403:
+   *         description: Acceso denegado - Solo administradores
+   */
+  static getAllReturns = asyncHandler(async (req, res) => {
+    const querySchema = Joi.object({
+      status: Joi.string().valid(...Object.values(RETURN_STATUS)).optional(),
+      orderId: objectId.optional(),
+      userId: objectId.optional(),
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(100).default(20)
+    });
+
+    const { error, value } = querySchema.validate(req.query);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const { page, limit, ...filters } = value;
+    const result = await ReturnService.getAllReturns(filters, { page, limit });
+
+    res.success(result.returns, 'Devoluciones obtenidas exitosamente', result.pagination);
+  });
+
+  /**
+   * @swagger
+   * /api/returns/{returnId}:
+   *   get:
+   *     summary: Obtener devolución por ID
+   *     tags: [Returns]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: returnId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Devolución obtenida exitosamente
+   *       403:
+   *         description: No tienes permiso para ver esta devolución
+   *       404:
+   *         description: Devolución no encontrada
+   */
+  static getReturnById = asyncHandler(async (req, res) => {
+    const returnRequest = await ReturnService.getReturnById(req.params.returnId, req.user.id, req.permissions);
+
+    res.success(returnRequest, 'Devolución obtenida exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/returns/{returnId}/cancel:
+   *   put:
+   *     summary: Cancelar solicitud de devolución pendiente
+   *     tags: [Returns]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: returnId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Devolución cancelada exitosamente
+   *       400:
+   *         description: La devolución ya fue revisada
+   */
+  static cancelReturn = asyncHandler(async (req, res) => {
+    const returnRequest = await ReturnService.cancelReturn(req.params.returnId, req.user.id);
+
+    res.success(returnRequest, 'Devolución cancelada exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/returns/{returnId}/approve:
+   *   put:
+   *     summary: Aprobar devolución (Admin)
+   *     tags: [Returns]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: returnId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               notes:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Devolución aprobada exitosamente
+   *       400:
+   *         description: La devolución no está pendiente de revisión
+   */
+  static approveReturn = asyncHandler(async (req, res) => {
+    const approveSchema = Joi.object({
+      notes: Joi.string().max(500).optional()
+    });
+
+    const { error, value } = approveSchema.validate(req.body);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const returnRequest = await ReturnService.approveReturn(req.params.returnId, req.user.id, value.notes);
+
+    res.success(returnRequest, 'Devolución aprobada exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/returns/{returnId}/reject:
+   *   put:
+   *     summary: Rechazar devolución (Admin)
+   *     tags: [Returns]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: returnId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - reason
+   *             properties:
+   *               reason:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Devolución rechazada exitosamente
+   *       400:
+   *         description: La devolución no está pendiente de revisión
+   */
+  static rejectReturn = asyncHandler(async (req, res) => {
+    const rejectSchema = Joi.object({
+      reason: Joi.string().max(500).required()
+    });
+
+    const { error, value } = rejectSchema.validate(req.body);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const returnRequest = await ReturnService.rejectReturn(req.params.returnId, req.user.id, value.reason);
+
+    res.success(returnRequest, 'Devolución rechazada exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/returns/{returnId}/receive:
+   *   put:
+   *     summary: Registrar mercancía devuelta recibida (Admin)
+   *     description: |
+   *       Las unidades vendibles regresan al stock con una transacción RETURN.
+   *       Las dañadas se registran como RETURN seguida de DAMAGE.
+   *     tags: [Returns]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: returnId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - items
+   *             properties:
+   *               items:
+   *                 type: array
+   *                 items:
+   *                   type: object
+   *                   required:
+   *                     - productId
+   *                   properties:
+   *                     productId:
+   *                       type: string
+   *                     variantId:
+   *                       type: string
+   *                       description: Requerido si la línea de la orden tiene variante
+   *                     restockedQty:
+   *                       type: integer
+   *                       minimum: 0
+   *                     damagedQty:
+   *                       type: integer
+   *                       minimum: 0
+   *               notes:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Mercancía registrada exitosamente
+   *       400:
+   *         description: Cantidades inválidas o devolución no aprobada
+   */
+  static receiveReturn = asyncHandler(async (req, res) => {
+    const receiveSchema = Joi.object({
+      items: Joi.array().items(Joi.object({
+        productId: objectId.required(),
+        variantId: objectId.optional(),
+        restockedQty: Joi.number().integer().min(0).default(0),
+        damagedQty: Joi.number().integer().min(0).default(0)
+      })).min(1).unique(isSameLine).required(),
+      notes: Joi.string().max(500).optional()
+    });
+
+    const { error, value } = receiveSchema.validate(req.body);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const returnRequest = await ReturnService.receiveReturn(req.params.returnId, value, req.user.id);
+
+    res.success(returnRequest, 'Mercancía registrada exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/returns/{returnId}/refund:
+   *   post:
+   *     summary: Reembolsar devolución recibida (Admin)
+   *     description: |
+   *       Sin monto se reembolsa el valor de la mercancía recibida más su parte del IVA;
+   *       si con ella vuelven todas las unidades de la orden se reembolsa el resto de la
+   *       orden, envío incluido. La orden queda en PARTIALLY_REFUNDED o REFUNDED según
+   *       el total reembolsado.
+   *     tags: [Returns]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: returnId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               amount:
+   *                 type: number
+   *               reason:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Reembolso procesado exitosamente
+   *       400:
+   *         description: Monto inválido o devolución no recibida
+   *       409:
+   *         description: La devolución ya se está reembolsando
+   */
+  static refundReturn = asyncHandler(async (req, res) => {
+    const refundSchema = Joi.object({
+      amount: Joi.number().positive().precision(2).optional(),
+      reason: Joi.string().max(500).optional()
+    });
+
+    const { error, value } = refundSchema.validate(req.body);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const returnRequest = await ReturnService.refundReturn(req.params.returnId, value, req.user.id);
+
+    res.success(returnRequest, 'Reembolso procesado exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/returns/{returnId}/refund/reconcile:
+   *   post:
+   *     summary: Conciliar un reembolso que quedó a medias (Admin)
+   *     description: |
+   *       Para devoluciones en REFUNDING. Si el proveedor emitió el reembolso se registra
+   *       y la devolución pasa a REFUNDED; si nunca se emitió vuelve a RECEIVED para
+   *       reintentarlo. El trabajo returns.reconcile_refunds hace lo mismo con las que
+   *       llevan más de 15 minutos atascadas.
+   *     tags: [Returns]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: returnId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Devolución conciliada
+   *       400:
+   *         description: La devolución no está en REFUNDING
+   *       409:
+   *         description: El proveedor no confirmó el reembolso (REFUND_OUTCOME_UNKNOWN); hay que verificarlo en su panel
+   */
+  static reconcileRefund = asyncHandler(async (req, res) => {
+    const returnRequest = await ReturnService.reconcileRefund(req.params.returnId, req.user.id);
+
+    res.success(returnRequest, 'Reembolso conciliado exitosamente');
+  });
+}
+
+module.exports = ReturnController;
@@ -0,0 +1,279 @@
+const RoleService = require('../services/roleService');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { PERMISSIONS, ROLE_NAME_PATTERN } = require('../config/constants');
+const Joi = require('joi');
+
+// Campos comunes de creación y actualización
+const roleFields = {
+  displayName: Joi.string().trim().min(2).max(60),
+  description: Joi.string().trim().max(300).allow(''),
+  permissions: Joi.array().items(Joi.string().valid(...Object.values(PERMISSIONS))).unique()
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Role:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: warehouse
+ *           description: Identificador del rol; es el valor que se guarda en User.role
+ *         displayName:
+ *           type: string
+ *           example: Personal de almacén
+ *         description:
+ *           type: string
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["inventory:adjust", "shipments:manage"]
+ *         isSystem:
+ *           type: boolean
+ *           description: Rol incluido con la aplicación (no se puede eliminar)
+ *         userCount:
+ *           type: integer
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     Permission:
+ *       type: object
+ *       properties:
+ *         key:
+ *           type: string
+ *           example: orders:update_status
+ *         resource:
+ *           type: string
+ *           example: orders
+ *         description:
+ *           type: string
+ */
+
+class RoleController {
+  /**
+   * @swagger
+   * /api/roles:
+   *   get:
+   *     summary: Obtener roles con sus permisos
+   *     tags: [Roles]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Roles obtenidos exitosamente
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/Role'
+   *       403:
+   *         description: Acceso denegado - Requiere el permiso roles:manage
+   */
+  static getRoles = asyncHandler(async (req, res) => {
+    const roles = await RoleService.getRoles();
+
+    res.success(roles, 'Roles obtenidos exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/roles/permissions:
+   *   get:
+   *     summary: Obtener el registro de permisos disponibles
+   *     tags: [Roles]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Permisos obtenidos exitosamente
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/Permission'
+   */
+  static getPermissions = asyncHandler(async (req, res) => {
+    const permissions = RoleService.getPermissionRegistry();
+
+    res.success(permissions, 'Permisos obtenidos exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/roles/{name}:
+   *   get:
+   *     summary: Obtener rol por nombre
+   *     tags: [Roles]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: name
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Rol obtenido exitosamente
+   *       404:
+   *         description: Rol no encontrado
+   */
+  static getRoleByName = asyncHandler(async (req, res) => {
+    const role = await RoleService.getRoleByName(req.params.name);
+
+    res.success(role, 'Rol obtenido exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/roles:
+   *   post:
+   *     summary: Crear rol personalizado
+   *     tags: [Roles]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - name
+   *               - displayName
+   *             properties:
+   *               name:
+   *                 type: string
+   *                 example: fulfillment
+   *               displayName:
+   *                 type: string
+   *               description:
+   *                 type: string
+   *               permissions:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *     responses:
+   *       201:
+   *         description: Rol creado exitosamente
+   *       400:
+   *         description: Nombre duplicado o permisos inválidos
+   */
+  static createRole = asyncHandler(async (req, res) => {
+    const createSchema = Joi.object({
+      name: Joi.string().trim().lowercase().pattern(ROLE_NAME_PATTERN).required()
+        .messages({ 'string.pattern.base': 'El nombre del rol solo admite minúsculas, números, "-" y "_" (2 a 30 caracteres)' }),
+      ...roleFields,
+      displayName: roleFields.displayName.required()
+    });
+
+    const { error, value } = createSchema.validate(req.body);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const role = await RoleService.createRole(value, req.permissions);
+
+    res.created(role, 'Rol creado exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/roles/{name}:
+   *   put:
+   *     summary: Actualizar rol y sus permisos
+   *     description: Los permisos del rol admin no se pueden modificar. Los cambios se aplican en menos de un minuto.
+   *     tags: [Roles]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: name
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               displayName:
+   *                 type: string
+   *               description:
+   *                 type: string
+   *               permissions:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *     responses:
+   *       200:
+   *         description: Rol actualizado exitosamente
+   *       403:
+   *         description: El rol admin no se puede modificar
+   *       404:
+   *         description: Rol no encontrado
+   */
+  static updateRole = asyncHandler(async (req, res) => {
+    const updateSchema = Joi.object(roleFields).min(1);
+
+    const { error, value } = updateSchema.validate(req.body);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const role = await RoleService.updateRole(req.params.name, value, req.permissions);
+
+    res.success(role, 'Rol actualizado exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/roles/{name}:
+   *   delete:
+   *     summary: Eliminar rol personalizado
+   *     description: Los roles incluidos y los roles asignados a usuarios no se pueden eliminar.
+   *     tags: [Roles]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: name
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Rol eliminado exitosamente
+   *       403:
+   *         description: Rol incluido
+   *       409:
+   *         description: El rol está asignado a usuarios
+   */
+  static deleteRole = asyncHandler(async (req, res) => {
+    const result = await RoleService.deleteRole(req.params.name);
+
+    res.success(result, 'Rol eliminado exitosamente');
+  });
+}
+
+module.exports = RoleController;
@@ -1,6 +1,28 @@
 const UserService = require('../services/userService');
-const { asyncHandler, AppError } = require('../middlewares/errorHandler');
+const { asyncHandler } = require('../middlewares/errorHandler');
 const Joi = require('joi');
+const { LOGIN_FAILURE_REASONS, USER_ROLES, ROLE_NAME_PATTERN } = require('../config/constants');
+
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/).message('ID inválido');
+
+// Filtros comunes del historial de inicios de sesión
+const loginEventFilters = {
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid('success', 'failure').optional(),
+  newDevice: Joi.boolean().optional(),
+  reason: Joi.string().valid(...Object.values(LOGIN_FAILURE_REASONS)).optional(),
+  dateFrom: Joi.date().optional(),
+  dateTo: Joi.date().optional()
+};
+
+const toLoginEventFilters = ({ status, newDevice, reason, dateFrom, dateTo }) => ({
+  success: status ? status === 'success' : undefined,
+  newDevice,
+  reason,
+  dateFrom,
+  dateTo
+});
 
 /**
  * @swagger
@@ -14,7 +36,6 @@ const Joi = require('joi');
  *           description: Buscar por nombre o email
  *         role:
  *           type: string
- *           enum: [user, admin]
  *           description: Filtrar por rol
  *         isActive:
  *           type: boolean
@@ -114,7 +135,6 @@ class UserController {
    *         name: role
    *         schema:
    *           type: string
-   *           enum: [user, admin]
    *         description: Filtrar por rol
    *       - in: query
    *         name: isActive
@@ -153,7 +173,7 @@ class UserController {
   static getAllUsers = asyncHandler(async (req, res) => {
     const filtersSchema = Joi.object({
       search: Joi.string().optional(),
-      role: Joi.string().valid('user', 'admin').optional(),
+      role: Joi.string().pattern(ROLE_NAME_PATTERN).optional(),
       isActive: Joi.boolean().optional(),
       dateFrom: Joi.date().optional(),
       dateTo: Joi.date().optional()
@@ -214,7 +234,7 @@ class UserController {
    *         description: Acceso denegado - Solo administradores
    */
   static getUserById = asyncHandler(async (req, res) => {
-    const user = await UserService.getUserById(req.params.userId, req.user);
+    const user = await UserService.getUserById(req.params.userId, req.user, req.permissions);
     
     res.success(user, 'Usuario obtenido exitosamente');
   });
@@ -257,7 +277,7 @@ class UserController {
    *                 type: string
    *               role:
    *                 type: string
-   *                 enum: [user, admin]
+   *                 description: Nombre de un rol existente (ver /api/roles)
    *                 default: user
    *     responses:
    *       201:
@@ -289,7 +309,7 @@ class UserController {
       email: Joi.string().email().required(),
       password: Joi.string().min(6).required(),
       phone: Joi.string().optional(),
-      role: Joi.string().valid('user', 'admin').default('user')
+      role: Joi.string().pattern(ROLE_NAME_PATTERN).default(USER_ROLES.CUSTOMER)
     });
 
     const { error, value } = createUserSchema.validate(req.body);
@@ -297,7 +317,7 @@ class UserController {
       return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
     }
 
-    const user = await UserService.createUser(value);
+    const user = await UserService.createUser(value, req.permissions);
     
     res.status(201).success(user, 'Usuario creado exitosamente');
   });
@@ -336,7 +356,7 @@ class UserController {
    *                 type: string
    *               role:
    *                 type: string
-   *                 enum: [user, admin]
+   *                 description: Nombre de un rol existente (ver /api/roles)
    *     responses:
    *       200:
    *         description: Usuario actualizado exitosamente
@@ -363,7 +383,7 @@ class UserController {
       firstName: Joi.string().min(2).max(50).optional(),
       lastName: Joi.string().min(2).max(50).optional(),
       phone: Joi.string().optional(),
-      role: Joi.string().valid('user', 'admin').optional()
+      role: Joi.string().pattern(ROLE_NAME_PATTERN).optional()
     });
 
     const { error, value } = updateUserSchema.validate(req.body);
@@ -371,7 +391,7 @@ class UserController {
       return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
     }
 
-    const user = await UserService.updateUser(req.params.userId, value);
+    const user = await UserService.updateUser(req.params.userId, value, req.permissions);
     
     res.success(user, 'Usuario actualizado exitosamente');
   });
@@ -381,6 +401,7 @@ class UserController {
    * /api/users/{userId}:
    *   delete:
    *     summary: Eliminar usuario (Admin)
+   *     description: Anonimiza los datos personales de inmediato. Las órdenes y pagos se conservan asociados al usuario anonimizado.
    *     tags: [Users]
    *     security:
    *       - bearerAuth: []
@@ -411,9 +432,11 @@ class UserController {
    *         description: Acceso denegado - Solo administradores
    *       400:
    *         description: No se puede eliminar a si mismo
+   *       409:
+   *         description: La cuenta ya fue eliminada
    */
   static deleteUser = asyncHandler(async (req, res) => {
-    await UserService.deleteUser(req.params.userId, req.user.id);
+    await UserService.deleteUser(req.params.userId, req.user.id, req.permissions);
     
     res.success(null, 'Usuario eliminado exitosamente');
   });
@@ -455,7 +478,7 @@ class UserController {
    *         description: Acceso denegado - Solo administradores
    */
   static activateUser = asyncHandler(async (req, res) => {
-    const user = await UserService.activateUser(req.params.userId);
+    const user = await UserService.activateUser(req.params.userId, req.permissions);
     
     res.success(user, 'Usuario activado exitosamente');
   });
@@ -499,7 +522,7 @@ class UserController {
    *         description: No se puede desactivar a si mismo
    */
   static deactivateUser = asyncHandler(async (req, res) => {
-    const user = await UserService.deactivateUser(req.params.userId, req.user.id);
+    const user = await UserService.deactivateUser(req.params.userId, req.user.id, req.permissions);
     
     res.success(user, 'Usuario desactivado exitosamente');
   });
@@ -671,6 +694,221 @@ class UserController {
     
     res.success(activity, 'Actividad del usuario obtenida exitosamente');
   });
+
+  /**
+   * @swagger
+   * /api/users/login-events:
+   *   get:
+   *     summary: Eventos de inicio de sesión de todas las cuentas (Admin)
+   *     description: Permite revisar intentos fallidos, bloqueos y accesos desde dispositivos nuevos. Los intentos con emails inexistentes aparecen con user null.
+   *     tags: [Users]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 20
+   *           maximum: 100
+   *       - in: query
+   *         name: userId
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: email
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: ip
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [success, failure]
+   *       - in: query
+   *         name: newDevice
+   *         schema:
+   *           type: boolean
+   *       - in: query
+   *         name: reason
+   *         schema:
+   *           type: string
+   *           enum: [unknown_email, invalid_password, invalid_two_factor_code, account_deactivated, account_locked, throttled]
+   *       - in: query
+   *         name: dateFrom
+   *         schema:
+   *           type: string
+   *           format: date
+   *       - in: query
+   *         name: dateTo
+   *         schema:
+   *           type: string
+   *           format: date
+   *     responses:
+   *       200:
+   *         description: Eventos obtenidos exitosamente
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     allOf:
+   *                       - $ref: '#/components/schemas/LoginEvent'
+   *                       - type: object
+   *                         properties:
+   *                           email:
+   *                             type: string
+   *                           user:
+   *                             type: object
+   *                             nullable: true
+   *                           sessionId:
+   *                             type: string
+   *                             nullable: true
+   *       403:
+   *         description: Acceso denegado - Solo administradores
+   */
+  static getLoginEvents = asyncHandler(async (req, res) => {
+    const eventsSchema = Joi.object({
+      ...loginEventFilters,
+      userId: objectId.optional(),
+      email: Joi.string().email().optional(),
+      ip: Joi.string().max(100).optional()
+    });
+
+    const { error, value } = eventsSchema.validate(req.query);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const result = await UserService.getLoginEvents(
+      {
+        ...toLoginEventFilters(value),
+        userId: value.userId,
+        email: value.email,
+        ip: value.ip
+      },
+      { page: value.page, limit: value.limit }
+    );
+
+    res.success(result.events, 'Eventos de inicio de sesión obtenidos exitosamente', result.pagination);
+  });
+
+  /**
+   * @swagger
+   * /api/users/{userId}/login-history:
+   *   get:
+   *     summary: Historial de inicios de sesión de un usuario (Admin)
+   *     tags: [Users]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: userId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 20
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [success, failure]
+   *       - in: query
+   *         name: newDevice
+   *         schema:
+   *           type: boolean
+   *     responses:
+   *       200:
+   *         description: Historial obtenido exitosamente
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/LoginEvent'
+   *       404:
+   *         description: Usuario no encontrado
+   *       403:
+   *         description: Acceso denegado - Solo administradores
+   */
+  static getUserLoginHistory = asyncHandler(async (req, res) => {
+    const { error: paramError } = objectId.required().validate(req.params.userId);
+    const { error, value } = Joi.object(loginEventFilters).validate(req.query);
+
+    if (paramError || error) {
+      return res.error((paramError || error).details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const result = await UserService.getUserLoginHistory(
+      req.params.userId,
+      toLoginEventFilters(value),
+      { page: value.page, limit: value.limit }
+    );
+
+    res.success(result.events, 'Historial de inicios de sesión obtenido exitosamente', result.pagination);
+  });
+
+  /**
+   * @swagger
+   * /api/users/{userId}/unlock:
+   *   put:
+   *     summary: Desbloquear una cuenta bloqueada por intentos fallidos (Admin)
+   *     tags: [Users]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: userId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Cuenta desbloqueada exitosamente
+   *       404:
+   *         description: Usuario no encontrado
+   *       403:
+   *         description: Acceso denegado - Solo administradores
+   */
+  static unlockUser = asyncHandler(async (req, res) => {
+    const { error } = objectId.required().validate(req.params.userId);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const result = await UserService.unlockUser(req.params.userId);
+
+    res.success(result, result.message);
+  });
 }
 
 module.exports = UserController; 
\ No newline at end of file
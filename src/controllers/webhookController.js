@@ -0,0 +1,634 @@
+const WebhookService = require('../services/webhookService');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const {
+  WEBHOOK_EVENTS,
+  WEBHOOK_EVENT_WILDCARD,
+  WEBHOOK_DELIVERY_STATUS,
+  WEBHOOK_SIGNATURE_HEADER
+} = require('../config/constants');
+const Joi = require('joi');
+
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/).message('ID inválido');
+
+// El ping solo se envía con el endpoint de prueba; no se puede suscribir
+const SUBSCRIBABLE_EVENTS = Object.values(WEBHOOK_EVENTS).filter(event => event !== WEBHOOK_EVENTS.PING);
+
+const eventsSchema = Joi.array()
+  .items(Joi.string().valid(...SUBSCRIBABLE_EVENTS, WEBHOOK_EVENT_WILDCARD))
+  .min(1)
+  .unique();
+
+const urlSchema = Joi.string().trim().uri({ scheme: ['http', 'https'] }).max(500);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WebhookSubscription:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: ERP central
+ *         description:
+ *           type: string
+ *         url:
+ *           type: string
+ *           example: https://erp.example.com/hooks/destello
+ *         events:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["order.paid", "order.cancelled", "inventory.low_stock"]
+ *           description: Eventos que recibe; "*" recibe todos
+ *         isActive:
+ *           type: boolean
+ *         secretRotatedAt:
+ *           type: string
+ *           format: date-time
+ *         lastDeliveryAt:
+ *           type: string
+ *           format: date-time
+ *         lastDeliveryStatus:
+ *           type: string
+ *           enum: [succeeded, failed]
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         subscriptionId:
+ *           type: string
+ *         event:
+ *           type: string
+ *           example: order.paid
+ *         eventId:
+ *           type: string
+ *           example: evt_5c0f9e2a7b1d4e6f8a9b0c1d
+ *           description: Se repite en los reenvíos para descartar duplicados
+ *         status:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *         attemptCount:
+ *           type: integer
+ *         lastStatusCode:
+ *           type: integer
+ *           nullable: true
+ *         lastError:
+ *           type: string
+ *           nullable: true
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *         redeliveryOf:
+ *           type: string
+ *           nullable: true
+ *         payload:
+ *           type: object
+ *           description: Cuerpo enviado (id, type, createdAt, data); solo en el detalle
+ *         attempts:
+ *           type: array
+ *           description: Intentos con código de respuesta, duración y error; solo en el detalle
+ *           items:
+ *             type: object
+ *             properties:
+ *               attemptedAt:
+ *                 type: string
+ *                 format: date-time
+ *               statusCode:
+ *                 type: integer
+ *                 nullable: true
+ *               durationMs:
+ *                 type: integer
+ *               responseBody:
+ *                 type: string
+ *               error:
+ *                 type: string
+ */
+
+class WebhookController {
+  /**
+   * @swagger
+   * /api/webhooks/events:
+   *   get:
+   *     summary: Obtener los eventos a los que se puede suscribir un webhook (Admin)
+   *     description: |
+   *       Cada entrega es un POST JSON `{ id, type, createdAt, data }` firmado en el header
+   *       `x-destello-signature` con el formato `t=<timestamp>,v1=<firma>`, donde la firma es el
+   *       HMAC-SHA256 en hexadecimal de `<timestamp>.<body>` con el secreto de la suscripción.
+   *       Cualquier respuesta 2xx confirma la entrega; las demás se reintentan con espera exponencial.
+   *     tags: [Webhooks]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Eventos y header de firma
+   */
+  static getEvents = asyncHandler(async (req, res) => {
+    res.success({
+      events: SUBSCRIBABLE_EVENTS,
+      wildcard: WEBHOOK_EVENT_WILDCARD,
+      signatureHeader: WEBHOOK_SIGNATURE_HEADER
+    }, 'Eventos obtenidos exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/webhooks:
+   *   get:
+   *     summary: Obtener suscripciones de webhooks (Admin)
+   *     tags: [Webhooks]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: isActive
+   *         schema:
+   *           type: boolean
+   *       - in: query
+   *         name: event
+   *         schema:
+   *           type: string
+   *         description: Suscripciones que reciben este evento
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 20
+   *     responses:
+   *       200:
+   *         description: Lista de suscripciones
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/WebhookSubscription'
+   */
+  static getSubscriptions = asyncHandler(async (req, res) => {
+    const querySchema = Joi.object({
+      isActive: Joi.boolean().optional(),
+      event: Joi.string().valid(...SUBSCRIBABLE_EVENTS).optional(),
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(100).default(20)
+    });
+
+    const { error, value } = querySchema.validate(req.query);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const { page, limit, ...filters } = value;
+    const result = await WebhookService.getSubscriptions(filters, { page, limit });
+
+    res.success(result.subscriptions, 'Webhooks obtenidos exitosamente', result.pagination);
+  });
+
+  /**
+   * @swagger
+   * /api/webhooks:
+   *   post:
+   *     summary: Crear suscripción de webhook (Admin)
+   *     description: La respuesta incluye el secreto de firma. Es la única vez que se muestra.
+   *     tags: [Webhooks]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - name
+   *               - url
+   *               - events
+   *             properties:
+   *               name:
+   *                 type: string
+   *               description:
+   *                 type: string
+   *               url:
+   *                 type: string
+   *               events:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *               isActive:
+   *                 type: boolean
+   *                 default: true
+   *     responses:
+   *       201:
+   *         description: Webhook creado
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     subscription:
+   *                       $ref: '#/components/schemas/WebhookSubscription'
+   *                     secret:
+   *                       type: string
+   *                       example: whsec_Q2h1cnJvcyB5IGNob2NvbGF0ZSBjYWxpZW50ZQ
+   *       400:
+   *         description: Datos inválidos
+   */
+  static createSubscription = asyncHandler(async (req, res) => {
+    const createSchema = Joi.object({
+      name: Joi.string().trim().min(2).max(100).required(),
+      description: Joi.string().trim().max(300).allow('').optional(),
+      url: urlSchema.required(),
+      events: eventsSchema.required(),
+      isActive: Joi.boolean().optional()
+    });
+
+    const { error, value } = createSchema.validate(req.body);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const result = await WebhookService.createSubscription(value, req.user._id);
+
+    res.created(result, 'Webhook creado exitosamente. Guarda el secreto ahora: no se volverá a mostrar.');
+  });
+
+  /**
+   * @swagger
+   * /api/webhooks/{subscriptionId}:
+   *   get:
+   *     summary: Obtener suscripción de webhook por ID (Admin)
+   *     tags: [Webhooks]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: subscriptionId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Suscripción
+   *       404:
+   *         description: Webhook no encontrado
+   */
+  static getSubscriptionById = asyncHandler(async (req, res) => {
+    const { error } = objectId.validate(req.params.subscriptionId);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const subscription = await WebhookService.getSubscriptionById(req.params.subscriptionId);
+
+    res.success(subscription, 'Webhook obtenido exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/webhooks/{subscriptionId}:
+   *   put:
+   *     summary: Actualizar suscripción de webhook (Admin)
+   *     description: Al desactivarla, las entregas pendientes se descartan en lugar de reintentarse.
+   *     tags: [Webhooks]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: subscriptionId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               name:
+   *                 type: string
+   *               description:
+   *                 type: string
+   *               url:
+   *                 type: string
+   *               events:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *               isActive:
+   *                 type: boolean
+   *     responses:
+   *       200:
+   *         description: Webhook actualizado
+   *       400:
+   *         description: Datos inválidos
+   *       404:
+   *         description: Webhook no encontrado
+   */
+  static updateSubscription = asyncHandler(async (req, res) => {
+    const updateSchema = Joi.object({
+      subscriptionId: objectId.required(),
+      name: Joi.string().trim().min(2).max(100),
+      description: Joi.string().trim().max(300).allow(''),
+      url: urlSchema,
+      events: eventsSchema,
+      isActive: Joi.boolean()
+    }).min(2).messages({ 'object.min': 'Debes enviar al menos un campo para actualizar' });
+
+    const { error, value } = updateSchema.validate({ ...req.body, subscriptionId: req.params.subscriptionId });
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const { subscriptionId, ...updateData } = value;
+    const subscription = await WebhookService.updateSubscription(subscriptionId, updateData);
+
+    res.success(subscription, 'Webhook actualizado exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/webhooks/{subscriptionId}/rotate-secret:
+   *   post:
+   *     summary: Rotar el secreto de firma de un webhook (Admin)
+   *     description: El secreto anterior deja de usarse de inmediato, también en los reintentos pendientes.
+   *     tags: [Webhooks]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: subscriptionId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Secreto rotado (se muestra una sola vez)
+   *       404:
+   *         description: Webhook no encontrado
+   */
+  static rotateSecret = asyncHandler(async (req, res) => {
+    const { error } = objectId.validate(req.params.subscriptionId);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const result = await WebhookService.rotateSecret(req.params.subscriptionId);
+
+    res.success(result, 'Secreto rotado exitosamente. Guarda el nuevo secreto: no se volverá a mostrar.');
+  });
+
+  /**
+   * @swagger
+   * /api/webhooks/{subscriptionId}:
+   *   delete:
+   *     summary: Eliminar suscripción de webhook y su historial de entregas (Admin)
+   *     tags: [Webhooks]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: subscriptionId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Webhook eliminado
+   *       404:
+   *         description: Webhook no encontrado
+   */
+  static deleteSubscription = asyncHandler(async (req, res) => {
+    const { error } = objectId.validate(req.params.subscriptionId);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    await WebhookService.deleteSubscription(req.params.subscriptionId);
+
+    res.success(null, 'Webhook eliminado exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/webhooks/{subscriptionId}/ping:
+   *   post:
+   *     summary: Enviar un evento de prueba al webhook (Admin)
+   *     description: |
+   *       Envía un evento `ping` firmado y espera la respuesta. Funciona aunque el webhook esté
+   *       desactivado y no se reintenta si falla.
+   *     tags: [Webhooks]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: subscriptionId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Resultado del envío
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   $ref: '#/components/schemas/WebhookDelivery'
+   *       404:
+   *         description: Webhook no encontrado
+   */
+  static pingSubscription = asyncHandler(async (req, res) => {
+    const { error } = objectId.validate(req.params.subscriptionId);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const delivery = await WebhookService.ping(req.params.subscriptionId, req.user._id);
+    const message = delivery.status === WEBHOOK_DELIVERY_STATUS.SUCCEEDED
+      ? 'Ping entregado exitosamente'
+      : 'El destino no confirmó el ping';
+
+    res.success(delivery, message);
+  });
+
+  /**
+   * @swagger
+   * /api/webhooks/{subscriptionId}/deliveries:
+   *   get:
+   *     summary: Historial de entregas de un webhook (Admin)
+   *     tags: [Webhooks]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: subscriptionId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [pending, succeeded, failed]
+   *       - in: query
+   *         name: event
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: eventId
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 20
+   *     responses:
+   *       200:
+   *         description: Entregas, de la más reciente a la más antigua
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/WebhookDelivery'
+   *       404:
+   *         description: Webhook no encontrado
+   */
+  static getDeliveries = asyncHandler(async (req, res) => {
+    const querySchema = Joi.object({
+      subscriptionId: objectId.required(),
+      status: Joi.string().valid(...Object.values(WEBHOOK_DELIVERY_STATUS)).optional(),
+      event: Joi.string().valid(...Object.values(WEBHOOK_EVENTS)).optional(),
+      eventId: Joi.string().trim().max(100).optional(),
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(100).default(20)
+    });
+
+    const { error, value } = querySchema.validate({ ...req.query, subscriptionId: req.params.subscriptionId });
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const { subscriptionId, page, limit, ...filters } = value;
+    const result = await WebhookService.getDeliveries(subscriptionId, filters, { page, limit });
+
+    res.success(result.deliveries, 'Entregas obtenidas exitosamente', result.pagination);
+  });
+
+  /**
+   * @swagger
+   * /api/webhooks/deliveries/{deliveryId}:
+   *   get:
+   *     summary: Detalle de una entrega con su payload e intentos (Admin)
+   *     tags: [Webhooks]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: deliveryId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Entrega
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   $ref: '#/components/schemas/WebhookDelivery'
+   *       404:
+   *         description: Entrega no encontrada
+   */
+  static getDeliveryById = asyncHandler(async (req, res) => {
+    const { error } = objectId.validate(req.params.deliveryId);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const delivery = await WebhookService.getDeliveryById(req.params.deliveryId);
+
+    res.success(delivery, 'Entrega obtenida exitosamente');
+  });
+
+  /**
+   * @swagger
+   * /api/webhooks/deliveries/{deliveryId}/redeliver:
+   *   post:
+   *     summary: Reenviar una entrega (Admin)
+   *     description: |
+   *       Crea una entrega nueva con el mismo `eventId` y payload, firmada con el secreto actual, y
+   *       hace el primer intento de inmediato. Si falla, se reintenta como cualquier otra entrega.
+   *     tags: [Webhooks]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: deliveryId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Resultado del primer intento
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   $ref: '#/components/schemas/WebhookDelivery'
+   *       400:
+   *         description: El webhook está desactivado
+   *       404:
+   *         description: Entrega no encontrada
+   */
+  static redeliver = asyncHandler(async (req, res) => {
+    const { error } = objectId.validate(req.params.deliveryId);
+    if (error) {
+      return res.error(error.details[0].message, 400, 'VALIDATION_ERROR');
+    }
+
+    const delivery = await WebhookService.redeliver(req.params.deliveryId, req.user._id);
+    const message = delivery.status === WEBHOOK_DELIVERY_STATUS.SUCCEEDED
+      ? 'Entrega reenviada exitosamente'
+      : 'El destino no confirmó el reenvío; se reintentará automáticamente';
+
+    res.success(delivery, message);
+  });
+}
+
+module.exports = WebhookController;
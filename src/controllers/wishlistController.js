@@ -15,6 +15,10 @@ const { asyncHandler, AppError } = require('../middlewares/errorHandler');
  *         product:
  *           type: string
  *           description: ID del producto
+ *         variantId:
+ *           type: string
+ *           nullable: true
+ *           description: ID de la variante guardada (opcional)
  *         addedAt:
  *           type: string
  *           format: date-time
@@ -53,7 +57,8 @@ const { asyncHandler, AppError } = require('../middlewares/errorHandler');
 // Schemas de validación
 const schemas = {
   addItem: Joi.object({
-    productId: Joi.string().required()
+    productId: Joi.string().required(),
+    variantId: Joi.string().optional()
   }),
   moveToCart: Joi.object({
     productId: Joi.string().required(),
@@ -134,6 +139,9 @@ const getWishlist = asyncHandler(async (req, res) => {
  *               productId:
  *                 type: string
  *                 description: ID del producto a agregar
+ *               variantId:
+ *                 type: string
+ *                 description: ID de la variante (opcional)
  *     responses:
  *       200:
  *         description: Producto agregado a wishlist exitosamente
@@ -159,7 +167,7 @@ const addItem = asyncHandler(async (req, res) => {
   const { error, value } = schemas.addItem.validate(req.body);
   if (error) throw new AppError(error.details[0].message, 400);
 
-  const wishlist = await wishlistService.addItem(req.user._id, value.productId);
+  const wishlist = await wishlistService.addToWishlist(req.user._id, value.productId, value.variantId);
   
   res.json({
     success: true,
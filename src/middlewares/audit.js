@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const AuditLogService = require('../services/auditLogService');
+const { asyncHandler } = require('./errorHandler');
+
+// IDs de petición aceptados desde un proxy o balanceador
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{8,100}$/;
+
+// ===== REQUEST ID =====
+// Reutiliza el X-Request-Id entrante (si es válido) o genera uno nuevo, y lo
+// devuelve en la respuesta para correlacionar logs y auditoría
+const requestId = (req, res, next) => {
+  const incoming = req.headers['x-request-id'];
+
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+  next();
+};
+
+// ===== AUDIT MUTATION =====
+// Registra la acción en AuditLog cuando la respuesta termina con éxito.
+//   action       "recurso.acción", p. ej. 'order.update_status'
+//   targetModel  nombre del modelo de Mongoose afectado
+//   options.param  parámetro de la ruta con el identificador del documento
+//   options.key    campo por el que se busca el documento (por defecto _id)
+//   options.responseId  extrae el identificador de la respuesta (creaciones)
+//   options.when   condición sobre el request (rutas que también usan clientes)
+const audit = (action, targetModel, options = {}) => {
+  const {
+    param = null,
+    key = '_id',
+    responseId = (data) => data && (data.id || data._id),
+    when = null
+  } = options;
+
+  return asyncHandler(async (req, res, next) => {
+    if (when && !when(req)) {
+      return next();
+    }
+
+    const paramValue = param ? req.params[param] : null;
+    const before = await AuditLogService.loadSnapshot(targetModel, key, paramValue);
+
+    // Guardar el cuerpo de la respuesta para obtener el ID de lo creado
+    let responseBody = null;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    res.on('finish', async () => {
+      if (res.statusCode >= 400) return;
+
+      const data = responseBody && responseBody.data;
+      const targetValue = paramValue || responseId(data) || null;
+      const after = await AuditLogService.loadSnapshot(targetModel, key, targetValue);
+      const targetId = before ? before._id : (after ? after._id : targetValue);
+
+      await AuditLogService.recordMutation(req, {
+        action,
+        targetModel,
+        targetId,
+        before,
+        after,
+        statusCode: res.statusCode
+      });
+    });
+
+    next();
+  });
+};
+
+module.exports = {
+  requestId,
+  audit
+};
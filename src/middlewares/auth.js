@@ -1,14 +1,23 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const RoleService = require('../services/roleService');
+const ApiKeyService = require('../services/apiKeyService');
 const { AppError } = require('./errorHandler');
 const { asyncHandler } = require('./errorHandler');
+const { apiKeyLimiter } = require('./security');
+const {
+  ACCESS_TOKEN_EXPIRES_IN,
+  AUTH_METHODS,
+  MFA_ENFORCE_PRIVILEGED_ROLES
+} = require('../config/constants');
 
 // ===== JWT HELPER FUNCTIONS =====
-const signToken = (userId, expiresIn = null) => {
+const signToken = (userId, expiresIn = null, claims = {}) => {
   return jwt.sign(
-    { userId },
+    { ...claims, userId },
     process.env.JWT_SECRET || 'your-super-secret-jwt-key-here',
-    { expiresIn: expiresIn || process.env.JWT_EXPIRES_IN || '7d' }
+    { expiresIn: expiresIn || ACCESS_TOKEN_EXPIRES_IN }
   );
 };
 
@@ -31,25 +40,67 @@ const extractTokenFromHeader = (req) => {
   return authHeader.substring(7); // Remove 'Bearer '
 };
 
+// ===== TWO-FACTOR POLICY =====
+// Los roles con permisos sensibles solo los ejercen desde una sesión que
+// superó la verificación en dos pasos
+const requiresTwoFactor = (user) => {
+  return MFA_ENFORCE_PRIVILEGED_ROLES && RoleService.roleRequiresTwoFactor(user.role);
+};
+
+const hasTwoFactorClearance = (req) => !requiresTwoFactor(req.user) || !!req.mfaVerified;
+
+const twoFactorRequiredError = (user) => {
+  if (!user.isTwoFactorEnabled) {
+    return new AppError(
+      'Tu rol requiere verificación en dos pasos. Actívala en /api/auth/2fa/setup para continuar.',
+      403,
+      'TWO_FACTOR_ENROLLMENT_REQUIRED'
+    );
+  }
+
+  return new AppError(
+    'Inicia sesión nuevamente con tu código de verificación para usar esta función.',
+    403,
+    'TWO_FACTOR_SESSION_REQUIRED'
+  );
+};
+
 // ===== VERIFY JWT AND GET USER =====
-const verifyJWTAndGetUser = asyncHandler(async (token) => {
+const verifyJWTAndGetUser = async (token) => {
   // 1. Verificar el token
   const decoded = verifyToken(token);
-  
-  // 2. Verificar si el usuario aún existe
+
+  // 2. El token debe pertenecer a una sesión vigente (logout, revocación o
+  // cambio de contraseña lo invalidan antes de que expire)
+  const session = decoded.sid && await Session.findOne(
+    Session.activeFilter({ _id: decoded.sid, userId: decoded.userId })
+  ).select('mfaVerifiedAt').lean();
+
+  if (!session) {
+    throw new AppError('Tu sesión ha sido cerrada. Por favor inicia sesión nuevamente.', 401, 'SESSION_REVOKED');
+  }
+
+  // 3. Verificar si el usuario aún existe
   const user = await User.findById(decoded.userId).select('-passwordHash');
   
   if (!user) {
     throw new AppError('El usuario de este token ya no existe', 401, 'USER_NOT_FOUND');
   }
 
-  // 3. Verificar si el usuario está activo
+  // 4. Verificar si el usuario está activo
   if (!user.isActive) {
     throw new AppError('Tu cuenta ha sido desactivada. Contacta al soporte.', 401, 'ACCOUNT_DEACTIVATED');
   }
 
-  return user;
-});
+  // 5. Permisos que ejerce la sesión: los del rol, o ninguno si el rol exige
+  // 2FA y la sesión no lo superó. Los servicios reciben estos permisos (no el
+  // rol) para que ninguna comprobación se salte la política
+  const mfaVerified = !!session.mfaVerifiedAt;
+  const rolePermissions = await RoleService.getRolePermissions(user.role);
+  const permissions = !requiresTwoFactor(user) || mfaVerified ? rolePermissions : new Set();
+
+  return { user, sessionId: decoded.sid, mfaVerified, permissions };
+};
 
 // ===== REQUIRE AUTHENTICATION =====
 const requireAuth = asyncHandler(async (req, res, next) => {
@@ -61,13 +112,100 @@ const requireAuth = asyncHandler(async (req, res, next) => {
   }
 
   // 2. Verificar token y obtener usuario
-  const user = await verifyJWTAndGetUser(token);
+  const { user, sessionId, mfaVerified, permissions } = await verifyJWTAndGetUser(token);
+
+  // 3. Adjuntar usuario, sesión y permisos al request
+  req.user = user;
+  req.sessionId = sessionId;
+  req.mfaVerified = mfaVerified;
+  req.permissions = permissions;
+  req.authMethod = AUTH_METHODS.JWT;
+  next();
+});
+
+// ===== REQUIRE AUTHENTICATION (STREAMS) =====
+// Igual que requireAuth, pero acepta el token en ?access_token= porque
+// EventSource no permite enviar headers. Guarda el vencimiento del token para
+// cerrar el canal cuando expire
+const requireStreamAuth = asyncHandler(async (req, res, next) => {
+  const token = extractTokenFromHeader(req) || req.query.access_token;
+
+  if (!token) {
+    return next(new AppError('Acceso denegado. Token requerido.', 401, 'TOKEN_REQUIRED'));
+  }
+
+  const { user, sessionId, mfaVerified, permissions } = await verifyJWTAndGetUser(token);
+  const { exp } = jwt.decode(token);
 
-  // 3. Adjuntar usuario al request
   req.user = user;
+  req.sessionId = sessionId;
+  req.mfaVerified = mfaVerified;
+  req.permissions = permissions;
+  req.authMethod = AUTH_METHODS.JWT;
+  req.tokenExpiresAt = exp ? new Date(exp * 1000) : null;
   next();
 });
 
+// ===== IDENTIFY API KEY =====
+// Va antes del limitador general: una llave válida se autentica una sola vez
+// por petición y consume el límite por minuto de la llave en lugar del límite
+// por IP. Una llave inválida no se rechaza aquí; cuenta contra el límite por
+// IP y la ruta que la use responde 401
+const identifyApiKey = asyncHandler(async (req, res, next) => {
+  const rawApiKey = req.headers['x-api-key'];
+
+  if (!rawApiKey) {
+    return next();
+  }
+
+  try {
+    req.apiKeyAuth = await ApiKeyService.authenticate(rawApiKey, { ip: req.ip });
+  } catch (error) {
+    if (!(error instanceof AppError)) throw error;
+    return next();
+  }
+
+  apiKeyLimiter(req, res, next);
+});
+
+// ===== REQUIRE JWT OR API KEY =====
+// Para rutas que también usan las integraciones (ERP, escáneres de almacén).
+// Con X-API-Key la petición actúa en nombre del usuario de la llave, limitada
+// a sus scopes y al límite por minuto de la llave (aplicado en identifyApiKey)
+const requireAuthOrApiKey = asyncHandler(async (req, res, next) => {
+  const rawApiKey = req.headers['x-api-key'];
+
+  if (!rawApiKey) {
+    return requireAuth(req, res, next);
+  }
+
+  if (req.headers.authorization) {
+    return next(new AppError('Usa un JWT o una API key, no ambos.', 400, 'MULTIPLE_CREDENTIALS'));
+  }
+
+  // identifyApiKey ya autenticó la llave y aplicó su límite; una llave
+  // inválida se autentica aquí de nuevo para responder con el error concreto
+  const alreadyLimited = !!req.apiKeyAuth;
+  if (!alreadyLimited) {
+    req.apiKeyAuth = await ApiKeyService.authenticate(rawApiKey, { ip: req.ip });
+  }
+
+  const { apiKey, user, permissions } = req.apiKeyAuth;
+
+  req.user = user;
+  req.apiKey = apiKey;
+  req.permissions = permissions;
+  req.sessionId = null;
+  req.mfaVerified = false;
+  req.authMethod = AUTH_METHODS.API_KEY;
+
+  if (alreadyLimited) {
+    return next();
+  }
+
+  apiKeyLimiter(req, res, next);
+});
+
 // ===== OPTIONAL AUTHENTICATION =====
 const optionalAuth = asyncHandler(async (req, res, next) => {
   // 1. Extraer token del header (opcional)
@@ -80,8 +218,12 @@ const optionalAuth = asyncHandler(async (req, res, next) => {
 
   try {
     // 2. Si hay token, verificar y obtener usuario
-    const user = await verifyJWTAndGetUser(token);
+    const { user, sessionId, mfaVerified, permissions } = await verifyJWTAndGetUser(token);
     req.user = user;
+    req.sessionId = sessionId;
+    req.mfaVerified = mfaVerified;
+    req.permissions = permissions;
+    req.authMethod = AUTH_METHODS.JWT;
   } catch (error) {
     // Si el token es inválido, continuar sin usuario
     req.user = null;
@@ -101,6 +243,10 @@ const requireRoles = (...roles) => {
       return next(new AppError('Acceso denegado. Permisos insuficientes.', 403, 'INSUFFICIENT_PERMISSIONS'));
     }
 
+    if (!hasTwoFactorClearance(req)) {
+      return next(twoFactorRequiredError(req.user));
+    }
+
     next();
   };
 };
@@ -108,6 +254,32 @@ const requireRoles = (...roles) => {
 // ===== REQUIRE ADMIN =====
 const requireAdmin = requireRoles('admin');
 
+// ===== REQUIRE PERMISSIONS =====
+// Exige todos los permisos indicados; los roles y sus permisos se editan en
+// /api/roles sin tocar las rutas. Con API key cuentan los scopes de la llave
+const requirePermission = (...permissions) => {
+  return asyncHandler(async (req, res, next) => {
+    if (!req.user) {
+      return next(new AppError('Acceso denegado. Autenticación requerida.', 401, 'AUTH_REQUIRED'));
+    }
+
+    const viaApiKey = req.authMethod === AUTH_METHODS.API_KEY;
+    const granted = viaApiKey ? req.permissions : await RoleService.getRolePermissions(req.user.role);
+    const missing = permissions.filter(permission => !RoleService.includesPermission(granted, permission));
+
+    if (missing.length > 0) {
+      return next(new AppError('Acceso denegado. Permisos insuficientes.', 403, 'INSUFFICIENT_PERMISSIONS', { missing }));
+    }
+
+    // La verificación en dos pasos es de las sesiones de personas
+    if (!viaApiKey && !hasTwoFactorClearance(req)) {
+      return next(twoFactorRequiredError(req.user));
+    }
+
+    next();
+  });
+};
+
 // ===== REQUIRE OWNERSHIP OR ADMIN =====
 const requireOwnershipOrAdmin = (getResourceUserId) => {
   return asyncHandler(async (req, res, next) => {
@@ -115,8 +287,8 @@ const requireOwnershipOrAdmin = (getResourceUserId) => {
       return next(new AppError('Acceso denegado. Autenticación requerida.', 401, 'AUTH_REQUIRED'));
     }
 
-    // Si es admin, puede acceder a todo
-    if (req.user.role === 'admin') {
+    // Si es admin (con 2FA verificado), puede acceder a todo
+    if (req.user.role === 'admin' && hasTwoFactorClearance(req)) {
       return next();
     }
 
@@ -135,43 +307,25 @@ const requireOwnershipOrAdmin = (getResourceUserId) => {
 };
 
 // ===== UPDATE LAST LOGIN =====
-const updateLastLogin = asyncHandler(async (userId) => {
+const updateLastLogin = async (userId) => {
   await User.findByIdAndUpdate(userId, { lastLogin: new Date() });
-});
-
-// ===== CREATE JWT RESPONSE =====
-const createJWTResponse = async (user) => {
-  const token = signToken(user._id);
-  
-  // Actualizar último login
-  await updateLastLogin(user._id);
-
-  return {
-    success: true,
-    data: {
-      token,
-      user: {
-        id: user._id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        fullName: user.fullName,
-        email: user.email,
-        role: user.role,
-        isActive: user.isActive
-      }
-    },
-    message: 'Autenticación exitosa'
-  };
 };
 
 module.exports = {
   signToken,
   verifyToken,
+  extractTokenFromHeader,
+  verifyJWTAndGetUser,
   requireAuth,
+  requireStreamAuth,
+  identifyApiKey,
+  requireAuthOrApiKey,
   optionalAuth,
   requireRoles,
   requireAdmin,
+  requirePermission,
   requireOwnershipOrAdmin,
-  createJWTResponse,
+  requiresTwoFactor,
+  hasTwoFactorClearance,
   updateLastLogin
 }; 
\ No newline at end of file
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const { asyncHandler } = require('./errorHandler');
+const { verifyJWTAndGetUser, extractTokenFromHeader } = require('./auth');
+const {
+  NODE_ENV,
+  GUEST_CART_TTL_DAYS,
+  CART_TOKEN_HEADER,
+  CART_TOKEN_COOKIE
+} = require('../config/constants');
+
+// ===== CART TOKEN HELPERS =====
+// Formato: "<guestId>.<firma>"; la firma impide adivinar o fabricar el
+// carrito de otro invitado
+const getCartTokenSecret = () =>
+  process.env.CART_TOKEN_SECRET || process.env.JWT_SECRET || 'your-super-secret-jwt-key-here';
+
+const signGuestId = (guestId) =>
+  crypto.createHmac('sha256', getCartTokenSecret()).update(guestId).digest('base64url');
+
+const signCartToken = (guestId) => `${guestId}.${signGuestId(guestId)}`;
+
+// Devuelve el guestId si la firma es válida, o null
+const verifyCartToken = (token) => {
+  const [guestId, signature] = String(token || '').split('.');
+
+  if (!/^[0-9a-f]{32}$/.test(guestId || '') || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(signGuestId(guestId));
+  const received = Buffer.from(signature);
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  return guestId;
+};
+
+// Header X-Cart-Token o cookie cart_token (no hay cookie-parser)
+const extractCartToken = (req) => {
+  const headerToken = req.get(CART_TOKEN_HEADER);
+  if (headerToken) return headerToken;
+
+  const cookies = req.headers.cookie ? req.headers.cookie.split(';') : [];
+  for (const cookie of cookies) {
+    const [name, ...rest] = cookie.trim().split('=');
+    if (name === CART_TOKEN_COOKIE) {
+      return decodeURIComponent(rest.join('='));
+    }
+  }
+
+  return null;
+};
+
+const getGuestIdFromRequest = (req) => verifyCartToken(extractCartToken(req));
+
+// Enviar el token en header y cookie para clientes con o sin almacenamiento propio
+const setCartToken = (res, guestId) => {
+  const token = signCartToken(guestId);
+
+  res.set(CART_TOKEN_HEADER, token);
+  res.cookie(CART_TOKEN_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: NODE_ENV === 'production',
+    maxAge: GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000
+  });
+};
+
+const clearCartToken = (res) => {
+  res.clearCookie(CART_TOKEN_COOKIE, { httpOnly: true, sameSite: 'lax', secure: NODE_ENV === 'production' });
+};
+
+// ===== RESOLVE CART OWNER =====
+// Con Authorization se exige un JWT válido (para que el cliente renueve el
+// token en lugar de caer al carrito de invitado); sin él se usa el carrito del
+// token de invitado, o se emite uno nuevo
+const resolveCartOwner = asyncHandler(async (req, res, next) => {
+  const accessToken = extractTokenFromHeader(req);
+
+  if (accessToken) {
+    const { user, sessionId, mfaVerified, permissions } = await verifyJWTAndGetUser(accessToken);
+    req.user = user;
+    req.sessionId = sessionId;
+    req.mfaVerified = mfaVerified;
+    req.permissions = permissions;
+    req.cartOwner = { userId: user._id };
+    return next();
+  }
+
+  let guestId = getGuestIdFromRequest(req);
+  if (!guestId) {
+    guestId = crypto.randomBytes(16).toString('hex');
+    setCartToken(res, guestId);
+  }
+
+  req.user = null;
+  req.cartOwner = { guestId };
+  next();
+});
+
+module.exports = {
+  resolveCartOwner,
+  signCartToken,
+  verifyCartToken,
+  extractCartToken,
+  getGuestIdFromRequest,
+  setCartToken,
+  clearCartToken
+};
@@ -1,5 +1,3 @@
-const mongoose = require('mongoose');
-
 // ===== ASYNC HANDLER =====
 const asyncHandler = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next);
@@ -70,7 +68,8 @@ const sendErrorProd = (err, res) => {
       success: false,
       error: {
         message: err.message,
-        errorCode: err.errorCode
+        errorCode: err.errorCode,
+        ...(err.details && { details: err.details })
       }
     });
   } else {
@@ -137,10 +136,11 @@ const notFound = (req, res, next) => {
 
 // ===== CUSTOM ERROR CLASS =====
 class AppError extends Error {
-  constructor(message, statusCode, errorCode = 'GENERIC_ERROR') {
+  constructor(message, statusCode, errorCode = 'GENERIC_ERROR', details = null) {
     super(message);
     this.statusCode = statusCode;
     this.errorCode = errorCode;
+    this.details = details;
     this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
     this.isOperational = true;
 
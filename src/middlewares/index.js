@@ -8,11 +8,14 @@ const {
 
 const { 
   requireAuth, 
+  requireStreamAuth, 
+  identifyApiKey, 
+  requireAuthOrApiKey, 
   optionalAuth, 
   requireRoles, 
   requireAdmin, 
+  requirePermission, 
   requireOwnershipOrAdmin, 
-  createJWTResponse, 
   signToken, 
   verifyToken 
 } = require('./auth');
@@ -30,6 +33,7 @@ const {
   generalLimiter, 
   authLimiter, 
   createLimiter, 
+  apiKeyLimiter, 
   cors, 
   helmet, 
   securityHeaders, 
@@ -48,6 +52,28 @@ const {
   commonResponses 
 } = require('./responseFormatter');
 
+const {
+  uploadSingle,
+  uploadArray
+} = require('./upload');
+
+const {
+  resolveCartOwner,
+  getGuestIdFromRequest,
+  setCartToken,
+  clearCartToken
+} = require('./cart');
+
+const {
+  requireOrderAccess,
+  signOrderAccessToken
+} = require('./orderAccess');
+
+const {
+  requestId,
+  audit
+} = require('./audit');
+
 // ===== GROUPED EXPORTS =====
 
 // Error handling
@@ -61,11 +87,14 @@ const errorHandling = {
 // Authentication & Authorization
 const auth = {
   requireAuth,
+  requireStreamAuth,
+  identifyApiKey,
+  requireAuthOrApiKey,
   optionalAuth,
   requireRoles,
   requireAdmin,
+  requirePermission,
   requireOwnershipOrAdmin,
-  createJWTResponse,
   signToken,
   verifyToken
 };
@@ -87,7 +116,8 @@ const security = {
   rateLimiters: {
     general: generalLimiter,
     auth: authLimiter,
-    create: createLimiter
+    create: createLimiter,
+    apiKey: apiKeyLimiter
   },
   cors,
   helmet,
@@ -108,6 +138,32 @@ const responseFormatting = {
   commonResponses
 };
 
+// File uploads
+const uploads = {
+  single: uploadSingle,
+  array: uploadArray
+};
+
+// Guest carts
+const cart = {
+  resolveOwner: resolveCartOwner,
+  getGuestIdFromRequest,
+  setCartToken,
+  clearCartToken
+};
+
+// Guest order access
+const orderAccess = {
+  require: requireOrderAccess,
+  signToken: signOrderAccessToken
+};
+
+// Audit trail
+const auditing = {
+  requestId,
+  audit
+};
+
 // ===== INDIVIDUAL EXPORTS =====
 module.exports = {
   // Grouped
@@ -116,6 +172,10 @@ module.exports = {
   validation,
   security,
   responseFormatting,
+  uploads,
+  cart,
+  orderAccess,
+  auditing,
 
   // Individual - Error Handling
   asyncHandler,
@@ -125,11 +185,14 @@ module.exports = {
 
   // Individual - Auth
   requireAuth,
+  requireStreamAuth,
+  identifyApiKey,
+  requireAuthOrApiKey,
   optionalAuth,
   requireRoles,
   requireAdmin,
+  requirePermission,
   requireOwnershipOrAdmin,
-  createJWTResponse,
   signToken,
   verifyToken,
 
@@ -145,6 +208,7 @@ module.exports = {
   generalLimiter,
   authLimiter,
   createLimiter,
+  apiKeyLimiter,
   cors,
   helmet,
   securityHeaders,
@@ -159,5 +223,23 @@ module.exports = {
   formatMongooseModel,
   calculatePagination,
   autoFormatter,
-  commonResponses
+  commonResponses,
+
+  // Individual - Uploads
+  uploadSingle,
+  uploadArray,
+
+  // Individual - Guest Carts
+  resolveCartOwner,
+  getGuestIdFromRequest,
+  setCartToken,
+  clearCartToken,
+
+  // Individual - Guest Order Access
+  requireOrderAccess,
+  signOrderAccessToken,
+
+  // Individual - Audit
+  requestId,
+  audit
 }; 
\ No newline at end of file
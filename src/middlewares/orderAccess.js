@@ -0,0 +1,70 @@
+const jwt = require('jsonwebtoken');
+const { asyncHandler, AppError } = require('./errorHandler');
+const { verifyJWTAndGetUser, extractTokenFromHeader } = require('./auth');
+const {
+  ORDER_ACCESS_SCOPE,
+  ORDER_ACCESS_TOKEN_EXPIRES_IN,
+  ORDER_ACCESS_TOKEN_HEADER
+} = require('../config/constants');
+
+// ===== ORDER ACCESS TOKEN HELPERS =====
+// JWT limitado a una orden: no lleva userId ni sesión, por lo que no sirve
+// como token de acceso a la cuenta
+const signOrderAccessToken = (orderId) => {
+  return jwt.sign(
+    { scope: ORDER_ACCESS_SCOPE, orderId: orderId.toString() },
+    process.env.JWT_SECRET || 'your-super-secret-jwt-key-here',
+    { expiresIn: ORDER_ACCESS_TOKEN_EXPIRES_IN }
+  );
+};
+
+const verifyOrderAccessToken = (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-super-secret-jwt-key-here');
+  } catch (error) {
+    throw new AppError('El acceso a la orden expiró. Consulta la orden nuevamente.', 401, 'INVALID_ORDER_TOKEN');
+  }
+
+  if (decoded.scope !== ORDER_ACCESS_SCOPE || !decoded.orderId) {
+    throw new AppError('Token de acceso a la orden inválido', 401, 'INVALID_ORDER_TOKEN');
+  }
+
+  return decoded;
+};
+
+// ===== REQUIRE ORDER ACCESS =====
+// Acepta el JWT de la cuenta o el token de acceso a la orden (X-Order-Token)
+// de un invitado; este último solo vale para la orden de :orderId
+const requireOrderAccess = asyncHandler(async (req, res, next) => {
+  const accessToken = extractTokenFromHeader(req);
+
+  if (accessToken) {
+    const { user, sessionId, mfaVerified, permissions } = await verifyJWTAndGetUser(accessToken);
+    req.user = user;
+    req.sessionId = sessionId;
+    req.mfaVerified = mfaVerified;
+    req.permissions = permissions;
+    return next();
+  }
+
+  const orderToken = req.get(ORDER_ACCESS_TOKEN_HEADER);
+  if (!orderToken) {
+    return next(new AppError('Acceso denegado. Token requerido.', 401, 'TOKEN_REQUIRED'));
+  }
+
+  const { orderId } = verifyOrderAccessToken(orderToken);
+  if (orderId !== req.params.orderId) {
+    return next(new AppError('El token no corresponde a esta orden', 403, 'ACCESS_DENIED'));
+  }
+
+  req.user = null;
+  req.orderAccess = { orderId };
+  next();
+});
+
+module.exports = {
+  signOrderAccessToken,
+  verifyOrderAccessToken,
+  requireOrderAccess
+};
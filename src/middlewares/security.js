@@ -18,8 +18,10 @@ const generalLimiter = rateLimit({
   standardHeaders: true, // Incluir headers `RateLimit-*`
   legacyHeaders: false, // Deshabilitar headers `X-RateLimit-*`
   skip: (req) => {
-    // Saltar rate limiting para health checks
-    return req.path === '/health';
+    // Saltar rate limiting para health checks. Las peticiones con una API key
+    // ya autenticada (identifyApiKey) consumen el límite de su llave
+    // (apiKeyLimiter); una llave inválida cuenta contra el límite por IP
+    return req.path === '/health' || !!req.apiKeyAuth;
   }
 });
 
@@ -54,6 +56,24 @@ const createLimiter = rateLimit({
   legacyHeaders: false
 });
 
+// Rate limiter por API key: cada llave tiene su propio límite por minuto.
+// Se aplica después de autenticar la llave (req.apiKeyAuth)
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minuto
+  max: (req) => req.apiKeyAuth.apiKey.rateLimit,
+  keyGenerator: (req) => req.apiKeyAuth.apiKey._id.toString(),
+  message: {
+    success: false,
+    error: {
+      message: 'Esta API key superó su límite de solicitudes por minuto.',
+      errorCode: 'API_KEY_RATE_LIMIT_EXCEEDED'
+    }
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: (req) => !req.apiKeyAuth
+});
+
 // ===== CORS CONFIGURATION =====
 const corsOptions = {
   origin: function (origin, callback) {
@@ -93,12 +113,18 @@ const corsOptions = {
     'Content-Type',
     'Accept',
     'Authorization',
-    'X-API-Key'
+    'X-API-Key',
+    'X-Cart-Token',
+    'X-Order-Token',
+    'X-Request-Id'
   ],
   exposedHeaders: [
     'X-Total-Count',
     'X-Page-Count',
-    'X-Current-Page'
+    'X-Current-Page',
+    'X-Cart-Token',
+    'X-Request-Id',
+    'X-Export-Truncated'
   ]
 };
 
@@ -189,6 +215,7 @@ module.exports = {
   generalLimiter,
   authLimiter,
   createLimiter,
+  apiKeyLimiter,
   
   // CORS
   corsOptions,
@@ -0,0 +1,67 @@
+const multer = require('multer');
+const { AppError } = require('./errorHandler');
+const {
+  MEDIA_IMAGE_TYPES,
+  MEDIA_MAX_FILE_SIZE
+} = require('../config/constants');
+
+// ===== MULTER ERROR MAPPING =====
+const MULTER_ERRORS = {
+  LIMIT_FILE_SIZE: { statusCode: 413, errorCode: 'FILE_TOO_LARGE', message: 'El archivo excede el tamaño máximo permitido' },
+  LIMIT_FILE_COUNT: { statusCode: 400, errorCode: 'TOO_MANY_FILES', message: 'Se excedió el número máximo de archivos' },
+  LIMIT_UNEXPECTED_FILE: { statusCode: 400, errorCode: 'UNEXPECTED_FILE_FIELD', message: 'Campo de archivo inesperado' },
+  LIMIT_PART_COUNT: { statusCode: 400, errorCode: 'TOO_MANY_PARTS', message: 'La solicitud tiene demasiadas partes' },
+  LIMIT_FIELD_COUNT: { statusCode: 400, errorCode: 'TOO_MANY_FIELDS', message: 'La solicitud tiene demasiados campos' }
+};
+
+const toAppError = (error) => {
+  if (!(error instanceof multer.MulterError)) return error;
+
+  const mapped = MULTER_ERRORS[error.code] || { statusCode: 400, errorCode: 'UPLOAD_ERROR', message: error.message };
+  return new AppError(mapped.message, mapped.statusCode, mapped.errorCode, error.field ? { field: error.field } : null);
+};
+
+// ===== UPLOAD FACTORY =====
+// Los archivos quedan en memoria (req.file / req.files) y MediaService se
+// encarga de validar el contenido real, procesarlo y guardarlo.
+// El tipo declarado por el cliente se filtra aquí para rechazar pronto.
+const createUpload = ({ allowedTypes, maxFileSize = MEDIA_MAX_FILE_SIZE, maxFiles = 1 }) => multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: maxFileSize,
+    files: maxFiles,
+    fields: 20
+  },
+  fileFilter: (req, file, cb) => {
+    if (!allowedTypes.includes(file.mimetype)) {
+      return cb(new AppError(
+        `Tipo de archivo no permitido: ${file.mimetype}`,
+        415,
+        'UNSUPPORTED_MEDIA_TYPE',
+        { allowedTypes }
+      ));
+    }
+    cb(null, true);
+  }
+});
+
+const wrap = (handler) => (req, res, next) => {
+  handler(req, res, (error) => next(error ? toAppError(error) : undefined));
+};
+
+// Un solo archivo en el campo indicado
+const uploadSingle = (field, options = {}) => {
+  const upload = createUpload({ allowedTypes: MEDIA_IMAGE_TYPES, ...options, maxFiles: 1 });
+  return wrap(upload.single(field));
+};
+
+// Varios archivos en el mismo campo
+const uploadArray = (field, maxFiles, options = {}) => {
+  const upload = createUpload({ allowedTypes: MEDIA_IMAGE_TYPES, ...options, maxFiles });
+  return wrap(upload.array(field, maxFiles));
+};
+
+module.exports = {
+  uploadSingle,
+  uploadArray
+};
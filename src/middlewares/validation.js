@@ -62,7 +62,7 @@ const commonSchemas = {
   name: Joi.string().trim().min(1).max(50),
   
   // Phone
-  phone: Joi.string().pattern(/^\+?[\d\s\-\(\)]+$/),
+  phone: Joi.string().pattern(/^\+?[\d\s\-()]+$/),
   
   // SKU
   sku: Joi.string().trim().uppercase().min(3).max(20),
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const {
+  API_KEY_SCOPES,
+  API_KEY_DEFAULT_RATE_LIMIT,
+  API_KEY_MAX_RATE_LIMIT
+} = require('../config/constants');
+
+// ===== MAIN API KEY SCHEMA =====
+// Credencial de integraciones servidor a servidor (ERP, escáneres de almacén).
+// La llave completa solo se muestra al emitirla o rotarla; aquí se guarda el
+// prefijo en claro para identificarla y el hash SHA-256 del secreto.
+const ApiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'El nombre de la API key es requerido'],
+    trim: true,
+    maxlength: [100, 'El nombre no puede exceder 100 caracteres']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'La descripción no puede exceder 300 caracteres']
+  },
+  keyPrefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  secretHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Secreto reemplazado en la última rotación, válido hasta previousSecretExpiresAt
+  previousSecretHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  previousSecretExpiresAt: { type: Date, default: null },
+  scopes: {
+    type: [String],
+    validate: [
+      {
+        validator: (scopes) => scopes.length > 0,
+        message: 'La API key necesita al menos un scope'
+      },
+      {
+        validator: (scopes) => scopes.every(scope => API_KEY_SCOPES.includes(scope)),
+        message: 'La lista contiene scopes no permitidos para API keys'
+      }
+    ]
+  },
+  // Usuario en cuyo nombre actúa la llave: las acciones se le atribuyen y los
+  // scopes nunca superan los permisos de su rol
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El usuario de la API key es requerido']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Peticiones por minuto
+  rateLimit: {
+    type: Number,
+    default: API_KEY_DEFAULT_RATE_LIMIT,
+    min: [1, 'El límite debe ser al menos 1 petición por minuto'],
+    max: [API_KEY_MAX_RATE_LIMIT, `El límite no puede exceder ${API_KEY_MAX_RATE_LIMIT} peticiones por minuto`]
+  },
+  expiresAt: { type: Date, default: null },
+  lastUsedAt: { type: Date, default: null },
+  lastUsedIp: { type: String, default: null },
+  rotatedAt: { type: Date, default: null },
+  revokedAt: { type: Date, default: null },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'El motivo no puede exceder 300 caracteres'],
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// ===== VIRTUALS =====
+ApiKeySchema.virtual('isExpired').get(function() {
+  return !!this.expiresAt && this.expiresAt <= new Date();
+});
+
+ApiKeySchema.virtual('status').get(function() {
+  if (this.revokedAt) return 'revoked';
+  if (this.isExpired) return 'expired';
+  return 'active';
+});
+
+// ===== INDEXES =====
+ApiKeySchema.index({ userId: 1, createdAt: -1 });
+ApiKeySchema.index({ revokedAt: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const { AUTH_METHODS } = require('../config/constants');
+
+// ===== CHANGE SCHEMA =====
+// Un campo modificado por la acción (ruta con puntos para campos anidados)
+const ChangeSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  before: { type: mongoose.Schema.Types.Mixed, default: null },
+  after: { type: mongoose.Schema.Types.Mixed, default: null }
+}, { _id: false });
+
+// ===== MAIN AUDIT LOG SCHEMA =====
+// Registro de solo escritura de las mutaciones privilegiadas: quién hizo qué,
+// sobre qué documento y qué cambió. No se puede editar ni borrar.
+const AuditLogSchema = new mongoose.Schema({
+  actor: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    email: { type: String },
+    role: { type: String },
+    authMethod: {
+      type: String,
+      enum: [...Object.values(AUTH_METHODS), null],
+      default: null
+    },
+    apiKeyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey',
+      default: null
+    }
+  },
+  // "recurso.acción", p. ej. order.update_status
+  action: {
+    type: String,
+    required: true
+  },
+  targetModel: {
+    type: String,
+    required: true
+  },
+  targetId: { type: String, default: null },
+  changes: {
+    type: [ChangeSchema],
+    default: []
+  },
+  method: { type: String },
+  path: { type: String },
+  statusCode: { type: Number },
+  ip: { type: String },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  requestId: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// ===== APPEND-ONLY =====
+const rejectMutation = function() {
+  throw new Error('El registro de auditoría es de solo escritura');
+};
+
+AuditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('El registro de auditoría es de solo escritura'));
+  }
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+].forEach(operation => {
+  AuditLogSchema.pre(operation, { document: false, query: true }, rejectMutation);
+});
+
+AuditLogSchema.pre('deleteOne', { document: true, query: false }, rejectMutation);
+
+// ===== INDEXES =====
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ 'actor.userId': 1, createdAt: -1 });
+AuditLogSchema.index({ targetModel: 1, targetId: 1, createdAt: -1 });
+AuditLogSchema.index({ action: 1, createdAt: -1 });
+AuditLogSchema.index({ requestId: 1 });
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const { AUTH_TOKEN_PURPOSES } = require('../config/constants');
+
+// ===== MAIN AUTH TOKEN SCHEMA =====
+// Token de un solo uso enviado por email (reseteo de contraseña, verificación).
+// Solo se guarda el hash; el token en claro viaja únicamente en el enlace.
+const AuthTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El ID del usuario es requerido']
+  },
+  purpose: {
+    type: String,
+    enum: Object.values(AUTH_TOKEN_PURPOSES),
+    required: [true, 'El propósito del token es requerido']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Email al que se envió; un token de verificación solo vale para ese email
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+// ===== INDEXES =====
+AuthTokenSchema.index({ userId: 1, purpose: 1, usedAt: 1 });
+// Los tokens expirados se eliminan solos
+AuthTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthToken', AuthTokenSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { GUEST_CART_TTL_DAYS } = require('../config/constants');
 
 // ===== SUBDOCUMENT SCHEMAS =====
 const CartItemSchema = new mongoose.Schema({
@@ -7,12 +8,16 @@ const CartItemSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductVariant'
+  },
   quantity: {
     type: Number,
     required: [true, 'La cantidad es requerida'],
     min: [1, 'La cantidad debe ser al menos 1']
   },
-  price: {
+  priceAtTime: {
     type: Number,
     required: [true, 'El precio es requerido'],
     min: [0, 'El precio no puede ser negativo']
@@ -25,13 +30,26 @@ const CartItemSchema = new mongoose.Schema({
 
 // ===== MAIN CART SCHEMA =====
 const CartSchema = new mongoose.Schema({
+  // Un carrito pertenece a un usuario o a un invitado (token firmado)
   userId: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: [true, 'El ID del usuario es requerido'],
-    unique: true
+    ref: 'User'
+  },
+  guestId: {
+    type: String
+  },
+  // Solo carritos de invitado: se renueva con cada cambio y el índice TTL
+  // elimina los que quedan inactivos
+  expiresAt: {
+    type: Date
   },
   items: [CartItemSchema],
+  // Códigos de promoción aplicados (se revalidan en cada resumen y al pagar)
+  promotionCodes: [{
+    type: String,
+    uppercase: true,
+    trim: true
+  }],
   updatedAt: {
     type: Date,
     default: Date.now
@@ -48,41 +66,59 @@ CartSchema.virtual('totalItems').get(function() {
 });
 
 CartSchema.virtual('totalAmount').get(function() {
-  return this.items.reduce((total, item) => total + (item.price * item.quantity), 0);
+  return this.items.reduce((total, item) => total + (item.priceAtTime * item.quantity), 0);
+});
+
+// Una línea del carrito se identifica por producto + variante
+const isSameLine = (item, productId, variantId = null) =>
+  item.productId.toString() === productId.toString() &&
+  String(item.variantId || '') === String(variantId || '');
+
+// ===== MIDDLEWARE =====
+CartSchema.pre('validate', function(next) {
+  if (!this.userId === !this.guestId) {
+    this.invalidate('userId', 'El carrito debe pertenecer a un usuario o a un invitado');
+  }
+  next();
+});
+
+CartSchema.pre('save', function(next) {
+  if (this.guestId) {
+    this.expiresAt = new Date(Date.now() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000);
+  }
+  next();
 });
 
 // ===== METHODS =====
-CartSchema.methods.addItem = function(productId, quantity, price) {
-  const existingItem = this.items.find(item => 
-    item.productId.toString() === productId.toString()
-  );
+CartSchema.methods.findLine = function(productId, variantId = null) {
+  return this.items.find(item => isSameLine(item, productId, variantId));
+};
+
+CartSchema.methods.addItem = function(productId, quantity, priceAtTime, variantId = null) {
+  const existingItem = this.findLine(productId, variantId);
 
   if (existingItem) {
     existingItem.quantity += quantity;
   } else {
-    this.items.push({ productId, quantity, price });
+    this.items.push({ productId, variantId, quantity, priceAtTime });
   }
 
   this.updatedAt = new Date();
   return this.save();
 };
 
-CartSchema.methods.removeItem = function(productId) {
-  this.items = this.items.filter(item => 
-    item.productId.toString() !== productId.toString()
-  );
+CartSchema.methods.removeItem = function(productId, variantId = null) {
+  this.items = this.items.filter(item => !isSameLine(item, productId, variantId));
   this.updatedAt = new Date();
   return this.save();
 };
 
-CartSchema.methods.updateItemQuantity = function(productId, quantity) {
-  const item = this.items.find(item => 
-    item.productId.toString() === productId.toString()
-  );
+CartSchema.methods.updateItemQuantity = function(productId, quantity, variantId = null) {
+  const item = this.findLine(productId, variantId);
 
   if (item) {
     if (quantity <= 0) {
-      return this.removeItem(productId);
+      return this.removeItem(productId, variantId);
     }
     item.quantity = quantity;
     this.updatedAt = new Date();
@@ -93,12 +129,15 @@ CartSchema.methods.updateItemQuantity = function(productId, quantity) {
 
 CartSchema.methods.clearCart = function() {
   this.items = [];
+  this.promotionCodes = [];
   this.updatedAt = new Date();
   return this.save();
 };
 
 // ===== INDEXES =====
-CartSchema.index({ userId: 1 });
+CartSchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { userId: { $exists: true } } });
+CartSchema.index({ guestId: 1 }, { unique: true, partialFilterExpression: { guestId: { $exists: true } } });
+CartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 CartSchema.index({ updatedAt: -1 });
 
 module.exports = mongoose.model('Cart', CartSchema); 
\ No newline at end of file
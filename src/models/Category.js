@@ -1,5 +1,18 @@
 const mongoose = require('mongoose');
 
+// Imagen de portada de la categoría
+const CategoryImageSchema = new mongoose.Schema({
+  mediaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media',
+    required: true
+  },
+  url: { type: String, required: true },
+  thumbnails: { type: Map, of: String, default: {} },
+  width: { type: Number },
+  height: { type: Number }
+}, { _id: false });
+
 const CategorySchema = new mongoose.Schema({
   name: {
     type: String,
@@ -17,6 +30,7 @@ const CategorySchema = new mongoose.Schema({
     ref: 'Category',
     default: null
   },
+  image: { type: CategoryImageSchema, default: null },
   isActive: { type: Boolean, default: true },
   createdAt: { type: Date, default: Date.now }
 }, {
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const {
+  DATA_EXPORT_FORMATS,
+  DATA_EXPORT_STATUS
+} = require('../config/constants');
+
+// ===== MAIN DATA EXPORT SCHEMA =====
+// Una solicitud de exportación de datos personales. El archivo se genera en
+// segundo plano y se guarda en el almacenamiento privado hasta expiresAt
+const DataExportSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El ID del usuario es requerido']
+  },
+  format: {
+    type: String,
+    enum: Object.values(DATA_EXPORT_FORMATS),
+    default: DATA_EXPORT_FORMATS.ZIP
+  },
+  status: {
+    type: String,
+    enum: Object.values(DATA_EXPORT_STATUS),
+    default: DATA_EXPORT_STATUS.PENDING
+  },
+  storageKey: { type: String, default: null },
+  fileName: { type: String, default: null },
+  contentType: { type: String, default: null },
+  size: { type: Number, default: null },
+  // Número de registros exportados por sección (orders, reviews, ...)
+  counts: { type: Map, of: Number, default: {} },
+  error: { type: String, default: null },
+  startedAt: { type: Date, default: null },
+  completedAt: { type: Date, default: null },
+  expiresAt: { type: Date, default: null },
+  downloadCount: { type: Number, default: 0 },
+  lastDownloadedAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+// ===== VIRTUALS =====
+DataExportSchema.virtual('isDownloadable').get(function() {
+  return this.status === DATA_EXPORT_STATUS.READY && !!this.expiresAt && this.expiresAt > new Date();
+});
+
+// ===== INDEXES =====
+DataExportSchema.index({ userId: 1, createdAt: -1 });
+DataExportSchema.index({ status: 1, expiresAt: 1 });
+DataExportSchema.index({ status: 1, updatedAt: 1 });
+
+module.exports = mongoose.model('DataExport', DataExportSchema);
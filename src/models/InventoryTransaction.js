@@ -7,6 +7,10 @@ const InventoryTransactionSchema = new mongoose.Schema({
     ref: 'Product',
     required: [true, 'El ID del producto es requerido']
   },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductVariant'
+  },
   qtyChange: {
     type: Number,
     required: [true, 'El cambio de cantidad es requerido']
@@ -47,5 +51,6 @@ InventoryTransactionSchema.index({ productId: 1 });
 InventoryTransactionSchema.index({ type: 1 });
 InventoryTransactionSchema.index({ occurredAt: -1 });
 InventoryTransactionSchema.index({ productId: 1, occurredAt: -1 });
+InventoryTransactionSchema.index({ variantId: 1, occurredAt: -1 }, { sparse: true });
 
 module.exports = mongoose.model('InventoryTransaction', InventoryTransactionSchema); 
\ No newline at end of file
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const { JOB_STATUS, JOB_DEFAULT_MAX_ATTEMPTS } = require('../config/constants');
+
+// Intento fallido (se conservan los más recientes)
+const FailureSchema = new mongoose.Schema({
+  attempt: { type: Number, required: true },
+  message: { type: String, required: true },
+  code: { type: String, default: null },
+  failedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// ===== MAIN JOB SCHEMA =====
+// Trabajo en segundo plano. Cualquier instancia de la API puede ejecutarlo:
+// la primera que lo reclama (status running + lockedBy) es la única que lo
+// corre; si deja de responder, otra lo recupera cuando vence lockedUntil
+const JobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: Object.values(JOB_STATUS),
+    default: JOB_STATUS.QUEUED
+  },
+  // Mayor primero
+  priority: { type: Number, default: 0 },
+  runAt: { type: Date, default: Date.now },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: {
+    type: Number,
+    default: JOB_DEFAULT_MAX_ATTEMPTS,
+    min: [1, 'El trabajo necesita al menos un intento']
+  },
+  lockedBy: { type: String, default: null },
+  lockedUntil: { type: Date, default: null },
+  startedAt: { type: Date, default: null },
+  finishedAt: { type: Date, default: null },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  lastError: { type: String, default: null },
+  failures: [FailureSchema],
+  // Evita duplicados mientras el trabajo está en cola o en ejecución; se
+  // borra al terminar para permitir el siguiente
+  uniqueKey: { type: String, default: undefined },
+  // Programación que lo creó (null si se encoló a mano o desde el código)
+  scheduleName: { type: String, default: null },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Los trabajos terminados se borran solos; los que siguen pendientes no lo tienen
+  expiresAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+// ===== INDEXES =====
+JobSchema.index({ status: 1, name: 1, priority: -1, runAt: 1 });
+JobSchema.index({ status: 1, lockedUntil: 1 });
+JobSchema.index({ uniqueKey: 1 }, { unique: true, sparse: true });
+JobSchema.index({ scheduleName: 1, createdAt: -1 });
+JobSchema.index({ createdAt: -1 });
+JobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Job', JobSchema);
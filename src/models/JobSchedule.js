@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// ===== MAIN JOB SCHEDULE SCHEMA =====
+// Trabajo recurrente con expresión cron (UTC). Las programaciones incluidas
+// se crean la primera vez desde services/jobs; después los administradores
+// pueden pausarlas o cambiar su cron desde /api/jobs/schedules
+const JobScheduleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  jobName: {
+    type: String,
+    required: true
+  },
+  cron: {
+    type: String,
+    required: [true, 'La expresión cron es requerida'],
+    trim: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'La descripción no puede exceder 300 caracteres']
+  },
+  isActive: { type: Boolean, default: true },
+  // Solo la instancia que logra avanzar nextRunAt encola el trabajo
+  nextRunAt: { type: Date, required: true },
+  lastRunAt: { type: Date, default: null },
+  lastJobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// ===== INDEXES =====
+JobScheduleSchema.index({ isActive: 1, nextRunAt: 1 });
+
+module.exports = mongoose.model('JobSchedule', JobScheduleSchema);
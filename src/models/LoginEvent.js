@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const {
+  LOGIN_METHODS,
+  LOGIN_FAILURE_REASONS,
+  LOGIN_EVENT_TTL_DAYS
+} = require('../config/constants');
+
+// ===== MAIN LOGIN EVENT SCHEMA =====
+// Un registro por intento de inicio de sesión, exitoso o no. Los intentos con
+// emails inexistentes se guardan sin userId para detectar credential stuffing.
+const LoginEventSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  method: {
+    type: String,
+    enum: Object.values(LOGIN_METHODS),
+    default: LOGIN_METHODS.PASSWORD
+  },
+  reason: {
+    type: String,
+    enum: [...Object.values(LOGIN_FAILURE_REASONS), null],
+    default: null
+  },
+  ip: { type: String },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  device: { type: String },
+  // Hash del dispositivo descrito (navegador + sistema) para reconocerlo
+  deviceKey: { type: String },
+  // Inicio de sesión exitoso desde un dispositivo que la cuenta no había usado
+  newDevice: { type: Boolean, default: false },
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// ===== INDEXES =====
+LoginEventSchema.index({ userId: 1, createdAt: -1 });
+LoginEventSchema.index({ userId: 1, success: 1, deviceKey: 1 });
+LoginEventSchema.index({ newDevice: 1, createdAt: -1 });
+LoginEventSchema.index({ ip: 1, createdAt: -1 });
+// El historial antiguo se elimina solo
+LoginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: LOGIN_EVENT_TTL_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginEvent', LoginEventSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const { MEDIA_USAGES, MEDIA_STORAGE_DRIVERS } = require('../config/constants');
+
+// ===== THUMBNAIL SUB-SCHEMA =====
+const ThumbnailSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  key: { type: String, required: true },
+  url: { type: String, required: true },
+  width: { type: Number },
+  height: { type: Number },
+  size: { type: Number }
+}, { _id: false });
+
+// ===== MAIN MEDIA SCHEMA =====
+// Registro de cada archivo subido; los recursos (producto, post, usuario)
+// guardan una copia de la URL y las miniaturas para no tener que poblarlo
+const MediaSchema = new mongoose.Schema({
+  usage: {
+    type: String,
+    enum: Object.values(MEDIA_USAGES),
+    required: [true, 'El uso del archivo es requerido']
+  },
+  // Recurso al que pertenece (producto, categoría, post o usuario según usage)
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'El recurso propietario es requerido']
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El usuario que sube el archivo es requerido']
+  },
+  storage: {
+    type: String,
+    enum: Object.values(MEDIA_STORAGE_DRIVERS),
+    required: true
+  },
+  key: { type: String, required: true, unique: true },
+  url: { type: String, required: true },
+  originalName: {
+    type: String,
+    trim: true,
+    maxlength: [255, 'El nombre del archivo no puede exceder 255 caracteres']
+  },
+  mimeType: { type: String, required: true },
+  size: { type: Number, required: true, min: 0 },
+  width: { type: Number },
+  height: { type: Number },
+  thumbnails: [ThumbnailSchema]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// ===== VIRTUALS =====
+MediaSchema.virtual('isImage').get(function() {
+  return this.mimeType.startsWith('image/');
+});
+
+// ===== METHODS =====
+// Todas las claves en almacenamiento (original + miniaturas)
+MediaSchema.methods.getStorageKeys = function() {
+  return [this.key, ...this.thumbnails.map(thumbnail => thumbnail.key)];
+};
+
+// Copia embebible en el recurso propietario
+MediaSchema.methods.toReference = function() {
+  return {
+    mediaId: this._id,
+    url: this.url,
+    thumbnails: Object.fromEntries(this.thumbnails.map(thumbnail => [thumbnail.name, thumbnail.url])),
+    width: this.width,
+    height: this.height
+  };
+};
+
+// ===== INDEXES =====
+MediaSchema.index({ usage: 1, ownerId: 1 });
+MediaSchema.index({ uploadedBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Media', MediaSchema);
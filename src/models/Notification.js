@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_TTL_DAYS
+} = require('../config/constants');
+
+// ===== ACTOR SCHEMA =====
+// Copia del nombre al momento del evento para no poblar en cada listado
+const ActorSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: { type: String, required: true }
+}, { _id: false });
+
+// ===== MAIN NOTIFICATION SCHEMA =====
+// Notificación del centro de notificaciones. Los eventos repetidos sobre el
+// mismo elemento comparten groupKey y se acumulan en un solo documento
+const NotificationSchema = new mongoose.Schema({
+  recipientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El destinatario es requerido']
+  },
+  type: {
+    type: String,
+    enum: Object.values(NOTIFICATION_TYPES),
+    required: [true, 'El tipo de notificación es requerido']
+  },
+  // Actores más recientes primero (hasta NOTIFICATION_MAX_ACTORS)
+  actors: {
+    type: [ActorSchema],
+    default: []
+  },
+  // Todos los actores distintos del grupo, para no contar dos veces al mismo
+  actorIds: {
+    type: [mongoose.Schema.Types.ObjectId],
+    default: [],
+    select: false
+  },
+  actorCount: { type: Number, default: 0 },
+  target: {
+    type: { type: String },
+    id: { type: mongoose.Schema.Types.ObjectId }
+  },
+  // p. ej. reaction:Post:<id>; null para notificaciones que no se agrupan
+  groupKey: { type: String, default: null },
+  // Datos del último evento (estado de la orden, tipo de reacción, etc.)
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  readAt: { type: Date, default: null },
+  lastActivityAt: { type: Date, default: Date.now },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// ===== VIRTUALS =====
+NotificationSchema.virtual('isRead').get(function() {
+  return !!this.readAt;
+});
+
+// ===== INDEXES =====
+NotificationSchema.index({ recipientId: 1, lastActivityAt: -1 });
+NotificationSchema.index({ recipientId: 1, readAt: 1 });
+NotificationSchema.index({ recipientId: 1, groupKey: 1, readAt: 1 });
+NotificationSchema.index({ 'actors.userId': 1 });
+NotificationSchema.index({ lastActivityAt: 1 }, { expireAfterSeconds: NOTIFICATION_TTL_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
@@ -1,5 +1,5 @@
 const mongoose = require('mongoose');
-const { ORDER_STATUS, PAYMENT_METHODS, PAYMENT_STATUS } = require('../config/constants');
+const { ORDER_STATUS, PAYMENT_METHODS, PAYMENT_STATUS, SHIPMENT_CARRIERS } = require('../config/constants');
 
 // ===== SUBDOCUMENT SCHEMAS =====
 const OrderItemSchema = new mongoose.Schema({
@@ -8,25 +8,99 @@ const OrderItemSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
-  name: { type: String, required: true },
-  sku: { type: String, required: true },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductVariant'
+  },
+  variantLabel: { type: String },
+  productName: { type: String, required: true },
+  productSku: { type: String, required: true },
   quantity: {
     type: Number,
     required: true,
     min: [1, 'La cantidad debe ser al menos 1']
   },
-  price: {
+  priceAtTime: {
     type: Number,
     required: true,
     min: [0, 'El precio no puede ser negativo']
   },
-  totalPrice: {
+  subtotal: {
     type: Number,
     required: true,
-    min: [0, 'El precio total no puede ser negativo']
+    min: [0, 'El subtotal no puede ser negativo']
+  },
+  // Parte de los descuentos asignada a esta línea (para prorratear reembolsos)
+  discountAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'El descuento no puede ser negativo']
   }
 });
 
+const DiscountAllocationSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  amount: { type: Number, required: true }
+}, { _id: false });
+
+const OrderDiscountSchema = new mongoose.Schema({
+  promotionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    required: true
+  },
+  code: { type: String, required: true },
+  name: { type: String },
+  type: { type: String, required: true },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'El descuento no puede ser negativo']
+  },
+  shippingAmount: { type: Number, default: 0 },
+  allocations: [DiscountAllocationSchema]
+}, { _id: false });
+
+const StatusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: Object.values(ORDER_STATUS),
+    required: true
+  },
+  timestamp: { type: Date, default: Date.now },
+  notes: { type: String, trim: true }
+}, { _id: false });
+
+const ShippingOptionSchema = new mongoose.Schema({
+  rateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ShippingRate'
+  },
+  carrier: {
+    type: String,
+    enum: [...Object.values(SHIPMENT_CARRIERS), null]
+  },
+  name: { type: String },
+  cost: { type: Number, min: 0 },
+  billableWeightKg: { type: Number, min: 0 },
+  estimatedDaysMin: { type: Number },
+  estimatedDaysMax: { type: Number }
+}, { _id: false });
+
+const TaxDetailsSchema = new mongoose.Schema({
+  ruleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxRule'
+  },
+  name: { type: String },
+  rate: { type: Number, min: 0 },
+  taxableAmount: { type: Number, min: 0 }
+}, { _id: false });
+
 const AddressSchema = new mongoose.Schema({
   street: { type: String, required: true },
   city: { type: String, required: true },
@@ -37,11 +111,27 @@ const AddressSchema = new mongoose.Schema({
 
 // ===== MAIN ORDER SCHEMA =====
 const OrderSchema = new mongoose.Schema({
+  // Vacío en órdenes de invitado hasta que se vinculan a una cuenta
   userId: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: [true, 'El ID del usuario es requerido']
+    ref: 'User'
   },
+  isGuest: {
+    type: Boolean,
+    default: false
+  },
+  // Datos de contacto (obligatorios para invitados; permiten consultar la orden)
+  contactEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: [/^\S+@\S+\.\S+$/, 'El email de contacto no es válido']
+  },
+  contactPhone: {
+    type: String,
+    trim: true
+  },
+  claimedAt: { type: Date },
   orderNumber: {
     type: String,
     unique: true,
@@ -52,7 +142,7 @@ const OrderSchema = new mongoose.Schema({
     required: true,
     validate: [items => items.length > 0, 'La orden debe tener al menos un item']
   },
-  address: {
+  shippingAddress: {
     type: AddressSchema,
     required: [true, 'La dirección es requerida']
   },
@@ -61,11 +151,37 @@ const OrderSchema = new mongoose.Schema({
     required: [true, 'El monto total es requerido'],
     min: [0, 'El monto total no puede ser negativo']
   },
+  discounts: [OrderDiscountSchema],
+  discountAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'El descuento no puede ser negativo']
+  },
+  taxAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'El impuesto no puede ser negativo']
+  },
+  taxDetails: TaxDetailsSchema,
+  shippingAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'El costo de envío no puede ser negativo']
+  },
+  shippingOption: ShippingOptionSchema,
+  finalAmount: {
+    type: Number,
+    required: [true, 'El monto final es requerido'],
+    min: [0, 'El monto final no puede ser negativo']
+  },
   status: {
     type: String,
     enum: Object.values(ORDER_STATUS),
     default: ORDER_STATUS.PENDING
   },
+  statusHistory: [StatusHistorySchema],
+  reservationExpiresAt: { type: Date },
+  reservationExtensions: { type: Number, default: 0 },
   shipments: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Shipment'
@@ -80,11 +196,21 @@ const OrderSchema = new mongoose.Schema({
     enum: Object.values(PAYMENT_STATUS),
     default: PAYMENT_STATUS.PENDING
   },
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'El monto reembolsado no puede ser negativo']
+  },
+  transactionId: { type: String, trim: true },
+  paymentNotes: { type: String, trim: true },
   notes: {
     type: String,
     trim: true,
     maxlength: [500, 'Las notas no pueden exceder 500 caracteres']
   },
+  adminNotes: { type: String, trim: true },
+  cancelledAt: { type: Date },
+  cancellationReason: { type: String, trim: true },
   createdAt: {
     type: Date,
     default: Date.now
@@ -100,11 +226,22 @@ OrderSchema.virtual('totalItems').get(function() {
   return this.items.reduce((total, item) => total + item.quantity, 0);
 });
 
+OrderSchema.virtual('refundableAmount').get(function() {
+  return Math.max(0, this.finalAmount - (this.refundedAmount || 0));
+});
+
 OrderSchema.virtual('canBeCancelled').get(function() {
   return [ORDER_STATUS.PENDING, ORDER_STATUS.CONFIRMED].includes(this.status);
 });
 
 // ===== MIDDLEWARES =====
+OrderSchema.pre('validate', function(next) {
+  if (!this.userId && !this.contactEmail) {
+    this.invalidate('contactEmail', 'El email de contacto es requerido para órdenes de invitado');
+  }
+  next();
+});
+
 OrderSchema.pre('save', function(next) {
   if (this.isNew && !this.orderNumber) {
     this.orderNumber = `ORD-${Date.now()}-${Math.random().toString(36).substr(2, 5).toUpperCase()}`;
@@ -119,7 +256,9 @@ OrderSchema.methods.updateStatus = function(newStatus) {
     [ORDER_STATUS.CONFIRMED]: [ORDER_STATUS.PROCESSING, ORDER_STATUS.CANCELLED],
     [ORDER_STATUS.PROCESSING]: [ORDER_STATUS.SHIPPED],
     [ORDER_STATUS.SHIPPED]: [ORDER_STATUS.DELIVERED],
-    [ORDER_STATUS.DELIVERED]: [],
+    [ORDER_STATUS.DELIVERED]: [ORDER_STATUS.PARTIALLY_REFUNDED, ORDER_STATUS.REFUNDED],
+    [ORDER_STATUS.PARTIALLY_REFUNDED]: [ORDER_STATUS.REFUNDED],
+    [ORDER_STATUS.REFUNDED]: [],
     [ORDER_STATUS.CANCELLED]: []
   };
 
@@ -132,12 +271,13 @@ OrderSchema.methods.updateStatus = function(newStatus) {
 };
 
 OrderSchema.methods.calculateTotal = function() {
-  return this.items.reduce((total, item) => total + item.totalPrice, 0);
+  return this.items.reduce((total, item) => total + item.subtotal, 0);
 };
 
 // ===== INDEXES =====
 OrderSchema.index({ userId: 1, createdAt: -1 });
 OrderSchema.index({ orderNumber: 1 });
+OrderSchema.index({ contactEmail: 1, isGuest: 1 });
 OrderSchema.index({ status: 1 });
 OrderSchema.index({ createdAt: -1 });
 OrderSchema.index({ paymentStatus: 1 });
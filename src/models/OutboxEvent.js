@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const { DOMAIN_EVENTS, OUTBOX_STATUS } = require('../config/constants');
+
+// ===== MAIN OUTBOX EVENT SCHEMA =====
+// Evento de dominio guardado en la misma transacción que el cambio que lo
+// produce. Si la transacción se revierte, el evento tampoco existe. El
+// despachador lo entrega a cada suscriptor al menos una vez: handledBy
+// registra los que ya lo procesaron para no repetirlos en los reintentos
+const OutboxEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: Object.values(DOMAIN_EVENTS),
+    required: true
+  },
+  aggregateType: {
+    type: String,
+    required: true
+  },
+  aggregateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Datos del evento ya validados contra su esquema (ids como string)
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Usuario que provocó el cambio (null para procesos automáticos)
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  occurredAt: { type: Date, default: Date.now },
+  status: {
+    type: String,
+    enum: Object.values(OUTBOX_STATUS),
+    default: OUTBOX_STATUS.PENDING
+  },
+  attempts: { type: Number, default: 0 },
+  // Siguiente intento de despacho
+  availableAt: { type: Date, default: Date.now },
+  lockedBy: { type: String, default: null },
+  lockedUntil: { type: Date, default: null },
+  handledBy: [{ type: String }],
+  lastError: { type: String, default: null },
+  dispatchedAt: { type: Date, default: null },
+  // Los eventos despachados o fallidos se borran solos; los pendientes no lo tienen
+  expiresAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+// ===== INDEXES =====
+OutboxEventSchema.index({ status: 1, availableAt: 1, occurredAt: 1 });
+OutboxEventSchema.index({ aggregateType: 1, aggregateId: 1, occurredAt: -1 });
+OutboxEventSchema.index({ type: 1, occurredAt: -1 });
+OutboxEventSchema.index({ occurredAt: -1 });
+OutboxEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OutboxEvent', OutboxEventSchema);
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const {
+  PAYMENT_METHODS,
+  PAYMENT_INTENT_STATUS,
+  PAYMENT_CURRENCY
+} = require('../config/constants');
+
+// ===== SUBDOCUMENT SCHEMAS =====
+const RefundSchema = new mongoose.Schema({
+  providerRefundId: { type: String, required: true },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'El monto del reembolso no puede ser negativo']
+  },
+  reason: { type: String, trim: true },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Reembolso reclamado antes de llamar al proveedor; mientras exista no se
+// puede pedir otro. Se libera al registrarlo o si el proveedor lo rechaza;
+// refundId se guarda en cuanto el proveedor responde para poder conciliarlo
+const RefundClaimSchema = new mongoose.Schema({
+  claimId: { type: String, required: true },
+  amount: { type: Number, required: true },
+  reason: { type: String, trim: true },
+  refundId: { type: String },
+  claimedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const WebhookEventSchema = new mongoose.Schema({
+  eventId: { type: String, required: true },
+  type: { type: String, required: true },
+  receivedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// ===== MAIN PAYMENT SCHEMA =====
+const PaymentSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'El ID de la orden es requerido']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  provider: {
+    type: String,
+    required: [true, 'El proveedor de pago es requerido']
+  },
+  providerPaymentId: {
+    type: String,
+    required: [true, 'El ID del pago en el proveedor es requerido']
+  },
+  method: {
+    type: String,
+    enum: Object.values(PAYMENT_METHODS),
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: [true, 'El monto es requerido'],
+    min: [0, 'El monto no puede ser negativo']
+  },
+  currency: {
+    type: String,
+    default: PAYMENT_CURRENCY
+  },
+  status: {
+    type: String,
+    enum: Object.values(PAYMENT_INTENT_STATUS),
+    default: PAYMENT_INTENT_STATUS.REQUIRES_ACTION
+  },
+  clientSecret: {
+    type: String,
+    select: false
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'El monto reembolsado no puede ser negativo']
+  },
+  refunds: [RefundSchema],
+  refundClaim: {
+    type: RefundClaimSchema,
+    default: null
+  },
+  // Cobros que no corresponden a una orden vigente (p. ej. capturados después
+  // de que la orden expiró); se reembolsan y quedan a la vista del personal
+  reviewRequired: {
+    type: Boolean,
+    default: false
+  },
+  reviewReason: { type: String, trim: true },
+  // Eventos de webhook ya procesados (idempotencia)
+  webhookEvents: [WebhookEventSchema],
+  failureReason: { type: String, trim: true },
+  authorizedAt: { type: Date },
+  capturedAt: { type: Date },
+  voidedAt: { type: Date }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// ===== VIRTUALS =====
+PaymentSchema.virtual('refundableAmount').get(function() {
+  if (![PAYMENT_INTENT_STATUS.CAPTURED, PAYMENT_INTENT_STATUS.PARTIALLY_REFUNDED].includes(this.status)) {
+    return 0;
+  }
+  return Math.max(0, this.amount - this.refundedAmount);
+});
+
+// ===== INDEXES =====
+PaymentSchema.index({ provider: 1, providerPaymentId: 1 }, { unique: true });
+PaymentSchema.index({ orderId: 1, createdAt: -1 });
+PaymentSchema.index({ status: 1 });
+PaymentSchema.index({ reviewRequired: 1 }, { partialFilterExpression: { reviewRequired: true } });
+
+module.exports = mongoose.model('Payment', PaymentSchema);
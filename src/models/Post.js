@@ -1,5 +1,21 @@
 const mongoose = require('mongoose');
 
+// ===== ATTACHMENT SUB-SCHEMA =====
+const AttachmentSchema = new mongoose.Schema({
+  mediaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media',
+    required: true
+  },
+  url: { type: String, required: true },
+  thumbnails: { type: Map, of: String, default: {} },
+  mimeType: { type: String, required: true },
+  originalName: { type: String, trim: true },
+  size: { type: Number },
+  width: { type: Number },
+  height: { type: Number }
+}, { _id: false });
+
 // ===== MAIN POST SCHEMA =====
 const PostSchema = new mongoose.Schema({
   userId: {
@@ -19,6 +35,7 @@ const PostSchema = new mongoose.Schema({
     lowercase: true,
     maxlength: [50, 'Los tags no pueden exceder 50 caracteres']
   }],
+  attachments: [AttachmentSchema],
   isEdited: {
     type: Boolean,
     default: false
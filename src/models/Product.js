@@ -8,6 +8,50 @@ const DimensionsSchema = new mongoose.Schema({
   unit: { type: String, enum: ['cm', 'inches'], default: 'cm' }
 });
 
+// Eje de opción de las variantes (p. ej. color con sus valores permitidos)
+const ProductOptionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'El nombre de la opción es requerido'],
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'El nombre de la opción no puede exceder 50 caracteres']
+  },
+  values: {
+    type: [{ type: String, trim: true }],
+    validate: [values => values.length > 0, 'La opción debe tener al menos un valor']
+  }
+}, { _id: false });
+
+// Imagen de la galería; el orden del arreglo es el orden de presentación
+const ProductImageSchema = new mongoose.Schema({
+  mediaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media',
+    required: true
+  },
+  url: { type: String, required: true },
+  thumbnails: { type: Map, of: String, default: {} },
+  width: { type: Number },
+  height: { type: Number },
+  alt: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'El texto alternativo no puede exceder 200 caracteres'],
+    default: ''
+  },
+  isPrimary: { type: Boolean, default: false }
+}, { _id: false });
+
+// Puntajes de popularidad con decaimiento temporal, recalculados periódicamente
+// por PopularityService (ventas, vistas, carritos, wishlists y reseñas)
+const PopularitySchema = new mongoose.Schema({
+  day: { type: Number, default: 0 },
+  week: { type: Number, default: 0 },
+  month: { type: Number, default: 0 },
+  computedAt: { type: Date, default: null }
+}, { _id: false });
+
 // ===== MAIN PRODUCT SCHEMA =====
 const ProductSchema = new mongoose.Schema({
   name: {
@@ -46,13 +90,33 @@ const ProductSchema = new mongoose.Schema({
     min: [0, 'El stock no puede ser negativo'],
     default: 0
   },
+  // Unidades retenidas por órdenes pendientes de pago (incluidas en stockQty)
+  reservedQty: {
+    type: Number,
+    min: [0, 'El stock reservado no puede ser negativo'],
+    default: 0
+  },
   categories: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Category',
     required: true
   }],
+  // Ejes de opción; si el producto tiene variantes, el stock, el SKU vendible
+  // y (opcionalmente) el precio y el peso viven en ProductVariant
+  options: [ProductOptionSchema],
+  hasVariants: { type: Boolean, default: false },
+  images: [ProductImageSchema],
   isActive: { type: Boolean, default: true },
   isFeatured: { type: Boolean, default: false },
+  popularity: { type: PopularitySchema, default: () => ({}) },
+  // Estadísticas de reseñas, mantenidas por ReviewService en la misma
+  // transacción que cada reseña
+  averageRating: { type: Number, default: 0, min: 0, max: 5 },
+  reviewCount: { type: Number, default: 0, min: 0 },
+  // Reseñas por estrellas: posición 0 = 1 estrella ... posición 4 = 5 estrellas
+  ratingHistogram: { type: [Number], default: () => [0, 0, 0, 0, 0] },
+  // Promedio bayesiano usado para ordenar (0 si no hay reseñas)
+  ratingScore: { type: Number, default: 0 },
   createdAt: { type: Date, default: Date.now }
 }, {
   timestamps: true,
@@ -61,8 +125,27 @@ const ProductSchema = new mongoose.Schema({
 });
 
 // ===== VIRTUALS =====
+ProductSchema.virtual('reserved').get(function() {
+  return this.reservedQty || 0;
+});
+
+ProductSchema.virtual('available').get(function() {
+  return Math.max(0, this.stockQty - (this.reservedQty || 0));
+});
+
 ProductSchema.virtual('inStock').get(function() {
-  return this.stockQty > 0;
+  return this.available > 0;
+});
+
+ProductSchema.virtual('primaryImage').get(function() {
+  if (!this.images || this.images.length === 0) return null;
+  return this.images.find(image => image.isPrimary) || this.images[0];
+});
+
+ProductSchema.virtual('variants', {
+  ref: 'ProductVariant',
+  localField: '_id',
+  foreignField: 'productId'
 });
 
 ProductSchema.virtual('reviews', {
@@ -89,5 +172,10 @@ ProductSchema.index({ price: 1 });
 ProductSchema.index({ stockQty: 1 });
 ProductSchema.index({ createdAt: -1 });
 ProductSchema.index({ isFeatured: -1, createdAt: -1 });
+ProductSchema.index({ isActive: 1, ratingScore: -1 });
+ProductSchema.index({ averageRating: -1 });
+ProductSchema.index({ isActive: 1, 'popularity.day': -1 });
+ProductSchema.index({ isActive: 1, 'popularity.week': -1 });
+ProductSchema.index({ isActive: 1, 'popularity.month': -1 });
 
 module.exports = mongoose.model('Product', ProductSchema); 
\ No newline at end of file
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const {
+  PRODUCT_ACTIVITY_TYPES,
+  PRODUCT_ACTIVITY_TTL_DAYS
+} = require('../config/constants');
+
+// ===== MAIN PRODUCT ACTIVITY SCHEMA =====
+// Señales de interés en un producto para el cálculo de popularidad. Las vistas
+// llevan viewerKey + bucket para contarse una sola vez por visitante y lapso
+const ProductActivitySchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'El ID del producto es requerido']
+  },
+  type: {
+    type: String,
+    enum: Object.values(PRODUCT_ACTIVITY_TYPES),
+    required: [true, 'El tipo de actividad es requerido']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Sesión, carrito de invitado o huella anónima (hash) del visitante
+  viewerKey: { type: String },
+  // Lapso de deduplicación (múltiplo de PRODUCT_VIEW_DEDUP_HOURS desde epoch)
+  bucket: { type: Number },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// ===== INDEXES =====
+ProductActivitySchema.index(
+  { productId: 1, viewerKey: 1, bucket: 1 },
+  { unique: true, partialFilterExpression: { type: PRODUCT_ACTIVITY_TYPES.VIEW } }
+);
+// Las señales antiguas ya no influyen en ninguna ventana
+ProductActivitySchema.index({ createdAt: 1 }, { expireAfterSeconds: PRODUCT_ACTIVITY_TTL_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ProductActivity', ProductActivitySchema);
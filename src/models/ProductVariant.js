@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// Combinación concreta de opciones de un producto (p. ej. color Rojo, talla M)
+// con SKU, stock y, opcionalmente, precio y peso propios
+const ProductVariantSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'El ID del producto es requerido']
+  },
+  sku: {
+    type: String,
+    required: [true, 'El SKU es requerido'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  // Valor elegido por eje de opción del producto: { color: 'Rojo', talla: 'M' }
+  options: {
+    type: Map,
+    of: String,
+    required: [true, 'Las opciones de la variante son requeridas']
+  },
+  // Clave normalizada de las opciones para impedir combinaciones duplicadas
+  optionsKey: {
+    type: String,
+    required: true
+  },
+  // Si no se define se usa el precio/peso del producto
+  price: {
+    type: Number,
+    min: [0, 'El precio no puede ser negativo']
+  },
+  weight: {
+    type: Number,
+    min: [0, 'El peso no puede ser negativo']
+  },
+  stockQty: {
+    type: Number,
+    required: [true, 'La cantidad en stock es requerida'],
+    min: [0, 'El stock no puede ser negativo'],
+    default: 0
+  },
+  // Unidades retenidas por órdenes pendientes de pago (incluidas en stockQty)
+  reservedQty: {
+    type: Number,
+    min: [0, 'El stock reservado no puede ser negativo'],
+    default: 0
+  },
+  isActive: { type: Boolean, default: true }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// ===== VIRTUALS =====
+ProductVariantSchema.virtual('available').get(function() {
+  return Math.max(0, this.stockQty - (this.reservedQty || 0));
+});
+
+ProductVariantSchema.virtual('inStock').get(function() {
+  return this.available > 0;
+});
+
+// Texto legible de las opciones: "color: Rojo / talla: M"
+ProductVariantSchema.virtual('label').get(function() {
+  if (!this.options) return '';
+  return [...this.options.entries()].map(([name, value]) => `${name}: ${value}`).join(' / ');
+});
+
+// ===== STATICS =====
+ProductVariantSchema.statics.buildOptionsKey = function(options) {
+  const entries = options instanceof Map ? [...options.entries()] : Object.entries(options || {});
+  return entries
+    .map(([name, value]) => `${name.trim().toLowerCase()}=${String(value).trim().toLowerCase()}`)
+    .sort()
+    .join('|');
+};
+
+// ===== MIDDLEWARE =====
+ProductVariantSchema.pre('validate', function(next) {
+  if (this.isModified('options')) {
+    this.optionsKey = this.constructor.buildOptionsKey(this.options);
+  }
+  next();
+});
+
+// ===== INDEXES =====
+ProductVariantSchema.index({ productId: 1, optionsKey: 1 }, { unique: true });
+ProductVariantSchema.index({ productId: 1, isActive: 1 });
+
+module.exports = mongoose.model('ProductVariant', ProductVariantSchema);
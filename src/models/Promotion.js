@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const { PROMOTION_TYPES, PROMOTION_SCOPES } = require('../config/constants');
+
+// ===== MAIN PROMOTION SCHEMA =====
+const PromotionSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'El código es requerido'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: [50, 'El código no puede exceder 50 caracteres']
+  },
+  name: {
+    type: String,
+    required: [true, 'El nombre es requerido'],
+    trim: true,
+    maxlength: [200, 'El nombre no puede exceder 200 caracteres']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'La descripción no puede exceder 1000 caracteres']
+  },
+  type: {
+    type: String,
+    enum: Object.values(PROMOTION_TYPES),
+    required: [true, 'El tipo de promoción es requerido']
+  },
+  // Porcentaje (0-100) o monto fijo según el tipo
+  value: {
+    type: Number,
+    default: 0,
+    min: [0, 'El valor no puede ser negativo']
+  },
+  // Tope del descuento para promociones porcentuales
+  maxDiscountAmount: {
+    type: Number,
+    min: [0, 'El tope no puede ser negativo']
+  },
+  // Compra X lleva Y: por cada buyQuantity unidades, getQuantity unidades
+  // (las más baratas) reciben getDiscountPercent de descuento
+  buyQuantity: { type: Number, min: 1 },
+  getQuantity: { type: Number, min: 1 },
+  getDiscountPercent: {
+    type: Number,
+    default: 100,
+    min: [0, 'El porcentaje no puede ser negativo'],
+    max: [100, 'El porcentaje no puede exceder 100']
+  },
+  scope: {
+    type: String,
+    enum: Object.values(PROMOTION_SCOPES),
+    default: PROMOTION_SCOPES.ORDER
+  },
+  productIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  categoryIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  minSubtotal: {
+    type: Number,
+    default: 0,
+    min: [0, 'El subtotal mínimo no puede ser negativo']
+  },
+  startsAt: { type: Date },
+  endsAt: { type: Date },
+  usageLimit: { type: Number, min: 1 },
+  usageLimitPerUser: { type: Number, min: 1 },
+  usageCount: { type: Number, default: 0, min: 0 },
+  // Las promociones combinables pueden aplicarse junto con otras combinables;
+  // las no combinables deben usarse solas
+  stackable: { type: Boolean, default: false },
+  // Orden de aplicación (mayor primero)
+  priority: { type: Number, default: 0 },
+  isActive: { type: Boolean, default: true },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// ===== VIRTUALS =====
+PromotionSchema.virtual('isCurrentlyValid').get(function() {
+  const now = new Date();
+  return this.isActive &&
+    (!this.startsAt || this.startsAt <= now) &&
+    (!this.endsAt || this.endsAt >= now) &&
+    (!this.usageLimit || this.usageCount < this.usageLimit);
+});
+
+// ===== INDEXES =====
+PromotionSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+
+module.exports = mongoose.model('Promotion', PromotionSchema);
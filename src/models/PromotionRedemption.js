@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Uso de una promoción en una orden (base de los límites por usuario)
+const PromotionRedemptionSchema = new mongoose.Schema({
+  promotionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    required: true
+  },
+  // Vacío en órdenes de invitado hasta que se vinculan a una cuenta
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  code: { type: String, required: true },
+  // Número de uso del usuario (1..usageLimitPerUser) en promociones con límite
+  // por usuario; el índice único impide que dos compras simultáneas tomen el
+  // mismo y superen el límite
+  useNumber: { type: Number, min: 1 },
+  discountAmount: {
+    type: Number,
+    required: true,
+    min: [0, 'El descuento no puede ser negativo']
+  }
+}, {
+  timestamps: true
+});
+
+// ===== INDEXES =====
+PromotionRedemptionSchema.index({ promotionId: 1, userId: 1 });
+PromotionRedemptionSchema.index({ orderId: 1 });
+PromotionRedemptionSchema.index(
+  { promotionId: 1, userId: 1, useNumber: 1 },
+  { unique: true, partialFilterExpression: { useNumber: { $exists: true } } }
+);
+
+module.exports = mongoose.model('PromotionRedemption', PromotionRedemptionSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+const { REALTIME_EVENT_TTL_SECONDS } = require('../config/constants');
+
+// ===== MAIN REALTIME EVENT SCHEMA =====
+// Buzón del pub/sub "mongo": cada proceso inserta sus eventos y todos los
+// reciben por un change stream. Se borran solos al poco tiempo
+const RealtimeEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  channels: {
+    type: [String],
+    default: []
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  publishedAt: { type: Date, default: Date.now }
+});
+
+// ===== INDEXES =====
+RealtimeEventSchema.index({ publishedAt: 1 }, { expireAfterSeconds: REALTIME_EVENT_TTL_SECONDS });
+
+module.exports = mongoose.model('RealtimeEvent', RealtimeEventSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const { RESERVATION_STATUS } = require('../config/constants');
+
+// Una reserva por línea de orden: retiene stock hasta que la orden se
+// confirma (committed) o se cancela/expira (released)
+const ReservationSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'El ID de la orden es requerido']
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'El ID del producto es requerido']
+  },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductVariant'
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'La cantidad es requerida'],
+    min: [1, 'La cantidad debe ser al menos 1']
+  },
+  status: {
+    type: String,
+    enum: Object.values(RESERVATION_STATUS),
+    default: RESERVATION_STATUS.ACTIVE
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'La fecha de expiración es requerida']
+  },
+  committedAt: { type: Date },
+  releasedAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+// ===== VIRTUALS =====
+ReservationSchema.virtual('isExpired').get(function() {
+  return this.status === RESERVATION_STATUS.ACTIVE && this.expiresAt <= new Date();
+});
+
+// ===== INDEXES =====
+ReservationSchema.index({ orderId: 1, status: 1 });
+ReservationSchema.index({ status: 1, expiresAt: 1 });
+ReservationSchema.index({ productId: 1, status: 1 });
+
+module.exports = mongoose.model('Reservation', ReservationSchema);
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const { RETURN_STATUS, RETURN_REASONS } = require('../config/constants');
+
+// ===== SUBDOCUMENT SCHEMAS =====
+const ReturnItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductVariant'
+  },
+  productName: { type: String, required: true },
+  productSku: { type: String, required: true },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'La cantidad debe ser al menos 1']
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: [0, 'El precio no puede ser negativo']
+  },
+  reason: {
+    type: String,
+    enum: Object.values(RETURN_REASONS),
+    required: [true, 'El motivo de devolución es requerido']
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'El comentario no puede exceder 500 caracteres']
+  },
+  // Unidades recibidas en almacén, separadas por condición
+  restockedQty: { type: Number, default: 0, min: 0 },
+  damagedQty: { type: Number, default: 0, min: 0 }
+}, { _id: false });
+
+const ReturnStatusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: Object.values(RETURN_STATUS),
+    required: true
+  },
+  timestamp: { type: Date, default: Date.now },
+  notes: { type: String, trim: true },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
+
+// ===== MAIN RETURN REQUEST SCHEMA =====
+const ReturnRequestSchema = new mongoose.Schema({
+  rmaNumber: {
+    type: String,
+    unique: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'El ID de la orden es requerido']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El ID del usuario es requerido']
+  },
+  items: {
+    type: [ReturnItemSchema],
+    required: true,
+    validate: [items => items.length > 0, 'La devolución debe tener al menos un item']
+  },
+  status: {
+    type: String,
+    enum: Object.values(RETURN_STATUS),
+    default: RETURN_STATUS.REQUESTED
+  },
+  statusHistory: [ReturnStatusHistorySchema],
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Las notas no pueden exceder 500 caracteres']
+  },
+  adminNotes: { type: String, trim: true },
+  rejectionReason: { type: String, trim: true },
+  refundAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'El monto reembolsado no puede ser negativo']
+  },
+  // Reembolso del proveedor de pago (vacío si se reembolsó fuera de línea)
+  providerRefundId: { type: String },
+  approvedAt: { type: Date },
+  receivedAt: { type: Date },
+  refundedAt: { type: Date }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// ===== VIRTUALS =====
+ReturnRequestSchema.virtual('totalItems').get(function() {
+  return this.items.reduce((total, item) => total + item.quantity, 0);
+});
+
+// Valor de la mercancía recibida (base del reembolso sugerido)
+ReturnRequestSchema.virtual('receivedValue').get(function() {
+  const value = this.items.reduce(
+    (total, item) => total + item.unitPrice * (item.restockedQty + item.damagedQty),
+    0
+  );
+  return Math.round(value * 100) / 100;
+});
+
+// ===== MIDDLEWARES =====
+ReturnRequestSchema.pre('save', function(next) {
+  if (this.isNew && !this.rmaNumber) {
+    this.rmaNumber = `RMA-${Date.now()}-${Math.random().toString(36).substr(2, 5).toUpperCase()}`;
+  }
+  next();
+});
+
+// ===== INDEXES =====
+ReturnRequestSchema.index({ orderId: 1 });
+ReturnRequestSchema.index({ userId: 1, createdAt: -1 });
+ReturnRequestSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ReturnRequest', ReturnRequestSchema);
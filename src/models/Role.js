@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS, PERMISSION_WILDCARD, ROLE_NAME_PATTERN } = require('../config/constants');
+
+const VALID_PERMISSIONS = [...Object.values(PERMISSIONS), PERMISSION_WILDCARD];
+
+// ===== MAIN ROLE SCHEMA =====
+// Asociación rol → permisos editable desde la API. User.role guarda el `name`.
+const RoleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'El nombre del rol es requerido'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [ROLE_NAME_PATTERN, 'El nombre del rol solo admite minúsculas, números, "-" y "_" (2 a 30 caracteres)']
+  },
+  displayName: {
+    type: String,
+    required: [true, 'El nombre visible del rol es requerido'],
+    trim: true,
+    maxlength: [60, 'El nombre visible no puede exceder 60 caracteres']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'La descripción no puede exceder 300 caracteres']
+  },
+  permissions: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: (permissions) => permissions.every(permission => VALID_PERMISSIONS.includes(permission)),
+      message: 'La lista contiene permisos que no existen'
+    }
+  },
+  // Roles incluidos con la aplicación: no se pueden eliminar
+  isSystem: { type: Boolean, default: false }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Role', RoleSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const { SESSION_REVOKE_REASONS } = require('../config/constants');
+
+// ===== MAIN SESSION SCHEMA =====
+// Una sesión es una familia de refresh tokens: cada renovación reemplaza el
+// token vigente y guarda el hash del anterior. Presentar un token ya rotado
+// indica robo y revoca la sesión completa.
+const SessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El ID del usuario es requerido']
+  },
+  // Hash SHA-256 del refresh token vigente (el token nunca se guarda en claro)
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  rotatedTokenHashes: {
+    type: [String],
+    select: false,
+    default: []
+  },
+  device: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'El nombre del dispositivo no puede exceder 100 caracteres']
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  ip: { type: String },
+  lastUsedAt: { type: Date, default: Date.now },
+  // Momento en que la sesión superó la verificación en dos pasos (login con
+  // código o activación de 2FA desde esta sesión)
+  mfaVerifiedAt: { type: Date, default: null },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: { type: Date, default: null },
+  revokedReason: {
+    type: String,
+    enum: [...Object.values(SESSION_REVOKE_REASONS), null],
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// ===== VIRTUALS =====
+SessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// ===== STATICS =====
+// Filtro de sesiones vigentes
+SessionSchema.statics.activeFilter = function(extra = {}) {
+  return { ...extra, revokedAt: null, expiresAt: { $gt: new Date() } };
+};
+
+// ===== INDEXES =====
+SessionSchema.index({ userId: 1, revokedAt: 1, expiresAt: 1 });
+// Las sesiones expiradas se eliminan solas
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -8,6 +8,10 @@ const ShipmentItemSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductVariant'
+  },
   name: { type: String, required: true },
   sku: { type: String, required: true },
   quantity: {
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const { SHIPMENT_CARRIERS } = require('../config/constants');
+
+// ===== SUBDOCUMENT SCHEMAS =====
+const ShippingZoneSchema = new mongoose.Schema({
+  country: {
+    type: String,
+    required: [true, 'El país de la zona es requerido'],
+    trim: true
+  },
+  // Sin estados, la zona cubre todo el país
+  states: [{ type: String, trim: true }]
+}, { _id: false });
+
+// ===== MAIN SHIPPING RATE SCHEMA =====
+const ShippingRateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'El nombre es requerido'],
+    trim: true,
+    maxlength: [100, 'El nombre no puede exceder 100 caracteres']
+  },
+  carrier: {
+    type: String,
+    enum: Object.values(SHIPMENT_CARRIERS),
+    required: [true, 'La empresa de envío es requerida']
+  },
+  zone: {
+    type: ShippingZoneSchema,
+    required: [true, 'La zona es requerida']
+  },
+  baseCost: {
+    type: Number,
+    required: [true, 'El costo base es requerido'],
+    min: [0, 'El costo no puede ser negativo']
+  },
+  // Kilos cubiertos por el costo base; cada kilo adicional cuesta costPerKg
+  includedWeightKg: { type: Number, default: 0, min: 0 },
+  costPerKg: { type: Number, default: 0, min: 0 },
+  // Rango de peso facturable (real o volumétrico, el mayor) que acepta la tarifa
+  minWeightKg: { type: Number, default: 0, min: 0 },
+  maxWeightKg: { type: Number, min: 0 },
+  volumetricDivisor: { type: Number, min: 1 },
+  freeShippingThreshold: { type: Number, min: 0 },
+  estimatedDaysMin: { type: Number, min: 0 },
+  estimatedDaysMax: { type: Number, min: 0 },
+  isActive: { type: Boolean, default: true }
+}, {
+  timestamps: true
+});
+
+// ===== INDEXES =====
+ShippingRateSchema.index({ carrier: 1, 'zone.country': 1 });
+ShippingRateSchema.index({ isActive: 1 });
+
+module.exports = mongoose.model('ShippingRate', ShippingRateSchema);
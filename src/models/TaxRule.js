@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// ===== MAIN TAX RULE SCHEMA =====
+// Una regla aplica a todo un país o a un estado específico; la regla de
+// estado tiene precedencia sobre la del país
+const TaxRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'El nombre es requerido'],
+    trim: true,
+    maxlength: [100, 'El nombre no puede exceder 100 caracteres']
+  },
+  country: {
+    type: String,
+    required: [true, 'El país es requerido'],
+    trim: true
+  },
+  state: {
+    type: String,
+    trim: true
+  },
+  // Tasa como fracción (0.16 = 16%)
+  rate: {
+    type: Number,
+    required: [true, 'La tasa es requerida'],
+    min: [0, 'La tasa no puede ser negativa'],
+    max: [1, 'La tasa no puede exceder 100%']
+  },
+  exemptCategoryIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  appliesToShipping: { type: Boolean, default: false },
+  isActive: { type: Boolean, default: true }
+}, {
+  timestamps: true
+});
+
+// ===== INDEXES =====
+TaxRuleSchema.index({ country: 1, state: 1 });
+TaxRuleSchema.index({ isActive: 1 });
+
+module.exports = mongoose.model('TaxRule', TaxRuleSchema);
@@ -17,6 +17,57 @@ const AddressSchema = new mongoose.Schema({
   isDefault: { type: Boolean, default: false }
 });
 
+// ===== AVATAR SUB-SCHEMA =====
+const AvatarSchema = new mongoose.Schema({
+  mediaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media',
+    required: true
+  },
+  url: { type: String, required: true },
+  thumbnails: { type: Map, of: String, default: {} },
+  width: { type: Number },
+  height: { type: Number }
+}, { _id: false });
+
+// ===== TWO-FACTOR SUB-SCHEMA =====
+// Los secretos se guardan cifrados y los códigos de recuperación hasheados;
+// ninguno se selecciona por defecto
+const RecoveryCodeSchema = new mongoose.Schema({
+  hash: { type: String, required: true },
+  usedAt: { type: Date, default: null }
+}, { _id: false });
+
+const TwoFactorSchema = new mongoose.Schema({
+  enabled: { type: Boolean, default: false },
+  enabledAt: { type: Date, default: null },
+  secret: { type: String, select: false },
+  // Secreto generado en /2fa/setup que aún no se confirmó con un código
+  pendingSecret: { type: String, select: false },
+  pendingCreatedAt: { type: Date, select: false },
+  recoveryCodes: { type: [RecoveryCodeSchema], select: false, default: [] },
+  // Último paso de tiempo aceptado: un código no se puede usar dos veces
+  lastUsedStep: { type: Number, default: null }
+}, { _id: false });
+
+// ===== LOGIN SECURITY SUB-SCHEMA =====
+// Contadores de intentos fallidos para el bloqueo por cuenta
+const LoginSecuritySchema = new mongoose.Schema({
+  failedAttempts: { type: Number, default: 0 },
+  lastFailedAt: { type: Date, default: null },
+  lockedUntil: { type: Date, default: null },
+  // Bloqueos consecutivos sin un login exitoso; cada uno dura el doble
+  lockCount: { type: Number, default: 0 }
+}, { _id: false });
+
+// ===== ACCOUNT DELETION SUB-SCHEMA =====
+// Solicitud de eliminación pendiente; se ejecuta al llegar scheduledFor
+const DeletionRequestSchema = new mongoose.Schema({
+  requestedAt: { type: Date, required: true },
+  scheduledFor: { type: Date, required: true },
+  reason: { type: String, trim: true, maxlength: 500 }
+}, { _id: false });
+
 // ===== MAIN USER SCHEMA =====
 const UserSchema = new mongoose.Schema({
   firstName: {
@@ -45,14 +96,30 @@ const UserSchema = new mongoose.Schema({
   },
   phone: {
     type: String,
-    match: [/^\+?[\d\s\-\(\)]+$/, 'Número de teléfono inválido']
+    match: [/^\+?[\d\s\-()]+$/, 'Número de teléfono inválido']
   },
+  // Nombre de un Role (incluidos o creados por un administrador)
   role: {
     type: String,
-    enum: Object.values(USER_ROLES),
-    default: USER_ROLES.USER
+    lowercase: true,
+    trim: true,
+    default: USER_ROLES.CUSTOMER
   },
+  // Se llena al confirmar el enlace de verificación enviado por email
+  emailVerifiedAt: { type: Date, default: null },
   addresses: [AddressSchema],
+  avatar: { type: AvatarSchema, default: null },
+  twoFactor: { type: TwoFactorSchema, default: () => ({}) },
+  loginSecurity: { type: LoginSecuritySchema, default: () => ({}) },
+  // Tipo de notificación -> recibirla o no; los tipos ausentes están activos
+  notificationPreferences: {
+    type: Map,
+    of: Boolean,
+    default: () => new Map()
+  },
+  deletionRequest: { type: DeletionRequestSchema, default: null },
+  // Fecha en que se anonimizó la cuenta; el documento se conserva para las órdenes
+  deletedAt: { type: Date, default: null },
   isActive: { type: Boolean, default: true },
   lastLogin: { type: Date },
   createdAt: { type: Date, default: Date.now }
@@ -67,6 +134,22 @@ UserSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
 });
 
+UserSchema.virtual('isEmailVerified').get(function() {
+  return !!this.emailVerifiedAt;
+});
+
+UserSchema.virtual('isLocked').get(function() {
+  return !!(this.loginSecurity && this.loginSecurity.lockedUntil && this.loginSecurity.lockedUntil > new Date());
+});
+
+UserSchema.virtual('isDeleted').get(function() {
+  return !!this.deletedAt;
+});
+
+UserSchema.virtual('isTwoFactorEnabled').get(function() {
+  return !!(this.twoFactor && this.twoFactor.enabled);
+});
+
 // ===== MIDDLEWARES =====
 UserSchema.pre('save', async function(next) {
   if (!this.isModified('passwordHash')) return next();
@@ -88,5 +171,7 @@ UserSchema.methods.getDefaultAddress = function() {
 // ===== INDEXES =====
 UserSchema.index({ email: 1 });
 UserSchema.index({ createdAt: -1 });
+UserSchema.index({ role: 1 });
+UserSchema.index({ 'deletionRequest.scheduledFor': 1 }, { sparse: true });
 
 module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
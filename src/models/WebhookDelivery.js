@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const { WEBHOOK_DELIVERY_STATUS, WEBHOOK_DELIVERY_TTL_DAYS } = require('../config/constants');
+
+// Resultado de cada intento de envío
+const AttemptSchema = new mongoose.Schema({
+  attemptedAt: { type: Date, default: Date.now },
+  // null si no hubo respuesta (timeout, DNS, conexión rechazada)
+  statusCode: { type: Number, default: null },
+  durationMs: { type: Number, default: null },
+  responseBody: { type: String, default: null },
+  error: { type: String, default: null }
+}, { _id: false });
+
+// ===== MAIN WEBHOOK DELIVERY SCHEMA =====
+// Un evento enviado a una suscripción. El payload se guarda tal cual se firmó
+// para que los reintentos y reenvíos lleguen idénticos
+const WebhookDeliverySchema = new mongoose.Schema({
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // Identificador del evento: se repite en los reenvíos para que el destino
+  // pueda descartar duplicados
+  eventId: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(WEBHOOK_DELIVERY_STATUS),
+    default: WEBHOOK_DELIVERY_STATUS.PENDING
+  },
+  attempts: [AttemptSchema],
+  attemptCount: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  // Reclamo del proceso que está enviando (evita envíos duplicados entre procesos)
+  lockedUntil: { type: Date, default: null },
+  lastStatusCode: { type: Number, default: null },
+  lastError: { type: String, default: null },
+  deliveredAt: { type: Date, default: null },
+  // Reenvío manual: entrega original y quién lo pidió
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery',
+    default: null
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// ===== INDEXES =====
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ subscriptionId: 1, createdAt: -1 });
+WebhookDeliverySchema.index({ eventId: 1 });
+WebhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: WEBHOOK_DELIVERY_TTL_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
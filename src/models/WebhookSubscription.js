@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const { WEBHOOK_EVENTS, WEBHOOK_EVENT_WILDCARD } = require('../config/constants');
+
+const SUBSCRIBABLE_EVENTS = [
+  ...Object.values(WEBHOOK_EVENTS).filter(event => event !== WEBHOOK_EVENTS.PING),
+  WEBHOOK_EVENT_WILDCARD
+];
+
+// ===== MAIN WEBHOOK SUBSCRIPTION SCHEMA =====
+// Destino externo (ERP, herramientas de marketing) que recibe los eventos de
+// su filtro. El secreto firma cada entrega; se guarda en claro porque hace
+// falta para calcular la firma, y solo se muestra al crear o rotar
+const WebhookSubscriptionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'El nombre del webhook es requerido'],
+    trim: true,
+    maxlength: [100, 'El nombre no puede exceder 100 caracteres']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'La descripción no puede exceder 300 caracteres']
+  },
+  url: {
+    type: String,
+    required: [true, 'La URL del webhook es requerida'],
+    trim: true,
+    match: [/^https?:\/\/\S+$/i, 'La URL debe empezar con http:// o https://']
+  },
+  events: {
+    type: [String],
+    validate: [
+      {
+        validator: (events) => events.length > 0,
+        message: 'El webhook necesita al menos un evento'
+      },
+      {
+        validator: (events) => events.every(event => SUBSCRIBABLE_EVENTS.includes(event)),
+        message: 'La lista contiene eventos no soportados'
+      }
+    ]
+  },
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  isActive: { type: Boolean, default: true },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  secretRotatedAt: { type: Date, default: null },
+  lastDeliveryAt: { type: Date, default: null },
+  lastDeliveryStatus: { type: String, default: null }
+}, {
+  timestamps: true
+});
+
+// ===== INDEXES =====
+WebhookSubscriptionSchema.index({ isActive: 1, events: 1 });
+
+module.exports = mongoose.model('WebhookSubscription', WebhookSubscriptionSchema);
@@ -7,6 +7,10 @@ const WishlistItemSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductVariant'
+  },
   addedAt: {
     type: Date,
     default: Date.now
@@ -42,31 +46,30 @@ WishlistSchema.virtual('totalItems').get(function() {
   return this.items.length;
 });
 
+// Un item se identifica por producto + variante
+const isSameItem = (item, productId, variantId = null) =>
+  item.productId.toString() === productId.toString() &&
+  String(item.variantId || '') === String(variantId || '');
+
 // ===== METHODS =====
-WishlistSchema.methods.addItem = function(productId, note = '') {
-  const existingItem = this.items.find(item => 
-    item.productId.toString() === productId.toString()
-  );
+WishlistSchema.methods.addItem = function(productId, note = '', variantId = null) {
+  const existingItem = this.items.find(item => isSameItem(item, productId, variantId));
 
   if (!existingItem) {
-    this.items.push({ productId, note });
+    this.items.push({ productId, variantId, note });
     return this.save();
   }
   
   return Promise.resolve(this);
 };
 
-WishlistSchema.methods.removeItem = function(productId) {
-  this.items = this.items.filter(item => 
-    item.productId.toString() !== productId.toString()
-  );
+WishlistSchema.methods.removeItem = function(productId, variantId = null) {
+  this.items = this.items.filter(item => !isSameItem(item, productId, variantId));
   return this.save();
 };
 
-WishlistSchema.methods.hasItem = function(productId) {
-  return this.items.some(item => 
-    item.productId.toString() === productId.toString()
-  );
+WishlistSchema.methods.hasItem = function(productId, variantId = null) {
+  return this.items.some(item => isSameItem(item, productId, variantId));
 };
 
 WishlistSchema.methods.clearWishlist = function() {
@@ -1,6 +1,15 @@
 // Exportar todos los modelos para facilitar las importaciones
 const User = require('./User');
+const Session = require('./Session');
+const Role = require('./Role');
+const AuthToken = require('./AuthToken');
+const ApiKey = require('./ApiKey');
+const AuditLog = require('./AuditLog');
+const LoginEvent = require('./LoginEvent');
+const DataExport = require('./DataExport');
 const Product = require('./Product');
+const ProductVariant = require('./ProductVariant');
+const ProductActivity = require('./ProductActivity');
 const Category = require('./Category');
 const Cart = require('./Cart');
 const Order = require('./Order');
@@ -8,14 +17,38 @@ const Wishlist = require('./Wishlist');
 const Review = require('./Review');
 const Shipment = require('./Shipment');
 const InventoryTransaction = require('./InventoryTransaction');
+const Reservation = require('./Reservation');
+const Payment = require('./Payment');
+const ReturnRequest = require('./ReturnRequest');
+const Promotion = require('./Promotion');
+const PromotionRedemption = require('./PromotionRedemption');
+const TaxRule = require('./TaxRule');
+const ShippingRate = require('./ShippingRate');
+const Media = require('./Media');
 const Post = require('./Post');
 const Comment = require('./Comment');
 const Reaction = require('./Reaction');
 const Follow = require('./Follow');
+const Notification = require('./Notification');
+const RealtimeEvent = require('./RealtimeEvent');
+const WebhookSubscription = require('./WebhookSubscription');
+const WebhookDelivery = require('./WebhookDelivery');
+const Job = require('./Job');
+const JobSchedule = require('./JobSchedule');
+const OutboxEvent = require('./OutboxEvent');
 
 module.exports = {
   User,
+  Session,
+  Role,
+  AuthToken,
+  ApiKey,
+  AuditLog,
+  LoginEvent,
+  DataExport,
   Product,
+  ProductVariant,
+  ProductActivity,
   Category,
   Cart,
   Order,
@@ -23,8 +56,23 @@ module.exports = {
   Review,
   Shipment,
   InventoryTransaction,
+  Reservation,
+  Payment,
+  ReturnRequest,
+  Promotion,
+  PromotionRedemption,
+  TaxRule,
+  ShippingRate,
+  Media,
   Post,
   Comment,
   Reaction,
-  Follow
+  Follow,
+  Notification,
+  RealtimeEvent,
+  WebhookSubscription,
+  WebhookDelivery,
+  Job,
+  JobSchedule,
+  OutboxEvent
 }; 
\ No newline at end of file
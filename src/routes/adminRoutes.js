@@ -0,0 +1,22 @@
+const express = require('express');
+const AuditLogController = require('../controllers/auditLogController');
+const { requireAuth, requirePermission } = require('../middlewares');
+const { PERMISSIONS } = require('../config/constants');
+
+const router = express.Router();
+
+// ===== TODAS LAS RUTAS REQUIEREN AUTENTICACIÓN =====
+router.use(requireAuth);
+
+/**
+ * @swagger
+ * /api/admin/audit-log:
+ *   get:
+ *     summary: Consultar el registro de auditoría (Admin)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/audit-log', requirePermission(PERMISSIONS.AUDIT_READ), AuditLogController.getAuditLog);
+
+module.exports = router;
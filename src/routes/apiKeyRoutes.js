@@ -0,0 +1,77 @@
+const express = require('express');
+const ApiKeyController = require('../controllers/apiKeyController');
+const { requireAuth, requirePermission, audit } = require('../middlewares');
+const { PERMISSIONS } = require('../config/constants');
+
+const router = express.Router();
+
+// Las llaves solo se administran desde sesiones de personas (nunca con otra API key)
+router.use(requireAuth, requirePermission(PERMISSIONS.API_KEYS_MANAGE));
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   get:
+ *     summary: Obtener API keys (Admin)
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/', ApiKeyController.getApiKeys);
+
+/**
+ * @swagger
+ * /api/api-keys/scopes:
+ *   get:
+ *     summary: Obtener los scopes que se pueden asignar a una API key (Admin)
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/scopes', ApiKeyController.getScopes);
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   post:
+ *     summary: Emitir API key (Admin)
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/', audit('api_key.issue', 'ApiKey', { responseId: (data) => data && data.apiKey.id }), ApiKeyController.issueApiKey);
+
+/**
+ * @swagger
+ * /api/api-keys/{keyId}:
+ *   get:
+ *     summary: Obtener API key por ID (Admin)
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:keyId', ApiKeyController.getApiKeyById);
+
+/**
+ * @swagger
+ * /api/api-keys/{keyId}/rotate:
+ *   post:
+ *     summary: Rotar el secreto de una API key (Admin)
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/:keyId/rotate', audit('api_key.rotate', 'ApiKey', { param: 'keyId' }), ApiKeyController.rotateApiKey);
+
+/**
+ * @swagger
+ * /api/api-keys/{keyId}/revoke:
+ *   post:
+ *     summary: Revocar API key (Admin)
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/:keyId/revoke', audit('api_key.revoke', 'ApiKey', { param: 'keyId' }), ApiKeyController.revokeApiKey);
+
+module.exports = router;
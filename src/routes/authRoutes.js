@@ -1,6 +1,8 @@
 const express = require('express');
 const AuthController = require('../controllers/authController');
-const { requireAuth, authLimiter } = require('../middlewares');
+const MediaController = require('../controllers/mediaController');
+const { requireAuth, authLimiter, uploadSingle } = require('../middlewares');
+const { MEDIA_MAX_AVATAR_SIZE } = require('../config/constants');
 
 const router = express.Router();
 
@@ -26,6 +28,159 @@ router.post('/register', authLimiter, AuthController.register);
  */
 router.post('/login', authLimiter, AuthController.login);
 
+/**
+ * @swagger
+ * /api/auth/login/2fa:
+ *   post:
+ *     summary: Completar el inicio de sesión con el código de verificación
+ *     tags: [Auth]
+ *     security: []
+ */
+router.post('/login/2fa', authLimiter, AuthController.loginTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Renovar el token de acceso con un refresh token
+ *     tags: [Auth]
+ *     security: []
+ */
+router.post('/refresh', authLimiter, AuthController.refresh);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Solicitar enlace para restablecer la contraseña
+ *     tags: [Auth]
+ *     security: []
+ */
+router.post('/forgot-password', authLimiter, AuthController.forgotPassword);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Restablecer la contraseña con el token recibido por email
+ *     tags: [Auth]
+ *     security: []
+ */
+router.post('/reset-password', authLimiter, AuthController.resetPassword);
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Confirmar el email con el token recibido
+ *     tags: [Auth]
+ *     security: []
+ */
+router.post('/verify-email', authLimiter, AuthController.verifyEmail);
+
+// ===== SESIONES =====
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Cerrar la sesión actual
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/logout', requireAuth, AuthController.logout);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: Listar sesiones activas del usuario
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/sessions', requireAuth, AuthController.getSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Cerrar una sesión del usuario
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/sessions/:sessionId', requireAuth, AuthController.revokeSession);
+
+/**
+ * @swagger
+ * /api/auth/login-history:
+ *   get:
+ *     summary: Historial de inicios de sesión de la cuenta
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/login-history', requireAuth, AuthController.getLoginHistory);
+
+// ===== VERIFICACIÓN EN DOS PASOS =====
+
+/**
+ * @swagger
+ * /api/auth/2fa:
+ *   get:
+ *     summary: Estado de la verificación en dos pasos
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/2fa', requireAuth, AuthController.getTwoFactorStatus);
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Generar el secreto y la URI otpauth para el QR
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/2fa/setup', requireAuth, AuthController.setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirmar un código y activar la verificación en dos pasos
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/2fa/enable', requireAuth, authLimiter, AuthController.enableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Desactivar la verificación en dos pasos
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/2fa/disable', requireAuth, authLimiter, AuthController.disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Generar nuevos códigos de recuperación
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/2fa/recovery-codes', requireAuth, authLimiter, AuthController.regenerateRecoveryCodes);
+
 // ===== RUTAS PROTEGIDAS =====
 
 /**
@@ -50,6 +205,33 @@ router.get('/profile', requireAuth, AuthController.getProfile);
  */
 router.put('/profile', requireAuth, AuthController.updateProfile);
 
+/**
+ * @swagger
+ * /api/auth/profile/avatar:
+ *   put:
+ *     summary: Subir o reemplazar el avatar del usuario
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put(
+  '/profile/avatar',
+  requireAuth,
+  uploadSingle('avatar', { maxFileSize: MEDIA_MAX_AVATAR_SIZE }),
+  MediaController.setAvatar
+);
+
+/**
+ * @swagger
+ * /api/auth/profile/avatar:
+ *   delete:
+ *     summary: Eliminar el avatar del usuario
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/profile/avatar', requireAuth, MediaController.removeAvatar);
+
 /**
  * @swagger
  * /api/auth/change-password:
@@ -61,6 +243,74 @@ router.put('/profile', requireAuth, AuthController.updateProfile);
  */
 router.put('/change-password', requireAuth, AuthController.changePassword);
 
+/**
+ * @swagger
+ * /api/auth/verify-email/resend:
+ *   post:
+ *     summary: Reenviar el enlace de verificación de email
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/verify-email/resend', requireAuth, authLimiter, AuthController.resendVerification);
+
+// ===== DATOS PERSONALES =====
+
+/**
+ * @swagger
+ * /api/auth/me/export:
+ *   post:
+ *     summary: Solicitar una exportación de mis datos personales
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/me/export', requireAuth, AuthController.requestDataExport);
+
+/**
+ * @swagger
+ * /api/auth/me/exports:
+ *   get:
+ *     summary: Listar mis exportaciones de datos
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/me/exports', requireAuth, AuthController.getDataExports);
+
+/**
+ * @swagger
+ * /api/auth/me/exports/{exportId}/download:
+ *   get:
+ *     summary: Descargar una exportación de datos
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/me/exports/:exportId/download', requireAuth, AuthController.downloadDataExport);
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   delete:
+ *     summary: Solicitar la eliminación de mi cuenta
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/me', requireAuth, authLimiter, AuthController.requestAccountDeletion);
+
+/**
+ * @swagger
+ * /api/auth/me/deletion/cancel:
+ *   post:
+ *     summary: Cancelar la eliminación programada de mi cuenta
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/me/deletion/cancel', requireAuth, AuthController.cancelAccountDeletion);
+
 // ===== GESTIÓN DE DIRECCIONES =====
 
 /**
@@ -1,21 +1,24 @@
 const express = require('express');
 const CartController = require('../controllers/cartController');
-const { requireAuth } = require('../middlewares');
+const { requireAuth, resolveCartOwner } = require('../middlewares');
 
 const router = express.Router();
 
-// ===== TODAS LAS RUTAS REQUIEREN AUTENTICACIÓN =====
+// ===== CARRITO DE USUARIO O DE INVITADO =====
+// Sin Authorization se usa el carrito del token de invitado (X-Cart-Token o
+// cookie cart_token); si no llega uno, se emite en la respuesta
 
 /**
  * @swagger
  * /api/cart:
  *   get:
- *     summary: Obtener carrito del usuario autenticado
+ *     summary: Obtener carrito del usuario o del invitado
  *     tags: [Cart]
  *     security:
  *       - bearerAuth: []
+ *       - cartToken: []
  */
-router.get('/', requireAuth, CartController.getCart);
+router.get('/', resolveCartOwner, CartController.getCart);
 
 /**
  * @swagger
@@ -25,52 +28,81 @@ router.get('/', requireAuth, CartController.getCart);
  *     tags: [Cart]
  *     security:
  *       - bearerAuth: []
+ *       - cartToken: []
  */
-router.get('/summary', requireAuth, CartController.getCartSummary);
+router.get('/summary', resolveCartOwner, CartController.getCartSummary);
 
 /**
  * @swagger
- * /api/cart/items/count:
- *   get:
- *     summary: Obtener conteo de items en el carrito
+ * /api/cart/shipping-quote:
+ *   post:
+ *     summary: Cotizar envío del carrito por paquetería
  *     tags: [Cart]
  *     security:
  *       - bearerAuth: []
+ *       - cartToken: []
  */
-router.get('/items/count', requireAuth, CartController.getCartItemCount);
+router.post('/shipping-quote', resolveCartOwner, CartController.getShippingQuote);
 
 /**
  * @swagger
- * /api/cart/items:
+ * /api/cart/coupons:
  *   post:
- *     summary: Agregar producto al carrito
+ *     summary: Aplicar código de promoción al carrito
  *     tags: [Cart]
  *     security:
  *       - bearerAuth: []
+ *       - cartToken: []
  */
-router.post('/items', requireAuth, CartController.addToCart);
+router.post('/coupons', resolveCartOwner, CartController.applyPromotionCode);
 
 /**
  * @swagger
- * /api/cart/validate:
+ * /api/cart/coupons/{code}:
+ *   delete:
+ *     summary: Remover código de promoción del carrito
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *       - cartToken: []
+ */
+router.delete('/coupons/:code', resolveCartOwner, CartController.removePromotionCode);
+
+/**
+ * @swagger
+ * /api/cart/items/count:
+ *   get:
+ *     summary: Obtener conteo de items en el carrito
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *       - cartToken: []
+ */
+router.get('/items/count', resolveCartOwner, CartController.getCartItemCount);
+
+/**
+ * @swagger
+ * /api/cart/items:
  *   post:
- *     summary: Validar carrito (verificar stock y precios)
+ *     summary: Agregar producto al carrito
  *     tags: [Cart]
  *     security:
  *       - bearerAuth: []
+ *       - cartToken: []
  */
-router.post('/validate', requireAuth, CartController.validateCart);
+router.post('/items', resolveCartOwner, CartController.addToCart);
 
 /**
  * @swagger
- * /api/cart/merge:
+ * /api/cart/validate:
  *   post:
- *     summary: Fusionar carrito con datos locales
+ *     summary: Validar carrito (verificar stock y precios)
  *     tags: [Cart]
  *     security:
  *       - bearerAuth: []
+ *       - cartToken: []
  */
-router.post('/merge', requireAuth, CartController.mergeCart);
+router.post('/validate', resolveCartOwner, CartController.validateCart);
 
 /**
  * @swagger
@@ -80,30 +112,33 @@ router.post('/merge', requireAuth, CartController.mergeCart);
  *     tags: [Cart]
  *     security:
  *       - bearerAuth: []
+ *       - cartToken: []
  */
-router.delete('/clear', requireAuth, CartController.clearCart);
+router.delete('/clear', resolveCartOwner, CartController.clearCart);
 
 /**
  * @swagger
- * /api/cart/items/{productId}:
+ * /api/cart/items/{itemId}:
  *   put:
  *     summary: Actualizar cantidad de producto en el carrito
  *     tags: [Cart]
  *     security:
  *       - bearerAuth: []
+ *       - cartToken: []
  */
-router.put('/items/:productId', requireAuth, CartController.updateCartItem);
+router.put('/items/:itemId', resolveCartOwner, CartController.updateCartItem);
 
 /**
  * @swagger
- * /api/cart/items/{productId}:
+ * /api/cart/items/{itemId}:
  *   delete:
  *     summary: Eliminar producto del carrito
  *     tags: [Cart]
  *     security:
  *       - bearerAuth: []
+ *       - cartToken: []
  */
-router.delete('/items/:productId', requireAuth, CartController.removeFromCart);
+router.delete('/items/:itemId', resolveCartOwner, CartController.removeFromCart);
 
 /**
  * @swagger
@@ -113,18 +148,32 @@ router.delete('/items/:productId', requireAuth, CartController.removeFromCart);
  *     tags: [Cart]
  *     security:
  *       - bearerAuth: []
+ *       - cartToken: []
  */
-router.get('/items/:productId/check', requireAuth, CartController.checkProductInCart);
+router.get('/items/:productId/check', resolveCartOwner, CartController.checkProductInCart);
+
+// ===== REQUIEREN AUTENTICACIÓN =====
+
+/**
+ * @swagger
+ * /api/cart/merge:
+ *   post:
+ *     summary: Fusionar el carrito de invitado y los datos locales con el del usuario
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/merge', requireAuth, CartController.mergeCart);
 
 /**
  * @swagger
- * /api/cart/items/{productId}/move-to-wishlist:
+ * /api/cart/items/{itemId}/move-to-wishlist:
  *   post:
  *     summary: Mover producto del carrito a la lista de deseos
  *     tags: [Cart]
  *     security:
  *       - bearerAuth: []
  */
-router.post('/items/:productId/move-to-wishlist', requireAuth, CartController.moveToWishlist);
+router.post('/items/:itemId/move-to-wishlist', requireAuth, CartController.moveToWishlist);
 
 module.exports = router; 
\ No newline at end of file
@@ -1,6 +1,8 @@
 const express = require('express');
 const CategoryController = require('../controllers/categoryController');
-const { requireAuth, requireAdmin, optionalAuth } = require('../middlewares');
+const MediaController = require('../controllers/mediaController');
+const { requireAuthOrApiKey, requirePermission, optionalAuth, uploadSingle, audit } = require('../middlewares');
+const { PERMISSIONS } = require('../config/constants');
 
 const router = express.Router();
 
@@ -55,7 +57,7 @@ router.get('/slug/:slug', optionalAuth, CategoryController.getCategoryBySlug);
  *     security:
  *       - bearerAuth: []
  */
-router.get('/stats', requireAuth, requireAdmin, CategoryController.getCategoryStats);
+router.get('/stats', requireAuthOrApiKey, requirePermission(PERMISSIONS.REPORTS_VIEW), CategoryController.getCategoryStats);
 
 /**
  * @swagger
@@ -98,7 +100,7 @@ router.get('/:categoryId/ancestors', CategoryController.getCategoryAncestors);
  *     security:
  *       - bearerAuth: []
  */
-router.post('/', requireAuth, requireAdmin, CategoryController.createCategory);
+router.post('/', requireAuthOrApiKey, requirePermission(PERMISSIONS.CATALOG_MANAGE), audit('category.create', 'Category'), CategoryController.createCategory);
 
 /**
  * @swagger
@@ -109,7 +111,7 @@ router.post('/', requireAuth, requireAdmin, CategoryController.createCategory);
  *     security:
  *       - bearerAuth: []
  */
-router.put('/:categoryId', requireAuth, requireAdmin, CategoryController.updateCategory);
+router.put('/:categoryId', requireAuthOrApiKey, requirePermission(PERMISSIONS.CATALOG_MANAGE), audit('category.update', 'Category', { param: 'categoryId' }), CategoryController.updateCategory);
 
 /**
  * @swagger
@@ -120,6 +122,28 @@ router.put('/:categoryId', requireAuth, requireAdmin, CategoryController.updateC
  *     security:
  *       - bearerAuth: []
  */
-router.delete('/:categoryId', requireAuth, requireAdmin, CategoryController.deleteCategory);
+router.delete('/:categoryId', requireAuthOrApiKey, requirePermission(PERMISSIONS.CATALOG_MANAGE), audit('category.delete', 'Category', { param: 'categoryId' }), CategoryController.deleteCategory);
+
+/**
+ * @swagger
+ * /api/categories/{categoryId}/image:
+ *   put:
+ *     summary: Subir o reemplazar la imagen de la categoría (Admin)
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/:categoryId/image', requireAuthOrApiKey, requirePermission(PERMISSIONS.CATALOG_MANAGE), uploadSingle('image'), audit('category.set_image', 'Category', { param: 'categoryId' }), MediaController.setCategoryImage);
+
+/**
+ * @swagger
+ * /api/categories/{categoryId}/image:
+ *   delete:
+ *     summary: Eliminar la imagen de la categoría (Admin)
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/:categoryId/image', requireAuthOrApiKey, requirePermission(PERMISSIONS.CATALOG_MANAGE), audit('category.remove_image', 'Category', { param: 'categoryId' }), MediaController.removeCategoryImage);
 
 module.exports = router; 
\ No newline at end of file
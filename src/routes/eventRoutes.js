@@ -0,0 +1,54 @@
+const express = require('express');
+const EventController = require('../controllers/eventController');
+const { requireAuth, requirePermission, audit } = require('../middlewares');
+const { PERMISSIONS } = require('../config/constants');
+
+const router = express.Router();
+
+router.use(requireAuth, requirePermission(PERMISSIONS.EVENTS_MANAGE));
+
+/**
+ * @swagger
+ * /api/events:
+ *   get:
+ *     summary: Obtener eventos de dominio del outbox (Admin)
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/', EventController.getEvents);
+
+/**
+ * @swagger
+ * /api/events/types:
+ *   get:
+ *     summary: Catálogo de eventos de dominio con sus suscriptores (Admin)
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/types', EventController.getEventTypes);
+
+/**
+ * @swagger
+ * /api/events/{eventId}:
+ *   get:
+ *     summary: Detalle de un evento de dominio con su payload (Admin)
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:eventId', EventController.getEventById);
+
+/**
+ * @swagger
+ * /api/events/{eventId}/retry:
+ *   post:
+ *     summary: Volver a despachar un evento (Admin)
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/:eventId/retry', audit('domain_event.retry', 'OutboxEvent', { param: 'eventId' }), EventController.retryEvent);
+
+module.exports = router;
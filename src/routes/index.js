@@ -3,10 +3,20 @@ const express = require('express');
 // ===== IMPORT ALL ROUTES =====
 const authRoutes = require('./authRoutes');
 const userRoutes = require('./userRoutes');
+const roleRoutes = require('./roleRoutes');
+const apiKeyRoutes = require('./apiKeyRoutes');
+const webhookRoutes = require('./webhookRoutes');
+const jobRoutes = require('./jobRoutes');
+const eventRoutes = require('./eventRoutes');
+const adminRoutes = require('./adminRoutes');
 const productRoutes = require('./productRoutes');
 const categoryRoutes = require('./categoryRoutes');
 const cartRoutes = require('./cartRoutes');
 const orderRoutes = require('./orderRoutes');
+const paymentRoutes = require('./paymentRoutes');
+const returnRoutes = require('./returnRoutes');
+const promotionRoutes = require('./promotionRoutes');
+const pricingRoutes = require('./pricingRoutes');
 const wishlistRoutes = require('./wishlistRoutes');
 const reviewRoutes = require('./reviewRoutes');
 const shipmentRoutes = require('./shipmentRoutes');
@@ -15,6 +25,8 @@ const postRoutes = require('./postRoutes');
 const commentRoutes = require('./commentRoutes');
 const reactionRoutes = require('./reactionRoutes');
 const followRoutes = require('./followRoutes');
+const notificationRoutes = require('./notificationRoutes');
+const realtimeRoutes = require('./realtimeRoutes');
 
 const router = express.Router();
 
@@ -56,10 +68,20 @@ router.get('/', (req, res) => {
     endpoints: [
       '/api/auth - Autenticación y gestión de perfiles',
       '/api/users - Gestión de usuarios (Admin)',
+      '/api/roles - Roles y permisos (Admin)',
+      '/api/api-keys - API keys de integraciones (Admin)',
+      '/api/webhooks - Webhooks salientes para integraciones (Admin)',
+      '/api/jobs - Cola de trabajos en segundo plano (Admin)',
+      '/api/events - Eventos de dominio del outbox (Admin)',
+      '/api/admin - Auditoría y administración (Admin)',
       '/api/products - Catálogo de productos',
       '/api/categories - Categorías de productos',
       '/api/cart - Carrito de compras',
       '/api/orders - Gestión de órdenes',
+      '/api/payments - Pagos y webhooks de proveedores',
+      '/api/returns - Devoluciones y reembolsos',
+      '/api/promotions - Promociones y cupones (Admin)',
+      '/api/pricing - Impuestos y tarifas de envío (Admin)',
       '/api/wishlist - Lista de deseos',
       '/api/reviews - Reseñas de productos',
       '/api/shipments - Tracking de envíos',
@@ -67,7 +89,9 @@ router.get('/', (req, res) => {
       '/api/posts - Red social - Posts',
       '/api/comments - Sistema de comentarios',
       '/api/reactions - Sistema de reacciones',
-      '/api/follows - Red social - Seguimientos'
+      '/api/follows - Red social - Seguimientos',
+      '/api/notifications - Centro de notificaciones',
+      '/api/realtime - Eventos en tiempo real (SSE)'
     ]
   }, 'API funcionando correctamente');
 });
@@ -83,6 +107,18 @@ router.get('/', (req, res) => {
  *     description: Autenticación y autorización
  *   - name: Users
  *     description: Gestión de usuarios (Admin)
+ *   - name: Roles
+ *     description: Roles y permisos editables (Admin)
+ *   - name: API Keys
+ *     description: Credenciales de integraciones servidor a servidor (Admin)
+ *   - name: Webhooks
+ *     description: Eventos firmados hacia integraciones externas, con reintentos y reenvío (Admin)
+ *   - name: Jobs
+ *     description: Trabajos en segundo plano, cola de fallidos y programaciones cron (Admin)
+ *   - name: Events
+ *     description: Eventos de dominio guardados en el outbox y su despacho a suscriptores (Admin)
+ *   - name: Admin
+ *     description: Registro de auditoría y herramientas de administración
  *   - name: Products
  *     description: Gestión de productos
  *   - name: Categories
@@ -91,15 +127,37 @@ router.get('/', (req, res) => {
  *     description: Gestión del carrito de compras
  *   - name: Orders
  *     description: Gestión de órdenes
+ *   - name: Payments
+ *     description: Pagos, reembolsos y webhooks de proveedores
+ *   - name: Returns
+ *     description: Devoluciones (RMA) de órdenes entregadas
+ *   - name: Promotions
+ *     description: Promociones y cupones (Admin)
+ *   - name: Pricing
+ *     description: Reglas de impuestos y tarifas de envío (Admin)
+ *   - name: Notifications
+ *     description: Centro de notificaciones del usuario y sus preferencias
+ *   - name: Realtime
+ *     description: Canal de eventos en tiempo real (Server-Sent Events)
  */
 
 // Mount all route modules
 router.use('/auth', authRoutes);
 router.use('/users', userRoutes);
+router.use('/roles', roleRoutes);
+router.use('/api-keys', apiKeyRoutes);
+router.use('/webhooks', webhookRoutes);
+router.use('/jobs', jobRoutes);
+router.use('/events', eventRoutes);
+router.use('/admin', adminRoutes);
 router.use('/products', productRoutes);
 router.use('/categories', categoryRoutes);
 router.use('/cart', cartRoutes);
 router.use('/orders', orderRoutes);
+router.use('/payments', paymentRoutes);
+router.use('/returns', returnRoutes);
+router.use('/promotions', promotionRoutes);
+router.use('/pricing', pricingRoutes);
 router.use('/wishlist', wishlistRoutes);
 router.use('/reviews', reviewRoutes);
 router.use('/shipments', shipmentRoutes);
@@ -108,6 +166,8 @@ router.use('/posts', postRoutes);
 router.use('/comments', commentRoutes);
 router.use('/reactions', reactionRoutes);
 router.use('/follows', followRoutes);
+router.use('/notifications', notificationRoutes);
+router.use('/realtime', realtimeRoutes);
 
 // ===== 404 HANDLER FOR API ROUTES =====
 router.use((req, res) => {
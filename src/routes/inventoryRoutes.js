@@ -1,10 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const inventoryController = require('../controllers/inventoryController');
-const { requireAuth, requireAdmin } = require('../middlewares/auth');
+const { requireAuthOrApiKey, requirePermission } = require('../middlewares/auth');
+const { audit } = require('../middlewares/audit');
+const { PERMISSIONS } = require('../config/constants');
 
-// Aplicar autenticación y permisos de admin a todas las rutas
-router.use(requireAuth, requireAdmin);
+// Todas las rutas requieren autenticación (JWT o API key); consultar y ajustar usan permisos distintos
+router.use(requireAuthOrApiKey);
 
 /**
  * @swagger
@@ -15,7 +17,7 @@ router.use(requireAuth, requireAdmin);
  *     security:
  *       - bearerAuth: []
  */
-router.post('/transactions', inventoryController.createTransaction);
+router.post('/transactions', requirePermission(PERMISSIONS.INVENTORY_ADJUST), audit('inventory.create_transaction', 'InventoryTransaction'), inventoryController.createTransaction);
 
 /**
  * @swagger
@@ -26,7 +28,7 @@ router.post('/transactions', inventoryController.createTransaction);
  *     security:
  *       - bearerAuth: []
  */
-router.get('/transactions', inventoryController.getTransactions);
+router.get('/transactions', requirePermission(PERMISSIONS.INVENTORY_READ), inventoryController.getTransactions);
 
 /**
  * @swagger
@@ -37,7 +39,7 @@ router.get('/transactions', inventoryController.getTransactions);
  *     security:
  *       - bearerAuth: []
  */
-router.post('/transactions/bulk', inventoryController.bulkCreateTransactions);
+router.post('/transactions/bulk', requirePermission(PERMISSIONS.INVENTORY_ADJUST), audit('inventory.bulk_create_transactions', 'InventoryTransaction', { responseId: () => null }), inventoryController.bulkCreateTransactions);
 
 /**
  * @swagger
@@ -48,7 +50,7 @@ router.post('/transactions/bulk', inventoryController.bulkCreateTransactions);
  *     security:
  *       - bearerAuth: []
  */
-router.get('/transactions/:id', inventoryController.getTransaction);
+router.get('/transactions/:id', requirePermission(PERMISSIONS.INVENTORY_READ), inventoryController.getTransaction);
 
 /**
  * @swagger
@@ -59,7 +61,7 @@ router.get('/transactions/:id', inventoryController.getTransaction);
  *     security:
  *       - bearerAuth: []
  */
-router.put('/transactions/:id', inventoryController.updateTransaction);
+router.put('/transactions/:id', requirePermission(PERMISSIONS.INVENTORY_ADJUST), audit('inventory.update_transaction', 'InventoryTransaction', { param: 'id' }), inventoryController.updateTransaction);
 
 /**
  * @swagger
@@ -70,7 +72,7 @@ router.put('/transactions/:id', inventoryController.updateTransaction);
  *     security:
  *       - bearerAuth: []
  */
-router.delete('/transactions/:id', inventoryController.deleteTransaction);
+router.delete('/transactions/:id', requirePermission(PERMISSIONS.INVENTORY_ADJUST), audit('inventory.delete_transaction', 'InventoryTransaction', { param: 'id' }), inventoryController.deleteTransaction);
 
 /**
  * @swagger
@@ -81,7 +83,7 @@ router.delete('/transactions/:id', inventoryController.deleteTransaction);
  *     security:
  *       - bearerAuth: []
  */
-router.get('/products/:productId/history', inventoryController.getProductHistory);
+router.get('/products/:productId/history', requirePermission(PERMISSIONS.INVENTORY_READ), inventoryController.getProductHistory);
 
 /**
  * @swagger
@@ -92,7 +94,7 @@ router.get('/products/:productId/history', inventoryController.getProductHistory
  *     security:
  *       - bearerAuth: []
  */
-router.get('/report', inventoryController.getInventoryReport);
+router.get('/report', requirePermission(PERMISSIONS.INVENTORY_READ), inventoryController.getInventoryReport);
 
 /**
  * @swagger
@@ -103,6 +105,6 @@ router.get('/report', inventoryController.getInventoryReport);
  *     security:
  *       - bearerAuth: []
  */
-router.get('/analytics', inventoryController.getInventoryAnalytics);
+router.get('/analytics', requirePermission(PERMISSIONS.INVENTORY_READ), inventoryController.getInventoryAnalytics);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,109 @@
+const express = require('express');
+const JobController = require('../controllers/jobController');
+const { requireAuth, requirePermission, audit } = require('../middlewares');
+const { PERMISSIONS } = require('../config/constants');
+
+const router = express.Router();
+
+router.use(requireAuth, requirePermission(PERMISSIONS.JOBS_MANAGE));
+
+/**
+ * @swagger
+ * /api/jobs:
+ *   get:
+ *     summary: Obtener trabajos en segundo plano (Admin)
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/', JobController.getJobs);
+
+/**
+ * @swagger
+ * /api/jobs/stats:
+ *   get:
+ *     summary: Conteo de trabajos por tipo y estado (Admin)
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/stats', JobController.getStats);
+
+/**
+ * @swagger
+ * /api/jobs/handlers:
+ *   get:
+ *     summary: Obtener los tipos de trabajo registrados (Admin)
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/handlers', JobController.getHandlers);
+
+/**
+ * @swagger
+ * /api/jobs:
+ *   post:
+ *     summary: Encolar un trabajo para ejecutarlo ahora (Admin)
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/', audit('job.run', 'Job'), JobController.runJob);
+
+/**
+ * @swagger
+ * /api/jobs/schedules:
+ *   get:
+ *     summary: Obtener las programaciones recurrentes (Admin)
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/schedules', JobController.getSchedules);
+
+/**
+ * @swagger
+ * /api/jobs/schedules/{scheduleName}:
+ *   put:
+ *     summary: Pausar, reanudar o cambiar el cron de una programación (Admin)
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/schedules/:scheduleName', audit('job_schedule.update', 'JobSchedule', { param: 'scheduleName', key: 'name' }), JobController.updateSchedule);
+
+/**
+ * @swagger
+ * /api/jobs/{jobId}:
+ *   get:
+ *     summary: Detalle de un trabajo con su resultado y fallos (Admin)
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:jobId', JobController.getJobById);
+
+/**
+ * @swagger
+ * /api/jobs/{jobId}/retry:
+ *   post:
+ *     summary: Reintentar un trabajo (Admin)
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/:jobId/retry', audit('job.retry', 'Job', { param: 'jobId' }), JobController.retryJob);
+
+/**
+ * @swagger
+ * /api/jobs/{jobId}/cancel:
+ *   post:
+ *     summary: Cancelar un trabajo en cola o fallido (Admin)
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/:jobId/cancel', audit('job.cancel', 'Job', { param: 'jobId' }), JobController.cancelJob);
+
+module.exports = router;
@@ -0,0 +1,71 @@
+const express = require('express');
+const NotificationController = require('../controllers/notificationController');
+const { requireAuth } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// ===== TODAS LAS RUTAS REQUIEREN AUTENTICACIÓN =====
+router.use(requireAuth);
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: Listar mis notificaciones
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/', NotificationController.getNotifications);
+
+/**
+ * @swagger
+ * /api/notifications/unread-count:
+ *   get:
+ *     summary: Contar mis notificaciones sin leer
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/unread-count', NotificationController.getUnreadCount);
+
+/**
+ * @swagger
+ * /api/notifications/read-all:
+ *   put:
+ *     summary: Marcar todas mis notificaciones como leídas
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/read-all', NotificationController.markAllAsRead);
+
+/**
+ * @swagger
+ * /api/notifications/preferences:
+ *   get:
+ *     summary: Obtener mis preferencias de notificación
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *   put:
+ *     summary: Actualizar mis preferencias de notificación
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/preferences', NotificationController.getPreferences);
+router.put('/preferences', NotificationController.updatePreferences);
+
+/**
+ * @swagger
+ * /api/notifications/{notificationId}/read:
+ *   put:
+ *     summary: Marcar una notificación como leída
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/:notificationId/read', NotificationController.markAsRead);
+
+module.exports = router;
@@ -1,21 +1,48 @@
 const express = require('express');
 const OrderController = require('../controllers/orderController');
-const { requireAuth, requireAdmin } = require('../middlewares');
+const { requireAuth, requireAuthOrApiKey, requirePermission, authLimiter, resolveCartOwner, requireOrderAccess, audit } = require('../middlewares');
+const RoleService = require('../services/roleService');
+const { PERMISSIONS } = require('../config/constants');
 
 const router = express.Router();
 
+// Las cancelaciones hechas por personal con permisos quedan en auditoría
+const isStaffAction = (req) => RoleService.includesPermission(req.permissions, PERMISSIONS.ORDERS_UPDATE_STATUS);
+
 // ===== RUTAS ESPECÍFICAS PRIMERO (ANTES DE LAS RUTAS CON PARÁMETROS) =====
 
 /**
  * @swagger
  * /api/orders/from-cart:
  *   post:
- *     summary: Crear orden desde el carrito
+ *     summary: Crear orden desde el carrito (con cuenta o como invitado)
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
+ *       - cartToken: []
+ */
+router.post('/from-cart', resolveCartOwner, OrderController.createOrderFromCart);
+
+/**
+ * @swagger
+ * /api/orders/lookup:
+ *   post:
+ *     summary: Consultar una orden como invitado (número de orden + email)
+ *     tags: [Orders]
+ *     security: []
  */
-router.post('/from-cart', requireAuth, OrderController.createOrderFromCart);
+router.post('/lookup', authLimiter, OrderController.lookupOrder);
+
+/**
+ * @swagger
+ * /api/orders/claim-guest:
+ *   post:
+ *     summary: Vincular a la cuenta las compras hechas como invitado
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/claim-guest', requireAuth, OrderController.claimGuestOrders);
 
 /**
  * @swagger
@@ -26,7 +53,7 @@ router.post('/from-cart', requireAuth, OrderController.createOrderFromCart);
  *     security:
  *       - bearerAuth: []
  */
-router.get('/all', requireAuth, requireAdmin, OrderController.getAllOrders);
+router.get('/all', requireAuthOrApiKey, requirePermission(PERMISSIONS.ORDERS_READ), OrderController.getAllOrders);
 
 /**
  * @swagger
@@ -37,7 +64,7 @@ router.get('/all', requireAuth, requireAdmin, OrderController.getAllOrders);
  *     security:
  *       - bearerAuth: []
  */
-router.get('/stats', requireAuth, requireAdmin, OrderController.getOrderStats);
+router.get('/stats', requireAuthOrApiKey, requirePermission(PERMISSIONS.REPORTS_VIEW), OrderController.getOrderStats);
 
 // ===== RUTAS GENERALES =====
 
@@ -73,40 +100,42 @@ router.post('/', requireAuth, OrderController.createOrder);
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
+ *       - orderToken: []
  */
-router.get('/:orderId', requireAuth, OrderController.getOrderById);
+router.get('/:orderId', requireOrderAccess, OrderController.getOrderById);
 
 /**
  * @swagger
- * /api/orders/{orderId}/cancel:
- *   put:
- *     summary: Cancelar orden
+ * /api/orders/{orderId}/tracking:
+ *   get:
+ *     summary: Seguimiento de la orden y sus envíos
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
+ *       - orderToken: []
  */
-router.put('/:orderId/cancel', requireAuth, OrderController.cancelOrder);
+router.get('/:orderId/tracking', requireOrderAccess, OrderController.getOrderTracking);
 
 /**
  * @swagger
- * /api/orders/{orderId}/status:
+ * /api/orders/{orderId}/cancel:
  *   put:
- *     summary: Actualizar estado de la orden (Admin)
+ *     summary: Cancelar orden
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
  */
-router.put('/:orderId/status', requireAuth, requireAdmin, OrderController.updateOrderStatus);
+router.put('/:orderId/cancel', requireAuth, audit('order.cancel', 'Order', { param: 'orderId', when: isStaffAction }), OrderController.cancelOrder);
 
 /**
  * @swagger
- * /api/orders/{orderId}/payment:
+ * /api/orders/{orderId}/status:
  *   put:
- *     summary: Actualizar estado de pago (Admin)
+ *     summary: Actualizar estado de la orden (Admin)
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
  */
-router.put('/:orderId/payment', requireAuth, requireAdmin, OrderController.updatePaymentStatus);
+router.put('/:orderId/status', requireAuthOrApiKey, requirePermission(PERMISSIONS.ORDERS_UPDATE_STATUS), audit('order.update_status', 'Order', { param: 'orderId' }), OrderController.updateOrderStatus);
 
 module.exports = router; 
\ No newline at end of file
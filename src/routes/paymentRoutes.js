@@ -0,0 +1,92 @@
+const express = require('express');
+const PaymentController = require('../controllers/paymentController');
+const { requireAuth, requireAuthOrApiKey, requirePermission, requireOrderAccess, audit } = require('../middlewares');
+const { PERMISSIONS } = require('../config/constants');
+
+const router = express.Router();
+
+// ===== WEBHOOKS (PÚBLICOS, AUTENTICADOS POR FIRMA) =====
+
+/**
+ * @swagger
+ * /api/payments/webhook/{provider}:
+ *   post:
+ *     summary: Recibir webhook firmado de un proveedor de pago
+ *     tags: [Payments]
+ *     security: []
+ */
+router.post('/webhook/:provider', PaymentController.handleWebhook);
+
+/**
+ * @swagger
+ * /api/payments/sandbox/{providerPaymentId}/simulate:
+ *   post:
+ *     summary: Simular un evento del proveedor sandbox (solo desarrollo)
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/sandbox/:providerPaymentId/simulate', requireAuth, PaymentController.simulateSandboxEvent);
+
+// ===== PAGOS POR ORDEN =====
+
+/**
+ * @swagger
+ * /api/payments/orders/{orderId}/intent:
+ *   post:
+ *     summary: Crear intención de pago para una orden
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *       - orderToken: []
+ */
+router.post('/orders/:orderId/intent', requireOrderAccess, PaymentController.createPaymentIntent);
+
+/**
+ * @swagger
+ * /api/payments/orders/{orderId}:
+ *   get:
+ *     summary: Obtener pagos de una orden
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *       - orderToken: []
+ */
+router.get('/orders/:orderId', requireOrderAccess, PaymentController.getOrderPayments);
+
+// ===== OPERACIONES DE ADMINISTRADOR =====
+
+/**
+ * @swagger
+ * /api/payments/{paymentId}/capture:
+ *   post:
+ *     summary: Capturar pago autorizado (Admin)
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/:paymentId/capture', requireAuthOrApiKey, requirePermission(PERMISSIONS.PAYMENTS_MANAGE), audit('payment.capture', 'Payment', { param: 'paymentId' }), PaymentController.capturePayment);
+
+/**
+ * @swagger
+ * /api/payments/{paymentId}/void:
+ *   post:
+ *     summary: Anular pago no capturado (Admin)
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/:paymentId/void', requireAuthOrApiKey, requirePermission(PERMISSIONS.PAYMENTS_MANAGE), audit('payment.void', 'Payment', { param: 'paymentId' }), PaymentController.voidPayment);
+
+/**
+ * @swagger
+ * /api/payments/{paymentId}/refund:
+ *   post:
+ *     summary: Reembolsar pago capturado (Admin)
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/:paymentId/refund', requireAuthOrApiKey, requirePermission(PERMISSIONS.PAYMENTS_MANAGE), audit('payment.refund', 'Payment', { param: 'paymentId' }), PaymentController.refundPayment);
+
+module.exports = router;
@@ -1,7 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const postController = require('../controllers/postController');
+const MediaController = require('../controllers/mediaController');
 const { requireAuth, optionalAuth } = require('../middlewares/auth');
+const { uploadArray } = require('../middlewares/upload');
+const { MEDIA_ATTACHMENT_TYPES, POST_MAX_ATTACHMENTS } = require('../config/constants');
 
 /**
  * @swagger
@@ -103,4 +106,31 @@ router.put('/:id', requireAuth, postController.updatePost);
  */
 router.delete('/:id', requireAuth, postController.deletePost);
 
+/**
+ * @swagger
+ * /api/posts/{id}/attachments:
+ *   post:
+ *     summary: Adjuntar archivos a un post propio
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post(
+  '/:id/attachments',
+  requireAuth,
+  uploadArray('files', POST_MAX_ATTACHMENTS, { allowedTypes: MEDIA_ATTACHMENT_TYPES }),
+  MediaController.addPostAttachments
+);
+
+/**
+ * @swagger
+ * /api/posts/{id}/attachments/{attachmentId}:
+ *   delete:
+ *     summary: Eliminar un adjunto de un post propio
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/:id/attachments/:attachmentId', requireAuth, MediaController.deletePostAttachment);
+
 module.exports = router; 
\ No newline at end of file
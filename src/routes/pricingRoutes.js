@@ -0,0 +1,103 @@
+const express = require('express');
+const PricingController = require('../controllers/pricingController');
+const { requireAuthOrApiKey, requirePermission } = require('../middlewares');
+const { PERMISSIONS } = require('../config/constants');
+
+const router = express.Router();
+
+// Todas las rutas de reglas de precios requieren el permiso de precios
+router.use(requireAuthOrApiKey, requirePermission(PERMISSIONS.PRICING_MANAGE));
+
+// ===== REGLAS DE IMPUESTOS =====
+
+/**
+ * @swagger
+ * /api/pricing/tax-rules:
+ *   get:
+ *     summary: Obtener reglas de impuestos (Admin)
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/tax-rules', PricingController.getTaxRules);
+
+/**
+ * @swagger
+ * /api/pricing/tax-rules:
+ *   post:
+ *     summary: Crear regla de impuestos (Admin)
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/tax-rules', PricingController.createTaxRule);
+
+/**
+ * @swagger
+ * /api/pricing/tax-rules/{ruleId}:
+ *   put:
+ *     summary: Actualizar regla de impuestos (Admin)
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/tax-rules/:ruleId', PricingController.updateTaxRule);
+
+/**
+ * @swagger
+ * /api/pricing/tax-rules/{ruleId}:
+ *   delete:
+ *     summary: Eliminar regla de impuestos (Admin)
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/tax-rules/:ruleId', PricingController.deleteTaxRule);
+
+// ===== TARIFAS DE ENVÍO =====
+
+/**
+ * @swagger
+ * /api/pricing/shipping-rates:
+ *   get:
+ *     summary: Obtener tarifas de envío (Admin)
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/shipping-rates', PricingController.getShippingRates);
+
+/**
+ * @swagger
+ * /api/pricing/shipping-rates:
+ *   post:
+ *     summary: Crear tarifa de envío (Admin)
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/shipping-rates', PricingController.createShippingRate);
+
+/**
+ * @swagger
+ * /api/pricing/shipping-rates/{rateId}:
+ *   put:
+ *     summary: Actualizar tarifa de envío (Admin)
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/shipping-rates/:rateId', PricingController.updateShippingRate);
+
+/**
+ * @swagger
+ * /api/pricing/shipping-rates/{rateId}:
+ *   delete:
+ *     summary: Eliminar tarifa de envío (Admin)
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/shipping-rates/:rateId', PricingController.deleteShippingRate);
+
+module.exports = router;
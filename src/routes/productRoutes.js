@@ -1,6 +1,8 @@
 const express = require('express');
 const ProductController = require('../controllers/productController');
-const { requireAuth, requireAdmin, optionalAuth } = require('../middlewares');
+const MediaController = require('../controllers/mediaController');
+const { requireAuthOrApiKey, requirePermission, optionalAuth, uploadArray, audit } = require('../middlewares');
+const { PRODUCT_MAX_IMAGES, PERMISSIONS } = require('../config/constants');
 
 const router = express.Router();
 
@@ -86,6 +88,16 @@ router.get('/:productId/related', ProductController.getRelatedProducts);
  */
 router.get('/:productId/stock/check', ProductController.checkStock);
 
+/**
+ * @swagger
+ * /api/products/{productId}/variants:
+ *   get:
+ *     summary: Obtener variantes del producto
+ *     tags: [Products]
+ *     security: []
+ */
+router.get('/:productId/variants', optionalAuth, ProductController.getProductVariants);
+
 // ===== RUTAS DE ADMINISTRADOR =====
 
 /**
@@ -97,7 +109,7 @@ router.get('/:productId/stock/check', ProductController.checkStock);
  *     security:
  *       - bearerAuth: []
  */
-router.post('/', requireAuth, requireAdmin, ProductController.createProduct);
+router.post('/', requireAuthOrApiKey, requirePermission(PERMISSIONS.CATALOG_MANAGE), audit('product.create', 'Product'), ProductController.createProduct);
 
 /**
  * @swagger
@@ -108,7 +120,7 @@ router.post('/', requireAuth, requireAdmin, ProductController.createProduct);
  *     security:
  *       - bearerAuth: []
  */
-router.put('/:productId', requireAuth, requireAdmin, ProductController.updateProduct);
+router.put('/:productId', requireAuthOrApiKey, requirePermission(PERMISSIONS.CATALOG_MANAGE), audit('product.update', 'Product', { param: 'productId' }), ProductController.updateProduct);
 
 /**
  * @swagger
@@ -119,7 +131,7 @@ router.put('/:productId', requireAuth, requireAdmin, ProductController.updatePro
  *     security:
  *       - bearerAuth: []
  */
-router.delete('/:productId', requireAuth, requireAdmin, ProductController.deleteProduct);
+router.delete('/:productId', requireAuthOrApiKey, requirePermission(PERMISSIONS.CATALOG_MANAGE), audit('product.delete', 'Product', { param: 'productId' }), ProductController.deleteProduct);
 
 /**
  * @swagger
@@ -130,7 +142,7 @@ router.delete('/:productId', requireAuth, requireAdmin, ProductController.delete
  *     security:
  *       - bearerAuth: []
  */
-router.put('/:productId/stock', requireAuth, requireAdmin, ProductController.updateStock);
+router.put('/:productId/stock', requireAuthOrApiKey, requirePermission(PERMISSIONS.INVENTORY_ADJUST), audit('product.update_stock', 'Product', { param: 'productId' }), ProductController.updateStock);
 
 /**
  * @swagger
@@ -141,6 +153,92 @@ router.put('/:productId/stock', requireAuth, requireAdmin, ProductController.upd
  *     security:
  *       - bearerAuth: []
  */
-router.get('/:productId/stats', requireAuth, requireAdmin, ProductController.getProductStats);
+router.get('/:productId/stats', requireAuthOrApiKey, requirePermission(PERMISSIONS.REPORTS_VIEW), ProductController.getProductStats);
+
+/**
+ * @swagger
+ * /api/products/{productId}/variants:
+ *   post:
+ *     summary: Crear variante del producto (Admin)
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/:productId/variants', requireAuthOrApiKey, requirePermission(PERMISSIONS.CATALOG_MANAGE), audit('product_variant.create', 'ProductVariant'), ProductController.createVariant);
+
+/**
+ * @swagger
+ * /api/products/{productId}/variants/{variantId}:
+ *   put:
+ *     summary: Actualizar variante del producto (Admin)
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/:productId/variants/:variantId', requireAuthOrApiKey, requirePermission(PERMISSIONS.CATALOG_MANAGE), audit('product_variant.update', 'ProductVariant', { param: 'variantId' }), ProductController.updateVariant);
+
+/**
+ * @swagger
+ * /api/products/{productId}/variants/{variantId}:
+ *   delete:
+ *     summary: Eliminar variante del producto (Admin)
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/:productId/variants/:variantId', requireAuthOrApiKey, requirePermission(PERMISSIONS.CATALOG_MANAGE), audit('product_variant.delete', 'ProductVariant', { param: 'variantId' }), ProductController.deleteVariant);
+
+// ===== GALERÍA DE IMÁGENES (ADMIN) =====
+
+/**
+ * @swagger
+ * /api/products/{productId}/images:
+ *   post:
+ *     summary: Subir imágenes a la galería del producto (Admin)
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post(
+  '/:productId/images',
+  requireAuthOrApiKey,
+  requirePermission(PERMISSIONS.CATALOG_MANAGE),
+  uploadArray('images', PRODUCT_MAX_IMAGES),
+  audit('product.upload_images', 'Product', { param: 'productId' }),
+  MediaController.uploadProductImages
+);
+
+/**
+ * @swagger
+ * /api/products/{productId}/images/order:
+ *   put:
+ *     summary: Reordenar la galería del producto (Admin)
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/:productId/images/order', requireAuthOrApiKey, requirePermission(PERMISSIONS.CATALOG_MANAGE), audit('product.reorder_images', 'Product', { param: 'productId' }), MediaController.reorderProductImages);
+
+/**
+ * @swagger
+ * /api/products/{productId}/images/{imageId}:
+ *   put:
+ *     summary: Actualizar texto alternativo o marcar imagen principal (Admin)
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/:productId/images/:imageId', requireAuthOrApiKey, requirePermission(PERMISSIONS.CATALOG_MANAGE), audit('product.update_image', 'Product', { param: 'productId' }), MediaController.updateProductImage);
+
+/**
+ * @swagger
+ * /api/products/{productId}/images/{imageId}:
+ *   delete:
+ *     summary: Eliminar imagen de la galería (Admin)
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/:productId/images/:imageId', requireAuthOrApiKey, requirePermission(PERMISSIONS.CATALOG_MANAGE), audit('product.delete_image', 'Product', { param: 'productId' }), MediaController.deleteProductImage);
 
 module.exports = router; 
\ No newline at end of file
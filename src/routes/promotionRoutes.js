@@ -0,0 +1,66 @@
+const express = require('express');
+const PromotionController = require('../controllers/promotionController');
+const { requireAuthOrApiKey, requirePermission } = require('../middlewares');
+const { PERMISSIONS } = require('../config/constants');
+
+const router = express.Router();
+
+// Todas las rutas de promociones requieren el permiso de promociones
+router.use(requireAuthOrApiKey, requirePermission(PERMISSIONS.PROMOTIONS_MANAGE));
+
+/**
+ * @swagger
+ * /api/promotions:
+ *   get:
+ *     summary: Obtener promociones (Admin)
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/', PromotionController.getAllPromotions);
+
+/**
+ * @swagger
+ * /api/promotions:
+ *   post:
+ *     summary: Crear promoción (Admin)
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/', PromotionController.createPromotion);
+
+/**
+ * @swagger
+ * /api/promotions/{promotionId}:
+ *   get:
+ *     summary: Obtener promoción por ID (Admin)
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:promotionId', PromotionController.getPromotionById);
+
+/**
+ * @swagger
+ * /api/promotions/{promotionId}:
+ *   put:
+ *     summary: Actualizar promoción (Admin)
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/:promotionId', PromotionController.updatePromotion);
+
+/**
+ * @swagger
+ * /api/promotions/{promotionId}:
+ *   delete:
+ *     summary: Eliminar promoción (Admin)
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/:promotionId', PromotionController.deletePromotion);
+
+module.exports = router;
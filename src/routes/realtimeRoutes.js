@@ -0,0 +1,29 @@
+const express = require('express');
+const RealtimeController = require('../controllers/realtimeController');
+const { requireAuth, requireStreamAuth } = require('../middlewares/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/realtime/stream:
+ *   get:
+ *     summary: Abrir el canal de eventos en tiempo real (Server-Sent Events)
+ *     tags: [Realtime]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/stream', requireStreamAuth, RealtimeController.openStream);
+
+/**
+ * @swagger
+ * /api/realtime/subscriptions:
+ *   put:
+ *     summary: Cambiar las suscripciones de un canal abierto
+ *     tags: [Realtime]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/subscriptions', requireAuth, RealtimeController.updateSubscriptions);
+
+module.exports = router;
@@ -0,0 +1,124 @@
+const express = require('express');
+const ReturnController = require('../controllers/returnController');
+const { requireAuth, requireAuthOrApiKey, requirePermission } = require('../middlewares');
+const { PERMISSIONS } = require('../config/constants');
+
+const router = express.Router();
+
+// ===== RUTAS ESPECÍFICAS PRIMERO (ANTES DE LAS RUTAS CON PARÁMETROS) =====
+
+/**
+ * @swagger
+ * /api/returns/all:
+ *   get:
+ *     summary: Obtener todas las devoluciones (Admin)
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/all', requireAuthOrApiKey, requirePermission(PERMISSIONS.RETURNS_READ), ReturnController.getAllReturns);
+
+// ===== RUTAS GENERALES =====
+
+/**
+ * @swagger
+ * /api/returns:
+ *   get:
+ *     summary: Obtener devoluciones del usuario autenticado
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/', requireAuth, ReturnController.getUserReturns);
+
+/**
+ * @swagger
+ * /api/returns:
+ *   post:
+ *     summary: Solicitar devolución de items de una orden entregada
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/', requireAuth, ReturnController.createReturnRequest);
+
+// ===== RUTAS CON PARÁMETROS AL FINAL =====
+
+/**
+ * @swagger
+ * /api/returns/{returnId}:
+ *   get:
+ *     summary: Obtener devolución por ID
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:returnId', requireAuth, ReturnController.getReturnById);
+
+/**
+ * @swagger
+ * /api/returns/{returnId}/cancel:
+ *   put:
+ *     summary: Cancelar solicitud de devolución pendiente
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/:returnId/cancel', requireAuth, ReturnController.cancelReturn);
+
+/**
+ * @swagger
+ * /api/returns/{returnId}/approve:
+ *   put:
+ *     summary: Aprobar devolución (Admin)
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/:returnId/approve', requireAuthOrApiKey, requirePermission(PERMISSIONS.RETURNS_MANAGE), ReturnController.approveReturn);
+
+/**
+ * @swagger
+ * /api/returns/{returnId}/reject:
+ *   put:
+ *     summary: Rechazar devolución (Admin)
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/:returnId/reject', requireAuthOrApiKey, requirePermission(PERMISSIONS.RETURNS_MANAGE), ReturnController.rejectReturn);
+
+/**
+ * @swagger
+ * /api/returns/{returnId}/receive:
+ *   put:
+ *     summary: Registrar mercancía devuelta recibida (Admin)
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/:returnId/receive', requireAuthOrApiKey, requirePermission(PERMISSIONS.RETURNS_RECEIVE), ReturnController.receiveReturn);
+
+/**
+ * @swagger
+ * /api/returns/{returnId}/refund:
+ *   post:
+ *     summary: Reembolsar devolución recibida (Admin)
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/:returnId/refund', requireAuthOrApiKey, requirePermission(PERMISSIONS.RETURNS_REFUND), ReturnController.refundReturn);
+
+/**
+ * @swagger
+ * /api/returns/{returnId}/refund/reconcile:
+ *   post:
+ *     summary: Conciliar un reembolso que quedó a medias (Admin)
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/:returnId/refund/reconcile', requireAuthOrApiKey, requirePermission(PERMISSIONS.RETURNS_REFUND), ReturnController.reconcileRefund);
+
+module.exports = router;
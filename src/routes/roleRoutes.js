@@ -0,0 +1,77 @@
+const express = require('express');
+const RoleController = require('../controllers/roleController');
+const { requireAuth, requirePermission, audit } = require('../middlewares');
+const { PERMISSIONS } = require('../config/constants');
+
+const router = express.Router();
+
+// Todas las rutas de roles requieren el permiso de gestión de roles
+router.use(requireAuth, requirePermission(PERMISSIONS.ROLES_MANAGE));
+
+/**
+ * @swagger
+ * /api/roles:
+ *   get:
+ *     summary: Obtener roles con sus permisos
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/', RoleController.getRoles);
+
+/**
+ * @swagger
+ * /api/roles/permissions:
+ *   get:
+ *     summary: Obtener el registro de permisos disponibles
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/permissions', RoleController.getPermissions);
+
+/**
+ * @swagger
+ * /api/roles:
+ *   post:
+ *     summary: Crear rol personalizado
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/', audit('role.create', 'Role', { key: 'name', responseId: (data) => data && data.name }), RoleController.createRole);
+
+/**
+ * @swagger
+ * /api/roles/{name}:
+ *   get:
+ *     summary: Obtener rol por nombre
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:name', RoleController.getRoleByName);
+
+/**
+ * @swagger
+ * /api/roles/{name}:
+ *   put:
+ *     summary: Actualizar rol y sus permisos
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/:name', audit('role.update', 'Role', { param: 'name', key: 'name' }), RoleController.updateRole);
+
+/**
+ * @swagger
+ * /api/roles/{name}:
+ *   delete:
+ *     summary: Eliminar rol personalizado
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/:name', audit('role.delete', 'Role', { param: 'name', key: 'name' }), RoleController.deleteRole);
+
+module.exports = router;
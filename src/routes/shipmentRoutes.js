@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const shipmentController = require('../controllers/shipmentController');
-const { requireAuth, requireAdmin, optionalAuth } = require('../middlewares/auth');
+const { requireAuth, requireAuthOrApiKey, requirePermission, optionalAuth } = require('../middlewares/auth');
+const { audit } = require('../middlewares/audit');
+const { PERMISSIONS } = require('../config/constants');
 
 /**
  * @swagger
@@ -12,7 +14,7 @@ const { requireAuth, requireAdmin, optionalAuth } = require('../middlewares/auth
  *     security:
  *       - bearerAuth: []
  */
-router.post('/', requireAuth, requireAdmin, shipmentController.createShipment);
+router.post('/', requireAuthOrApiKey, requirePermission(PERMISSIONS.SHIPMENTS_MANAGE), audit('shipment.create', 'Shipment'), shipmentController.createShipment);
 
 /**
  * @swagger
@@ -23,7 +25,7 @@ router.post('/', requireAuth, requireAdmin, shipmentController.createShipment);
  *     security:
  *       - bearerAuth: []
  */
-router.get('/', requireAuth, requireAdmin, shipmentController.getShipments);
+router.get('/', requireAuthOrApiKey, requirePermission(PERMISSIONS.SHIPMENTS_READ), shipmentController.getShipments);
 
 /**
  * @swagger
@@ -45,7 +47,7 @@ router.get('/my', requireAuth, shipmentController.getUserShipments);
  *     security:
  *       - bearerAuth: []
  */
-router.get('/stats', requireAuth, requireAdmin, shipmentController.getShipmentStats);
+router.get('/stats', requireAuthOrApiKey, requirePermission(PERMISSIONS.REPORTS_VIEW), shipmentController.getShipmentStats);
 
 /**
  * @swagger
@@ -76,7 +78,7 @@ router.get('/:id', requireAuth, shipmentController.getShipment);
  *     security:
  *       - bearerAuth: []
  */
-router.put('/:id', requireAuth, requireAdmin, shipmentController.updateShipment);
+router.put('/:id', requireAuthOrApiKey, requirePermission(PERMISSIONS.SHIPMENTS_MANAGE), audit('shipment.update', 'Shipment', { param: 'id' }), shipmentController.updateShipment);
 
 /**
  * @swagger
@@ -87,6 +89,6 @@ router.put('/:id', requireAuth, requireAdmin, shipmentController.updateShipment)
  *     security:
  *       - bearerAuth: []
  */
-router.post('/:id/tracking', requireAuth, requireAdmin, shipmentController.addTrackingEvent);
+router.post('/:id/tracking', requireAuthOrApiKey, requirePermission(PERMISSIONS.SHIPMENTS_MANAGE), audit('shipment.add_tracking', 'Shipment', { param: 'id' }), shipmentController.addTrackingEvent);
 
 module.exports = router; 
\ No newline at end of file
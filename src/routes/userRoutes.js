@@ -1,10 +1,11 @@
 const express = require('express');
 const UserController = require('../controllers/userController');
-const { requireAuth, requireAdmin } = require('../middlewares');
+const { requireAuth, requirePermission, audit } = require('../middlewares');
+const { PERMISSIONS } = require('../config/constants');
 
 const router = express.Router();
 
-// ===== TODAS LAS RUTAS REQUIEREN AUTENTICACIÓN DE ADMIN =====
+// ===== TODAS LAS RUTAS REQUIEREN AUTENTICACIÓN Y PERMISOS DE USUARIOS =====
 
 /**
  * @swagger
@@ -15,7 +16,7 @@ const router = express.Router();
  *     security:
  *       - bearerAuth: []
  */
-router.get('/', requireAuth, requireAdmin, UserController.getAllUsers);
+router.get('/', requireAuth, requirePermission(PERMISSIONS.USERS_READ), UserController.getAllUsers);
 
 /**
  * @swagger
@@ -26,7 +27,18 @@ router.get('/', requireAuth, requireAdmin, UserController.getAllUsers);
  *     security:
  *       - bearerAuth: []
  */
-router.get('/search', requireAuth, requireAdmin, UserController.searchUsers);
+router.get('/search', requireAuth, requirePermission(PERMISSIONS.USERS_READ), UserController.searchUsers);
+
+/**
+ * @swagger
+ * /api/users/login-events:
+ *   get:
+ *     summary: Eventos de inicio de sesión de todas las cuentas (Admin)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/login-events', requireAuth, requirePermission(PERMISSIONS.USERS_SECURITY), UserController.getLoginEvents);
 
 /**
  * @swagger
@@ -37,7 +49,7 @@ router.get('/search', requireAuth, requireAdmin, UserController.searchUsers);
  *     security:
  *       - bearerAuth: []
  */
-router.post('/', requireAuth, requireAdmin, UserController.createUser);
+router.post('/', requireAuth, requirePermission(PERMISSIONS.USERS_MANAGE), audit('user.create', 'User'), UserController.createUser);
 
 /**
  * @swagger
@@ -48,7 +60,7 @@ router.post('/', requireAuth, requireAdmin, UserController.createUser);
  *     security:
  *       - bearerAuth: []
  */
-router.get('/:userId', requireAuth, requireAdmin, UserController.getUserById);
+router.get('/:userId', requireAuth, requirePermission(PERMISSIONS.USERS_READ), UserController.getUserById);
 
 /**
  * @swagger
@@ -59,7 +71,7 @@ router.get('/:userId', requireAuth, requireAdmin, UserController.getUserById);
  *     security:
  *       - bearerAuth: []
  */
-router.put('/:userId', requireAuth, requireAdmin, UserController.updateUser);
+router.put('/:userId', requireAuth, requirePermission(PERMISSIONS.USERS_MANAGE), audit('user.update', 'User', { param: 'userId' }), UserController.updateUser);
 
 /**
  * @swagger
@@ -70,7 +82,7 @@ router.put('/:userId', requireAuth, requireAdmin, UserController.updateUser);
  *     security:
  *       - bearerAuth: []
  */
-router.delete('/:userId', requireAuth, requireAdmin, UserController.deleteUser);
+router.delete('/:userId', requireAuth, requirePermission(PERMISSIONS.USERS_MANAGE), audit('user.delete', 'User', { param: 'userId' }), UserController.deleteUser);
 
 /**
  * @swagger
@@ -81,7 +93,7 @@ router.delete('/:userId', requireAuth, requireAdmin, UserController.deleteUser);
  *     security:
  *       - bearerAuth: []
  */
-router.put('/:userId/activate', requireAuth, requireAdmin, UserController.activateUser);
+router.put('/:userId/activate', requireAuth, requirePermission(PERMISSIONS.USERS_MANAGE), audit('user.activate', 'User', { param: 'userId' }), UserController.activateUser);
 
 /**
  * @swagger
@@ -92,7 +104,18 @@ router.put('/:userId/activate', requireAuth, requireAdmin, UserController.activa
  *     security:
  *       - bearerAuth: []
  */
-router.put('/:userId/deactivate', requireAuth, requireAdmin, UserController.deactivateUser);
+router.put('/:userId/deactivate', requireAuth, requirePermission(PERMISSIONS.USERS_MANAGE), audit('user.deactivate', 'User', { param: 'userId' }), UserController.deactivateUser);
+
+/**
+ * @swagger
+ * /api/users/{userId}/unlock:
+ *   put:
+ *     summary: Desbloquear cuenta bloqueada por intentos fallidos (Admin)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/:userId/unlock', requireAuth, requirePermission(PERMISSIONS.USERS_SECURITY), audit('user.unlock', 'User', { param: 'userId' }), UserController.unlockUser);
 
 /**
  * @swagger
@@ -103,7 +126,7 @@ router.put('/:userId/deactivate', requireAuth, requireAdmin, UserController.deac
  *     security:
  *       - bearerAuth: []
  */
-router.get('/:userId/stats', requireAuth, requireAdmin, UserController.getUserStats);
+router.get('/:userId/stats', requireAuth, requirePermission(PERMISSIONS.USERS_READ), UserController.getUserStats);
 
 /**
  * @swagger
@@ -114,6 +137,17 @@ router.get('/:userId/stats', requireAuth, requireAdmin, UserController.getUserSt
  *     security:
  *       - bearerAuth: []
  */
-router.get('/:userId/activity', requireAuth, requireAdmin, UserController.getUserActivity);
+router.get('/:userId/activity', requireAuth, requirePermission(PERMISSIONS.USERS_READ), UserController.getUserActivity);
+
+/**
+ * @swagger
+ * /api/users/{userId}/login-history:
+ *   get:
+ *     summary: Historial de inicios de sesión del usuario (Admin)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:userId/login-history', requireAuth, requirePermission(PERMISSIONS.USERS_SECURITY), UserController.getUserLoginHistory);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,131 @@
+const express = require('express');
+const WebhookController = require('../controllers/webhookController');
+const { requireAuth, requirePermission, audit } = require('../middlewares');
+const { PERMISSIONS } = require('../config/constants');
+
+const router = express.Router();
+
+router.use(requireAuth, requirePermission(PERMISSIONS.WEBHOOKS_MANAGE));
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   get:
+ *     summary: Obtener suscripciones de webhooks (Admin)
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/', WebhookController.getSubscriptions);
+
+/**
+ * @swagger
+ * /api/webhooks/events:
+ *   get:
+ *     summary: Obtener los eventos a los que se puede suscribir un webhook (Admin)
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/events', WebhookController.getEvents);
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   post:
+ *     summary: Crear suscripción de webhook (Admin)
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/', audit('webhook.create', 'WebhookSubscription', { responseId: (data) => data && data.subscription.id }), WebhookController.createSubscription);
+
+/**
+ * @swagger
+ * /api/webhooks/deliveries/{deliveryId}:
+ *   get:
+ *     summary: Detalle de una entrega con su payload e intentos (Admin)
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/deliveries/:deliveryId', WebhookController.getDeliveryById);
+
+/**
+ * @swagger
+ * /api/webhooks/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     summary: Reenviar una entrega (Admin)
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/deliveries/:deliveryId/redeliver', audit('webhook.redeliver', 'WebhookDelivery', { param: 'deliveryId' }), WebhookController.redeliver);
+
+/**
+ * @swagger
+ * /api/webhooks/{subscriptionId}:
+ *   get:
+ *     summary: Obtener suscripción de webhook por ID (Admin)
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:subscriptionId', WebhookController.getSubscriptionById);
+
+/**
+ * @swagger
+ * /api/webhooks/{subscriptionId}:
+ *   put:
+ *     summary: Actualizar suscripción de webhook (Admin)
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/:subscriptionId', audit('webhook.update', 'WebhookSubscription', { param: 'subscriptionId' }), WebhookController.updateSubscription);
+
+/**
+ * @swagger
+ * /api/webhooks/{subscriptionId}:
+ *   delete:
+ *     summary: Eliminar suscripción de webhook y su historial de entregas (Admin)
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/:subscriptionId', audit('webhook.delete', 'WebhookSubscription', { param: 'subscriptionId' }), WebhookController.deleteSubscription);
+
+/**
+ * @swagger
+ * /api/webhooks/{subscriptionId}/rotate-secret:
+ *   post:
+ *     summary: Rotar el secreto de firma de un webhook (Admin)
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/:subscriptionId/rotate-secret', audit('webhook.rotate_secret', 'WebhookSubscription', { param: 'subscriptionId' }), WebhookController.rotateSecret);
+
+/**
+ * @swagger
+ * /api/webhooks/{subscriptionId}/ping:
+ *   post:
+ *     summary: Enviar un evento de prueba al webhook (Admin)
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/:subscriptionId/ping', WebhookController.pingSubscription);
+
+/**
+ * @swagger
+ * /api/webhooks/{subscriptionId}/deliveries:
+ *   get:
+ *     summary: Historial de entregas de un webhook (Admin)
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:subscriptionId/deliveries', WebhookController.getDeliveries);
+
+module.exports = router;
@@ -0,0 +1,285 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const Cart = require('../models/Cart');
+const Wishlist = require('../models/Wishlist');
+const AuthToken = require('../models/AuthToken');
+const LoginEvent = require('../models/LoginEvent');
+const ApiKey = require('../models/ApiKey');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Review = require('../models/Review');
+const Reaction = require('../models/Reaction');
+const Follow = require('../models/Follow');
+const ProductActivity = require('../models/ProductActivity');
+const Order = require('../models/Order');
+const ReturnRequest = require('../models/ReturnRequest');
+const { AppError } = require('../middlewares/errorHandler');
+const MailService = require('./mailService');
+const MediaService = require('./mediaService');
+const SessionService = require('./sessionService');
+const TwoFactorService = require('./twoFactorService');
+const CommentService = require('./commentService');
+const ReviewService = require('./reviewService');
+const DataExportService = require('./dataExportService');
+const NotificationService = require('./notificationService');
+const AuditLogService = require('./auditLogService');
+const {
+  USER_ROLES,
+  MEDIA_USAGES,
+  TARGET_TYPES,
+  SESSION_REVOKE_REASONS,
+  ACCOUNT_DELETION_GRACE_DAYS,
+  ACCOUNT_DELETION_CONTENT_POLICY,
+  ACCOUNT_DELETION_CONTENT_ACTIONS,
+  DELETED_USER_FIRST_NAME,
+  DELETED_USER_LAST_NAME,
+  DELETED_USER_EMAIL_DOMAIN,
+  DELETED_USER_ADDRESS_STREET,
+  APP_URL
+} = require('../config/constants');
+
+class AccountDeletionService {
+  // ===== SOLICITAR ELIMINACIÓN =====
+  // Requiere la contraseña (y el segundo factor si está activo). La cuenta
+  // sigue funcionando durante el periodo de gracia para poder cancelarla
+  static async requestDeletion(userId, { password, code, recoveryCode, reason }) {
+    const user = await User.findById(userId).select('+passwordHash +twoFactor.secret +twoFactor.recoveryCodes');
+
+    if (!user || user.isDeleted) {
+      throw new AppError('Usuario no encontrado', 404, 'USER_NOT_FOUND');
+    }
+
+    if (user.deletionRequest) {
+      throw new AppError('La eliminación de tu cuenta ya está programada', 409, 'ACCOUNT_DELETION_ALREADY_REQUESTED');
+    }
+
+    const isValidPassword = await bcrypt.compare(password, user.passwordHash);
+    if (!isValidPassword) {
+      throw new AppError('La contraseña es incorrecta', 400, 'INVALID_PASSWORD');
+    }
+
+    if (user.isTwoFactorEnabled) {
+      await TwoFactorService.verifySecondFactor(user, { code, recoveryCode });
+    }
+
+    await this.assertNotLastAdmin(user);
+
+    const requestedAt = new Date();
+    const scheduledFor = new Date(requestedAt.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { deletionRequest: { requestedAt, scheduledFor, reason } } }
+    );
+
+    await MailService.sendTemplateSafely('accountDeletionScheduled', user.email, {
+      firstName: user.firstName,
+      scheduledFor,
+      cancelUrl: `${APP_URL}/account/privacy`
+    });
+
+    return {
+      requestedAt,
+      scheduledFor,
+      message: `Tu cuenta se eliminará el ${scheduledFor.toISOString().slice(0, 10)}. Puedes cancelar la solicitud antes de esa fecha`
+    };
+  }
+
+  // ===== CANCELAR ELIMINACIÓN =====
+  static async cancelDeletion(userId) {
+    const user = await User.findOneAndUpdate(
+      { _id: userId, deletionRequest: { $ne: null }, deletedAt: null },
+      { $set: { deletionRequest: null } }
+    );
+
+    if (!user) {
+      throw new AppError('No hay una eliminación de cuenta programada', 400, 'NO_ACCOUNT_DELETION_REQUESTED');
+    }
+
+    await MailService.sendTemplateSafely('accountDeletionCancelled', user.email, { firstName: user.firstName });
+
+    return { message: 'Se canceló la eliminación de tu cuenta' };
+  }
+
+  // ===== BORRAR DATOS PERSONALES =====
+  // Anonimiza al usuario en lugar de borrar el documento: las órdenes, pagos y
+  // devoluciones se conservan (obligaciones fiscales) apuntando a un usuario
+  // sin datos personales, y sin los de contacto que guardan ellas mismas. El
+  // contenido social sigue ACCOUNT_DELETION_CONTENT_POLICY
+  static async eraseUser(userId) {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new AppError('Usuario no encontrado', 404, 'USER_NOT_FOUND');
+    }
+
+    if (user.isDeleted) {
+      throw new AppError('La cuenta ya fue eliminada', 409, 'ACCOUNT_ALREADY_DELETED');
+    }
+
+    const { email, firstName } = user;
+    const now = new Date();
+
+    // Cortar el acceso antes de tocar el resto de los datos
+    await SessionService.revokeAllSessions(user._id, SESSION_REVOKE_REASONS.ACCOUNT_DELETED);
+    await ApiKey.updateMany(
+      { userId: user._id, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: 'Cuenta del usuario eliminada' } }
+    );
+
+    await this.eraseSocialContent(user._id);
+
+    await Promise.all([
+      Follow.deleteMany({ $or: [{ userId: user._id }, { targetUserId: user._id }] }),
+      Reaction.deleteMany({ userId: user._id }),
+      Cart.deleteMany({ userId: user._id }),
+      Wishlist.deleteMany({ userId: user._id }),
+      AuthToken.deleteMany({ userId: user._id }),
+      LoginEvent.deleteMany({ userId: user._id }),
+      // Las señales de popularidad se conservan sin el vínculo al usuario
+      ProductActivity.updateMany({ userId: user._id }, { $set: { userId: null } })
+    ]);
+
+    await this.eraseOrderPersonalData(user._id);
+    await AuditLogService.redactUser(user._id);
+
+    await DataExportService.deleteUserExports(user._id);
+    await NotificationService.eraseUserNotifications(user._id, `${DELETED_USER_FIRST_NAME} ${DELETED_USER_LAST_NAME}`);
+    await MediaService.deleteOwnerMedia(MEDIA_USAGES.AVATAR, user._id);
+
+    // Contraseña aleatoria que nadie conoce (el hook de save no corre con updateOne)
+    const passwordHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          firstName: DELETED_USER_FIRST_NAME,
+          lastName: DELETED_USER_LAST_NAME,
+          email: `deleted-${user._id}@${DELETED_USER_EMAIL_DOMAIN}`,
+          passwordHash,
+          role: USER_ROLES.CUSTOMER,
+          addresses: [],
+          avatar: null,
+          twoFactor: { enabled: false },
+          loginSecurity: {},
+          emailVerifiedAt: null,
+          deletionRequest: null,
+          notificationPreferences: {},
+          isActive: false,
+          deletedAt: now
+        },
+        $unset: { phone: '', lastLogin: '' }
+      }
+    );
+
+    await MailService.sendTemplateSafely('accountDeleted', email, { firstName });
+
+    return { deletedAt: now, message: 'Cuenta eliminada y datos personales anonimizados' };
+  }
+
+  // Las órdenes conservan importes, impuestos y la parte de la dirección que
+  // fija la jurisdicción fiscal; se quitan contacto, calle y notas del cliente.
+  // Los envíos no guardan datos personales (usan la dirección de la orden)
+  static async eraseOrderPersonalData(userId) {
+    await Order.updateMany(
+      { userId },
+      {
+        $set: { 'shippingAddress.street': DELETED_USER_ADDRESS_STREET },
+        $unset: { contactEmail: '', contactPhone: '', notes: '' }
+      }
+    );
+
+    await ReturnRequest.updateMany(
+      { userId },
+      { $unset: { notes: '', 'items.$[].comment': '' } }
+    );
+  }
+
+  // Posts, comentarios y reseñas según la política configurada
+  static async eraseSocialContent(userId) {
+    if (this.getContentAction('posts') === ACCOUNT_DELETION_CONTENT_ACTIONS.REMOVE) {
+      const postIds = await Post.distinct('_id', { userId });
+
+      if (postIds.length > 0) {
+        await Comment.deleteMany({ parentType: TARGET_TYPES.POST, parentId: { $in: postIds } });
+        await Reaction.deleteMany({ targetType: TARGET_TYPES.POST, targetId: { $in: postIds } });
+        await Post.deleteMany({ _id: { $in: postIds } });
+
+        for (const postId of postIds) {
+          await MediaService.deleteOwnerMedia(MEDIA_USAGES.POST_ATTACHMENT, postId);
+        }
+      }
+    }
+
+    if (this.getContentAction('comments') === ACCOUNT_DELETION_CONTENT_ACTIONS.REMOVE) {
+      const commentIds = await Comment.distinct('_id', { userId });
+
+      // Las respuestas de otros usuarios se eliminan junto con el hilo
+      for (const commentId of commentIds) {
+        await CommentService.deleteCommentAndReplies(commentId);
+      }
+    }
+
+    if (this.getContentAction('reviews') === ACCOUNT_DELETION_CONTENT_ACTIONS.REMOVE) {
+      const productIds = await Review.distinct('productId', { userId });
+      await Review.deleteMany({ userId });
+
+      for (const productId of productIds) {
+        await ReviewService.updateProductRatingStats(productId);
+      }
+    }
+  }
+
+  static getContentAction(contentType) {
+    const action = ACCOUNT_DELETION_CONTENT_POLICY[contentType];
+
+    return Object.values(ACCOUNT_DELETION_CONTENT_ACTIONS).includes(action)
+      ? action
+      : ACCOUNT_DELETION_CONTENT_ACTIONS.ANONYMIZE;
+  }
+
+  // La tienda no puede quedarse sin administradores activos
+  static async assertNotLastAdmin(user) {
+    if (user.role !== USER_ROLES.ADMIN) return;
+
+    const otherAdmins = await User.countDocuments({
+      _id: { $ne: user._id },
+      role: USER_ROLES.ADMIN,
+      isActive: true,
+      deletedAt: null
+    });
+
+    if (otherAdmins === 0) {
+      throw new AppError('No puedes eliminar la cuenta del único administrador', 409, 'LAST_ADMIN');
+    }
+  }
+
+  // ===== EJECUTAR ELIMINACIONES VENCIDAS =====
+  // Lo ejecuta cada 15 minutos el trabajo privacy.process_deletions
+  static async processDueDeletions(now = new Date()) {
+    const users = await User.find({
+      'deletionRequest.scheduledFor': { $lte: now },
+      deletedAt: null
+    }).select('_id');
+
+    const erased = [];
+
+    for (const user of users) {
+      try {
+        await this.eraseUser(user._id);
+        erased.push(user._id);
+      } catch (error) {
+        console.error(`❌ Error eliminando la cuenta ${user._id}:`, error.message);
+      }
+    }
+
+    return {
+      checkedUsers: users.length,
+      erasedUsers: erased
+    };
+  }
+}
+
+module.exports = AccountDeletionService;
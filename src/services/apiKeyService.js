@@ -0,0 +1,281 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const RoleService = require('./roleService');
+const { AppError } = require('../middlewares/errorHandler');
+const { calculatePagination } = require('../middlewares/responseFormatter');
+const {
+  API_KEY_PREFIX,
+  API_KEY_SCOPES,
+  API_KEY_ROTATION_GRACE_HOURS,
+  API_KEY_LAST_USED_INTERVAL_SECONDS
+} = require('../config/constants');
+
+const KEY_PATTERN = new RegExp(`^${API_KEY_PREFIX}_([0-9a-f]{12})_([A-Za-z0-9_-]{32,})$`);
+
+class ApiKeyService {
+  // ===== EMITIR LLAVE =====
+  // Devuelve la llave completa una sola vez; después solo se ve el prefijo
+  static async issueKey(keyData, adminUserId) {
+    const { name, description, scopes, userId, rateLimit, expiresAt } = keyData;
+    const ownerId = userId || adminUserId;
+
+    await this.assertScopesAllowed(ownerId, scopes);
+
+    const keyPrefix = crypto.randomBytes(6).toString('hex');
+    const secret = this.generateSecret();
+
+    const apiKey = await ApiKey.create({
+      name,
+      description,
+      keyPrefix,
+      secretHash: this.hashSecret(secret),
+      scopes: [...new Set(scopes)],
+      userId: ownerId,
+      createdBy: adminUserId,
+      rateLimit,
+      expiresAt: expiresAt || null
+    });
+
+    return {
+      apiKey: this.formatApiKeyData(apiKey),
+      key: this.buildKey(keyPrefix, secret)
+    };
+  }
+
+  // ===== ROTAR LLAVE =====
+  // Genera un secreto nuevo con el mismo prefijo; el anterior sigue valiendo
+  // durante el periodo de gracia para actualizar la integración sin cortes
+  static async rotateKey(keyId, { gracePeriodHours = API_KEY_ROTATION_GRACE_HOURS } = {}) {
+    const apiKey = await this.findKey(keyId, '+secretHash');
+
+    if (apiKey.status !== 'active') {
+      throw new AppError('Solo se pueden rotar API keys activas', 400, 'API_KEY_NOT_ACTIVE');
+    }
+
+    const secret = this.generateSecret();
+    const now = new Date();
+
+    apiKey.previousSecretHash = gracePeriodHours > 0 ? apiKey.secretHash : null;
+    apiKey.previousSecretExpiresAt = gracePeriodHours > 0
+      ? new Date(now.getTime() + gracePeriodHours * 60 * 60 * 1000)
+      : null;
+    apiKey.secretHash = this.hashSecret(secret);
+    apiKey.rotatedAt = now;
+    await apiKey.save();
+
+    return {
+      apiKey: this.formatApiKeyData(apiKey),
+      key: this.buildKey(apiKey.keyPrefix, secret)
+    };
+  }
+
+  // ===== REVOCAR LLAVE =====
+  static async revokeKey(keyId, adminUserId, reason = null) {
+    const apiKey = await this.findKey(keyId);
+
+    if (apiKey.revokedAt) {
+      throw new AppError('La API key ya está revocada', 400, 'API_KEY_ALREADY_REVOKED');
+    }
+
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = adminUserId;
+    apiKey.revokedReason = reason;
+    apiKey.previousSecretHash = null;
+    apiKey.previousSecretExpiresAt = null;
+    await apiKey.save();
+
+    return this.formatApiKeyData(apiKey);
+  }
+
+  // ===== LISTAR LLAVES =====
+  static async getApiKeys(filters = {}, paginationData = {}) {
+    const { status, userId, search } = filters;
+    const { page = 1, limit = 20 } = paginationData;
+    const now = new Date();
+    const query = {};
+
+    if (userId) query.userId = userId;
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { keyPrefix: search.toLowerCase() }
+      ];
+    }
+
+    if (status === 'active') {
+      query.revokedAt = null;
+      query.$and = [{ $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] }];
+    } else if (status === 'expired') {
+      query.revokedAt = null;
+      query.expiresAt = { $lte: now };
+    } else if (status === 'revoked') {
+      query.revokedAt = { $ne: null };
+    }
+
+    const pagination = calculatePagination(page, limit, await ApiKey.countDocuments(query));
+
+    const apiKeys = await ApiKey.find(query)
+      .populate('userId', 'firstName lastName email role')
+      .sort({ createdAt: -1 })
+      .skip(pagination.offset)
+      .limit(pagination.limit);
+
+    return {
+      apiKeys: apiKeys.map(apiKey => this.formatApiKeyData(apiKey)),
+      pagination
+    };
+  }
+
+  static async getApiKeyById(keyId) {
+    const apiKey = await this.findKey(keyId);
+    await apiKey.populate('userId', 'firstName lastName email role');
+
+    return this.formatApiKeyData(apiKey);
+  }
+
+  // ===== AUTENTICAR PETICIÓN =====
+  // Devuelve la llave, el usuario en cuyo nombre actúa y los permisos
+  // efectivos (scopes que el rol del usuario todavía conserva)
+  static async authenticate(rawKey, context = {}) {
+    const match = KEY_PATTERN.exec(String(rawKey || '').trim());
+
+    if (!match) {
+      throw new AppError('API key inválida', 401, 'INVALID_API_KEY');
+    }
+
+    const [, keyPrefix, secret] = match;
+    const apiKey = await ApiKey.findOne({ keyPrefix }).select('+secretHash +previousSecretHash');
+
+    if (!apiKey || !this.matchesSecret(apiKey, secret)) {
+      throw new AppError('API key inválida', 401, 'INVALID_API_KEY');
+    }
+
+    if (apiKey.revokedAt) {
+      throw new AppError('La API key fue revocada', 401, 'API_KEY_REVOKED');
+    }
+
+    if (apiKey.isExpired) {
+      throw new AppError('La API key expiró', 401, 'API_KEY_EXPIRED');
+    }
+
+    const user = await User.findById(apiKey.userId).select('-passwordHash');
+
+    if (!user || !user.isActive) {
+      throw new AppError('El usuario de esta API key no existe o está desactivado', 401, 'API_KEY_USER_INACTIVE');
+    }
+
+    const rolePermissions = await RoleService.getRolePermissions(user.role);
+    const permissions = new Set(
+      apiKey.scopes.filter(scope => RoleService.includesPermission(rolePermissions, scope))
+    );
+
+    await this.touchLastUsed(apiKey, context);
+
+    return { apiKey, user, permissions };
+  }
+
+  // ===== MÉTODOS AUXILIARES =====
+
+  static async findKey(keyId, select = null) {
+    let query = ApiKey.findById(keyId);
+    if (select) query = query.select(select);
+
+    const apiKey = await query;
+    if (!apiKey) {
+      throw new AppError('API key no encontrada', 404, 'API_KEY_NOT_FOUND');
+    }
+
+    return apiKey;
+  }
+
+  // Una llave no puede dar más de lo que el rol de su usuario permite
+  static async assertScopesAllowed(userId, scopes) {
+    const invalid = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (invalid.length > 0) {
+      throw new AppError(`Scopes no permitidos para API keys: ${invalid.join(', ')}`, 400, 'INVALID_SCOPES', { invalid });
+    }
+
+    const user = await User.findById(userId).select('role isActive');
+    if (!user || !user.isActive) {
+      throw new AppError('El usuario de la API key no existe o está desactivado', 400, 'API_KEY_USER_INVALID');
+    }
+
+    const rolePermissions = await RoleService.getRolePermissions(user.role);
+    const exceeding = scopes.filter(scope => !RoleService.includesPermission(rolePermissions, scope));
+
+    if (exceeding.length > 0) {
+      throw new AppError(
+        `El rol "${user.role}" no tiene los permisos: ${exceeding.join(', ')}`,
+        400,
+        'SCOPES_EXCEED_ROLE',
+        { exceeding }
+      );
+    }
+  }
+
+  // Compara en tiempo constante contra el secreto vigente y, durante el
+  // periodo de gracia de una rotación, contra el anterior
+  static matchesSecret(apiKey, secret) {
+    const candidate = Buffer.from(this.hashSecret(secret));
+    const equals = (hash) => !!hash && crypto.timingSafeEqual(Buffer.from(hash), candidate);
+
+    if (equals(apiKey.secretHash)) return true;
+
+    return !!apiKey.previousSecretExpiresAt
+      && apiKey.previousSecretExpiresAt > new Date()
+      && equals(apiKey.previousSecretHash);
+  }
+
+  // Una escritura por intervalo como máximo, aunque lleguen muchas peticiones
+  static async touchLastUsed(apiKey, context = {}) {
+    const threshold = new Date(Date.now() - API_KEY_LAST_USED_INTERVAL_SECONDS * 1000);
+
+    if (apiKey.lastUsedAt && apiKey.lastUsedAt > threshold) return;
+
+    await ApiKey.updateOne(
+      { _id: apiKey._id, $or: [{ lastUsedAt: null }, { lastUsedAt: { $lte: threshold } }] },
+      { $set: { lastUsedAt: new Date(), lastUsedIp: context.ip || null } }
+    );
+  }
+
+  static generateSecret() {
+    return crypto.randomBytes(24).toString('base64url');
+  }
+
+  static hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  static buildKey(keyPrefix, secret) {
+    return `${API_KEY_PREFIX}_${keyPrefix}_${secret}`;
+  }
+
+  static formatApiKeyData(apiKey) {
+    const owner = apiKey.userId && apiKey.userId._id ? apiKey.userId : null;
+
+    return {
+      id: apiKey._id,
+      name: apiKey.name,
+      description: apiKey.description,
+      keyPrefix: `${API_KEY_PREFIX}_${apiKey.keyPrefix}`,
+      scopes: apiKey.scopes,
+      status: apiKey.status,
+      user: owner
+        ? { id: owner._id, fullName: `${owner.firstName} ${owner.lastName}`, email: owner.email, role: owner.role }
+        : { id: apiKey.userId },
+      createdBy: apiKey.createdBy,
+      rateLimit: apiKey.rateLimit,
+      expiresAt: apiKey.expiresAt,
+      lastUsedAt: apiKey.lastUsedAt,
+      lastUsedIp: apiKey.lastUsedIp,
+      rotatedAt: apiKey.rotatedAt,
+      previousSecretExpiresAt: apiKey.previousSecretExpiresAt,
+      revokedAt: apiKey.revokedAt,
+      revokedReason: apiKey.revokedReason,
+      createdAt: apiKey.createdAt
+    };
+  }
+}
+
+module.exports = ApiKeyService;
@@ -0,0 +1,245 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { calculatePagination } = require('../middlewares/responseFormatter');
+const {
+  AUDIT_REDACTED_FIELDS,
+  AUDIT_IGNORED_FIELDS,
+  AUDIT_LOG_EXPORT_MAX_ROWS
+} = require('../config/constants');
+
+const REDACTED = '[REDACTED]';
+
+const CSV_COLUMNS = [
+  ['createdAt', log => log.createdAt.toISOString()],
+  ['action', log => log.action],
+  ['targetModel', log => log.targetModel],
+  ['targetId', log => log.targetId],
+  ['actorId', log => log.actor.userId],
+  ['actorEmail', log => log.actor.email],
+  ['actorRole', log => log.actor.role],
+  ['authMethod', log => log.actor.authMethod],
+  ['apiKeyId', log => log.actor.apiKeyId],
+  ['method', log => log.method],
+  ['path', log => log.path],
+  ['statusCode', log => log.statusCode],
+  ['ip', log => log.ip],
+  ['requestId', log => log.requestId],
+  ['changes', log => JSON.stringify(log.changes.map(({ field, before, after }) => ({ field, before, after })))]
+];
+
+class AuditLogService {
+  // ===== REGISTRAR MUTACIÓN =====
+  // Lo llama el middleware de auditoría cuando la respuesta ya se envió; un
+  // fallo aquí se registra en consola pero nunca afecta a la petición
+  static async recordMutation(req, { action, targetModel, targetId = null, before = null, after = null, statusCode }) {
+    try {
+      const user = req.user || null;
+
+      await AuditLog.create({
+        actor: {
+          userId: user ? user._id : null,
+          email: user ? user.email : null,
+          role: user ? user.role : null,
+          authMethod: req.authMethod || null,
+          apiKeyId: req.apiKey ? req.apiKey._id : null
+        },
+        action,
+        targetModel,
+        targetId: targetId ? String(targetId) : null,
+        changes: this.diff(before, after),
+        method: req.method,
+        path: req.originalUrl,
+        statusCode,
+        ip: req.ip,
+        userAgent: req.headers['user-agent'],
+        requestId: req.id
+      });
+    } catch (error) {
+      console.error(`Error registrando auditoría (${action}):`, error.message);
+    }
+  }
+
+  // ===== ANONIMIZAR ACTOR =====
+  // Única excepción al registro de solo escritura: al borrar una cuenta se
+  // quitan sus datos personales (email, IP, navegador y los valores que
+  // cambiaron en su propio usuario). Se usa la colección directamente porque
+  // los hooks del modelo rechazan cualquier update. Quién hizo qué se conserva
+  static async redactUser(userId) {
+    const id = new mongoose.Types.ObjectId(String(userId));
+
+    await AuditLog.collection.updateMany(
+      { 'actor.userId': id },
+      { $set: { 'actor.email': null, ip: null, userAgent: null } }
+    );
+
+    await AuditLog.collection.updateMany(
+      { targetModel: 'User', targetId: String(userId), 'changes.0': { $exists: true } },
+      { $set: { 'changes.$[].before': REDACTED, 'changes.$[].after': REDACTED } }
+    );
+  }
+
+  // Estado del documento antes o después de la acción (null si no existe)
+  static async loadSnapshot(modelName, key, value) {
+    if (!value) return null;
+
+    try {
+      return await mongoose.model(modelName).findOne({ [key]: value }).lean();
+    } catch (error) {
+      // Un ID mal formado lo rechaza después la validación del controlador
+      return null;
+    }
+  }
+
+  // ===== DIFF =====
+  // Compara dos documentos campo a campo (objetos anidados con rutas con
+  // puntos; los arreglos se comparan completos)
+  static diff(before, after) {
+    const previous = this.flatten(before || {});
+    const current = this.flatten(after || {});
+    const fields = new Set([...Object.keys(previous), ...Object.keys(current)]);
+    const changes = [];
+
+    for (const field of fields) {
+      const beforeValue = previous[field] === undefined ? null : previous[field];
+      const afterValue = current[field] === undefined ? null : current[field];
+
+      if (JSON.stringify(beforeValue) === JSON.stringify(afterValue)) continue;
+
+      if (this.isRedacted(field)) {
+        changes.push({ field, before: before ? REDACTED : null, after: after ? REDACTED : null });
+      } else {
+        changes.push({ field, before: beforeValue, after: afterValue });
+      }
+    }
+
+    return changes.sort((a, b) => a.field.localeCompare(b.field));
+  }
+
+  static flatten(value, prefix = '', result = {}) {
+    for (const [key, child] of Object.entries(value)) {
+      const field = prefix ? `${prefix}.${key}` : key;
+
+      if (AUDIT_IGNORED_FIELDS.includes(key)) continue;
+
+      if (this.isRedacted(field)) {
+        result[field] = JSON.stringify(child);
+      } else if (this.isPlainObject(child)) {
+        this.flatten(child, field, result);
+      } else {
+        result[field] = this.normalizeValue(child);
+      }
+    }
+
+    return result;
+  }
+
+  // ObjectId, Date y arreglos se guardan en su forma JSON
+  static normalizeValue(value) {
+    if (value === undefined) return null;
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  static isPlainObject(value) {
+    return !!value
+      && typeof value === 'object'
+      && !Array.isArray(value)
+      && !(value instanceof Date)
+      && !(value instanceof mongoose.Types.ObjectId)
+      && !Buffer.isBuffer(value);
+  }
+
+  static isRedacted(field) {
+    return AUDIT_REDACTED_FIELDS.some(redacted => field === redacted || field.startsWith(`${redacted}.`));
+  }
+
+  // ===== CONSULTAR REGISTRO =====
+  static async getAuditLogs(filters = {}, paginationData = {}) {
+    const { page = 1, limit = 50 } = paginationData;
+    const query = this.buildQuery(filters);
+
+    const pagination = calculatePagination(page, limit, await AuditLog.countDocuments(query));
+
+    const logs = await AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .skip(pagination.offset)
+      .limit(pagination.limit)
+      .lean();
+
+    return {
+      logs: logs.map(log => this.formatAuditLogData(log)),
+      pagination
+    };
+  }
+
+  // ===== EXPORTAR CSV =====
+  static async exportCsv(filters = {}) {
+    const logs = await AuditLog.find(this.buildQuery(filters))
+      .sort({ createdAt: -1 })
+      .limit(AUDIT_LOG_EXPORT_MAX_ROWS)
+      .lean();
+
+    const header = CSV_COLUMNS.map(([name]) => name).join(',');
+    const rows = logs.map(log => CSV_COLUMNS.map(([, getValue]) => this.toCsvCell(getValue(log))).join(','));
+
+    return {
+      csv: [header, ...rows].join('\r\n'),
+      count: logs.length,
+      truncated: logs.length === AUDIT_LOG_EXPORT_MAX_ROWS
+    };
+  }
+
+  // ===== MÉTODOS AUXILIARES =====
+
+  static buildQuery({ actorId, action, targetModel, targetId, requestId, authMethod, dateFrom, dateTo }) {
+    const query = {};
+
+    if (actorId) query['actor.userId'] = actorId;
+    if (authMethod) query['actor.authMethod'] = authMethod;
+    if (action) {
+      // "order" filtra todas las acciones sobre órdenes; "order.update_status" solo esa
+      query.action = action.includes('.') ? action : { $regex: `^${action}\\.` };
+    }
+    if (targetModel) query.targetModel = targetModel;
+    if (targetId) query.targetId = targetId;
+    if (requestId) query.requestId = requestId;
+
+    if (dateFrom || dateTo) {
+      query.createdAt = {};
+      if (dateFrom) query.createdAt.$gte = new Date(dateFrom);
+      if (dateTo) query.createdAt.$lte = new Date(dateTo);
+    }
+
+    return query;
+  }
+
+  // Celdas que empiezan con =, +, - o @ se prefijan para que una hoja de
+  // cálculo no las interprete como fórmulas
+  static toCsvCell(value) {
+    if (value === null || value === undefined) return '';
+
+    let text = String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  static formatAuditLogData(log) {
+    return {
+      id: log._id,
+      action: log.action,
+      targetModel: log.targetModel,
+      targetId: log.targetId,
+      actor: log.actor,
+      changes: log.changes,
+      method: log.method,
+      path: log.path,
+      statusCode: log.statusCode,
+      ip: log.ip,
+      userAgent: log.userAgent,
+      requestId: log.requestId,
+      createdAt: log.createdAt
+    };
+  }
+}
+
+module.exports = AuditLogService;
@@ -1,15 +1,29 @@
 const bcrypt = require('bcryptjs');
 const User = require('../models/User');
-const { 
-  signToken, 
-  verifyToken,
-  updateLastLogin 
-} = require('../middlewares/auth');
+const { verifyToken } = require('../middlewares/auth');
 const { AppError } = require('../middlewares/errorHandler');
+const MediaService = require('./mediaService');
+const SessionService = require('./sessionService');
+const AuthTokenService = require('./authTokenService');
+const MailService = require('./mailService');
+const CartService = require('./cartService');
+const OrderService = require('./orderService');
+const TwoFactorService = require('./twoFactorService');
+const LoginSecurityService = require('./loginSecurityService');
+const RoleService = require('./roleService');
+const DataExportService = require('./dataExportService');
+const AccountDeletionService = require('./accountDeletionService');
+const {
+  SESSION_REVOKE_REASONS,
+  AUTH_TOKEN_PURPOSES,
+  APP_URL,
+  LOGIN_METHODS,
+  LOGIN_FAILURE_REASONS
+} = require('../config/constants');
 
 class AuthService {
   // ===== REGISTRO DE USUARIO =====
-  static async registerUser(userData) {
+  static async registerUser(userData, context = {}) {
     const { firstName, lastName, email, password, phone } = userData;
 
     // Verificar si el usuario ya existe
@@ -28,72 +42,134 @@ class AuthService {
       role: 'customer' // Por defecto es customer
     });
 
-    // Generar token de 7 días
-    const token = signToken(newUser._id, '7d');
-    
-    // Actualizar último login
-    await updateLastLogin(newUser._id);
+    // Abrir sesión: token de acceso corto + refresh token
+    const tokens = await SessionService.createSession(newUser, context);
+    await LoginSecurityService.registerSuccess(newUser, context, {
+      method: LOGIN_METHODS.REGISTER,
+      sessionId: tokens.sessionId
+    });
+
+    // Enviar enlace de verificación; un fallo de correo no impide el registro
+    await this.sendVerificationEmail(newUser);
+
+    const cartMerge = await this.mergeGuestCart(newUser._id, context.guestCartId);
 
     return {
-      token,
-      expiresIn: '7 días',
-      tokenExpiry: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 días desde ahora
-      user: {
-        id: newUser._id,
-        firstName: newUser.firstName,
-        lastName: newUser.lastName,
-        fullName: newUser.fullName,
-        email: newUser.email,
-        role: newUser.role,
-        isActive: newUser.isActive
-      }
+      ...tokens,
+      ...cartMerge,
+      user: this.formatAuthUser(newUser)
     };
   }
 
   // ===== LOGIN DE USUARIO =====
-  static async loginUser(credentials) {
+  static async loginUser(credentials, context = {}) {
     const { email, password } = credentials;
 
     // Buscar usuario con password incluido
     const user = await User.findOne({ email: email.toLowerCase() }).select('+passwordHash');
     
     if (!user) {
+      await LoginSecurityService.registerRejectedAttempt({ email, reason: LOGIN_FAILURE_REASONS.UNKNOWN_EMAIL }, context);
       throw new AppError('Credenciales inválidas', 401, 'INVALID_CREDENTIALS');
     }
 
+    // Cuenta bloqueada o en espera por intentos fallidos previos
+    await LoginSecurityService.assertCanAttempt(user, context);
+
     // Verificar si el usuario está activo
     if (!user.isActive) {
+      await LoginSecurityService.registerRejectedAttempt({ user, reason: LOGIN_FAILURE_REASONS.ACCOUNT_DEACTIVATED }, context);
       throw new AppError('Tu cuenta ha sido desactivada. Contacta al soporte.', 401, 'ACCOUNT_DEACTIVATED');
     }
 
     // Verificar contraseña
     const isValidPassword = await bcrypt.compare(password, user.passwordHash);
     if (!isValidPassword) {
+      await LoginSecurityService.registerFailure(user, LOGIN_FAILURE_REASONS.INVALID_PASSWORD, context);
       throw new AppError('Credenciales inválidas', 401, 'INVALID_CREDENTIALS');
     }
 
-    // Generar token de 7 días
-    const token = signToken(user._id, '7d');
-    
-    // Actualizar último login
-    await updateLastLogin(user._id);
+    // Con 2FA activo la sesión se abre en /api/auth/login/2fa, tras el código.
+    // Los contadores no se reinician hasta superar el segundo factor.
+    if (user.isTwoFactorEnabled) {
+      return TwoFactorService.createLoginChallenge(user);
+    }
 
-    return {
-      token,
-      expiresIn: '7 días',
-      tokenExpiry: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 días desde ahora
-      user: {
-        id: user._id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        fullName: user.fullName,
-        email: user.email,
-        role: user.role,
-        isActive: user.isActive
+    return this.openSession(user, { ...context, method: LOGIN_METHODS.PASSWORD });
+  }
+
+  // ===== LOGIN: SEGUNDO PASO (2FA) =====
+  // Los códigos incorrectos cuentan para el mismo bloqueo que las contraseñas
+  static async completeTwoFactorLogin(mfaToken, factor, context = {}) {
+    const user = await TwoFactorService.resolveLoginChallenge(mfaToken);
+
+    await LoginSecurityService.assertCanAttempt(user, context, LOGIN_METHODS.TWO_FACTOR);
+
+    try {
+      await TwoFactorService.verifySecondFactor(user, factor, 401);
+    } catch (error) {
+      if (error.errorCode === 'INVALID_TWO_FACTOR_CODE') {
+        await LoginSecurityService.registerFailure(
+          user,
+          LOGIN_FAILURE_REASONS.INVALID_TWO_FACTOR_CODE,
+          context,
+          LOGIN_METHODS.TWO_FACTOR
+        );
       }
+      throw error;
+    }
+
+    return this.openSession(user, { ...context, mfaVerified: true, method: LOGIN_METHODS.TWO_FACTOR });
+  }
+
+  // Abrir sesión (token de acceso corto + refresh token), registrar el inicio
+  // de sesión y fusionar el carrito de invitado
+  static async openSession(user, context = {}) {
+    const tokens = await SessionService.createSession(user, context);
+    await LoginSecurityService.registerSuccess(user, context, {
+      method: context.method,
+      sessionId: tokens.sessionId
+    });
+
+    const cartMerge = await this.mergeGuestCart(user._id, context.guestCartId);
+
+    return {
+      ...tokens,
+      ...cartMerge,
+      user: this.formatAuthUser(user)
     };
   }
 
+  static formatAuthUser(user) {
+    return {
+      id: user._id,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      fullName: user.fullName,
+      email: user.email,
+      emailVerified: user.isEmailVerified,
+      role: user.role,
+      isActive: user.isActive,
+      twoFactorEnabled: user.isTwoFactorEnabled
+    };
+  }
+
+  // ===== FUSIONAR CARRITO DE INVITADO =====
+  // Se ejecuta al iniciar sesión o registrarse. Devuelve { cartMerge } solo si
+  // el cliente envió su token de invitado; un fallo no impide el login y el
+  // carrito queda disponible para /api/cart/merge
+  static async mergeGuestCart(userId, guestCartId) {
+    if (!guestCartId) return {};
+
+    try {
+      const result = await CartService.mergeCart(userId, { guestId: guestCartId });
+      return { cartMerge: result ? result.report : null };
+    } catch (error) {
+      console.error(`Error fusionando el carrito de invitado ${guestCartId}:`, error.message);
+      return { cartMerge: { failed: true, message: 'No se pudo fusionar el carrito de invitado' } };
+    }
+  }
+
   // ===== VERIFICAR TOKEN =====
   static async verifyAuthToken(token) {
     if (!token) {
@@ -129,29 +205,24 @@ class AuthService {
   }
 
   // ===== RECUPERAR CONTRASEÑA =====
+  // El token solo viaja en el email; la respuesta es la misma exista o no la cuenta
   static async requestPasswordReset(email) {
-    const user = await User.findOne({ email: email.toLowerCase() });
-    
-    // Por seguridad, siempre devolvemos el mismo mensaje
     const message = 'Si el email existe, recibirás instrucciones para resetear tu contraseña';
-    
-    if (!user) {
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+    if (!user || !user.isActive) {
       return { message };
     }
 
-    // Generar token de reset (válido por 1 hora)
-    const resetToken = signToken(user._id, '1h');
-    
-    // En un entorno real, aquí se enviaría un email
-    // Por ahora, devolvemos el token para testing
-    return {
-      message,
-      resetToken, // Solo para desarrollo
-      development: {
-        message: 'Token generado para testing. En producción se enviaría por email.',
-        expiresIn: '1 hora'
-      }
-    };
+    const { token, expiresInMinutes } = await AuthTokenService.issueToken(user, AUTH_TOKEN_PURPOSES.PASSWORD_RESET);
+
+    await MailService.sendTemplateSafely('passwordReset', user.email, {
+      firstName: user.firstName,
+      resetUrl: `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`,
+      expiresInMinutes
+    });
+
+    return { message };
   }
 
   // ===== RESETEAR CONTRASEÑA =====
@@ -160,27 +231,96 @@ class AuthService {
       throw new AppError('La nueva contraseña debe tener al menos 6 caracteres', 400, 'INVALID_PASSWORD');
     }
 
-    try {
-      const decoded = verifyToken(token);
-      
-      // Buscar usuario
-      const user = await User.findById(decoded.userId);
-      if (!user) {
-        throw new AppError('Token inválido o expirado', 400, 'INVALID_RESET_TOKEN');
-      }
+    const authToken = await AuthTokenService.consumeToken(token, AUTH_TOKEN_PURPOSES.PASSWORD_RESET);
+
+    const user = await User.findById(authToken.userId);
+    if (!user || !user.isActive) {
+      throw new AppError('El enlace es inválido, ya fue usado o expiró', 400, 'INVALID_OR_EXPIRED_TOKEN');
+    }
+
+    // Actualizar contraseña
+    user.passwordHash = newPassword; // Se encripta automáticamente
+
+    // El bloqueo por intentos fallidos indica restablecer la contraseña
+    LoginSecurityService.clearLockout(user);
 
-      // Actualizar contraseña
-      user.passwordHash = newPassword; // Se encripta automáticamente
+    // Recibir el enlace en su correo demuestra que el email es suyo
+    if (!user.emailVerifiedAt && authToken.email === user.email) {
+      user.emailVerifiedAt = new Date();
+    }
+
+    await user.save();
+
+    // Cerrar todas las sesiones abiertas con la contraseña anterior
+    await SessionService.revokeAllSessions(user._id, SESSION_REVOKE_REASONS.PASSWORD_RESET);
+    await MailService.sendTemplateSafely('passwordChanged', user.email, { firstName: user.firstName });
+
+    return { message: 'Contraseña actualizada exitosamente' };
+  }
+
+  // ===== VERIFICACIÓN DE EMAIL =====
+  static async verifyEmail(token) {
+    const authToken = await AuthTokenService.consumeToken(token, AUTH_TOKEN_PURPOSES.EMAIL_VERIFICATION);
+
+    const user = await User.findById(authToken.userId);
+
+    // El token se emitió para un email concreto
+    if (!user || authToken.email !== user.email) {
+      throw new AppError('El enlace es inválido, ya fue usado o expiró', 400, 'INVALID_OR_EXPIRED_TOKEN');
+    }
+
+    if (!user.emailVerifiedAt) {
+      user.emailVerifiedAt = new Date();
       await user.save();
+    }
+
+    // Con el email comprobado, las compras hechas como invitado pasan a la cuenta
+    const guestOrders = await this.claimGuestOrders(user._id);
 
-      return { message: 'Contraseña actualizada exitosamente' };
+    return {
+      message: 'Email verificado exitosamente',
+      emailVerifiedAt: user.emailVerifiedAt,
+      claimedOrders: guestOrders.claimed
+    };
+  }
 
+  // Un fallo al vincular no invalida la verificación; se puede reintentar con
+  // POST /api/orders/claim-guest
+  static async claimGuestOrders(userId) {
+    try {
+      return await OrderService.claimGuestOrders(userId);
     } catch (error) {
-      if (error.name === 'TokenExpiredError') {
-        throw new AppError('El token de reseteo ha expirado', 400, 'TOKEN_EXPIRED');
-      }
-      throw new AppError('Token inválido o expirado', 400, 'INVALID_RESET_TOKEN');
+      console.error(`Error vinculando órdenes de invitado del usuario ${userId}:`, error.message);
+      return { claimed: 0, orders: [] };
+    }
+  }
+
+  static async resendVerificationEmail(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new AppError('Usuario no encontrado', 404, 'USER_NOT_FOUND');
+    }
+
+    if (user.emailVerifiedAt) {
+      throw new AppError('Tu email ya está verificado', 400, 'EMAIL_ALREADY_VERIFIED');
+    }
+
+    const sent = await this.sendVerificationEmail(user);
+    if (!sent) {
+      throw new AppError('No se pudo enviar el email de verificación. Intenta más tarde.', 503, 'MAIL_DELIVERY_FAILED');
     }
+
+    return { message: 'Te enviamos un nuevo enlace de verificación' };
+  }
+
+  static async sendVerificationEmail(user) {
+    const { token, expiresInMinutes } = await AuthTokenService.issueToken(user, AUTH_TOKEN_PURPOSES.EMAIL_VERIFICATION);
+
+    return MailService.sendTemplateSafely('emailVerification', user.email, {
+      firstName: user.firstName,
+      verifyUrl: `${APP_URL}/verify-email?token=${encodeURIComponent(token)}`,
+      expiresInMinutes
+    });
   }
 
   // ===== OBTENER PERFIL =====
@@ -191,16 +331,24 @@ class AuthService {
       throw new AppError('Usuario no encontrado', 404, 'USER_NOT_FOUND');
     }
 
+    const permissions = await RoleService.getRolePermissions(user.role);
+
     return {
       id: user._id,
       firstName: user.firstName,
       lastName: user.lastName,
       fullName: user.fullName,
       email: user.email,
+      emailVerified: user.isEmailVerified,
+      emailVerifiedAt: user.emailVerifiedAt,
+      twoFactorEnabled: user.isTwoFactorEnabled,
       phone: user.phone,
       role: user.role,
+      permissions: [...permissions],
       isActive: user.isActive,
+      avatar: MediaService.formatMediaReference(user.avatar),
       addresses: user.addresses,
+      deletionScheduledFor: user.deletionRequest ? user.deletionRequest.scheduledFor : null,
       createdAt: user.createdAt,
       lastLogin: user.lastLogin
     };
@@ -229,12 +377,15 @@ class AuthService {
       phone: updatedUser.phone,
       role: updatedUser.role,
       isActive: updatedUser.isActive,
+      avatar: MediaService.formatMediaReference(updatedUser.avatar),
       addresses: updatedUser.addresses
     };
   }
 
   // ===== CAMBIAR CONTRASEÑA =====
-  static async changePassword(userId, passwordData) {
+  // Cierra todas las sesiones existentes y abre una nueva para el dispositivo
+  // actual (conserva la verificación 2FA de la sesión desde la que se cambia)
+  static async changePassword(userId, passwordData, context = {}) {
     const { currentPassword, newPassword } = passwordData;
 
     // Buscar usuario con password
@@ -258,9 +409,16 @@ class AuthService {
 
     // Actualizar contraseña
     user.passwordHash = newPassword; // Se encripta automáticamente
+
+    // El bloqueo por intentos fallidos indica restablecer la contraseña
+    LoginSecurityService.clearLockout(user);
     await user.save();
 
-    return { message: 'Contraseña cambiada exitosamente' };
+    await SessionService.revokeAllSessions(user._id, SESSION_REVOKE_REASONS.PASSWORD_CHANGED);
+    const tokens = await SessionService.createSession(user, context);
+    await MailService.sendTemplateSafely('passwordChanged', user.email, { firstName: user.firstName });
+
+    return { message: 'Contraseña cambiada exitosamente', ...tokens };
   }
 
   // ===== AGREGAR DIRECCIÓN =====
@@ -368,16 +526,81 @@ class AuthService {
     return address;
   }
 
-  // ===== LOGOUT (ACTUALIZAR ÚLTIMO LOGIN) =====
-  static async logoutUser(userId) {
-    await updateLastLogin(userId);
+  // ===== RENOVAR TOKENS =====
+  static async refreshTokens(refreshToken, context = {}) {
+    return SessionService.refreshSession(refreshToken, context);
+  }
+
+  // ===== LOGOUT (CERRAR SESIÓN ACTUAL) =====
+  static async logoutUser(userId, sessionId) {
+    await SessionService.revokeSession(userId, sessionId, SESSION_REVOKE_REASONS.LOGOUT);
     return { message: 'Sesión cerrada exitosamente' };
   }
+
+  // ===== SESIONES ACTIVAS =====
+  static async getUserSessions(userId, currentSessionId) {
+    return SessionService.getUserSessions(userId, currentSessionId);
+  }
+
+  static async revokeUserSession(userId, sessionId) {
+    return SessionService.revokeSession(userId, sessionId, SESSION_REVOKE_REASONS.REVOKED);
+  }
+
+  // ===== HISTORIAL DE INICIOS DE SESIÓN =====
+  static async getLoginHistory(userId, filters, paginationData) {
+    return LoginSecurityService.getLoginHistory(userId, filters, paginationData);
+  }
+
+  // ===== VERIFICACIÓN EN DOS PASOS =====
+  static async getTwoFactorStatus(userId) {
+    return TwoFactorService.getStatus(userId);
+  }
+
+  static async startTwoFactorSetup(userId) {
+    return TwoFactorService.startSetup(userId);
+  }
+
+  static async enableTwoFactor(userId, code, sessionId) {
+    return TwoFactorService.enable(userId, code, sessionId);
+  }
+
+  static async disableTwoFactor(userId, data) {
+    return TwoFactorService.disable(userId, data);
+  }
+
+  static async regenerateRecoveryCodes(userId, code) {
+    return TwoFactorService.regenerateRecoveryCodes(userId, code);
+  }
+
+  // ===== DATOS PERSONALES =====
+  static async requestDataExport(userId, options) {
+    return DataExportService.requestExport(userId, options);
+  }
+
+  static async getDataExports(userId) {
+    return DataExportService.getUserExports(userId);
+  }
+
+  static async getDataExportFile(userId, exportId) {
+    return DataExportService.getExportFile(userId, exportId);
+  }
+
+  static async requestAccountDeletion(userId, data) {
+    return AccountDeletionService.requestDeletion(userId, data);
+  }
+
+  static async cancelAccountDeletion(userId) {
+    return AccountDeletionService.cancelDeletion(userId);
+  }
 }
 
 module.exports = AuthService;
 
 // ===== CONFIGURACIÓN DE TOKENS =====
-// ✅ Tokens de autenticación: 7 días (sin refresh tokens)
-// ✅ Tokens de reset: 1 hora
+// ✅ Tokens de acceso: ACCESS_TOKEN_EXPIRES_IN (15 min por defecto), ligados a una sesión
+// ✅ Refresh tokens rotativos: REFRESH_TOKEN_TTL_DAYS, con detección de reutilización
+// ✅ Tokens de reset y verificación: de un solo uso, hasheados y por propósito (AuthToken)
+// ✅ 2FA (TOTP): login en dos pasos con token mfa_pending de MFA_PENDING_TOKEN_EXPIRES_IN
+// ✅ Bloqueo progresivo por cuenta (LOGIN_LOCKOUT) e historial en LoginEvent
+// ✅ Exportación de datos personales y eliminación de cuenta con periodo de gracia
 // ✅ Información de expiración incluida en respuestas 
\ No newline at end of file
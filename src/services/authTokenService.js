@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+const AuthToken = require('../models/AuthToken');
+const { AppError } = require('../middlewares/errorHandler');
+const { AUTH_TOKEN_TTL_MINUTES } = require('../config/constants');
+
+class AuthTokenService {
+  // ===== EMITIR TOKEN =====
+  // Invalida los tokens pendientes del mismo propósito: solo el último enlace enviado funciona
+  static async issueToken(user, purpose) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const ttlMinutes = AUTH_TOKEN_TTL_MINUTES[purpose];
+
+    await AuthToken.deleteMany({ userId: user._id, purpose, usedAt: null });
+
+    await AuthToken.create({
+      userId: user._id,
+      purpose,
+      tokenHash: this.hashToken(token),
+      email: user.email,
+      expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+    });
+
+    return { token, expiresInMinutes: ttlMinutes };
+  }
+
+  // ===== CONSUMIR TOKEN =====
+  // Marca el token como usado de forma atómica; un segundo uso falla
+  static async consumeToken(token, purpose) {
+    const authToken = await AuthToken.findOneAndUpdate(
+      {
+        tokenHash: this.hashToken(String(token || '')),
+        purpose,
+        usedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      { $set: { usedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!authToken) {
+      throw new AppError('El enlace es inválido, ya fue usado o expiró', 400, 'INVALID_OR_EXPIRED_TOKEN');
+    }
+
+    return authToken;
+  }
+
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+}
+
+module.exports = AuthTokenService;
@@ -1,16 +1,27 @@
 const Cart = require('../models/Cart');
-const Product = require('../models/Product');
+const PromotionService = require('./promotionService');
+const PricingService = require('./pricingService');
+const ProductVariantService = require('./productVariantService');
+const PopularityService = require('./popularityService');
 const { AppError } = require('../middlewares/errorHandler');
+const { withTransaction } = require('../config/database');
+const { CART_MERGE_ACTIONS, PRODUCT_ACTIVITY_TYPES } = require('../config/constants');
+
+// Campos de la variante necesarios para precio, stock y respuesta
+const VARIANT_FIELDS = 'sku options price weight stockQty reservedQty isActive';
 
 class CartService {
   // ===== OBTENER O CREAR CARRITO =====
-  static async getOrCreateCart(userId) {
-    let cart = await Cart.findOne({ userId })
-      .populate('items.productId', 'name price stockQty isActive sku');
+  static async getOrCreateCart(owner) {
+    let cart = await Cart.findOne(this.ownerFilter(owner))
+      .populate('items.productId', 'name price stockQty reservedQty isActive sku hasVariants')
+      .populate('items.variantId', VARIANT_FIELDS);
 
-    // Crear carrito si no existe
+    // Crear carrito si no existe (el de invitado se guarda hasta su primer producto)
     if (!cart) {
-      cart = await Cart.create({ userId, items: [] });
+      cart = owner.guestId
+        ? new Cart({ ...this.ownerFilter(owner), items: [] })
+        : await Cart.create({ ...this.ownerFilter(owner), items: [] });
       return this.formatCartData(cart);
     }
 
@@ -19,10 +30,12 @@ class CartService {
     let hasChanges = false;
 
     for (const item of cart.items) {
-      if (item.productId && item.productId.isActive && item.productId.stockQty > 0) {
+      const line = this.getLineState(item);
+
+      if (line.isActive && line.available > 0) {
         // Actualizar precio si cambió
-        if (item.priceAtTime !== item.productId.price) {
-          item.priceAtTime = item.productId.price;
+        if (item.priceAtTime !== line.price) {
+          item.priceAtTime = line.price;
           hasChanges = true;
         }
         validItems.push(item);
@@ -41,72 +54,74 @@ class CartService {
   }
 
   // ===== AGREGAR AL CARRITO =====
-  static async addToCart(userId, itemData) {
-    const { productId, quantity = 1 } = itemData;
+  static async addToCart(owner, itemData) {
+    const { productId, variantId = null, quantity = 1 } = itemData;
 
-    // Verificar que el producto exista y esté activo
-    const product = await Product.findById(productId);
-    if (!product || !product.isActive) {
-      throw new AppError('Producto no encontrado o no disponible', 404, 'PRODUCT_NOT_AVAILABLE');
-    }
+    // Verificar que el producto (y la variante, si aplica) exista y esté activo
+    const { product, variant } = await ProductVariantService.resolveSellable(productId, variantId);
+    const available = ProductVariantService.getAvailableQty(product, variant);
+    const unitPrice = ProductVariantService.getUnitPrice(product, variant);
 
     // Verificar stock disponible
-    if (product.stockQty < quantity) {
-      throw new AppError(`Stock insuficiente. Disponible: ${product.stockQty}`, 400, 'INSUFFICIENT_STOCK');
+    if (available < quantity) {
+      throw new AppError(`Stock insuficiente. Disponible: ${available}`, 400, 'INSUFFICIENT_STOCK');
     }
 
     // Obtener o crear carrito
-    let cart = await Cart.findOne({ userId });
+    let cart = await Cart.findOne(this.ownerFilter(owner));
     if (!cart) {
-      cart = await Cart.create({ userId, items: [] });
+      cart = new Cart({ ...this.ownerFilter(owner), items: [] });
     }
 
-    // Verificar si el producto ya está en el carrito
-    const existingItemIndex = cart.items.findIndex(
-      item => item.productId.toString() === productId
-    );
+    // Verificar si el producto (misma variante) ya está en el carrito
+    const existingItem = cart.findLine(productId, variantId);
 
-    if (existingItemIndex > -1) {
+    if (existingItem) {
       // Producto ya existe, actualizar cantidad
-      const newQuantity = cart.items[existingItemIndex].quantity + quantity;
+      const newQuantity = existingItem.quantity + quantity;
       
       // Verificar stock para la nueva cantidad
-      if (product.stockQty < newQuantity) {
+      if (available < newQuantity) {
         throw new AppError(
-          `Stock insuficiente. Disponible: ${product.stockQty}, en carrito: ${cart.items[existingItemIndex].quantity}`, 
+          `Stock insuficiente. Disponible: ${available}, en carrito: ${existingItem.quantity}`, 
           400, 
           'INSUFFICIENT_STOCK'
         );
       }
       
-      cart.items[existingItemIndex].quantity = newQuantity;
-      cart.items[existingItemIndex].priceAtTime = product.price; // Actualizar precio
+      existingItem.quantity = newQuantity;
+      existingItem.priceAtTime = unitPrice; // Actualizar precio
     } else {
       // Nuevo producto, agregar al carrito
       cart.items.push({
         productId,
+        variantId,
         quantity,
-        priceAtTime: product.price
+        priceAtTime: unitPrice
       });
     }
 
     await cart.save();
+    await PopularityService.recordActivity(productId, PRODUCT_ACTIVITY_TYPES.CART_ADD, owner.userId || null);
 
     // Poblar para respuesta
-    await cart.populate('items.productId', 'name price stockQty isActive sku');
+    await cart.populate([
+      { path: 'items.productId', select: 'name price stockQty reservedQty isActive sku hasVariants' },
+      { path: 'items.variantId', select: VARIANT_FIELDS }
+    ]);
 
     return this.formatCartData(cart);
   }
 
   // ===== ACTUALIZAR ITEM DEL CARRITO =====
-  static async updateCartItem(userId, itemId, updateData) {
+  static async updateCartItem(owner, itemId, updateData) {
     const { quantity } = updateData;
 
     if (quantity < 1) {
       throw new AppError('La cantidad debe ser mayor a cero', 400, 'INVALID_QUANTITY');
     }
 
-    const cart = await Cart.findOne({ userId });
+    const cart = await Cart.findOne(this.ownerFilter(owner));
     if (!cart) {
       throw new AppError('Carrito no encontrado', 404, 'CART_NOT_FOUND');
     }
@@ -116,30 +131,31 @@ class CartService {
       throw new AppError('Item no encontrado en el carrito', 404, 'CART_ITEM_NOT_FOUND');
     }
 
-    // Verificar stock del producto
-    const product = await Product.findById(item.productId);
-    if (!product || !product.isActive) {
-      throw new AppError('Producto no disponible', 404, 'PRODUCT_NOT_AVAILABLE');
-    }
+    // Verificar stock del producto o de su variante
+    const { product, variant } = await ProductVariantService.resolveSellable(item.productId, item.variantId);
+    const available = ProductVariantService.getAvailableQty(product, variant);
 
-    if (product.stockQty < quantity) {
-      throw new AppError(`Stock insuficiente. Disponible: ${product.stockQty}`, 400, 'INSUFFICIENT_STOCK');
+    if (available < quantity) {
+      throw new AppError(`Stock insuficiente. Disponible: ${available}`, 400, 'INSUFFICIENT_STOCK');
     }
 
     // Actualizar cantidad y precio
     item.quantity = quantity;
-    item.priceAtTime = product.price; // Actualizar precio actual
+    item.priceAtTime = ProductVariantService.getUnitPrice(product, variant); // Actualizar precio actual
     await cart.save();
 
     // Poblar para respuesta
-    await cart.populate('items.productId', 'name price stockQty isActive sku');
+    await cart.populate([
+      { path: 'items.productId', select: 'name price stockQty reservedQty isActive sku hasVariants' },
+      { path: 'items.variantId', select: VARIANT_FIELDS }
+    ]);
 
     return this.formatCartData(cart);
   }
 
   // ===== REMOVER DEL CARRITO =====
-  static async removeFromCart(userId, itemId) {
-    const cart = await Cart.findOne({ userId });
+  static async removeFromCart(owner, itemId) {
+    const cart = await Cart.findOne(this.ownerFilter(owner));
     if (!cart) {
       throw new AppError('Carrito no encontrado', 404, 'CART_NOT_FOUND');
     }
@@ -153,19 +169,23 @@ class CartService {
     await cart.save();
 
     // Poblar para respuesta
-    await cart.populate('items.productId', 'name price stockQty isActive sku');
+    await cart.populate([
+      { path: 'items.productId', select: 'name price stockQty reservedQty isActive sku hasVariants' },
+      { path: 'items.variantId', select: VARIANT_FIELDS }
+    ]);
 
     return this.formatCartData(cart);
   }
 
   // ===== LIMPIAR CARRITO =====
-  static async clearCart(userId) {
-    let cart = await Cart.findOne({ userId });
+  static async clearCart(owner) {
+    let cart = await Cart.findOne(this.ownerFilter(owner));
     
     if (!cart) {
-      cart = await Cart.create({ userId, items: [] });
+      cart = new Cart({ ...this.ownerFilter(owner), items: [] });
     } else {
       cart.items = [];
+      cart.promotionCodes = [];
       await cart.save();
     }
 
@@ -173,43 +193,68 @@ class CartService {
   }
 
   // ===== OBTENER RESUMEN DEL CARRITO =====
-  static async getCartSummary(userId) {
-    const cart = await Cart.findOne({ userId })
-      .populate('items.productId', 'name price stockQty isActive');
+  static async getCartSummary(owner) {
+    const cart = await Cart.findOne(this.ownerFilter(owner))
+      .populate('items.productId', 'name price stockQty reservedQty isActive categories hasVariants')
+      .populate('items.variantId', VARIANT_FIELDS);
 
     if (!cart || cart.items.length === 0) {
       return {
         totalItems: 0,
         totalAmount: 0,
+        discountAmount: 0,
         currency: 'MXN',
         items: [],
+        promotionCodes: [],
         isEmpty: true
       };
     }
 
     // Filtrar productos disponibles
-    const availableItems = cart.items.filter(item => 
-      item.productId && 
-      item.productId.isActive && 
-      item.productId.stockQty >= item.quantity
+    const availableItems = cart.items.filter(item => {
+      const line = this.getLineState(item);
+      return line.isActive && line.available >= item.quantity;
+    });
+
+    const totalAmount = availableItems.reduce((total, item) => total + item.quantity * item.priceAtTime, 0);
+
+    // Descuentos estimados sobre productos (el envío se cotiza aparte con la
+    // dirección); los códigos que ya no aplican se reportan sin fallar
+    const pricing = await PromotionService.priceLines(
+      owner.userId || null,
+      this.buildPricingLines(availableItems),
+      cart.promotionCodes,
+      0
     );
 
     const summary = {
       totalItems: availableItems.reduce((total, item) => total + item.quantity, 0),
-      totalAmount: cart.totalAmount,
+      totalAmount,
+      discountAmount: pricing.discountAmount,
+      subtotalAfterDiscounts: Math.round((totalAmount - pricing.itemsDiscount) * 100) / 100,
       currency: 'MXN',
       itemsCount: availableItems.length,
-      items: availableItems.map(item => ({
-        productId: item.productId._id,
-        productName: item.productId.name,
-        quantity: item.quantity,
-        priceAtTime: item.priceAtTime,
-        currentPrice: item.productId.price,
-        subtotal: item.quantity * item.priceAtTime,
-        stockAvailable: item.productId.stockQty,
-        hasStockIssue: item.productId.stockQty < item.quantity,
-        hasPriceChange: item.priceAtTime !== item.productId.price
-      })),
+      items: availableItems.map((item, index) => {
+        const line = this.getLineState(item);
+
+        return {
+          productId: item.productId._id,
+          variantId: line.variant ? line.variant._id : null,
+          variantLabel: line.variant ? line.variant.label : null,
+          productName: item.productId.name,
+          quantity: item.quantity,
+          priceAtTime: item.priceAtTime,
+          currentPrice: line.price,
+          subtotal: item.quantity * item.priceAtTime,
+          discountAmount: pricing.lineDiscounts[index],
+          stockAvailable: line.available,
+          hasStockIssue: line.available < item.quantity,
+          hasPriceChange: item.priceAtTime !== line.price
+        };
+      }),
+      promotionCodes: cart.promotionCodes,
+      discounts: pricing.discounts.map(({ allocations, ...discount }) => discount),
+      rejectedPromotions: pricing.rejected,
       isEmpty: availableItems.length === 0,
       hasIssues: cart.items.length !== availableItems.length
     };
@@ -217,16 +262,105 @@ class CartService {
     return summary;
   }
 
+  // ===== COTIZAR ENVÍO =====
+  // Opciones por paquetería para la dirección, con el descuento de envío de
+  // las promociones aplicadas y el impuesto estimado de cada opción
+  static async getShippingQuote(owner, shippingAddress) {
+    const cart = await Cart.findOne(this.ownerFilter(owner))
+      .populate('items.productId', 'name price stockQty reservedQty isActive categories weight dimensions hasVariants')
+      .populate('items.variantId', VARIANT_FIELDS);
+
+    if (!cart || cart.items.length === 0) {
+      throw new AppError('El carrito está vacío', 400, 'CART_EMPTY');
+    }
+
+    const availableItems = cart.items.filter(item => this.getLineState(item).isActive);
+    const lines = this.buildPricingLines(availableItems);
+    const subtotal = lines.reduce((total, line) => total + line.unitPrice * line.quantity, 0);
+
+    const options = await PricingService.quoteShipping(shippingAddress, lines, subtotal);
+    const { promotions } = await PromotionService.priceLines(owner.userId || null, lines, cart.promotionCodes, 0);
+
+    const quotes = [];
+    for (const option of options) {
+      const pricing = PromotionService.calculateDiscounts(lines, promotions, option.cost);
+      const tax = await PricingService.calculateTax(shippingAddress, lines, pricing.lineDiscounts, {
+        amount: option.cost,
+        discount: pricing.shippingDiscount
+      });
+
+      quotes.push({
+        ...option,
+        shippingDiscount: pricing.shippingDiscount,
+        finalCost: Math.round((option.cost - pricing.shippingDiscount) * 100) / 100,
+        estimatedTax: tax.taxAmount,
+        estimatedTotal: Math.round(
+          (subtotal - pricing.discountAmount + option.cost + tax.taxAmount) * 100
+        ) / 100
+      });
+    }
+
+    return {
+      subtotal,
+      currency: 'MXN',
+      options: quotes
+    };
+  }
+
+  // ===== APLICAR CÓDIGO DE PROMOCIÓN =====
+  static async applyPromotionCode(owner, code) {
+    const cart = await Cart.findOne(this.ownerFilter(owner))
+      .populate('items.productId', 'name price stockQty reservedQty isActive categories hasVariants')
+      .populate('items.variantId', VARIANT_FIELDS);
+
+    if (!cart || cart.items.length === 0) {
+      throw new AppError('El carrito está vacío', 400, 'CART_EMPTY');
+    }
+
+    const normalizedCode = code.trim().toUpperCase();
+    if (cart.promotionCodes.includes(normalizedCode)) {
+      throw new AppError('Este código ya está aplicado', 400, 'PROMOTION_ALREADY_APPLIED');
+    }
+
+    const lines = this.buildPricingLines(cart.items.filter(item => this.getLineState(item).isActive));
+    await PromotionService.validateCode(normalizedCode, owner.userId || null, lines, cart.promotionCodes);
+
+    cart.promotionCodes.push(normalizedCode);
+    await cart.save();
+
+    return this.getCartSummary(owner);
+  }
+
+  // ===== REMOVER CÓDIGO DE PROMOCIÓN =====
+  static async removePromotionCode(owner, code) {
+    const cart = await Cart.findOne(this.ownerFilter(owner));
+    const normalizedCode = code.trim().toUpperCase();
+
+    if (!cart || !cart.promotionCodes.includes(normalizedCode)) {
+      throw new AppError('El código no está aplicado en el carrito', 404, 'PROMOTION_NOT_APPLIED');
+    }
+
+    cart.promotionCodes = cart.promotionCodes.filter(applied => applied !== normalizedCode);
+    await cart.save();
+
+    return this.getCartSummary(owner);
+  }
+
   // ===== OBTENER CONTADOR DEL CARRITO =====
-  static async getCartCount(userId) {
-    const cart = await Cart.findOne({ userId });
-    return cart ? cart.totalItems : 0;
+  static async getCartCount(owner) {
+    const cart = await Cart.findOne(this.ownerFilter(owner));
+
+    return {
+      totalItems: cart ? cart.totalItems : 0,
+      itemCount: cart ? cart.items.length : 0
+    };
   }
 
   // ===== VALIDAR CARRITO =====
-  static async validateCart(userId) {
-    const cart = await Cart.findOne({ userId })
-      .populate('items.productId', 'name price stockQty isActive');
+  static async validateCart(owner) {
+    const cart = await Cart.findOne(this.ownerFilter(owner))
+      .populate('items.productId', 'name price stockQty reservedQty isActive hasVariants')
+      .populate('items.variantId', VARIANT_FIELDS);
 
     if (!cart || cart.items.length === 0) {
       return {
@@ -252,26 +386,28 @@ class CartService {
         continue;
       }
 
-      if (!item.productId.isActive) {
-        issue.type = 'PRODUCT_INACTIVE';
+      const line = this.getLineState(item);
+
+      if (!line.isActive) {
+        issue.type = line.variant || !item.productId.hasVariants ? 'PRODUCT_INACTIVE' : 'VARIANT_UNAVAILABLE';
         issue.message = 'Producto no disponible';
         issues.push(issue);
         continue;
       }
 
-      if (item.productId.stockQty < item.quantity) {
+      if (line.available < item.quantity) {
         issue.type = 'INSUFFICIENT_STOCK';
-        issue.message = `Stock insuficiente. Disponible: ${item.productId.stockQty}, solicitado: ${item.quantity}`;
-        issue.availableStock = item.productId.stockQty;
+        issue.message = `Stock insuficiente. Disponible: ${line.available}, solicitado: ${item.quantity}`;
+        issue.availableStock = line.available;
         issues.push(issue);
         continue;
       }
 
-      if (item.priceAtTime !== item.productId.price) {
+      if (item.priceAtTime !== line.price) {
         issue.type = 'PRICE_CHANGED';
-        issue.message = `Precio actualizado. Anterior: $${item.priceAtTime}, Actual: $${item.productId.price}`;
+        issue.message = `Precio actualizado. Anterior: $${item.priceAtTime}, Actual: $${line.price}`;
         issue.oldPrice = item.priceAtTime;
-        issue.newPrice = item.productId.price;
+        issue.newPrice = line.price;
         issues.push(issue);
       }
 
@@ -287,9 +423,10 @@ class CartService {
   }
 
   // ===== VERIFICAR DISPONIBILIDAD =====
-  static async checkAvailability(userId) {
-    const cart = await Cart.findOne({ userId })
-      .populate('items.productId', 'name stockQty isActive');
+  static async checkAvailability(owner) {
+    const cart = await Cart.findOne(this.ownerFilter(owner))
+      .populate('items.productId', 'name stockQty reservedQty isActive hasVariants')
+      .populate('items.variantId', VARIANT_FIELDS);
 
     if (!cart || cart.items.length === 0) {
       return {
@@ -301,13 +438,16 @@ class CartService {
     const unavailableItems = [];
 
     for (const item of cart.items) {
-      if (!item.productId || !item.productId.isActive || item.productId.stockQty < item.quantity) {
+      const line = this.getLineState(item);
+
+      if (!line.isActive || line.available < item.quantity) {
         unavailableItems.push({
           itemId: item._id,
           productName: item.productId?.name || 'Producto eliminado',
+          variantLabel: line.variant ? line.variant.label : null,
           requestedQuantity: item.quantity,
-          availableStock: item.productId?.stockQty || 0,
-          isActive: item.productId?.isActive || false
+          availableStock: line.available,
+          isActive: line.isActive
         });
       }
     }
@@ -331,7 +471,7 @@ class CartService {
       throw new AppError('Item no encontrado en el carrito', 404, 'CART_ITEM_NOT_FOUND');
     }
 
-    const productId = item.productId;
+    const { productId, variantId } = item;
 
     // Obtener o crear wishlist
     const Wishlist = require('../models/Wishlist');
@@ -340,15 +480,12 @@ class CartService {
       wishlist = await Wishlist.create({ userId, items: [] });
     }
 
-    // Verificar si el producto ya está en wishlist
-    const existsInWishlist = wishlist.items.some(
-      wishItem => wishItem.productId.toString() === productId.toString()
-    );
-
-    if (!existsInWishlist) {
+    // Verificar si el producto (misma variante) ya está en wishlist
+    if (!wishlist.hasItem(productId, variantId)) {
       // Agregar a wishlist
       wishlist.items.push({
         productId: productId,
+        variantId,
         addedAt: new Date()
       });
       await wishlist.save();
@@ -359,8 +496,14 @@ class CartService {
     await cart.save();
 
     // Poblar para respuesta
-    await cart.populate('items.productId', 'name price stockQty isActive sku');
-    await wishlist.populate('items.productId', 'name price stockQty isActive sku');
+    await cart.populate([
+      { path: 'items.productId', select: 'name price stockQty reservedQty isActive sku hasVariants' },
+      { path: 'items.variantId', select: VARIANT_FIELDS }
+    ]);
+    await wishlist.populate([
+      { path: 'items.productId', select: 'name price stockQty reservedQty isActive sku' },
+      { path: 'items.variantId', select: VARIANT_FIELDS }
+    ]);
 
     return {
       cart: this.formatCartData(cart),
@@ -369,10 +512,143 @@ class CartService {
     };
   }
 
+  // ===== FUSIONAR CARRITO DE INVITADO =====
+  // Al iniciar sesión o registrarse, el carrito del invitado (y los productos
+  // que el cliente guardó localmente) se integran al del usuario. Reglas: las
+  // cantidades de una misma línea se suman hasta el stock disponible, el
+  // precio se actualiza al vigente y las líneas que ya no se pueden vender se
+  // descartan. Cada ajuste queda en el reporte. Devuelve null si no hubo nada
+  // que fusionar.
+  static async mergeCart(userId, { guestId = null, items = [] } = {}) {
+    return withTransaction(async (session) => {
+      // Reclamar el carrito de invitado de forma atómica: dos logins
+      // simultáneos con el mismo token no lo fusionan dos veces
+      const guestCart = guestId
+        ? await Cart.findOneAndDelete({ guestId }).session(session)
+        : null;
+
+      const incomingLines = [...(guestCart ? guestCart.items : []), ...items];
+      const promotionCodes = guestCart ? guestCart.promotionCodes : [];
+
+      if (incomingLines.length === 0 && promotionCodes.length === 0) {
+        return null;
+      }
+
+      return this.mergeLines(userId, incomingLines, promotionCodes, session);
+    });
+  }
+
+  static async mergeLines(userId, incomingLines, promotionCodes, session) {
+    let cart = await Cart.findOne({ userId }).session(session);
+    if (!cart) {
+      cart = new Cart({ userId, items: [] });
+    }
+
+    const lines = [];
+
+    for (const incoming of incomingLines) {
+      const productId = incoming.productId;
+      const variantId = incoming.variantId || null;
+      const entry = {
+        productId,
+        variantId,
+        productName: null,
+        variantLabel: null,
+        requestedQuantity: incoming.quantity,
+        adjustments: []
+      };
+
+      let product;
+      let variant;
+      try {
+        ({ product, variant } = await ProductVariantService.resolveSellable(productId, variantId, session));
+      } catch (error) {
+        if (!(error instanceof AppError)) throw error;
+
+        lines.push({ ...entry, action: CART_MERGE_ACTIONS.REMOVED, quantity: 0, reason: error.errorCode, message: error.message });
+        continue;
+      }
+
+      entry.productName = product.name;
+      entry.variantLabel = variant ? variant.label : null;
+
+      const available = ProductVariantService.getAvailableQty(product, variant);
+      const price = ProductVariantService.getUnitPrice(product, variant);
+      const existing = cart.findLine(productId, variantId);
+      const requested = (existing ? existing.quantity : 0) + incoming.quantity;
+      const quantity = Math.min(requested, available);
+
+      if (quantity < 1) {
+        lines.push({
+          ...entry,
+          action: CART_MERGE_ACTIONS.REMOVED,
+          quantity: existing ? existing.quantity : 0,
+          reason: 'OUT_OF_STOCK',
+          message: 'Producto sin stock disponible'
+        });
+        continue;
+      }
+
+      if (quantity < requested) {
+        entry.adjustments.push({
+          type: CART_MERGE_ACTIONS.QUANTITY_CAPPED,
+          message: `Cantidad ajustada al stock disponible. Solicitado: ${requested}, disponible: ${available}`,
+          requestedQuantity: requested,
+          availableStock: available
+        });
+      }
+
+      const previousPrices = [incoming.priceAtTime, existing && existing.priceAtTime]
+        .filter(previous => previous !== undefined && previous !== null && previous !== price);
+
+      if (previousPrices.length > 0) {
+        entry.adjustments.push({
+          type: CART_MERGE_ACTIONS.PRICE_UPDATED,
+          message: `Precio actualizado. Anterior: $${previousPrices[0]}, Actual: $${price}`,
+          oldPrice: previousPrices[0],
+          newPrice: price
+        });
+      }
+
+      if (existing) {
+        existing.quantity = quantity;
+        existing.priceAtTime = price;
+      } else {
+        cart.items.push({ productId, variantId, quantity, priceAtTime: price });
+      }
+
+      lines.push({ ...entry, action: existing ? CART_MERGE_ACTIONS.MERGED : CART_MERGE_ACTIONS.ADDED, quantity });
+    }
+
+    // Los códigos se revalidan en cada resumen y al pagar
+    const promotionCodesAdded = promotionCodes.filter(code => !cart.promotionCodes.includes(code));
+    cart.promotionCodes.push(...promotionCodesAdded);
+
+    cart.updatedAt = new Date();
+    await cart.save({ session });
+
+    await cart.populate([
+      { path: 'items.productId', select: 'name price stockQty reservedQty isActive sku hasVariants' },
+      { path: 'items.variantId', select: VARIANT_FIELDS }
+    ]);
+
+    return {
+      cart: this.formatCartData(cart),
+      report: {
+        lines,
+        promotionCodesAdded,
+        mergedCount: lines.filter(line => line.action !== CART_MERGE_ACTIONS.REMOVED).length,
+        adjustedCount: lines.filter(line => line.adjustments.length > 0).length,
+        removedCount: lines.filter(line => line.action === CART_MERGE_ACTIONS.REMOVED).length
+      }
+    };
+  }
+
   // ===== SINCRONIZAR PRECIOS =====
-  static async syncCartPrices(userId) {
-    const cart = await Cart.findOne({ userId })
-      .populate('items.productId', 'price isActive');
+  static async syncCartPrices(owner) {
+    const cart = await Cart.findOne(this.ownerFilter(owner))
+      .populate('items.productId', 'price isActive hasVariants')
+      .populate('items.variantId', VARIANT_FIELDS);
 
     if (!cart || cart.items.length === 0) {
       return { message: 'Carrito vacío', updated: 0 };
@@ -381,11 +657,11 @@ class CartService {
     let updatedCount = 0;
 
     cart.items.forEach(item => {
-      if (item.productId && item.productId.isActive) {
-        if (item.priceAtTime !== item.productId.price) {
-          item.priceAtTime = item.productId.price;
-          updatedCount++;
-        }
+      const line = this.getLineState(item);
+
+      if (line.isActive && item.priceAtTime !== line.price) {
+        item.priceAtTime = line.price;
+        updatedCount++;
       }
     });
 
@@ -401,14 +677,24 @@ class CartService {
 
   // ===== UTILITY METHODS =====
 
+  // Filtro del carrito según su dueño: { userId } o { guestId }
+  static ownerFilter(owner) {
+    if (owner && owner.userId) return { userId: owner.userId };
+    if (owner && owner.guestId) return { guestId: owner.guestId };
+
+    throw new AppError('No se pudo identificar el carrito', 400, 'CART_OWNER_REQUIRED');
+  }
+
   // Formatear datos del carrito para respuesta
   static formatCartData(cart) {
     return {
       id: cart._id,
-      userId: cart.userId,
+      userId: cart.userId || null,
+      isGuest: !cart.userId,
       items: cart.items.map(item => ({
         id: item._id,
         productId: item.productId._id || item.productId,
+        variantId: item.variantId ? (item.variantId._id || item.variantId) : null,
         product: item.productId.name ? {
           id: item.productId._id,
           name: item.productId.name,
@@ -417,6 +703,7 @@ class CartService {
           stockQty: item.productId.stockQty,
           isActive: item.productId.isActive
         } : null,
+        variant: this.formatVariantSummary(item.variantId),
         quantity: item.quantity,
         priceAtTime: item.priceAtTime,
         subtotal: item.quantity * item.priceAtTime,
@@ -424,6 +711,7 @@ class CartService {
       })),
       totalItems: cart.totalItems,
       totalAmount: cart.totalAmount,
+      promotionCodes: cart.promotionCodes,
       createdAt: cart.createdAt,
       updatedAt: cart.updatedAt
     };
@@ -437,6 +725,8 @@ class CartService {
       items: wishlist.items.map(item => ({
         id: item._id,
         productId: item.productId._id || item.productId,
+        variantId: item.variantId ? (item.variantId._id || item.variantId) : null,
+        variant: this.formatVariantSummary(item.variantId),
         product: item.productId.name ? {
           id: item.productId._id,
           name: item.productId.name,
@@ -453,21 +743,76 @@ class CartService {
     };
   }
 
-  // Verificar si un producto está en el carrito
-  static async isProductInCart(userId, productId) {
-    const cart = await Cart.findOne({ userId });
+  // Líneas de precio para el motor de promociones (items con producto poblado)
+  static buildPricingLines(items) {
+    return items.map(item => ({
+      productId: item.productId._id,
+      categories: item.productId.categories,
+      quantity: item.quantity,
+      unitPrice: item.priceAtTime,
+      weight: ProductVariantService.getUnitWeight(item.productId, this.getLineState(item).variant),
+      dimensions: item.productId.dimensions
+    }));
+  }
+
+  // Estado vigente de una línea con producto y variante poblados: la variante
+  // manda en precio y stock. Una línea sin variante de un producto que ahora
+  // tiene variantes (o cuya variante se eliminó) deja de estar activa.
+  static getLineState(item) {
+    const product = item.productId && item.productId._id ? item.productId : null;
+    const variant = item.variantId && item.variantId._id ? item.variantId : null;
+
+    if (!product) {
+      return { isActive: false, available: 0, price: item.priceAtTime, variant: null };
+    }
+
+    const isActive = product.isActive && (variant ? variant.isActive : !product.hasVariants);
+
+    return {
+      isActive,
+      available: isActive ? ProductVariantService.getAvailableQty(product, variant) : 0,
+      price: ProductVariantService.getUnitPrice(product, variant),
+      variant
+    };
+  }
+
+  // Datos mínimos de la variante para respuesta (null si no aplica)
+  static formatVariantSummary(variant) {
+    if (!variant || !variant._id) return null;
+
+    return {
+      id: variant._id,
+      sku: variant.sku,
+      label: variant.label,
+      options: variant.options ? Object.fromEntries(variant.options) : {},
+      price: variant.price,
+      isActive: variant.isActive
+    };
+  }
+
+  // Verificar si un producto (o una variante concreta) está en el carrito
+  static async isProductInCart(owner, productId, variantId = null) {
+    const cart = await Cart.findOne(this.ownerFilter(owner));
     if (!cart) return false;
 
-    return cart.items.some(item => item.productId.toString() === productId.toString());
+    return variantId
+      ? Boolean(cart.findLine(productId, variantId))
+      : cart.items.some(item => item.productId.toString() === productId.toString());
   }
 
-  // Obtener cantidad de un producto en el carrito
-  static async getProductQuantityInCart(userId, productId) {
-    const cart = await Cart.findOne({ userId });
+  // Obtener cantidad de un producto (todas sus variantes o una concreta) en el carrito
+  static async getProductQuantityInCart(owner, productId, variantId = null) {
+    const cart = await Cart.findOne(this.ownerFilter(owner));
     if (!cart) return 0;
 
-    const item = cart.items.find(item => item.productId.toString() === productId.toString());
-    return item ? item.quantity : 0;
+    if (variantId) {
+      const item = cart.findLine(productId, variantId);
+      return item ? item.quantity : 0;
+    }
+
+    return cart.items
+      .filter(item => item.productId.toString() === productId.toString())
+      .reduce((total, item) => total + item.quantity, 0);
   }
 }
 
@@ -2,6 +2,8 @@ const Category = require('../models/Category');
 const Product = require('../models/Product');
 const { AppError } = require('../middlewares/errorHandler');
 const { calculatePagination } = require('../middlewares/responseFormatter');
+const MediaService = require('./mediaService');
+const { MEDIA_USAGES } = require('../config/constants');
 
 class CategoryService {
   // ===== OBTENER TODAS LAS CATEGORÍAS =====
@@ -116,6 +118,7 @@ class CategoryService {
     }
 
     await Category.findByIdAndDelete(categoryId);
+    await MediaService.deleteOwnerMedia(MEDIA_USAGES.CATEGORY_IMAGE, categoryId);
 
     return { message: 'Categoría eliminada exitosamente' };
   }
@@ -340,6 +343,7 @@ class CategoryService {
       name: category.name,
       slug: category.slug,
       description: category.description,
+      image: MediaService.formatMediaReference(category.image),
       parentId: category.parentId,
       isActive: category.isActive,
       order: category.order,
@@ -1,9 +1,12 @@
 const Comment = require('../models/Comment');
 const Product = require('../models/Product');
 const Post = require('../models/Post');
+const RoleService = require('./roleService');
+const DomainEventService = require('./domainEventService');
+const { withTransaction } = require('../config/database');
 const { AppError } = require('../middlewares/errorHandler');
 const { calculatePagination } = require('../middlewares/responseFormatter');
-const { TARGET_TYPES } = require('../config/constants');
+const { TARGET_TYPES, PERMISSIONS, DOMAIN_EVENTS } = require('../config/constants');
 
 class CommentService {
   // ===== CREAR COMENTARIO =====
@@ -31,13 +34,26 @@ class CommentService {
       }
     }
 
-    // Crear comentario
-    const comment = await Comment.create({
-      userId,
-      parentType,
-      parentId,
-      content,
-      parentCommentId: parentCommentId || null
+    // Crear comentario junto con su evento CommentCreated (notificaciones y
+    // tiempo real los atienden sus suscriptores)
+    const comment = await withTransaction(async (session) => {
+      const [comment] = await Comment.create([{
+        userId,
+        parentType,
+        parentId,
+        content,
+        parentCommentId: parentCommentId || null
+      }], { session });
+
+      await DomainEventService.emit(DOMAIN_EVENTS.COMMENT_CREATED, {
+        commentId: comment._id,
+        userId,
+        parentType,
+        parentId,
+        parentCommentId: comment.parentCommentId
+      }, { session, actorId: userId });
+
+      return comment;
     });
 
     // Poblar para respuesta
@@ -190,14 +206,14 @@ class CommentService {
   }
 
   // ===== ELIMINAR COMENTARIO =====
-  static async deleteComment(commentId, userId, userRole = null) {
+  static async deleteComment(commentId, userId, permissions = null) {
     const comment = await Comment.findById(commentId);
     if (!comment) {
       throw new AppError('Comentario no encontrado', 404, 'COMMENT_NOT_FOUND');
     }
 
     // Verificar permisos
-    if (userRole !== 'admin' && comment.userId.toString() !== userId.toString()) {
+    if (!RoleService.includesPermission(permissions, PERMISSIONS.CONTENT_MODERATE) && comment.userId.toString() !== userId.toString()) {
       throw new AppError('Solo puedes eliminar tus propios comentarios', 403, 'NOT_COMMENT_AUTHOR');
     }
 
@@ -337,14 +353,16 @@ class CommentService {
     let exists = false;
 
     switch (parentType) {
-      case TARGET_TYPES.PRODUCT:
+      case TARGET_TYPES.PRODUCT: {
         const product = await Product.findById(parentId);
         exists = product && product.isActive;
         break;
-      case TARGET_TYPES.POST:
+      }
+      case TARGET_TYPES.POST: {
         const post = await Post.findById(parentId);
         exists = !!post;
         break;
+      }
       // Agregar más tipos según sea necesario
       default:
         throw new AppError('Tipo de elemento no soportado', 400, 'UNSUPPORTED_PARENT_TYPE');
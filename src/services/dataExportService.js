@@ -0,0 +1,326 @@
+const DataExport = require('../models/DataExport');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const ReturnRequest = require('../models/ReturnRequest');
+const Review = require('../models/Review');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Reaction = require('../models/Reaction');
+const Follow = require('../models/Follow');
+const Wishlist = require('../models/Wishlist');
+const LoginEvent = require('../models/LoginEvent');
+const MailService = require('./mailService');
+const ZipArchive = require('./privacy/zipArchive');
+const { getStorage } = require('./storage');
+const { AppError } = require('../middlewares/errorHandler');
+const {
+  DATA_EXPORT_FORMATS,
+  DATA_EXPORT_STATUS,
+  DATA_EXPORT_STORAGE_DRIVER,
+  DATA_EXPORT_TTL_HOURS,
+  DATA_EXPORT_COOLDOWN_MINUTES,
+  DATA_EXPORT_STALE_MINUTES,
+  APP_URL
+} = require('../config/constants');
+
+// Campos internos que nunca forman parte de la exportación
+const USER_EXCLUDED_FIELDS = '-passwordHash -twoFactor -loginSecurity -__v';
+
+const CONTENT_TYPES = {
+  [DATA_EXPORT_FORMATS.JSON]: 'application/json; charset=utf-8',
+  [DATA_EXPORT_FORMATS.ZIP]: 'application/zip'
+};
+
+class DataExportService {
+  // ===== SOLICITAR EXPORTACIÓN =====
+  // Registra la solicitud y la procesa en segundo plano; el usuario recibe un
+  // email cuando el archivo está listo para descargar
+  static async requestExport(userId, { format = DATA_EXPORT_FORMATS.ZIP } = {}) {
+    const inProgress = await DataExport.exists({
+      userId,
+      status: { $in: [DATA_EXPORT_STATUS.PENDING, DATA_EXPORT_STATUS.PROCESSING] }
+    });
+
+    if (inProgress) {
+      throw new AppError('Ya tienes una exportación en proceso', 409, 'DATA_EXPORT_IN_PROGRESS');
+    }
+
+    const cooldownStart = new Date(Date.now() - DATA_EXPORT_COOLDOWN_MINUTES * 60 * 1000);
+    const recent = await DataExport.findOne({
+      userId,
+      status: { $ne: DATA_EXPORT_STATUS.FAILED },
+      createdAt: { $gte: cooldownStart }
+    }).sort({ createdAt: -1 });
+
+    if (recent) {
+      const retryAfter = new Date(recent.createdAt.getTime() + DATA_EXPORT_COOLDOWN_MINUTES * 60 * 1000);
+      throw new AppError(
+        `Solo puedes solicitar una exportación cada ${DATA_EXPORT_COOLDOWN_MINUTES} minutos`,
+        429,
+        'DATA_EXPORT_TOO_SOON',
+        { retryAfter }
+      );
+    }
+
+    const dataExport = await DataExport.create({ userId, format });
+
+    setImmediate(() => {
+      this.processExport(dataExport._id).catch(error => {
+        console.error(`❌ Error procesando la exportación ${dataExport._id}:`, error.message);
+      });
+    });
+
+    return this.formatExportData(dataExport);
+  }
+
+  // ===== PROCESAR EXPORTACIÓN =====
+  // El cambio PENDING → PROCESSING es atómico: si el barrido y la solicitud
+  // intentan procesar la misma exportación, solo uno la genera
+  static async processExport(exportId) {
+    const dataExport = await DataExport.findOneAndUpdate(
+      { _id: exportId, status: DATA_EXPORT_STATUS.PENDING },
+      { $set: { status: DATA_EXPORT_STATUS.PROCESSING, startedAt: new Date(), error: null } },
+      { new: true }
+    );
+
+    if (!dataExport) return null;
+
+    try {
+      const user = await User.findById(dataExport.userId);
+      if (!user || user.isDeleted) {
+        throw new AppError('Usuario no encontrado', 404, 'USER_NOT_FOUND');
+      }
+
+      const data = await this.collectUserData(user._id);
+      const { buffer, extension } = this.buildFile(data, dataExport.format);
+      const storageKey = `${user._id}/${dataExport._id}.${extension}`;
+
+      await getStorage(DATA_EXPORT_STORAGE_DRIVER).put(storageKey, buffer, CONTENT_TYPES[dataExport.format]);
+
+      dataExport.status = DATA_EXPORT_STATUS.READY;
+      dataExport.storageKey = storageKey;
+      dataExport.fileName = `destello-shop-datos-${new Date().toISOString().slice(0, 10)}.${extension}`;
+      dataExport.contentType = CONTENT_TYPES[dataExport.format];
+      dataExport.size = buffer.length;
+      dataExport.counts = this.countSections(data);
+      dataExport.completedAt = new Date();
+      dataExport.expiresAt = new Date(Date.now() + DATA_EXPORT_TTL_HOURS * 60 * 60 * 1000);
+      await dataExport.save();
+
+      await MailService.sendTemplateSafely('dataExportReady', user.email, {
+        firstName: user.firstName,
+        downloadUrl: `${APP_URL}/account/privacy`,
+        expiresAt: dataExport.expiresAt
+      });
+    } catch (error) {
+      dataExport.status = DATA_EXPORT_STATUS.FAILED;
+      dataExport.error = error.message;
+      dataExport.completedAt = new Date();
+      await dataExport.save();
+    }
+
+    return dataExport;
+  }
+
+  // ===== LISTAR EXPORTACIONES DEL USUARIO =====
+  static async getUserExports(userId, limit = 10) {
+    const exports = await DataExport.find({ userId })
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    return exports.map(dataExport => this.formatExportData(dataExport));
+  }
+
+  // ===== DESCARGAR EXPORTACIÓN =====
+  static async getExportFile(userId, exportId) {
+    const dataExport = await DataExport.findOne({ _id: exportId, userId });
+
+    if (!dataExport) {
+      throw new AppError('Exportación no encontrada', 404, 'DATA_EXPORT_NOT_FOUND');
+    }
+
+    if (dataExport.status === DATA_EXPORT_STATUS.EXPIRED || (dataExport.expiresAt && dataExport.expiresAt <= new Date())) {
+      throw new AppError('La exportación expiró, solicita una nueva', 410, 'DATA_EXPORT_EXPIRED');
+    }
+
+    if (dataExport.status !== DATA_EXPORT_STATUS.READY) {
+      throw new AppError('La exportación todavía no está lista', 409, 'DATA_EXPORT_NOT_READY');
+    }
+
+    const buffer = await getStorage(DATA_EXPORT_STORAGE_DRIVER).get(dataExport.storageKey);
+    if (!buffer) {
+      throw new AppError('El archivo de la exportación ya no está disponible', 410, 'DATA_EXPORT_EXPIRED');
+    }
+
+    await DataExport.updateOne(
+      { _id: dataExport._id },
+      { $inc: { downloadCount: 1 }, $set: { lastDownloadedAt: new Date() } }
+    );
+
+    return {
+      buffer,
+      fileName: dataExport.fileName,
+      contentType: dataExport.contentType
+    };
+  }
+
+  // ===== ELIMINAR EXPORTACIONES DEL USUARIO =====
+  // Se usa al borrar la cuenta: los archivos contienen datos personales
+  static async deleteUserExports(userId) {
+    const exports = await DataExport.find({ userId, storageKey: { $ne: null } });
+
+    for (const dataExport of exports) {
+      await getStorage(DATA_EXPORT_STORAGE_DRIVER).delete(dataExport.storageKey);
+    }
+
+    await DataExport.deleteMany({ userId });
+  }
+
+  // ===== RECOPILAR DATOS =====
+  // Todo lo que la tienda guarda asociado al usuario, agrupado por sección
+  static async collectUserData(userId) {
+    const user = await User.findById(userId).select(USER_EXCLUDED_FIELDS).lean();
+
+    const [
+      orders,
+      returns,
+      reviews,
+      posts,
+      comments,
+      reactions,
+      following,
+      followers,
+      wishlist,
+      loginHistory
+    ] = await Promise.all([
+      Order.find({ userId }).select('-__v').sort({ createdAt: -1 }).lean(),
+      ReturnRequest.find({ userId }).select('-__v').sort({ createdAt: -1 }).lean(),
+      Review.find({ userId }).select('-__v').sort({ createdAt: -1 }).lean(),
+      Post.find({ userId }).select('-__v').sort({ createdAt: -1 }).lean(),
+      Comment.find({ userId }).select('-__v').sort({ createdAt: -1 }).lean(),
+      Reaction.find({ userId }).select('-__v').sort({ createdAt: -1 }).lean(),
+      Follow.find({ userId }).select('targetUserId createdAt').lean(),
+      Follow.find({ targetUserId: userId }).select('userId createdAt').lean(),
+      Wishlist.findOne({ userId }).select('-__v').lean(),
+      LoginEvent.find({ userId }).select('-__v -deviceKey').sort({ createdAt: -1 }).lean()
+    ]);
+
+    const { addresses, ...profile } = user;
+
+    return {
+      exportedAt: new Date().toISOString(),
+      profile,
+      addresses: addresses || [],
+      orders,
+      returns,
+      reviews,
+      posts,
+      comments,
+      reactions,
+      follows: {
+        following: following.map(follow => ({ userId: follow.targetUserId, since: follow.createdAt })),
+        followers: followers.map(follow => ({ userId: follow.userId, since: follow.createdAt }))
+      },
+      wishlist: wishlist ? wishlist.items : [],
+      loginHistory
+    };
+  }
+
+  // JSON: un solo documento. ZIP: un archivo JSON por sección
+  static buildFile(data, format) {
+    if (format === DATA_EXPORT_FORMATS.JSON) {
+      return {
+        buffer: Buffer.from(JSON.stringify(data, null, 2), 'utf8'),
+        extension: 'json'
+      };
+    }
+
+    const { exportedAt, ...sections } = data;
+    const archive = new ZipArchive();
+
+    archive.addFile('LEEME.txt', [
+      'Exportación de datos personales - Destello Shop',
+      `Generada el ${exportedAt}`,
+      '',
+      'Cada archivo JSON contiene una sección de la información asociada a tu cuenta.'
+    ].join('\n'));
+
+    for (const [section, content] of Object.entries(sections)) {
+      archive.addFile(`${section}.json`, JSON.stringify(content, null, 2));
+    }
+
+    return { buffer: archive.toBuffer(), extension: 'zip' };
+  }
+
+  static countSections(data) {
+    const counts = {};
+
+    for (const [section, content] of Object.entries(data)) {
+      if (Array.isArray(content)) {
+        counts[section] = content.length;
+      }
+    }
+
+    counts.follows = data.follows.following.length + data.follows.followers.length;
+
+    return counts;
+  }
+
+  // ===== BARRER EXPORTACIONES =====
+  // Retoma las pendientes (p. ej. tras un reinicio), reintenta las abandonadas
+  // a medio proceso y elimina los archivos vencidos. Lo ejecuta cada 15 minutos
+  // el trabajo privacy.sweep_exports
+  static async sweepExports(now = new Date()) {
+    const staleStart = new Date(now.getTime() - DATA_EXPORT_STALE_MINUTES * 60 * 1000);
+
+    await DataExport.updateMany(
+      { status: DATA_EXPORT_STATUS.PROCESSING, startedAt: { $lte: staleStart } },
+      { $set: { status: DATA_EXPORT_STATUS.PENDING } }
+    );
+
+    const pending = await DataExport.find({ status: DATA_EXPORT_STATUS.PENDING }).select('_id');
+    for (const dataExport of pending) {
+      await this.processExport(dataExport._id);
+    }
+
+    const expired = await DataExport.find({
+      status: DATA_EXPORT_STATUS.READY,
+      expiresAt: { $lte: now }
+    });
+
+    for (const dataExport of expired) {
+      try {
+        await getStorage(DATA_EXPORT_STORAGE_DRIVER).delete(dataExport.storageKey);
+        dataExport.status = DATA_EXPORT_STATUS.EXPIRED;
+        dataExport.storageKey = null;
+        await dataExport.save();
+      } catch (error) {
+        console.error(`❌ Error eliminando la exportación ${dataExport._id}:`, error.message);
+      }
+    }
+
+    return {
+      processed: pending.length,
+      expired: expired.length
+    };
+  }
+
+  // ===== MÉTODOS AUXILIARES =====
+
+  static formatExportData(dataExport) {
+    return {
+      id: dataExport._id,
+      format: dataExport.format,
+      status: dataExport.status,
+      size: dataExport.size,
+      counts: dataExport.counts ? Object.fromEntries(dataExport.counts) : {},
+      error: dataExport.error,
+      downloadable: dataExport.isDownloadable,
+      requestedAt: dataExport.createdAt,
+      completedAt: dataExport.completedAt,
+      expiresAt: dataExport.expiresAt
+    };
+  }
+}
+
+module.exports = DataExportService;
@@ -0,0 +1,380 @@
+const os = require('os');
+const crypto = require('crypto');
+const OutboxEvent = require('../models/OutboxEvent');
+const { getEventDefinition, getEventDefinitions } = require('./events/catalog');
+const { AppError } = require('../middlewares/errorHandler');
+const { calculatePagination } = require('../middlewares/responseFormatter');
+const {
+  OUTBOX_STATUS,
+  OUTBOX_DISPATCH_INTERVAL_MS,
+  OUTBOX_LOCK_MS,
+  OUTBOX_HANDLER_TIMEOUT_MS,
+  OUTBOX_MAX_ATTEMPTS,
+  OUTBOX_RETRY_BASE_SECONDS,
+  OUTBOX_RETRY_MAX_SECONDS,
+  OUTBOX_DISPATCHED_RETENTION_DAYS,
+  OUTBOX_FAILED_RETENTION_DAYS
+} = require('../config/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Identifica a este proceso en lockedBy
+const dispatcherId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+let dispatchTimer = null;
+let isStarted = false;
+let isDispatching = false;
+// Llegaron eventos nuevos mientras se despachaba: dar otra vuelta al terminar
+let hasPendingKick = false;
+
+// Require diferido: los suscriptores dependen de los servicios que emiten eventos
+const getSubscribers = (type) => require('./events').getSubscribers(type);
+
+class DomainEventService {
+  // ===== EMITIR EVENTO =====
+  // Guarda el evento en el outbox con la sesión del cambio: se confirma o se
+  // revierte junto con él. Al confirmarse, el despachador lo entrega sin
+  // esperar a su siguiente vuelta. Un payload que no cumple el esquema del
+  // catálogo es un error de programación y revierte la transacción
+  static async emit(type, payload, { session = null, actorId = null } = {}) {
+    const definition = getEventDefinition(type);
+    if (!definition) {
+      throw new AppError(`Evento de dominio no registrado: ${type}`, 500, 'DOMAIN_EVENT_NOT_REGISTERED');
+    }
+
+    const { error, value } = definition.schema.validate(JSON.parse(JSON.stringify(payload)));
+    if (error) {
+      throw new AppError(`Evento ${type} inválido: ${error.details[0].message}`, 500, 'INVALID_DOMAIN_EVENT');
+    }
+
+    const [event] = await OutboxEvent.create([{
+      type,
+      aggregateType: definition.aggregateType,
+      aggregateId: value[definition.aggregateKey],
+      payload: value,
+      actorId
+    }], { session });
+
+    if (session && session.inTransaction()) {
+      session.once('ended', () => {
+        if (session.transaction.isCommitted) this.kick();
+      });
+    } else {
+      this.kick();
+    }
+
+    return event;
+  }
+
+  // ===== INICIAR / DETENER DESPACHADOR =====
+  static startDispatcher() {
+    if (isStarted) return;
+    isStarted = true;
+
+    dispatchTimer = setInterval(() => this.dispatchPending(), OUTBOX_DISPATCH_INTERVAL_MS);
+    dispatchTimer.unref();
+
+    // Lo que quedó pendiente antes de reiniciar
+    this.kick();
+  }
+
+  // Un evento a medio despachar vuelve a estar disponible al vencer su bloqueo
+  static stopDispatcher() {
+    isStarted = false;
+
+    if (dispatchTimer) {
+      clearInterval(dispatchTimer);
+      dispatchTimer = null;
+    }
+  }
+
+  static kick() {
+    if (!isStarted) return;
+    this.dispatchPending();
+  }
+
+  // ===== DESPACHO =====
+  // Reclama y despacha eventos de uno en uno, del más antiguo al más nuevo,
+  // hasta que no quede ninguno disponible
+  static async dispatchPending() {
+    if (isDispatching) {
+      hasPendingKick = true;
+      return 0;
+    }
+    isDispatching = true;
+
+    let dispatched = 0;
+    try {
+      do {
+        hasPendingKick = false;
+
+        let event;
+        while (isStarted && (event = await this.claimEvent())) {
+          await this.dispatchEvent(event);
+          dispatched++;
+        }
+      } while (isStarted && hasPendingKick);
+    } catch (error) {
+      console.error('❌ Error despachando eventos de dominio:', error.message);
+    } finally {
+      isDispatching = false;
+    }
+
+    return dispatched;
+  }
+
+  // Reclamo atómico: solo una instancia despacha cada evento a la vez. Un
+  // bloqueo vencido (la instancia murió) cuenta como intento fallido
+  static async claimEvent(now = new Date()) {
+    return OutboxEvent.findOneAndUpdate(
+      {
+        status: OUTBOX_STATUS.PENDING,
+        availableAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+      },
+      {
+        $set: {
+          lockedBy: dispatcherId,
+          lockedUntil: new Date(now.getTime() + OUTBOX_LOCK_MS)
+        },
+        $inc: { attempts: 1 }
+      },
+      { new: true, sort: { occurredAt: 1, _id: 1 } }
+    );
+  }
+
+  // Corre los suscriptores que aún no lo procesaron. Cada éxito se registra
+  // en handledBy, así un reintento solo repite los que fallaron
+  static async dispatchEvent(event) {
+    const domainEvent = this.toDomainEvent(event);
+    const pending = getSubscribers(event.type).filter(subscriber => !event.handledBy.includes(subscriber.name));
+    const failures = [];
+
+    for (const subscriber of pending) {
+      try {
+        await this.withTimeout(subscriber.handler(domainEvent), OUTBOX_HANDLER_TIMEOUT_MS);
+        await OutboxEvent.updateOne(this.lockFilter(event), { $addToSet: { handledBy: subscriber.name } });
+      } catch (error) {
+        failures.push(`${subscriber.name}: ${error.message}`);
+      }
+    }
+
+    if (failures.length === 0) {
+      await this.completeEvent(event);
+    } else {
+      await this.failEvent(event, failures.join(' | '));
+    }
+  }
+
+  static async completeEvent(event) {
+    const now = new Date();
+
+    await OutboxEvent.updateOne(this.lockFilter(event), {
+      $set: {
+        status: OUTBOX_STATUS.DISPATCHED,
+        dispatchedAt: now,
+        lastError: null,
+        lockedBy: null,
+        lockedUntil: null,
+        expiresAt: new Date(now.getTime() + OUTBOX_DISPATCHED_RETENTION_DAYS * DAY_MS)
+      }
+    });
+  }
+
+  // Reintento con espera exponencial o, sin intentos restantes, FAILED para
+  // revisarlo desde /api/events
+  static async failEvent(event, message) {
+    const now = new Date();
+    const isFailed = event.attempts >= OUTBOX_MAX_ATTEMPTS;
+    const update = {
+      status: isFailed ? OUTBOX_STATUS.FAILED : OUTBOX_STATUS.PENDING,
+      lastError: message,
+      lockedBy: null,
+      lockedUntil: null
+    };
+
+    if (isFailed) {
+      update.expiresAt = new Date(now.getTime() + OUTBOX_FAILED_RETENTION_DAYS * DAY_MS);
+    } else {
+      update.availableAt = new Date(now.getTime() + this.getRetryDelayMs(event.attempts));
+    }
+
+    const { modifiedCount } = await OutboxEvent.updateOne(this.lockFilter(event), { $set: update });
+
+    if (modifiedCount > 0 && isFailed) {
+      console.error(`❌ Evento ${event.type} (${event._id}) agotó sus ${OUTBOX_MAX_ATTEMPTS} intentos: ${message}`);
+    }
+  }
+
+  // ===== ADMINISTRACIÓN =====
+
+  static async getEvents(filters = {}, paginationData = {}) {
+    const { status, type, aggregateType, aggregateId } = filters;
+    const { page = 1, limit = 20 } = paginationData;
+    const query = {};
+
+    if (status) query.status = status;
+    if (type) query.type = type;
+    if (aggregateType) query.aggregateType = aggregateType;
+    if (aggregateId) query.aggregateId = aggregateId;
+
+    const pagination = calculatePagination(page, limit, await OutboxEvent.countDocuments(query));
+
+    const events = await OutboxEvent.find(query)
+      .select('-payload')
+      .sort({ occurredAt: -1 })
+      .skip(pagination.offset)
+      .limit(pagination.limit);
+
+    return {
+      events: events.map(event => this.formatEventData(event)),
+      pagination
+    };
+  }
+
+  static async getEventById(eventId) {
+    const event = await this.findEvent(eventId);
+    return this.formatEventData(event, true);
+  }
+
+  // Tipos del catálogo con sus suscriptores, más el conteo por estado
+  static async getEventTypes() {
+    const counts = await OutboxEvent.aggregate([
+      { $group: { _id: { type: '$type', status: '$status' }, count: { $sum: 1 } } }
+    ]);
+
+    const emptyCounts = () => Object.fromEntries(Object.values(OUTBOX_STATUS).map(status => [status, 0]));
+    const byType = {};
+
+    for (const { _id, count } of counts) {
+      byType[_id.type] = byType[_id.type] || emptyCounts();
+      byType[_id.type][_id.status] = count;
+    }
+
+    return getEventDefinitions().map(({ type, aggregateType, description }) => ({
+      type,
+      aggregateType,
+      description,
+      subscribers: getSubscribers(type).map(subscriber => ({
+        name: subscriber.name,
+        kind: subscriber.kind,
+        description: subscriber.description
+      })),
+      counts: byType[type] || emptyCounts()
+    }));
+  }
+
+  // Vuelve a poner en cola un evento fallido con todos sus intentos, o
+  // adelanta uno que espera su siguiente reintento. Los suscriptores que ya
+  // lo procesaron no se repiten
+  static async retryEvent(eventId) {
+    const event = await this.findEvent(eventId);
+
+    if (event.status === OUTBOX_STATUS.DISPATCHED) {
+      throw new AppError('El evento ya se despachó', 400, 'EVENT_ALREADY_DISPATCHED');
+    }
+
+    const update = { status: OUTBOX_STATUS.PENDING, availableAt: new Date() };
+    if (event.status === OUTBOX_STATUS.FAILED) {
+      Object.assign(update, { attempts: 0, expiresAt: null });
+    }
+
+    const retried = await OutboxEvent.findOneAndUpdate(
+      { _id: event._id, status: event.status, attempts: event.attempts },
+      { $set: update },
+      { new: true }
+    );
+
+    if (!retried) {
+      throw new AppError('El evento cambió de estado, vuelve a intentarlo', 409, 'EVENT_STATE_CHANGED');
+    }
+
+    this.kick();
+
+    return this.formatEventData(retried, true);
+  }
+
+  // ===== MÉTODOS AUXILIARES =====
+
+  static async findEvent(eventId) {
+    const event = await OutboxEvent.findById(eventId);
+    if (!event) {
+      throw new AppError('Evento no encontrado', 404, 'EVENT_NOT_FOUND');
+    }
+
+    return event;
+  }
+
+  // Las escrituras del resultado solo aplican si el bloqueo sigue siendo el
+  // mismo (otra instancia pudo reclamar el evento mientras tanto)
+  static lockFilter(event) {
+    return {
+      _id: event._id,
+      status: OUTBOX_STATUS.PENDING,
+      lockedBy: event.lockedBy,
+      lockedUntil: event.lockedUntil
+    };
+  }
+
+  static withTimeout(promise, timeoutMs) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(
+        () => reject(new AppError(`El suscriptor superó el tiempo límite de ${timeoutMs} ms`, 500, 'EVENT_HANDLER_TIMEOUT')),
+        timeoutMs
+      );
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  // Lo que recibe cada suscriptor. El id es estable entre reintentos y sirve
+  // para descartar duplicados
+  static toDomainEvent(event) {
+    return {
+      id: event._id.toString(),
+      type: event.type,
+      aggregateType: event.aggregateType,
+      aggregateId: event.aggregateId.toString(),
+      payload: event.payload,
+      actorId: event.actorId ? event.actorId.toString() : null,
+      occurredAt: event.occurredAt,
+      attempt: event.attempts
+    };
+  }
+
+  // 10 s, 20 s, 40 s... hasta el tope, con ±20 % de variación
+  static getRetryDelayMs(attempts) {
+    const seconds = Math.min(OUTBOX_RETRY_BASE_SECONDS * 2 ** (attempts - 1), OUTBOX_RETRY_MAX_SECONDS);
+    const jitter = 0.8 + Math.random() * 0.4;
+
+    return Math.round(seconds * jitter * 1000);
+  }
+
+  static formatEventData(event, includeDetails = false) {
+    const formatted = {
+      id: event._id,
+      type: event.type,
+      aggregateType: event.aggregateType,
+      aggregateId: event.aggregateId,
+      actorId: event.actorId,
+      status: event.status,
+      attempts: event.attempts,
+      occurredAt: event.occurredAt,
+      availableAt: event.availableAt,
+      dispatchedAt: event.dispatchedAt,
+      handledBy: event.handledBy,
+      lastError: event.lastError
+    };
+
+    if (includeDetails) {
+      formatted.payload = event.payload;
+      formatted.lockedBy = event.lockedBy;
+      formatted.lockedUntil = event.lockedUntil;
+    }
+
+    return formatted;
+  }
+}
+
+module.exports = DomainEventService;
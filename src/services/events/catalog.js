@@ -0,0 +1,149 @@
+const Joi = require('joi');
+const {
+  DOMAIN_EVENTS,
+  ORDER_STATUS,
+  PAYMENT_METHODS,
+  SHIPMENT_STATUS,
+  INVENTORY_TX_TYPES,
+  TARGET_TYPES,
+  REACTION_TYPES
+} = require('../../config/constants');
+
+// ===== CATÁLOGO DE EVENTOS DE DOMINIO =====
+// Cada tipo declara su agregado (aggregateKey: campo del payload con su id) y
+// el esquema del payload. Los payloads se validan al emitir, ya normalizados
+// a JSON: los ObjectId llegan como string y las fechas como ISO
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/);
+const orderStatus = Joi.string().valid(...Object.values(ORDER_STATUS));
+const shipmentStatus = Joi.string().valid(...Object.values(SHIPMENT_STATUS));
+const targetType = Joi.string().valid(...Object.values(TARGET_TYPES));
+const reactionType = Joi.string().valid(...Object.values(REACTION_TYPES));
+
+const definitions = new Map();
+
+const defineEvent = (type, { aggregateType, aggregateKey, description, schema }) => {
+  definitions.set(type, { type, aggregateType, aggregateKey, description, schema });
+};
+
+const getEventDefinition = (type) => definitions.get(type) || null;
+
+const getEventDefinitions = () => [...definitions.values()];
+
+defineEvent(DOMAIN_EVENTS.ORDER_PLACED, {
+  aggregateType: 'Order',
+  aggregateKey: 'orderId',
+  description: 'Se creó una orden y se reservó su stock',
+  schema: Joi.object({
+    orderId: objectId.required(),
+    orderNumber: Joi.string().required(),
+    // Las órdenes de invitado no tienen usuario
+    userId: objectId.allow(null).required(),
+    status: orderStatus.required(),
+    paymentMethod: Joi.string().valid(...Object.values(PAYMENT_METHODS)).required(),
+    itemsCount: Joi.number().integer().min(1).required(),
+    finalAmount: Joi.number().min(0).required()
+  })
+});
+
+defineEvent(DOMAIN_EVENTS.ORDER_PAID, {
+  aggregateType: 'Order',
+  aggregateKey: 'orderId',
+  description: 'Se capturó el pago de una orden',
+  schema: Joi.object({
+    orderId: objectId.required(),
+    orderNumber: Joi.string().required(),
+    userId: objectId.allow(null).required(),
+    finalAmount: Joi.number().min(0).required(),
+    transactionId: Joi.string().allow(null).required()
+  })
+});
+
+defineEvent(DOMAIN_EVENTS.ORDER_STATUS_CHANGED, {
+  aggregateType: 'Order',
+  aggregateKey: 'orderId',
+  description: 'Una orden pasó a otro estado',
+  schema: Joi.object({
+    orderId: objectId.required(),
+    orderNumber: Joi.string().required(),
+    userId: objectId.allow(null).required(),
+    status: orderStatus.required(),
+    previousStatus: orderStatus.required(),
+    notes: Joi.string().allow(null).required()
+  })
+});
+
+defineEvent(DOMAIN_EVENTS.SHIPMENT_STATUS_CHANGED, {
+  aggregateType: 'Shipment',
+  aggregateKey: 'shipmentId',
+  description: 'Un envío pasó a otro estado (con el movimiento de tracking)',
+  schema: Joi.object({
+    shipmentId: objectId.required(),
+    orderId: objectId.required(),
+    userId: objectId.allow(null).required(),
+    trackingNumber: Joi.string().allow(null).required(),
+    status: shipmentStatus.required(),
+    previousStatus: shipmentStatus.allow(null).required(),
+    location: Joi.string().allow(null).required(),
+    description: Joi.string().allow(null).required()
+  })
+});
+
+defineEvent(DOMAIN_EVENTS.STOCK_ADJUSTED, {
+  aggregateType: 'Product',
+  aggregateKey: 'productId',
+  description: 'Cambió el stock de un producto o variante (una transacción de inventario)',
+  schema: Joi.object({
+    transactionId: objectId.required(),
+    productId: objectId.required(),
+    variantId: objectId.allow(null).required(),
+    type: Joi.string().valid(...Object.values(INVENTORY_TX_TYPES)).required(),
+    qtyChange: Joi.number().integer().required(),
+    previousQty: Joi.number().integer().required(),
+    newQty: Joi.number().integer().required(),
+    reservedQty: Joi.number().integer().min(0).required()
+  })
+});
+
+defineEvent(DOMAIN_EVENTS.COMMENT_CREATED, {
+  aggregateType: 'Comment',
+  aggregateKey: 'commentId',
+  description: 'Un usuario comentó un producto, un post o respondió a un comentario',
+  schema: Joi.object({
+    commentId: objectId.required(),
+    userId: objectId.required(),
+    parentType: targetType.required(),
+    parentId: objectId.required(),
+    parentCommentId: objectId.allow(null).required()
+  })
+});
+
+defineEvent(DOMAIN_EVENTS.REACTION_CHANGED, {
+  aggregateType: 'Reaction',
+  aggregateKey: 'reactionId',
+  description: 'Un usuario agregó, cambió o quitó su reacción a un elemento',
+  schema: Joi.object({
+    reactionId: objectId.required(),
+    userId: objectId.required(),
+    action: Joi.string().valid('added', 'updated', 'removed').required(),
+    targetType: targetType.required(),
+    targetId: objectId.required(),
+    reactionType: reactionType.required(),
+    previousReaction: reactionType.allow(null).required()
+  })
+});
+
+defineEvent(DOMAIN_EVENTS.USER_FOLLOWED, {
+  aggregateType: 'Follow',
+  aggregateKey: 'followId',
+  description: 'Un usuario empezó a seguir a otro',
+  schema: Joi.object({
+    followId: objectId.required(),
+    followerId: objectId.required(),
+    followedId: objectId.required()
+  })
+});
+
+module.exports = {
+  getEventDefinition,
+  getEventDefinitions
+};
@@ -0,0 +1,261 @@
+const Order = require('../../models/Order');
+const Shipment = require('../../models/Shipment');
+const Product = require('../../models/Product');
+const ProductVariant = require('../../models/ProductVariant');
+const Comment = require('../../models/Comment');
+const OrderService = require('../orderService');
+const ShipmentService = require('../shipmentService');
+const InventoryService = require('../inventoryService');
+const CommentService = require('../commentService');
+const ReactionService = require('../reactionService');
+const NotificationPublisher = require('../notificationPublisher');
+const RealtimeService = require('../realtimeService');
+const WebhookService = require('../webhookService');
+const {
+  DOMAIN_EVENTS,
+  DOMAIN_EVENT_WILDCARD,
+  ORDER_STATUS,
+  REALTIME_EVENTS,
+  REALTIME_RESOURCE_TYPES,
+  TARGET_TYPES,
+  WEBHOOK_EVENTS,
+  INVENTORY_LOW_STOCK_THRESHOLD
+} = require('../../config/constants');
+
+// ===== REGISTRO DE SUSCRIPTORES =====
+// Cada suscriptor tiene un nombre único (se guarda en handledBy del evento),
+// los tipos que escucha y un handler async (event). La entrega es "al menos
+// una vez": un handler puede recibir de nuevo un evento si falló otro
+// suscriptor o se cayó la instancia, así que debe tolerar duplicados (event.id
+// es estable). Lanzar un error hace que el evento se reintente
+const subscribers = new Map();
+
+const subscribe = (name, types, handler, options = {}) => {
+  subscribers.set(name, {
+    name,
+    types: [].concat(types),
+    handler,
+    kind: options.kind || 'subscriber',
+    description: options.description || null
+  });
+};
+
+// Sink externo: recibe todos los eventos y decide cuáles reenvía fuera de la API
+const registerSink = (name, handler, options = {}) => {
+  subscribe(name, DOMAIN_EVENT_WILDCARD, handler, { ...options, kind: 'sink' });
+};
+
+const getSubscribers = (type) => [...subscribers.values()].filter(subscriber =>
+  subscriber.types.includes(type) || subscriber.types.includes(DOMAIN_EVENT_WILDCARD)
+);
+
+// ===== NOTIFICACIONES =====
+
+subscribe('notifications.user_followed', DOMAIN_EVENTS.USER_FOLLOWED, async ({ payload }) => {
+  await NotificationPublisher.userFollowed(payload.followerId, payload.followedId);
+}, { description: 'Avisa al usuario seguido' });
+
+subscribe('notifications.comment', DOMAIN_EVENTS.COMMENT_CREATED, async ({ payload }) => {
+  const comment = await Comment.findById(payload.commentId);
+  if (!comment) return;
+
+  await NotificationPublisher.commentCreated(comment);
+}, { description: 'Avisa al dueño del elemento y al autor del comentario respondido' });
+
+subscribe('notifications.reaction', DOMAIN_EVENTS.REACTION_CHANGED, async ({ payload }) => {
+  if (payload.action !== 'added') return;
+
+  await NotificationPublisher.reactionAdded(payload.userId, {
+    targetType: payload.targetType,
+    targetId: payload.targetId,
+    reactionType: payload.reactionType
+  });
+}, { description: 'Avisa al dueño del elemento de las reacciones nuevas' });
+
+subscribe('notifications.order_status', DOMAIN_EVENTS.ORDER_STATUS_CHANGED, async ({ payload, actorId }) => {
+  await NotificationPublisher.orderStatusChanged(
+    { _id: payload.orderId, userId: payload.userId, orderNumber: payload.orderNumber, status: payload.status },
+    { previousStatus: payload.previousStatus, actorId }
+  );
+}, { description: 'Avisa al cliente del cambio de estado de su orden' });
+
+subscribe('notifications.shipment_status', DOMAIN_EVENTS.SHIPMENT_STATUS_CHANGED, async ({ payload }) => {
+  await NotificationPublisher.shipmentStatusChanged(
+    { _id: payload.shipmentId, orderId: payload.orderId, trackingNumber: payload.trackingNumber, status: payload.status },
+    { previousStatus: payload.previousStatus }
+  );
+}, { description: 'Avisa al cliente del movimiento de su envío' });
+
+// ===== TIEMPO REAL =====
+
+subscribe('realtime.order_status', DOMAIN_EVENTS.ORDER_STATUS_CHANGED, async ({ payload, occurredAt }) => {
+  await RealtimeService.publish(
+    REALTIME_EVENTS.ORDER_STATUS_CHANGED,
+    [
+      RealtimeService.userChannel(payload.userId),
+      RealtimeService.resourceChannel(REALTIME_RESOURCE_TYPES.ORDER, payload.orderId)
+    ],
+    {
+      orderId: payload.orderId,
+      orderNumber: payload.orderNumber,
+      status: payload.status,
+      previousStatus: payload.previousStatus,
+      changedAt: occurredAt
+    }
+  );
+}, { description: 'Canales del cliente y de la orden' });
+
+subscribe('realtime.shipment_tracking', DOMAIN_EVENTS.SHIPMENT_STATUS_CHANGED, async ({ payload, occurredAt }) => {
+  await RealtimeService.publish(
+    REALTIME_EVENTS.SHIPMENT_TRACKING,
+    [
+      RealtimeService.userChannel(payload.userId),
+      RealtimeService.resourceChannel(REALTIME_RESOURCE_TYPES.ORDER, payload.orderId),
+      RealtimeService.resourceChannel(REALTIME_RESOURCE_TYPES.SHIPMENT, payload.shipmentId)
+    ],
+    {
+      shipmentId: payload.shipmentId,
+      orderId: payload.orderId,
+      trackingNumber: payload.trackingNumber,
+      status: payload.status,
+      previousStatus: payload.previousStatus,
+      event: {
+        status: payload.status,
+        location: payload.location,
+        description: payload.description,
+        timestamp: occurredAt
+      }
+    }
+  );
+}, { description: 'Canales del cliente, de la orden y del envío' });
+
+subscribe('realtime.comment', DOMAIN_EVENTS.COMMENT_CREATED, async ({ payload }) => {
+  if (payload.parentType !== TARGET_TYPES.POST) return;
+
+  const comment = await Comment.findById(payload.commentId).populate('userId', 'firstName lastName');
+  if (!comment) return;
+
+  await RealtimeService.publish(
+    REALTIME_EVENTS.COMMENT_CREATED,
+    [RealtimeService.resourceChannel(REALTIME_RESOURCE_TYPES.POST, payload.parentId)],
+    CommentService.formatCommentData(comment, true)
+  );
+}, { description: 'Canal del post comentado' });
+
+// Los conteos se leen al despachar: reflejan el estado actual del elemento
+subscribe('realtime.reaction', DOMAIN_EVENTS.REACTION_CHANGED, async ({ payload }) => {
+  const postId = await ReactionService.getLivePostId(payload.targetType, payload.targetId);
+  if (!postId) return;
+
+  await RealtimeService.publish(
+    REALTIME_EVENTS.REACTION_CHANGED,
+    [RealtimeService.resourceChannel(REALTIME_RESOURCE_TYPES.POST, postId)],
+    {
+      action: payload.action,
+      reactionType: payload.reactionType,
+      ...(payload.previousReaction && { previousReaction: payload.previousReaction }),
+      targetType: payload.targetType,
+      targetId: payload.targetId,
+      counts: await ReactionService.getReactionCounts(payload.targetType, payload.targetId),
+      userId: payload.userId
+    }
+  );
+}, { description: 'Canal del post (o del post del comentario) reaccionado' });
+
+subscribe('realtime.inventory', DOMAIN_EVENTS.STOCK_ADJUSTED, async ({ payload, occurredAt }) => {
+  await RealtimeService.publish(
+    REALTIME_EVENTS.INVENTORY_CHANGED,
+    [RealtimeService.inventoryAdminChannel()],
+    {
+      transactionId: payload.transactionId,
+      productId: payload.productId,
+      variantId: payload.variantId,
+      type: payload.type,
+      qtyChange: payload.qtyChange,
+      previousQty: payload.previousQty,
+      newQty: payload.newQty,
+      reservedQty: payload.reservedQty,
+      createdAt: occurredAt
+    }
+  );
+}, { description: 'Panel de inventario en vivo' });
+
+// ===== WEBHOOKS SALIENTES =====
+// Traduce los eventos de dominio a los eventos públicos de webhook. El id del
+// webhook se deriva del evento de dominio: un reintento no duplica entregas
+const sendWebhook = (event, webhookEvent, data) => WebhookService.enqueue(webhookEvent, data, {
+  eventId: WebhookService.buildEventId(event.id, webhookEvent),
+  createdAt: event.occurredAt
+});
+
+// Las integraciones reciben la orden completa en su estado actual
+const sendOrderWebhooks = async (event, webhookEvents, extraData = {}) => {
+  const order = await Order.findById(event.payload.orderId);
+  if (!order) return;
+
+  const data = { order: OrderService.formatOrderData(order, true), ...extraData };
+  for (const webhookEvent of webhookEvents) {
+    await sendWebhook(event, webhookEvent, data);
+  }
+};
+
+const ORDER_STATUS_WEBHOOKS = {
+  [ORDER_STATUS.CANCELLED]: WEBHOOK_EVENTS.ORDER_CANCELLED,
+  [ORDER_STATUS.DELIVERED]: WEBHOOK_EVENTS.ORDER_DELIVERED
+};
+
+const webhookForwarders = {
+  [DOMAIN_EVENTS.ORDER_PLACED]: event => sendOrderWebhooks(event, [WEBHOOK_EVENTS.ORDER_CREATED]),
+
+  [DOMAIN_EVENTS.ORDER_PAID]: event => sendOrderWebhooks(event, [WEBHOOK_EVENTS.ORDER_PAID]),
+
+  [DOMAIN_EVENTS.ORDER_STATUS_CHANGED]: event => sendOrderWebhooks(
+    event,
+    [WEBHOOK_EVENTS.ORDER_STATUS_CHANGED, ORDER_STATUS_WEBHOOKS[event.payload.status]].filter(Boolean),
+    { previousStatus: event.payload.previousStatus }
+  ),
+
+  [DOMAIN_EVENTS.SHIPMENT_STATUS_CHANGED]: async (event) => {
+    const shipment = await Shipment.findById(event.payload.shipmentId);
+    if (!shipment) return;
+
+    await sendWebhook(event, WEBHOOK_EVENTS.SHIPMENT_STATUS_CHANGED, {
+      shipment: ShipmentService.formatShipmentData(shipment, true),
+      previousStatus: event.payload.previousStatus
+    });
+  },
+
+  // Solo cuando el stock cruza un umbral
+  [DOMAIN_EVENTS.STOCK_ADJUSTED]: async (event) => {
+    const { payload } = event;
+    const webhookEvent = InventoryService.getStockThresholdEvent(payload.previousQty, payload.newQty);
+    if (!webhookEvent) return;
+
+    const product = await Product.findById(payload.productId).select('name sku');
+    const variant = payload.variantId ? await ProductVariant.findById(payload.variantId).select('sku') : null;
+
+    await sendWebhook(event, webhookEvent, {
+      productId: payload.productId,
+      variantId: payload.variantId,
+      productName: product ? product.name : null,
+      sku: (variant || product || {}).sku || null,
+      previousQty: payload.previousQty,
+      newQty: payload.newQty,
+      reservedQty: payload.reservedQty,
+      lowStockThreshold: INVENTORY_LOW_STOCK_THRESHOLD,
+      transactionId: payload.transactionId,
+      transactionType: payload.type
+    });
+  }
+};
+
+registerSink('webhooks', async (event) => {
+  const forward = webhookForwarders[event.type];
+  if (forward) await forward(event);
+}, { description: 'Webhooks salientes de órdenes, envíos e inventario' });
+
+module.exports = {
+  subscribe,
+  registerSink,
+  getSubscribers
+};
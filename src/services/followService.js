@@ -1,7 +1,10 @@
 const Follow = require('../models/Follow');
 const User = require('../models/User');
+const DomainEventService = require('./domainEventService');
+const { withTransaction } = require('../config/database');
 const { AppError } = require('../middlewares/errorHandler');
 const { calculatePagination } = require('../middlewares/responseFormatter');
+const { DOMAIN_EVENTS } = require('../config/constants');
 
 class FollowService {
   // ===== SEGUIR USUARIO =====
@@ -18,22 +21,32 @@ class FollowService {
     }
 
     // Verificar que no esté ya siguiendo
-    const existingFollow = await Follow.findOne({ followerId, followedId });
+    const existingFollow = await Follow.findOne({ userId: followerId, targetUserId: followedId });
     if (existingFollow) {
       throw new AppError('Ya estás siguiendo a este usuario', 400, 'ALREADY_FOLLOWING');
     }
 
-    // Crear seguimiento
-    const follow = await Follow.create({
-      followerId,
-      followedId
+    // Crear seguimiento y su evento UserFollowed (de él sale la notificación)
+    const follow = await withTransaction(async (session) => {
+      const [follow] = await Follow.create([{
+        userId: followerId,
+        targetUserId: followedId
+      }], { session });
+
+      await DomainEventService.emit(DOMAIN_EVENTS.USER_FOLLOWED, {
+        followId: follow._id,
+        followerId,
+        followedId
+      }, { session, actorId: followerId });
+
+      return follow;
     });
 
     return {
       id: follow._id,
-      followerId: follow.followerId,
-      followedId: follow.followedId,
-      followedAt: follow.followedAt,
+      followerId: follow.userId,
+      followedId: follow.targetUserId,
+      followedAt: follow.createdAt,
       isFollowing: true,
       user: {
         id: userToFollow._id,
@@ -364,8 +377,8 @@ class FollowService {
     // Eliminar seguimientos donde el seguidor o seguido esté inactivo
     const result = await Follow.deleteMany({
       $or: [
-        { followerId: { $in: inactiveUserIds } },
-        { followedId: { $in: inactiveUserIds } }
+        { userId: { $in: inactiveUserIds } },
+        { targetUserId: { $in: inactiveUserIds } }
       ]
     });
 
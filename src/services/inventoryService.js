@@ -1,76 +1,136 @@
 const InventoryTransaction = require('../models/InventoryTransaction');
 const Product = require('../models/Product');
+const ProductVariant = require('../models/ProductVariant');
 const { AppError } = require('../middlewares/errorHandler');
 const { calculatePagination } = require('../middlewares/responseFormatter');
-const { INVENTORY_TX_TYPES } = require('../config/constants');
+const ProductVariantService = require('./productVariantService');
+const DomainEventService = require('./domainEventService');
+const { withTransaction } = require('../config/database');
+const {
+  INVENTORY_TX_TYPES,
+  INVENTORY_LOW_STOCK_THRESHOLD,
+  WEBHOOK_EVENTS,
+  DOMAIN_EVENTS
+} = require('../config/constants');
+
+// Tipos que siempre suman o siempre restan; ADJUSTMENT y TRANSFER usan el signo recibido
+const INBOUND_TYPES = [INVENTORY_TX_TYPES.PURCHASE, INVENTORY_TX_TYPES.RETURN];
+const OUTBOUND_TYPES = [INVENTORY_TX_TYPES.SALE, INVENTORY_TX_TYPES.DAMAGE, INVENTORY_TX_TYPES.EXPIRED];
 
 class InventoryService {
   // ===== CREAR TRANSACCIÓN DE INVENTARIO =====
+  // Mueve el stock del producto o, si se indica, de su variante. Las salidas
+  // son condicionales: no pueden consumir unidades reservadas por órdenes.
+  // Sin la sesión del llamador, el movimiento y su evento StockAdjusted se
+  // guardan en una transacción propia
   static async createTransaction(transactionData) {
+    const { session = null, ...movementData } = transactionData;
+
+    const transaction = session
+      ? await this.recordTransaction(movementData, session)
+      : await withTransaction(ownSession => this.recordTransaction(movementData, ownSession));
+
+    // Poblar para respuesta
+    await transaction.populate([
+      { path: 'productId', select: 'name sku' },
+      { path: 'variantId', select: 'sku options' },
+      { path: 'createdBy', select: 'firstName lastName' }
+    ]);
+
+    return this.formatTransactionData(transaction, true);
+  }
+
+  static async recordTransaction(movementData, session) {
     const { 
       productId, 
+      variantId = null,
       type, 
       quantity, 
       reason, 
-      referenceId, 
       notes,
-      performedBy 
-    } = transactionData;
+      performedBy
+    } = movementData;
 
     // Validar tipo de transacción
     if (!Object.values(INVENTORY_TX_TYPES).includes(type)) {
       throw new AppError('Tipo de transacción inválido', 400, 'INVALID_TRANSACTION_TYPE');
     }
 
-    // Verificar que el producto exista
-    const product = await Product.findById(productId);
+    const qtyChange = this.getQuantityChange(type, quantity);
+    if (!qtyChange) {
+      throw new AppError('La cantidad debe ser distinta de cero', 400, 'INVALID_QUANTITY');
+    }
+
+    // Verificar que el producto (y la variante) exista
+    const product = await Product.findById(productId).session(session);
     if (!product) {
       throw new AppError('Producto no encontrado', 404, 'PRODUCT_NOT_FOUND');
     }
 
-    // Calcular nueva cantidad
-    const currentStock = product.stockQty;
-    let newStock;
-
-    switch (type) {
-      case INVENTORY_TX_TYPES.STOCK_IN:
-      case INVENTORY_TX_TYPES.RETURN:
-      case INVENTORY_TX_TYPES.ADJUSTMENT_IN:
-        newStock = currentStock + parseInt(quantity);
-        break;
-      case INVENTORY_TX_TYPES.SALE:
-      case INVENTORY_TX_TYPES.STOCK_OUT:
-      case INVENTORY_TX_TYPES.ADJUSTMENT_OUT:
-      case INVENTORY_TX_TYPES.DAMAGE:
-        newStock = Math.max(0, currentStock - parseInt(quantity));
-        break;
-      default:
-        throw new AppError('Tipo de transacción no manejado', 400, 'UNHANDLED_TRANSACTION_TYPE');
+    if (variantId) {
+      const variant = await ProductVariant.exists({ _id: variantId, productId }).session(session);
+      if (!variant) {
+        throw new AppError('Variante no encontrada', 404, 'VARIANT_NOT_FOUND');
+      }
+    } else if (product.hasVariants) {
+      throw new AppError('El stock de este producto se gestiona por variante', 400, 'VARIANT_REQUIRED');
+    }
+
+    // Actualizar stock de forma atómica
+    const { Model, id } = ProductVariantService.getStockTarget({ productId, variantId });
+    const filter = { _id: id };
+    if (qtyChange < 0) {
+      filter.$expr = {
+        $gte: [{ $subtract: ['$stockQty', { $ifNull: ['$reservedQty', 0] }] }, -qtyChange]
+      };
+    }
+
+    const stockHolder = await Model.findOneAndUpdate(
+      filter,
+      { $inc: { stockQty: qtyChange } },
+      { new: true, session }
+    );
+
+    if (!stockHolder) {
+      const current = await Model.findById(id).select('stockQty reservedQty').session(session);
+      throw new AppError(
+        `Stock insuficiente. Disponible: ${current ? current.available : 0}, solicitado: ${-qtyChange}`,
+        400,
+        'INSUFFICIENT_STOCK'
+      );
     }
 
     // Crear transacción
-    const transaction = await InventoryTransaction.create({
+    const [transaction] = await InventoryTransaction.create([{
       productId,
+      variantId,
+      qtyChange,
       type,
-      quantity: parseInt(quantity),
-      previousStock: currentStock,
-      newStock,
-      reason,
-      referenceId,
-      notes,
-      performedBy
-    });
+      note: [reason, notes].filter(Boolean).join(' - ') || undefined,
+      previousQty: stockHolder.stockQty - qtyChange,
+      newQty: stockHolder.stockQty,
+      createdBy: performedBy
+    }], { session });
 
-    // Actualizar stock del producto
-    await Product.findByIdAndUpdate(productId, { stockQty: newStock });
+    await this.emitStockAdjusted(transaction, stockHolder.reservedQty, session);
 
-    // Poblar para respuesta
-    await transaction.populate([
-      { path: 'productId', select: 'name sku' },
-      { path: 'performedBy', select: 'firstName lastName' }
-    ]);
+    return transaction;
+  }
 
-    return this.formatTransactionData(transaction, true);
+  // ===== EVENTO DE MOVIMIENTO DE STOCK =====
+  // Uno por transacción de inventario, en la misma sesión. De él cuelgan el
+  // panel de inventario en vivo y los webhooks de umbrales (services/events)
+  static async emitStockAdjusted(transaction, reservedQty, session) {
+    await DomainEventService.emit(DOMAIN_EVENTS.STOCK_ADJUSTED, {
+      transactionId: transaction._id,
+      productId: transaction.productId,
+      variantId: transaction.variantId || null,
+      type: transaction.type,
+      qtyChange: transaction.qtyChange,
+      previousQty: transaction.previousQty,
+      newQty: transaction.newQty,
+      reservedQty: reservedQty || 0
+    }, { session, actorId: transaction.createdBy || null });
   }
 
   // ===== OBTENER HISTORIAL DE TRANSACCIONES =====
@@ -80,6 +140,7 @@ class InventoryService {
       limit, 
       sort = '-createdAt',
       productId,
+      variantId,
       type,
       dateFrom,
       dateTo,
@@ -93,6 +154,10 @@ class InventoryService {
       searchFilters.productId = productId;
     }
 
+    if (variantId) {
+      searchFilters.variantId = variantId;
+    }
+
     if (type) {
       searchFilters.type = type;
     }
@@ -160,30 +225,32 @@ class InventoryService {
 
   // ===== AJUSTAR STOCK =====
   static async adjustStock(productId, adjustmentData, performedBy) {
-    const { newStock, reason, notes } = adjustmentData;
+    const { newStock, variantId = null, reason, notes } = adjustmentData;
 
-    // Verificar que el producto exista
-    const product = await Product.findById(productId);
-    if (!product) {
-      throw new AppError('Producto no encontrado', 404, 'PRODUCT_NOT_FOUND');
+    // Verificar que el producto (o la variante) exista
+    const { Model, id } = ProductVariantService.getStockTarget({ productId, variantId });
+    const stockHolder = await Model.findById(id);
+    if (!stockHolder) {
+      throw new AppError(
+        variantId ? 'Variante no encontrada' : 'Producto no encontrado',
+        404,
+        variantId ? 'VARIANT_NOT_FOUND' : 'PRODUCT_NOT_FOUND'
+      );
     }
 
-    const currentStock = product.stockQty;
+    const currentStock = stockHolder.stockQty;
     const difference = parseInt(newStock) - currentStock;
 
     if (difference === 0) {
       throw new AppError('El stock ya tiene el valor especificado', 400, 'NO_STOCK_CHANGE');
     }
 
-    // Determinar tipo de ajuste
-    const type = difference > 0 ? INVENTORY_TX_TYPES.ADJUSTMENT_IN : INVENTORY_TX_TYPES.ADJUSTMENT_OUT;
-    const quantity = Math.abs(difference);
-
-    // Crear transacción de ajuste
+    // Crear transacción de ajuste (con signo)
     const transaction = await this.createTransaction({
       productId,
-      type,
-      quantity,
+      variantId,
+      type: INVENTORY_TX_TYPES.ADJUSTMENT,
+      quantity: difference,
       reason: reason || 'Ajuste manual de inventario',
       notes,
       performedBy
@@ -202,7 +269,7 @@ class InventoryService {
 
   // ===== ENTRADA DE STOCK =====
   static async stockIn(productId, stockData, performedBy) {
-    const { quantity, reason, referenceId, notes } = stockData;
+    const { quantity, variantId = null, reason, notes } = stockData;
 
     if (quantity <= 0) {
       throw new AppError('La cantidad debe ser mayor a cero', 400, 'INVALID_QUANTITY');
@@ -210,43 +277,30 @@ class InventoryService {
 
     return await this.createTransaction({
       productId,
-      type: INVENTORY_TX_TYPES.STOCK_IN,
+      variantId,
+      type: INVENTORY_TX_TYPES.PURCHASE,
       quantity,
       reason: reason || 'Entrada de stock',
-      referenceId,
       notes,
       performedBy
     });
   }
 
   // ===== SALIDA DE STOCK =====
+  // createTransaction rechaza la salida si no hay stock libre suficiente
   static async stockOut(productId, stockData, performedBy) {
-    const { quantity, reason, referenceId, notes } = stockData;
+    const { quantity, variantId = null, reason, notes } = stockData;
 
     if (quantity <= 0) {
       throw new AppError('La cantidad debe ser mayor a cero', 400, 'INVALID_QUANTITY');
     }
 
-    // Verificar stock disponible
-    const product = await Product.findById(productId);
-    if (!product) {
-      throw new AppError('Producto no encontrado', 404, 'PRODUCT_NOT_FOUND');
-    }
-
-    if (product.stockQty < quantity) {
-      throw new AppError(
-        `Stock insuficiente. Disponible: ${product.stockQty}, solicitado: ${quantity}`,
-        400,
-        'INSUFFICIENT_STOCK'
-      );
-    }
-
     return await this.createTransaction({
       productId,
-      type: INVENTORY_TX_TYPES.STOCK_OUT,
-      quantity,
+      variantId,
+      type: INVENTORY_TX_TYPES.ADJUSTMENT,
+      quantity: -quantity,
       reason: reason || 'Salida de stock',
-      referenceId,
       notes,
       performedBy
     });
@@ -254,14 +308,14 @@ class InventoryService {
 
   // ===== REGISTRAR VENTA =====
   static async recordSale(productId, saleData, performedBy) {
-    const { quantity, orderId, notes } = saleData;
+    const { quantity, variantId = null, orderId, notes } = saleData;
 
     return await this.createTransaction({
       productId,
+      variantId,
       type: INVENTORY_TX_TYPES.SALE,
       quantity,
-      reason: 'Venta de producto',
-      referenceId: orderId,
+      reason: orderId ? `Venta - Orden ${orderId}` : 'Venta de producto',
       notes,
       performedBy
     });
@@ -269,14 +323,14 @@ class InventoryService {
 
   // ===== REGISTRAR DEVOLUCIÓN =====
   static async recordReturn(productId, returnData, performedBy) {
-    const { quantity, orderId, notes } = returnData;
+    const { quantity, variantId = null, orderId, notes } = returnData;
 
     return await this.createTransaction({
       productId,
+      variantId,
       type: INVENTORY_TX_TYPES.RETURN,
       quantity,
-      reason: 'Devolución de producto',
-      referenceId: orderId,
+      reason: orderId ? `Devolución - Orden ${orderId}` : 'Devolución de producto',
       notes,
       performedBy
     });
@@ -284,10 +338,11 @@ class InventoryService {
 
   // ===== REGISTRAR DAÑO =====
   static async recordDamage(productId, damageData, performedBy) {
-    const { quantity, reason, notes } = damageData;
+    const { quantity, variantId = null, reason, notes } = damageData;
 
     return await this.createTransaction({
       productId,
+      variantId,
       type: INVENTORY_TX_TYPES.DAMAGE,
       quantity,
       reason: reason || 'Producto dañado',
@@ -566,16 +621,26 @@ class InventoryService {
 
   // ===== UTILITY METHODS =====
 
+  // Cambio de stock con signo según el tipo de transacción
+  static getQuantityChange(type, quantity) {
+    const qty = parseInt(quantity) || 0;
+
+    if (INBOUND_TYPES.includes(type)) return Math.abs(qty);
+    if (OUTBOUND_TYPES.includes(type)) return -Math.abs(qty);
+    return qty;
+  }
+
   // Formatear datos de transacción para respuesta
   static formatTransactionData(transaction, includeDetails = false) {
     const formatted = {
       id: transaction._id,
       productId: transaction.productId._id || transaction.productId,
+      variantId: transaction.variantId ? (transaction.variantId._id || transaction.variantId) : null,
       type: transaction.type,
-      quantity: transaction.quantity,
-      previousStock: transaction.previousStock,
-      newStock: transaction.newStock,
-      reason: transaction.reason,
+      qtyChange: transaction.qtyChange,
+      previousQty: transaction.previousQty,
+      newQty: transaction.newQty,
+      occurredAt: transaction.occurredAt,
       createdAt: transaction.createdAt
     };
 
@@ -587,23 +652,42 @@ class InventoryService {
       };
     }
 
+    // Agregar información de la variante si está poblada
+    if (transaction.variantId && transaction.variantId.sku) {
+      formatted.variant = {
+        sku: transaction.variantId.sku,
+        label: transaction.variantId.label
+      };
+    }
+
     // Agregar información del usuario si está poblada
-    if (transaction.performedBy && transaction.performedBy.firstName) {
-      formatted.performedBy = {
-        firstName: transaction.performedBy.firstName,
-        lastName: transaction.performedBy.lastName
+    if (transaction.createdBy && transaction.createdBy.firstName) {
+      formatted.createdBy = {
+        firstName: transaction.createdBy.firstName,
+        lastName: transaction.createdBy.lastName
       };
     }
 
     if (includeDetails) {
-      formatted.referenceId = transaction.referenceId;
-      formatted.notes = transaction.notes;
+      formatted.note = transaction.note;
     }
 
     return formatted;
   }
 
   // Determinar estado del stock
+  // Evento de webhook si el movimiento cruzó un umbral: agotado, stock bajo
+  // (INVENTORY_LOW_STOCK_THRESHOLD) o de vuelta por encima del umbral
+  static getStockThresholdEvent(previousQty, newQty) {
+    const threshold = INVENTORY_LOW_STOCK_THRESHOLD;
+
+    if (newQty <= 0 && previousQty > 0) return WEBHOOK_EVENTS.INVENTORY_OUT_OF_STOCK;
+    if (newQty > 0 && newQty <= threshold && previousQty > threshold) return WEBHOOK_EVENTS.INVENTORY_LOW_STOCK;
+    if (newQty > threshold && previousQty <= threshold) return WEBHOOK_EVENTS.INVENTORY_RESTOCKED;
+
+    return null;
+  }
+
   static getStockStatus(currentStock, lowThreshold = 10) {
     if (currentStock === 0) return 'out';
     if (currentStock <= lowThreshold) return 'low';
@@ -0,0 +1,575 @@
+const os = require('os');
+const crypto = require('crypto');
+const Job = require('../models/Job');
+const JobSchedule = require('../models/JobSchedule');
+const { getJob, getJobs, getSchedules } = require('./jobs');
+const { getNextRun } = require('./jobs/cron');
+const { AppError } = require('../middlewares/errorHandler');
+const { calculatePagination } = require('../middlewares/responseFormatter');
+const {
+  JOB_STATUS,
+  JOB_WORKER_CONCURRENCY,
+  JOB_POLL_INTERVAL_MS,
+  JOB_RETRY_BASE_SECONDS,
+  JOB_RETRY_MAX_SECONDS,
+  JOB_MAX_FAILURES_KEPT,
+  JOB_COMPLETED_RETENTION_DAYS,
+  JOB_DEAD_RETENTION_DAYS
+} = require('../config/constants');
+
+// Margen sobre el timeout antes de que otra instancia dé el trabajo por perdido
+const LOCK_GRACE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Identifica a este proceso en lockedBy
+const workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+// Trabajos en ejecución en este proceso: jobId -> nombre
+const running = new Map();
+let pollTimer = null;
+let isStarted = false;
+let isPolling = false;
+let isFilling = false;
+
+class JobQueueService {
+  // ===== INICIAR / DETENER =====
+  static async start() {
+    if (isStarted) return;
+    isStarted = true;
+
+    await this.syncSchedules();
+
+    pollTimer = setInterval(() => this.poll(), JOB_POLL_INTERVAL_MS);
+    pollTimer.unref();
+  }
+
+  // Deja de reclamar trabajos; los que están corriendo terminan solos y, si
+  // el proceso sale antes, otra instancia los recupera al vencer el bloqueo
+  static stop() {
+    isStarted = false;
+
+    if (pollTimer) {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    }
+  }
+
+  // ===== ENCOLAR TRABAJO =====
+  // Con uniqueKey no se crea otro mientras haya uno igual en cola o en
+  // ejecución: se devuelve el existente
+  static async enqueue(name, data = {}, options = {}) {
+    const definition = getJob(name);
+    if (!definition) {
+      throw new AppError(`Trabajo no registrado: ${name}`, 400, 'JOB_NOT_REGISTERED');
+    }
+
+    const {
+      runAt = new Date(),
+      priority = 0,
+      maxAttempts = definition.maxAttempts,
+      uniqueKey,
+      scheduleName = null,
+      createdBy = null
+    } = options;
+
+    let job;
+    try {
+      job = await Job.create({ name, data, runAt, priority, maxAttempts, uniqueKey, scheduleName, createdBy });
+    } catch (error) {
+      if (error.code === 11000 && uniqueKey) {
+        const existing = await Job.findOne({ uniqueKey });
+        if (existing) return existing;
+      }
+      throw error;
+    }
+
+    // Si ya toca, no esperar a la siguiente vuelta del worker
+    if (isStarted && job.runAt <= new Date()) {
+      this.fillSlots();
+    }
+
+    return job;
+  }
+
+  // ===== VUELTA DEL WORKER =====
+  static async poll() {
+    // Evitar vueltas solapadas si una tarda más que el intervalo
+    if (isPolling) return;
+    isPolling = true;
+
+    try {
+      await this.runDueSchedules();
+      await this.recoverStaleJobs();
+      await this.fillSlots();
+    } catch (error) {
+      console.error('❌ Error en la cola de trabajos:', error.message);
+    } finally {
+      isPolling = false;
+    }
+  }
+
+  // ===== PROGRAMACIONES =====
+
+  // Crea las programaciones incluidas que falten (conserva las editadas)
+  static async syncSchedules() {
+    for (const schedule of getSchedules()) {
+      try {
+        await JobSchedule.updateOne(
+          { name: schedule.name },
+          {
+            $setOnInsert: {
+              jobName: schedule.jobName,
+              cron: schedule.cron,
+              data: schedule.data,
+              description: schedule.description,
+              isActive: true,
+              nextRunAt: getNextRun(schedule.cron)
+            }
+          },
+          { upsert: true }
+        );
+      } catch (error) {
+        // Otra instancia la creó al mismo tiempo
+        if (error.code !== 11000) throw error;
+      }
+    }
+  }
+
+  // Todas las instancias revisan las programaciones, pero solo la que logra
+  // avanzar nextRunAt (comparación atómica) encola el trabajo. Tras una caída
+  // no se recuperan las ejecuciones perdidas: se programa la siguiente
+  static async runDueSchedules(now = new Date()) {
+    const dueSchedules = await JobSchedule.find({ isActive: true, nextRunAt: { $lte: now } });
+    const enqueued = [];
+
+    for (const schedule of dueSchedules) {
+      const claimed = await JobSchedule.findOneAndUpdate(
+        { _id: schedule._id, isActive: true, nextRunAt: schedule.nextRunAt },
+        { $set: { nextRunAt: getNextRun(schedule.cron, now), lastRunAt: now } },
+        { new: true }
+      );
+      if (!claimed) continue;
+
+      if (!getJob(schedule.jobName)) {
+        console.error(`❌ La programación ${schedule.name} apunta a un trabajo no registrado: ${schedule.jobName}`);
+        continue;
+      }
+
+      // Una sola ejecución a la vez por programación
+      const job = await this.enqueue(schedule.jobName, schedule.data, {
+        scheduleName: schedule.name,
+        uniqueKey: `schedule:${schedule.name}`
+      });
+
+      await JobSchedule.updateOne({ _id: schedule._id }, { $set: { lastJobId: job._id } });
+      enqueued.push(job);
+    }
+
+    return enqueued;
+  }
+
+  // ===== EJECUCIÓN =====
+
+  // Reclama trabajos mientras haya capacidad en el proceso y en cada tipo
+  static async fillSlots() {
+    if (isFilling || !isStarted) return;
+    isFilling = true;
+
+    try {
+      while (isStarted && running.size < JOB_WORKER_CONCURRENCY) {
+        const available = getJobs().filter(definition =>
+          this.getRunningCount(definition.name) < definition.concurrency
+        );
+        if (available.length === 0) break;
+
+        const job = await this.claimJob(available);
+        if (!job) break;
+
+        running.set(job._id.toString(), job.name);
+        this.executeJob(job)
+          .catch(error => console.error(`❌ Error registrando el resultado del trabajo ${job._id}:`, error.message))
+          .finally(() => {
+            running.delete(job._id.toString());
+            this.fillSlots();
+          });
+      }
+    } catch (error) {
+      console.error('❌ Error reclamando trabajos:', error.message);
+    } finally {
+      isFilling = false;
+    }
+  }
+
+  // Reclamo atómico: solo una instancia ejecuta cada trabajo. El bloqueo dura
+  // el timeout más largo de los tipos candidatos
+  static async claimJob(definitions) {
+    const now = new Date();
+    const lockMs = Math.max(...definitions.map(definition => definition.timeoutMs)) + LOCK_GRACE_MS;
+
+    return Job.findOneAndUpdate(
+      {
+        status: JOB_STATUS.QUEUED,
+        runAt: { $lte: now },
+        name: { $in: definitions.map(definition => definition.name) }
+      },
+      {
+        $set: {
+          status: JOB_STATUS.RUNNING,
+          lockedBy: workerId,
+          lockedUntil: new Date(now.getTime() + lockMs),
+          startedAt: now
+        },
+        $inc: { attempts: 1 }
+      },
+      { new: true, sort: { priority: -1, runAt: 1 } }
+    );
+  }
+
+  // Un handler que supera su tiempo límite no se puede cancelar: el intento
+  // cuenta como fallido, pero el reintento no se encola antes de que venza el
+  // bloqueo y el hueco de concurrencia sigue ocupado hasta que el handler
+  // termine de verdad, para que no se ejecute dos veces a la vez
+  static async executeJob(job) {
+    const definition = getJob(job.name);
+    const execution = Promise.resolve().then(() =>
+      definition.handler(job.data || {}, { id: job._id, name: job.name, attempt: job.attempts })
+    );
+
+    try {
+      const result = await this.withTimeout(execution, definition.timeoutMs);
+
+      await this.completeJob(job, result);
+    } catch (error) {
+      await this.failJob(job, error);
+
+      if (error.errorCode === 'JOB_TIMEOUT') {
+        await execution.catch(() => {});
+      }
+    }
+  }
+
+  static async completeJob(job, result) {
+    const now = new Date();
+
+    await Job.updateOne(this.lockFilter(job), {
+      $set: {
+        status: JOB_STATUS.COMPLETED,
+        result: result === undefined ? null : JSON.parse(JSON.stringify(result)),
+        finishedAt: now,
+        lockedBy: null,
+        lockedUntil: null,
+        expiresAt: new Date(now.getTime() + JOB_COMPLETED_RETENTION_DAYS * DAY_MS)
+      },
+      $unset: { uniqueKey: 1 }
+    });
+  }
+
+  // Reintento con espera exponencial o, sin intentos restantes, a la cola de
+  // fallidos (dead) para revisarlo desde /api/jobs
+  static async failJob(job, error) {
+    const now = new Date();
+    const isDead = job.attempts >= job.maxAttempts;
+    const update = {
+      $set: {
+        status: isDead ? JOB_STATUS.DEAD : JOB_STATUS.QUEUED,
+        lastError: error.message,
+        lockedBy: null,
+        lockedUntil: null
+      },
+      $push: {
+        failures: {
+          $each: [{ attempt: job.attempts, message: error.message, code: error.errorCode || error.code || null, failedAt: now }],
+          $slice: -JOB_MAX_FAILURES_KEPT
+        }
+      }
+    };
+
+    if (isDead) {
+      update.$set.finishedAt = now;
+      update.$set.expiresAt = new Date(now.getTime() + JOB_DEAD_RETENTION_DAYS * DAY_MS);
+      update.$unset = { uniqueKey: 1 };
+    } else {
+      let runAt = now.getTime() + this.getRetryDelayMs(job.attempts);
+      // El intento vencido puede seguir corriendo hasta que expire su bloqueo
+      if (error.errorCode === 'JOB_TIMEOUT' && job.lockedUntil) {
+        runAt = Math.max(runAt, job.lockedUntil.getTime());
+      }
+      update.$set.runAt = new Date(runAt);
+    }
+
+    const { modifiedCount } = await Job.updateOne(this.lockFilter(job), update);
+
+    if (modifiedCount > 0 && isDead) {
+      console.error(`❌ Trabajo ${job.name} (${job._id}) agotó sus ${job.maxAttempts} intentos: ${error.message}`);
+    }
+  }
+
+  // Trabajos cuyo proceso murió o se colgó: cuentan como intento fallido
+  static async recoverStaleJobs(now = new Date()) {
+    const staleJobs = await Job.find({ status: JOB_STATUS.RUNNING, lockedUntil: { $lt: now } });
+
+    for (const job of staleJobs) {
+      await this.failJob(job, new AppError(
+        `La instancia ${job.lockedBy} no terminó el trabajo a tiempo`,
+        500,
+        'JOB_LOCK_EXPIRED'
+      ));
+    }
+
+    return staleJobs.length;
+  }
+
+  // ===== ADMINISTRACIÓN =====
+
+  static async getJobs(filters = {}, paginationData = {}) {
+    const { status, name, scheduleName } = filters;
+    const { page = 1, limit = 20 } = paginationData;
+    const query = {};
+
+    if (status) query.status = status;
+    if (name) query.name = name;
+    if (scheduleName) query.scheduleName = scheduleName;
+
+    const pagination = calculatePagination(page, limit, await Job.countDocuments(query));
+
+    const jobs = await Job.find(query)
+      .select('-result -failures')
+      .sort({ createdAt: -1 })
+      .skip(pagination.offset)
+      .limit(pagination.limit);
+
+    return {
+      jobs: jobs.map(job => this.formatJobData(job)),
+      pagination
+    };
+  }
+
+  static async getJobById(jobId) {
+    const job = await this.findJob(jobId);
+    return this.formatJobData(job, true);
+  }
+
+  // Conteo por tipo y estado, más el estado del worker de este proceso
+  static async getStats() {
+    const counts = await Job.aggregate([
+      { $group: { _id: { name: '$name', status: '$status' }, count: { $sum: 1 } } }
+    ]);
+
+    const emptyCounts = () => Object.fromEntries(Object.values(JOB_STATUS).map(status => [status, 0]));
+    const byStatus = emptyCounts();
+    const byName = {};
+
+    for (const { _id, count } of counts) {
+      byStatus[_id.status] += count;
+      byName[_id.name] = byName[_id.name] || emptyCounts();
+      byName[_id.name][_id.status] = count;
+    }
+
+    return {
+      byStatus,
+      byName,
+      worker: {
+        id: workerId,
+        isRunning: isStarted,
+        runningJobs: running.size,
+        concurrency: JOB_WORKER_CONCURRENCY
+      }
+    };
+  }
+
+  static getRegisteredJobs() {
+    return getJobs().map(({ name, description, concurrency, maxAttempts, timeoutMs }) => ({
+      name,
+      description,
+      concurrency,
+      maxAttempts,
+      timeoutMs
+    }));
+  }
+
+  // Encolado manual (p. ej. correr una limpieza sin esperar a su programación)
+  static async runJob(name, data, { priority = 0, createdBy = null } = {}) {
+    const job = await this.enqueue(name, data, { priority, createdBy });
+    return this.formatJobData(job, true);
+  }
+
+  // Vuelve a encolar un trabajo fallido o cancelado con todos sus intentos, o
+  // adelanta uno que espera su siguiente reintento
+  static async retryJob(jobId) {
+    const job = await this.findJob(jobId);
+    const retryable = [JOB_STATUS.DEAD, JOB_STATUS.CANCELLED, JOB_STATUS.QUEUED];
+
+    if (!retryable.includes(job.status)) {
+      throw new AppError(`No se puede reintentar un trabajo en estado ${job.status}`, 400, 'JOB_NOT_RETRYABLE');
+    }
+
+    const update = { status: JOB_STATUS.QUEUED, runAt: new Date() };
+    if (job.status !== JOB_STATUS.QUEUED) {
+      Object.assign(update, { attempts: 0, finishedAt: null, expiresAt: null, cancelledBy: null });
+    }
+
+    const retried = await Job.findOneAndUpdate(
+      { _id: job._id, status: job.status },
+      { $set: update },
+      { new: true }
+    );
+
+    if (!retried) {
+      throw new AppError('El trabajo cambió de estado, vuelve a intentarlo', 409, 'JOB_STATE_CHANGED');
+    }
+
+    if (isStarted) this.fillSlots();
+
+    return this.formatJobData(retried, true);
+  }
+
+  // Solo trabajos que no están corriendo: los pendientes dejan de ejecutarse
+  // y los fallidos salen de la cola de fallidos
+  static async cancelJob(jobId, adminUserId) {
+    const job = await this.findJob(jobId);
+
+    if (job.status === JOB_STATUS.RUNNING) {
+      throw new AppError('No se puede cancelar un trabajo en ejecución', 400, 'JOB_RUNNING');
+    }
+
+    if (![JOB_STATUS.QUEUED, JOB_STATUS.DEAD].includes(job.status)) {
+      throw new AppError('El trabajo ya terminó', 400, 'JOB_ALREADY_FINISHED');
+    }
+
+    const now = new Date();
+    const cancelled = await Job.findOneAndUpdate(
+      { _id: job._id, status: job.status },
+      {
+        $set: {
+          status: JOB_STATUS.CANCELLED,
+          cancelledBy: adminUserId,
+          finishedAt: now,
+          expiresAt: new Date(now.getTime() + JOB_COMPLETED_RETENTION_DAYS * DAY_MS)
+        },
+        $unset: { uniqueKey: 1 }
+      },
+      { new: true }
+    );
+
+    if (!cancelled) {
+      throw new AppError('El trabajo cambió de estado, vuelve a intentarlo', 409, 'JOB_STATE_CHANGED');
+    }
+
+    return this.formatJobData(cancelled, true);
+  }
+
+  static async getSchedules() {
+    const schedules = await JobSchedule.find().sort({ name: 1 });
+    return schedules.map(schedule => this.formatScheduleData(schedule));
+  }
+
+  // Pausar/reanudar o cambiar el cron; la siguiente ejecución se recalcula
+  static async updateSchedule(name, { cron, isActive }) {
+    const schedule = await JobSchedule.findOne({ name });
+    if (!schedule) {
+      throw new AppError('Programación no encontrada', 404, 'JOB_SCHEDULE_NOT_FOUND');
+    }
+
+    if (cron !== undefined) schedule.cron = cron;
+    if (isActive !== undefined) schedule.isActive = isActive;
+    schedule.nextRunAt = getNextRun(schedule.cron);
+    await schedule.save();
+
+    return this.formatScheduleData(schedule);
+  }
+
+  // ===== MÉTODOS AUXILIARES =====
+
+  static async findJob(jobId) {
+    const job = await Job.findById(jobId);
+    if (!job) {
+      throw new AppError('Trabajo no encontrado', 404, 'JOB_NOT_FOUND');
+    }
+
+    return job;
+  }
+
+  // Las escrituras del resultado solo aplican si el bloqueo sigue siendo el
+  // mismo (otra instancia pudo recuperar el trabajo mientras tanto)
+  static lockFilter(job) {
+    return {
+      _id: job._id,
+      status: JOB_STATUS.RUNNING,
+      lockedBy: job.lockedBy,
+      lockedUntil: job.lockedUntil
+    };
+  }
+
+  static getRunningCount(name) {
+    let count = 0;
+    for (const jobName of running.values()) {
+      if (jobName === name) count++;
+    }
+    return count;
+  }
+
+  static withTimeout(promise, timeoutMs) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(
+        () => reject(new AppError(`El trabajo superó el tiempo límite de ${timeoutMs} ms`, 500, 'JOB_TIMEOUT')),
+        timeoutMs
+      );
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  // 30 s, 1 min, 2 min... hasta el tope, con ±20 % de variación
+  static getRetryDelayMs(attempts) {
+    const seconds = Math.min(JOB_RETRY_BASE_SECONDS * 2 ** (attempts - 1), JOB_RETRY_MAX_SECONDS);
+    const jitter = 0.8 + Math.random() * 0.4;
+
+    return Math.round(seconds * jitter * 1000);
+  }
+
+  static formatJobData(job, includeDetails = false) {
+    const formatted = {
+      id: job._id,
+      name: job.name,
+      status: job.status,
+      priority: job.priority,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      runAt: job.runAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      lastError: job.lastError,
+      lockedBy: job.lockedBy,
+      scheduleName: job.scheduleName,
+      createdAt: job.createdAt
+    };
+
+    if (includeDetails) {
+      formatted.data = job.data;
+      formatted.result = job.result;
+      formatted.failures = job.failures;
+      formatted.lockedUntil = job.lockedUntil;
+      formatted.createdBy = job.createdBy;
+      formatted.cancelledBy = job.cancelledBy;
+    }
+
+    return formatted;
+  }
+
+  static formatScheduleData(schedule) {
+    return {
+      name: schedule.name,
+      jobName: schedule.jobName,
+      cron: schedule.cron,
+      description: schedule.description,
+      data: schedule.data,
+      isActive: schedule.isActive,
+      nextRunAt: schedule.nextRunAt,
+      lastRunAt: schedule.lastRunAt,
+      lastJobId: schedule.lastJobId
+    };
+  }
+}
+
+module.exports = JobQueueService;
@@ -0,0 +1,123 @@
+const { AppError } = require('../../middlewares/errorHandler');
+
+// ===== EXPRESIONES CRON =====
+// Formato clásico de 5 campos (minuto hora día-del-mes mes día-de-la-semana),
+// evaluado en UTC. Admite *, valores, rangos (1-5), pasos (*/15, 0-30/10),
+// listas (1,15,30) y los atajos @hourly, @daily, @weekly y @monthly
+
+const FIELDS = [
+  { name: 'minuto', min: 0, max: 59 },
+  { name: 'hora', min: 0, max: 23 },
+  { name: 'día del mes', min: 1, max: 31 },
+  { name: 'mes', min: 1, max: 12 },
+  // 0 y 7 son domingo
+  { name: 'día de la semana', min: 0, max: 7 }
+];
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+// Cinco años de búsqueda como máximo (p. ej. "0 0 31 2 *" nunca ocurre)
+const MAX_ITERATIONS = 100000;
+
+const toNumber = (text) => (/^\d+$/.test(text) ? Number(text) : NaN);
+
+const invalid = (expression, detail) =>
+  new AppError(`Expresión cron inválida "${expression}": ${detail}`, 400, 'INVALID_CRON');
+
+const parseField = (expression, value, { name, min, max }) => {
+  const values = new Set();
+
+  for (const part of value.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : toNumber(stepText);
+
+    if (!Number.isInteger(step) || step < 1) {
+      throw invalid(expression, `paso inválido en el ${name}`);
+    }
+
+    let start = min;
+    let end = max;
+
+    if (range !== '*') {
+      const [startText, endText] = range.split('-');
+      start = toNumber(startText);
+      end = endText === undefined ? (stepText === undefined ? start : max) : toNumber(endText);
+    }
+
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+      throw invalid(expression, `el ${name} debe estar entre ${min} y ${max}`);
+    }
+
+    for (let n = start; n <= end; n += step) {
+      values.add(n);
+    }
+  }
+
+  return values;
+};
+
+const parseCron = (expression) => {
+  const normalized = ALIASES[expression.trim()] || expression.trim();
+  const parts = normalized.split(/\s+/);
+
+  if (parts.length !== FIELDS.length) {
+    throw invalid(expression, 'se esperan 5 campos (minuto hora día mes día-de-la-semana)');
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseField(expression, part, FIELDS[i]));
+
+  if (daysOfWeek.has(7)) daysOfWeek.add(0);
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Como en cron: si se restringen ambos días, basta con que coincida uno
+    anyDay: parts[2] !== '*' && parts[4] !== '*'
+  };
+};
+
+const matchesDay = (schedule, date) => {
+  const dayOfMonth = schedule.daysOfMonth.has(date.getUTCDate());
+  const dayOfWeek = schedule.daysOfWeek.has(date.getUTCDay());
+
+  return schedule.anyDay ? dayOfMonth || dayOfWeek : dayOfMonth && dayOfWeek;
+};
+
+// Siguiente minuto posterior a from que cumple la expresión
+const getNextRun = (expression, from = new Date()) => {
+  const schedule = parseCron(expression);
+  const date = new Date(from);
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    if (!schedule.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0);
+    } else if (!matchesDay(schedule, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0);
+    } else if (!schedule.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0);
+    } else if (!schedule.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+
+  throw invalid(expression, 'no tiene ejecuciones en los próximos años');
+};
+
+module.exports = {
+  parseCron,
+  getNextRun
+};
@@ -0,0 +1,171 @@
+const ReservationService = require('../reservationService');
+const FollowService = require('../followService');
+const WishlistService = require('../wishlistService');
+const ShipmentService = require('../shipmentService');
+const DataExportService = require('../dataExportService');
+const AccountDeletionService = require('../accountDeletionService');
+const PopularityService = require('../popularityService');
+const ReviewService = require('../reviewService');
+const WebhookService = require('../webhookService');
+const ReturnService = require('../returnService');
+const { JOB_NAMES, JOB_DEFAULT_MAX_ATTEMPTS, JOB_DEFAULT_TIMEOUT_MS } = require('../../config/constants');
+
+// ===== REGISTRO DE TRABAJOS =====
+// Cada trabajo tiene un nombre y un handler async (data, job) cuyo resultado
+// se guarda en el documento. Opciones:
+//   concurrency  ejecuciones simultáneas por proceso (por defecto 1)
+//   maxAttempts  intentos antes de pasar a la cola de fallidos
+//   timeoutMs    tiempo máximo por intento; al vencer, el intento cuenta como
+//                fallido pero el handler no se interrumpe, por eso los handlers
+//                deben poder repetirse sin efectos duplicados
+const handlers = new Map();
+const schedules = new Map();
+
+const registerJob = (name, handler, options = {}) => {
+  handlers.set(name, {
+    name,
+    handler,
+    description: options.description || null,
+    concurrency: options.concurrency || 1,
+    maxAttempts: options.maxAttempts || JOB_DEFAULT_MAX_ATTEMPTS,
+    timeoutMs: options.timeoutMs || JOB_DEFAULT_TIMEOUT_MS
+  });
+};
+
+const getJob = (name) => handlers.get(name) || null;
+
+const getJobs = () => [...handlers.values()];
+
+// Programación recurrente incluida; se crea en la base la primera vez que
+// arranca la API (los cambios de los administradores se conservan)
+const registerSchedule = ({ name, jobName, cron, data = {}, description = null }) => {
+  schedules.set(name, { name, jobName, cron, data, description });
+};
+
+const getSchedules = () => [...schedules.values()];
+
+// ===== TRABAJOS INCLUIDOS =====
+
+registerJob(JOB_NAMES.ORDERS_EXPIRE_RESERVATIONS, () => ReservationService.sweepExpiredReservations(), {
+  description: 'Cancela las órdenes sin pago cuya reserva de stock venció',
+  // Cada orden se expira en su propia transacción; reintentar pronto es seguro
+  maxAttempts: 3
+});
+
+registerJob(JOB_NAMES.FOLLOWS_CLEAN_INACTIVE, () => FollowService.cleanInactiveFollows(), {
+  description: 'Elimina los seguimientos de usuarios desactivados'
+});
+
+registerJob(JOB_NAMES.WISHLISTS_CLEAN_UNAVAILABLE, () => WishlistService.cleanAllUnavailableProducts(), {
+  description: 'Quita de las listas de deseos los productos desactivados o eliminados'
+});
+
+registerJob(JOB_NAMES.SHIPMENTS_CHECK_DELAYED, () => ShipmentService.checkDelayedShipments(), {
+  description: 'Revisa los envíos que pasaron su fecha estimada de entrega'
+});
+
+registerJob(JOB_NAMES.PRIVACY_SWEEP_EXPORTS, () => DataExportService.sweepExports(), {
+  description: 'Genera las exportaciones de datos pendientes y elimina las vencidas'
+});
+
+registerJob(JOB_NAMES.PRIVACY_PROCESS_DELETIONS, () => AccountDeletionService.processDueDeletions(), {
+  description: 'Elimina las cuentas cuyo periodo de gracia terminó'
+});
+
+registerJob(JOB_NAMES.PRODUCTS_RECOMPUTE_POPULARITY, () => PopularityService.recomputeScores(), {
+  description: 'Recalcula los puntajes de popularidad con decaimiento temporal'
+});
+
+registerJob(JOB_NAMES.REVIEWS_REPAIR_RATING_STATS, () => ReviewService.repairProductRatingStats(), {
+  description: 'Corrige las estadísticas de calificación que no coinciden con las reseñas'
+});
+
+registerJob(JOB_NAMES.WEBHOOKS_RETRY_DELIVERIES, () => WebhookService.processDueDeliveries(), {
+  description: 'Reenvía las entregas de webhooks cuyo siguiente intento venció',
+  // Cada entrega se reclama por separado; la siguiente ejecución sigue donde quedó
+  maxAttempts: 3
+});
+
+registerJob(JOB_NAMES.RETURNS_RECONCILE_REFUNDS, () => ReturnService.reconcileStuckRefunds(), {
+  description: 'Completa o reabre las devoluciones que quedaron a medias en REFUNDING',
+  // Cada devolución se concilia por separado y comprueba su estado antes
+  maxAttempts: 3
+});
+
+registerSchedule({
+  name: 'expire-order-reservations',
+  jobName: JOB_NAMES.ORDERS_EXPIRE_RESERVATIONS,
+  cron: '* * * * *',
+  description: 'Cada minuto'
+});
+
+registerSchedule({
+  name: 'clean-inactive-follows',
+  jobName: JOB_NAMES.FOLLOWS_CLEAN_INACTIVE,
+  cron: '30 3 * * *',
+  description: 'Diario a las 03:30 UTC'
+});
+
+registerSchedule({
+  name: 'clean-unavailable-wishlist-products',
+  jobName: JOB_NAMES.WISHLISTS_CLEAN_UNAVAILABLE,
+  cron: '0 4 * * *',
+  description: 'Diario a las 04:00 UTC'
+});
+
+registerSchedule({
+  name: 'check-delayed-shipments',
+  jobName: JOB_NAMES.SHIPMENTS_CHECK_DELAYED,
+  cron: '0 * * * *',
+  description: 'Cada hora'
+});
+
+registerSchedule({
+  name: 'sweep-data-exports',
+  jobName: JOB_NAMES.PRIVACY_SWEEP_EXPORTS,
+  cron: '*/15 * * * *',
+  description: 'Cada 15 minutos'
+});
+
+registerSchedule({
+  name: 'process-account-deletions',
+  jobName: JOB_NAMES.PRIVACY_PROCESS_DELETIONS,
+  cron: '5-59/15 * * * *',
+  description: 'Cada 15 minutos'
+});
+
+registerSchedule({
+  name: 'recompute-product-popularity',
+  jobName: JOB_NAMES.PRODUCTS_RECOMPUTE_POPULARITY,
+  cron: '*/15 * * * *',
+  description: 'Cada 15 minutos'
+});
+
+registerSchedule({
+  name: 'repair-rating-stats',
+  jobName: JOB_NAMES.REVIEWS_REPAIR_RATING_STATS,
+  cron: '0 5 * * *',
+  description: 'Diario a las 05:00 UTC'
+});
+
+registerSchedule({
+  name: 'retry-webhook-deliveries',
+  jobName: JOB_NAMES.WEBHOOKS_RETRY_DELIVERIES,
+  cron: '* * * * *',
+  description: 'Cada minuto'
+});
+
+registerSchedule({
+  name: 'reconcile-return-refunds',
+  jobName: JOB_NAMES.RETURNS_RECONCILE_REFUNDS,
+  cron: '10-59/15 * * * *',
+  description: 'Cada 15 minutos'
+});
+
+module.exports = {
+  registerJob,
+  getJob,
+  getJobs,
+  registerSchedule,
+  getSchedules
+};
@@ -0,0 +1,330 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const LoginEvent = require('../models/LoginEvent');
+const SessionService = require('./sessionService');
+const MailService = require('./mailService');
+const { AppError } = require('../middlewares/errorHandler');
+const { calculatePagination } = require('../middlewares/responseFormatter');
+const {
+  LOGIN_LOCKOUT,
+  LOGIN_METHODS,
+  LOGIN_FAILURE_REASONS
+} = require('../config/constants');
+
+class LoginSecurityService {
+  // ===== COMPROBAR BLOQUEO / ESPERA =====
+  // Se llama antes de comprobar la contraseña o el código: mientras la cuenta
+  // esté bloqueada o en espera no se evalúan credenciales
+  static async assertCanAttempt(user, context = {}, method = LOGIN_METHODS.PASSWORD) {
+    const state = this.getLockState(user);
+    if (!state) return;
+
+    await this.recordEvent({ user, success: false, reason: state.reason, method, context });
+
+    if (state.reason === LOGIN_FAILURE_REASONS.ACCOUNT_LOCKED) {
+      throw new AppError(
+        'La cuenta está bloqueada temporalmente por demasiados intentos fallidos. Intenta más tarde o restablece tu contraseña.',
+        429,
+        'ACCOUNT_LOCKED',
+        { retryAfter: state.retryAfter, lockedUntil: state.until }
+      );
+    }
+
+    throw new AppError(
+      `Demasiados intentos fallidos. Espera ${state.retryAfter} segundos antes de volver a intentar.`,
+      429,
+      'LOGIN_THROTTLED',
+      { retryAfter: state.retryAfter }
+    );
+  }
+
+  // null si se puede intentar; si no, { reason, retryAfter (segundos), until }
+  static getLockState(user, now = new Date()) {
+    const security = user.loginSecurity || {};
+
+    if (security.lockedUntil && security.lockedUntil > now) {
+      return {
+        reason: LOGIN_FAILURE_REASONS.ACCOUNT_LOCKED,
+        retryAfter: Math.ceil((security.lockedUntil - now) / 1000),
+        until: security.lockedUntil
+      };
+    }
+
+    const failures = this.getActiveFailures(security, now);
+    if (failures < LOGIN_LOCKOUT.FREE_ATTEMPTS) return null;
+
+    const until = new Date(security.lastFailedAt.getTime() + this.getBackoffSeconds(failures) * 1000);
+    if (until <= now) return null;
+
+    return {
+      reason: LOGIN_FAILURE_REASONS.THROTTLED,
+      retryAfter: Math.ceil((until - now) / 1000),
+      until
+    };
+  }
+
+  // ===== REGISTRAR FALLO =====
+  // Incrementa el contador (reiniciándolo si el último fallo salió de la
+  // ventana) y bloquea la cuenta al llegar al umbral
+  static async registerFailure(user, reason, context = {}, method = LOGIN_METHODS.PASSWORD) {
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - LOGIN_LOCKOUT.FAILURE_WINDOW_MINUTES * 60 * 1000);
+
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id },
+      [{
+        $set: {
+          'loginSecurity.failedAttempts': {
+            $cond: [
+              { $lt: ['$loginSecurity.lastFailedAt', windowStart] },
+              1,
+              { $add: [{ $ifNull: ['$loginSecurity.failedAttempts', 0] }, 1] }
+            ]
+          },
+          'loginSecurity.lastFailedAt': now
+        }
+      }],
+      { new: true, projection: { loginSecurity: 1 } }
+    );
+
+    let lockedUntil = null;
+
+    if (updated && updated.loginSecurity.failedAttempts >= LOGIN_LOCKOUT.LOCKOUT_THRESHOLD) {
+      const lockCount = (updated.loginSecurity.lockCount || 0) + 1;
+      const minutes = Math.min(
+        LOGIN_LOCKOUT.LOCKOUT_MINUTES * 2 ** (lockCount - 1),
+        LOGIN_LOCKOUT.MAX_LOCKOUT_MINUTES
+      );
+      lockedUntil = new Date(now.getTime() + minutes * 60 * 1000);
+
+      await User.updateOne(
+        { _id: user._id },
+        {
+          $set: { 'loginSecurity.lockedUntil': lockedUntil, 'loginSecurity.failedAttempts': 0 },
+          $inc: { 'loginSecurity.lockCount': 1 }
+        }
+      );
+    }
+
+    await this.recordEvent({ user, success: false, reason, method, context });
+
+    if (lockedUntil) {
+      await MailService.sendTemplateSafely('accountLocked', user.email, {
+        firstName: user.firstName,
+        lockedUntil,
+        ip: context.ip
+      });
+    }
+
+    return { lockedUntil };
+  }
+
+  // Intentos sin cuenta asociada o con la cuenta desactivada: solo se registran
+  static async registerRejectedAttempt({ user = null, email, reason, method = LOGIN_METHODS.PASSWORD }, context = {}) {
+    await this.recordEvent({ user, email, success: false, reason, method, context });
+  }
+
+  // ===== REGISTRAR ÉXITO =====
+  // Reinicia los contadores y marca el evento si el dispositivo es nuevo
+  static async registerSuccess(user, context = {}, { method = LOGIN_METHODS.PASSWORD, sessionId = null } = {}) {
+    const security = user.loginSecurity || {};
+
+    if (security.failedAttempts || security.lockedUntil || security.lockCount) {
+      await User.updateOne(
+        { _id: user._id },
+        {
+          $set: {
+            'loginSecurity.failedAttempts': 0,
+            'loginSecurity.lastFailedAt': null,
+            'loginSecurity.lockedUntil': null,
+            'loginSecurity.lockCount': 0
+          }
+        }
+      );
+    }
+
+    const device = SessionService.describeUserAgent(context.userAgent);
+    const deviceKey = this.getDeviceKey(device);
+
+    // El registro abre la primera sesión: ese dispositivo es el de referencia
+    const newDevice = method !== LOGIN_METHODS.REGISTER && await this.isNewDevice(user._id, deviceKey);
+
+    await this.recordEvent({ user, success: true, method, context, device, deviceKey, newDevice, sessionId });
+
+    if (newDevice) {
+      await MailService.sendTemplateSafely('newDeviceLogin', user.email, {
+        firstName: user.firstName,
+        device,
+        ip: context.ip,
+        date: new Date()
+      });
+    }
+
+    return { newDevice };
+  }
+
+  // Una cuenta sin historial (creada antes de registrar eventos) no genera alertas
+  static async isNewDevice(userId, deviceKey) {
+    const hasHistory = await LoginEvent.exists({ userId, success: true });
+    if (!hasHistory) return false;
+
+    return !(await LoginEvent.exists({ userId, success: true, deviceKey }));
+  }
+
+  // ===== HISTORIAL DEL USUARIO =====
+  static async getLoginHistory(userId, filters = {}, paginationData = {}) {
+    const query = { userId, ...this.buildEventFilters(filters) };
+
+    return this.findEvents(query, paginationData);
+  }
+
+  // ===== EVENTOS DE TODAS LAS CUENTAS (ADMIN) =====
+  static async getLoginEvents(filters = {}, paginationData = {}) {
+    const query = this.buildEventFilters(filters);
+
+    if (filters.userId) query.userId = filters.userId;
+    if (filters.email) query.email = filters.email.toLowerCase();
+    if (filters.ip) query.ip = filters.ip;
+
+    return this.findEvents(query, paginationData, { includeUser: true });
+  }
+
+  // ===== DESBLOQUEAR CUENTA (ADMIN) =====
+  static async unlockAccount(userId) {
+    const user = await User.findByIdAndUpdate(
+      userId,
+      {
+        $set: {
+          'loginSecurity.failedAttempts': 0,
+          'loginSecurity.lastFailedAt': null,
+          'loginSecurity.lockedUntil': null,
+          'loginSecurity.lockCount': 0
+        }
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      throw new AppError('Usuario no encontrado', 404, 'USER_NOT_FOUND');
+    }
+
+    return { userId: user._id, isLocked: false, message: 'Cuenta desbloqueada exitosamente' };
+  }
+
+  // ===== LEVANTAR BLOQUEO AL RESTABLECER CONTRASEÑA =====
+  // Quien recibió el enlace en su correo recupera el acceso aunque la cuenta
+  // estuviera bloqueada; el cambio se guarda junto con la nueva contraseña
+  static clearLockout(user) {
+    user.loginSecurity = {
+      failedAttempts: 0,
+      lastFailedAt: null,
+      lockedUntil: null,
+      lockCount: 0
+    };
+  }
+
+  // ===== MÉTODOS AUXILIARES =====
+
+  // Un fallo en el historial nunca debe impedir ni permitir un login
+  static async recordEvent({ user, email, success, reason = null, method, context = {}, device, deviceKey, newDevice = false, sessionId = null }) {
+    try {
+      const deviceName = device || SessionService.describeUserAgent(context.userAgent);
+
+      await LoginEvent.create({
+        userId: user ? user._id : null,
+        email: user ? user.email : email,
+        success,
+        method,
+        reason,
+        ip: context.ip,
+        userAgent: context.userAgent,
+        device: deviceName,
+        deviceKey: deviceKey || this.getDeviceKey(deviceName),
+        newDevice,
+        sessionId
+      });
+    } catch (error) {
+      console.error('Error registrando evento de inicio de sesión:', error.message);
+    }
+  }
+
+  static async findEvents(query, paginationData, options = {}) {
+    const { page = 1, limit = 20 } = paginationData;
+    const pagination = calculatePagination(page, limit, await LoginEvent.countDocuments(query));
+
+    let eventsQuery = LoginEvent.find(query)
+      .sort({ createdAt: -1 })
+      .skip(pagination.offset)
+      .limit(pagination.limit);
+
+    if (options.includeUser) {
+      eventsQuery = eventsQuery.populate('userId', 'firstName lastName email role');
+    }
+
+    const events = await eventsQuery;
+
+    return {
+      events: events.map(event => this.formatEventData(event, options)),
+      pagination
+    };
+  }
+
+  static buildEventFilters({ success, newDevice, reason, dateFrom, dateTo }) {
+    const query = {};
+
+    if (success !== undefined) query.success = success;
+    if (newDevice !== undefined) query.newDevice = newDevice;
+    if (reason) query.reason = reason;
+
+    if (dateFrom || dateTo) {
+      query.createdAt = {};
+      if (dateFrom) query.createdAt.$gte = new Date(dateFrom);
+      if (dateTo) query.createdAt.$lte = new Date(dateTo);
+    }
+
+    return query;
+  }
+
+  static getActiveFailures(security, now = new Date()) {
+    if (!security.failedAttempts || !security.lastFailedAt) return 0;
+
+    const windowStart = now.getTime() - LOGIN_LOCKOUT.FAILURE_WINDOW_MINUTES * 60 * 1000;
+    return security.lastFailedAt.getTime() < windowStart ? 0 : security.failedAttempts;
+  }
+
+  static getBackoffSeconds(failures) {
+    const exponent = failures - LOGIN_LOCKOUT.FREE_ATTEMPTS;
+    return Math.min(LOGIN_LOCKOUT.BACKOFF_BASE_SECONDS * 2 ** exponent, LOGIN_LOCKOUT.MAX_BACKOFF_SECONDS);
+  }
+
+  static getDeviceKey(device) {
+    return crypto.createHash('sha256').update(String(device || '').toLowerCase()).digest('hex').substring(0, 32);
+  }
+
+  static formatEventData(event, options = {}) {
+    const data = {
+      id: event._id,
+      success: event.success,
+      method: event.method,
+      reason: event.reason,
+      ip: event.ip,
+      device: event.device,
+      userAgent: event.userAgent,
+      newDevice: event.newDevice,
+      createdAt: event.createdAt
+    };
+
+    if (options.includeUser) {
+      const user = event.userId && event.userId._id ? event.userId : null;
+      data.email = event.email;
+      data.user = user
+        ? { id: user._id, fullName: `${user.firstName} ${user.lastName}`, email: user.email, role: user.role }
+        : null;
+      data.sessionId = event.sessionId;
+    }
+
+    return data;
+  }
+}
+
+module.exports = LoginSecurityService;
@@ -0,0 +1,30 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const MailTransport = require('./mailTransport');
+const { MAIL_TRANSPORTS, MAIL_FILE_DIR } = require('../../config/constants');
+
+// ===== TRANSPORTE A ARCHIVO =====
+// Guarda cada mensaje como .eml (MIME completo) en lugar de enviarlo.
+// Útil en desarrollo y pruebas: el enlace del email se lee del archivo.
+class FileTransport extends MailTransport {
+  constructor({ directory = MAIL_FILE_DIR } = {}) {
+    super(MAIL_TRANSPORTS.FILE);
+    this.directory = path.resolve(directory);
+    this.transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+
+    const recipient = String(message.to).replace(/[^a-zA-Z0-9@._-]/g, '_');
+    const fileName = `${Date.now()}-${recipient}.eml`;
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(path.join(this.directory, fileName), info.message);
+
+    return { messageId: info.messageId, file: fileName };
+  }
+}
+
+module.exports = FileTransport;
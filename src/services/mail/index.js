@@ -0,0 +1,37 @@
+const SmtpTransport = require('./smtpTransport');
+const FileTransport = require('./fileTransport');
+const { AppError } = require('../../middlewares/errorHandler');
+const { MAIL_TRANSPORTS, MAIL_TRANSPORT } = require('../../config/constants');
+
+// ===== REGISTRO DE TRANSPORTES DE CORREO =====
+// Los transportes se instancian al primer uso
+const factories = new Map();
+const instances = new Map();
+
+const registerTransport = (name, factory) => {
+  factories.set(name, factory);
+  instances.delete(name);
+};
+
+const getTransport = (name = MAIL_TRANSPORT) => {
+  if (!instances.has(name)) {
+    const factory = factories.get(name);
+
+    if (!factory) {
+      throw new AppError(`Transporte de correo no soportado: ${name}`, 500, 'MAIL_TRANSPORT_NOT_FOUND');
+    }
+
+    instances.set(name, factory());
+  }
+
+  return instances.get(name);
+};
+
+// Transportes incluidos
+registerTransport(MAIL_TRANSPORTS.SMTP, () => new SmtpTransport());
+registerTransport(MAIL_TRANSPORTS.FILE, () => new FileTransport());
+
+module.exports = {
+  registerTransport,
+  getTransport
+};
@@ -0,0 +1,20 @@
+const { AppError } = require('../../middlewares/errorHandler');
+
+// ===== INTERFAZ DE TRANSPORTE DE CORREO =====
+// Cada transporte entrega un mensaje ya renderizado:
+// { from, to, subject, text, html } → { messageId }
+class MailTransport {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async send(message) {
+    throw new AppError(
+      `El transporte de correo ${this.name} no implementa send`,
+      501,
+      'MAIL_OPERATION_NOT_SUPPORTED'
+    );
+  }
+}
+
+module.exports = MailTransport;
@@ -0,0 +1,28 @@
+const nodemailer = require('nodemailer');
+const MailTransport = require('./mailTransport');
+const { MAIL_TRANSPORTS, SMTP_CONFIG } = require('../../config/constants');
+
+// ===== TRANSPORTE SMTP =====
+// En desarrollo puede apuntar a un servidor de captura local (Mailpit en
+// localhost:1025, ver docker-compose) para revisar los emails sin enviarlos
+class SmtpTransport extends MailTransport {
+  constructor(config = SMTP_CONFIG) {
+    super(MAIL_TRANSPORTS.SMTP);
+
+    this.transporter = nodemailer.createTransport({
+      host: config.host,
+      port: config.port,
+      secure: config.secure,
+      ...(config.user && {
+        auth: { user: config.user, pass: config.pass }
+      })
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,241 @@
+// ===== PLANTILLAS DE CORREO =====
+// Cada plantilla recibe los datos del mensaje y devuelve { subject, text, html }.
+// El texto plano acompaña siempre al HTML para clientes que no lo muestran.
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Estructura común del HTML: encabezado, párrafos y botón opcional
+const layout = ({ title, paragraphs, action, footer }) => {
+  const body = paragraphs.map(paragraph => `<p style="margin:0 0 16px">${escapeHtml(paragraph)}</p>`).join('\n');
+  const button = action
+    ? `<p style="margin:24px 0"><a href="${escapeHtml(action.url)}" style="background:#7c3aed;color:#fff;padding:12px 20px;border-radius:6px;text-decoration:none">${escapeHtml(action.label)}</a></p>
+<p style="margin:0 0 16px;font-size:12px;color:#666">Si el botón no funciona, copia este enlace en tu navegador:<br>${escapeHtml(action.url)}</p>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="es">
+<body style="font-family:Arial,sans-serif;color:#222;max-width:560px;margin:0 auto;padding:24px">
+<h1 style="font-size:20px;margin:0 0 24px">${escapeHtml(title)}</h1>
+${body}
+${button}
+<p style="margin:32px 0 0;font-size:12px;color:#666">${escapeHtml(footer || 'Destello Shop')}</p>
+</body>
+</html>`;
+};
+
+const text = (...lines) => lines.filter(line => line !== null && line !== undefined).join('\n\n');
+
+const formatDate = (date) => new Date(date).toLocaleString('es-MX', { dateStyle: 'long', timeStyle: 'short' });
+
+const templates = {
+  passwordReset: ({ firstName, resetUrl, expiresInMinutes }) => ({
+    subject: 'Restablece tu contraseña - Destello Shop',
+    text: text(
+      `Hola ${firstName},`,
+      'Recibimos una solicitud para restablecer la contraseña de tu cuenta.',
+      `Abre este enlace para elegir una nueva (válido por ${expiresInMinutes} minutos):`,
+      resetUrl,
+      'Si no fuiste tú, ignora este mensaje; tu contraseña no cambiará.'
+    ),
+    html: layout({
+      title: 'Restablece tu contraseña',
+      paragraphs: [
+        `Hola ${firstName},`,
+        'Recibimos una solicitud para restablecer la contraseña de tu cuenta.',
+        `El enlace es válido por ${expiresInMinutes} minutos y solo puede usarse una vez.`
+      ],
+      action: { url: resetUrl, label: 'Elegir nueva contraseña' },
+      footer: 'Si no fuiste tú, ignora este mensaje; tu contraseña no cambiará.'
+    })
+  }),
+
+  emailVerification: ({ firstName, verifyUrl, expiresInMinutes }) => ({
+    subject: 'Confirma tu email - Destello Shop',
+    text: text(
+      `Hola ${firstName},`,
+      'Confirma tu dirección de email abriendo este enlace:',
+      verifyUrl,
+      `El enlace vence en ${Math.round(expiresInMinutes / 60)} horas.`
+    ),
+    html: layout({
+      title: 'Confirma tu email',
+      paragraphs: [
+        `Hola ${firstName},`,
+        'Gracias por registrarte en Destello Shop. Confirma tu dirección de email para completar tu cuenta.',
+        `El enlace vence en ${Math.round(expiresInMinutes / 60)} horas.`
+      ],
+      action: { url: verifyUrl, label: 'Confirmar email' }
+    })
+  }),
+
+  passwordChanged: ({ firstName }) => ({
+    subject: 'Tu contraseña fue cambiada - Destello Shop',
+    text: text(
+      `Hola ${firstName},`,
+      'La contraseña de tu cuenta se cambió y se cerraron todas tus sesiones.',
+      'Si no fuiste tú, restablece tu contraseña de inmediato y contacta al soporte.'
+    ),
+    html: layout({
+      title: 'Tu contraseña fue cambiada',
+      paragraphs: [
+        `Hola ${firstName},`,
+        'La contraseña de tu cuenta se cambió y se cerraron todas tus sesiones.',
+        'Si no fuiste tú, restablece tu contraseña de inmediato y contacta al soporte.'
+      ]
+    })
+  }),
+
+  twoFactorEnabled: ({ firstName }) => ({
+    subject: 'Verificación en dos pasos activada - Destello Shop',
+    text: text(
+      `Hola ${firstName},`,
+      'Activaste la verificación en dos pasos: al iniciar sesión te pediremos el código de tu app autenticadora.',
+      'Guarda tus códigos de recuperación en un lugar seguro. Si no fuiste tú, contacta al soporte.'
+    ),
+    html: layout({
+      title: 'Verificación en dos pasos activada',
+      paragraphs: [
+        `Hola ${firstName},`,
+        'Activaste la verificación en dos pasos: al iniciar sesión te pediremos el código de tu app autenticadora.',
+        'Guarda tus códigos de recuperación en un lugar seguro. Si no fuiste tú, contacta al soporte.'
+      ]
+    })
+  }),
+
+  twoFactorDisabled: ({ firstName }) => ({
+    subject: 'Verificación en dos pasos desactivada - Destello Shop',
+    text: text(
+      `Hola ${firstName},`,
+      'La verificación en dos pasos de tu cuenta se desactivó.',
+      'Si no fuiste tú, cambia tu contraseña de inmediato y contacta al soporte.'
+    ),
+    html: layout({
+      title: 'Verificación en dos pasos desactivada',
+      paragraphs: [
+        `Hola ${firstName},`,
+        'La verificación en dos pasos de tu cuenta se desactivó.',
+        'Si no fuiste tú, cambia tu contraseña de inmediato y contacta al soporte.'
+      ]
+    })
+  }),
+
+  newDeviceLogin: ({ firstName, device, ip, date }) => ({
+    subject: 'Nuevo inicio de sesión en tu cuenta - Destello Shop',
+    text: text(
+      `Hola ${firstName},`,
+      `El ${formatDate(date)} se inició sesión en tu cuenta desde un dispositivo que no habías usado: ${device} (IP ${ip || 'desconocida'}).`,
+      'Si fuiste tú, no necesitas hacer nada. Si no, cambia tu contraseña y cierra las sesiones que no reconozcas.'
+    ),
+    html: layout({
+      title: 'Nuevo inicio de sesión',
+      paragraphs: [
+        `Hola ${firstName},`,
+        `El ${formatDate(date)} se inició sesión en tu cuenta desde un dispositivo que no habías usado: ${device} (IP ${ip || 'desconocida'}).`,
+        'Si fuiste tú, no necesitas hacer nada. Si no, cambia tu contraseña y cierra las sesiones que no reconozcas.'
+      ]
+    })
+  }),
+
+  accountLocked: ({ firstName, lockedUntil, ip }) => ({
+    subject: 'Bloqueamos temporalmente tu cuenta - Destello Shop',
+    text: text(
+      `Hola ${firstName},`,
+      `Tu cuenta quedará bloqueada hasta el ${formatDate(lockedUntil)} porque detectamos demasiados intentos fallidos de inicio de sesión (el último desde la IP ${ip || 'desconocida'}).`,
+      'Si no fuiste tú, te recomendamos restablecer tu contraseña y activar la verificación en dos pasos.'
+    ),
+    html: layout({
+      title: 'Cuenta bloqueada temporalmente',
+      paragraphs: [
+        `Hola ${firstName},`,
+        `Tu cuenta quedará bloqueada hasta el ${formatDate(lockedUntil)} porque detectamos demasiados intentos fallidos de inicio de sesión (el último desde la IP ${ip || 'desconocida'}).`,
+        'Si no fuiste tú, te recomendamos restablecer tu contraseña y activar la verificación en dos pasos.'
+      ]
+    })
+  }),
+
+  dataExportReady: ({ firstName, downloadUrl, expiresAt }) => ({
+    subject: 'Tu exportación de datos está lista - Destello Shop',
+    text: text(
+      `Hola ${firstName},`,
+      'Ya puedes descargar el archivo con la información personal asociada a tu cuenta desde la sección de privacidad:',
+      downloadUrl,
+      `El archivo estará disponible hasta el ${formatDate(expiresAt)}.`,
+      'Si no solicitaste esta exportación, cambia tu contraseña de inmediato.'
+    ),
+    html: layout({
+      title: 'Tu exportación de datos está lista',
+      paragraphs: [
+        `Hola ${firstName},`,
+        'Ya puedes descargar el archivo con la información personal asociada a tu cuenta.',
+        `El archivo estará disponible hasta el ${formatDate(expiresAt)}.`
+      ],
+      action: { url: downloadUrl, label: 'Descargar mis datos' },
+      footer: 'Si no solicitaste esta exportación, cambia tu contraseña de inmediato.'
+    })
+  }),
+
+  accountDeletionScheduled: ({ firstName, scheduledFor, cancelUrl }) => ({
+    subject: 'Programamos la eliminación de tu cuenta - Destello Shop',
+    text: text(
+      `Hola ${firstName},`,
+      `Recibimos tu solicitud para eliminar tu cuenta. Tus datos personales se borrarán el ${formatDate(scheduledFor)}.`,
+      'Hasta entonces puedes seguir usando tu cuenta y cancelar la solicitud desde la sección de privacidad:',
+      cancelUrl,
+      'Conservaremos tus órdenes sin datos personales por obligaciones fiscales.'
+    ),
+    html: layout({
+      title: 'Eliminación de cuenta programada',
+      paragraphs: [
+        `Hola ${firstName},`,
+        `Recibimos tu solicitud para eliminar tu cuenta. Tus datos personales se borrarán el ${formatDate(scheduledFor)}.`,
+        'Hasta entonces puedes seguir usando tu cuenta y cancelar la solicitud.'
+      ],
+      action: { url: cancelUrl, label: 'Cancelar la eliminación' },
+      footer: 'Conservaremos tus órdenes sin datos personales por obligaciones fiscales.'
+    })
+  }),
+
+  accountDeletionCancelled: ({ firstName }) => ({
+    subject: 'Cancelaste la eliminación de tu cuenta - Destello Shop',
+    text: text(
+      `Hola ${firstName},`,
+      'La eliminación de tu cuenta se canceló y tus datos se conservan.',
+      'Si no fuiste tú, cambia tu contraseña de inmediato.'
+    ),
+    html: layout({
+      title: 'Eliminación de cuenta cancelada',
+      paragraphs: [
+        `Hola ${firstName},`,
+        'La eliminación de tu cuenta se canceló y tus datos se conservan.',
+        'Si no fuiste tú, cambia tu contraseña de inmediato.'
+      ]
+    })
+  }),
+
+  accountDeleted: ({ firstName }) => ({
+    subject: 'Eliminamos tu cuenta - Destello Shop',
+    text: text(
+      `Hola ${firstName},`,
+      'Tu cuenta se eliminó y borramos tus datos personales.',
+      'Este es el último mensaje que recibirás de nosotros. Gracias por haber sido parte de Destello Shop.'
+    ),
+    html: layout({
+      title: 'Cuenta eliminada',
+      paragraphs: [
+        `Hola ${firstName},`,
+        'Tu cuenta se eliminó y borramos tus datos personales.',
+        'Este es el último mensaje que recibirás de nosotros. Gracias por haber sido parte de Destello Shop.'
+      ]
+    })
+  })
+};
+
+module.exports = {
+  templates,
+  escapeHtml
+};
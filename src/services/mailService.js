@@ -0,0 +1,39 @@
+const { getTransport } = require('./mail');
+const { templates } = require('./mail/templates');
+const { AppError } = require('../middlewares/errorHandler');
+const { MAIL_FROM } = require('../config/constants');
+
+class MailService {
+  // ===== ENVIAR EMAIL CON PLANTILLA =====
+  static async sendTemplate(templateName, to, data = {}) {
+    const template = templates[templateName];
+
+    if (!template) {
+      throw new AppError(`Plantilla de correo no encontrada: ${templateName}`, 500, 'MAIL_TEMPLATE_NOT_FOUND');
+    }
+
+    const { subject, text, html } = template(data);
+
+    return this.send({ to, subject, text, html });
+  }
+
+  // ===== ENVIAR EMAIL =====
+  static async send({ to, subject, text, html }) {
+    const transport = getTransport();
+
+    return transport.send({ from: MAIL_FROM, to, subject, text, html });
+  }
+
+  // Envío que no debe interrumpir el flujo principal (registro, avisos):
+  // el error se registra y la operación continúa
+  static async sendTemplateSafely(templateName, to, data = {}) {
+    try {
+      return await this.sendTemplate(templateName, to, data);
+    } catch (error) {
+      console.error(`Error enviando email "${templateName}" a ${to}:`, error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = MailService;
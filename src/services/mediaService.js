@@ -0,0 +1,593 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const Media = require('../models/Media');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const { getStorage } = require('./storage');
+const RoleService = require('./roleService');
+const { AppError } = require('../middlewares/errorHandler');
+const {
+  MEDIA_USAGES,
+  MEDIA_IMAGE_TYPES,
+  MEDIA_ATTACHMENT_TYPES,
+  MEDIA_MAX_FILE_SIZE,
+  MEDIA_MAX_AVATAR_SIZE,
+  MEDIA_THUMBNAIL_SIZES,
+  PRODUCT_MAX_IMAGES,
+  POST_MAX_ATTACHMENTS,
+  PERMISSIONS
+} = require('../config/constants');
+
+// Reglas por uso: tipos aceptados, tamaño máximo, carpeta y miniaturas
+const USAGE_RULES = {
+  [MEDIA_USAGES.PRODUCT_IMAGE]: {
+    folder: 'products',
+    allowedTypes: MEDIA_IMAGE_TYPES,
+    maxSize: MEDIA_MAX_FILE_SIZE,
+    thumbnails: ['thumb', 'small', 'medium']
+  },
+  [MEDIA_USAGES.CATEGORY_IMAGE]: {
+    folder: 'categories',
+    allowedTypes: MEDIA_IMAGE_TYPES,
+    maxSize: MEDIA_MAX_FILE_SIZE,
+    thumbnails: ['thumb', 'small']
+  },
+  [MEDIA_USAGES.POST_ATTACHMENT]: {
+    folder: 'posts',
+    allowedTypes: MEDIA_ATTACHMENT_TYPES,
+    maxSize: MEDIA_MAX_FILE_SIZE,
+    thumbnails: ['thumb', 'medium']
+  },
+  [MEDIA_USAGES.AVATAR]: {
+    folder: 'avatars',
+    allowedTypes: MEDIA_IMAGE_TYPES,
+    maxSize: MEDIA_MAX_AVATAR_SIZE,
+    thumbnails: ['thumb', 'small'],
+    square: true
+  }
+};
+
+// Formato detectado por sharp → tipo MIME y extensión
+const IMAGE_FORMATS = {
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpg' },
+  png: { mimeType: 'image/png', extension: 'png' },
+  webp: { mimeType: 'image/webp', extension: 'webp' },
+  gif: { mimeType: 'image/gif', extension: 'gif' }
+};
+
+// Rechazar imágenes descomunales antes de decodificarlas
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+class MediaService {
+  // ===== SUBIR ARCHIVO =====
+  // Valida el contenido real del archivo, genera miniaturas, lo guarda en el
+  // almacenamiento configurado y registra el Media. Si algo falla se eliminan
+  // los archivos ya escritos.
+  static async uploadFile(file, { usage, ownerId, uploadedBy }) {
+    const rules = USAGE_RULES[usage];
+    if (!rules) {
+      throw new AppError(`Uso de archivo no soportado: ${usage}`, 400, 'INVALID_MEDIA_USAGE');
+    }
+
+    if (!file || !file.buffer || file.buffer.length === 0) {
+      throw new AppError('El archivo está vacío', 400, 'EMPTY_FILE');
+    }
+
+    if (file.buffer.length > rules.maxSize) {
+      throw new AppError(
+        `El archivo excede el tamaño máximo de ${Math.round(rules.maxSize / 1024 / 1024)} MB`,
+        413,
+        'FILE_TOO_LARGE'
+      );
+    }
+
+    const detected = await this.detectFileType(file.buffer);
+    if (!detected || !rules.allowedTypes.includes(detected.mimeType)) {
+      throw new AppError(
+        'El contenido del archivo no corresponde a un tipo permitido',
+        415,
+        'UNSUPPORTED_MEDIA_TYPE',
+        { allowedTypes: rules.allowedTypes }
+      );
+    }
+
+    let processed = { buffer: file.buffer, thumbnails: [] };
+    if (detected.isImage) {
+      try {
+        processed = await this.processImage(file.buffer, detected, rules);
+      } catch (error) {
+        // Imagen corrupta o truncada: el encabezado es válido pero no se puede decodificar
+        throw new AppError('No se pudo procesar la imagen', 422, 'INVALID_IMAGE');
+      }
+    }
+
+    const storage = getStorage();
+    const baseKey = `${rules.folder}/${ownerId}/${crypto.randomUUID()}`;
+    const writtenKeys = [];
+
+    try {
+      const key = `${baseKey}.${detected.extension}`;
+      const stored = await storage.put(key, processed.buffer, detected.mimeType);
+      writtenKeys.push(key);
+
+      const thumbnails = [];
+      for (const thumbnail of processed.thumbnails) {
+        const thumbnailKey = `${baseKey}_${thumbnail.name}.webp`;
+        const storedThumbnail = await storage.put(thumbnailKey, thumbnail.buffer, 'image/webp');
+        writtenKeys.push(thumbnailKey);
+
+        thumbnails.push({
+          name: thumbnail.name,
+          key: thumbnailKey,
+          url: storedThumbnail.url,
+          width: thumbnail.width,
+          height: thumbnail.height,
+          size: storedThumbnail.size
+        });
+      }
+
+      return await Media.create({
+        usage,
+        ownerId,
+        uploadedBy,
+        storage: storage.name,
+        key,
+        url: stored.url,
+        originalName: file.originalname,
+        mimeType: detected.mimeType,
+        size: stored.size,
+        width: processed.width,
+        height: processed.height,
+        thumbnails
+      });
+    } catch (error) {
+      await this.deleteKeys(storage, writtenKeys);
+      throw error;
+    }
+  }
+
+  // Subir varios archivos; si uno falla se eliminan los anteriores
+  static async uploadFiles(files, context) {
+    const uploaded = [];
+
+    try {
+      for (const file of files) {
+        uploaded.push(await this.uploadFile(file, context));
+      }
+    } catch (error) {
+      await this.deleteMediaList(uploaded);
+      throw error;
+    }
+
+    return uploaded;
+  }
+
+  // ===== ELIMINAR ARCHIVOS =====
+  static async deleteMedia(mediaId) {
+    const media = await Media.findById(mediaId);
+    if (!media) return;
+
+    await this.deleteMediaList([media]);
+  }
+
+  static async deleteMediaList(mediaList) {
+    for (const media of mediaList) {
+      await this.deleteKeys(getStorage(media.storage), media.getStorageKeys());
+      await Media.deleteOne({ _id: media._id });
+    }
+  }
+
+  // Eliminar todos los archivos de un recurso (al borrar el producto, post, etc.)
+  static async deleteOwnerMedia(usage, ownerId) {
+    const mediaList = await Media.find({ usage, ownerId });
+    await this.deleteMediaList(mediaList);
+  }
+
+  // ===== GALERÍA DE PRODUCTOS =====
+  static async addProductImages(productId, files, alts, userId) {
+    if (!files || files.length === 0) {
+      throw new AppError('Debes enviar al menos una imagen', 400, 'NO_FILES');
+    }
+
+    const product = await this.findProduct(productId);
+
+    if (product.images.length + files.length > PRODUCT_MAX_IMAGES) {
+      throw new AppError(
+        `Un producto puede tener máximo ${PRODUCT_MAX_IMAGES} imágenes`,
+        400,
+        'TOO_MANY_IMAGES',
+        { current: product.images.length, max: PRODUCT_MAX_IMAGES }
+      );
+    }
+
+    const uploaded = await this.uploadFiles(files, {
+      usage: MEDIA_USAGES.PRODUCT_IMAGE,
+      ownerId: product._id,
+      uploadedBy: userId
+    });
+
+    uploaded.forEach((media, index) => {
+      product.images.push({
+        ...media.toReference(),
+        alt: alts[index] || '',
+        isPrimary: false
+      });
+    });
+
+    this.ensurePrimaryImage(product);
+
+    try {
+      await product.save();
+    } catch (error) {
+      await this.deleteMediaList(uploaded);
+      throw error;
+    }
+
+    return this.formatProductImages(product);
+  }
+
+  static async updateProductImage(productId, mediaId, { alt, isPrimary }) {
+    const product = await this.findProduct(productId);
+    const image = this.findProductImage(product, mediaId);
+
+    if (alt !== undefined) {
+      image.alt = alt;
+    }
+
+    if (isPrimary === true) {
+      product.images.forEach(item => {
+        item.isPrimary = item.mediaId.equals(image.mediaId);
+      });
+    }
+
+    this.ensurePrimaryImage(product);
+    await product.save();
+
+    return this.formatProductImages(product);
+  }
+
+  // El arreglo recibido debe contener exactamente las imágenes actuales
+  static async reorderProductImages(productId, mediaIds) {
+    const product = await this.findProduct(productId);
+
+    const current = product.images.map(image => image.mediaId.toString());
+    const requested = mediaIds.map(id => id.toString());
+
+    if (
+      requested.length !== current.length ||
+      new Set(requested).size !== requested.length ||
+      !requested.every(id => current.includes(id))
+    ) {
+      throw new AppError(
+        'El nuevo orden debe incluir cada imagen del producto exactamente una vez',
+        400,
+        'INVALID_IMAGE_ORDER'
+      );
+    }
+
+    const byId = new Map(product.images.map(image => [image.mediaId.toString(), image.toObject()]));
+    product.images = requested.map(id => byId.get(id));
+
+    await product.save();
+
+    return this.formatProductImages(product);
+  }
+
+  static async deleteProductImage(productId, mediaId) {
+    const product = await this.findProduct(productId);
+    const image = this.findProductImage(product, mediaId);
+
+    product.images.pull({ mediaId: image.mediaId });
+    this.ensurePrimaryImage(product);
+    await product.save();
+
+    await this.deleteMedia(mediaId);
+
+    return this.formatProductImages(product);
+  }
+
+  // Siempre hay exactamente una imagen principal si la galería no está vacía
+  static ensurePrimaryImage(product) {
+    if (product.images.length === 0) return;
+
+    const primaryIndex = product.images.findIndex(image => image.isPrimary);
+    const keepIndex = primaryIndex === -1 ? 0 : primaryIndex;
+
+    product.images.forEach((image, index) => {
+      image.isPrimary = index === keepIndex;
+    });
+  }
+
+  // ===== IMAGEN DE CATEGORÍA =====
+  static async setCategoryImage(categoryId, file, userId) {
+    if (!file) {
+      throw new AppError('Debes enviar una imagen', 400, 'NO_FILES');
+    }
+
+    const category = await Category.findById(categoryId);
+    if (!category) {
+      throw new AppError('Categoría no encontrada', 404, 'CATEGORY_NOT_FOUND');
+    }
+
+    const media = await this.uploadFile(file, {
+      usage: MEDIA_USAGES.CATEGORY_IMAGE,
+      ownerId: category._id,
+      uploadedBy: userId
+    });
+
+    const previousMediaId = category.image && category.image.mediaId;
+    category.image = media.toReference();
+
+    try {
+      await category.save();
+    } catch (error) {
+      await this.deleteMediaList([media]);
+      throw error;
+    }
+
+    if (previousMediaId) {
+      await this.deleteMedia(previousMediaId);
+    }
+
+    return this.formatMediaReference(category.image);
+  }
+
+  static async removeCategoryImage(categoryId) {
+    const category = await Category.findById(categoryId);
+    if (!category) {
+      throw new AppError('Categoría no encontrada', 404, 'CATEGORY_NOT_FOUND');
+    }
+
+    if (!category.image) {
+      throw new AppError('La categoría no tiene imagen', 404, 'IMAGE_NOT_FOUND');
+    }
+
+    const mediaId = category.image.mediaId;
+    category.image = null;
+    await category.save();
+
+    await this.deleteMedia(mediaId);
+
+    return { message: 'Imagen de categoría eliminada exitosamente' };
+  }
+
+  // ===== ADJUNTOS DE POSTS =====
+  static async addPostAttachments(postId, files, userId, permissions = null) {
+    if (!files || files.length === 0) {
+      throw new AppError('Debes enviar al menos un archivo', 400, 'NO_FILES');
+    }
+
+    const post = await this.findOwnedPost(postId, userId, permissions);
+
+    if (post.attachments.length + files.length > POST_MAX_ATTACHMENTS) {
+      throw new AppError(
+        `Un post puede tener máximo ${POST_MAX_ATTACHMENTS} adjuntos`,
+        400,
+        'TOO_MANY_ATTACHMENTS',
+        { current: post.attachments.length, max: POST_MAX_ATTACHMENTS }
+      );
+    }
+
+    const uploaded = await this.uploadFiles(files, {
+      usage: MEDIA_USAGES.POST_ATTACHMENT,
+      ownerId: post._id,
+      uploadedBy: userId
+    });
+
+    uploaded.forEach(media => {
+      post.attachments.push({
+        ...media.toReference(),
+        mimeType: media.mimeType,
+        originalName: media.originalName,
+        size: media.size
+      });
+    });
+
+    try {
+      await post.save();
+    } catch (error) {
+      await this.deleteMediaList(uploaded);
+      throw error;
+    }
+
+    return post.attachments.map(attachment => this.formatAttachment(attachment));
+  }
+
+  static async deletePostAttachment(postId, mediaId, userId, permissions = null) {
+    const post = await this.findOwnedPost(postId, userId, permissions);
+
+    const attachment = post.attachments.find(item => item.mediaId.toString() === mediaId.toString());
+    if (!attachment) {
+      throw new AppError('Adjunto no encontrado en el post', 404, 'ATTACHMENT_NOT_FOUND');
+    }
+
+    post.attachments.pull({ mediaId: attachment.mediaId });
+    await post.save();
+
+    await this.deleteMedia(mediaId);
+
+    return post.attachments.map(item => this.formatAttachment(item));
+  }
+
+  // ===== AVATAR =====
+  static async setAvatar(userId, file) {
+    if (!file) {
+      throw new AppError('Debes enviar una imagen', 400, 'NO_FILES');
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new AppError('Usuario no encontrado', 404, 'USER_NOT_FOUND');
+    }
+
+    const media = await this.uploadFile(file, {
+      usage: MEDIA_USAGES.AVATAR,
+      ownerId: user._id,
+      uploadedBy: user._id
+    });
+
+    const previousMediaId = user.avatar && user.avatar.mediaId;
+    user.avatar = media.toReference();
+
+    try {
+      await user.save();
+    } catch (error) {
+      await this.deleteMediaList([media]);
+      throw error;
+    }
+
+    if (previousMediaId) {
+      await this.deleteMedia(previousMediaId);
+    }
+
+    return this.formatMediaReference(user.avatar);
+  }
+
+  static async removeAvatar(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new AppError('Usuario no encontrado', 404, 'USER_NOT_FOUND');
+    }
+
+    if (!user.avatar) {
+      throw new AppError('El usuario no tiene avatar', 404, 'AVATAR_NOT_FOUND');
+    }
+
+    const mediaId = user.avatar.mediaId;
+    user.avatar = null;
+    await user.save();
+
+    await this.deleteMedia(mediaId);
+
+    return { message: 'Avatar eliminado exitosamente' };
+  }
+
+  // ===== MÉTODOS AUXILIARES =====
+
+  // Detectar el tipo real a partir del contenido (no del nombre ni del
+  // Content-Type declarado por el cliente)
+  static async detectFileType(buffer) {
+    if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') {
+      return { mimeType: 'application/pdf', extension: 'pdf', isImage: false };
+    }
+
+    try {
+      const { format } = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+      const imageFormat = IMAGE_FORMATS[format];
+      return imageFormat ? { ...imageFormat, isImage: true } : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Normalizar la imagen (orientación EXIF, sin metadatos) y generar miniaturas webp
+  static async processImage(buffer, detected, rules) {
+    const animated = detected.mimeType === 'image/gif';
+    const input = () => sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS, animated });
+
+    // Los GIF se guardan tal cual para conservar la animación
+    const normalized = animated
+      ? { data: buffer, info: await input().metadata() }
+      : await input().rotate().toBuffer({ resolveWithObject: true });
+
+    const thumbnails = [];
+    for (const name of rules.thumbnails) {
+      const size = MEDIA_THUMBNAIL_SIZES[name];
+      const resizeOptions = rules.square
+        ? { width: size, height: size, fit: 'cover' }
+        : { width: size, height: size, fit: 'inside', withoutEnlargement: true };
+
+      const { data, info } = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+        .rotate()
+        .resize(resizeOptions)
+        .webp({ quality: 80 })
+        .toBuffer({ resolveWithObject: true });
+
+      thumbnails.push({ name, buffer: data, width: info.width, height: info.height });
+    }
+
+    return {
+      buffer: normalized.data,
+      width: normalized.info.width,
+      height: animated ? normalized.info.pageHeight || normalized.info.height : normalized.info.height,
+      thumbnails
+    };
+  }
+
+  static async deleteKeys(storage, keys) {
+    for (const key of keys) {
+      try {
+        await storage.delete(key);
+      } catch (error) {
+        console.error(`Error eliminando archivo ${key}:`, error.message);
+      }
+    }
+  }
+
+  static async findProduct(productId) {
+    const product = await Product.findById(productId);
+    if (!product) {
+      throw new AppError('Producto no encontrado', 404, 'PRODUCT_NOT_FOUND');
+    }
+    return product;
+  }
+
+  static findProductImage(product, mediaId) {
+    const image = product.images.find(item => item.mediaId.toString() === mediaId.toString());
+    if (!image) {
+      throw new AppError('Imagen no encontrada en el producto', 404, 'IMAGE_NOT_FOUND');
+    }
+    return image;
+  }
+
+  static async findOwnedPost(postId, userId, permissions) {
+    const post = await Post.findById(postId);
+    if (!post) {
+      throw new AppError('Post no encontrado', 404, 'POST_NOT_FOUND');
+    }
+
+    if (!RoleService.includesPermission(permissions, PERMISSIONS.CONTENT_MODERATE) && post.userId.toString() !== userId.toString()) {
+      throw new AppError('Solo puedes modificar tus propios posts', 403, 'NOT_POST_AUTHOR');
+    }
+
+    return post;
+  }
+
+  // Formatear referencia embebida (las miniaturas se guardan como Map)
+  static formatMediaReference(reference) {
+    if (!reference || !reference.mediaId) return null;
+
+    const thumbnails = reference.thumbnails instanceof Map
+      ? Object.fromEntries(reference.thumbnails)
+      : reference.thumbnails || {};
+
+    return {
+      id: reference.mediaId,
+      url: reference.url,
+      thumbnails,
+      width: reference.width,
+      height: reference.height
+    };
+  }
+
+  static formatProductImages(product) {
+    return (product.images || []).map(image => ({
+      ...this.formatMediaReference(image),
+      alt: image.alt,
+      isPrimary: image.isPrimary
+    }));
+  }
+
+  static formatAttachment(attachment) {
+    return {
+      ...this.formatMediaReference(attachment),
+      mimeType: attachment.mimeType,
+      originalName: attachment.originalName,
+      size: attachment.size
+    };
+  }
+}
+
+module.exports = MediaService;
@@ -0,0 +1,160 @@
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Review = require('../models/Review');
+const Order = require('../models/Order');
+const NotificationService = require('./notificationService');
+const { NOTIFICATION_TYPES, TARGET_TYPES } = require('../config/constants');
+
+// Elementos con autor que puede recibir comentarios o reacciones
+const OWNED_TARGET_MODELS = {
+  [TARGET_TYPES.POST]: Post,
+  [TARGET_TYPES.COMMENT]: Comment,
+  [TARGET_TYPES.REVIEW]: Review
+};
+
+class NotificationPublisher {
+  // ===== SEGUIMIENTOS =====
+  static async userFollowed(followerId, followedId) {
+    await this.publish('userFollowed', async () => {
+      await NotificationService.notify({
+        recipientId: followedId,
+        type: NOTIFICATION_TYPES.NEW_FOLLOWER,
+        actor: await this.getActor(followerId),
+        groupKey: NOTIFICATION_TYPES.NEW_FOLLOWER
+      });
+    });
+  }
+
+  // ===== COMENTARIOS =====
+  // Avisa al autor del elemento comentado y, si es respuesta, al autor del
+  // comentario padre (una sola notificación si son la misma persona)
+  static async commentCreated(comment) {
+    await this.publish('commentCreated', async () => {
+      const authorId = comment.userId._id || comment.userId;
+      const actor = await this.getActor(authorId);
+      const data = {
+        commentId: comment._id,
+        parentType: comment.parentType,
+        parentId: comment.parentId
+      };
+
+      let replyRecipientId = null;
+
+      if (comment.parentCommentId) {
+        replyRecipientId = await this.getOwnerId(TARGET_TYPES.COMMENT, comment.parentCommentId);
+
+        await NotificationService.notify({
+          recipientId: replyRecipientId,
+          type: NOTIFICATION_TYPES.COMMENT_REPLY,
+          actor,
+          target: { type: TARGET_TYPES.COMMENT, id: comment.parentCommentId },
+          data,
+          groupKey: `${NOTIFICATION_TYPES.COMMENT_REPLY}:${comment.parentCommentId}`
+        });
+      }
+
+      const ownerId = await this.getOwnerId(comment.parentType, comment.parentId);
+
+      if (ownerId && ownerId.toString() !== replyRecipientId?.toString()) {
+        await NotificationService.notify({
+          recipientId: ownerId,
+          type: NOTIFICATION_TYPES.COMMENT,
+          actor,
+          target: { type: comment.parentType, id: comment.parentId },
+          data,
+          groupKey: `${NOTIFICATION_TYPES.COMMENT}:${comment.parentType}:${comment.parentId}`
+        });
+      }
+    });
+  }
+
+  // ===== REACCIONES =====
+  static async reactionAdded(userId, { targetType, targetId, reactionType }) {
+    await this.publish('reactionAdded', async () => {
+      const ownerId = await this.getOwnerId(targetType, targetId);
+      if (!ownerId) return;
+
+      await NotificationService.notify({
+        recipientId: ownerId,
+        type: NOTIFICATION_TYPES.REACTION,
+        actor: await this.getActor(userId),
+        target: { type: targetType, id: targetId },
+        data: { reactionType },
+        groupKey: `${NOTIFICATION_TYPES.REACTION}:${targetType}:${targetId}`
+      });
+    });
+  }
+
+  // ===== ÓRDENES =====
+  // actorId: quien hizo el cambio; el cliente no recibe aviso de sus propias
+  // cancelaciones. Las órdenes de invitado no tienen destinatario
+  static async orderStatusChanged(order, { previousStatus = null, actorId = null } = {}) {
+    await this.publish('orderStatusChanged', async () => {
+      if (!order.userId) return;
+      if (actorId && actorId.toString() === order.userId.toString()) return;
+
+      await NotificationService.notify({
+        recipientId: order.userId,
+        type: NOTIFICATION_TYPES.ORDER_STATUS,
+        target: { type: 'Order', id: order._id },
+        data: {
+          orderNumber: order.orderNumber,
+          status: order.status,
+          previousStatus
+        }
+      });
+    });
+  }
+
+  // ===== ENVÍOS =====
+  static async shipmentStatusChanged(shipment, { previousStatus = null } = {}) {
+    await this.publish('shipmentStatusChanged', async () => {
+      const order = await Order.findById(shipment.orderId).select('userId orderNumber');
+      if (!order || !order.userId) return;
+
+      await NotificationService.notify({
+        recipientId: order.userId,
+        type: NOTIFICATION_TYPES.SHIPMENT_STATUS,
+        target: { type: 'Shipment', id: shipment._id },
+        data: {
+          orderId: order._id,
+          orderNumber: order.orderNumber,
+          trackingNumber: shipment.trackingNumber,
+          status: shipment.status,
+          previousStatus
+        }
+      });
+    });
+  }
+
+  // ===== MÉTODOS AUXILIARES =====
+
+  // Una notificación fallida nunca debe romper la operación que la originó
+  static async publish(eventName, handler) {
+    try {
+      await handler();
+    } catch (error) {
+      console.error(`❌ Error publicando la notificación ${eventName}:`, error.message);
+    }
+  }
+
+  static async getActor(userId) {
+    const user = await User.findById(userId).select('firstName lastName');
+
+    return {
+      userId,
+      name: user ? `${user.firstName} ${user.lastName}` : 'Alguien'
+    };
+  }
+
+  static async getOwnerId(targetType, targetId) {
+    const Model = OWNED_TARGET_MODELS[targetType];
+    if (!Model) return null;
+
+    const target = await Model.findById(targetId).select('userId');
+    return target ? target.userId : null;
+  }
+}
+
+module.exports = NotificationPublisher;
@@ -0,0 +1,313 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { AppError } = require('../middlewares/errorHandler');
+const { calculatePagination } = require('../middlewares/responseFormatter');
+const RealtimeService = require('./realtimeService');
+const {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_GROUP_WINDOW_MINUTES,
+  NOTIFICATION_MAX_ACTORS,
+  TARGET_TYPES,
+  ORDER_STATUS,
+  SHIPMENT_STATUS,
+  REALTIME_EVENTS
+} = require('../config/constants');
+
+const TARGET_NOUNS = {
+  [TARGET_TYPES.POST]: 'tu publicación',
+  [TARGET_TYPES.COMMENT]: 'tu comentario',
+  [TARGET_TYPES.REVIEW]: 'tu reseña',
+  [TARGET_TYPES.PRODUCT]: 'un producto'
+};
+
+const ORDER_STATUS_LABELS = {
+  [ORDER_STATUS.PENDING]: 'pendiente',
+  [ORDER_STATUS.CONFIRMED]: 'confirmada',
+  [ORDER_STATUS.PROCESSING]: 'en preparación',
+  [ORDER_STATUS.SHIPPED]: 'enviada',
+  [ORDER_STATUS.DELIVERED]: 'entregada',
+  [ORDER_STATUS.CANCELLED]: 'cancelada',
+  [ORDER_STATUS.PARTIALLY_REFUNDED]: 'reembolsada parcialmente',
+  [ORDER_STATUS.REFUNDED]: 'reembolsada'
+};
+
+const SHIPMENT_STATUS_LABELS = {
+  [SHIPMENT_STATUS.PENDING]: 'pendiente de recolección',
+  [SHIPMENT_STATUS.PICKED_UP]: 'recolectado por la paquetería',
+  [SHIPMENT_STATUS.IN_TRANSIT]: 'en tránsito',
+  [SHIPMENT_STATUS.OUT_FOR_DELIVERY]: 'en ruta de entrega',
+  [SHIPMENT_STATUS.DELIVERED]: 'entregado',
+  [SHIPMENT_STATUS.FAILED_ATTEMPT]: 'con un intento de entrega fallido',
+  [SHIPMENT_STATUS.RETURNED]: 'devuelto al remitente'
+};
+
+class NotificationService {
+  // ===== CREAR O AGRUPAR NOTIFICACIÓN =====
+  // Llamado por NotificationPublisher. Respeta las preferencias del
+  // destinatario y, si hay groupKey, suma el actor a la notificación sin leer
+  // del mismo grupo en lugar de crear otra
+  static async notify({ recipientId, type, actor = null, target = null, data = {}, groupKey = null }) {
+    if (!recipientId) return null;
+
+    // Nadie recibe notificaciones de sus propias acciones
+    if (actor && actor.userId.toString() === recipientId.toString()) {
+      return null;
+    }
+
+    if (!(await this.isEnabled(recipientId, type))) {
+      return null;
+    }
+
+    const now = new Date();
+    let notification = null;
+
+    if (groupKey && actor) {
+      notification = await this.addToGroup({ recipientId, groupKey, actor, data, now });
+    }
+
+    if (!notification) {
+      notification = await Notification.create({
+        recipientId,
+        type,
+        actors: actor ? [actor] : [],
+        actorIds: actor ? [actor.userId] : [],
+        actorCount: actor ? 1 : 0,
+        target,
+        groupKey,
+        data,
+        lastActivityAt: now,
+        createdAt: now
+      });
+    }
+
+    await this.publishRealtime(notification);
+
+    return notification;
+  }
+
+  // Notificación nueva o agrupada y el contador para el badge, en vivo
+  static async publishRealtime(notification) {
+    await RealtimeService.publish(
+      REALTIME_EVENTS.NOTIFICATION_CREATED,
+      [RealtimeService.userChannel(notification.recipientId)],
+      {
+        notification: this.formatNotificationData(notification),
+        unreadCount: await this.getUnreadCount(notification.recipientId)
+      }
+    );
+  }
+
+  // Devuelve null si no hay un grupo abierto (sin leer y dentro de la ventana)
+  static async addToGroup({ recipientId, groupKey, actor, data, now }) {
+    const openGroup = {
+      recipientId,
+      groupKey,
+      readAt: null,
+      lastActivityAt: { $gte: new Date(now.getTime() - NOTIFICATION_GROUP_WINDOW_MINUTES * 60 * 1000) }
+    };
+
+    // Actor nuevo en el grupo: pasa al frente y suma al contador
+    const added = await Notification.findOneAndUpdate(
+      { ...openGroup, actorIds: { $ne: actor.userId } },
+      {
+        $push: { actors: { $each: [actor], $position: 0, $slice: NOTIFICATION_MAX_ACTORS } },
+        $addToSet: { actorIds: actor.userId },
+        $inc: { actorCount: 1 },
+        $set: { data, lastActivityAt: now }
+      },
+      { new: true, sort: { lastActivityAt: -1 } }
+    );
+
+    if (added) return added;
+
+    // El mismo actor repite la acción: solo se actualiza la actividad
+    return Notification.findOneAndUpdate(
+      { ...openGroup, actorIds: actor.userId },
+      { $set: { data, lastActivityAt: now } },
+      { new: true, sort: { lastActivityAt: -1 } }
+    );
+  }
+
+  // ===== LISTAR NOTIFICACIONES =====
+  static async getUserNotifications(userId, filters = {}, paginationData = {}) {
+    const { unreadOnly = false, type } = filters;
+    const { page = 1, limit = 20 } = paginationData;
+
+    const query = { recipientId: userId };
+    if (unreadOnly) query.readAt = null;
+    if (type) query.type = type;
+
+    const [total, unreadCount] = await Promise.all([
+      Notification.countDocuments(query),
+      this.getUnreadCount(userId)
+    ]);
+
+    const pagination = calculatePagination(page, limit, total);
+
+    const notifications = await Notification.find(query)
+      .sort({ lastActivityAt: -1 })
+      .skip(pagination.offset)
+      .limit(pagination.limit);
+
+    return {
+      notifications: notifications.map(notification => this.formatNotificationData(notification)),
+      unreadCount,
+      pagination
+    };
+  }
+
+  // ===== CONTADOR DE NO LEÍDAS =====
+  static async getUnreadCount(userId) {
+    return Notification.countDocuments({ recipientId: userId, readAt: null });
+  }
+
+  // ===== MARCAR COMO LEÍDA =====
+  static async markAsRead(userId, notificationId) {
+    if (!mongoose.Types.ObjectId.isValid(notificationId)) {
+      throw new AppError('Notificación no encontrada', 404, 'NOTIFICATION_NOT_FOUND');
+    }
+
+    const notification = await Notification.findOne({ _id: notificationId, recipientId: userId });
+
+    if (!notification) {
+      throw new AppError('Notificación no encontrada', 404, 'NOTIFICATION_NOT_FOUND');
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    return this.formatNotificationData(notification);
+  }
+
+  // ===== MARCAR TODAS COMO LEÍDAS =====
+  static async markAllAsRead(userId) {
+    const result = await Notification.updateMany(
+      { recipientId: userId, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    return { markedCount: result.modifiedCount };
+  }
+
+  // ===== PREFERENCIAS =====
+  static async getPreferences(userId) {
+    const user = await User.findById(userId).select('notificationPreferences');
+
+    if (!user) {
+      throw new AppError('Usuario no encontrado', 404, 'USER_NOT_FOUND');
+    }
+
+    return this.formatPreferences(user.notificationPreferences);
+  }
+
+  // Solo cambia los tipos enviados; el resto conserva su valor
+  static async updatePreferences(userId, preferences) {
+    const update = {};
+    for (const [type, enabled] of Object.entries(preferences)) {
+      update[`notificationPreferences.${type}`] = enabled;
+    }
+
+    const user = await User.findByIdAndUpdate(userId, { $set: update }, { new: true })
+      .select('notificationPreferences');
+
+    if (!user) {
+      throw new AppError('Usuario no encontrado', 404, 'USER_NOT_FOUND');
+    }
+
+    return this.formatPreferences(user.notificationPreferences);
+  }
+
+  static async isEnabled(userId, type) {
+    const user = await User.findById(userId).select('notificationPreferences isActive deletedAt');
+
+    if (!user || !user.isActive || user.deletedAt) return false;
+
+    return user.notificationPreferences?.get(type) !== false;
+  }
+
+  // ===== BORRAR DATOS DE UN USUARIO =====
+  // Para la eliminación de cuentas: se borran las notificaciones recibidas y
+  // el nombre del usuario desaparece de las de otros
+  static async eraseUserNotifications(userId, anonymizedName) {
+    await Notification.deleteMany({ recipientId: userId });
+    await Notification.updateMany(
+      { 'actors.userId': userId },
+      { $set: { 'actors.$[actor].name': anonymizedName } },
+      { arrayFilters: [{ 'actor.userId': userId }] }
+    );
+  }
+
+  // ===== MÉTODOS AUXILIARES =====
+
+  static formatPreferences(preferences) {
+    const formatted = {};
+    for (const type of Object.values(NOTIFICATION_TYPES)) {
+      formatted[type] = preferences?.get(type) !== false;
+    }
+    return formatted;
+  }
+
+  // "María", "María y Juan" o "María y 12 personas más"
+  static formatActors(actors, actorCount) {
+    if (actors.length === 0) return '';
+
+    const [first, second] = actors;
+    const others = actorCount - 1;
+
+    if (others === 0) return first.name;
+    if (others === 1 && second) return `${first.name} y ${second.name}`;
+
+    return `${first.name} y ${others} ${others === 1 ? 'persona' : 'personas'} más`;
+  }
+
+  static buildMessage(notification) {
+    const { type, actors, actorCount, target, data = {} } = notification;
+    const who = this.formatActors(actors, actorCount);
+    const plural = actorCount > 1;
+    const noun = TARGET_NOUNS[target?.type] || 'tu publicación';
+    const orderNumber = data.orderNumber ? ` ${data.orderNumber}` : '';
+
+    switch (type) {
+      case NOTIFICATION_TYPES.NEW_FOLLOWER:
+        return `${who} ${plural ? 'comenzaron' : 'comenzó'} a seguirte`;
+      case NOTIFICATION_TYPES.COMMENT:
+        return `${who} ${plural ? 'comentaron' : 'comentó'} ${noun}`;
+      case NOTIFICATION_TYPES.COMMENT_REPLY:
+        return `${who} ${plural ? 'respondieron' : 'respondió'} a tu comentario`;
+      case NOTIFICATION_TYPES.REACTION:
+        return `${who} ${plural ? 'reaccionaron' : 'reaccionó'} a ${noun}`;
+      case NOTIFICATION_TYPES.ORDER_STATUS:
+        return `Tu orden${orderNumber} está ${ORDER_STATUS_LABELS[data.status] || data.status}`;
+      case NOTIFICATION_TYPES.SHIPMENT_STATUS:
+        return `El envío de tu orden${orderNumber} está ${SHIPMENT_STATUS_LABELS[data.status] || data.status}`;
+      default:
+        return 'Tienes una notificación nueva';
+    }
+  }
+
+  static formatNotificationData(notification) {
+    return {
+      id: notification._id,
+      type: notification.type,
+      message: this.buildMessage(notification),
+      actors: notification.actors.map(actor => ({
+        userId: actor.userId,
+        name: actor.name
+      })),
+      actorCount: notification.actorCount,
+      target: notification.target?.type
+        ? { type: notification.target.type, id: notification.target.id }
+        : null,
+      data: notification.data,
+      isRead: notification.isRead,
+      readAt: notification.readAt,
+      lastActivityAt: notification.lastActivityAt,
+      createdAt: notification.createdAt
+    };
+  }
+}
+
+module.exports = NotificationService;
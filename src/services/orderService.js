@@ -1,171 +1,89 @@
 const Order = require('../models/Order');
 const Product = require('../models/Product');
+const ProductVariant = require('../models/ProductVariant');
 const Cart = require('../models/Cart');
+const InventoryTransaction = require('../models/InventoryTransaction');
+const Reservation = require('../models/Reservation');
+const Payment = require('../models/Payment');
+const PromotionRedemption = require('../models/PromotionRedemption');
+const User = require('../models/User');
+const jwt = require('jsonwebtoken');
+const PromotionService = require('./promotionService');
+const PricingService = require('./pricingService');
+const ProductVariantService = require('./productVariantService');
+const CartService = require('./cartService');
+const ShipmentService = require('./shipmentService');
+const InventoryService = require('./inventoryService');
+const DomainEventService = require('./domainEventService');
+const { withTransaction } = require('../config/database');
+const RoleService = require('./roleService');
 const { AppError } = require('../middlewares/errorHandler');
+const { signOrderAccessToken } = require('../middlewares/orderAccess');
 const { calculatePagination } = require('../middlewares/responseFormatter');
-const { ORDER_STATUS } = require('../config/constants');
+const {
+  ORDER_STATUS,
+  PAYMENT_STATUS,
+  INVENTORY_TX_TYPES,
+  RESERVATION_STATUS,
+  RESERVATION_TTL_MINUTES,
+  RESERVATION_MAX_EXTENSIONS,
+  ORDER_ACCESS_TOKEN_EXPIRES_IN,
+  PERMISSIONS,
+  DOMAIN_EVENTS
+} = require('../config/constants');
 
 class OrderService {
   // ===== CREAR ORDEN DESDE CARRITO =====
-  static async createOrderFromCart(userId, orderData) {
-    const { 
-      shippingAddress, 
-      paymentMethod = 'pending',
-      notes 
-    } = orderData;
-
-    // Obtener carrito del usuario
-    const cart = await Cart.findOne({ userId })
-      .populate('items.productId', 'name price stockQty isActive sku');
-
-    if (!cart || cart.items.length === 0) {
-      throw new AppError('El carrito está vacío', 400, 'CART_EMPTY');
+  // owner: { userId } o { guestId } (compra como invitado, con email de
+  // contacto obligatorio). El invitado recibe un token de acceso a la orden
+  static async createOrderFromCart(owner, orderData) {
+    const { clearCart = true, ...checkoutData } = orderData;
+    const userId = owner.userId || null;
+
+    if (!userId && !checkoutData.contactEmail) {
+      throw new AppError('El email de contacto es requerido para comprar como invitado', 400, 'CONTACT_EMAIL_REQUIRED');
     }
 
-    // Validar productos y stock
-    const orderItems = [];
-    let totalAmount = 0;
+    // Orden, reserva de stock, transacciones de inventario y limpieza del
+    // carrito se confirman o se revierten juntas
+    const order = await withTransaction(async (session) => {
+      const cart = await Cart.findOne(CartService.ownerFilter(owner)).session(session);
 
-    for (const cartItem of cart.items) {
-      const product = cartItem.productId;
-      
-      if (!product || !product.isActive) {
-        throw new AppError(`Producto ${product?.name || 'desconocido'} no está disponible`, 400, 'PRODUCT_NOT_AVAILABLE');
+      if (!cart || cart.items.length === 0) {
+        throw new AppError('El carrito está vacío', 400, 'CART_EMPTY');
       }
 
-      if (product.stockQty < cartItem.quantity) {
-        throw new AppError(
-          `Stock insuficiente para ${product.name}. Disponible: ${product.stockQty}, solicitado: ${cartItem.quantity}`,
-          400,
-          'INSUFFICIENT_STOCK'
-        );
-      }
-
-      // Preparar item para la orden
-      const orderItem = {
-        productId: product._id,
-        productName: product.name,
-        productSku: product.sku,
-        quantity: cartItem.quantity,
-        priceAtTime: product.price, // Usar precio actual
-        subtotal: cartItem.quantity * product.price
-      };
+      const createdOrder = await this.placeOrder(userId, cart.items, {
+        ...checkoutData,
+        promotionCodes: cart.promotionCodes
+      }, session);
 
-      orderItems.push(orderItem);
-      totalAmount += orderItem.subtotal;
-    }
-
-    // Calcular impuestos y gastos de envío (básico)
-    const taxRate = 0.16; // 16% IVA México
-    const taxAmount = totalAmount * taxRate;
-    const shippingAmount = totalAmount >= 500 ? 0 : 99; // Envío gratis >$500
-    const finalAmount = totalAmount + taxAmount + shippingAmount;
+      // Limpiar carrito
+      if (clearCart) {
+        cart.items = [];
+        cart.promotionCodes = [];
+        await cart.save({ session });
+      }
 
-    // Crear orden
-    const order = await Order.create({
-      userId,
-      orderNumber: this.generateOrderNumber(),
-      items: orderItems,
-      totalAmount,
-      taxAmount,
-      shippingAmount,
-      finalAmount,
-      status: ORDER_STATUS.PENDING,
-      paymentMethod,
-      paymentStatus: 'pending',
-      shippingAddress,
-      notes
+      return createdOrder;
     });
 
-    // Reservar stock de productos
-    for (const item of orderItems) {
-      await Product.findByIdAndUpdate(
-        item.productId,
-        { $inc: { stockQty: -item.quantity } }
-      );
-    }
-
-    // Limpiar carrito
-    cart.items = [];
-    await cart.save();
+    const formatted = this.formatOrderData(order, true);
 
-    return this.formatOrderData(order, true);
+    return userId ? formatted : { ...formatted, orderAccess: this.issueOrderAccess(order) };
   }
 
   // ===== CREAR ORDEN DIRECTA =====
   static async createDirectOrder(userId, orderData) {
-    const { 
-      items, 
-      shippingAddress, 
-      paymentMethod = 'pending',
-      notes 
-    } = orderData;
+    const { items, ...checkoutData } = orderData;
 
     if (!items || items.length === 0) {
       throw new AppError('La orden debe tener al menos un producto', 400, 'NO_ITEMS');
     }
 
-    // Validar productos y preparar items
-    const orderItems = [];
-    let totalAmount = 0;
-
-    for (const item of items) {
-      const product = await Product.findById(item.productId);
-      
-      if (!product || !product.isActive) {
-        throw new AppError(`Producto no disponible`, 400, 'PRODUCT_NOT_AVAILABLE');
-      }
-
-      if (product.stockQty < item.quantity) {
-        throw new AppError(
-          `Stock insuficiente para ${product.name}. Disponible: ${product.stockQty}`,
-          400,
-          'INSUFFICIENT_STOCK'
-        );
-      }
-
-      const orderItem = {
-        productId: product._id,
-        productName: product.name,
-        productSku: product.sku,
-        quantity: item.quantity,
-        priceAtTime: product.price,
-        subtotal: item.quantity * product.price
-      };
-
-      orderItems.push(orderItem);
-      totalAmount += orderItem.subtotal;
-    }
-
-    // Calcular totales
-    const taxRate = 0.16;
-    const taxAmount = totalAmount * taxRate;
-    const shippingAmount = totalAmount >= 500 ? 0 : 99;
-    const finalAmount = totalAmount + taxAmount + shippingAmount;
-
-    // Crear orden
-    const order = await Order.create({
-      userId,
-      orderNumber: this.generateOrderNumber(),
-      items: orderItems,
-      totalAmount,
-      taxAmount,
-      shippingAmount,
-      finalAmount,
-      status: ORDER_STATUS.PENDING,
-      paymentMethod,
-      paymentStatus: 'pending',
-      shippingAddress,
-      notes
-    });
-
-    // Reservar stock
-    for (const item of orderItems) {
-      await Product.findByIdAndUpdate(
-        item.productId,
-        { $inc: { stockQty: -item.quantity } }
-      );
-    }
+    const order = await withTransaction(session =>
+      this.placeOrder(userId, items, checkoutData, session)
+    );
 
     return this.formatOrderData(order, true);
   }
@@ -192,21 +110,105 @@ class OrderService {
   }
 
   // ===== OBTENER ORDEN POR ID =====
-  static async getOrderById(orderId, userId = null, userRole = null) {
+  static async getOrderById(orderId, userId = null, permissions = null) {
     const order = await Order.findById(orderId);
 
     if (!order) {
       throw new AppError('Orden no encontrada', 404, 'ORDER_NOT_FOUND');
     }
 
-    // Verificar permisos
-    if (userRole !== 'admin' && userId && order.userId.toString() !== userId.toString()) {
+    // Verificar permisos (sin userId el acceso ya se validó con el token de la orden)
+    if (!RoleService.includesPermission(permissions, PERMISSIONS.ORDERS_READ) && userId && !this.isOrderOwner(order, userId)) {
       throw new AppError('No tienes permisos para ver esta orden', 403, 'ACCESS_DENIED');
     }
 
     return this.formatOrderData(order, true);
   }
 
+  // ===== SEGUIMIENTO DE LA ORDEN =====
+  // Estado de la orden y de sus envíos (también para invitados con token)
+  static async getOrderTracking(orderId, userId = null, permissions = null) {
+    const order = await Order.findById(orderId);
+
+    if (!order) {
+      throw new AppError('Orden no encontrada', 404, 'ORDER_NOT_FOUND');
+    }
+
+    if (!RoleService.includesPermission(permissions, PERMISSIONS.ORDERS_READ) && userId && !this.isOrderOwner(order, userId)) {
+      throw new AppError('No tienes permisos para ver esta orden', 403, 'ACCESS_DENIED');
+    }
+
+    return {
+      orderNumber: order.orderNumber,
+      status: order.status,
+      paymentStatus: order.paymentStatus,
+      statusHistory: order.statusHistory,
+      estimatedDelivery: this.calculateEstimatedDelivery(order),
+      shipments: await ShipmentService.getOrderTracking(order._id)
+    };
+  }
+
+  // ===== CONSULTA DE INVITADO =====
+  // Número de orden + email de contacto => token de acceso a esa orden. La
+  // respuesta no distingue entre orden inexistente y email incorrecto
+  static async lookupOrder(orderNumber, email) {
+    const order = await Order.findOne({
+      orderNumber: orderNumber.trim().toUpperCase(),
+      contactEmail: email.trim().toLowerCase()
+    });
+
+    if (!order) {
+      throw new AppError('No encontramos una orden con esos datos', 404, 'ORDER_NOT_FOUND');
+    }
+
+    return {
+      order: this.formatOrderData(order),
+      orderAccess: this.issueOrderAccess(order)
+    };
+  }
+
+  // ===== VINCULAR ÓRDENES DE INVITADO =====
+  // Las órdenes hechas como invitado con el email de la cuenta pasan a ella,
+  // junto con sus pagos y usos de promociones. Solo con el email verificado.
+  static async claimGuestOrders(userId) {
+    const user = await User.findById(userId).select('email emailVerifiedAt');
+
+    if (!user) {
+      throw new AppError('Usuario no encontrado', 404, 'USER_NOT_FOUND');
+    }
+
+    if (!user.emailVerifiedAt) {
+      throw new AppError('Verifica tu email para vincular tus compras como invitado', 403, 'EMAIL_NOT_VERIFIED');
+    }
+
+    const orders = await Order.find({ isGuest: true, userId: null, contactEmail: user.email })
+      .select('_id orderNumber');
+
+    if (orders.length === 0) {
+      return { claimed: 0, orders: [] };
+    }
+
+    const orderIds = orders.map(order => order._id);
+
+    const claimed = await withTransaction(async (session) => {
+      const result = await Order.updateMany(
+        { _id: { $in: orderIds }, userId: null },
+        { $set: { userId: user._id, claimedAt: new Date() } },
+        { session }
+      );
+
+      await Payment.updateMany({ orderId: { $in: orderIds } }, { $set: { userId: user._id } }, { session });
+      await PromotionRedemption.updateMany({ orderId: { $in: orderIds } }, { $set: { userId: user._id } }, { session });
+
+      return result.modifiedCount;
+    });
+
+    return {
+      claimed,
+      orders: orders.map(order => order.orderNumber)
+    };
+  }
+
   // ===== OBTENER TODAS LAS ÓRDENES (ADMIN) =====
   static async getAllOrders(filters, paginationData) {
     const { 
@@ -270,43 +272,55 @@ class OrderService {
 
   // ===== ACTUALIZAR ESTADO DE ORDEN (ADMIN) =====
   static async updateOrderStatus(orderId, newStatus, adminNotes = null) {
-    const order = await Order.findById(orderId);
+    let oldStatus;
 
-    if (!order) {
-      throw new AppError('Orden no encontrada', 404, 'ORDER_NOT_FOUND');
-    }
+    const order = await withTransaction(async (session) => {
+      const order = await Order.findById(orderId).session(session);
 
-    // Validar transición de estado
-    const validTransitions = this.getValidStatusTransitions(order.status);
-    if (!validTransitions.includes(newStatus)) {
-      throw new AppError(
-        `No se puede cambiar de ${order.status} a ${newStatus}`,
-        400,
-        'INVALID_STATUS_TRANSITION'
-      );
-    }
+      if (!order) {
+        throw new AppError('Orden no encontrada', 404, 'ORDER_NOT_FOUND');
+      }
 
-    // Actualizar status
-    const oldStatus = order.status;
-    order.status = newStatus;
-    
-    if (adminNotes) {
-      order.adminNotes = adminNotes;
-    }
+      // Validar transición de estado
+      const validTransitions = this.getValidStatusTransitions(order.status);
+      if (!validTransitions.includes(newStatus)) {
+        throw new AppError(
+          `No se puede cambiar de ${order.status} a ${newStatus}`,
+          400,
+          'INVALID_STATUS_TRANSITION'
+        );
+      }
 
-    // Agregar historial de estado
-    order.statusHistory.push({
-      status: newStatus,
-      timestamp: new Date(),
-      notes: adminNotes
-    });
+      // Actualizar status
+      oldStatus = order.status;
+      order.status = newStatus;
+      
+      if (adminNotes) {
+        order.adminNotes = adminNotes;
+      }
 
-    // Si se cancela la orden, liberar stock
-    if (newStatus === ORDER_STATUS.CANCELLED) {
-      await this.releaseOrderStock(order);
-    }
+      // Agregar historial de estado
+      order.statusHistory.push({
+        status: newStatus,
+        timestamp: new Date(),
+        notes: adminNotes
+      });
+
+      // Al confirmar, la reserva se convierte en venta
+      if (newStatus === ORDER_STATUS.CONFIRMED) {
+        await this.commitOrderStock(order, session);
+      }
+
+      // Si se cancela la orden, liberar stock y usos de promociones
+      if (newStatus === ORDER_STATUS.CANCELLED) {
+        await this.releaseOrderStock(order, session);
+        await PromotionService.releaseRedemptions(order, session);
+      }
 
-    await order.save();
+      await order.save({ session });
+      await this.emitStatusChanged(order, oldStatus, session);
+      return order;
+    });
 
     return {
       order: this.formatOrderData(order, true),
@@ -318,24 +332,22 @@ class OrderService {
     };
   }
 
-  // ===== ACTUALIZAR ESTADO DE PAGO (ADMIN) =====
-  static async updatePaymentStatus(orderId, paymentData) {
-    const { paymentStatus, paymentMethod, transactionId, paymentNotes } = paymentData;
-
-    const order = await Order.findById(orderId);
-
-    if (!order) {
-      throw new AppError('Orden no encontrada', 404, 'ORDER_NOT_FOUND');
-    }
+  // ===== APLICAR ESTADO DE PAGO =====
+  // Llamado por PaymentService al procesar operaciones y webhooks del
+  // proveedor de pagos, dentro de su transacción
+  static async applyPaymentStatus(order, paymentData, session) {
+    const { paymentStatus, transactionId, paymentNotes } = paymentData;
+    const wasPaid = order.paymentStatus === PAYMENT_STATUS.PAID;
+    const previousStatus = order.status;
 
-    // Actualizar información de pago
     order.paymentStatus = paymentStatus;
-    if (paymentMethod) order.paymentMethod = paymentMethod;
     if (transactionId) order.transactionId = transactionId;
     if (paymentNotes) order.paymentNotes = paymentNotes;
 
-    // Si el pago se confirma, cambiar status de orden si aplica
-    if (paymentStatus === 'completed' && order.status === ORDER_STATUS.PENDING) {
+    // Si el pago se confirma, confirmar la orden y convertir la reserva en venta
+    if (paymentStatus === PAYMENT_STATUS.PAID && order.status === ORDER_STATUS.PENDING) {
+      await this.commitOrderStock(order, session);
+
       order.status = ORDER_STATUS.CONFIRMED;
       order.statusHistory.push({
         status: ORDER_STATUS.CONFIRMED,
@@ -344,48 +356,162 @@ class OrderService {
       });
     }
 
-    await order.save();
-
-    return this.formatOrderData(order, true);
-  }
+    await order.save({ session });
 
-  // ===== CANCELAR ORDEN =====
-  static async cancelOrder(orderId, userId = null, userRole = null, reason = null) {
-    const order = await Order.findById(orderId);
+    if (paymentStatus === PAYMENT_STATUS.PAID && !wasPaid) {
+      await DomainEventService.emit(DOMAIN_EVENTS.ORDER_PAID, {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        userId: order.userId || null,
+        finalAmount: order.finalAmount,
+        transactionId: order.transactionId || null
+      }, { session });
+    }
 
-    if (!order) {
-      throw new AppError('Orden no encontrada', 404, 'ORDER_NOT_FOUND');
+    if (previousStatus !== order.status) {
+      await this.emitStatusChanged(order, previousStatus, session);
     }
 
-    // Verificar permisos
-    if (userRole !== 'admin' && userId && order.userId.toString() !== userId.toString()) {
-      throw new AppError('No tienes permisos para cancelar esta orden', 403, 'ACCESS_DENIED');
+    return order;
+  }
+
+  // ===== REGISTRAR REEMBOLSO =====
+  // Acumula el monto reembolsado. Las órdenes entregadas pasan a
+  // PARTIALLY_REFUNDED o REFUNDED; en otros estados solo cambia el pago
+  static async applyRefund(order, amount, session, notes = null) {
+    const previousStatus = order.status;
+    order.refundedAmount = Math.min(
+      order.finalAmount,
+      Math.round(((order.refundedAmount || 0) + amount) * 100) / 100
+    );
+
+    const fullyRefunded = order.refundedAmount >= order.finalAmount;
+    order.paymentStatus = fullyRefunded ? PAYMENT_STATUS.REFUNDED : PAYMENT_STATUS.PARTIALLY_REFUNDED;
+
+    const targetStatus = fullyRefunded ? ORDER_STATUS.REFUNDED : ORDER_STATUS.PARTIALLY_REFUNDED;
+    if (
+      targetStatus !== order.status &&
+      this.getValidStatusTransitions(order.status).includes(targetStatus)
+    ) {
+      order.status = targetStatus;
+      order.statusHistory.push({
+        status: targetStatus,
+        timestamp: new Date(),
+        notes: notes || `Reembolso de ${amount}`
+      });
     }
 
-    // Verificar si se puede cancelar
-    if (![ORDER_STATUS.PENDING, ORDER_STATUS.CONFIRMED].includes(order.status)) {
-      throw new AppError('Esta orden no se puede cancelar en su estado actual', 400, 'CANNOT_CANCEL');
+    await order.save({ session });
+
+    if (previousStatus !== order.status) {
+      await this.emitStatusChanged(order, previousStatus, session);
     }
 
-    // Liberar stock
-    await this.releaseOrderStock(order);
+    return order;
+  }
 
-    // Actualizar orden
-    order.status = ORDER_STATUS.CANCELLED;
-    order.cancelledAt = new Date();
-    if (reason) order.cancellationReason = reason;
+  // ===== CANCELAR ORDEN =====
+  static async cancelOrder(orderId, userId = null, permissions = null, reason = null) {
+    const order = await withTransaction(async (session) => {
+      const order = await Order.findById(orderId).session(session);
 
-    order.statusHistory.push({
-      status: ORDER_STATUS.CANCELLED,
-      timestamp: new Date(),
-      notes: reason || 'Orden cancelada'
-    });
+      if (!order) {
+        throw new AppError('Orden no encontrada', 404, 'ORDER_NOT_FOUND');
+      }
+
+      // Verificar permisos
+      if (!RoleService.includesPermission(permissions, PERMISSIONS.ORDERS_UPDATE_STATUS) && userId && !this.isOrderOwner(order, userId)) {
+        throw new AppError('No tienes permisos para cancelar esta orden', 403, 'ACCESS_DENIED');
+      }
+
+      // Verificar si se puede cancelar
+      if (![ORDER_STATUS.PENDING, ORDER_STATUS.CONFIRMED].includes(order.status)) {
+        throw new AppError('Esta orden no se puede cancelar en su estado actual', 400, 'CANNOT_CANCEL');
+      }
 
-    await order.save();
+      // Liberar stock y usos de promociones
+      await this.releaseOrderStock(order, session);
+      await PromotionService.releaseRedemptions(order, session);
+
+      // Actualizar orden
+      const previousStatus = order.status;
+      order.status = ORDER_STATUS.CANCELLED;
+      order.cancelledAt = new Date();
+      if (reason) order.cancellationReason = reason;
+
+      order.statusHistory.push({
+        status: ORDER_STATUS.CANCELLED,
+        timestamp: new Date(),
+        notes: reason || 'Orden cancelada'
+      });
+
+      await order.save({ session });
+      await this.emitStatusChanged(order, previousStatus, session, userId);
+      return order;
+    });
 
     return this.formatOrderData(order, true);
   }
 
+  // ===== EXPIRAR ORDEN SIN PAGO =====
+  // Usado por el barrido de reservas: cancela órdenes PENDING no pagadas
+  // cuya reserva de stock venció. Devuelve null si la orden no se canceló.
+  static async expireOrder(orderId) {
+    const expiredOrder = await withTransaction(async (session) => {
+      const order = await Order.findById(orderId).session(session);
+
+      if (!order) {
+        // Orden inexistente: soltar las reservas huérfanas
+        await this.releaseOrderStock({ _id: orderId, items: [] }, session);
+        return null;
+      }
+
+      if (order.status !== ORDER_STATUS.PENDING) {
+        return null;
+      }
+
+      // Pago capturado: la reserva pasa a venta. Pago autorizado pendiente de
+      // captura: la reserva se extiende otro periodo, hasta agotar las
+      // extensiones. En ambos casos deja de estar vencida y el barrido no
+      // vuelve a tomarla
+      if (order.paymentStatus === PAYMENT_STATUS.PAID) {
+        await this.commitOrderStock(order, session);
+        await order.save({ session });
+        return null;
+      }
+
+      const authorized = order.paymentStatus === PAYMENT_STATUS.AUTHORIZED;
+
+      if (authorized && (order.reservationExtensions || 0) < RESERVATION_MAX_EXTENSIONS) {
+        await this.extendOrderReservation(order, session);
+        await order.save({ session });
+        return null;
+      }
+
+      await this.releaseOrderStock(order, session);
+      await PromotionService.releaseRedemptions(order, session);
+
+      const reason = authorized
+        ? 'Reserva de stock expirada sin captura del pago autorizado'
+        : 'Reserva de stock expirada sin pago';
+
+      order.status = ORDER_STATUS.CANCELLED;
+      order.cancelledAt = new Date();
+      order.cancellationReason = reason;
+      order.statusHistory.push({
+        status: ORDER_STATUS.CANCELLED,
+        timestamp: new Date(),
+        notes: `Cancelada automáticamente: ${reason.toLowerCase()}`
+      });
+
+      await order.save({ session });
+      await this.emitStatusChanged(order, ORDER_STATUS.PENDING, session);
+      return order;
+    });
+
+    return expiredOrder;
+  }
+
   // ===== OBTENER ESTADÍSTICAS DE ÓRDENES (ADMIN) =====
   static async getOrderStats(filters = {}) {
     const { dateFrom, dateTo } = filters;
@@ -458,6 +584,286 @@ class OrderService {
     return `ORD-${timestamp.slice(-8)}-${random}`;
   }
 
+  // Crear la orden y reservar su stock dentro de la sesión recibida
+  static async placeOrder(userId, requestedItems, orderData, session) {
+    const {
+      shippingAddress,
+      paymentMethod,
+      notes,
+      shippingRateId,
+      promotionCodes = [],
+      contactEmail,
+      contactPhone
+    } = orderData;
+
+    // Agrupar cantidades por producto + variante (una línea por combinación)
+    const lines = new Map();
+    for (const item of requestedItems) {
+      const key = ProductVariantService.getLineKey(item);
+      const line = lines.get(key) || {
+        productId: (item.productId._id || item.productId).toString(),
+        variantId: item.variantId ? (item.variantId._id || item.variantId).toString() : null,
+        quantity: 0
+      };
+      line.quantity += item.quantity;
+      lines.set(key, line);
+    }
+
+    const productIds = [...new Set([...lines.values()].map(line => line.productId))];
+    const variantIds = [...lines.values()].filter(line => line.variantId).map(line => line.variantId);
+
+    const products = await Product.find({ _id: { $in: productIds } })
+      .select('name price stockQty isActive sku categories weight dimensions hasVariants')
+      .session(session);
+    const variants = variantIds.length > 0
+      ? await ProductVariant.find({ _id: { $in: variantIds } }).session(session)
+      : [];
+    const productsById = new Map(products.map(product => [product._id.toString(), product]));
+    const variantsById = new Map(variants.map(variant => [variant._id.toString(), variant]));
+
+    // Validar productos/variantes y preparar items
+    const orderItems = [];
+    const pricingLines = [];
+    let totalAmount = 0;
+
+    for (const { productId, variantId, quantity } of lines.values()) {
+      const product = productsById.get(productId);
+
+      if (!product || !product.isActive) {
+        throw new AppError(`Producto ${product?.name || 'desconocido'} no está disponible`, 400, 'PRODUCT_NOT_AVAILABLE');
+      }
+
+      let variant = null;
+      if (variantId) {
+        variant = variantsById.get(variantId);
+        if (!variant || !variant.isActive || variant.productId.toString() !== productId) {
+          throw new AppError(`La variante elegida de ${product.name} no está disponible`, 400, 'VARIANT_NOT_AVAILABLE');
+        }
+      } else if (product.hasVariants) {
+        throw new AppError(`Selecciona una variante de ${product.name}`, 400, 'VARIANT_REQUIRED');
+      }
+
+      // Usar precio actual (el de la variante si lo sobrescribe)
+      const unitPrice = ProductVariantService.getUnitPrice(product, variant);
+
+      const orderItem = {
+        productId: product._id,
+        variantId: variant ? variant._id : undefined,
+        variantLabel: variant ? variant.label : undefined,
+        productName: product.name,
+        productSku: variant ? variant.sku : product.sku,
+        quantity,
+        priceAtTime: unitPrice,
+        subtotal: quantity * unitPrice
+      };
+
+      orderItems.push(orderItem);
+      pricingLines.push({
+        productId: product._id,
+        categories: product.categories,
+        quantity,
+        unitPrice,
+        weight: ProductVariantService.getUnitWeight(product, variant),
+        dimensions: product.dimensions
+      });
+      totalAmount += orderItem.subtotal;
+    }
+
+    // Envío según la opción elegida (o la más barata) para la dirección
+    const shippingOptions = await PricingService.quoteShipping(shippingAddress, pricingLines, totalAmount, session);
+    const shippingOption = PricingService.selectShippingOption(shippingOptions, shippingRateId);
+    const shippingAmount = shippingOption.cost;
+
+    // Aplicar promociones; un código que dejó de ser válido detiene el pago
+    const pricing = await PromotionService.priceLines(userId, pricingLines, promotionCodes, shippingAmount, {
+      strict: true,
+      session
+    });
+    orderItems.forEach((item, index) => {
+      item.discountAmount = pricing.lineDiscounts[index];
+    });
+
+    // Impuestos según la dirección, sobre el subtotal con descuento
+    const tax = await PricingService.calculateTax(shippingAddress, pricingLines, pricing.lineDiscounts, {
+      amount: shippingAmount,
+      discount: pricing.shippingDiscount
+    }, session);
+    const taxAmount = tax.taxAmount;
+    const finalAmount = Math.round(
+      (totalAmount - pricing.discountAmount + taxAmount + shippingAmount) * 100
+    ) / 100;
+
+    // Crear orden
+    const [order] = await Order.create([{
+      userId,
+      isGuest: !userId,
+      contactEmail,
+      contactPhone,
+      orderNumber: this.generateOrderNumber(),
+      items: orderItems,
+      totalAmount,
+      discounts: pricing.discounts,
+      discountAmount: pricing.discountAmount,
+      taxAmount,
+      taxDetails: {
+        ruleId: tax.ruleId,
+        name: tax.name,
+        rate: tax.rate,
+        taxableAmount: tax.taxableAmount
+      },
+      shippingAmount,
+      shippingOption,
+      finalAmount,
+      status: ORDER_STATUS.PENDING,
+      statusHistory: [{
+        status: ORDER_STATUS.PENDING,
+        timestamp: new Date(),
+        notes: 'Orden creada'
+      }],
+      paymentMethod,
+      paymentStatus: PAYMENT_STATUS.PENDING,
+      shippingAddress,
+      notes
+    }], { session });
+
+    await PromotionService.redeemPromotions(order, pricing.discounts, session);
+
+    // Reservar stock por tiempo limitado
+    order.reservationExpiresAt = await this.reserveOrderStock(order, session);
+    await order.save({ session });
+
+    await DomainEventService.emit(DOMAIN_EVENTS.ORDER_PLACED, {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      userId: order.userId || null,
+      status: order.status,
+      paymentMethod: order.paymentMethod,
+      itemsCount: order.items.length,
+      finalAmount: order.finalAmount
+    }, { session, actorId: userId });
+
+    return order;
+  }
+
+  // Reservar stock de forma condicional (disponible >= cantidad) y crear una
+  // Reservation por línea. El stock se toma de la variante si la línea tiene
+  // una. Si algún producto no alcanza, se lanza INSUFFICIENT_STOCK con todos
+  // los conflictos y la transacción se revierte
+  static async reserveOrderStock(order, session) {
+    const expiresAt = new Date(Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000);
+    const conflicts = [];
+    const reservations = [];
+
+    for (const item of order.items) {
+      const { Model, id } = ProductVariantService.getStockTarget(item);
+      const stockHolder = await Model.findOneAndUpdate(
+        {
+          _id: id,
+          isActive: true,
+          $expr: {
+            $gte: [{ $subtract: ['$stockQty', { $ifNull: ['$reservedQty', 0] }] }, item.quantity]
+          }
+        },
+        { $inc: { reservedQty: item.quantity } },
+        { new: true, session }
+      );
+
+      if (!stockHolder) {
+        const current = await Model.findById(id).select('stockQty reservedQty').session(session);
+        conflicts.push({
+          productId: item.productId,
+          variantId: item.variantId,
+          productName: item.variantLabel ? `${item.productName} (${item.variantLabel})` : item.productName,
+          requested: item.quantity,
+          available: current ? current.available : 0
+        });
+        continue;
+      }
+
+      reservations.push({
+        orderId: order._id,
+        productId: item.productId,
+        variantId: item.variantId,
+        quantity: item.quantity,
+        expiresAt
+      });
+    }
+
+    if (conflicts.length > 0) {
+      const detail = conflicts
+        .map(c => `${c.productName} (disponible: ${c.available}, solicitado: ${c.requested})`)
+        .join(', ');
+
+      throw new AppError(`Stock insuficiente para: ${detail}`, 400, 'INSUFFICIENT_STOCK', { items: conflicts });
+    }
+
+    await Reservation.insertMany(reservations, { session });
+
+    return expiresAt;
+  }
+
+  // Renovar el vencimiento de las reservas activas de la orden
+  static async extendOrderReservation(order, session) {
+    const expiresAt = new Date(Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000);
+
+    await Reservation.updateMany(
+      { orderId: order._id, status: RESERVATION_STATUS.ACTIVE },
+      { expiresAt },
+      { session }
+    );
+
+    order.reservationExpiresAt = expiresAt;
+    order.reservationExtensions = (order.reservationExtensions || 0) + 1;
+  }
+
+  // Convertir las reservas activas en venta: descontar stockQty y registrar
+  // las transacciones SALE
+  static async commitOrderStock(order, session, performedBy = null) {
+    const reservations = await Reservation.find({
+      orderId: order._id,
+      status: RESERVATION_STATUS.ACTIVE
+    }).session(session);
+
+    const inventoryTransactions = [];
+    const reservedQtys = [];
+
+    for (const reservation of reservations) {
+      const { Model, id } = ProductVariantService.getStockTarget(reservation);
+      const stockHolder = await Model.findByIdAndUpdate(
+        id,
+        { $inc: { stockQty: -reservation.quantity, reservedQty: -reservation.quantity } },
+        { new: true, session }
+      );
+
+      if (!stockHolder) continue;
+
+      inventoryTransactions.push({
+        productId: reservation.productId,
+        variantId: reservation.variantId,
+        qtyChange: -reservation.quantity,
+        type: INVENTORY_TX_TYPES.SALE,
+        note: `Venta - Orden ${order.orderNumber}`,
+        previousQty: stockHolder.stockQty + reservation.quantity,
+        newQty: stockHolder.stockQty,
+        createdBy: performedBy || order.userId
+      });
+      reservedQtys.push(stockHolder.reservedQty || 0);
+    }
+
+    await Reservation.updateMany(
+      { _id: { $in: reservations.map(r => r._id) } },
+      { status: RESERVATION_STATUS.COMMITTED, committedAt: new Date() },
+      { session }
+    );
+
+    const transactions = await InventoryTransaction.insertMany(inventoryTransactions, { session });
+    for (const [index, transaction] of transactions.entries()) {
+      await InventoryService.emitStockAdjusted(transaction, reservedQtys[index], session);
+    }
+
+    order.reservationExpiresAt = undefined;
+  }
+
   // Obtener transiciones válidas de estado
   static getValidStatusTransitions(currentStatus) {
     const transitions = {
@@ -465,36 +871,131 @@ class OrderService {
       [ORDER_STATUS.CONFIRMED]: [ORDER_STATUS.PROCESSING, ORDER_STATUS.CANCELLED],
       [ORDER_STATUS.PROCESSING]: [ORDER_STATUS.SHIPPED, ORDER_STATUS.CANCELLED],
       [ORDER_STATUS.SHIPPED]: [ORDER_STATUS.DELIVERED],
-      [ORDER_STATUS.DELIVERED]: [], // Estado final
+      [ORDER_STATUS.DELIVERED]: [ORDER_STATUS.PARTIALLY_REFUNDED, ORDER_STATUS.REFUNDED],
+      [ORDER_STATUS.PARTIALLY_REFUNDED]: [ORDER_STATUS.REFUNDED],
+      [ORDER_STATUS.REFUNDED]: [], // Estado final
       [ORDER_STATUS.CANCELLED]: [] // Estado final
     };
 
     return transitions[currentStatus] || [];
   }
 
-  // Liberar stock de una orden
-  static async releaseOrderStock(order) {
+  // Liberar stock de una orden: si aún tiene reservas activas se sueltan;
+  // si el stock ya se había descontado (orden confirmada) se devuelve
+  static async releaseOrderStock(order, session = null) {
+    const reservations = await Reservation.find({
+      orderId: order._id,
+      status: RESERVATION_STATUS.ACTIVE
+    }).session(session);
+
+    if (reservations.length > 0) {
+      for (const reservation of reservations) {
+        const { Model, id } = ProductVariantService.getStockTarget(reservation);
+        await Model.findByIdAndUpdate(
+          id,
+          { $inc: { reservedQty: -reservation.quantity } },
+          { session }
+        );
+      }
+
+      await Reservation.updateMany(
+        { _id: { $in: reservations.map(r => r._id) } },
+        { status: RESERVATION_STATUS.RELEASED, releasedAt: new Date() },
+        { session }
+      );
+
+      order.reservationExpiresAt = undefined;
+      return;
+    }
+
+    // Sin reservas activas: devolver al inventario solo si el stock ya se
+    // había descontado (reservas confirmadas u órdenes previas a las reservas)
+    const stockWasDeducted =
+      await Reservation.exists({ orderId: order._id, status: RESERVATION_STATUS.COMMITTED }).session(session) ||
+      !(await Reservation.exists({ orderId: order._id }).session(session));
+
+    if (!stockWasDeducted) return;
+
+    const inventoryTransactions = [];
+    const reservedQtys = [];
+
     for (const item of order.items) {
-      await Product.findByIdAndUpdate(
-        item.productId,
-        { $inc: { stockQty: item.quantity } }
+      const { Model, id } = ProductVariantService.getStockTarget(item);
+      const stockHolder = await Model.findByIdAndUpdate(
+        id,
+        { $inc: { stockQty: item.quantity } },
+        { new: true, session }
       );
+
+      if (!stockHolder) continue;
+
+      inventoryTransactions.push({
+        productId: item.productId,
+        variantId: item.variantId,
+        qtyChange: item.quantity,
+        type: INVENTORY_TX_TYPES.ADJUSTMENT,
+        note: `Cancelación - Orden ${order.orderNumber}`,
+        previousQty: stockHolder.stockQty - item.quantity,
+        newQty: stockHolder.stockQty
+      });
+      reservedQtys.push(stockHolder.reservedQty || 0);
+    }
+
+    const transactions = await InventoryTransaction.insertMany(inventoryTransactions, { session });
+    for (const [index, transaction] of transactions.entries()) {
+      await InventoryService.emitStockAdjusted(transaction, reservedQtys[index], session);
     }
   }
 
+  // Token de acceso de invitado a una orden
+  static issueOrderAccess(order) {
+    const token = signOrderAccessToken(order._id);
+    const { exp } = jwt.decode(token);
+
+    return {
+      token,
+      expiresIn: ORDER_ACCESS_TOKEN_EXPIRES_IN,
+      expiresAt: new Date(exp * 1000)
+    };
+  }
+
+  // Evento de dominio del cambio de estado, en la transacción del cambio: de
+  // él cuelgan el aviso al cliente, los canales en tiempo real de la orden y
+  // los webhooks (services/events). actorId: quien hizo el cambio
+  static async emitStatusChanged(order, previousStatus, session, actorId = null) {
+    const lastEntry = order.statusHistory[order.statusHistory.length - 1];
+
+    await DomainEventService.emit(DOMAIN_EVENTS.ORDER_STATUS_CHANGED, {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      userId: order.userId || null,
+      status: order.status,
+      previousStatus,
+      notes: (lastEntry && lastEntry.notes) || null
+    }, { session, actorId });
+  }
+
+  // Las órdenes de invitado no tienen dueño hasta que se vinculan
+  static isOrderOwner(order, userId) {
+    return !!order.userId && !!userId && order.userId.toString() === userId.toString();
+  }
+
   // Formatear datos de orden para respuesta
   static formatOrderData(order, includeDetails = false) {
     const formatted = {
       id: order._id,
       orderNumber: order.orderNumber,
-      userId: order.userId,
+      userId: order.userId || null,
+      isGuest: !!order.isGuest,
       status: order.status,
       paymentStatus: order.paymentStatus,
       paymentMethod: order.paymentMethod,
       totalAmount: order.totalAmount,
       taxAmount: order.taxAmount,
       shippingAmount: order.shippingAmount,
+      discountAmount: order.discountAmount,
       finalAmount: order.finalAmount,
+      refundedAmount: order.refundedAmount,
       itemsCount: order.items.length,
       createdAt: order.createdAt,
       updatedAt: order.updatedAt
@@ -502,8 +1003,14 @@ class OrderService {
 
     if (includeDetails) {
       formatted.items = order.items;
+      formatted.discounts = order.discounts;
+      formatted.taxDetails = order.taxDetails;
+      formatted.shippingOption = order.shippingOption;
       formatted.shippingAddress = order.shippingAddress;
+      formatted.contactEmail = order.contactEmail;
+      formatted.contactPhone = order.contactPhone;
       formatted.statusHistory = order.statusHistory;
+      formatted.reservationExpiresAt = order.reservationExpiresAt;
       formatted.notes = order.notes;
       formatted.adminNotes = order.adminNotes;
       formatted.transactionId = order.transactionId;
@@ -517,7 +1024,7 @@ class OrderService {
   // Verificar si una orden pertenece a un usuario
   static async verifyOrderOwnership(orderId, userId) {
     const order = await Order.findById(orderId).select('userId');
-    return order && order.userId.toString() === userId.toString();
+    return !!order && this.isOrderOwner(order, userId);
   }
 
   // Obtener resumen de orden
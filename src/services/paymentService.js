@@ -0,0 +1,466 @@
+const crypto = require('crypto');
+const Payment = require('../models/Payment');
+const Order = require('../models/Order');
+const OrderService = require('./orderService');
+const { getProvider, getProviderForMethod } = require('./payments');
+const { withTransaction } = require('../config/database');
+const RoleService = require('./roleService');
+const { AppError } = require('../middlewares/errorHandler');
+const {
+  ORDER_STATUS,
+  PAYMENT_STATUS,
+  PAYMENT_INTENT_STATUS,
+  PAYMENT_EVENTS,
+  PAYMENT_REVIEW_REASONS,
+  PAYMENT_CURRENCY,
+  PAYMENT_PROVIDERS,
+  PERMISSIONS
+} = require('../config/constants');
+
+class PaymentService {
+  // ===== CREAR INTENCIÓN DE PAGO =====
+  static async createPaymentIntent(orderId, userId, permissions = null) {
+    const order = await Order.findById(orderId);
+
+    if (!order) {
+      throw new AppError('Orden no encontrada', 404, 'ORDER_NOT_FOUND');
+    }
+
+    // Verificar permisos (sin userId el acceso ya se validó con el token de la orden)
+    if (!RoleService.includesPermission(permissions, PERMISSIONS.PAYMENTS_MANAGE) && userId && !OrderService.isOrderOwner(order, userId)) {
+      throw new AppError('No tienes permisos para pagar esta orden', 403, 'ACCESS_DENIED');
+    }
+
+    if (
+      order.status !== ORDER_STATUS.PENDING ||
+      ![PAYMENT_STATUS.PENDING, PAYMENT_STATUS.FAILED, PAYMENT_STATUS.VOIDED].includes(order.paymentStatus)
+    ) {
+      throw new AppError('Esta orden no admite un nuevo pago en su estado actual', 400, 'PAYMENT_NOT_ALLOWED');
+    }
+
+    // Reutilizar la intención abierta si ya existe (evita cobros duplicados)
+    const openPayment = await Payment.findOne({
+      orderId,
+      status: { $in: [PAYMENT_INTENT_STATUS.REQUIRES_ACTION, PAYMENT_INTENT_STATUS.AUTHORIZED] }
+    }).select('+clientSecret');
+
+    if (openPayment) {
+      return this.formatPaymentData(openPayment, true);
+    }
+
+    const provider = getProviderForMethod(order.paymentMethod);
+
+    const intent = await provider.createIntent({
+      amount: order.finalAmount,
+      currency: PAYMENT_CURRENCY,
+      reference: order.orderNumber,
+      metadata: { orderId: order._id.toString() }
+    });
+
+    const payment = await Payment.create({
+      orderId: order._id,
+      userId: order.userId,
+      provider: provider.name,
+      providerPaymentId: intent.id,
+      method: order.paymentMethod,
+      amount: order.finalAmount,
+      currency: PAYMENT_CURRENCY,
+      status: intent.status,
+      clientSecret: intent.clientSecret
+    });
+
+    return this.formatPaymentData(payment, true);
+  }
+
+  // ===== OBTENER PAGOS DE UNA ORDEN =====
+  static async getOrderPayments(orderId, userId, permissions = null) {
+    const order = await Order.findById(orderId).select('userId');
+
+    if (!order) {
+      throw new AppError('Orden no encontrada', 404, 'ORDER_NOT_FOUND');
+    }
+
+    if (!RoleService.includesPermission(permissions, PERMISSIONS.ORDERS_READ) && userId && !OrderService.isOrderOwner(order, userId)) {
+      throw new AppError('No tienes permisos para ver los pagos de esta orden', 403, 'ACCESS_DENIED');
+    }
+
+    const payments = await Payment.find({ orderId }).sort({ createdAt: -1 });
+
+    return payments.map(payment => this.formatPaymentData(payment));
+  }
+
+  // ===== CAPTURAR PAGO (ADMIN) =====
+  static async capturePayment(paymentId) {
+    const payment = await this.findPayment(paymentId);
+
+    if (payment.status !== PAYMENT_INTENT_STATUS.AUTHORIZED) {
+      throw new AppError('Solo se pueden capturar pagos autorizados', 400, 'PAYMENT_NOT_CAPTURABLE');
+    }
+
+    const order = await Order.findById(payment.orderId).select('status');
+    if (order && order.status === ORDER_STATUS.CANCELLED) {
+      throw new AppError('La orden fue cancelada; anula el pago en lugar de capturarlo', 400, 'PAYMENT_NOT_CAPTURABLE');
+    }
+
+    const provider = getProvider(payment.provider);
+    await provider.capture(payment.providerPaymentId, payment.amount);
+
+    const updated = await withTransaction(session =>
+      this.applyPaymentEvent(payment._id, { type: PAYMENT_EVENTS.CAPTURED }, session)
+    );
+
+    return this.formatPaymentData(updated);
+  }
+
+  // ===== ANULAR PAGO (ADMIN) =====
+  static async voidPayment(paymentId) {
+    const payment = await this.findPayment(paymentId);
+
+    if (![PAYMENT_INTENT_STATUS.REQUIRES_ACTION, PAYMENT_INTENT_STATUS.AUTHORIZED].includes(payment.status)) {
+      throw new AppError('Solo se pueden anular pagos no capturados', 400, 'PAYMENT_NOT_VOIDABLE');
+    }
+
+    const provider = getProvider(payment.provider);
+    await provider.void(payment.providerPaymentId);
+
+    const updated = await withTransaction(session =>
+      this.applyPaymentEvent(payment._id, { type: PAYMENT_EVENTS.VOIDED }, session)
+    );
+
+    return this.formatPaymentData(updated);
+  }
+
+  // Anular las autorizaciones abiertas de una orden cancelada por el sistema.
+  // Un fallo se registra y deja la autorización para revisión manual; si el
+  // proveedor la captura igualmente, el webhook la marca y la reembolsa
+  static async voidOrderAuthorizations(orderId) {
+    const payments = await Payment.find({ orderId, status: PAYMENT_INTENT_STATUS.AUTHORIZED }).select('_id');
+
+    for (const payment of payments) {
+      try {
+        await this.voidPayment(payment._id);
+      } catch (error) {
+        console.error(`❌ Error anulando la autorización del pago ${payment._id}:`, error.message);
+      }
+    }
+  }
+
+  // ===== REEMBOLSAR PAGO (ADMIN) =====
+  // Sin monto se reembolsa todo lo pendiente
+  static async refundPayment(paymentId, refundData = {}, performedBy = null) {
+    const payment = await this.findPayment(paymentId);
+    const refund = await this.issueRefund(payment, refundData);
+
+    const updated = await withTransaction(session =>
+      this.recordRefund(payment._id, refund, performedBy, session)
+    );
+
+    return this.formatPaymentData(updated, true);
+  }
+
+  // Reembolso automático de un pago marcado para revisión. Si falla, el pago
+  // sigue marcado y el personal lo reembolsa desde /api/payments/:id/refund
+  static async refundFlaggedPayment(paymentId) {
+    try {
+      await this.refundPayment(paymentId, { reason: 'Cobro sobre una orden cancelada' });
+    } catch (error) {
+      console.error(`❌ No se pudo reembolsar el pago ${paymentId}:`, error.message);
+    }
+  }
+
+  // Solicitar el reembolso al proveedor (fuera de la transacción: es una llamada externa).
+  // Primero se reclama el saldo en el pago, como las devoluciones con REFUNDING:
+  // dos reembolsos simultáneos (del panel o de devoluciones) no pueden llegar
+  // ambos al proveedor. recordRefund libera el reclamo
+  static async issueRefund(payment, refundData = {}) {
+    const { reason } = refundData;
+    const refundable = payment.refundableAmount;
+    const amount = refundData.amount !== undefined ? this.roundAmount(refundData.amount) : refundable;
+
+    if (refundable <= 0) {
+      throw new AppError('Este pago no tiene saldo reembolsable', 400, 'PAYMENT_NOT_REFUNDABLE');
+    }
+
+    if (amount <= 0 || amount > refundable) {
+      throw new AppError(
+        `Monto de reembolso inválido. Reembolsable: ${refundable}`,
+        400,
+        'INVALID_REFUND_AMOUNT'
+      );
+    }
+
+    // refundedAmount en el filtro: el saldo calculado arriba sigue vigente
+    const claimId = crypto.randomUUID();
+    const claim = await Payment.updateOne(
+      { _id: payment._id, refundClaim: null, refundedAmount: payment.refundedAmount },
+      { $set: { refundClaim: { claimId, amount, reason, claimedAt: new Date() } } }
+    );
+
+    if (claim.modifiedCount === 0) {
+      throw new AppError('Hay otro reembolso en curso para este pago; intenta de nuevo', 409, 'REFUND_IN_PROGRESS');
+    }
+
+    const provider = getProvider(payment.provider);
+    let refund;
+    try {
+      refund = await provider.refund(payment.providerPaymentId, amount, reason);
+    } catch (error) {
+      await Payment.updateOne({ _id: payment._id, 'refundClaim.claimId': claimId }, { $set: { refundClaim: null } });
+      throw error;
+    }
+
+    await Payment.updateOne(
+      { _id: payment._id, 'refundClaim.claimId': claimId },
+      { $set: { 'refundClaim.refundId': refund.refundId } }
+    );
+
+    return { refundId: refund.refundId, amount, reason, claimId };
+  }
+
+  // Registrar un reembolso ya emitido en el pago y en su orden. El webhook del
+  // proveedor puede haberlo registrado antes; en ese caso solo se libera el reclamo
+  static async recordRefund(paymentId, refund, performedBy, session) {
+    const payment = await Payment.findById(paymentId).session(session);
+
+    const known = payment.refunds.some(existing => existing.providerRefundId === refund.refundId);
+    if (!known) {
+      payment.refunds.push({
+        providerRefundId: refund.refundId,
+        amount: refund.amount,
+        reason: refund.reason,
+        createdBy: performedBy
+      });
+    }
+
+    if (payment.refundClaim && payment.refundClaim.claimId === refund.claimId) {
+      payment.refundClaim = null;
+    }
+
+    return this.applyPaymentEvent(payment, {
+      type: PAYMENT_EVENTS.REFUNDED,
+      refundId: refund.refundId,
+      amount: refund.amount
+    }, session);
+  }
+
+  // ===== PROCESAR WEBHOOK DEL PROVEEDOR =====
+  static async handleWebhook(providerName, rawBody, headers) {
+    const provider = getProvider(providerName);
+
+    // Verifica la firma; lanza INVALID_WEBHOOK_SIGNATURE si no coincide
+    const event = provider.parseWebhook(rawBody, headers);
+
+    const result = await withTransaction(async (session) => {
+      const payment = await Payment.findOne({
+        provider: provider.name,
+        providerPaymentId: event.providerPaymentId
+      }).session(session);
+
+      if (!payment) {
+        // Confirmar recepción para que el proveedor no reintente
+        return { received: true, ignored: true, reason: 'PAYMENT_NOT_FOUND' };
+      }
+
+      // Registrar el evento una sola vez (idempotencia ante reintentos)
+      const claim = await Payment.updateOne(
+        { _id: payment._id, 'webhookEvents.eventId': { $ne: event.eventId } },
+        { $push: { webhookEvents: { eventId: event.eventId, type: event.type } } },
+        { session }
+      );
+
+      if (claim.modifiedCount === 0) {
+        return { received: true, duplicate: true };
+      }
+
+      const updated = await this.applyPaymentEvent(payment._id, event, session);
+
+      return {
+        received: true,
+        paymentId: updated._id,
+        status: updated.status,
+        ...(updated.reviewRequired && event.type === PAYMENT_EVENTS.CAPTURED && { reviewRequired: true })
+      };
+    });
+
+    // El reembolso es una llamada externa: se pide con el cobro ya registrado
+    if (result.reviewRequired) {
+      await this.refundFlaggedPayment(result.paymentId);
+    }
+
+    return result;
+  }
+
+  // ===== SIMULACIONES DEL SANDBOX =====
+  // Solo quien administra pagos o el dueño de la orden simula eventos del pago
+  static async assertSandboxAccess(providerPaymentId, userId, permissions = null) {
+    const payment = await Payment.findOne({ provider: PAYMENT_PROVIDERS.SANDBOX, providerPaymentId }).select('orderId');
+
+    if (!payment) {
+      throw new AppError('Pago no encontrado', 404, 'PAYMENT_NOT_FOUND');
+    }
+
+    if (RoleService.includesPermission(permissions, PERMISSIONS.PAYMENTS_MANAGE)) {
+      return;
+    }
+
+    const order = await Order.findById(payment.orderId).select('userId');
+    if (!order || !OrderService.isOrderOwner(order, userId)) {
+      throw new AppError('No tienes permisos para simular eventos de este pago', 403, 'ACCESS_DENIED');
+    }
+  }
+
+  // ===== UTILITY METHODS =====
+
+  // Aplicar un evento normalizado al pago y a su orden. Las transiciones que
+  // ya ocurrieron se ignoran, por lo que reprocesar un evento no tiene efecto
+  static async applyPaymentEvent(paymentOrId, event, session) {
+    const payment = paymentOrId instanceof Payment
+      ? paymentOrId
+      : await Payment.findById(paymentOrId).session(session);
+
+    const order = await Order.findById(payment.orderId).session(session);
+    let paymentStatus = null;
+    let refundedDelta = 0;
+
+    switch (event.type) {
+      case PAYMENT_EVENTS.AUTHORIZED:
+        if (payment.status === PAYMENT_INTENT_STATUS.REQUIRES_ACTION) {
+          payment.status = PAYMENT_INTENT_STATUS.AUTHORIZED;
+          payment.authorizedAt = new Date();
+          paymentStatus = PAYMENT_STATUS.AUTHORIZED;
+        }
+        break;
+
+      case PAYMENT_EVENTS.CAPTURED:
+        if ([PAYMENT_INTENT_STATUS.REQUIRES_ACTION, PAYMENT_INTENT_STATUS.AUTHORIZED].includes(payment.status)) {
+          payment.status = PAYMENT_INTENT_STATUS.CAPTURED;
+          payment.capturedAt = new Date();
+
+          // Un cobro tardío (la orden expiró o se canceló mientras el cliente
+          // pagaba) no revive la orden: el pago se marca y se reembolsa
+          if (order && order.status === ORDER_STATUS.CANCELLED) {
+            payment.reviewRequired = true;
+            payment.reviewReason = PAYMENT_REVIEW_REASONS.CAPTURED_ON_CANCELLED_ORDER;
+          } else {
+            paymentStatus = PAYMENT_STATUS.PAID;
+          }
+        }
+        break;
+
+      case PAYMENT_EVENTS.FAILED:
+        if ([PAYMENT_INTENT_STATUS.REQUIRES_ACTION, PAYMENT_INTENT_STATUS.AUTHORIZED].includes(payment.status)) {
+          payment.status = PAYMENT_INTENT_STATUS.FAILED;
+          payment.failureReason = event.failureReason;
+          paymentStatus = PAYMENT_STATUS.FAILED;
+        }
+        break;
+
+      case PAYMENT_EVENTS.VOIDED:
+        if ([PAYMENT_INTENT_STATUS.REQUIRES_ACTION, PAYMENT_INTENT_STATUS.AUTHORIZED].includes(payment.status)) {
+          payment.status = PAYMENT_INTENT_STATUS.VOIDED;
+          payment.voidedAt = new Date();
+          paymentStatus = PAYMENT_STATUS.VOIDED;
+        }
+        break;
+
+      case PAYMENT_EVENTS.REFUNDED: {
+        // Reembolsos iniciados desde el panel del proveedor llegan solo por webhook
+        const known = payment.refunds.some(refund => refund.providerRefundId === event.refundId);
+        if (event.refundId && !known) {
+          payment.refunds.push({ providerRefundId: event.refundId, amount: event.amount });
+        }
+
+        // El proveedor confirma un reembolso reclamado que quizá no se registró
+        if (payment.refundClaim && event.refundId && payment.refundClaim.refundId === event.refundId) {
+          payment.refundClaim = null;
+        }
+
+        const refunded = Math.min(
+          payment.amount,
+          this.roundAmount(payment.refunds.reduce((sum, refund) => sum + refund.amount, 0))
+        );
+
+        if (refunded > payment.refundedAmount) {
+          refundedDelta = this.roundAmount(refunded - payment.refundedAmount);
+          payment.refundedAmount = refunded;
+          payment.status = refunded >= payment.amount
+            ? PAYMENT_INTENT_STATUS.REFUNDED
+            : PAYMENT_INTENT_STATUS.PARTIALLY_REFUNDED;
+        }
+
+        if (payment.status === PAYMENT_INTENT_STATUS.REFUNDED) {
+          payment.reviewRequired = false;
+        }
+        break;
+      }
+
+      default:
+        // Evento desconocido: se registra pero no cambia el estado
+        break;
+    }
+
+    await payment.save({ session });
+
+    if (order && paymentStatus) {
+      await OrderService.applyPaymentStatus(order, {
+        paymentStatus,
+        transactionId: payment.providerPaymentId,
+        paymentNotes: `${payment.provider}: ${event.type}`
+      }, session);
+    }
+
+    if (order && refundedDelta > 0) {
+      await OrderService.applyRefund(order, refundedDelta, session, `Reembolso de ${refundedDelta} vía ${payment.provider}`);
+    }
+
+    return payment;
+  }
+
+  // Buscar pago o lanzar 404
+  static async findPayment(paymentId) {
+    const payment = await Payment.findById(paymentId);
+
+    if (!payment) {
+      throw new AppError('Pago no encontrado', 404, 'PAYMENT_NOT_FOUND');
+    }
+
+    return payment;
+  }
+
+  // Redondear a centavos
+  static roundAmount(amount) {
+    return Math.round(parseFloat(amount) * 100) / 100;
+  }
+
+  // Formatear datos de pago para respuesta
+  static formatPaymentData(payment, includeDetails = false) {
+    const formatted = {
+      id: payment._id,
+      orderId: payment.orderId,
+      provider: payment.provider,
+      providerPaymentId: payment.providerPaymentId,
+      method: payment.method,
+      amount: payment.amount,
+      currency: payment.currency,
+      status: payment.status,
+      refundedAmount: payment.refundedAmount,
+      reviewRequired: payment.reviewRequired,
+      reviewReason: payment.reviewReason,
+      createdAt: payment.createdAt,
+      updatedAt: payment.updatedAt
+    };
+
+    if (includeDetails) {
+      formatted.clientSecret = payment.clientSecret;
+      formatted.refunds = payment.refunds;
+      formatted.failureReason = payment.failureReason;
+      formatted.authorizedAt = payment.authorizedAt;
+      formatted.capturedAt = payment.capturedAt;
+      formatted.voidedAt = payment.voidedAt;
+    }
+
+    return formatted;
+  }
+}
+
+module.exports = PaymentService;
@@ -0,0 +1,55 @@
+const SandboxProvider = require('./sandboxProvider');
+const { AppError } = require('../../middlewares/errorHandler');
+const { PAYMENT_METHOD_PROVIDERS } = require('../../config/constants');
+
+// ===== REGISTRO DE PROVEEDORES =====
+const providers = new Map();
+
+const registerProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+const getProvider = (name) => {
+  const provider = providers.get(name);
+
+  if (!provider) {
+    throw new AppError(`Proveedor de pago no soportado: ${name}`, 404, 'PAYMENT_PROVIDER_NOT_FOUND');
+  }
+
+  return provider;
+};
+
+// Resolver el proveedor configurado para un método de pago
+const getProviderForMethod = (paymentMethod) => {
+  const providerName = PAYMENT_METHOD_PROVIDERS[paymentMethod];
+
+  if (!providerName) {
+    throw new AppError(`Método de pago sin proveedor configurado: ${paymentMethod}`, 400, 'PAYMENT_METHOD_NOT_CONFIGURED');
+  }
+
+  // Configurado pero no registrado (p. ej. el sandbox en producción): el
+  // checkout con ese método no está disponible hasta que exista el proveedor
+  if (!providers.has(providerName)) {
+    throw new AppError(`El método de pago ${paymentMethod} no está disponible`, 503, 'PAYMENT_PROVIDER_UNAVAILABLE');
+  }
+
+  return providers.get(providerName);
+};
+
+// Métodos de pago cuyo proveedor configurado no está registrado, como
+// "<método> -> <proveedor>"; se informan al arrancar
+const getUnavailablePaymentMethods = () => Object.entries(PAYMENT_METHOD_PROVIDERS)
+  .filter(([, providerName]) => !providers.has(providerName))
+  .map(([paymentMethod, providerName]) => `${paymentMethod} -> ${providerName}`);
+
+// Proveedores incluidos
+if (SandboxProvider.isEnabled()) {
+  registerProvider(new SandboxProvider());
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  getProviderForMethod,
+  getUnavailablePaymentMethods
+};
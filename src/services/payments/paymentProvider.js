@@ -0,0 +1,47 @@
+const { AppError } = require('../../middlewares/errorHandler');
+
+// ===== INTERFAZ DE PROVEEDOR DE PAGOS =====
+// Cada proveedor implementa estas operaciones y traduce sus webhooks a los
+// eventos normalizados de PAYMENT_EVENTS. Los montos se expresan en unidades
+// de la moneda (no en centavos).
+class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Crear intención de pago → { id, status, clientSecret }
+  async createIntent({ amount, currency, reference, metadata }) {
+    throw this.notImplemented('createIntent');
+  }
+
+  // Capturar un pago autorizado → { id, status }
+  async capture(providerPaymentId, amount) {
+    throw this.notImplemented('capture');
+  }
+
+  // Anular un pago autorizado sin capturar → { id, status }
+  async void(providerPaymentId) {
+    throw this.notImplemented('void');
+  }
+
+  // Reembolsar total o parcialmente un pago capturado → { refundId, amount, status }
+  async refund(providerPaymentId, amount, reason) {
+    throw this.notImplemented('refund');
+  }
+
+  // Verificar la firma del webhook y devolver el evento normalizado
+  // → { eventId, type, providerPaymentId, amount, failureReason }
+  parseWebhook(rawBody, headers) {
+    throw this.notImplemented('parseWebhook');
+  }
+
+  notImplemented(operation) {
+    return new AppError(
+      `El proveedor ${this.name} no soporta la operación ${operation}`,
+      501,
+      'PAYMENT_OPERATION_NOT_SUPPORTED'
+    );
+  }
+}
+
+module.exports = PaymentProvider;
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const Joi = require('joi');
+const PaymentProvider = require('./paymentProvider');
+const { AppError } = require('../../middlewares/errorHandler');
+const {
+  PAYMENT_PROVIDERS,
+  PAYMENT_INTENT_STATUS,
+  SANDBOX_WEBHOOK_SECRET,
+  WEBHOOK_TOLERANCE_SECONDS
+} = require('../../config/constants');
+
+const SIGNATURE_HEADER = 'x-sandbox-signature';
+
+// Forma del evento firmado; los tipos desconocidos se aceptan y se ignoran
+// más adelante, pero un reembolso siempre trae su monto
+const webhookEventSchema = Joi.object({
+  id: Joi.string().required(),
+  type: Joi.string().required(),
+  created: Joi.number().integer().optional(),
+  data: Joi.object({
+    paymentId: Joi.string().required(),
+    amount: Joi.number().positive().when('refundId', { is: Joi.exist(), then: Joi.required() }),
+    refundId: Joi.string().optional(),
+    failureReason: Joi.string().allow('').optional()
+  }).unknown(true).required()
+}).unknown(true);
+
+// ===== PROVEEDOR SANDBOX =====
+// Proveedor local sin red: todas las operaciones se aprueban y los webhooks
+// se firman con HMAC-SHA256 ("t=<timestamp>,v1=<firma>") igual que lo haría
+// un proveedor real, para poder ejercitar el flujo completo en pruebas.
+class SandboxProvider extends PaymentProvider {
+  constructor(secret = SANDBOX_WEBHOOK_SECRET) {
+    super(PAYMENT_PROVIDERS.SANDBOX);
+
+    if (!secret) {
+      throw new Error('SandboxProvider requiere un secreto de webhook (SANDBOX_WEBHOOK_SECRET)');
+    }
+
+    this.secret = secret;
+  }
+
+  // Nunca en producción, y solo con un secreto configurado explícitamente
+  static isEnabled() {
+    return process.env.NODE_ENV !== 'production' && Boolean(SANDBOX_WEBHOOK_SECRET);
+  }
+
+  async createIntent({ amount, currency, reference }) {
+    return {
+      id: this.generateId('sbx_pi'),
+      status: PAYMENT_INTENT_STATUS.REQUIRES_ACTION,
+      clientSecret: this.generateId('sbx_secret'),
+      amount,
+      currency,
+      reference
+    };
+  }
+
+  async capture(providerPaymentId, amount) {
+    return { id: providerPaymentId, status: PAYMENT_INTENT_STATUS.CAPTURED, amount };
+  }
+
+  async void(providerPaymentId) {
+    return { id: providerPaymentId, status: PAYMENT_INTENT_STATUS.VOIDED };
+  }
+
+  async refund(providerPaymentId, amount) {
+    return { refundId: this.generateId('sbx_re'), amount, status: 'succeeded' };
+  }
+
+  parseWebhook(rawBody, headers) {
+    const header = headers[SIGNATURE_HEADER];
+    if (!header || !rawBody) {
+      throw new AppError('Firma de webhook ausente', 400, 'INVALID_WEBHOOK_SIGNATURE');
+    }
+
+    const parts = Object.fromEntries(header.split(',').map(part => part.trim().split('=')));
+    const timestamp = parseInt(parts.t);
+
+    if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+      throw new AppError('Webhook fuera de la ventana de tiempo permitida', 400, 'INVALID_WEBHOOK_SIGNATURE');
+    }
+
+    const expected = Buffer.from(this.computeSignature(timestamp, rawBody));
+    const received = Buffer.from(parts.v1 || '');
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new AppError('Firma de webhook inválida', 400, 'INVALID_WEBHOOK_SIGNATURE');
+    }
+
+    let event;
+    try {
+      event = JSON.parse(rawBody.toString());
+    } catch (error) {
+      throw new AppError('Payload de webhook inválido', 400, 'INVALID_WEBHOOK_PAYLOAD');
+    }
+
+    const { error } = webhookEventSchema.validate(event);
+    if (error) {
+      throw new AppError(`Payload de webhook inválido: ${error.details[0].message}`, 400, 'INVALID_WEBHOOK_PAYLOAD');
+    }
+
+    return {
+      eventId: event.id,
+      type: event.type,
+      providerPaymentId: event.data.paymentId,
+      amount: event.data.amount,
+      refundId: event.data.refundId,
+      failureReason: event.data.failureReason
+    };
+  }
+
+  // ===== HERRAMIENTAS DE PRUEBA =====
+
+  // Construir un webhook firmado como lo enviaría el proveedor
+  buildWebhook(type, data, timestamp = Math.floor(Date.now() / 1000)) {
+    const rawBody = Buffer.from(JSON.stringify({
+      id: this.generateId('sbx_evt'),
+      type,
+      created: timestamp,
+      data
+    }));
+
+    return {
+      rawBody,
+      headers: {
+        [SIGNATURE_HEADER]: `t=${timestamp},v1=${this.computeSignature(timestamp, rawBody)}`
+      }
+    };
+  }
+
+  computeSignature(timestamp, rawBody) {
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(`${timestamp}.${rawBody.toString()}`)
+      .digest('hex');
+  }
+
+  generateId(prefix) {
+    return `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+  }
+}
+
+module.exports = SandboxProvider;
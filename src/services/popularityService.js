@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const Product = require('../models/Product');
+const ProductActivity = require('../models/ProductActivity');
+const Order = require('../models/Order');
+const Review = require('../models/Review');
+const {
+  ORDER_STATUS,
+  PRODUCT_ACTIVITY_TYPES,
+  PRODUCT_VIEW_DEDUP_HOURS,
+  POPULARITY_WINDOWS,
+  POPULARITY_WEIGHTS
+} = require('../config/constants');
+
+// Órdenes que cuentan como venta (pagadas o en camino; no pendientes ni canceladas)
+const SOLD_ORDER_STATUSES = [
+  ORDER_STATUS.CONFIRMED,
+  ORDER_STATUS.PROCESSING,
+  ORDER_STATUS.SHIPPED,
+  ORDER_STATUS.DELIVERED,
+  ORDER_STATUS.PARTIALLY_REFUNDED
+];
+
+class PopularityService {
+  // ===== REGISTRAR VISTA =====
+  // Una vista por visitante y producto cada PRODUCT_VIEW_DEDUP_HOURS. Nunca
+  // lanza errores: el registro no debe afectar la respuesta del producto
+  static async recordView(productId, viewer = {}) {
+    const now = new Date();
+    const bucket = Math.floor(now.getTime() / (PRODUCT_VIEW_DEDUP_HOURS * 60 * 60 * 1000));
+
+    try {
+      await ProductActivity.updateOne(
+        {
+          productId,
+          type: PRODUCT_ACTIVITY_TYPES.VIEW,
+          viewerKey: this.getViewerKey(viewer),
+          bucket
+        },
+        { $setOnInsert: { userId: viewer.userId || null, createdAt: now } },
+        { upsert: true }
+      );
+    } catch (error) {
+      // Dos vistas simultáneas del mismo visitante chocan en el índice único
+      if (error.code !== 11000) {
+        console.error('❌ Error registrando vista de producto:', error.message);
+      }
+    }
+  }
+
+  // ===== REGISTRAR ACTIVIDAD =====
+  // Carritos y listas de deseos; tampoco lanza errores
+  static async recordActivity(productId, type, userId = null) {
+    try {
+      await ProductActivity.create({ productId, type, userId });
+    } catch (error) {
+      console.error('❌ Error registrando actividad de producto:', error.message);
+    }
+  }
+
+  // ===== RECALCULAR PUNTAJES =====
+  // Suma las señales de cada ventana con decaimiento exponencial y guarda el
+  // resultado en Product.popularity; los productos sin señales quedan en 0.
+  // Lo ejecuta cada 15 minutos el trabajo products.recompute_popularity
+  static async recomputeScores(now = new Date()) {
+    const scores = new Map();
+
+    for (const [window, config] of Object.entries(POPULARITY_WINDOWS)) {
+      const since = new Date(now.getTime() - config.hours * 60 * 60 * 1000);
+      const decay = this.buildDecayExpression(now, config.halfLifeHours);
+
+      const partials = await Promise.all([
+        this.aggregateSales(since, decay),
+        this.aggregateActivity(since, decay),
+        this.aggregateReviews(since, decay)
+      ]);
+
+      for (const rows of partials) {
+        for (const { _id, score } of rows) {
+          const key = _id.toString();
+          if (!scores.has(key)) {
+            scores.set(key, { day: 0, week: 0, month: 0 });
+          }
+          scores.get(key)[window] += score;
+        }
+      }
+    }
+
+    const operations = [...scores].map(([productId, windows]) => ({
+      updateOne: {
+        filter: { _id: productId },
+        update: {
+          $set: {
+            popularity: {
+              day: this.round(windows.day),
+              week: this.round(windows.week),
+              month: this.round(windows.month),
+              computedAt: now
+            }
+          }
+        }
+      }
+    }));
+
+    if (operations.length > 0) {
+      await Product.bulkWrite(operations, { ordered: false });
+    }
+
+    const reset = await Product.updateMany(
+      {
+        _id: { $nin: [...scores.keys()] },
+        $or: [
+          { 'popularity.day': { $ne: 0 } },
+          { 'popularity.week': { $ne: 0 } },
+          { 'popularity.month': { $ne: 0 } }
+        ]
+      },
+      { $set: { popularity: { day: 0, week: 0, month: 0, computedAt: now } } }
+    );
+
+    return {
+      scoredProducts: operations.length,
+      resetProducts: reset.modifiedCount,
+      computedAt: now
+    };
+  }
+
+  // Unidades vendidas por producto
+  static async aggregateSales(since, decay) {
+    return Order.aggregate([
+      { $match: { status: { $in: SOLD_ORDER_STATUSES }, createdAt: { $gte: since } } },
+      { $unwind: '$items' },
+      {
+        $group: {
+          _id: '$items.productId',
+          score: { $sum: { $multiply: ['$items.quantity', POPULARITY_WEIGHTS.purchase, decay] } }
+        }
+      }
+    ]);
+  }
+
+  // Vistas, carritos y listas de deseos
+  static async aggregateActivity(since, decay) {
+    const weight = {
+      $switch: {
+        branches: Object.values(PRODUCT_ACTIVITY_TYPES).map(type => ({
+          case: { $eq: ['$type', type] },
+          then: POPULARITY_WEIGHTS[type]
+        })),
+        default: 0
+      }
+    };
+
+    return ProductActivity.aggregate([
+      { $match: { createdAt: { $gte: since } } },
+      { $group: { _id: '$productId', score: { $sum: { $multiply: [weight, decay] } } } }
+    ]);
+  }
+
+  // Reseñas: +peso con 5 estrellas, 0 con 3 y -peso con 1
+  static async aggregateReviews(since, decay) {
+    return Review.aggregate([
+      { $match: { createdAt: { $gte: since } } },
+      {
+        $group: {
+          _id: '$productId',
+          score: {
+            $sum: {
+              $multiply: [
+                POPULARITY_WEIGHTS.review,
+                { $divide: [{ $subtract: ['$rating', 3] }, 2] },
+                decay
+              ]
+            }
+          }
+        }
+      }
+    ]);
+  }
+
+  // 2^(-edad / vida media), calculado en la base de datos sobre createdAt
+  static buildDecayExpression(now, halfLifeHours) {
+    const ratePerMs = Math.LN2 / (halfLifeHours * 60 * 60 * 1000);
+
+    return { $exp: { $multiply: [-ratePerMs, { $subtract: [now, '$createdAt'] }] } };
+  }
+
+  // ===== MÉTODOS AUXILIARES =====
+
+  // Sesión del usuario, carrito de invitado o, en último caso, un hash de IP y
+  // navegador (no se guardan en claro)
+  static getViewerKey({ sessionId, guestId, ip, userAgent }) {
+    if (sessionId) return `session:${sessionId}`;
+    if (guestId) return `guest:${guestId}`;
+
+    const fingerprint = crypto.createHash('sha256')
+      .update(`${ip || ''}|${userAgent || ''}`)
+      .digest('hex')
+      .slice(0, 32);
+
+    return `anon:${fingerprint}`;
+  }
+
+  static round(score) {
+    return Math.round(score * 10000) / 10000;
+  }
+}
+
+module.exports = PopularityService;
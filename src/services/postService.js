@@ -1,7 +1,10 @@
 const Post = require('../models/Post');
 const Follow = require('../models/Follow');
+const RoleService = require('./roleService');
 const { AppError } = require('../middlewares/errorHandler');
 const { calculatePagination } = require('../middlewares/responseFormatter');
+const MediaService = require('./mediaService');
+const { MEDIA_USAGES, PERMISSIONS } = require('../config/constants');
 
 class PostService {
   // ===== CREAR POST =====
@@ -20,7 +23,7 @@ class PostService {
     });
 
     // Poblar para respuesta
-    await post.populate('userId', 'firstName lastName');
+    await post.populate('userId', 'firstName lastName avatar');
 
     return this.formatPostData(post, true);
   }
@@ -61,7 +64,7 @@ class PostService {
 
     // Obtener posts
     const posts = await Post.find(searchFilters)
-      .populate('userId', 'firstName lastName')
+      .populate('userId', 'firstName lastName avatar')
       .sort(sort)
       .skip(pagination.offset)
       .limit(pagination.limit);
@@ -75,7 +78,7 @@ class PostService {
   // ===== OBTENER POST POR ID =====
   static async getPostById(postId) {
     const post = await Post.findById(postId)
-      .populate('userId', 'firstName lastName');
+      .populate('userId', 'firstName lastName avatar');
 
     if (!post) {
       throw new AppError('Post no encontrado', 404, 'POST_NOT_FOUND');
@@ -95,7 +98,7 @@ class PostService {
 
     // Obtener posts
     const posts = await Post.find(filters)
-      .populate('userId', 'firstName lastName')
+      .populate('userId', 'firstName lastName avatar')
       .sort(sort)
       .skip(pagination.offset)
       .limit(pagination.limit);
@@ -124,7 +127,7 @@ class PostService {
 
     // Obtener posts del feed
     const posts = await Post.find(filters)
-      .populate('userId', 'firstName lastName')
+      .populate('userId', 'firstName lastName avatar')
       .sort(sort)
       .skip(pagination.offset)
       .limit(pagination.limit);
@@ -161,24 +164,25 @@ class PostService {
     await post.save();
 
     // Poblar para respuesta
-    await post.populate('userId', 'firstName lastName');
+    await post.populate('userId', 'firstName lastName avatar');
 
     return this.formatPostData(post, true);
   }
 
   // ===== ELIMINAR POST =====
-  static async deletePost(postId, userId, userRole = null) {
+  static async deletePost(postId, userId, permissions = null) {
     const post = await Post.findById(postId);
     if (!post) {
       throw new AppError('Post no encontrado', 404, 'POST_NOT_FOUND');
     }
 
     // Verificar permisos
-    if (userRole !== 'admin' && post.userId.toString() !== userId.toString()) {
+    if (!RoleService.includesPermission(permissions, PERMISSIONS.CONTENT_MODERATE) && post.userId.toString() !== userId.toString()) {
       throw new AppError('Solo puedes eliminar tus propios posts', 403, 'NOT_POST_AUTHOR');
     }
 
     await Post.findByIdAndDelete(postId);
+    await MediaService.deleteOwnerMedia(MEDIA_USAGES.POST_ATTACHMENT, postId);
 
     return { message: 'Post eliminado exitosamente' };
   }
@@ -206,7 +210,7 @@ class PostService {
 
     // Buscar posts
     const posts = await Post.find(filters)
-      .populate('userId', 'firstName lastName')
+      .populate('userId', 'firstName lastName avatar')
       .sort(sort)
       .skip(pagination.offset)
       .limit(pagination.limit);
@@ -229,7 +233,7 @@ class PostService {
 
     // Obtener posts
     const posts = await Post.find(filters)
-      .populate('userId', 'firstName lastName')
+      .populate('userId', 'firstName lastName avatar')
       .sort(sort)
       .skip(pagination.offset)
       .limit(pagination.limit);
@@ -288,7 +292,7 @@ class PostService {
     const posts = await Post.find({
       createdAt: { $gte: date }
     })
-      .populate('userId', 'firstName lastName')
+      .populate('userId', 'firstName lastName avatar')
       .sort({ createdAt: -1 })
       .limit(parseInt(limit));
 
@@ -298,7 +302,7 @@ class PostService {
   // ===== OBTENER POSTS RECIENTES =====
   static async getRecentPosts(limit = 10) {
     const posts = await Post.find({})
-      .populate('userId', 'firstName lastName')
+      .populate('userId', 'firstName lastName avatar')
       .sort({ createdAt: -1 })
       .limit(parseInt(limit));
 
@@ -399,6 +403,7 @@ class PostService {
       title: post.title,
       content: includeDetails ? post.content : this.truncateContent(post.content),
       tags: post.tags,
+      attachments: (post.attachments || []).map(attachment => MediaService.formatAttachment(attachment)),
       createdAt: post.createdAt,
       updatedAt: post.updatedAt
     };
@@ -407,7 +412,8 @@ class PostService {
     if (post.userId && post.userId.firstName) {
       formatted.author = {
         firstName: post.userId.firstName,
-        lastName: post.userId.lastName
+        lastName: post.userId.lastName,
+        avatar: MediaService.formatMediaReference(post.userId.avatar)
       };
     }
 
@@ -441,7 +447,7 @@ class PostService {
       _id: { $ne: postId },
       tags: { $in: post.tags }
     })
-      .populate('userId', 'firstName lastName')
+      .populate('userId', 'firstName lastName avatar')
       .sort({ createdAt: -1 })
       .limit(parseInt(limit));
 
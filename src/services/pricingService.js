@@ -0,0 +1,267 @@
+const TaxRule = require('../models/TaxRule');
+const ShippingRate = require('../models/ShippingRate');
+const { AppError } = require('../middlewares/errorHandler');
+const {
+  DEFAULT_TAX_RATE,
+  DEFAULT_SHIPPING_COST,
+  FREE_SHIPPING_THRESHOLD,
+  VOLUMETRIC_DIVISOR
+} = require('../config/constants');
+
+const INCHES_TO_CM = 2.54;
+
+class PricingService {
+  // ===== REGLAS DE IMPUESTOS (ADMIN) =====
+  static async createTaxRule(ruleData) {
+    const rule = await TaxRule.create(ruleData);
+    return rule;
+  }
+
+  static async getTaxRules(filters = {}) {
+    const { country, isActive } = filters;
+
+    const searchFilters = {};
+    if (country) searchFilters.country = { $regex: `^${this.escapeRegex(country)}$`, $options: 'i' };
+    if (isActive !== undefined) searchFilters.isActive = isActive;
+
+    return TaxRule.find(searchFilters).sort({ country: 1, state: 1 });
+  }
+
+  static async updateTaxRule(ruleId, updateData) {
+    const rule = await TaxRule.findByIdAndUpdate(ruleId, updateData, { new: true, runValidators: true });
+
+    if (!rule) {
+      throw new AppError('Regla de impuestos no encontrada', 404, 'TAX_RULE_NOT_FOUND');
+    }
+
+    return rule;
+  }
+
+  static async deleteTaxRule(ruleId) {
+    const rule = await TaxRule.findByIdAndDelete(ruleId);
+
+    if (!rule) {
+      throw new AppError('Regla de impuestos no encontrada', 404, 'TAX_RULE_NOT_FOUND');
+    }
+
+    return { message: 'Regla de impuestos eliminada exitosamente', ruleId };
+  }
+
+  // ===== TARIFAS DE ENVÍO (ADMIN) =====
+  static async createShippingRate(rateData) {
+    this.validateWeightRange(rateData);
+    const rate = await ShippingRate.create(rateData);
+    return rate;
+  }
+
+  static async getShippingRates(filters = {}) {
+    const { carrier, country, isActive } = filters;
+
+    const searchFilters = {};
+    if (carrier) searchFilters.carrier = carrier;
+    if (country) searchFilters['zone.country'] = { $regex: `^${this.escapeRegex(country)}$`, $options: 'i' };
+    if (isActive !== undefined) searchFilters.isActive = isActive;
+
+    return ShippingRate.find(searchFilters).sort({ carrier: 1, baseCost: 1 });
+  }
+
+  static async updateShippingRate(rateId, updateData) {
+    const rate = await ShippingRate.findById(rateId);
+
+    if (!rate) {
+      throw new AppError('Tarifa de envío no encontrada', 404, 'SHIPPING_RATE_NOT_FOUND');
+    }
+
+    Object.assign(rate, updateData);
+    this.validateWeightRange(rate);
+    await rate.save();
+
+    return rate;
+  }
+
+  static async deleteShippingRate(rateId) {
+    const rate = await ShippingRate.findByIdAndDelete(rateId);
+
+    if (!rate) {
+      throw new AppError('Tarifa de envío no encontrada', 404, 'SHIPPING_RATE_NOT_FOUND');
+    }
+
+    return { message: 'Tarifa de envío eliminada exitosamente', rateId };
+  }
+
+  // ===== COTIZAR ENVÍO =====
+  // lines: [{ quantity, unitPrice, weight, dimensions }]
+  // Devuelve la opción más barata por paquetería, ordenadas por costo
+  static async quoteShipping(address, lines, subtotal, session = null) {
+    const rates = await ShippingRate.find({ isActive: true }).session(session);
+    const parcel = this.measureParcel(lines);
+    const bestByCarrier = new Map();
+
+    for (const rate of rates) {
+      const specificity = this.zoneSpecificity(rate.zone, address);
+      if (specificity < 0) continue;
+
+      const billableWeightKg = this.round(Math.max(
+        parcel.weightKg,
+        parcel.volumeCm3 / (rate.volumetricDivisor || VOLUMETRIC_DIVISOR)
+      ));
+
+      if (billableWeightKg < rate.minWeightKg) continue;
+      if (rate.maxWeightKg !== undefined && rate.maxWeightKg !== null && billableWeightKg > rate.maxWeightKg) continue;
+
+      const isFree = rate.freeShippingThreshold !== undefined &&
+        rate.freeShippingThreshold !== null &&
+        subtotal >= rate.freeShippingThreshold;
+
+      const extraWeight = Math.max(0, billableWeightKg - rate.includedWeightKg);
+      const cost = isFree ? 0 : this.round(rate.baseCost + Math.ceil(extraWeight) * rate.costPerKg);
+
+      const option = {
+        rateId: rate._id,
+        carrier: rate.carrier,
+        name: rate.name,
+        cost,
+        billableWeightKg,
+        estimatedDaysMin: rate.estimatedDaysMin,
+        estimatedDaysMax: rate.estimatedDaysMax,
+        specificity
+      };
+
+      // Por paquetería: la zona más específica y, a igual zona, la más barata
+      const current = bestByCarrier.get(rate.carrier);
+      if (
+        !current ||
+        option.specificity > current.specificity ||
+        (option.specificity === current.specificity && option.cost < current.cost)
+      ) {
+        bestByCarrier.set(rate.carrier, option);
+      }
+    }
+
+    const options = [...bestByCarrier.values()]
+      .map(({ specificity, ...option }) => option)
+      .sort((a, b) => a.cost - b.cost);
+
+    // Sin tarifas para la zona: tarifa estándar por defecto
+    if (options.length === 0) {
+      options.push({
+        rateId: null,
+        carrier: null,
+        name: 'Envío estándar',
+        cost: subtotal >= FREE_SHIPPING_THRESHOLD ? 0 : DEFAULT_SHIPPING_COST,
+        billableWeightKg: this.round(parcel.weightKg)
+      });
+    }
+
+    return options;
+  }
+
+  // Elegir la opción pedida por el cliente o la más barata
+  static selectShippingOption(options, rateId = null) {
+    if (!rateId) return options[0];
+
+    const option = options.find(o => o.rateId && o.rateId.toString() === rateId.toString());
+    if (!option) {
+      throw new AppError('La opción de envío no está disponible para esta dirección', 400, 'SHIPPING_OPTION_NOT_AVAILABLE');
+    }
+
+    return option;
+  }
+
+  // ===== CALCULAR IMPUESTOS =====
+  // lines: [{ categories, quantity, unitPrice }], lineDiscounts alineado con lines
+  static async calculateTax(address, lines, lineDiscounts, shipping = {}, session = null) {
+    const { amount: shippingAmount = 0, discount: shippingDiscount = 0 } = shipping;
+    const rule = await this.resolveTaxRule(address, session);
+
+    const rate = rule ? rule.rate : DEFAULT_TAX_RATE;
+    const exempt = rule ? rule.exemptCategoryIds.map(id => id.toString()) : [];
+
+    let taxableAmount = lines.reduce((sum, line, index) => {
+      const isExempt = (line.categories || []).some(categoryId => exempt.includes(categoryId.toString()));
+      return isExempt ? sum : sum + line.unitPrice * line.quantity - (lineDiscounts[index] || 0);
+    }, 0);
+
+    if (rule && rule.appliesToShipping) {
+      taxableAmount += Math.max(0, shippingAmount - shippingDiscount);
+    }
+
+    taxableAmount = this.round(Math.max(0, taxableAmount));
+
+    return {
+      ruleId: rule ? rule._id : null,
+      name: rule ? rule.name : 'IVA',
+      rate,
+      taxableAmount,
+      taxAmount: this.round(taxableAmount * rate)
+    };
+  }
+
+  // ===== UTILITY METHODS =====
+
+  // Regla activa más específica para la dirección (estado > país)
+  static async resolveTaxRule(address, session = null) {
+    if (!address || !address.country) return null;
+
+    const rules = await TaxRule.find({ isActive: true }).session(session);
+    const country = this.normalizeRegion(address.country);
+    const state = this.normalizeRegion(address.state);
+
+    const countryRules = rules.filter(rule => this.normalizeRegion(rule.country) === country);
+
+    return countryRules.find(rule => rule.state && this.normalizeRegion(rule.state) === state) ||
+      countryRules.find(rule => !rule.state) ||
+      null;
+  }
+
+  // -1 = no aplica, 0 = todo el país, 1 = estado específico
+  static zoneSpecificity(zone, address) {
+    if (!address || this.normalizeRegion(zone.country) !== this.normalizeRegion(address.country)) {
+      return -1;
+    }
+
+    if (!zone.states || zone.states.length === 0) return 0;
+
+    const state = this.normalizeRegion(address.state);
+    return zone.states.some(zoneState => this.normalizeRegion(zoneState) === state) ? 1 : -1;
+  }
+
+  // Peso real total (kg) y volumen total (cm³) del paquete
+  static measureParcel(lines) {
+    return lines.reduce((parcel, line) => {
+      parcel.weightKg += (line.weight || 0) * line.quantity;
+
+      if (line.dimensions) {
+        const { length, width, height, unit } = line.dimensions;
+        const factor = unit === 'inches' ? Math.pow(INCHES_TO_CM, 3) : 1;
+        parcel.volumeCm3 += length * width * height * factor * line.quantity;
+      }
+
+      return parcel;
+    }, { weightKg: 0, volumeCm3: 0 });
+  }
+
+  static validateWeightRange(rate) {
+    if (
+      rate.maxWeightKg !== undefined && rate.maxWeightKg !== null &&
+      rate.maxWeightKg < (rate.minWeightKg || 0)
+    ) {
+      throw new AppError('El peso máximo debe ser mayor al mínimo', 400, 'INVALID_WEIGHT_RANGE');
+    }
+  }
+
+  // Comparación sin acentos ni mayúsculas ("México" === "mexico")
+  static normalizeRegion(value) {
+    return (value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+  }
+
+  static escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  static round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+}
+
+module.exports = PricingService;
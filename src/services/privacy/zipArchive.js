@@ -0,0 +1,113 @@
+const zlib = require('zlib');
+
+// ===== ARCHIVO ZIP EN MEMORIA =====
+// Escritor mínimo de ZIP (deflate, nombres UTF-8, sin ZIP64) suficiente para
+// las exportaciones de datos personales; cada archivo debe pesar menos de 4 GB
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+
+  return table;
+})();
+
+const crc32 = (buffer) => {
+  let crc = 0xFFFFFFFF;
+
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+// Fecha y hora en formato MS-DOS (resolución de 2 segundos)
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+const UTF8_FLAG = 0x0800;
+const DEFLATE = 8;
+const VERSION = 20;
+
+class ZipArchive {
+  constructor() {
+    this.entries = [];
+  }
+
+  // Agregar un archivo; `content` puede ser un string o un Buffer
+  addFile(name, content, modifiedAt = new Date()) {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf8');
+
+    this.entries.push({
+      name: Buffer.from(name, 'utf8'),
+      crc: crc32(data),
+      size: data.length,
+      compressed: zlib.deflateRawSync(data),
+      ...toDosDateTime(modifiedAt)
+    });
+
+    return this;
+  }
+
+  // Construir el archivo completo: encabezados locales, directorio central y fin
+  toBuffer() {
+    const parts = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    for (const entry of this.entries) {
+      const local = Buffer.alloc(30);
+      local.writeUInt32LE(0x04034B50, 0);
+      local.writeUInt16LE(VERSION, 4);
+      local.writeUInt16LE(UTF8_FLAG, 6);
+      local.writeUInt16LE(DEFLATE, 8);
+      local.writeUInt16LE(entry.time, 10);
+      local.writeUInt16LE(entry.date, 12);
+      local.writeUInt32LE(entry.crc, 14);
+      local.writeUInt32LE(entry.compressed.length, 18);
+      local.writeUInt32LE(entry.size, 22);
+      local.writeUInt16LE(entry.name.length, 26);
+      local.writeUInt16LE(0, 28);
+
+      const central = Buffer.alloc(46);
+      central.writeUInt32LE(0x02014B50, 0);
+      central.writeUInt16LE(VERSION, 4);
+      central.writeUInt16LE(VERSION, 6);
+      central.writeUInt16LE(UTF8_FLAG, 8);
+      central.writeUInt16LE(DEFLATE, 10);
+      central.writeUInt16LE(entry.time, 12);
+      central.writeUInt16LE(entry.date, 14);
+      central.writeUInt32LE(entry.crc, 16);
+      central.writeUInt32LE(entry.compressed.length, 20);
+      central.writeUInt32LE(entry.size, 24);
+      central.writeUInt16LE(entry.name.length, 28);
+      central.writeUInt32LE(offset, 42);
+
+      parts.push(local, entry.name, entry.compressed);
+      centralDirectory.push(central, entry.name);
+      offset += local.length + entry.name.length + entry.compressed.length;
+    }
+
+    const centralBuffer = Buffer.concat(centralDirectory);
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054B50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(centralBuffer.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...parts, centralBuffer, end]);
+  }
+}
+
+module.exports = ZipArchive;
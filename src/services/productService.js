@@ -1,12 +1,22 @@
 const Product = require('../models/Product');
+const ProductVariant = require('../models/ProductVariant');
 const Category = require('../models/Category');
+const ProductVariantService = require('./productVariantService');
+const MediaService = require('./mediaService');
+const RoleService = require('./roleService');
+const PopularityService = require('./popularityService');
 const { AppError } = require('../middlewares/errorHandler');
 const { calculatePagination } = require('../middlewares/responseFormatter');
 const { Order, Cart } = require('../models');
+const {
+  MEDIA_USAGES,
+  PERMISSIONS,
+  POPULARITY_DEFAULT_WINDOW
+} = require('../config/constants');
 
 class ProductService {
   // ===== OBTENER TODOS LOS PRODUCTOS =====
-  static async getAllProducts(filters, paginationData, userRole = null) {
+  static async getAllProducts(filters, paginationData, permissions = null) {
     const { 
       page, 
       limit, 
@@ -17,6 +27,7 @@ class ProductService {
       inStock,
       featured,
       search,
+      minRating,
       isActive 
     } = { ...filters, ...paginationData };
 
@@ -26,7 +37,7 @@ class ProductService {
     // Solo mostrar productos activos por defecto (admin puede ver todos)
     if (isActive !== undefined) {
       searchFilters.isActive = isActive === 'true';
-    } else if (userRole !== 'admin') {
+    } else if (!RoleService.includesPermission(permissions, PERMISSIONS.CATALOG_MANAGE)) {
       searchFilters.isActive = true;
     }
 
@@ -35,23 +46,51 @@ class ProductService {
       searchFilters.categories = category;
     }
 
-    // Filtrar por precio
-    if (minPrice || maxPrice) {
-      searchFilters.price = {};
-      if (minPrice) searchFilters.price.$gte = parseFloat(minPrice);
-      if (maxPrice) searchFilters.price.$lte = parseFloat(maxPrice);
-    }
-
-    // Filtrar por stock
-    if (inStock === 'true') {
-      searchFilters.stockQty = { $gt: 0 };
+    // Filtrar por precio y stock disponible (descontando lo reservado). Los
+    // productos con variantes se evalúan por variante: basta con que una
+    // variante activa cumpla todas las condiciones a la vez
+    const hasPriceFilter = minPrice !== undefined || maxPrice !== undefined;
+    const onlyInStock = inStock === true || inStock === 'true';
+
+    if (hasPriceFilter || onlyInStock) {
+      const simpleProductFilters = { hasVariants: { $ne: true } };
+
+      if (hasPriceFilter) {
+        simpleProductFilters.price = {};
+        if (minPrice !== undefined) simpleProductFilters.price.$gte = parseFloat(minPrice);
+        if (maxPrice !== undefined) simpleProductFilters.price.$lte = parseFloat(maxPrice);
+      }
+
+      if (onlyInStock) {
+        simpleProductFilters.$expr = {
+          $gt: [{ $subtract: ['$stockQty', { $ifNull: ['$reservedQty', 0] }] }, 0]
+        };
+      }
+
+      const variantProductIds = await ProductVariantService.findProductIdsByVariantFilters({
+        minPrice,
+        maxPrice,
+        inStock: onlyInStock
+      });
+
+      searchFilters.$and = [{
+        $or: [
+          simpleProductFilters,
+          { hasVariants: true, _id: { $in: variantProductIds } }
+        ]
+      }];
     }
 
     // Filtrar por destacados
-    if (featured === 'true') {
+    if (featured === true || featured === 'true') {
       searchFilters.isFeatured = true;
     }
 
+    // Filtrar por calificación promedio mínima
+    if (minRating !== undefined) {
+      searchFilters.averageRating = { $gte: parseFloat(minRating) };
+    }
+
     // Búsqueda por texto
     if (search) {
       searchFilters.$or = [
@@ -67,18 +106,22 @@ class ProductService {
     // Obtener productos
     const products = await Product.find(searchFilters)
       .populate('categories', 'name slug')
-      .sort(sort)
+      .sort(this.buildSort(sort))
       .skip(pagination.offset)
       .limit(pagination.limit);
 
+    const variantSummaries = await ProductVariantService.summarizeVariants(products);
+
     return {
-      products: products.map(product => this.formatProductData(product)),
+      products: products.map(product =>
+        this.formatProductData(product, false, variantSummaries.get(product._id.toString()))
+      ),
       pagination
     };
   }
 
   // ===== OBTENER PRODUCTO POR ID =====
-  static async getProductById(productId, userRole = null) {
+  static async getProductById(productId, permissions = null) {
     const product = await Product.findById(productId)
       .populate('categories', 'name slug');
 
@@ -87,11 +130,20 @@ class ProductService {
     }
 
     // Solo mostrar productos activos a usuarios normales
-    if (!product.isActive && userRole !== 'admin') {
+    if (!product.isActive && !RoleService.includesPermission(permissions, PERMISSIONS.CATALOG_MANAGE)) {
       throw new AppError('Producto no encontrado', 404, 'PRODUCT_NOT_FOUND');
     }
 
-    return this.formatProductData(product, true);
+    const formatted = this.formatProductData(product, true);
+
+    if (product.hasVariants) {
+      const { variants } = await ProductVariantService.getProductVariants(productId, permissions);
+      const summaries = await ProductVariantService.summarizeVariants([product]);
+      Object.assign(formatted, this.buildVariantSummary(summaries.get(product._id.toString())));
+      formatted.variants = variants;
+    }
+
+    return formatted;
   }
 
   // ===== CREAR PRODUCTO (ADMIN) =====
@@ -105,6 +157,7 @@ class ProductService {
       dimensions, 
       stockQty, 
       categories, 
+      options,
       isFeatured 
     } = productData;
 
@@ -126,6 +179,7 @@ class ProductService {
       dimensions,
       stockQty: stockQty || 0,
       categories: categories || [],
+      options: options || [],
       isFeatured: isFeatured || false
     });
 
@@ -153,6 +207,11 @@ class ProductService {
       await this.validateCategories(updateData.categories);
     }
 
+    // Cambiar los ejes de opción no puede dejar variantes inválidas
+    if (updateData.options && product.hasVariants) {
+      await ProductVariantService.assertVariantsMatchOptions(product, updateData.options);
+    }
+
     // Actualizar producto
     const updatedProduct = await Product.findByIdAndUpdate(
       productId,
@@ -198,6 +257,8 @@ class ProductService {
     }
 
     await Product.findByIdAndDelete(productId);
+    await ProductVariant.deleteMany({ productId });
+    await MediaService.deleteOwnerMedia(MEDIA_USAGES.PRODUCT_IMAGE, productId);
 
     return { 
       message: 'Producto eliminado exitosamente',
@@ -350,63 +411,41 @@ class ProductService {
     };
   }
 
-  // Verificar stock disponible
-  static async checkStock(productId, requiredQuantity = 1) {
-    const product = await Product.findById(productId);
-    if (!product || !product.isActive) {
-      throw new AppError('Producto no encontrado o no disponible', 404, 'PRODUCT_NOT_AVAILABLE');
+  // Verificar stock disponible (de la variante si se indica)
+  static async checkStock(productId, requiredQuantity = 1, variantId = null) {
+    if (variantId) {
+      const { variant } = await ProductVariantService.resolveSellable(productId, variantId);
+
+      return {
+        productId,
+        variantId: variant._id,
+        sku: variant.sku,
+        currentStock: variant.stockQty,
+        reservedStock: variant.reservedQty || 0,
+        availableStock: variant.available,
+        requiredQuantity,
+        available: variant.available >= requiredQuantity,
+        inStock: variant.inStock
+      };
     }
 
-    return {
-      productId: product._id,
-      currentStock: product.stockQty,
-      requiredQuantity,
-      available: product.stockQty >= requiredQuantity,
-      inStock: product.inStock
-    };
-  }
-
-  // Reservar stock (para órdenes)
-  static async reserveStock(productId, quantity) {
     const product = await Product.findById(productId);
     if (!product || !product.isActive) {
       throw new AppError('Producto no encontrado o no disponible', 404, 'PRODUCT_NOT_AVAILABLE');
     }
 
-    if (product.stockQty < quantity) {
-      throw new AppError(`Stock insuficiente. Disponible: ${product.stockQty}`, 400, 'INSUFFICIENT_STOCK');
+    if (product.hasVariants) {
+      throw new AppError('Indica la variante para consultar su stock', 400, 'VARIANT_REQUIRED');
     }
 
-    // Actualizar stock
-    const updatedProduct = await Product.findByIdAndUpdate(
-      productId,
-      { $inc: { stockQty: -quantity } },
-      { new: true }
-    );
-
     return {
       productId: product._id,
-      reservedQuantity: quantity,
-      remainingStock: updatedProduct.stockQty
-    };
-  }
-
-  // Liberar stock reservado (si se cancela orden)
-  static async releaseStock(productId, quantity) {
-    const updatedProduct = await Product.findByIdAndUpdate(
-      productId,
-      { $inc: { stockQty: quantity } },
-      { new: true }
-    );
-
-    if (!updatedProduct) {
-      throw new AppError('Producto no encontrado', 404, 'PRODUCT_NOT_FOUND');
-    }
-
-    return {
-      productId: productId,
-      releasedQuantity: quantity,
-      newStock: updatedProduct.stockQty
+      currentStock: product.stockQty,
+      reservedStock: product.reserved,
+      availableStock: product.available,
+      requiredQuantity,
+      available: product.available >= requiredQuantity,
+      inStock: product.inStock
     };
   }
 
@@ -422,26 +461,53 @@ class ProductService {
       productName: product.name,
       sku: product.sku,
       currentStock: product.stockQty,
+      reservedStock: product.reserved,
+      availableStock: product.available,
       inStock: product.inStock,
-      stockStatus: product.stockQty === 0 ? 'out_of_stock' : 
-                   product.stockQty <= 10 ? 'low_stock' : 'in_stock',
+      stockStatus: product.available === 0 ? 'out_of_stock' : 
+                   product.available <= 10 ? 'low_stock' : 'in_stock',
       isActive: product.isActive
     };
   }
 
   // ===== OBTENER PRODUCTOS POPULARES =====
-  static async getPopularProducts(limit = 10) {
-    // Por ahora, productos más recientes activos
-    // TODO: Implementar lógica real de popularidad basada en ventas/views
-    const products = await Product.find({
+  // Ordenados por el puntaje de la ventana (ver PopularityService); a igual
+  // puntaje, los más recientes primero. Solo productos con stock disponible
+  // descontando lo reservado, o con alguna variante activa que lo tenga
+  static async getPopularProducts(limit = 10, options = {}) {
+    const { window = POPULARITY_DEFAULT_WINDOW, categoryId } = options;
+
+    const variantProductIds = await ProductVariantService.findProductIdsByVariantFilters({ inStock: true });
+
+    const filters = {
       isActive: true,
-      stockQty: { $gt: 0 }
-    })
+      $or: [
+        {
+          hasVariants: { $ne: true },
+          $expr: { $gt: [{ $subtract: ['$stockQty', { $ifNull: ['$reservedQty', 0] }] }, 0] }
+        },
+        { hasVariants: true, _id: { $in: variantProductIds } }
+      ]
+    };
+
+    if (categoryId) {
+      filters.categories = categoryId;
+    }
+
+    const products = await Product.find(filters)
       .populate('categories', 'name slug')
-      .sort({ createdAt: -1 })
+      .sort({ [`popularity.${window}`]: -1, createdAt: -1 })
       .limit(parseInt(limit));
 
-    return products.map(product => this.formatProductData(product));
+    return products.map(product => ({
+      ...this.formatProductData(product),
+      popularityScore: product.popularity ? product.popularity[window] : 0
+    }));
+  }
+
+  // ===== REGISTRAR VISTA DE PRODUCTO =====
+  static async recordProductView(productId, viewer) {
+    return PopularityService.recordView(productId, viewer);
   }
 
   // ===== OBTENER ESTADÍSTICAS DEL PRODUCTO (ADMIN) =====
@@ -468,12 +534,19 @@ class ProductService {
       },
       categories: product.categories.length,
       isFeatured: product.isFeatured,
-      isActive: product.isActive
+      isActive: product.isActive,
+      reviews: {
+        count: product.reviewCount,
+        averageRating: product.averageRating,
+        distribution: this.formatRatingHistogram(product.ratingHistogram)
+      },
+      popularity: {
+        day: product.popularity ? product.popularity.day : 0,
+        week: product.popularity ? product.popularity.week : 0,
+        month: product.popularity ? product.popularity.month : 0
+      }
       // TODO: Cuando tengamos otros modelos, agregar:
-      // views: await ProductView.countDocuments({ productId }),
-      // orders: await Order.countDocuments({ 'items.productId': productId }),
-      // reviews: await Review.countDocuments({ productId }),
-      // averageRating: await Review.aggregate([...])
+      // orders: await Order.countDocuments({ 'items.productId': productId })
     };
 
     return stats;
@@ -489,7 +562,8 @@ class ProductService {
     }
 
     const existingProduct = await Product.findOne(query);
-    if (existingProduct) {
+    const existingVariant = await ProductVariant.exists({ sku: sku.toUpperCase() });
+    if (existingProduct || existingVariant) {
       throw new AppError('Ya existe un producto con este SKU', 400, 'SKU_ALREADY_EXISTS');
     }
   }
@@ -507,7 +581,7 @@ class ProductService {
   }
 
   // Formatear datos del producto para respuesta
-  static formatProductData(product, includeDetails = false) {
+  static formatProductData(product, includeDetails = false, variantSummary = null) {
     const formatted = {
       id: product._id,
       name: product.name,
@@ -515,22 +589,67 @@ class ProductService {
       description: product.description,
       price: product.price,
       stockQty: product.stockQty,
+      availableQty: product.available,
       inStock: product.inStock,
       isFeatured: product.isFeatured,
       isActive: product.isActive,
       categories: product.categories,
+      hasVariants: product.hasVariants || false,
+      averageRating: product.averageRating || 0,
+      reviewCount: product.reviewCount || 0,
+      primaryImage: product.primaryImage
+        ? { ...MediaService.formatMediaReference(product.primaryImage), alt: product.primaryImage.alt }
+        : null,
       createdAt: product.createdAt,
       updatedAt: product.updatedAt
     };
 
+    if (variantSummary) {
+      Object.assign(formatted, this.buildVariantSummary(variantSummary));
+    }
+
     if (includeDetails) {
       formatted.weight = product.weight;
       formatted.dimensions = product.dimensions;
+      formatted.options = product.options;
+      formatted.images = MediaService.formatProductImages(product);
+      formatted.ratingDistribution = this.formatRatingHistogram(product.ratingHistogram);
     }
 
     return formatted;
   }
 
+  // Histograma como { 1: n, ..., 5: n }, igual que /api/reviews/product/:id/stats
+  static formatRatingHistogram(histogram = []) {
+    const distribution = {};
+    for (let stars = 1; stars <= 5; stars++) {
+      distribution[stars] = histogram[stars - 1] || 0;
+    }
+    return distribution;
+  }
+
+  // En productos con variantes el stock y el precio se reportan agregados
+  static buildVariantSummary(summary) {
+    if (!summary) return {};
+
+    return {
+      variantCount: summary.variantCount,
+      priceRange: summary.priceRange,
+      availableQty: summary.availableQty,
+      inStock: summary.availableQty > 0
+    };
+  }
+
+  // sort=rating ordena por el promedio bayesiano (ver RATING_BAYESIAN_PRIOR) y
+  // no por el promedio simple, para no premiar productos con una sola reseña
+  static buildSort(sort) {
+    if (sort === 'rating') {
+      return { ratingScore: -1, reviewCount: -1, createdAt: -1 };
+    }
+
+    return sort;
+  }
+
   // Verificar si un producto existe y está activo
   static async productExists(productId) {
     const product = await Product.findById(productId).select('_id isActive');
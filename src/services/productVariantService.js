@@ -0,0 +1,410 @@
+const Product = require('../models/Product');
+const ProductVariant = require('../models/ProductVariant');
+const Order = require('../models/Order');
+const Cart = require('../models/Cart');
+const Reservation = require('../models/Reservation');
+const RoleService = require('./roleService');
+const { AppError } = require('../middlewares/errorHandler');
+const { ORDER_STATUS, RESERVATION_STATUS, PERMISSIONS } = require('../config/constants');
+
+class ProductVariantService {
+  // ===== OBTENER VARIANTES DE UN PRODUCTO =====
+  static async getProductVariants(productId, permissions = null) {
+    const product = await this.findProduct(productId);
+
+    const filters = { productId };
+    if (!RoleService.includesPermission(permissions, PERMISSIONS.CATALOG_MANAGE)) {
+      if (!product.isActive) {
+        throw new AppError('Producto no encontrado', 404, 'PRODUCT_NOT_FOUND');
+      }
+      filters.isActive = true;
+    }
+
+    const variants = await ProductVariant.find(filters).sort({ createdAt: 1 });
+
+    return {
+      productId: product._id,
+      options: product.options,
+      variants: variants.map(variant => this.formatVariantData(variant, product))
+    };
+  }
+
+  // ===== OBTENER VARIANTE =====
+  static async getVariantById(productId, variantId) {
+    const product = await this.findProduct(productId);
+    const variant = await this.findVariant(productId, variantId);
+
+    return this.formatVariantData(variant, product);
+  }
+
+  // ===== CREAR VARIANTE (ADMIN) =====
+  static async createVariant(productId, variantData) {
+    const product = await this.findProduct(productId);
+
+    if (!product.options || product.options.length === 0) {
+      throw new AppError(
+        'Define las opciones del producto (p. ej. color, talla) antes de crear variantes',
+        400,
+        'PRODUCT_HAS_NO_OPTIONS'
+      );
+    }
+
+    const options = this.validateOptions(product, variantData.options);
+    await this.validateUniqueSKU(variantData.sku);
+    await this.validateUniqueCombination(productId, options);
+
+    const variant = await ProductVariant.create({
+      productId,
+      sku: variantData.sku.toUpperCase(),
+      options,
+      price: variantData.price,
+      weight: variantData.weight,
+      stockQty: variantData.stockQty || 0,
+      isActive: variantData.isActive !== undefined ? variantData.isActive : true
+    });
+
+    if (!product.hasVariants) {
+      product.hasVariants = true;
+      await product.save();
+    }
+
+    return this.formatVariantData(variant, product);
+  }
+
+  // ===== ACTUALIZAR VARIANTE (ADMIN) =====
+  static async updateVariant(productId, variantId, updateData) {
+    const product = await this.findProduct(productId);
+    const variant = await this.findVariant(productId, variantId);
+
+    if (updateData.sku && updateData.sku.toUpperCase() !== variant.sku) {
+      await this.validateUniqueSKU(updateData.sku, variantId);
+      variant.sku = updateData.sku.toUpperCase();
+    }
+
+    if (updateData.options) {
+      const options = this.validateOptions(product, updateData.options);
+      await this.validateUniqueCombination(productId, options, variantId);
+      variant.options = options;
+    }
+
+    // null elimina la sobrescritura y vuelve a usar el valor del producto
+    ['price', 'weight'].forEach(field => {
+      if (updateData[field] !== undefined) {
+        variant[field] = updateData[field] === null ? undefined : updateData[field];
+      }
+    });
+
+    if (updateData.stockQty !== undefined) variant.stockQty = updateData.stockQty;
+    if (updateData.isActive !== undefined) variant.isActive = updateData.isActive;
+
+    await variant.save();
+
+    return this.formatVariantData(variant, product);
+  }
+
+  // ===== ELIMINAR VARIANTE (ADMIN) =====
+  static async deleteVariant(productId, variantId) {
+    const product = await this.findProduct(productId);
+    const variant = await this.findVariant(productId, variantId);
+
+    const pendingOrders = await Order.countDocuments({
+      'items.variantId': variant._id,
+      status: { $in: [ORDER_STATUS.PENDING, ORDER_STATUS.CONFIRMED, ORDER_STATUS.PROCESSING] }
+    });
+
+    if (pendingOrders > 0) {
+      throw new AppError(
+        `No se puede eliminar la variante. Tiene ${pendingOrders} órdenes pendientes.`,
+        400,
+        'HAS_PENDING_ORDERS'
+      );
+    }
+
+    const activeReservations = await Reservation.exists({
+      variantId: variant._id,
+      status: RESERVATION_STATUS.ACTIVE
+    });
+
+    if (activeReservations) {
+      throw new AppError('No se puede eliminar la variante. Tiene stock reservado.', 400, 'HAS_ACTIVE_RESERVATIONS');
+    }
+
+    // Quitarla de los carritos para no dejar líneas huérfanas
+    await Cart.updateMany(
+      { 'items.variantId': variant._id },
+      { $pull: { items: { variantId: variant._id } } }
+    );
+
+    await variant.deleteOne();
+
+    const remaining = await ProductVariant.exists({ productId });
+    if (!remaining && product.hasVariants) {
+      product.hasVariants = false;
+      await product.save();
+    }
+
+    return {
+      message: 'Variante eliminada exitosamente',
+      productId,
+      variantId,
+      sku: variant.sku
+    };
+  }
+
+  // ===== RESOLVER LÍNEA VENDIBLE =====
+  // Valida producto y variante de una línea de carrito/orden. Un producto con
+  // variantes exige elegir una; uno sin variantes no acepta variantId.
+  static async resolveSellable(productId, variantId = null, session = null) {
+    const product = await Product.findById(productId).session(session);
+
+    if (!product || !product.isActive) {
+      throw new AppError('Producto no encontrado o no disponible', 404, 'PRODUCT_NOT_AVAILABLE');
+    }
+
+    if (!variantId) {
+      if (product.hasVariants) {
+        throw new AppError(
+          `Selecciona una variante de ${product.name}`,
+          400,
+          'VARIANT_REQUIRED'
+        );
+      }
+      return { product, variant: null };
+    }
+
+    const variant = await ProductVariant.findOne({ _id: variantId, productId }).session(session);
+
+    if (!variant || !variant.isActive) {
+      throw new AppError('Variante no encontrada o no disponible', 404, 'VARIANT_NOT_AVAILABLE');
+    }
+
+    return { product, variant };
+  }
+
+  // ===== FILTROS A NIVEL DE VARIANTE =====
+  // IDs de productos con al menos una variante activa que cumple a la vez el
+  // rango de precio efectivo y la disponibilidad pedida
+  static async findProductIdsByVariantFilters({ minPrice, maxPrice, inStock } = {}) {
+    const conditions = {};
+
+    if (minPrice !== undefined || maxPrice !== undefined) {
+      conditions.effectivePrice = {};
+      if (minPrice !== undefined) conditions.effectivePrice.$gte = parseFloat(minPrice);
+      if (maxPrice !== undefined) conditions.effectivePrice.$lte = parseFloat(maxPrice);
+    }
+
+    if (inStock) {
+      conditions.availableQty = { $gt: 0 };
+    }
+
+    return ProductVariant.aggregate([
+      { $match: { isActive: true } },
+      {
+        $lookup: {
+          from: Product.collection.name,
+          localField: 'productId',
+          foreignField: '_id',
+          as: 'product'
+        }
+      },
+      { $unwind: '$product' },
+      {
+        $addFields: {
+          effectivePrice: { $ifNull: ['$price', '$product.price'] },
+          availableQty: { $subtract: ['$stockQty', { $ifNull: ['$reservedQty', 0] }] }
+        }
+      },
+      { $match: conditions },
+      { $group: { _id: '$productId' } }
+    ]).then(results => results.map(result => result._id));
+  }
+
+  // ===== RESUMEN DE VARIANTES POR PRODUCTO =====
+  // Rango de precios y disponibilidad total de las variantes activas
+  static async summarizeVariants(products) {
+    const withVariants = products.filter(product => product.hasVariants);
+    const summaries = new Map();
+
+    if (withVariants.length === 0) return summaries;
+
+    const variants = await ProductVariant.find({
+      productId: { $in: withVariants.map(product => product._id) },
+      isActive: true
+    }).select('productId price stockQty reservedQty');
+
+    withVariants.forEach(product => {
+      const own = variants.filter(variant => variant.productId.toString() === product._id.toString());
+      const prices = own.map(variant => this.getUnitPrice(product, variant));
+
+      summaries.set(product._id.toString(), {
+        variantCount: own.length,
+        priceRange: prices.length > 0
+          ? { min: Math.min(...prices), max: Math.max(...prices) }
+          : null,
+        availableQty: own.reduce((total, variant) => total + variant.available, 0)
+      });
+    });
+
+    return summaries;
+  }
+
+  // ===== UTILITY METHODS =====
+
+  // Valores efectivos de una línea: la variante sobrescribe al producto
+  static getUnitPrice(product, variant = null) {
+    return variant && variant.price !== undefined && variant.price !== null ? variant.price : product.price;
+  }
+
+  static getUnitWeight(product, variant = null) {
+    return variant && variant.weight !== undefined && variant.weight !== null ? variant.weight : product.weight;
+  }
+
+  static getAvailableQty(product, variant = null) {
+    return variant ? variant.available : product.available;
+  }
+
+  // Documento que guarda el stock de una línea (variante o producto)
+  static getStockTarget(item) {
+    return item.variantId
+      ? { Model: ProductVariant, id: item.variantId._id || item.variantId }
+      : { Model: Product, id: item.productId._id || item.productId };
+  }
+
+  // Clave de línea producto + variante para agrupar cantidades
+  static getLineKey(item) {
+    const productId = (item.productId._id || item.productId).toString();
+    const variantId = item.variantId ? (item.variantId._id || item.variantId).toString() : '';
+    return `${productId}:${variantId}`;
+  }
+
+  // Verificar que las opciones cubran exactamente los ejes del producto con
+  // valores permitidos; devuelve las opciones normalizadas
+  static validateOptions(product, options = {}) {
+    const axes = new Map((product.options || []).map(option => [option.name, option.values]));
+    const normalized = {};
+
+    for (const [rawName, rawValue] of Object.entries(options)) {
+      const name = rawName.trim().toLowerCase();
+      const allowed = axes.get(name);
+
+      if (!allowed) {
+        throw new AppError(`La opción "${rawName}" no existe en el producto`, 400, 'INVALID_VARIANT_OPTIONS');
+      }
+
+      const value = allowed.find(candidate => candidate.toLowerCase() === String(rawValue).trim().toLowerCase());
+      if (!value) {
+        throw new AppError(
+          `Valor inválido para ${name}: ${rawValue}. Permitidos: ${allowed.join(', ')}`,
+          400,
+          'INVALID_VARIANT_OPTIONS'
+        );
+      }
+
+      normalized[name] = value;
+    }
+
+    const missing = [...axes.keys()].filter(name => !normalized[name]);
+    if (missing.length > 0) {
+      throw new AppError(`Faltan opciones de la variante: ${missing.join(', ')}`, 400, 'INVALID_VARIANT_OPTIONS');
+    }
+
+    return normalized;
+  }
+
+  // Comprobar que las variantes existentes sigan siendo válidas con nuevos ejes
+  static async assertVariantsMatchOptions(product, options) {
+    const variants = await ProductVariant.find({ productId: product._id }).select('sku options');
+    const candidate = { options };
+
+    for (const variant of variants) {
+      try {
+        this.validateOptions(candidate, Object.fromEntries(variant.options));
+      } catch (error) {
+        throw new AppError(
+          `Las nuevas opciones invalidan la variante ${variant.sku}: ${error.message}`,
+          400,
+          'OPTIONS_IN_USE'
+        );
+      }
+    }
+  }
+
+  // El SKU de una variante no puede coincidir con otra variante ni con un producto
+  static async validateUniqueSKU(sku, excludeVariantId = null) {
+    const normalized = sku.toUpperCase();
+    const query = { sku: normalized };
+    if (excludeVariantId) {
+      query._id = { $ne: excludeVariantId };
+    }
+
+    const [variant, product] = await Promise.all([
+      ProductVariant.exists(query),
+      Product.exists({ sku: normalized })
+    ]);
+
+    if (variant || product) {
+      throw new AppError('Ya existe un producto o variante con este SKU', 400, 'SKU_ALREADY_EXISTS');
+    }
+  }
+
+  static async validateUniqueCombination(productId, options, excludeVariantId = null) {
+    const query = { productId, optionsKey: ProductVariant.buildOptionsKey(options) };
+    if (excludeVariantId) {
+      query._id = { $ne: excludeVariantId };
+    }
+
+    if (await ProductVariant.exists(query)) {
+      throw new AppError('Ya existe una variante con esa combinación de opciones', 400, 'VARIANT_ALREADY_EXISTS');
+    }
+  }
+
+  // Buscar producto o lanzar 404
+  static async findProduct(productId) {
+    const product = await Product.findById(productId);
+
+    if (!product) {
+      throw new AppError('Producto no encontrado', 404, 'PRODUCT_NOT_FOUND');
+    }
+
+    return product;
+  }
+
+  // Buscar variante del producto o lanzar 404
+  static async findVariant(productId, variantId) {
+    const variant = await ProductVariant.findOne({ _id: variantId, productId });
+
+    if (!variant) {
+      throw new AppError('Variante no encontrada', 404, 'VARIANT_NOT_FOUND');
+    }
+
+    return variant;
+  }
+
+  // Formatear datos de variante para respuesta
+  static formatVariantData(variant, product = null) {
+    const formatted = {
+      id: variant._id,
+      productId: variant.productId,
+      sku: variant.sku,
+      options: variant.options ? Object.fromEntries(variant.options) : {},
+      label: variant.label,
+      price: variant.price,
+      weight: variant.weight,
+      stockQty: variant.stockQty,
+      availableQty: variant.available,
+      inStock: variant.inStock,
+      isActive: variant.isActive,
+      createdAt: variant.createdAt,
+      updatedAt: variant.updatedAt
+    };
+
+    if (product) {
+      formatted.effectivePrice = this.getUnitPrice(product, variant);
+      formatted.effectiveWeight = this.getUnitWeight(product, variant);
+    }
+
+    return formatted;
+  }
+}
+
+module.exports = ProductVariantService;
@@ -0,0 +1,518 @@
+const Promotion = require('../models/Promotion');
+const PromotionRedemption = require('../models/PromotionRedemption');
+const { AppError } = require('../middlewares/errorHandler');
+const { calculatePagination } = require('../middlewares/responseFormatter');
+const { PROMOTION_TYPES, PROMOTION_SCOPES } = require('../config/constants');
+
+class PromotionService {
+  // ===== CREAR PROMOCIÓN (ADMIN) =====
+  static async createPromotion(promotionData, createdBy) {
+    this.validateRules(promotionData);
+
+    const existing = await Promotion.findOne({ code: promotionData.code.toUpperCase() });
+    if (existing) {
+      throw new AppError('Ya existe una promoción con ese código', 400, 'PROMOTION_CODE_EXISTS');
+    }
+
+    const promotion = await Promotion.create({ ...promotionData, createdBy });
+
+    return this.formatPromotionData(promotion, true);
+  }
+
+  // ===== OBTENER PROMOCIONES (ADMIN) =====
+  static async getAllPromotions(filters, paginationData) {
+    const { page, limit, sort = '-createdAt' } = paginationData;
+    const { isActive, type, search } = filters;
+
+    const searchFilters = {};
+    if (isActive !== undefined) searchFilters.isActive = isActive;
+    if (type) searchFilters.type = type;
+    if (search) {
+      searchFilters.$or = [
+        { code: { $regex: search, $options: 'i' } },
+        { name: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const pagination = calculatePagination(page, limit, await Promotion.countDocuments(searchFilters));
+
+    const promotions = await Promotion.find(searchFilters)
+      .sort(sort)
+      .skip(pagination.offset)
+      .limit(pagination.limit);
+
+    return {
+      promotions: promotions.map(promotion => this.formatPromotionData(promotion)),
+      pagination
+    };
+  }
+
+  // ===== OBTENER PROMOCIÓN POR ID (ADMIN) =====
+  static async getPromotionById(promotionId) {
+    const promotion = await this.findPromotion(promotionId);
+    return this.formatPromotionData(promotion, true);
+  }
+
+  // ===== ACTUALIZAR PROMOCIÓN (ADMIN) =====
+  static async updatePromotion(promotionId, updateData) {
+    const promotion = await this.findPromotion(promotionId);
+
+    if (updateData.code && updateData.code.toUpperCase() !== promotion.code) {
+      const existing = await Promotion.findOne({ code: updateData.code.toUpperCase() });
+      if (existing) {
+        throw new AppError('Ya existe una promoción con ese código', 400, 'PROMOTION_CODE_EXISTS');
+      }
+    }
+
+    Object.assign(promotion, updateData);
+    this.validateRules(promotion);
+    await promotion.save();
+
+    return this.formatPromotionData(promotion, true);
+  }
+
+  // ===== ELIMINAR PROMOCIÓN (ADMIN) =====
+  // Las promociones ya usadas se desactivan para conservar el historial
+  static async deletePromotion(promotionId) {
+    const promotion = await this.findPromotion(promotionId);
+
+    if (promotion.usageCount > 0) {
+      promotion.isActive = false;
+      await promotion.save();
+
+      return {
+        message: 'Promoción desactivada (tiene usos registrados)',
+        promotionId,
+        deactivated: true
+      };
+    }
+
+    await Promotion.findByIdAndDelete(promotionId);
+
+    return {
+      message: 'Promoción eliminada exitosamente',
+      promotionId,
+      deactivated: false
+    };
+  }
+
+  // ===== VALIDAR CÓDIGO PARA UN CARRITO =====
+  // lines: [{ productId, categories, quantity, unitPrice }]
+  static async validateCode(code, userId, lines, appliedCodes = []) {
+    const promotion = await Promotion.findOne({ code: code.toUpperCase() });
+
+    if (!promotion) {
+      throw new AppError('Código de promoción no válido', 404, 'PROMOTION_NOT_FOUND');
+    }
+
+    await this.assertApplicable(promotion, userId, lines);
+
+    if (appliedCodes.length > 0) {
+      const applied = await Promotion.find({ code: { $in: appliedCodes } });
+
+      if (!promotion.stackable || applied.some(other => !other.stackable)) {
+        throw new AppError(
+          'Esta promoción no se puede combinar con las ya aplicadas',
+          400,
+          'PROMOTION_NOT_STACKABLE'
+        );
+      }
+    }
+
+    return promotion;
+  }
+
+  // ===== CALCULAR DESCUENTOS =====
+  // Revalida los códigos y calcula los descuentos. Con strict, un código que
+  // dejó de ser válido lanza error; sin strict se reporta en `rejected`
+  static async priceLines(userId, lines, codes, shippingAmount, options = {}) {
+    const { strict = false, session = null } = options;
+
+    const promotions = codes.length > 0
+      ? await Promotion.find({ code: { $in: codes } }).session(session)
+      : [];
+
+    const accepted = [];
+    const rejected = [];
+
+    for (const code of codes) {
+      const promotion = promotions.find(p => p.code === code);
+
+      try {
+        if (!promotion) {
+          throw new AppError(`El código ${code} ya no existe`, 400, 'PROMOTION_NOT_FOUND');
+        }
+        await this.assertApplicable(promotion, userId, lines, session);
+        accepted.push(promotion);
+      } catch (error) {
+        if (strict || !(error instanceof AppError)) throw error;
+        rejected.push({ code, reason: error.message, errorCode: error.errorCode });
+      }
+    }
+
+    // Si hay alguna no combinable, solo se aplica la de mayor prioridad
+    accepted.sort((a, b) => b.priority - a.priority);
+    const exclusive = accepted.find(promotion => !promotion.stackable);
+    const applicable = exclusive && accepted.length > 1 ? [exclusive] : accepted;
+
+    accepted
+      .filter(promotion => !applicable.includes(promotion))
+      .forEach(promotion => rejected.push({
+        code: promotion.code,
+        reason: 'No se puede combinar con otras promociones',
+        errorCode: 'PROMOTION_NOT_STACKABLE'
+      }));
+
+    if (strict && rejected.length > 0) {
+      throw new AppError(rejected[0].reason, 400, rejected[0].errorCode);
+    }
+
+    return {
+      ...this.calculateDiscounts(lines, applicable, shippingAmount),
+      promotions: applicable,
+      rejected
+    };
+  }
+
+  // Cálculo puro: aplica las promociones en orden sobre el monto restante de
+  // cada línea (nunca por debajo de cero) y reparte cada descuento por línea
+  static calculateDiscounts(lines, promotions, shippingAmount = 0) {
+    const remaining = lines.map(line => this.round(line.unitPrice * line.quantity));
+    const lineDiscounts = lines.map(() => 0);
+    const discounts = [];
+    let shippingDiscount = 0;
+
+    for (const promotion of promotions) {
+      const eligible = lines
+        .map((line, index) => index)
+        .filter(index => this.isLineEligible(promotion, lines[index]));
+
+      let allocation = lines.map(() => 0);
+      let promotionShipping = 0;
+
+      switch (promotion.type) {
+        case PROMOTION_TYPES.PERCENTAGE: {
+          const base = eligible.reduce((sum, index) => sum + remaining[index], 0);
+          let amount = this.round(base * promotion.value / 100);
+          if (promotion.maxDiscountAmount) amount = Math.min(amount, promotion.maxDiscountAmount);
+          allocation = this.allocate(amount, eligible, remaining);
+          break;
+        }
+
+        case PROMOTION_TYPES.FIXED_AMOUNT: {
+          const base = eligible.reduce((sum, index) => sum + remaining[index], 0);
+          allocation = this.allocate(Math.min(promotion.value, base), eligible, remaining);
+          break;
+        }
+
+        case PROMOTION_TYPES.BUY_X_GET_Y: {
+          // Expandir unidades elegibles y descontar las más baratas de cada grupo
+          const units = [];
+          eligible.forEach(index => {
+            for (let i = 0; i < lines[index].quantity; i++) {
+              units.push({ index, price: lines[index].unitPrice });
+            }
+          });
+          units.sort((a, b) => b.price - a.price);
+
+          const groupSize = promotion.buyQuantity + promotion.getQuantity;
+          const freeUnits = Math.floor(units.length / groupSize) * promotion.getQuantity;
+
+          units.slice(units.length - freeUnits).forEach(unit => {
+            const discount = this.round(unit.price * promotion.getDiscountPercent / 100);
+            allocation[unit.index] = this.round(
+              Math.min(remaining[unit.index], allocation[unit.index] + discount)
+            );
+          });
+          break;
+        }
+
+        case PROMOTION_TYPES.FREE_SHIPPING:
+          promotionShipping = this.round(Math.max(0, shippingAmount - shippingDiscount));
+          break;
+
+        default:
+          break;
+      }
+
+      allocation.forEach((amount, index) => {
+        remaining[index] = this.round(remaining[index] - amount);
+        lineDiscounts[index] = this.round(lineDiscounts[index] + amount);
+      });
+      shippingDiscount = this.round(shippingDiscount + promotionShipping);
+
+      const itemsAmount = this.round(allocation.reduce((sum, amount) => sum + amount, 0));
+
+      discounts.push({
+        promotionId: promotion._id,
+        code: promotion.code,
+        name: promotion.name,
+        type: promotion.type,
+        amount: this.round(itemsAmount + promotionShipping),
+        shippingAmount: promotionShipping,
+        allocations: allocation
+          .map((amount, index) => ({ productId: lines[index].productId, amount }))
+          .filter(entry => entry.amount > 0)
+      });
+    }
+
+    const itemsDiscount = this.round(lineDiscounts.reduce((sum, amount) => sum + amount, 0));
+
+    return {
+      discounts,
+      lineDiscounts,
+      itemsDiscount,
+      shippingDiscount,
+      discountAmount: this.round(itemsDiscount + shippingDiscount)
+    };
+  }
+
+  // ===== REGISTRAR USO AL CREAR ORDEN =====
+  static async redeemPromotions(order, discounts, session) {
+    for (const discount of discounts) {
+      // Incremento condicional: evita superar el límite global en compras simultáneas
+      const promotion = await Promotion.findOneAndUpdate(
+        {
+          _id: discount.promotionId,
+          $or: [
+            { usageLimit: { $exists: false } },
+            { usageLimit: null },
+            { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+          ]
+        },
+        { $inc: { usageCount: 1 } },
+        { new: true, session }
+      );
+
+      if (!promotion) {
+        throw new AppError(`La promoción ${discount.code} alcanzó su límite de usos`, 400, 'PROMOTION_USAGE_LIMIT');
+      }
+
+      const useNumber = promotion.usageLimitPerUser
+        ? await this.claimUserUse(promotion, order.userId, session)
+        : undefined;
+
+      try {
+        await PromotionRedemption.create([{
+          promotionId: discount.promotionId,
+          userId: order.userId,
+          orderId: order._id,
+          code: discount.code,
+          discountAmount: discount.amount,
+          useNumber
+        }], { session });
+      } catch (error) {
+        // Otra compra del mismo usuario tomó ese número de uso
+        if (error.code === 11000) {
+          throw new AppError(`Ya usaste la promoción ${discount.code} el máximo de veces permitido`, 400, 'PROMOTION_USER_LIMIT');
+        }
+        throw error;
+      }
+    }
+  }
+
+  // Primer número de uso libre del usuario dentro del límite. Las órdenes
+  // canceladas liberan el suyo, así que puede quedar un hueco antes del último
+  static async claimUserUse(promotion, userId, session) {
+    if (!userId) {
+      throw new AppError(`Inicia sesión para usar la promoción ${promotion.code}`, 400, 'PROMOTION_LOGIN_REQUIRED');
+    }
+
+    const redemptions = await PromotionRedemption.find({ promotionId: promotion._id, userId })
+      .select('useNumber')
+      .session(session);
+
+    const taken = new Set(redemptions.map(redemption => redemption.useNumber));
+    let useNumber = 1;
+    while (taken.has(useNumber)) useNumber++;
+
+    if (redemptions.length >= promotion.usageLimitPerUser || useNumber > promotion.usageLimitPerUser) {
+      throw new AppError(`Ya usaste la promoción ${promotion.code} el máximo de veces permitido`, 400, 'PROMOTION_USER_LIMIT');
+    }
+
+    return useNumber;
+  }
+
+  // ===== LIBERAR USOS DE UNA ORDEN CANCELADA =====
+  static async releaseRedemptions(order, session = null) {
+    const redemptions = await PromotionRedemption.find({ orderId: order._id }).session(session);
+
+    for (const redemption of redemptions) {
+      await Promotion.updateOne(
+        { _id: redemption.promotionId, usageCount: { $gt: 0 } },
+        { $inc: { usageCount: -1 } },
+        { session }
+      );
+    }
+
+    if (redemptions.length > 0) {
+      await PromotionRedemption.deleteMany({ orderId: order._id }, { session });
+    }
+  }
+
+  // ===== UTILITY METHODS =====
+
+  // Validar vigencia, límites, subtotal mínimo y productos elegibles
+  static async assertApplicable(promotion, userId, lines, session = null) {
+    const now = new Date();
+
+    if (!promotion.isActive) {
+      throw new AppError(`La promoción ${promotion.code} no está activa`, 400, 'PROMOTION_INACTIVE');
+    }
+
+    if (promotion.startsAt && promotion.startsAt > now) {
+      throw new AppError(`La promoción ${promotion.code} aún no está vigente`, 400, 'PROMOTION_NOT_STARTED');
+    }
+
+    if (promotion.endsAt && promotion.endsAt < now) {
+      throw new AppError(`La promoción ${promotion.code} ha expirado`, 400, 'PROMOTION_EXPIRED');
+    }
+
+    if (promotion.usageLimit && promotion.usageCount >= promotion.usageLimit) {
+      throw new AppError(`La promoción ${promotion.code} alcanzó su límite de usos`, 400, 'PROMOTION_USAGE_LIMIT');
+    }
+
+    // Sin cuenta no hay forma de contar los usos por usuario
+    if (promotion.usageLimitPerUser && !userId) {
+      throw new AppError(`Inicia sesión para usar la promoción ${promotion.code}`, 400, 'PROMOTION_LOGIN_REQUIRED');
+    }
+
+    // Verificación anticipada para el carrito; el límite se garantiza al
+    // registrar el uso (redeemPromotions)
+    if (promotion.usageLimitPerUser) {
+      const used = await PromotionRedemption.countDocuments({ promotionId: promotion._id, userId })
+        .session(session);
+
+      if (used >= promotion.usageLimitPerUser) {
+        throw new AppError(`Ya usaste la promoción ${promotion.code} el máximo de veces permitido`, 400, 'PROMOTION_USER_LIMIT');
+      }
+    }
+
+    const subtotal = lines.reduce((sum, line) => sum + line.unitPrice * line.quantity, 0);
+    if (subtotal < promotion.minSubtotal) {
+      throw new AppError(
+        `La promoción ${promotion.code} requiere un subtotal mínimo de $${promotion.minSubtotal}`,
+        400,
+        'PROMOTION_MIN_SUBTOTAL'
+      );
+    }
+
+    if (promotion.type !== PROMOTION_TYPES.FREE_SHIPPING && !lines.some(line => this.isLineEligible(promotion, line))) {
+      throw new AppError(`La promoción ${promotion.code} no aplica a los productos del carrito`, 400, 'PROMOTION_NOT_APPLICABLE');
+    }
+  }
+
+  static isLineEligible(promotion, line) {
+    switch (promotion.scope) {
+      case PROMOTION_SCOPES.PRODUCT:
+        return promotion.productIds.some(id => id.toString() === line.productId.toString());
+      case PROMOTION_SCOPES.CATEGORY:
+        return (line.categories || []).some(categoryId =>
+          promotion.categoryIds.some(id => id.toString() === categoryId.toString())
+        );
+      default:
+        return true;
+    }
+  }
+
+  // Validar coherencia de las reglas según el tipo
+  static validateRules(promotion) {
+    const { type, value, buyQuantity, getQuantity, scope, productIds = [], categoryIds = [] } = promotion;
+
+    if (type === PROMOTION_TYPES.PERCENTAGE && (!value || value > 100)) {
+      throw new AppError('El porcentaje debe estar entre 1 y 100', 400, 'INVALID_PROMOTION_RULES');
+    }
+
+    if (type === PROMOTION_TYPES.FIXED_AMOUNT && !value) {
+      throw new AppError('El monto del descuento es requerido', 400, 'INVALID_PROMOTION_RULES');
+    }
+
+    if (type === PROMOTION_TYPES.BUY_X_GET_Y && (!buyQuantity || !getQuantity)) {
+      throw new AppError('buyQuantity y getQuantity son requeridos', 400, 'INVALID_PROMOTION_RULES');
+    }
+
+    if (scope === PROMOTION_SCOPES.PRODUCT && productIds.length === 0) {
+      throw new AppError('Debes indicar al menos un producto', 400, 'INVALID_PROMOTION_RULES');
+    }
+
+    if (scope === PROMOTION_SCOPES.CATEGORY && categoryIds.length === 0) {
+      throw new AppError('Debes indicar al menos una categoría', 400, 'INVALID_PROMOTION_RULES');
+    }
+
+    if (promotion.startsAt && promotion.endsAt && promotion.startsAt >= promotion.endsAt) {
+      throw new AppError('La fecha de inicio debe ser anterior a la de fin', 400, 'INVALID_PROMOTION_RULES');
+    }
+  }
+
+  // Repartir un monto entre líneas proporcionalmente a su monto restante;
+  // la última línea absorbe el residuo de redondeo
+  static allocate(amount, indexes, remaining) {
+    const allocation = remaining.map(() => 0);
+    const base = indexes.reduce((sum, index) => sum + remaining[index], 0);
+    if (amount <= 0 || base <= 0) return allocation;
+
+    let allocated = 0;
+    indexes.forEach((index, position) => {
+      const share = position === indexes.length - 1
+        ? this.round(amount - allocated)
+        : this.round(amount * remaining[index] / base);
+      allocation[index] = Math.min(share, remaining[index]);
+      allocated = this.round(allocated + allocation[index]);
+    });
+
+    return allocation;
+  }
+
+  static round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  // Buscar promoción o lanzar 404
+  static async findPromotion(promotionId) {
+    const promotion = await Promotion.findById(promotionId);
+
+    if (!promotion) {
+      throw new AppError('Promoción no encontrada', 404, 'PROMOTION_NOT_FOUND');
+    }
+
+    return promotion;
+  }
+
+  // Formatear datos de promoción para respuesta
+  static formatPromotionData(promotion, includeDetails = false) {
+    const formatted = {
+      id: promotion._id,
+      code: promotion.code,
+      name: promotion.name,
+      type: promotion.type,
+      value: promotion.value,
+      scope: promotion.scope,
+      stackable: promotion.stackable,
+      isActive: promotion.isActive,
+      isCurrentlyValid: promotion.isCurrentlyValid,
+      startsAt: promotion.startsAt,
+      endsAt: promotion.endsAt,
+      usageCount: promotion.usageCount,
+      usageLimit: promotion.usageLimit,
+      createdAt: promotion.createdAt
+    };
+
+    if (includeDetails) {
+      formatted.description = promotion.description;
+      formatted.maxDiscountAmount = promotion.maxDiscountAmount;
+      formatted.buyQuantity = promotion.buyQuantity;
+      formatted.getQuantity = promotion.getQuantity;
+      formatted.getDiscountPercent = promotion.getDiscountPercent;
+      formatted.productIds = promotion.productIds;
+      formatted.categoryIds = promotion.categoryIds;
+      formatted.minSubtotal = promotion.minSubtotal;
+      formatted.usageLimitPerUser = promotion.usageLimitPerUser;
+      formatted.priority = promotion.priority;
+      formatted.updatedAt = promotion.updatedAt;
+    }
+
+    return formatted;
+  }
+}
+
+module.exports = PromotionService;
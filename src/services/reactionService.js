@@ -2,9 +2,11 @@ const Reaction = require('../models/Reaction');
 const Product = require('../models/Product');
 const Post = require('../models/Post');
 const Comment = require('../models/Comment');
+const DomainEventService = require('./domainEventService');
+const { withTransaction } = require('../config/database');
 const { AppError } = require('../middlewares/errorHandler');
 const { calculatePagination } = require('../middlewares/responseFormatter');
-const { REACTION_TYPES, TARGET_TYPES } = require('../config/constants');
+const { REACTION_TYPES, TARGET_TYPES, DOMAIN_EVENTS } = require('../config/constants');
 
 class ReactionService {
   // ===== AGREGAR O ACTUALIZAR REACCIÓN =====
@@ -24,56 +26,62 @@ class ReactionService {
     // Verificar que el elemento objetivo exista
     await this.verifyTargetExists(targetType, targetId);
 
-    // Buscar reacción existente del usuario en este elemento
-    const existingReaction = await Reaction.findOne({
-      userId,
-      targetType,
-      targetId
-    });
+    // Cada cambio se guarda junto con su evento ReactionChanged (notificación
+    // y tiempo real los atienden sus suscriptores)
+    const change = await withTransaction(async (session) => {
+      // Buscar reacción existente del usuario en este elemento
+      const existingReaction = await Reaction.findOne({
+        userId,
+        targetType,
+        targetId
+      }).session(session);
 
-    if (existingReaction) {
-      if (existingReaction.reactionType === reactionType) {
+      let reaction = existingReaction;
+      let action;
+      let previousReaction = null;
+
+      if (existingReaction && existingReaction.reactionType === reactionType) {
         // Misma reacción, eliminar (toggle off)
-        await Reaction.findByIdAndDelete(existingReaction._id);
-        
-        return {
-          action: 'removed',
-          reactionType,
-          targetType,
-          targetId,
-          counts: await this.getReactionCounts(targetType, targetId)
-        };
-      } else {
+        await Reaction.deleteOne({ _id: existingReaction._id }, { session });
+        action = 'removed';
+      } else if (existingReaction) {
         // Diferente reacción, actualizar
+        previousReaction = existingReaction.reactionType;
         existingReaction.reactionType = reactionType;
-        await existingReaction.save();
-        
-        return {
-          action: 'updated',
-          reactionType,
-          previousReaction: existingReaction.reactionType,
+        await existingReaction.save({ session });
+        action = 'updated';
+      } else {
+        // Nueva reacción
+        [reaction] = await Reaction.create([{
+          userId,
           targetType,
           targetId,
-          counts: await this.getReactionCounts(targetType, targetId)
-        };
+          reactionType
+        }], { session });
+        action = 'added';
       }
-    } else {
-      // Nueva reacción
-      await Reaction.create({
+
+      await DomainEventService.emit(DOMAIN_EVENTS.REACTION_CHANGED, {
+        reactionId: reaction._id,
         userId,
+        action,
         targetType,
         targetId,
-        reactionType
-      });
-      
-      return {
-        action: 'added',
         reactionType,
-        targetType,
-        targetId,
-        counts: await this.getReactionCounts(targetType, targetId)
-      };
-    }
+        previousReaction
+      }, { session, actorId: userId });
+
+      return { action, previousReaction };
+    });
+
+    return {
+      action: change.action,
+      reactionType,
+      ...(change.previousReaction && { previousReaction: change.previousReaction }),
+      targetType,
+      targetId,
+      counts: await this.getReactionCounts(targetType, targetId)
+    };
   }
 
   // ===== OBTENER REACCIONES DE UN ELEMENTO =====
@@ -234,18 +242,21 @@ class ReactionService {
       let targetInfo = null;
       
       switch (targetType) {
-        case TARGET_TYPES.PRODUCT:
+        case TARGET_TYPES.PRODUCT: {
           const product = await Product.findById(result._id).select('name sku price');
           targetInfo = product;
           break;
-        case TARGET_TYPES.POST:
+        }
+        case TARGET_TYPES.POST: {
           const post = await Post.findById(result._id).select('title content createdAt');
           targetInfo = post;
           break;
-        case TARGET_TYPES.COMMENT:
+        }
+        case TARGET_TYPES.COMMENT: {
           const comment = await Comment.findById(result._id).select('content createdAt');
           targetInfo = comment;
           break;
+        }
       }
 
       if (targetInfo) {
@@ -434,23 +445,39 @@ class ReactionService {
 
   // ===== UTILITY METHODS =====
 
+  // Post en cuyo canal en vivo se publica una reacción: el propio post o el
+  // post del comentario. null para productos, reseñas y sus comentarios
+  static async getLivePostId(targetType, targetId) {
+    if (targetType === TARGET_TYPES.POST) return targetId;
+
+    if (targetType === TARGET_TYPES.COMMENT) {
+      const comment = await Comment.findById(targetId).select('parentType parentId');
+      if (comment && comment.parentType === TARGET_TYPES.POST) return comment.parentId;
+    }
+
+    return null;
+  }
+
   // Verificar que el elemento objetivo exista
   static async verifyTargetExists(targetType, targetId) {
     let exists = false;
 
     switch (targetType) {
-      case TARGET_TYPES.PRODUCT:
+      case TARGET_TYPES.PRODUCT: {
         const product = await Product.findById(targetId);
         exists = product && product.isActive;
         break;
-      case TARGET_TYPES.POST:
+      }
+      case TARGET_TYPES.POST: {
         const post = await Post.findById(targetId);
         exists = !!post;
         break;
-      case TARGET_TYPES.COMMENT:
+      }
+      case TARGET_TYPES.COMMENT: {
         const comment = await Comment.findById(targetId);
         exists = !!comment;
         break;
+      }
       // Agregar más tipos según sea necesario
       default:
         throw new AppError('Tipo de objetivo no soportado', 400, 'UNSUPPORTED_TARGET_TYPE');
@@ -0,0 +1,38 @@
+const MemoryPubSub = require('./memoryPubSub');
+const MongoPubSub = require('./mongoPubSub');
+const { AppError } = require('../../middlewares/errorHandler');
+const { REALTIME_PUBSUB_DRIVERS, REALTIME_PUBSUB_DRIVER } = require('../../config/constants');
+
+// ===== REGISTRO DE ADAPTADORES DE PUB/SUB =====
+// Se pueden registrar otros (p. ej. Redis) con registerPubSub y elegirlos con
+// REALTIME_PUBSUB_DRIVER; los adaptadores se instancian al primer uso
+const factories = new Map();
+const instances = new Map();
+
+const registerPubSub = (name, factory) => {
+  factories.set(name, factory);
+  instances.delete(name);
+};
+
+const getPubSub = (name = REALTIME_PUBSUB_DRIVER) => {
+  if (!instances.has(name)) {
+    const factory = factories.get(name);
+
+    if (!factory) {
+      throw new AppError(`Pub/sub no soportado: ${name}`, 500, 'PUBSUB_DRIVER_NOT_FOUND');
+    }
+
+    instances.set(name, factory());
+  }
+
+  return instances.get(name);
+};
+
+// Adaptadores incluidos
+registerPubSub(REALTIME_PUBSUB_DRIVERS.MEMORY, () => new MemoryPubSub());
+registerPubSub(REALTIME_PUBSUB_DRIVERS.MONGO, () => new MongoPubSub());
+
+module.exports = {
+  registerPubSub,
+  getPubSub
+};
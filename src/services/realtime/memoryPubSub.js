@@ -0,0 +1,29 @@
+const { EventEmitter } = require('events');
+const PubSubAdapter = require('./pubSubAdapter');
+const { REALTIME_PUBSUB_DRIVERS } = require('../../config/constants');
+
+// ===== PUB/SUB EN MEMORIA =====
+// Solo reparte eventos dentro del proceso actual. Suficiente con una sola
+// instancia de la API; con varias usar el driver mongo u otro registrado
+class MemoryPubSub extends PubSubAdapter {
+  constructor() {
+    super(REALTIME_PUBSUB_DRIVERS.MEMORY);
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+  }
+
+  async publish(event) {
+    // Entrega asíncrona, igual que un broker externo
+    setImmediate(() => this.emitter.emit('event', event));
+  }
+
+  async subscribe(listener) {
+    this.emitter.on('event', listener);
+  }
+
+  async close() {
+    this.emitter.removeAllListeners('event');
+  }
+}
+
+module.exports = MemoryPubSub;
@@ -0,0 +1,77 @@
+const RealtimeEvent = require('../../models/RealtimeEvent');
+const PubSubAdapter = require('./pubSubAdapter');
+const { REALTIME_PUBSUB_DRIVERS } = require('../../config/constants');
+
+const RECONNECT_DELAY_MS = 5000;
+
+// ===== PUB/SUB SOBRE MONGODB =====
+// Reparte eventos entre procesos sin infraestructura adicional: los eventos se
+// insertan en la colección realtimeevents y cada proceso los lee con un
+// change stream (requiere replica set, igual que las transacciones)
+class MongoPubSub extends PubSubAdapter {
+  constructor() {
+    super(REALTIME_PUBSUB_DRIVERS.MONGO);
+    this.listeners = [];
+    this.changeStream = null;
+    this.reconnectTimer = null;
+    this.closed = false;
+  }
+
+  async publish(event) {
+    await RealtimeEvent.create(event);
+  }
+
+  async subscribe(listener) {
+    this.listeners.push(listener);
+    this.closed = false;
+
+    if (!this.changeStream) {
+      this.openChangeStream();
+    }
+  }
+
+  openChangeStream() {
+    this.changeStream = RealtimeEvent.watch([{ $match: { operationType: 'insert' } }]);
+
+    this.changeStream.on('change', ({ fullDocument }) => {
+      const { type, channels, data, publishedAt } = fullDocument;
+
+      for (const listener of this.listeners) {
+        listener({ type, channels, data, publishedAt });
+      }
+    });
+
+    // Si se cae la conexión, reabrir el stream; los eventos perdidos en el
+    // intervalo no se recuperan (los clientes vuelven a consultar al reconectar)
+    this.changeStream.on('error', (error) => {
+      console.error('❌ Error en el change stream de tiempo real:', error.message);
+      this.changeStream.close().catch(() => {});
+      this.changeStream = null;
+
+      if (!this.closed && !this.reconnectTimer) {
+        this.reconnectTimer = setTimeout(() => {
+          this.reconnectTimer = null;
+          if (!this.closed) this.openChangeStream();
+        }, RECONNECT_DELAY_MS);
+        this.reconnectTimer.unref();
+      }
+    });
+  }
+
+  async close() {
+    this.closed = true;
+    this.listeners = [];
+
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+
+    if (this.changeStream) {
+      await this.changeStream.close();
+      this.changeStream = null;
+    }
+  }
+}
+
+module.exports = MongoPubSub;
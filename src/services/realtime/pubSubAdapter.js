@@ -0,0 +1,34 @@
+const { AppError } = require('../../middlewares/errorHandler');
+
+// ===== INTERFAZ DE PUB/SUB =====
+// Reparte los eventos en tiempo real entre todos los procesos de la API.
+// Un evento es { type, channels, data, publishedAt }; cada proceso lo entrega
+// a sus propias conexiones suscritas a alguno de los canales.
+class PubSubAdapter {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Enviar el evento a todos los procesos (incluido este)
+  async publish(event) {
+    throw this.notImplemented('publish');
+  }
+
+  // Recibir los eventos de todos los procesos; listener(event)
+  async subscribe(listener) {
+    throw this.notImplemented('subscribe');
+  }
+
+  // Dejar de recibir eventos y liberar recursos
+  async close() {}
+
+  notImplemented(operation) {
+    return new AppError(
+      `El pub/sub ${this.name} no soporta la operación ${operation}`,
+      501,
+      'PUBSUB_OPERATION_NOT_SUPPORTED'
+    );
+  }
+}
+
+module.exports = PubSubAdapter;
@@ -0,0 +1,337 @@
+const crypto = require('crypto');
+const Order = require('../models/Order');
+const Shipment = require('../models/Shipment');
+const Post = require('../models/Post');
+const RoleService = require('./roleService');
+const { getPubSub } = require('./realtime');
+const { AppError } = require('../middlewares/errorHandler');
+const {
+  PERMISSIONS,
+  REALTIME_EVENTS,
+  REALTIME_RESOURCE_TYPES,
+  REALTIME_HEARTBEAT_MS,
+  REALTIME_MAX_CONNECTIONS_PER_USER,
+  REALTIME_MAX_SUBSCRIPTIONS
+} = require('../config/constants');
+
+// Cambios de suscripción: viajan por el pub/sub porque la conexión puede
+// estar abierta en otro proceso. No se envían a los clientes
+const SUBSCRIPTION_CONTROL_EVENT = '_subscriptions';
+const INVENTORY_ADMIN_CHANNEL = 'admin:inventory';
+
+// Conexiones abiertas en este proceso: connectionId -> conexión
+const connections = new Map();
+let heartbeatTimer = null;
+let isStarted = false;
+
+class RealtimeService {
+  // ===== INICIAR / DETENER =====
+  static async start() {
+    if (isStarted) return;
+    isStarted = true;
+
+    await getPubSub().subscribe(event => this.dispatch(event));
+
+    heartbeatTimer = setInterval(() => this.sendHeartbeats(), REALTIME_HEARTBEAT_MS);
+    heartbeatTimer.unref();
+  }
+
+  // Cierra las conexiones abiertas; sin esto server.close() esperaría a que
+  // los clientes se desconecten
+  static async stop() {
+    if (heartbeatTimer) {
+      clearInterval(heartbeatTimer);
+      heartbeatTimer = null;
+    }
+
+    for (const connection of connections.values()) {
+      connection.res.end();
+    }
+    connections.clear();
+
+    if (isStarted) {
+      isStarted = false;
+      await getPubSub().close();
+    }
+  }
+
+  // ===== ABRIR CANAL =====
+  // Cada conexión recibe siempre los eventos de su usuario y de su sesión; los
+  // recursos (orden, envío, post) se agregan con suscripciones
+  static async openStream({ req, res, user, permissions, sessionId, tokenExpiresAt, resources = [] }) {
+    const channels = new Set([this.userChannel(user._id)]);
+    if (sessionId) channels.add(this.sessionChannel(sessionId));
+
+    if (RoleService.includesPermission(permissions, PERMISSIONS.INVENTORY_READ)) {
+      channels.add(INVENTORY_ADMIN_CHANNEL);
+    }
+
+    for (const channel of await this.authorizeResources(user, permissions, resources)) {
+      channels.add(channel);
+    }
+
+    this.enforceConnectionLimit(user._id);
+
+    const connection = {
+      id: crypto.randomUUID(),
+      userId: user._id.toString(),
+      sessionId,
+      channels,
+      res,
+      openedAt: new Date(),
+      expiryTimer: null
+    };
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Evita que nginx acumule los eventos en su buffer
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    connections.set(connection.id, connection);
+
+    // El cliente debe reconectar con un token nuevo cuando el actual vence
+    if (tokenExpiresAt) {
+      const remainingMs = Math.max(tokenExpiresAt.getTime() - Date.now(), 0);
+      connection.expiryTimer = setTimeout(() => {
+        this.writeEvent(res, REALTIME_EVENTS.TOKEN_EXPIRED, { message: 'El token expiró, vuelve a conectarte con uno nuevo' });
+        this.closeConnection(connection.id);
+      }, remainingMs);
+      connection.expiryTimer.unref();
+    }
+
+    req.on('close', () => this.removeConnection(connection.id));
+
+    this.writeEvent(res, REALTIME_EVENTS.READY, {
+      connectionId: connection.id,
+      subscriptions: this.getResourceSubscriptions(connection)
+    });
+
+    return connection;
+  }
+
+  // ===== CAMBIAR SUSCRIPCIONES =====
+  // Autoriza aquí y aplica el cambio en el proceso que tenga la conexión
+  static async updateSubscriptions(user, permissions, connectionId, { subscribe = [], unsubscribe = [] }) {
+    const add = await this.authorizeResources(user, permissions, subscribe);
+    const remove = unsubscribe.map(({ type, id }) => this.resourceChannel(type, id));
+
+    await getPubSub().publish({
+      type: SUBSCRIPTION_CONTROL_EVENT,
+      channels: [this.connectionChannel(connectionId)],
+      data: { connectionId, userId: user._id.toString(), add, remove },
+      publishedAt: new Date()
+    });
+
+    return {
+      connectionId,
+      subscribed: add.map(channel => this.parseResourceChannel(channel)),
+      unsubscribed: unsubscribe
+    };
+  }
+
+  // ===== PUBLICAR EVENTO =====
+  // Nunca lanza errores: el canal en tiempo real no debe romper la operación
+  // que lo origina. Con session, el evento sale solo si la transacción se confirma
+  static async publish(type, channels, data = {}, { session = null } = {}) {
+    const event = {
+      type,
+      channels: channels.filter(Boolean).map(String),
+      data,
+      publishedAt: new Date()
+    };
+
+    if (event.channels.length === 0) return;
+
+    const send = async () => {
+      try {
+        await getPubSub().publish(event);
+      } catch (error) {
+        console.error(`❌ Error publicando el evento en tiempo real ${type}:`, error.message);
+      }
+    };
+
+    if (session && session.inTransaction()) {
+      session.once('ended', () => {
+        if (session.transaction.isCommitted) send();
+      });
+      return;
+    }
+
+    await send();
+  }
+
+  // ===== REPARTIR EVENTO A LAS CONEXIONES LOCALES =====
+  static dispatch(event) {
+    if (event.type === SUBSCRIPTION_CONTROL_EVENT) {
+      return this.applySubscriptionChange(event.data);
+    }
+
+    for (const connection of connections.values()) {
+      if (!event.channels.some(channel => connection.channels.has(channel))) continue;
+
+      this.writeEvent(connection.res, event.type, event.data);
+
+      if (event.type === REALTIME_EVENTS.SESSION_REVOKED) {
+        this.closeConnection(connection.id);
+      }
+    }
+  }
+
+  static applySubscriptionChange({ connectionId, userId, add, remove }) {
+    const connection = connections.get(connectionId);
+    if (!connection || connection.userId !== userId) return;
+
+    for (const channel of remove) {
+      connection.channels.delete(channel);
+    }
+
+    for (const channel of add) {
+      if (this.getResourceSubscriptions(connection).length >= REALTIME_MAX_SUBSCRIPTIONS) break;
+      connection.channels.add(channel);
+    }
+  }
+
+  // ===== AUTORIZAR RECURSOS =====
+  // Órdenes y envíos: dueño o permiso de lectura. Posts: cualquier usuario
+  static async authorizeResources(user, permissions, resources) {
+    if (resources.length > REALTIME_MAX_SUBSCRIPTIONS) {
+      throw new AppError(
+        `Máximo ${REALTIME_MAX_SUBSCRIPTIONS} suscripciones por conexión`,
+        400,
+        'TOO_MANY_SUBSCRIPTIONS'
+      );
+    }
+
+    const channels = [];
+
+    for (const { type, id } of resources) {
+      await this.authorizeResource(user, permissions, type, id);
+      channels.push(this.resourceChannel(type, id));
+    }
+
+    return channels;
+  }
+
+  static async authorizeResource(user, permissions, type, id) {
+    const isOwner = (doc) => doc.userId && doc.userId.toString() === user._id.toString();
+
+    switch (type) {
+      case REALTIME_RESOURCE_TYPES.ORDER: {
+        const order = await Order.findById(id).select('userId');
+        if (!order) {
+          throw new AppError('Orden no encontrada', 404, 'ORDER_NOT_FOUND');
+        }
+        if (!isOwner(order) && !RoleService.includesPermission(permissions, PERMISSIONS.ORDERS_READ)) {
+          throw new AppError('No tienes permisos para ver esta orden', 403, 'ACCESS_DENIED');
+        }
+        break;
+      }
+      case REALTIME_RESOURCE_TYPES.SHIPMENT: {
+        // El dueño del envío es el de su orden
+        const shipment = await Shipment.findById(id).populate('orderId', 'userId');
+        if (!shipment) {
+          throw new AppError('Envío no encontrado', 404, 'SHIPMENT_NOT_FOUND');
+        }
+        if (!(shipment.orderId && isOwner(shipment.orderId)) && !RoleService.includesPermission(permissions, PERMISSIONS.SHIPMENTS_READ)) {
+          throw new AppError('No tienes permisos para ver este envío', 403, 'ACCESS_DENIED');
+        }
+        break;
+      }
+      case REALTIME_RESOURCE_TYPES.POST: {
+        if (!(await Post.exists({ _id: id }))) {
+          throw new AppError('Post no encontrado', 404, 'POST_NOT_FOUND');
+        }
+        break;
+      }
+      default:
+        throw new AppError('Tipo de recurso no soportado', 400, 'UNSUPPORTED_RESOURCE_TYPE');
+    }
+  }
+
+  // ===== MÉTODOS AUXILIARES =====
+
+  static userChannel(userId) {
+    return userId ? `user:${userId}` : null;
+  }
+
+  static sessionChannel(sessionId) {
+    return `session:${sessionId}`;
+  }
+
+  static connectionChannel(connectionId) {
+    return `connection:${connectionId}`;
+  }
+
+  static resourceChannel(type, id) {
+    return id ? `${type}:${id}` : null;
+  }
+
+  static inventoryAdminChannel() {
+    return INVENTORY_ADMIN_CHANNEL;
+  }
+
+  static parseResourceChannel(channel) {
+    const [type, id] = channel.split(':');
+    return { type, id };
+  }
+
+  static getResourceSubscriptions(connection) {
+    const resourceTypes = Object.values(REALTIME_RESOURCE_TYPES);
+
+    return [...connection.channels]
+      .map(channel => this.parseResourceChannel(channel))
+      .filter(({ type }) => resourceTypes.includes(type));
+  }
+
+  static writeEvent(res, type, data) {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  static sendHeartbeats() {
+    for (const connection of connections.values()) {
+      connection.res.write(': ping\n\n');
+    }
+  }
+
+  // Con demasiadas pestañas abiertas se cierra la conexión más antigua
+  static enforceConnectionLimit(userId) {
+    const userConnections = [...connections.values()]
+      .filter(connection => connection.userId === userId.toString())
+      .sort((a, b) => a.openedAt - b.openedAt);
+
+    const excess = userConnections.length - REALTIME_MAX_CONNECTIONS_PER_USER + 1;
+
+    for (const connection of userConnections.slice(0, Math.max(excess, 0))) {
+      this.closeConnection(connection.id);
+    }
+  }
+
+  static closeConnection(connectionId) {
+    const connection = connections.get(connectionId);
+    if (!connection) return;
+
+    this.removeConnection(connectionId);
+    connection.res.end();
+  }
+
+  static removeConnection(connectionId) {
+    const connection = connections.get(connectionId);
+    if (!connection) return;
+
+    if (connection.expiryTimer) {
+      clearTimeout(connection.expiryTimer);
+    }
+
+    connections.delete(connectionId);
+  }
+
+  static getConnectionCount() {
+    return connections.size;
+  }
+}
+
+module.exports = RealtimeService;
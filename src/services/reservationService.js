@@ -0,0 +1,45 @@
+const Reservation = require('../models/Reservation');
+const OrderService = require('./orderService');
+const PaymentService = require('./paymentService');
+const { PAYMENT_STATUS, RESERVATION_STATUS } = require('../config/constants');
+
+class ReservationService {
+  // ===== BARRER RESERVAS EXPIRADAS =====
+  // Cancela las órdenes PENDING sin pago cuya reserva venció y libera su stock;
+  // las pagadas confirman la venta y las autorizadas extienden la reserva hasta
+  // agotar las extensiones, tras lo cual se cancelan y se anula la autorización.
+  // Lo ejecuta cada minuto el trabajo orders.expire_reservations
+  static async sweepExpiredReservations(now = new Date()) {
+    const orderIds = await Reservation.distinct('orderId', {
+      status: RESERVATION_STATUS.ACTIVE,
+      expiresAt: { $lte: now }
+    });
+
+    const expiredOrders = [];
+
+    for (const orderId of orderIds) {
+      try {
+        const order = await OrderService.expireOrder(orderId);
+        if (order) {
+          expiredOrders.push(order.orderNumber);
+          if (order.paymentStatus === PAYMENT_STATUS.AUTHORIZED) {
+            await PaymentService.voidOrderAuthorizations(order._id);
+          }
+        }
+      } catch (error) {
+        console.error(`❌ Error expirando reservas de la orden ${orderId}:`, error.message);
+      }
+    }
+
+    if (expiredOrders.length > 0) {
+      console.log(`⏳ Órdenes canceladas por reserva expirada: ${expiredOrders.join(', ')}`);
+    }
+
+    return {
+      checkedOrders: orderIds.length,
+      expiredOrders
+    };
+  }
+}
+
+module.exports = ReservationService;
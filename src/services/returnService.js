@@ -0,0 +1,645 @@
+const ReturnRequest = require('../models/ReturnRequest');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const InventoryTransaction = require('../models/InventoryTransaction');
+const OrderService = require('./orderService');
+const PaymentService = require('./paymentService');
+const ProductVariantService = require('./productVariantService');
+const InventoryService = require('./inventoryService');
+const { withTransaction } = require('../config/database');
+const RoleService = require('./roleService');
+const { AppError } = require('../middlewares/errorHandler');
+const { calculatePagination } = require('../middlewares/responseFormatter');
+const {
+  ORDER_STATUS,
+  RETURN_STATUS,
+  INVENTORY_TX_TYPES,
+  PAYMENT_INTENT_STATUS,
+  PERMISSIONS,
+  RETURN_REFUND_RECONCILE_AFTER_MINUTES
+} = require('../config/constants');
+
+// Devoluciones que ya no consumen cantidad de la orden
+const CLOSED_WITHOUT_RETURN = [RETURN_STATUS.REJECTED, RETURN_STATUS.CANCELLED];
+
+class ReturnService {
+  // ===== CREAR SOLICITUD DE DEVOLUCIÓN =====
+  // La cantidad devolvible se comprueba y la solicitud se inserta en la misma
+  // transacción. Antes de leer se escribe en la orden: dos solicitudes
+  // simultáneas chocan en ese documento y la que se reintenta ya ve a la otra
+  static async createReturnRequest(userId, returnData) {
+    const { orderId, items, notes } = returnData;
+
+    const returnRequest = await withTransaction(async (session) => {
+      const order = await Order.findById(orderId).session(session);
+
+      if (!order) {
+        throw new AppError('Orden no encontrada', 404, 'ORDER_NOT_FOUND');
+      }
+
+      if (!order.userId || order.userId.toString() !== userId.toString()) {
+        throw new AppError('No tienes permisos para devolver esta orden', 403, 'ACCESS_DENIED');
+      }
+
+      if (![ORDER_STATUS.DELIVERED, ORDER_STATUS.PARTIALLY_REFUNDED].includes(order.status)) {
+        throw new AppError('Solo se pueden devolver órdenes entregadas', 400, 'ORDER_NOT_RETURNABLE');
+      }
+
+      await Order.updateOne({ _id: order._id }, { $currentDate: { updatedAt: true } }, { session });
+
+      const returnable = await this.getReturnableQuantities(order, session);
+      const returnItems = [];
+
+      for (const item of items) {
+        const key = ProductVariantService.getLineKey(item);
+        const orderItem = order.items.find(i => ProductVariantService.getLineKey(i) === key);
+
+        if (!orderItem) {
+          throw new AppError('El producto no pertenece a esta orden', 400, 'ITEM_NOT_IN_ORDER');
+        }
+
+        const available = returnable.get(key);
+        if (item.quantity > available) {
+          throw new AppError(
+            `Solo puedes devolver ${available} unidad(es) de ${orderItem.productName}`,
+            400,
+            'RETURN_QUANTITY_EXCEEDED'
+          );
+        }
+
+        returnItems.push({
+          productId: orderItem.productId,
+          variantId: orderItem.variantId,
+          productName: orderItem.variantLabel
+            ? `${orderItem.productName} (${orderItem.variantLabel})`
+            : orderItem.productName,
+          productSku: orderItem.productSku,
+          quantity: item.quantity,
+          // Precio neto de descuentos para que el reembolso los prorratee
+          unitPrice: Math.round(
+            (orderItem.priceAtTime - (orderItem.discountAmount || 0) / orderItem.quantity) * 100
+          ) / 100,
+          reason: item.reason,
+          comment: item.comment
+        });
+      }
+
+      const [created] = await ReturnRequest.create([{
+        orderId: order._id,
+        userId,
+        items: returnItems,
+        notes,
+        statusHistory: [{
+          status: RETURN_STATUS.REQUESTED,
+          timestamp: new Date(),
+          notes: 'Devolución solicitada',
+          changedBy: userId
+        }]
+      }], { session });
+
+      return created;
+    });
+
+    return this.formatReturnData(returnRequest, true);
+  }
+
+  // ===== OBTENER DEVOLUCIONES DEL USUARIO =====
+  static async getUserReturns(userId, paginationData) {
+    const { page, limit, sort = '-createdAt' } = paginationData;
+
+    const filters = { userId };
+    const pagination = calculatePagination(page, limit, await ReturnRequest.countDocuments(filters));
+
+    const returns = await ReturnRequest.find(filters)
+      .sort(sort)
+      .skip(pagination.offset)
+      .limit(pagination.limit);
+
+    return {
+      returns: returns.map(returnRequest => this.formatReturnData(returnRequest)),
+      pagination
+    };
+  }
+
+  // ===== OBTENER TODAS LAS DEVOLUCIONES (ADMIN) =====
+  static async getAllReturns(filters, paginationData) {
+    const { page, limit, sort = '-createdAt' } = paginationData;
+    const { status, orderId, userId } = filters;
+
+    const searchFilters = {};
+    if (status) searchFilters.status = status;
+    if (orderId) searchFilters.orderId = orderId;
+    if (userId) searchFilters.userId = userId;
+
+    const pagination = calculatePagination(page, limit, await ReturnRequest.countDocuments(searchFilters));
+
+    const returns = await ReturnRequest.find(searchFilters)
+      .populate('userId', 'firstName lastName email')
+      .sort(sort)
+      .skip(pagination.offset)
+      .limit(pagination.limit);
+
+    return {
+      returns: returns.map(returnRequest => this.formatReturnData(returnRequest)),
+      pagination
+    };
+  }
+
+  // ===== OBTENER DEVOLUCIÓN POR ID =====
+  static async getReturnById(returnId, userId = null, permissions = null) {
+    const returnRequest = await this.findReturn(returnId);
+
+    if (!RoleService.includesPermission(permissions, PERMISSIONS.RETURNS_READ) && userId && returnRequest.userId.toString() !== userId.toString()) {
+      throw new AppError('No tienes permisos para ver esta devolución', 403, 'ACCESS_DENIED');
+    }
+
+    return this.formatReturnData(returnRequest, true);
+  }
+
+  // ===== CANCELAR DEVOLUCIÓN (CLIENTE) =====
+  static async cancelReturn(returnId, userId) {
+    const returnRequest = await this.findReturn(returnId);
+
+    if (returnRequest.userId.toString() !== userId.toString()) {
+      throw new AppError('No tienes permisos para cancelar esta devolución', 403, 'ACCESS_DENIED');
+    }
+
+    this.assertStatus(returnRequest, RETURN_STATUS.REQUESTED);
+    this.pushStatus(returnRequest, RETURN_STATUS.CANCELLED, 'Cancelada por el cliente', userId);
+    await returnRequest.save();
+
+    return this.formatReturnData(returnRequest, true);
+  }
+
+  // ===== APROBAR DEVOLUCIÓN (ADMIN) =====
+  static async approveReturn(returnId, adminId, notes = null) {
+    const returnRequest = await this.findReturn(returnId);
+
+    this.assertStatus(returnRequest, RETURN_STATUS.REQUESTED);
+
+    returnRequest.approvedAt = new Date();
+    if (notes) returnRequest.adminNotes = notes;
+    this.pushStatus(returnRequest, RETURN_STATUS.APPROVED, notes, adminId);
+    await returnRequest.save();
+
+    return this.formatReturnData(returnRequest, true);
+  }
+
+  // ===== RECHAZAR DEVOLUCIÓN (ADMIN) =====
+  static async rejectReturn(returnId, adminId, reason) {
+    const returnRequest = await this.findReturn(returnId);
+
+    this.assertStatus(returnRequest, RETURN_STATUS.REQUESTED);
+
+    returnRequest.rejectionReason = reason;
+    this.pushStatus(returnRequest, RETURN_STATUS.REJECTED, reason, adminId);
+    await returnRequest.save();
+
+    return this.formatReturnData(returnRequest, true);
+  }
+
+  // ===== REGISTRAR MERCANCÍA RECIBIDA (ADMIN) =====
+  // Las unidades vendibles vuelven al stock (RETURN); las dañadas se registran
+  // como entrada y baja inmediata (RETURN + DAMAGE) para conservar la trazabilidad
+  static async receiveReturn(returnId, receiveData, adminId) {
+    const { items, notes } = receiveData;
+
+    const returnRequest = await withTransaction(async (session) => {
+      const returnRequest = await ReturnRequest.findById(returnId).session(session);
+
+      if (!returnRequest) {
+        throw new AppError('Devolución no encontrada', 404, 'RETURN_NOT_FOUND');
+      }
+
+      this.assertStatus(returnRequest, RETURN_STATUS.APPROVED);
+
+      let receivedUnits = 0;
+
+      for (const received of items) {
+        const key = ProductVariantService.getLineKey(received);
+        const item = returnRequest.items.find(i => ProductVariantService.getLineKey(i) === key);
+
+        if (!item) {
+          throw new AppError('El producto no pertenece a esta devolución', 400, 'ITEM_NOT_IN_RETURN');
+        }
+
+        const restockedQty = received.restockedQty || 0;
+        const damagedQty = received.damagedQty || 0;
+
+        if (restockedQty + damagedQty > item.quantity) {
+          throw new AppError(
+            `Se recibieron más unidades de las solicitadas para ${item.productName}`,
+            400,
+            'RECEIVED_QUANTITY_EXCEEDED'
+          );
+        }
+
+        item.restockedQty = restockedQty;
+        item.damagedQty = damagedQty;
+        receivedUnits += restockedQty + damagedQty;
+
+        await this.recordReceivedStock(returnRequest, item, adminId, session);
+      }
+
+      if (receivedUnits === 0) {
+        throw new AppError('Debes registrar al menos una unidad recibida', 400, 'NOTHING_RECEIVED');
+      }
+
+      returnRequest.receivedAt = new Date();
+      this.pushStatus(returnRequest, RETURN_STATUS.RECEIVED, notes, adminId);
+      await returnRequest.save({ session });
+
+      return returnRequest;
+    });
+
+    return this.formatReturnData(returnRequest, true);
+  }
+
+  // ===== REEMBOLSAR DEVOLUCIÓN (ADMIN) =====
+  // Sin monto se reembolsa el valor de la mercancía recibida con su IVA
+  static async refundReturn(returnId, refundData, adminId) {
+    const returnRequest = await this.findReturn(returnId);
+
+    this.assertStatus(returnRequest, RETURN_STATUS.RECEIVED);
+
+    const order = await Order.findById(returnRequest.orderId);
+    const amount = refundData.amount !== undefined
+      ? Math.round(refundData.amount * 100) / 100
+      : await this.getRefundValue(returnRequest, order);
+
+    if (amount <= 0 || amount > order.refundableAmount) {
+      throw new AppError(
+        `Monto de reembolso inválido. Reembolsable en la orden: ${order.refundableAmount}`,
+        400,
+        'INVALID_REFUND_AMOUNT'
+      );
+    }
+
+    const reason = refundData.reason || `Devolución ${returnRequest.rmaNumber}`;
+
+    // Los pagos procesados por un proveedor se reembolsan a través de él;
+    // de lo contrario el reembolso se registra como realizado fuera de línea
+    const payment = await Payment.findOne({
+      orderId: order._id,
+      status: { $in: [PAYMENT_INTENT_STATUS.CAPTURED, PAYMENT_INTENT_STATUS.PARTIALLY_REFUNDED] }
+    });
+
+    // Reclamar la devolución antes de llamar al proveedor: dos peticiones
+    // simultáneas no pueden emitir dos reembolsos
+    await this.transitionStatus(returnId, RETURN_STATUS.RECEIVED, RETURN_STATUS.REFUNDING, reason, adminId);
+
+    let refund = null;
+    if (payment) {
+      try {
+        refund = await PaymentService.issueRefund(payment, { amount, reason });
+      } catch (error) {
+        await this.transitionStatus(
+          returnId,
+          RETURN_STATUS.REFUNDING,
+          RETURN_STATUS.RECEIVED,
+          `Reembolso fallido: ${error.message}`,
+          adminId
+        );
+        throw error;
+      }
+
+      // El dinero ya salió: anotar el reembolso para poder conciliarlo si el
+      // registro siguiente falla
+      await ReturnRequest.updateOne(
+        { _id: returnId, status: RETURN_STATUS.REFUNDING },
+        { $set: { providerRefundId: refund.refundId } }
+      );
+    }
+
+    // Si este paso falla la devolución queda en REFUNDING; reconcileRefund la
+    // completa o la devuelve a RECEIVED
+    const updated = await withTransaction(async (session) => {
+      const current = await ReturnRequest.findById(returnId).session(session);
+      this.assertStatus(current, RETURN_STATUS.REFUNDING);
+
+      if (refund) {
+        await PaymentService.recordRefund(payment._id, refund, adminId, session);
+      } else {
+        const currentOrder = await Order.findById(order._id).session(session);
+        await OrderService.applyRefund(currentOrder, amount, session, `Reembolso de ${amount} - ${current.rmaNumber}`);
+      }
+
+      current.refundAmount = amount;
+      current.providerRefundId = refund ? refund.refundId : undefined;
+      current.refundedAt = new Date();
+      this.pushStatus(current, RETURN_STATUS.REFUNDED, reason, adminId);
+      await current.save({ session });
+
+      return current;
+    });
+
+    return this.formatReturnData(updated, true);
+  }
+
+  // ===== CONCILIAR REEMBOLSO ATASCADO (ADMIN) =====
+  // Devoluciones que quedaron en REFUNDING porque el proceso falló a medias:
+  // - el proveedor emitió el reembolso (anotado en la devolución o en el
+  //   reclamo del pago): se registra, si el webhook no lo hizo ya, y la
+  //   devolución pasa a REFUNDED
+  // - el pago tiene un reclamo de esta devolución sin respuesta del proveedor:
+  //   no se sabe si el dinero salió, hay que verificarlo en su panel
+  // - no hay reembolso ni reclamo: nunca se emitió y vuelve a RECEIVED para
+  //   reintentarlo
+  static async reconcileRefund(returnId, adminId = null) {
+    const returnRequest = await this.findReturn(returnId);
+
+    this.assertStatus(returnRequest, RETURN_STATUS.REFUNDING);
+
+    const reason = this.getRefundReason(returnRequest);
+    const payments = await Payment.find({ orderId: returnRequest.orderId });
+    const claimed = payments.find(payment => payment.refundClaim && payment.refundClaim.reason === reason);
+    const refundId = returnRequest.providerRefundId || (claimed && claimed.refundClaim.refundId);
+
+    if (!refundId && claimed) {
+      throw new AppError(
+        'El proveedor no confirmó el reembolso; verifícalo en su panel antes de conciliar',
+        409,
+        'REFUND_OUTCOME_UNKNOWN'
+      );
+    }
+
+    if (!refundId) {
+      const reverted = await this.transitionStatus(
+        returnId,
+        RETURN_STATUS.REFUNDING,
+        RETURN_STATUS.RECEIVED,
+        'Reembolso no emitido; puede reintentarse',
+        adminId
+      );
+      return this.formatReturnData(reverted, true);
+    }
+
+    const updated = await withTransaction(async (session) => {
+      const current = await ReturnRequest.findById(returnId).session(session);
+      this.assertStatus(current, RETURN_STATUS.REFUNDING);
+
+      const payment = await Payment.findOne({
+        orderId: current.orderId,
+        $or: [{ 'refunds.providerRefundId': refundId }, { 'refundClaim.refundId': refundId }]
+      }).session(session);
+
+      if (!payment) {
+        throw new AppError('No se encontró el pago del reembolso', 404, 'PAYMENT_NOT_FOUND');
+      }
+
+      const recorded = payment.refunds.find(refund => refund.providerRefundId === refundId);
+      const amount = recorded ? recorded.amount : payment.refundClaim.amount;
+
+      if (!recorded) {
+        await PaymentService.recordRefund(
+          payment._id,
+          { refundId, amount, claimId: payment.refundClaim.claimId },
+          adminId,
+          session
+        );
+      }
+
+      current.refundAmount = amount;
+      current.providerRefundId = refundId;
+      current.refundedAt = new Date();
+      this.pushStatus(current, RETURN_STATUS.REFUNDED, `${reason} (conciliado)`, adminId);
+      await current.save({ session });
+
+      return current;
+    });
+
+    return this.formatReturnData(updated, true);
+  }
+
+  // ===== CONCILIAR REEMBOLSOS ATASCADOS =====
+  // Lo ejecuta el trabajo returns.reconcile_refunds con las devoluciones que
+  // llevan más de RETURN_REFUND_RECONCILE_AFTER_MINUTES en REFUNDING
+  static async reconcileStuckRefunds(now = new Date()) {
+    const stuckBefore = new Date(now.getTime() - RETURN_REFUND_RECONCILE_AFTER_MINUTES * 60 * 1000);
+    const stuck = await ReturnRequest.find({
+      status: RETURN_STATUS.REFUNDING,
+      updatedAt: { $lte: stuckBefore }
+    }).select('_id rmaNumber');
+
+    const reconciled = [];
+    const pending = [];
+
+    for (const returnRequest of stuck) {
+      try {
+        const result = await this.reconcileRefund(returnRequest._id);
+        reconciled.push({ rmaNumber: returnRequest.rmaNumber, status: result.status });
+      } catch (error) {
+        console.error(`❌ Error conciliando el reembolso de ${returnRequest.rmaNumber}:`, error.message);
+        pending.push(returnRequest.rmaNumber);
+      }
+    }
+
+    return {
+      checkedReturns: stuck.length,
+      reconciled,
+      pending
+    };
+  }
+
+  // ===== UTILITY METHODS =====
+
+  // Motivo del reembolso en curso: la nota con la que la devolución pasó a
+  // REFUNDING, que es también el motivo del reclamo en el pago
+  static getRefundReason(returnRequest) {
+    const entry = [...returnRequest.statusHistory]
+      .reverse()
+      .find(history => history.status === RETURN_STATUS.REFUNDING);
+
+    return entry ? entry.notes : `Devolución ${returnRequest.rmaNumber}`;
+  }
+
+  // Reembolso sugerido: la mercancía recibida más su parte del IVA de la orden,
+  // repartido según el valor neto de cada línea. Si con esta devolución vuelven
+  // todas las unidades se reembolsa lo que queda de la orden, envío incluido
+  static async getRefundValue(returnRequest, order) {
+    if (await this.isFullReturn(returnRequest, order)) {
+      return order.refundableAmount;
+    }
+
+    const itemsValue = order.items.reduce(
+      (total, item) => total + item.subtotal - (item.discountAmount || 0),
+      0
+    );
+    const taxShare = itemsValue > 0
+      ? (order.taxAmount || 0) * returnRequest.receivedValue / itemsValue
+      : 0;
+    const value = Math.round((returnRequest.receivedValue + taxShare) * 100) / 100;
+
+    return Math.min(value, order.refundableAmount);
+  }
+
+  // Todas las unidades de la orden vuelven entre esta devolución y las ya reembolsadas
+  static async isFullReturn(returnRequest, order) {
+    const refunded = await ReturnRequest.find({
+      orderId: order._id,
+      status: RETURN_STATUS.REFUNDED,
+      _id: { $ne: returnRequest._id }
+    }).select('items');
+
+    const receivedUnits = [...refunded, returnRequest].reduce(
+      (total, current) => total + current.items.reduce(
+        (sum, item) => sum + (item.restockedQty || 0) + (item.damagedQty || 0),
+        0
+      ),
+      0
+    );
+
+    return receivedUnits >= order.totalItems;
+  }
+
+  // Cantidad aún devolvible por línea producto + variante (descontando
+  // devoluciones abiertas o completadas)
+  static async getReturnableQuantities(order, session = null) {
+    const previous = await ReturnRequest.find({
+      orderId: order._id,
+      status: { $nin: CLOSED_WITHOUT_RETURN }
+    }).select('items').session(session);
+
+    const returnable = new Map(
+      order.items.map(item => [ProductVariantService.getLineKey(item), item.quantity])
+    );
+
+    previous.forEach(returnRequest => {
+      returnRequest.items.forEach(item => {
+        const key = ProductVariantService.getLineKey(item);
+        returnable.set(key, Math.max(0, (returnable.get(key) || 0) - item.quantity));
+      });
+    });
+
+    return returnable;
+  }
+
+  // Registrar entrada de stock y transacciones de inventario de un item recibido
+  static async recordReceivedStock(returnRequest, item, adminId, session) {
+    const receivedQty = item.restockedQty + item.damagedQty;
+    if (receivedQty === 0) return;
+
+    const note = `Devolución ${returnRequest.rmaNumber}`;
+    const { Model, id } = ProductVariantService.getStockTarget(item);
+    const stockHolder = await Model.findByIdAndUpdate(
+      id,
+      { $inc: { stockQty: item.restockedQty } },
+      { session }
+    );
+
+    if (!stockHolder) {
+      throw new AppError(`Producto no encontrado: ${item.productName}`, 404, 'PRODUCT_NOT_FOUND');
+    }
+
+    const previousQty = stockHolder.stockQty;
+    const transactions = [{
+      productId: item.productId,
+      variantId: item.variantId,
+      qtyChange: receivedQty,
+      type: INVENTORY_TX_TYPES.RETURN,
+      note,
+      previousQty,
+      newQty: previousQty + receivedQty,
+      createdBy: adminId
+    }];
+
+    if (item.damagedQty > 0) {
+      transactions.push({
+        productId: item.productId,
+        variantId: item.variantId,
+        qtyChange: -item.damagedQty,
+        type: INVENTORY_TX_TYPES.DAMAGE,
+        note: `${note} - mercancía dañada`,
+        previousQty: previousQty + receivedQty,
+        newQty: previousQty + item.restockedQty,
+        createdBy: adminId
+      });
+    }
+
+    const inserted = await InventoryTransaction.insertMany(transactions, { session });
+    for (const transaction of inserted) {
+      await InventoryService.emitStockAdjusted(transaction, stockHolder.reservedQty, session);
+    }
+  }
+
+  // Buscar devolución o lanzar 404
+  static async findReturn(returnId) {
+    const returnRequest = await ReturnRequest.findById(returnId);
+
+    if (!returnRequest) {
+      throw new AppError('Devolución no encontrada', 404, 'RETURN_NOT_FOUND');
+    }
+
+    return returnRequest;
+  }
+
+  static assertStatus(returnRequest, expectedStatus) {
+    if (returnRequest.status !== expectedStatus) {
+      throw new AppError(
+        `La devolución está en estado ${returnRequest.status}; se requiere ${expectedStatus}`,
+        400,
+        'INVALID_RETURN_STATUS'
+      );
+    }
+  }
+
+  // Cambio de estado atómico: solo se aplica si la devolución sigue en fromStatus
+  static async transitionStatus(returnId, fromStatus, toStatus, notes, changedBy) {
+    const returnRequest = await ReturnRequest.findOneAndUpdate(
+      { _id: returnId, status: fromStatus },
+      {
+        $set: { status: toStatus },
+        $push: { statusHistory: { status: toStatus, timestamp: new Date(), notes, changedBy } }
+      },
+      { new: true }
+    );
+
+    if (!returnRequest) {
+      throw new AppError('La devolución cambió de estado mientras tanto', 409, 'RETURN_STATUS_CHANGED');
+    }
+
+    return returnRequest;
+  }
+
+  static pushStatus(returnRequest, status, notes, changedBy) {
+    returnRequest.status = status;
+    returnRequest.statusHistory.push({
+      status,
+      timestamp: new Date(),
+      notes,
+      changedBy
+    });
+  }
+
+  // Formatear datos de devolución para respuesta
+  static formatReturnData(returnRequest, includeDetails = false) {
+    const formatted = {
+      id: returnRequest._id,
+      rmaNumber: returnRequest.rmaNumber,
+      orderId: returnRequest.orderId,
+      userId: returnRequest.userId,
+      status: returnRequest.status,
+      totalItems: returnRequest.totalItems,
+      refundAmount: returnRequest.refundAmount,
+      createdAt: returnRequest.createdAt,
+      updatedAt: returnRequest.updatedAt
+    };
+
+    if (includeDetails) {
+      formatted.items = returnRequest.items;
+      formatted.notes = returnRequest.notes;
+      formatted.adminNotes = returnRequest.adminNotes;
+      formatted.rejectionReason = returnRequest.rejectionReason;
+      formatted.statusHistory = returnRequest.statusHistory;
+      formatted.receivedValue = returnRequest.receivedValue;
+      formatted.providerRefundId = returnRequest.providerRefundId;
+      formatted.approvedAt = returnRequest.approvedAt;
+      formatted.receivedAt = returnRequest.receivedAt;
+      formatted.refundedAt = returnRequest.refundedAt;
+    }
+
+    return formatted;
+  }
+}
+
+module.exports = ReturnService;
@@ -1,9 +1,16 @@
+const mongoose = require('mongoose');
 const Review = require('../models/Review');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
+const RoleService = require('./roleService');
 const { AppError } = require('../middlewares/errorHandler');
 const { calculatePagination } = require('../middlewares/responseFormatter');
-const { ORDER_STATUS } = require('../config/constants');
+const { withTransaction } = require('../config/database');
+const {
+  ORDER_STATUS,
+  PERMISSIONS,
+  RATING_BAYESIAN_PRIOR
+} = require('../config/constants');
 
 class ReviewService {
   // ===== CREAR RESEÑA =====
@@ -36,16 +43,22 @@ class ReviewService {
       throw new AppError('Ya has reseñado este producto', 400, 'REVIEW_ALREADY_EXISTS');
     }
 
-    // Crear reseña
-    const review = await Review.create({
-      userId,
-      productId,
-      orderId,
-      rating: parseInt(rating),
-      reviewText,
-      title,
-      helpfulCount: 0,
-      verifiedPurchase: !!orderId
+    // Crear reseña y actualizar las estadísticas del producto en la misma transacción
+    const review = await withTransaction(async (session) => {
+      const [created] = await Review.create([{
+        userId,
+        productId,
+        orderId,
+        rating: parseInt(rating),
+        reviewText,
+        title,
+        helpfulCount: 0,
+        verifiedPurchase: !!orderId
+      }], { session });
+
+      await this.updateProductRatingStats(productId, session);
+
+      return created;
     });
 
     // Poblar para respuesta
@@ -54,9 +67,6 @@ class ReviewService {
       { path: 'productId', select: 'name sku' }
     ]);
 
-    // Actualizar estadísticas del producto
-    await this.updateProductRatingStats(productId);
-
     return this.formatReviewData(review, true);
   }
 
@@ -157,11 +167,19 @@ class ReviewService {
     }
 
     // Actualizar campos
+    const previousRating = review.rating;
     if (rating !== undefined) review.rating = parseInt(rating);
     if (reviewText !== undefined) review.reviewText = reviewText;
     if (title !== undefined) review.title = title;
 
-    await review.save();
+    // Las estadísticas del producto solo cambian si cambió la calificación
+    await withTransaction(async (session) => {
+      await review.save({ session });
+
+      if (review.rating !== previousRating) {
+        await this.updateProductRatingStats(review.productId, session);
+      }
+    });
 
     // Poblar para respuesta
     await review.populate([
@@ -169,31 +187,25 @@ class ReviewService {
       { path: 'productId', select: 'name sku' }
     ]);
 
-    // Actualizar estadísticas del producto si cambió el rating
-    if (rating !== undefined && rating !== review.rating) {
-      await this.updateProductRatingStats(review.productId);
-    }
-
     return this.formatReviewData(review, true);
   }
 
   // ===== ELIMINAR RESEÑA =====
-  static async deleteReview(reviewId, userId, userRole = null) {
+  static async deleteReview(reviewId, userId, permissions = null) {
     const review = await Review.findById(reviewId);
     if (!review) {
       throw new AppError('Reseña no encontrada', 404, 'REVIEW_NOT_FOUND');
     }
 
     // Verificar permisos
-    if (userRole !== 'admin' && review.userId.toString() !== userId.toString()) {
+    if (!RoleService.includesPermission(permissions, PERMISSIONS.CONTENT_MODERATE) && review.userId.toString() !== userId.toString()) {
       throw new AppError('Solo puedes eliminar tus propias reseñas', 403, 'NOT_REVIEW_AUTHOR');
     }
 
-    const productId = review.productId;
-    await Review.findByIdAndDelete(reviewId);
-
-    // Actualizar estadísticas del producto
-    await this.updateProductRatingStats(productId);
+    await withTransaction(async (session) => {
+      await Review.deleteOne({ _id: review._id }, { session });
+      await this.updateProductRatingStats(review.productId, session);
+    });
 
     return { message: 'Reseña eliminada exitosamente' };
   }
@@ -459,19 +471,94 @@ class ReviewService {
     };
   }
 
-  // ===== UTILITY METHODS =====
+  // ===== ESTADÍSTICAS DE CALIFICACIÓN DEL PRODUCTO =====
+  // Recalcula desde Review y guarda en Product; con `session` la lectura ve
+  // los cambios de la transacción en curso
+  static async updateProductRatingStats(productId, session = null) {
+    const rows = await Review.aggregate([
+      { $match: { productId: new mongoose.Types.ObjectId(productId.toString()) } },
+      { $group: { _id: '$rating', count: { $sum: 1 } } }
+    ]).session(session);
+
+    const histogram = [0, 0, 0, 0, 0];
+    for (const row of rows) {
+      histogram[row._id - 1] = row.count;
+    }
 
-  // Actualizar estadísticas de rating del producto
-  static async updateProductRatingStats(productId) {
-    const stats = await this.getProductReviewStats(productId);
-    
-    // Aquí podrías actualizar el modelo Product con las estadísticas
-    // await Product.findByIdAndUpdate(productId, {
-    //   reviewCount: stats.totalReviews,
-    //   averageRating: stats.averageRating
-    // });
+    const stats = this.buildRatingStats(histogram);
+    await Product.updateOne({ _id: productId }, { $set: stats }, { session });
+
+    return stats;
+  }
+
+  // Promedio, total e histograma, más el puntaje bayesiano para ordenar
+  static buildRatingStats(histogram) {
+    const reviewCount = histogram.reduce((total, count) => total + count, 0);
+    const ratingSum = histogram.reduce((total, count, index) => total + count * (index + 1), 0);
+    const { mean, weight } = RATING_BAYESIAN_PRIOR;
+
+    return {
+      averageRating: reviewCount > 0 ? Math.round((ratingSum / reviewCount) * 100) / 100 : 0,
+      reviewCount,
+      ratingHistogram: histogram,
+      ratingScore: reviewCount > 0
+        ? Math.round(((mean * weight + ratingSum) / (weight + reviewCount)) * 10000) / 10000
+        : 0
+    };
+  }
+
+  // ===== REPARAR ESTADÍSTICAS =====
+  // Recalcula todas las estadísticas desde Review y corrige los productos que
+  // no coinciden (p. ej. tras importaciones o borrados directos en la base).
+  // Lo ejecuta a diario el trabajo reviews.repair_rating_stats
+  static async repairProductRatingStats() {
+    const rows = await Review.aggregate([
+      { $group: { _id: { productId: '$productId', rating: '$rating' }, count: { $sum: 1 } } }
+    ]);
+
+    const histograms = new Map();
+    for (const row of rows) {
+      const key = row._id.productId.toString();
+      if (!histograms.has(key)) {
+        histograms.set(key, [0, 0, 0, 0, 0]);
+      }
+      histograms.get(key)[row._id.rating - 1] = row.count;
+    }
+
+    const products = await Product.find({
+      $or: [
+        { _id: { $in: [...histograms.keys()] } },
+        { reviewCount: { $gt: 0 } },
+        { ratingScore: { $ne: 0 } }
+      ]
+    }).select('averageRating reviewCount ratingHistogram ratingScore');
+
+    const operations = [];
+
+    for (const product of products) {
+      const expected = this.buildRatingStats(histograms.get(product._id.toString()) || [0, 0, 0, 0, 0]);
+      const isConsistent = product.averageRating === expected.averageRating &&
+        product.reviewCount === expected.reviewCount &&
+        product.ratingScore === expected.ratingScore &&
+        expected.ratingHistogram.every((count, index) => (product.ratingHistogram || [])[index] === count);
+
+      if (!isConsistent) {
+        operations.push({ updateOne: { filter: { _id: product._id }, update: { $set: expected } } });
+      }
+    }
+
+    if (operations.length > 0) {
+      await Product.bulkWrite(operations, { ordered: false });
+    }
+
+    return {
+      checkedProducts: products.length,
+      repairedProducts: operations.length
+    };
   }
 
+  // ===== UTILITY METHODS =====
+
   // Formatear datos de reseña para respuesta
   static formatReviewData(review, includeDetails = false) {
     const formatted = {
@@ -0,0 +1,270 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { AppError } = require('../middlewares/errorHandler');
+const {
+  USER_ROLES,
+  PERMISSIONS,
+  PERMISSION_DESCRIPTIONS,
+  PERMISSION_WILDCARD,
+  DEFAULT_ROLE_PERMISSIONS,
+  DEFAULT_ROLE_NAMES,
+  ROLE_PERMISSIONS_CACHE_SECONDS,
+  MFA_REQUIRED_PERMISSIONS
+} = require('../config/constants');
+
+// Permisos por rol ya leídos: { permissions: Set, loadedAt }
+const permissionCache = new Map();
+
+class RoleService {
+  // ===== RESOLVER PERMISOS =====
+  // Lee el rol de la base (con caché breve). Un rol sin documento usa los
+  // permisos por defecto; el rol admin siempre tiene todos para que nadie
+  // pueda dejar el sistema sin administradores
+  static async getRolePermissions(roleName) {
+    if (!roleName) return new Set();
+
+    const cached = permissionCache.get(roleName);
+    if (cached && Date.now() - cached.loadedAt < ROLE_PERMISSIONS_CACHE_SECONDS * 1000) {
+      return cached.permissions;
+    }
+
+    const role = await Role.findOne({ name: roleName }).select('permissions').lean();
+    const permissions = this.buildPermissionSet(roleName, role ? role.permissions : null);
+
+    permissionCache.set(roleName, { permissions, loadedAt: Date.now() });
+    return permissions;
+  }
+
+  // Versión síncrona: usa lo que ya resolvió el middleware de autenticación en
+  // esta petición (o los permisos por defecto). Los servicios no la usan con
+  // el rol del usuario: reciben req.permissions, que ya aplica la política de 2FA
+  static roleHasPermission(roleName, permission) {
+    if (!roleName) return false;
+
+    const cached = permissionCache.get(roleName);
+    const permissions = cached ? cached.permissions : this.buildPermissionSet(roleName, null);
+
+    return this.includesPermission(permissions, permission);
+  }
+
+  // Sin permisos (invitado o sesión sin 2FA) nunca incluye nada
+  static includesPermission(permissions, permission) {
+    if (!permissions) return false;
+
+    return permissions.has(PERMISSION_WILDCARD) || permissions.has(permission);
+  }
+
+  // Un rol con cualquier permiso sensible exige verificación en dos pasos
+  static roleRequiresTwoFactor(roleName) {
+    return MFA_REQUIRED_PERMISSIONS.some(permission => this.roleHasPermission(roleName, permission));
+  }
+
+  // ===== LISTAR PERMISOS =====
+  static getPermissionRegistry() {
+    return Object.values(PERMISSIONS).map(key => ({
+      key,
+      resource: key.split(':')[0],
+      description: PERMISSION_DESCRIPTIONS[key]
+    }));
+  }
+
+  // ===== LISTAR ROLES =====
+  static async getRoles() {
+    const [roles, counts] = await Promise.all([
+      Role.find().sort({ isSystem: -1, name: 1 }),
+      User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+    ]);
+
+    const userCounts = new Map(counts.map(({ _id, count }) => [_id, count]));
+
+    return roles.map(role => this.formatRoleData(role, userCounts.get(role.name) || 0));
+  }
+
+  static async getRoleByName(name) {
+    const role = await this.findRole(name);
+    const userCount = await User.countDocuments({ role: role.name });
+
+    return this.formatRoleData(role, userCount);
+  }
+
+  // ===== CREAR ROL =====
+  static async createRole(roleData, actorPermissions) {
+    const { name, displayName, description, permissions = [] } = roleData;
+
+    const existing = await Role.exists({ name: name.toLowerCase() });
+    if (existing) {
+      throw new AppError('Ya existe un rol con este nombre', 400, 'ROLE_ALREADY_EXISTS');
+    }
+
+    this.assertAssignablePermissions(permissions);
+    this.assertCanGrantPermissions(actorPermissions, permissions);
+
+    const role = await Role.create({
+      name,
+      displayName,
+      description,
+      permissions: [...new Set(permissions)],
+      isSystem: false
+    });
+
+    return this.formatRoleData(role, 0);
+  }
+
+  // ===== ACTUALIZAR ROL =====
+  static async updateRole(name, updateData, actorPermissions) {
+    const role = await this.findRole(name);
+
+    if (role.name === USER_ROLES.ADMIN && updateData.permissions) {
+      throw new AppError('Los permisos del rol admin no se pueden modificar', 403, 'SYSTEM_ROLE_LOCKED');
+    }
+
+    if (updateData.permissions) {
+      this.assertAssignablePermissions(updateData.permissions);
+      this.assertCanGrantPermissions(actorPermissions, updateData.permissions);
+      role.permissions = [...new Set(updateData.permissions)];
+    }
+
+    if (updateData.displayName !== undefined) role.displayName = updateData.displayName;
+    if (updateData.description !== undefined) role.description = updateData.description;
+
+    await role.save();
+    this.invalidateCache(role.name);
+
+    const userCount = await User.countDocuments({ role: role.name });
+    return this.formatRoleData(role, userCount);
+  }
+
+  // ===== ELIMINAR ROL =====
+  static async deleteRole(name) {
+    const role = await this.findRole(name);
+
+    if (role.isSystem) {
+      throw new AppError('Los roles incluidos no se pueden eliminar', 403, 'SYSTEM_ROLE_LOCKED');
+    }
+
+    const userCount = await User.countDocuments({ role: role.name });
+    if (userCount > 0) {
+      throw new AppError(
+        `El rol está asignado a ${userCount} usuario(s); reasígnalos antes de eliminarlo`,
+        409,
+        'ROLE_IN_USE',
+        { userCount }
+      );
+    }
+
+    await role.deleteOne();
+    this.invalidateCache(role.name);
+
+    return { message: 'Rol eliminado exitosamente' };
+  }
+
+  // ===== VALIDAR ROL ASIGNABLE =====
+  // Para crear o actualizar usuarios: el rol debe existir
+  static async assertRoleExists(name) {
+    const exists = DEFAULT_ROLE_PERMISSIONS[name] || await Role.exists({ name });
+
+    if (!exists) {
+      throw new AppError(`El rol "${name}" no existe`, 400, 'ROLE_NOT_FOUND');
+    }
+  }
+
+  // ===== VALIDAR DELEGACIÓN =====
+  // Nadie otorga permisos que no tiene, ni al asignar un rol ni al editarlo;
+  // si no, quien gestiona usuarios podría asignarse el rol admin
+  static async assertCanGrantRole(actorPermissions, roleName) {
+    const rolePermissions = await this.getRolePermissions(roleName);
+    this.assertCanGrantPermissions(actorPermissions, [...rolePermissions]);
+  }
+
+  static assertCanGrantPermissions(actorPermissions, permissions) {
+    const exceeding = this.getExceedingPermissions(actorPermissions, permissions);
+
+    if (exceeding.length > 0) {
+      throw new AppError(
+        `No puedes otorgar permisos que no tienes: ${exceeding.join(', ')}`,
+        403,
+        'PERMISSION_ESCALATION',
+        { exceeding }
+      );
+    }
+  }
+
+  // Permisos de la lista que el actor no tiene (el comodín solo lo cubre otro comodín)
+  static getExceedingPermissions(actorPermissions, permissions) {
+    if (actorPermissions.has(PERMISSION_WILDCARD)) return [];
+
+    return permissions.filter(permission => !actorPermissions.has(permission));
+  }
+
+  // ===== SINCRONIZAR ROLES INCLUIDOS =====
+  // Se ejecuta al iniciar: crea los roles que falten sin tocar los permisos que
+  // los administradores ya hayan editado
+  static async syncSystemRoles() {
+    const operations = Object.entries(DEFAULT_ROLE_PERMISSIONS).map(([name, permissions]) => ({
+      updateOne: {
+        filter: { name },
+        update: {
+          $setOnInsert: { name, displayName: DEFAULT_ROLE_NAMES[name] || name, permissions },
+          $set: { isSystem: true }
+        },
+        upsert: true
+      }
+    }));
+
+    const result = await Role.bulkWrite(operations);
+    permissionCache.clear();
+
+    return { created: result.upsertedCount };
+  }
+
+  // ===== MÉTODOS AUXILIARES =====
+
+  static async findRole(name) {
+    const role = await Role.findOne({ name: String(name).toLowerCase() });
+    if (!role) {
+      throw new AppError('Rol no encontrado', 404, 'ROLE_NOT_FOUND');
+    }
+    return role;
+  }
+
+  static buildPermissionSet(roleName, storedPermissions) {
+    if (roleName === USER_ROLES.ADMIN) {
+      return new Set([PERMISSION_WILDCARD]);
+    }
+
+    return new Set(storedPermissions || DEFAULT_ROLE_PERMISSIONS[roleName] || []);
+  }
+
+  // El comodín queda reservado al rol admin
+  static assertAssignablePermissions(permissions) {
+    const valid = Object.values(PERMISSIONS);
+    const invalid = permissions.filter(permission => !valid.includes(permission));
+
+    if (invalid.length > 0) {
+      throw new AppError(`Permisos inválidos: ${invalid.join(', ')}`, 400, 'INVALID_PERMISSIONS', { invalid });
+    }
+  }
+
+  static invalidateCache(roleName = null) {
+    if (roleName) {
+      permissionCache.delete(roleName);
+    } else {
+      permissionCache.clear();
+    }
+  }
+
+  static formatRoleData(role, userCount = 0) {
+    return {
+      name: role.name,
+      displayName: role.displayName,
+      description: role.description,
+      permissions: role.permissions,
+      isSystem: role.isSystem,
+      userCount,
+      createdAt: role.createdAt,
+      updatedAt: role.updatedAt
+    };
+  }
+}
+
+module.exports = RoleService;
@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { signToken, updateLastLogin } = require('../middlewares/auth');
+const { AppError } = require('../middlewares/errorHandler');
+const RealtimeService = require('./realtimeService');
+const {
+  ACCESS_TOKEN_EXPIRES_IN,
+  REFRESH_TOKEN_TTL_DAYS,
+  SESSION_ROTATED_TOKENS_KEPT,
+  SESSION_REVOKE_REASONS,
+  REALTIME_EVENTS
+} = require('../config/constants');
+
+// Navegadores y sistemas reconocidos para describir el dispositivo
+const BROWSERS = [
+  [/Edg\//, 'Edge'],
+  [/OPR\/|Opera/, 'Opera'],
+  [/Chrome\//, 'Chrome'],
+  [/Firefox\//, 'Firefox'],
+  [/Safari\//, 'Safari']
+];
+
+const PLATFORMS = [
+  [/Android/, 'Android'],
+  [/iPhone|iPad|iPod/, 'iOS'],
+  [/Windows/, 'Windows'],
+  [/Mac OS X|Macintosh/, 'macOS'],
+  [/Linux/, 'Linux']
+];
+
+class SessionService {
+  // ===== CREAR SESIÓN (LOGIN / REGISTRO) =====
+  static async createSession(user, context = {}) {
+    const refreshSecret = this.generateSecret();
+
+    const session = await Session.create({
+      userId: user._id,
+      tokenHash: this.hashToken(refreshSecret),
+      device: context.deviceName || this.describeUserAgent(context.userAgent),
+      userAgent: context.userAgent,
+      ip: context.ip,
+      mfaVerifiedAt: context.mfaVerified ? new Date() : null,
+      expiresAt: this.getRefreshExpiry()
+    });
+
+    await updateLastLogin(user._id);
+
+    return this.issueTokens(session, refreshSecret);
+  }
+
+  // ===== RENOVAR SESIÓN =====
+  // Cada refresh token sirve una sola vez: se emite uno nuevo y el anterior
+  // queda registrado como rotado para detectar reutilización
+  static async refreshSession(refreshToken, context = {}) {
+    const { sessionId, secret } = this.parseRefreshToken(refreshToken);
+    const tokenHash = this.hashToken(secret);
+    const newSecret = this.generateSecret();
+
+    const session = await Session.findOneAndUpdate(
+      Session.activeFilter({ _id: sessionId, tokenHash }),
+      {
+        $set: {
+          tokenHash: this.hashToken(newSecret),
+          lastUsedAt: new Date(),
+          expiresAt: this.getRefreshExpiry(),
+          ...(context.ip && { ip: context.ip }),
+          ...(context.userAgent && { userAgent: context.userAgent })
+        },
+        $push: {
+          rotatedTokenHashes: { $each: [tokenHash], $slice: -SESSION_ROTATED_TOKENS_KEPT }
+        }
+      },
+      { new: true }
+    );
+
+    if (session) {
+      return this.issueTokens(session, newSecret);
+    }
+
+    // Token ya usado: alguien más tiene una copia. Revocar la familia completa.
+    const reused = await Session.findOne({ _id: sessionId, rotatedTokenHashes: tokenHash }).select('_id revokedAt');
+    if (reused) {
+      if (!reused.revokedAt) {
+        await this.revokeSessionById(reused._id, SESSION_REVOKE_REASONS.TOKEN_REUSE);
+      }
+      throw new AppError(
+        'Se detectó la reutilización de un refresh token. La sesión fue revocada; inicia sesión nuevamente.',
+        401,
+        'REFRESH_TOKEN_REUSED'
+      );
+    }
+
+    throw new AppError('Refresh token inválido o expirado', 401, 'INVALID_REFRESH_TOKEN');
+  }
+
+  // ===== LISTAR SESIONES =====
+  static async getUserSessions(userId, currentSessionId = null) {
+    const sessions = await Session.find(Session.activeFilter({ userId }))
+      .sort({ lastUsedAt: -1 });
+
+    return sessions.map(session => this.formatSessionData(session, currentSessionId));
+  }
+
+  // ===== REVOCAR SESIONES =====
+  static async revokeSession(userId, sessionId, reason = SESSION_REVOKE_REASONS.REVOKED) {
+    const session = await Session.findOneAndUpdate(
+      Session.activeFilter({ _id: sessionId, userId }),
+      { $set: { revokedAt: new Date(), revokedReason: reason } },
+      { new: true }
+    );
+
+    if (!session) {
+      throw new AppError('Sesión no encontrada', 404, 'SESSION_NOT_FOUND');
+    }
+
+    await this.closeRealtimeChannels(RealtimeService.sessionChannel(session._id), reason);
+
+    return { message: 'Sesión cerrada exitosamente', sessionId: session._id };
+  }
+
+  // La sesión superó la verificación en dos pasos (al activar 2FA desde ella)
+  static async markMfaVerified(sessionId) {
+    await Session.updateOne(Session.activeFilter({ _id: sessionId }), { $set: { mfaVerifiedAt: new Date() } });
+  }
+
+  static async revokeSessionById(sessionId, reason) {
+    await Session.updateOne(
+      { _id: sessionId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    await this.closeRealtimeChannels(RealtimeService.sessionChannel(sessionId), reason);
+  }
+
+  // Cerrar todas las sesiones del usuario (cambio o reseteo de contraseña)
+  static async revokeAllSessions(userId, reason, options = {}) {
+    const result = await Session.updateMany(
+      Session.activeFilter({ userId }),
+      { $set: { revokedAt: new Date(), revokedReason: reason } },
+      { session: options.session }
+    );
+
+    await this.closeRealtimeChannels(RealtimeService.userChannel(userId), reason, options.session);
+
+    return result.modifiedCount;
+  }
+
+  // ===== MÉTODOS AUXILIARES =====
+
+  // Los canales en tiempo real abiertos con la sesión se cierran al revocarla
+  static async closeRealtimeChannels(channel, reason, session = null) {
+    await RealtimeService.publish(REALTIME_EVENTS.SESSION_REVOKED, [channel], { reason }, { session });
+  }
+
+  static issueTokens(session, refreshSecret) {
+    const accessToken = signToken(session.userId, ACCESS_TOKEN_EXPIRES_IN, { sid: session._id.toString() });
+    const { exp } = jwt.decode(accessToken);
+
+    return {
+      token: accessToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+      tokenExpiry: new Date(exp * 1000),
+      refreshToken: `${session._id}.${refreshSecret}`,
+      refreshTokenExpiry: session.expiresAt,
+      sessionId: session._id
+    };
+  }
+
+  // Formato: "<sessionId>.<secreto>"; el ID permite ubicar la familia
+  static parseRefreshToken(refreshToken) {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+
+    if (!/^[0-9a-fA-F]{24}$/.test(sessionId || '') || !secret) {
+      throw new AppError('Refresh token inválido o expirado', 401, 'INVALID_REFRESH_TOKEN');
+    }
+
+    return { sessionId, secret };
+  }
+
+  static generateSecret() {
+    return crypto.randomBytes(48).toString('base64url');
+  }
+
+  static hashToken(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  static getRefreshExpiry() {
+    return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  }
+
+  // "Chrome en Windows" a partir del User-Agent
+  static describeUserAgent(userAgent) {
+    if (!userAgent) return 'Dispositivo desconocido';
+
+    const browser = BROWSERS.find(([pattern]) => pattern.test(userAgent));
+    const platform = PLATFORMS.find(([pattern]) => pattern.test(userAgent));
+
+    if (!browser && !platform) return userAgent.substring(0, 100);
+
+    return [browser && browser[1], platform && platform[1]].filter(Boolean).join(' en ');
+  }
+
+  static formatSessionData(session, currentSessionId = null) {
+    return {
+      id: session._id,
+      device: session.device,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      mfaVerified: !!session.mfaVerifiedAt,
+      isCurrent: !!currentSessionId && session._id.toString() === currentSessionId.toString()
+    };
+  }
+}
+
+module.exports = SessionService;
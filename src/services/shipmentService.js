@@ -1,62 +1,88 @@
 const Shipment = require('../models/Shipment');
 const Order = require('../models/Order');
+const RoleService = require('./roleService');
+const DomainEventService = require('./domainEventService');
+const { withTransaction } = require('../config/database');
 const { AppError } = require('../middlewares/errorHandler');
 const { calculatePagination } = require('../middlewares/responseFormatter');
-const { SHIPMENT_STATUS, ORDER_STATUS } = require('../config/constants');
+const {
+  SHIPMENT_STATUS,
+  ORDER_STATUS,
+  PERMISSIONS,
+  DOMAIN_EVENTS
+} = require('../config/constants');
+
+// Envíos que se detallan en el resultado de la revisión de retrasos
+const DELAYED_SHIPMENTS_REPORT_LIMIT = 50;
 
 class ShipmentService {
   // ===== CREAR ENVÍO DESDE ORDEN =====
+  // El envío y el paso de la orden a SHIPPED se guardan en la misma transacción
   static async createShipmentFromOrder(orderId, shipmentData) {
     const { carrierId, carrierName, trackingNumber, estimatedDelivery, notes } = shipmentData;
 
-    // Verificar que la orden exista y esté en estado válido
-    const order = await Order.findById(orderId);
-    
-    if (!order) {
-      throw new AppError('Orden no encontrada', 404, 'ORDER_NOT_FOUND');
-    }
+    const shipment = await withTransaction(async (session) => {
+      // Verificar que la orden exista y esté en estado válido
+      const order = await Order.findById(orderId).session(session);
 
-    if (order.status !== ORDER_STATUS.PROCESSING) {
-      throw new AppError('La orden debe estar en estado "procesando" para crear un envío', 400, 'INVALID_ORDER_STATUS');
-    }
+      if (!order) {
+        throw new AppError('Orden no encontrada', 404, 'ORDER_NOT_FOUND');
+      }
 
-    // Verificar que no exista ya un envío activo para esta orden
-    const existingShipment = await Shipment.findOne({ 
-      orderId, 
-      status: { $nin: [SHIPMENT_STATUS.CANCELLED] } 
-    });
-    
-    if (existingShipment) {
-      throw new AppError('Ya existe un envío activo para esta orden', 400, 'SHIPMENT_ALREADY_EXISTS');
-    }
+      if (order.status !== ORDER_STATUS.PROCESSING) {
+        throw new AppError('La orden debe estar en estado "procesando" para crear un envío', 400, 'INVALID_ORDER_STATUS');
+      }
 
-    // Crear envío
-    const shipment = await Shipment.create({
-      orderId,
-      userId: order.userId,
-      trackingNumber: trackingNumber || this.generateTrackingNumber(),
-      carrierId,
-      carrierName,
-      status: SHIPMENT_STATUS.PENDING,
-      shippingAddress: order.shippingAddress,
-      estimatedDelivery: estimatedDelivery || this.calculateEstimatedDelivery(),
-      notes
-    });
+      // Verificar que no exista ya un envío activo para esta orden
+      const existingShipment = await Shipment.findOne({ 
+        orderId, 
+        status: { $nin: [SHIPMENT_STATUS.CANCELLED] } 
+      }).session(session);
+      
+      if (existingShipment) {
+        throw new AppError('Ya existe un envío activo para esta orden', 400, 'SHIPMENT_ALREADY_EXISTS');
+      }
+
+      // Crear envío
+      const [shipment] = await Shipment.create([{
+        orderId,
+        userId: order.userId,
+        trackingNumber: trackingNumber || this.generateTrackingNumber(),
+        carrierId,
+        carrierName,
+        status: SHIPMENT_STATUS.PENDING,
+        // Las líneas conservan la variante vendida (SKU de la variante)
+        items: order.items.map(item => ({
+          productId: item.productId,
+          variantId: item.variantId,
+          name: item.variantLabel ? `${item.productName} (${item.variantLabel})` : item.productName,
+          sku: item.productSku,
+          quantity: item.quantity
+        })),
+        shippingAddress: order.shippingAddress,
+        estimatedDelivery: estimatedDelivery || this.calculateEstimatedDelivery(),
+        notes
+      }], { session });
 
-    // Actualizar estado de la orden
-    order.status = ORDER_STATUS.SHIPPED;
-    order.statusHistory.push({
-      status: ORDER_STATUS.SHIPPED,
-      timestamp: new Date(),
-      notes: `Envío creado - Tracking: ${shipment.trackingNumber}`
+      // Actualizar estado de la orden
+      const previousOrderStatus = order.status;
+      order.status = ORDER_STATUS.SHIPPED;
+      order.statusHistory.push({
+        status: ORDER_STATUS.SHIPPED,
+        timestamp: new Date(),
+        notes: `Envío creado - Tracking: ${shipment.trackingNumber}`
+      });
+      await order.save({ session });
+      await this.emitOrderStatusChanged(order, previousOrderStatus, session);
+
+      return shipment;
     });
-    await order.save();
 
     return this.formatShipmentData(shipment, true);
   }
 
   // ===== OBTENER ENVÍO POR ID =====
-  static async getShipmentById(shipmentId, userId = null, userRole = null) {
+  static async getShipmentById(shipmentId, userId = null, permissions = null) {
     const shipment = await Shipment.findById(shipmentId)
       .populate('orderId', 'orderNumber finalAmount')
       .populate('userId', 'firstName lastName email');
@@ -66,7 +92,7 @@ class ShipmentService {
     }
 
     // Verificar permisos
-    if (userRole !== 'admin' && userId && shipment.userId._id.toString() !== userId.toString()) {
+    if (!RoleService.includesPermission(permissions, PERMISSIONS.SHIPMENTS_READ) && userId && shipment.userId._id.toString() !== userId.toString()) {
       throw new AppError('No tienes permisos para ver este envío', 403, 'ACCESS_DENIED');
     }
 
@@ -150,60 +176,71 @@ class ShipmentService {
   }
 
   // ===== ACTUALIZAR ESTADO DE ENVÍO (ADMIN) =====
+  // El envío, la orden (si se entrega) y sus eventos se guardan en una sola
+  // transacción: el aviso al cliente, los canales en tiempo real y los
+  // webhooks salen de los eventos (services/events)
   static async updateShipmentStatus(shipmentId, statusData) {
     const { status, location, notes } = statusData;
+    let oldStatus;
 
-    const shipment = await Shipment.findById(shipmentId);
+    const shipment = await withTransaction(async (session) => {
+      const shipment = await Shipment.findById(shipmentId).session(session);
 
-    if (!shipment) {
-      throw new AppError('Envío no encontrado', 404, 'SHIPMENT_NOT_FOUND');
-    }
+      if (!shipment) {
+        throw new AppError('Envío no encontrado', 404, 'SHIPMENT_NOT_FOUND');
+      }
 
-    // Validar transición de estado
-    const validTransitions = this.getValidStatusTransitions(shipment.status);
-    if (!validTransitions.includes(status)) {
-      throw new AppError(
-        `No se puede cambiar de ${shipment.status} a ${status}`,
-        400,
-        'INVALID_STATUS_TRANSITION'
-      );
-    }
+      // Validar transición de estado
+      const validTransitions = this.getValidStatusTransitions(shipment.status);
+      if (!validTransitions.includes(status)) {
+        throw new AppError(
+          `No se puede cambiar de ${shipment.status} a ${status}`,
+          400,
+          'INVALID_STATUS_TRANSITION'
+        );
+      }
 
-    // Actualizar estado
-    const oldStatus = shipment.status;
-    shipment.status = status;
+      // Actualizar estado
+      oldStatus = shipment.status;
+      shipment.status = status;
 
-    if (location) {
-      shipment.currentLocation = location;
-    }
+      if (location) {
+        shipment.currentLocation = location;
+      }
 
-    // Agregar entrada al tracking
-    shipment.trackingHistory.push({
-      status,
-      location: location || shipment.currentLocation,
-      timestamp: new Date(),
-      description: this.getStatusDescription(status),
-      notes
-    });
+      // Agregar entrada al tracking
+      shipment.trackingHistory.push({
+        status,
+        location: location || shipment.currentLocation,
+        timestamp: new Date(),
+        description: this.getStatusDescription(status),
+        notes
+      });
 
-    // Si se entrega, actualizar fecha de entrega
-    if (status === SHIPMENT_STATUS.DELIVERED) {
-      shipment.deliveredAt = new Date();
-      
-      // Actualizar estado de la orden
-      const order = await Order.findById(shipment.orderId);
-      if (order) {
-        order.status = ORDER_STATUS.DELIVERED;
-        order.statusHistory.push({
-          status: ORDER_STATUS.DELIVERED,
-          timestamp: new Date(),
-          notes: 'Entregado'
-        });
-        await order.save();
+      const order = await Order.findById(shipment.orderId).session(session);
+
+      // Si se entrega, actualizar fecha de entrega y estado de la orden
+      if (status === SHIPMENT_STATUS.DELIVERED) {
+        shipment.deliveredAt = new Date();
+
+        if (order) {
+          const previousOrderStatus = order.status;
+          order.status = ORDER_STATUS.DELIVERED;
+          order.statusHistory.push({
+            status: ORDER_STATUS.DELIVERED,
+            timestamp: new Date(),
+            notes: 'Entregado'
+          });
+          await order.save({ session });
+          await this.emitOrderStatusChanged(order, previousOrderStatus, session);
+        }
       }
-    }
 
-    await shipment.save();
+      await shipment.save({ session });
+      await this.emitStatusChanged(shipment, oldStatus, order, session);
+
+      return shipment;
+    });
 
     return {
       shipment: this.formatShipmentData(shipment, true),
@@ -245,6 +282,29 @@ class ShipmentService {
     };
   }
 
+  // ===== SEGUIMIENTO DE LOS ENVÍOS DE UNA ORDEN =====
+  // Datos públicos de rastreo (sin notas internas)
+  static async getOrderTracking(orderId) {
+    const shipments = await Shipment.find({ orderId }).sort('createdAt');
+
+    return shipments.map(shipment => ({
+      id: shipment._id,
+      trackingNumber: shipment.trackingNumber,
+      carrier: shipment.carrier,
+      status: shipment.status,
+      statusDescription: this.getStatusDescription(shipment.status),
+      items: shipment.items.map(item => ({
+        productId: item.productId,
+        variantId: item.variantId,
+        name: item.name,
+        quantity: item.quantity
+      })),
+      shippedAt: shipment.shippedAt,
+      estimatedDeliveryAt: shipment.estimatedDeliveryAt,
+      deliveredAt: shipment.deliveredAt
+    }));
+  }
+
   // ===== OBTENER ENVÍOS POR ESTADO =====
   static async getShipmentsByStatus(status, paginationData) {
     const { page, limit } = paginationData;
@@ -287,8 +347,7 @@ class ShipmentService {
       status: { $in: [SHIPMENT_STATUS.PENDING, SHIPMENT_STATUS.IN_TRANSIT] },
       estimatedDelivery: { $lt: now }
     })
-      .populate('orderId', 'orderNumber finalAmount')
-      .populate('userId', 'firstName lastName email')
+      .populate('orderId', 'orderNumber finalAmount userId')
       .sort({ estimatedDelivery: 1 });
 
     return shipments.map(shipment => ({
@@ -297,45 +356,78 @@ class ShipmentService {
     }));
   }
 
-  // ===== CANCELAR ENVÍO (ADMIN) =====
-  static async cancelShipment(shipmentId, reason) {
-    const shipment = await Shipment.findById(shipmentId);
+  // ===== REVISAR ENVÍOS RETRASADOS =====
+  // Lo ejecuta cada hora el trabajo shipments.check_delayed; el resumen queda
+  // como resultado del trabajo en /api/jobs
+  static async checkDelayedShipments() {
+    const delayed = await this.getDelayedShipments();
 
-    if (!shipment) {
-      throw new AppError('Envío no encontrado', 404, 'SHIPMENT_NOT_FOUND');
+    if (delayed.length > 0) {
+      console.log(`🚚 Envíos retrasados: ${delayed.length}`);
     }
 
-    if (shipment.status === SHIPMENT_STATUS.DELIVERED) {
-      throw new AppError('No se puede cancelar un envío ya entregado', 400, 'CANNOT_CANCEL_DELIVERED');
-    }
+    return {
+      delayedCount: delayed.length,
+      maxDelayDays: delayed.reduce((max, shipment) => Math.max(max, shipment.delayDays), 0),
+      shipments: delayed.slice(0, DELAYED_SHIPMENTS_REPORT_LIMIT).map(shipment => ({
+        id: shipment.id,
+        trackingNumber: shipment.trackingNumber,
+        orderNumber: shipment.orderId && shipment.orderId.orderNumber,
+        carrierName: shipment.carrierName,
+        status: shipment.status,
+        estimatedDelivery: shipment.estimatedDelivery,
+        delayDays: shipment.delayDays
+      }))
+    };
+  }
 
-    // Actualizar estado
-    shipment.status = SHIPMENT_STATUS.CANCELLED;
-    shipment.cancelledAt = new Date();
-    shipment.cancellationReason = reason;
-
-    // Agregar entrada al tracking
-    shipment.trackingHistory.push({
-      status: SHIPMENT_STATUS.CANCELLED,
-      location: shipment.currentLocation,
-      timestamp: new Date(),
-      description: 'Envío cancelado',
-      notes: reason
-    });
+  // ===== CANCELAR ENVÍO (ADMIN) =====
+  static async cancelShipment(shipmentId, reason) {
+    const shipment = await withTransaction(async (session) => {
+      const shipment = await Shipment.findById(shipmentId).session(session);
+
+      if (!shipment) {
+        throw new AppError('Envío no encontrado', 404, 'SHIPMENT_NOT_FOUND');
+      }
 
-    await shipment.save();
+      if (shipment.status === SHIPMENT_STATUS.DELIVERED) {
+        throw new AppError('No se puede cancelar un envío ya entregado', 400, 'CANNOT_CANCEL_DELIVERED');
+      }
 
-    // Actualizar orden si es necesario
-    const order = await Order.findById(shipment.orderId);
-    if (order && order.status === ORDER_STATUS.SHIPPED) {
-      order.status = ORDER_STATUS.PROCESSING;
-      order.statusHistory.push({
-        status: ORDER_STATUS.PROCESSING,
+      // Actualizar estado
+      const previousStatus = shipment.status;
+      shipment.status = SHIPMENT_STATUS.CANCELLED;
+      shipment.cancelledAt = new Date();
+      shipment.cancellationReason = reason;
+
+      // Agregar entrada al tracking
+      shipment.trackingHistory.push({
+        status: SHIPMENT_STATUS.CANCELLED,
+        location: shipment.currentLocation,
         timestamp: new Date(),
-        notes: `Envío cancelado: ${reason}`
+        description: 'Envío cancelado',
+        notes: reason
       });
-      await order.save();
-    }
+
+      await shipment.save({ session });
+
+      // Actualizar orden si es necesario
+      const order = await Order.findById(shipment.orderId).session(session);
+      if (order && order.status === ORDER_STATUS.SHIPPED) {
+        order.status = ORDER_STATUS.PROCESSING;
+        order.statusHistory.push({
+          status: ORDER_STATUS.PROCESSING,
+          timestamp: new Date(),
+          notes: `Envío cancelado: ${reason}`
+        });
+        await order.save({ session });
+        await this.emitOrderStatusChanged(order, ORDER_STATUS.SHIPPED, session);
+      }
+
+      await this.emitStatusChanged(shipment, previousStatus, order, session);
+
+      return shipment;
+    });
 
     return this.formatShipmentData(shipment, true);
   }
@@ -428,6 +520,28 @@ class ShipmentService {
 
   // ===== UTILITY METHODS =====
 
+  // Evento de dominio del cambio de estado con el último movimiento de tracking
+  static async emitStatusChanged(shipment, previousStatus, order, session) {
+    const lastEvent = shipment.trackingHistory?.[shipment.trackingHistory.length - 1];
+
+    await DomainEventService.emit(DOMAIN_EVENTS.SHIPMENT_STATUS_CHANGED, {
+      shipmentId: shipment._id,
+      orderId: shipment.orderId,
+      userId: (order && order.userId) || null,
+      trackingNumber: shipment.trackingNumber || null,
+      status: shipment.status,
+      previousStatus,
+      location: (lastEvent && lastEvent.location) || null,
+      description: (lastEvent && lastEvent.description) || null
+    }, { session });
+  }
+
+  static async emitOrderStatusChanged(order, previousStatus, session) {
+    // Require diferido: OrderService depende de este servicio
+    const OrderService = require('./orderService');
+    await OrderService.emitStatusChanged(order, previousStatus, session);
+  }
+
   // Generar número de tracking único
   static generateTrackingNumber() {
     const timestamp = Date.now().toString();
@@ -460,9 +574,11 @@ class ShipmentService {
   static getStatusDescription(status) {
     const descriptions = {
       [SHIPMENT_STATUS.PENDING]: 'Envío creado - Preparando para despacho',
+      [SHIPMENT_STATUS.PICKED_UP]: 'Recolectado por la paquetería',
       [SHIPMENT_STATUS.IN_TRANSIT]: 'En tránsito hacia el destino',
       [SHIPMENT_STATUS.OUT_FOR_DELIVERY]: 'En reparto - Será entregado hoy',
       [SHIPMENT_STATUS.DELIVERED]: 'Entregado exitosamente',
+      [SHIPMENT_STATUS.FAILED_ATTEMPT]: 'Intento de entrega fallido',
       [SHIPMENT_STATUS.RETURNED]: 'Devuelto al remitente',
       [SHIPMENT_STATUS.CANCELLED]: 'Envío cancelado'
     };
@@ -489,6 +605,7 @@ class ShipmentService {
     };
 
     if (includeDetails) {
+      formatted.items = shipment.items;
       formatted.shippingAddress = shipment.shippingAddress;
       formatted.trackingHistory = shipment.trackingHistory;
       formatted.notes = shipment.notes;
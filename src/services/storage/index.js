@@ -0,0 +1,46 @@
+const LocalStorage = require('./localStorage');
+const S3Storage = require('./s3Storage');
+const { AppError } = require('../../middlewares/errorHandler');
+const {
+  MEDIA_STORAGE_DRIVERS,
+  MEDIA_STORAGE_DRIVER,
+  DATA_EXPORT_STORAGE_DRIVER,
+  DATA_EXPORT_DIR
+} = require('../../config/constants');
+
+// ===== REGISTRO DE BACKENDS DE ALMACENAMIENTO =====
+// Los backends se instancian al primer uso para no crear clientes que no se usan
+const factories = new Map();
+const instances = new Map();
+
+const registerStorage = (name, factory) => {
+  factories.set(name, factory);
+  instances.delete(name);
+};
+
+const getStorage = (name = MEDIA_STORAGE_DRIVER) => {
+  if (!instances.has(name)) {
+    const factory = factories.get(name);
+
+    if (!factory) {
+      throw new AppError(`Almacenamiento no soportado: ${name}`, 500, 'STORAGE_DRIVER_NOT_FOUND');
+    }
+
+    instances.set(name, factory());
+  }
+
+  return instances.get(name);
+};
+
+// Backends incluidos
+registerStorage(MEDIA_STORAGE_DRIVERS.LOCAL, () => new LocalStorage());
+registerStorage(MEDIA_STORAGE_DRIVERS.S3, () => new S3Storage());
+
+// Exportaciones de datos personales: directorio fuera de los estáticos públicos
+// (se puede reemplazar con registerStorage, p. ej. por un bucket privado)
+registerStorage(DATA_EXPORT_STORAGE_DRIVER, () => new LocalStorage({ rootDir: DATA_EXPORT_DIR, baseUrl: '' }));
+
+module.exports = {
+  registerStorage,
+  getStorage
+};
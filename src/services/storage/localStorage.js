@@ -0,0 +1,58 @@
+const fs = require('fs/promises');
+const path = require('path');
+const StorageAdapter = require('./storageAdapter');
+const { AppError } = require('../../middlewares/errorHandler');
+const { MEDIA_STORAGE_DRIVERS, MEDIA_LOCAL_DIR, MEDIA_PUBLIC_BASE_URL } = require('../../config/constants');
+
+// ===== ALMACENAMIENTO EN DISCO LOCAL =====
+// Los archivos se sirven como estáticos desde MEDIA_PUBLIC_BASE_URL (ver app.js)
+class LocalStorage extends StorageAdapter {
+  constructor({ rootDir = MEDIA_LOCAL_DIR, baseUrl = MEDIA_PUBLIC_BASE_URL } = {}) {
+    super(MEDIA_STORAGE_DRIVERS.LOCAL);
+    this.rootDir = path.resolve(rootDir);
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  async put(key, buffer, contentType) {
+    const filePath = this.resolvePath(key);
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+
+    return { key, url: this.getUrl(key), size: buffer.length };
+  }
+
+  async get(key) {
+    try {
+      return await fs.readFile(this.resolvePath(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    try {
+      await fs.unlink(this.resolvePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  getUrl(key) {
+    return `${this.baseUrl}/${key}`;
+  }
+
+  // Impedir claves que escapen del directorio raíz
+  resolvePath(key) {
+    const filePath = path.resolve(this.rootDir, key);
+
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new AppError('Clave de archivo inválida', 400, 'INVALID_STORAGE_KEY');
+    }
+
+    return filePath;
+  }
+}
+
+module.exports = LocalStorage;
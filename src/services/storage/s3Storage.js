@@ -0,0 +1,80 @@
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const StorageAdapter = require('./storageAdapter');
+const { MEDIA_STORAGE_DRIVERS, S3_CONFIG } = require('../../config/constants');
+
+// ===== ALMACENAMIENTO COMPATIBLE CON S3 =====
+// Funciona con AWS S3 o con un servicio local compatible (MinIO) definiendo
+// S3_ENDPOINT y S3_FORCE_PATH_STYLE=true
+class S3Storage extends StorageAdapter {
+  constructor(config = S3_CONFIG) {
+    super(MEDIA_STORAGE_DRIVERS.S3);
+    this.bucket = config.bucket;
+    this.endpoint = config.endpoint;
+    this.region = config.region;
+    this.forcePathStyle = config.forcePathStyle;
+    this.publicUrl = config.publicUrl;
+
+    this.client = new S3Client({
+      region: config.region,
+      endpoint: config.endpoint,
+      forcePathStyle: config.forcePathStyle,
+      ...(config.accessKeyId && {
+        credentials: {
+          accessKeyId: config.accessKeyId,
+          secretAccessKey: config.secretAccessKey
+        }
+      })
+    });
+  }
+
+  async put(key, buffer, contentType) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType,
+      CacheControl: 'public, max-age=31536000, immutable'
+    }));
+
+    return { key, url: this.getUrl(key), size: buffer.length };
+  }
+
+  async get(key) {
+    try {
+      const response = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: key
+      }));
+
+      return Buffer.from(await response.Body.transformToByteArray());
+    } catch (error) {
+      if (error.name === 'NoSuchKey') return null;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    // S3 responde con éxito aunque el objeto no exista
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }));
+  }
+
+  getUrl(key) {
+    if (this.publicUrl) {
+      return `${this.publicUrl.replace(/\/+$/, '')}/${key}`;
+    }
+
+    if (this.endpoint) {
+      const endpoint = this.endpoint.replace(/\/+$/, '');
+      return this.forcePathStyle
+        ? `${endpoint}/${this.bucket}/${key}`
+        : endpoint.replace('://', `://${this.bucket}.`) + `/${key}`;
+    }
+
+    return `https://${this.bucket}.s3.${this.region}.amazonaws.com/${key}`;
+  }
+}
+
+module.exports = S3Storage;
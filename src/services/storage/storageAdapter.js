@@ -0,0 +1,40 @@
+const { AppError } = require('../../middlewares/errorHandler');
+
+// ===== INTERFAZ DE ALMACENAMIENTO =====
+// Cada backend guarda archivos bajo una clave relativa (p. ej.
+// "products/<id>/<archivo>.webp") y sabe construir su URL pública.
+class StorageAdapter {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Guardar el contenido bajo la clave indicada → { key, url, size }
+  async put(key, buffer, contentType) {
+    throw this.notImplemented('put');
+  }
+
+  // Leer el contenido de la clave → Buffer, o null si no existe
+  async get(key) {
+    throw this.notImplemented('get');
+  }
+
+  // Eliminar el archivo; no falla si ya no existe
+  async delete(key) {
+    throw this.notImplemented('delete');
+  }
+
+  // URL pública del archivo
+  getUrl(key) {
+    throw this.notImplemented('getUrl');
+  }
+
+  notImplemented(operation) {
+    return new AppError(
+      `El almacenamiento ${this.name} no soporta la operación ${operation}`,
+      501,
+      'STORAGE_OPERATION_NOT_SUPPORTED'
+    );
+  }
+}
+
+module.exports = StorageAdapter;
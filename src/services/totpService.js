@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const { TOTP_SETTINGS } = require('../config/constants');
+
+// Alfabeto base32 de RFC 4648 (el que usan las apps autenticadoras)
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// ===== TOTP (RFC 6238) / HOTP (RFC 4226) =====
+// Implementación sin dependencias ni red: todo se calcula con crypto, por lo
+// que se puede comprobar contra los vectores de prueba de los RFC
+class TotpService {
+  // ===== SECRETOS =====
+  // 20 bytes = 160 bits, el tamaño recomendado para HMAC-SHA1
+  static generateSecret(size = 20) {
+    return this.base32Encode(crypto.randomBytes(size));
+  }
+
+  static base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  // Acepta minúsculas, espacios, guiones y relleno "=" como los muestran las apps
+  static base32Decode(input) {
+    const clean = String(input || '').toUpperCase().replace(/[\s=-]/g, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of clean) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error(`Carácter base32 inválido: ${char}`);
+      }
+
+      value = (value << 5) | index;
+      bits += 5;
+
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  // ===== GENERACIÓN =====
+  // `secret` puede ser un Buffer (clave cruda, como en los vectores del RFC)
+  // o un string base32 (como se guarda y se muestra al usuario)
+  static generateHotp(secret, counter, options = {}) {
+    const { algorithm, digits } = { ...TOTP_SETTINGS, ...options };
+    const key = Buffer.isBuffer(secret) ? secret : this.base32Decode(secret);
+
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac(algorithm, key).update(message).digest();
+
+    // Truncamiento dinámico (RFC 4226, sección 5.3)
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+      | (hmac[offset + 1] << 16)
+      | (hmac[offset + 2] << 8)
+      | hmac[offset + 3];
+
+    return String(binary % 10 ** digits).padStart(digits, '0');
+  }
+
+  static getTimeStep(time = Date.now(), options = {}) {
+    const { period } = { ...TOTP_SETTINGS, ...options };
+    return Math.floor(time / 1000 / period);
+  }
+
+  // `time` en milisegundos
+  static generateCode(secret, time = Date.now(), options = {}) {
+    return this.generateHotp(secret, this.getTimeStep(time, options), options);
+  }
+
+  // ===== VERIFICACIÓN =====
+  // Devuelve el paso de tiempo del código aceptado (para impedir que se reuse)
+  // o null si no coincide con ninguno dentro de la ventana
+  static verifyCode(secret, code, options = {}) {
+    const settings = { ...TOTP_SETTINGS, ...options };
+    const candidate = String(code || '').replace(/\s/g, '');
+
+    if (!new RegExp(`^\\d{${settings.digits}}$`).test(candidate)) {
+      return null;
+    }
+
+    const currentStep = this.getTimeStep(settings.time || Date.now(), settings);
+
+    for (let drift = -settings.window; drift <= settings.window; drift++) {
+      const step = currentStep + drift;
+      const expected = this.generateHotp(secret, step, settings);
+
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  // ===== URI DE APROVISIONAMIENTO =====
+  // otpauth://totp/Emisor:cuenta?secret=...; es lo que codifica el QR
+  static buildOtpauthUri({ secret, accountName, issuer }) {
+    const { algorithm, digits, period } = TOTP_SETTINGS;
+    const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+    // encodeURIComponent y no URLSearchParams: algunas apps muestran "+" en lugar de espacios
+    const params = [
+      `secret=${secret}`,
+      `issuer=${encodeURIComponent(issuer)}`,
+      `algorithm=${algorithm.toUpperCase()}`,
+      `digits=${digits}`,
+      `period=${period}`
+    ];
+
+    return `otpauth://totp/${label}?${params.join('&')}`;
+  }
+}
+
+module.exports = TotpService;
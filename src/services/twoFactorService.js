@@ -0,0 +1,310 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const TotpService = require('./totpService');
+const SessionService = require('./sessionService');
+const MailService = require('./mailService');
+const { signToken, verifyToken, requiresTwoFactor } = require('../middlewares/auth');
+const { AppError } = require('../middlewares/errorHandler');
+const {
+  MFA_ISSUER,
+  TOTP_SETTINGS,
+  MFA_RECOVERY_CODES_COUNT,
+  MFA_PENDING_SCOPE,
+  MFA_PENDING_TOKEN_EXPIRES_IN
+} = require('../config/constants');
+
+// Campos ocultos necesarios para verificar un segundo factor
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.recoveryCodes';
+
+class TwoFactorService {
+  // ===== ESTADO =====
+  static async getStatus(userId) {
+    const user = await User.findById(userId).select('+twoFactor.recoveryCodes');
+    if (!user) {
+      throw new AppError('Usuario no encontrado', 404, 'USER_NOT_FOUND');
+    }
+
+    return this.formatStatus(user);
+  }
+
+  // ===== INICIAR ACTIVACIÓN =====
+  // Genera un secreto pendiente; 2FA no se activa hasta confirmar un código
+  static async startSetup(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new AppError('Usuario no encontrado', 404, 'USER_NOT_FOUND');
+    }
+
+    if (user.isTwoFactorEnabled) {
+      throw new AppError('La verificación en dos pasos ya está activa', 400, 'TWO_FACTOR_ALREADY_ENABLED');
+    }
+
+    const secret = TotpService.generateSecret();
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'twoFactor.pendingSecret': this.encryptSecret(secret), 'twoFactor.pendingCreatedAt': new Date() } }
+    );
+
+    return {
+      secret,
+      otpauthUri: TotpService.buildOtpauthUri({ secret, accountName: user.email, issuer: MFA_ISSUER }),
+      issuer: MFA_ISSUER,
+      accountName: user.email,
+      algorithm: TOTP_SETTINGS.algorithm.toUpperCase(),
+      digits: TOTP_SETTINGS.digits,
+      period: TOTP_SETTINGS.period
+    };
+  }
+
+  // ===== CONFIRMAR Y ACTIVAR =====
+  // El primer código válido demuestra que la app quedó configurada; la sesión
+  // actual queda verificada y se entregan los códigos de recuperación
+  static async enable(userId, code, sessionId = null) {
+    const user = await User.findById(userId).select('+twoFactor.pendingSecret');
+    if (!user) {
+      throw new AppError('Usuario no encontrado', 404, 'USER_NOT_FOUND');
+    }
+
+    if (user.isTwoFactorEnabled) {
+      throw new AppError('La verificación en dos pasos ya está activa', 400, 'TWO_FACTOR_ALREADY_ENABLED');
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      throw new AppError('Primero inicia la configuración en /api/auth/2fa/setup', 400, 'TWO_FACTOR_SETUP_REQUIRED');
+    }
+
+    const step = TotpService.verifyCode(this.decryptSecret(user.twoFactor.pendingSecret), code);
+    if (step === null) {
+      throw new AppError('Código de verificación incorrecto', 400, 'INVALID_TWO_FACTOR_CODE');
+    }
+
+    const { codes, recoveryCodes } = this.generateRecoveryCodes();
+    const enabledAt = new Date();
+
+    // Condición sobre pendingSecret: dos confirmaciones simultáneas no
+    // pueden activar 2FA con juegos de códigos distintos
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.enabled': { $ne: true }, 'twoFactor.pendingSecret': user.twoFactor.pendingSecret },
+      {
+        $set: {
+          'twoFactor.enabled': true,
+          'twoFactor.enabledAt': enabledAt,
+          'twoFactor.secret': user.twoFactor.pendingSecret,
+          'twoFactor.recoveryCodes': recoveryCodes,
+          'twoFactor.lastUsedStep': step
+        },
+        $unset: { 'twoFactor.pendingSecret': '', 'twoFactor.pendingCreatedAt': '' }
+      }
+    );
+
+    if (result.modifiedCount === 0) {
+      throw new AppError('La verificación en dos pasos ya está activa', 400, 'TWO_FACTOR_ALREADY_ENABLED');
+    }
+
+    if (sessionId) {
+      await SessionService.markMfaVerified(sessionId);
+    }
+
+    await MailService.sendTemplateSafely('twoFactorEnabled', user.email, { firstName: user.firstName });
+
+    return {
+      enabled: true,
+      enabledAt,
+      recoveryCodes: codes
+    };
+  }
+
+  // ===== DESACTIVAR =====
+  // Exige contraseña y un segundo factor; los roles obligados no pueden desactivarlo
+  static async disable(userId, { password, code, recoveryCode }) {
+    const user = await User.findById(userId).select(`+passwordHash ${SECRET_FIELDS}`);
+    if (!user) {
+      throw new AppError('Usuario no encontrado', 404, 'USER_NOT_FOUND');
+    }
+
+    if (!user.isTwoFactorEnabled) {
+      throw new AppError('La verificación en dos pasos no está activa', 400, 'TWO_FACTOR_NOT_ENABLED');
+    }
+
+    if (requiresTwoFactor(user)) {
+      throw new AppError('Tu rol requiere mantener activa la verificación en dos pasos', 403, 'TWO_FACTOR_REQUIRED_FOR_ROLE');
+    }
+
+    const isValidPassword = await bcrypt.compare(password, user.passwordHash);
+    if (!isValidPassword) {
+      throw new AppError('La contraseña es incorrecta', 400, 'INVALID_PASSWORD');
+    }
+
+    await this.verifySecondFactor(user, { code, recoveryCode });
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { 'twoFactor.enabled': false, 'twoFactor.enabledAt': null, 'twoFactor.lastUsedStep': null },
+        $unset: { 'twoFactor.secret': '', 'twoFactor.recoveryCodes': '' }
+      }
+    );
+
+    await MailService.sendTemplateSafely('twoFactorDisabled', user.email, { firstName: user.firstName });
+
+    return { enabled: false, message: 'Verificación en dos pasos desactivada' };
+  }
+
+  // ===== REGENERAR CÓDIGOS DE RECUPERACIÓN =====
+  // Invalida los anteriores; requiere un código de la app (no uno de recuperación)
+  static async regenerateRecoveryCodes(userId, code) {
+    const user = await User.findById(userId).select(SECRET_FIELDS);
+    if (!user) {
+      throw new AppError('Usuario no encontrado', 404, 'USER_NOT_FOUND');
+    }
+
+    if (!user.isTwoFactorEnabled) {
+      throw new AppError('La verificación en dos pasos no está activa', 400, 'TWO_FACTOR_NOT_ENABLED');
+    }
+
+    await this.verifySecondFactor(user, { code });
+
+    const { codes, recoveryCodes } = this.generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodes': recoveryCodes } });
+
+    return { recoveryCodes: codes };
+  }
+
+  // ===== DESAFÍO DE LOGIN =====
+  // Tras validar la contraseña se entrega un token mfa_pending de vida corta;
+  // no pertenece a ninguna sesión, así que no sirve como token de acceso
+  static createLoginChallenge(user) {
+    return {
+      mfaRequired: true,
+      mfaToken: signToken(user._id, MFA_PENDING_TOKEN_EXPIRES_IN, { scope: MFA_PENDING_SCOPE }),
+      expiresIn: MFA_PENDING_TOKEN_EXPIRES_IN,
+      methods: ['totp', 'recovery_code']
+    };
+  }
+
+  // Devuelve el usuario del token (con los campos de SECRET_FIELDS) para
+  // verificar después el segundo factor
+  static async resolveLoginChallenge(mfaToken) {
+    let decoded;
+    try {
+      decoded = verifyToken(mfaToken);
+    } catch (error) {
+      throw new AppError('La verificación expiró. Inicia sesión nuevamente.', 401, 'INVALID_MFA_TOKEN');
+    }
+
+    if (decoded.scope !== MFA_PENDING_SCOPE || !decoded.userId) {
+      throw new AppError('Token de verificación inválido', 401, 'INVALID_MFA_TOKEN');
+    }
+
+    const user = await User.findById(decoded.userId).select(SECRET_FIELDS);
+    if (!user || !user.isActive) {
+      throw new AppError('Token de verificación inválido', 401, 'INVALID_MFA_TOKEN');
+    }
+
+    // 2FA desactivado entre la contraseña y el código
+    if (!user.isTwoFactorEnabled) {
+      throw new AppError('La verificación expiró. Inicia sesión nuevamente.', 401, 'INVALID_MFA_TOKEN');
+    }
+
+    return user;
+  }
+
+  // ===== VERIFICAR SEGUNDO FACTOR =====
+  // `user` debe traer los campos de SECRET_FIELDS. Los códigos TOTP se aceptan
+  // una sola vez (lastUsedStep) y los de recuperación se marcan como usados;
+  // ambas cosas con updates condicionales para evitar carreras
+  static async verifySecondFactor(user, { code, recoveryCode }, statusCode = 400) {
+    if (code) {
+      const step = TotpService.verifyCode(this.decryptSecret(user.twoFactor.secret), code);
+
+      if (step !== null) {
+        const result = await User.updateOne(
+          {
+            _id: user._id,
+            $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+          },
+          { $set: { 'twoFactor.lastUsedStep': step } }
+        );
+
+        if (result.modifiedCount === 1) return 'totp';
+      }
+    } else if (recoveryCode) {
+      const hash = this.hashRecoveryCode(recoveryCode);
+      const result = await User.updateOne(
+        { _id: user._id, 'twoFactor.recoveryCodes': { $elemMatch: { hash, usedAt: null } } },
+        { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+      );
+
+      if (result.modifiedCount === 1) return 'recovery_code';
+    } else {
+      throw new AppError('Ingresa el código de tu app o un código de recuperación', 400, 'TWO_FACTOR_CODE_REQUIRED');
+    }
+
+    throw new AppError('Código de verificación incorrecto o ya utilizado', statusCode, 'INVALID_TWO_FACTOR_CODE');
+  }
+
+  // ===== MÉTODOS AUXILIARES =====
+
+  // Formato "xxxxx-xxxxx" en hexadecimal; solo se guarda el hash
+  static generateRecoveryCodes() {
+    const codes = Array.from({ length: MFA_RECOVERY_CODES_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    return {
+      codes,
+      recoveryCodes: codes.map(code => ({ hash: this.hashRecoveryCode(code), usedAt: null }))
+    };
+  }
+
+  // Sin distinguir mayúsculas ni guiones/espacios al escribirlo
+  static hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  // AES-256-GCM con clave derivada de MFA_ENCRYPTION_KEY (o JWT_SECRET).
+  // Formato: "<iv>.<tag>.<cifrado>" en base64url
+  static getEncryptionKey() {
+    const material = process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET || 'your-super-secret-jwt-key-here';
+    return crypto.createHash('sha256').update(material).digest();
+  }
+
+  static encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+  }
+
+  static decryptSecret(payload) {
+    try {
+      const [iv, tag, encrypted] = String(payload).split('.').map(part => Buffer.from(part, 'base64url'));
+      const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+      decipher.setAuthTag(tag);
+
+      return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+    } catch (error) {
+      throw new AppError('No se pudo leer el secreto de verificación', 500, 'TWO_FACTOR_SECRET_UNREADABLE');
+    }
+  }
+
+  static formatStatus(user) {
+    const recoveryCodes = user.twoFactor.recoveryCodes || [];
+
+    return {
+      enabled: user.isTwoFactorEnabled,
+      enabledAt: user.twoFactor.enabledAt,
+      required: requiresTwoFactor(user),
+      recoveryCodesRemaining: user.isTwoFactorEnabled
+        ? recoveryCodes.filter(code => !code.usedAt).length
+        : 0
+    };
+  }
+}
+
+module.exports = TwoFactorService;
@@ -1,6 +1,11 @@
 const User = require('../models/User');
 const { AppError } = require('../middlewares/errorHandler');
 const { calculatePagination } = require('../middlewares/responseFormatter');
+const MediaService = require('./mediaService');
+const LoginSecurityService = require('./loginSecurityService');
+const RoleService = require('./roleService');
+const AccountDeletionService = require('./accountDeletionService');
+const { USER_ROLES, PERMISSIONS } = require('../config/constants');
 
 class UserService {
   // ===== OBTENER TODOS LOS USUARIOS (ADMIN) =====
@@ -44,7 +49,7 @@ class UserService {
   }
 
   // ===== OBTENER USUARIO POR ID =====
-  static async getUserById(userId, requestingUser = null) {
+  static async getUserById(userId, requestingUser = null, permissions = null) {
     const user = await User.findById(userId).select('-passwordHash');
     
     if (!user) {
@@ -55,8 +60,8 @@ class UserService {
     
     // Si hay un usuario logueado, puede ver más información
     if (requestingUser) {
-      // Si es el mismo usuario o es admin, mostrar más detalles
-      if (requestingUser._id.toString() === userId || requestingUser.role === 'admin') {
+      // Si es el mismo usuario o puede ver usuarios, mostrar más detalles
+      if (requestingUser._id.toString() === userId || RoleService.includesPermission(permissions, PERMISSIONS.USERS_READ)) {
         userData.addresses = user.addresses;
         userData.lastLogin = user.lastLogin;
         userData.phone = user.phone;
@@ -67,7 +72,7 @@ class UserService {
   }
 
   // ===== CREAR USUARIO (ADMIN) =====
-  static async createUser(userData) {
+  static async createUser(userData, actorPermissions) {
     const { firstName, lastName, email, password, phone, role, isActive } = userData;
 
     // Verificar si el usuario ya existe
@@ -76,6 +81,11 @@ class UserService {
       throw new AppError('Ya existe un usuario con este email', 400, 'EMAIL_ALREADY_EXISTS');
     }
 
+    if (role) {
+      await RoleService.assertRoleExists(role);
+      await RoleService.assertCanGrantRole(actorPermissions, role);
+    }
+
     // Crear usuario
     const newUser = await User.create({
       firstName,
@@ -83,7 +93,7 @@ class UserService {
       email: email.toLowerCase(),
       passwordHash: password,
       phone,
-      role: role || 'customer',
+      role: role || USER_ROLES.CUSTOMER,
       isActive: isActive !== undefined ? isActive : true
     });
 
@@ -91,11 +101,18 @@ class UserService {
   }
 
   // ===== ACTUALIZAR USUARIO (ADMIN) =====
-  static async updateUser(userId, updateData) {
+  static async updateUser(userId, updateData, actorPermissions) {
     // No permitir actualizar la contraseña por este método
     delete updateData.passwordHash;
     delete updateData.password;
 
+    await this.assertCanManageUser(userId, actorPermissions);
+
+    if (updateData.role) {
+      await RoleService.assertRoleExists(updateData.role);
+      await RoleService.assertCanGrantRole(actorPermissions, updateData.role);
+    }
+
     const updatedUser = await User.findByIdAndUpdate(
       userId,
       updateData,
@@ -110,25 +127,27 @@ class UserService {
   }
 
   // ===== ELIMINAR USUARIO (ADMIN) =====
-  static async deleteUser(userId, adminUserId) {
+  // Borra los datos personales de inmediato (sin periodo de gracia); el
+  // documento anonimizado se conserva para no dejar órdenes huérfanas
+  static async deleteUser(userId, adminUserId, actorPermissions) {
     // No permitir que un admin se elimine a sí mismo
     if (adminUserId.toString() === userId) {
       throw new AppError('No puedes eliminar tu propia cuenta', 400, 'CANNOT_DELETE_SELF');
     }
 
-    const deletedUser = await User.findByIdAndDelete(userId);
+    await this.assertCanManageUser(userId, actorPermissions);
 
-    if (!deletedUser) {
-      throw new AppError('Usuario no encontrado', 404, 'USER_NOT_FOUND');
-    }
+    await AccountDeletionService.eraseUser(userId);
 
     return { message: 'Usuario eliminado exitosamente' };
   }
 
   // ===== ACTIVAR USUARIO (ADMIN) =====
-  static async activateUser(userId) {
-    const user = await User.findByIdAndUpdate(
-      userId,
+  static async activateUser(userId, actorPermissions) {
+    await this.assertCanManageUser(userId, actorPermissions);
+
+    const user = await User.findOneAndUpdate(
+      { _id: userId, deletedAt: null },
       { isActive: true },
       { new: true }
     ).select('-passwordHash');
@@ -141,12 +160,14 @@ class UserService {
   }
 
   // ===== DESACTIVAR USUARIO (ADMIN) =====
-  static async deactivateUser(userId, adminUserId) {
+  static async deactivateUser(userId, adminUserId, actorPermissions) {
     // No permitir que un admin se desactive a sí mismo
     if (adminUserId.toString() === userId) {
       throw new AppError('No puedes desactivar tu propia cuenta', 400, 'CANNOT_DEACTIVATE_SELF');
     }
 
+    await this.assertCanManageUser(userId, actorPermissions);
+
     const user = await User.findByIdAndUpdate(
       userId,
       { isActive: false },
@@ -160,6 +181,27 @@ class UserService {
     return this.formatUserData(user);
   }
 
+  // ===== DESBLOQUEAR CUENTA (ADMIN) =====
+  // Levanta el bloqueo por intentos fallidos y reinicia los contadores
+  static async unlockUser(userId) {
+    return LoginSecurityService.unlockAccount(userId);
+  }
+
+  // ===== HISTORIAL DE INICIOS DE SESIÓN (ADMIN) =====
+  static async getUserLoginHistory(userId, filters, paginationData) {
+    const exists = await User.exists({ _id: userId });
+    if (!exists) {
+      throw new AppError('Usuario no encontrado', 404, 'USER_NOT_FOUND');
+    }
+
+    return LoginSecurityService.getLoginHistory(userId, filters, paginationData);
+  }
+
+  // Eventos de todas las cuentas: intentos fallidos, dispositivos nuevos, etc.
+  static async getLoginEvents(filters, paginationData) {
+    return LoginSecurityService.getLoginEvents(filters, paginationData);
+  }
+
   // ===== BUSCAR USUARIOS (ADMIN) =====
   static async searchUsers(searchQuery, paginationData) {
     const { q, page, limit } = { ...searchQuery, ...paginationData };
@@ -295,6 +337,19 @@ class UserService {
 
   // ===== UTILITY METHODS =====
 
+  // Solo se gestiona a usuarios cuyo rol no tiene permisos que el actor no tenga
+  static async assertCanManageUser(userId, actorPermissions) {
+    const target = await User.findById(userId).select('role');
+    if (!target) {
+      throw new AppError('Usuario no encontrado', 404, 'USER_NOT_FOUND');
+    }
+
+    const targetPermissions = await RoleService.getRolePermissions(target.role);
+    if (RoleService.getExceedingPermissions(actorPermissions, [...targetPermissions]).length > 0) {
+      throw new AppError('No puedes gestionar a un usuario con más permisos que tú', 403, 'USER_OUTRANKS_ACTOR');
+    }
+  }
+
   // Formatear datos del usuario para respuesta
   static formatUserData(user) {
     return {
@@ -305,6 +360,11 @@ class UserService {
       email: user.email,
       role: user.role,
       isActive: user.isActive,
+      isLocked: user.isLocked,
+      twoFactorEnabled: user.isTwoFactorEnabled,
+      avatar: MediaService.formatMediaReference(user.avatar),
+      deletionScheduledFor: user.deletionRequest ? user.deletionRequest.scheduledFor : null,
+      deletedAt: user.deletedAt,
       createdAt: user.createdAt,
       updatedAt: user.updatedAt
     };
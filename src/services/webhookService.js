@@ -0,0 +1,476 @@
+const crypto = require('crypto');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { AppError } = require('../middlewares/errorHandler');
+const { calculatePagination } = require('../middlewares/responseFormatter');
+const {
+  API_VERSION,
+  WEBHOOK_EVENTS,
+  WEBHOOK_EVENT_WILDCARD,
+  WEBHOOK_DELIVERY_STATUS,
+  WEBHOOK_SIGNATURE_HEADER,
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_RETRY_BASE_SECONDS,
+  WEBHOOK_RETRY_MAX_SECONDS,
+  WEBHOOK_TIMEOUT_MS,
+  WEBHOOK_RESPONSE_BODY_MAX_LENGTH
+} = require('../config/constants');
+
+const SECRET_PREFIX = 'whsec';
+// Entregas que reclama cada ejecución del trabajo de reintentos
+const DELIVERY_BATCH_SIZE = 20;
+// El reclamo dura más que el timeout para que otro proceso no reenvíe a la vez
+const DELIVERY_LOCK_MS = WEBHOOK_TIMEOUT_MS + 30 * 1000;
+
+class WebhookService {
+  // ===== CREAR SUSCRIPCIÓN =====
+  // Devuelve el secreto una sola vez; después solo se puede rotar
+  static async createSubscription(subscriptionData, adminUserId) {
+    const { name, description, url, events, isActive = true } = subscriptionData;
+    const secret = this.generateSecret();
+
+    const subscription = await WebhookSubscription.create({
+      name,
+      description,
+      url,
+      events: [...new Set(events)],
+      secret,
+      isActive,
+      createdBy: adminUserId
+    });
+
+    return {
+      subscription: this.formatSubscriptionData(subscription),
+      secret
+    };
+  }
+
+  // ===== LISTAR SUSCRIPCIONES =====
+  static async getSubscriptions(filters = {}, paginationData = {}) {
+    const { isActive, event } = filters;
+    const { page = 1, limit = 20 } = paginationData;
+    const query = {};
+
+    if (isActive !== undefined) query.isActive = isActive;
+    if (event) query.events = { $in: [event, WEBHOOK_EVENT_WILDCARD] };
+
+    const pagination = calculatePagination(page, limit, await WebhookSubscription.countDocuments(query));
+
+    const subscriptions = await WebhookSubscription.find(query)
+      .sort({ createdAt: -1 })
+      .skip(pagination.offset)
+      .limit(pagination.limit);
+
+    return {
+      subscriptions: subscriptions.map(subscription => this.formatSubscriptionData(subscription)),
+      pagination
+    };
+  }
+
+  static async getSubscriptionById(subscriptionId) {
+    const subscription = await this.findSubscription(subscriptionId);
+    return this.formatSubscriptionData(subscription);
+  }
+
+  // ===== ACTUALIZAR SUSCRIPCIÓN =====
+  // Desactivarla no cancela las entregas pendientes: se descartan al intentarlas
+  static async updateSubscription(subscriptionId, updateData) {
+    const subscription = await this.findSubscription(subscriptionId);
+    const allowedFields = ['name', 'description', 'url', 'events', 'isActive'];
+
+    for (const field of allowedFields) {
+      if (updateData[field] !== undefined) {
+        subscription[field] = field === 'events' ? [...new Set(updateData.events)] : updateData[field];
+      }
+    }
+
+    await subscription.save();
+
+    return this.formatSubscriptionData(subscription);
+  }
+
+  // ===== ROTAR SECRETO =====
+  // El cambio es inmediato: las entregas siguientes (y los reintentos) se
+  // firman con el secreto nuevo
+  static async rotateSecret(subscriptionId) {
+    const subscription = await this.findSubscription(subscriptionId);
+    const secret = this.generateSecret();
+
+    subscription.secret = secret;
+    subscription.secretRotatedAt = new Date();
+    await subscription.save();
+
+    return {
+      subscription: this.formatSubscriptionData(subscription),
+      secret
+    };
+  }
+
+  // ===== ELIMINAR SUSCRIPCIÓN =====
+  static async deleteSubscription(subscriptionId) {
+    const subscription = await this.findSubscription(subscriptionId);
+
+    await WebhookDelivery.deleteMany({ subscriptionId: subscription._id });
+    await subscription.deleteOne();
+  }
+
+  // ===== ENCOLAR EVENTO =====
+  // Crea una entrega por suscripción activa que escuche el evento y hace el
+  // primer intento sin esperar; los fallos los reintenta el worker. Lo llama
+  // el sink de eventos de dominio (services/events) después del commit, y lo
+  // reintenta si esto falla: con eventId, las suscripciones que ya tienen una
+  // entrega de ese evento no reciben otra
+  static async enqueue(event, data, { eventId = null, createdAt = null } = {}) {
+    const filter = {
+      isActive: true,
+      events: { $in: [event, WEBHOOK_EVENT_WILDCARD] }
+    };
+
+    if (eventId) {
+      filter._id = { $nin: await WebhookDelivery.distinct('subscriptionId', { eventId }) };
+    }
+
+    const subscriptions = await WebhookSubscription.find(filter).select('_id');
+
+    if (subscriptions.length === 0) return [];
+
+    const payload = this.buildPayload(event, data, { id: eventId, createdAt });
+
+    const deliveries = await WebhookDelivery.insertMany(subscriptions.map(subscription => ({
+      subscriptionId: subscription._id,
+      event,
+      eventId: payload.id,
+      payload
+    })));
+
+    for (const delivery of deliveries) {
+      this.processDelivery(delivery._id).catch(error => {
+        console.error(`❌ Error enviando el webhook ${delivery._id}:`, error.message);
+      });
+    }
+
+    return deliveries;
+  }
+
+  // ===== PING DE PRUEBA =====
+  // Funciona aunque la suscripción esté desactivada, para probar el destino
+  // antes de activarla. Se intenta una vez y no se reintenta
+  static async ping(subscriptionId, adminUserId) {
+    const subscription = await this.findSubscription(subscriptionId);
+
+    const payload = this.buildPayload(WEBHOOK_EVENTS.PING, {
+      subscriptionId: subscription._id,
+      name: subscription.name,
+      message: 'Ping de prueba de Destello Shop'
+    });
+
+    const delivery = await WebhookDelivery.create({
+      subscriptionId: subscription._id,
+      event: WEBHOOK_EVENTS.PING,
+      eventId: payload.id,
+      payload,
+      requestedBy: adminUserId
+    });
+
+    return this.formatDeliveryData(await this.processDelivery(delivery._id, { maxAttempts: 1 }), true);
+  }
+
+  // ===== REENVIAR ENTREGA =====
+  // Crea una entrega nueva con el mismo eventId y payload; la original queda
+  // en el historial sin cambios
+  static async redeliver(deliveryId, adminUserId) {
+    const original = await this.findDelivery(deliveryId);
+    const subscription = await this.findSubscription(original.subscriptionId);
+
+    if (!subscription.isActive) {
+      throw new AppError('La suscripción está desactivada', 400, 'WEBHOOK_INACTIVE');
+    }
+
+    const delivery = await WebhookDelivery.create({
+      subscriptionId: subscription._id,
+      event: original.event,
+      eventId: original.eventId,
+      payload: original.payload,
+      redeliveryOf: original._id,
+      requestedBy: adminUserId
+    });
+
+    return this.formatDeliveryData(await this.processDelivery(delivery._id), true);
+  }
+
+  // ===== HISTORIAL DE ENTREGAS =====
+  static async getDeliveries(subscriptionId, filters = {}, paginationData = {}) {
+    const subscription = await this.findSubscription(subscriptionId);
+    const { status, event, eventId } = filters;
+    const { page = 1, limit = 20 } = paginationData;
+    const query = { subscriptionId: subscription._id };
+
+    if (status) query.status = status;
+    if (event) query.event = event;
+    if (eventId) query.eventId = eventId;
+
+    const pagination = calculatePagination(page, limit, await WebhookDelivery.countDocuments(query));
+
+    const deliveries = await WebhookDelivery.find(query)
+      .select('-payload')
+      .sort({ createdAt: -1 })
+      .skip(pagination.offset)
+      .limit(pagination.limit);
+
+    return {
+      deliveries: deliveries.map(delivery => this.formatDeliveryData(delivery)),
+      pagination
+    };
+  }
+
+  static async getDeliveryById(deliveryId) {
+    const delivery = await this.findDelivery(deliveryId);
+    return this.formatDeliveryData(delivery, true);
+  }
+
+  // ===== REINTENTOS =====
+  // Envía las entregas pendientes cuyo siguiente intento ya venció. Lo ejecuta
+  // cada minuto el trabajo webhooks.retry_deliveries
+  static async processDueDeliveries(now = new Date()) {
+    const processed = [];
+
+    for (let i = 0; i < DELIVERY_BATCH_SIZE; i++) {
+      const delivery = await this.claimDelivery({ nextAttemptAt: { $lte: now } });
+      if (!delivery) break;
+
+      processed.push(await this.sendDelivery(delivery));
+    }
+
+    return {
+      succeeded: processed.filter(delivery => delivery.status === WEBHOOK_DELIVERY_STATUS.SUCCEEDED).length,
+      failed: processed.filter(delivery => delivery.status === WEBHOOK_DELIVERY_STATUS.FAILED).length,
+      retrying: processed.filter(delivery => delivery.status === WEBHOOK_DELIVERY_STATUS.PENDING).length
+    };
+  }
+
+  // ===== ENVÍO =====
+
+  // Reclama y envía una entrega concreta. Si otro proceso la tiene reclamada
+  // devuelve su estado actual sin enviarla
+  static async processDelivery(deliveryId, options = {}) {
+    const delivery = await this.claimDelivery({ _id: deliveryId });
+    if (!delivery) return this.findDelivery(deliveryId);
+
+    return this.sendDelivery(delivery, options);
+  }
+
+  // Reclamo atómico: solo un proceso envía cada intento
+  static async claimDelivery(filter) {
+    const now = new Date();
+
+    return WebhookDelivery.findOneAndUpdate(
+      {
+        ...filter,
+        status: WEBHOOK_DELIVERY_STATUS.PENDING,
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      },
+      { $set: { lockedUntil: new Date(now.getTime() + DELIVERY_LOCK_MS) } },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+  }
+
+  static async sendDelivery(delivery, { maxAttempts = WEBHOOK_MAX_ATTEMPTS } = {}) {
+    const subscription = await WebhookSubscription.findById(delivery.subscriptionId).select('+secret');
+
+    // Suscripción eliminada o desactivada mientras la entrega esperaba
+    // (el ping sí se envía a suscripciones desactivadas)
+    if (!subscription || (!subscription.isActive && delivery.event !== WEBHOOK_EVENTS.PING)) {
+      return WebhookDelivery.findByIdAndUpdate(delivery._id, {
+        $set: {
+          status: WEBHOOK_DELIVERY_STATUS.FAILED,
+          lastError: 'La suscripción ya no está activa',
+          lockedUntil: null
+        }
+      }, { new: true });
+    }
+
+    const attempt = await this.postPayload(subscription, delivery);
+    const attemptCount = delivery.attemptCount + 1;
+    const succeeded = attempt.statusCode >= 200 && attempt.statusCode < 300;
+
+    const update = {
+      lastStatusCode: attempt.statusCode,
+      lastError: attempt.error,
+      attemptCount,
+      lockedUntil: null
+    };
+
+    if (succeeded) {
+      update.status = WEBHOOK_DELIVERY_STATUS.SUCCEEDED;
+      update.deliveredAt = attempt.attemptedAt;
+    } else if (attemptCount >= maxAttempts) {
+      update.status = WEBHOOK_DELIVERY_STATUS.FAILED;
+    } else {
+      update.nextAttemptAt = new Date(Date.now() + this.getRetryDelayMs(attemptCount));
+    }
+
+    const updated = await WebhookDelivery.findByIdAndUpdate(
+      delivery._id,
+      { $set: update, $push: { attempts: attempt } },
+      { new: true }
+    );
+
+    await WebhookSubscription.updateOne({ _id: subscription._id }, {
+      $set: {
+        lastDeliveryAt: attempt.attemptedAt,
+        lastDeliveryStatus: succeeded ? WEBHOOK_DELIVERY_STATUS.SUCCEEDED : WEBHOOK_DELIVERY_STATUS.FAILED
+      }
+    });
+
+    return updated;
+  }
+
+  // Un intento HTTP. Nunca lanza: los errores de red quedan en el intento
+  static async postPayload(subscription, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attemptedAt = new Date();
+    const attempt = { attemptedAt, statusCode: null, durationMs: null, responseBody: null, error: null };
+
+    try {
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': `DestelloShop-Webhooks/${API_VERSION}`,
+          'X-Destello-Event': delivery.event,
+          'X-Destello-Event-Id': delivery.eventId,
+          'X-Destello-Delivery': delivery._id.toString(),
+          [WEBHOOK_SIGNATURE_HEADER]: this.buildSignatureHeader(subscription.secret, timestamp, body)
+        },
+        body,
+        // Una redirección cuenta como fallo: el destino debe responder directamente
+        redirect: 'manual',
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      });
+
+      attempt.statusCode = response.status;
+      attempt.responseBody = (await response.text()).slice(0, WEBHOOK_RESPONSE_BODY_MAX_LENGTH) || null;
+
+      if (!response.ok) {
+        attempt.error = `El destino respondió ${response.status}`;
+      }
+    } catch (error) {
+      attempt.error = error.name === 'TimeoutError'
+        ? `Sin respuesta en ${WEBHOOK_TIMEOUT_MS} ms`
+        : (error.cause && error.cause.message) || error.message;
+    }
+
+    attempt.durationMs = Date.now() - attemptedAt.getTime();
+
+    return attempt;
+  }
+
+  // ===== MÉTODOS AUXILIARES =====
+
+  static async findSubscription(subscriptionId) {
+    const subscription = await WebhookSubscription.findById(subscriptionId);
+    if (!subscription) {
+      throw new AppError('Suscripción de webhook no encontrada', 404, 'WEBHOOK_NOT_FOUND');
+    }
+
+    return subscription;
+  }
+
+  static async findDelivery(deliveryId) {
+    const delivery = await WebhookDelivery.findById(deliveryId);
+    if (!delivery) {
+      throw new AppError('Entrega de webhook no encontrada', 404, 'WEBHOOK_DELIVERY_NOT_FOUND');
+    }
+
+    return delivery;
+  }
+
+  // El payload se normaliza a JSON una vez para que cada reintento firme
+  // exactamente el mismo cuerpo
+  static buildPayload(event, data, { id = null, createdAt = null } = {}) {
+    return {
+      id: id || `evt_${crypto.randomBytes(12).toString('hex')}`,
+      type: event,
+      createdAt: new Date(createdAt || Date.now()).toISOString(),
+      data: JSON.parse(JSON.stringify(data))
+    };
+  }
+
+  // Id estable para un evento de webhook derivado de otro evento (mismo
+  // formato que los aleatorios)
+  static buildEventId(sourceId, event) {
+    const hash = crypto.createHash('sha256').update(`${sourceId}:${event}`).digest('hex');
+    return `evt_${hash.slice(0, 24)}`;
+  }
+
+  static generateSecret() {
+    return `${SECRET_PREFIX}_${crypto.randomBytes(24).toString('base64url')}`;
+  }
+
+  // Mismo esquema que los webhooks de pago entrantes: el destino recalcula el
+  // HMAC de "<t>.<body>" con su secreto y descarta timestamps viejos
+  static computeSignature(secret, timestamp, body) {
+    return crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+  }
+
+  static buildSignatureHeader(secret, timestamp, body) {
+    return `t=${timestamp},v1=${this.computeSignature(secret, timestamp, body)}`;
+  }
+
+  // 30 s, 1 min, 2 min, 4 min... hasta el tope, con ±20 % de variación para
+  // no reintentar todas las entregas de un destino caído al mismo tiempo
+  static getRetryDelayMs(attemptCount) {
+    const seconds = Math.min(WEBHOOK_RETRY_BASE_SECONDS * 2 ** (attemptCount - 1), WEBHOOK_RETRY_MAX_SECONDS);
+    const jitter = 0.8 + Math.random() * 0.4;
+
+    return Math.round(seconds * jitter * 1000);
+  }
+
+  static formatSubscriptionData(subscription) {
+    return {
+      id: subscription._id,
+      name: subscription.name,
+      description: subscription.description,
+      url: subscription.url,
+      events: subscription.events,
+      isActive: subscription.isActive,
+      createdBy: subscription.createdBy,
+      secretRotatedAt: subscription.secretRotatedAt,
+      lastDeliveryAt: subscription.lastDeliveryAt,
+      lastDeliveryStatus: subscription.lastDeliveryStatus,
+      createdAt: subscription.createdAt,
+      updatedAt: subscription.updatedAt
+    };
+  }
+
+  static formatDeliveryData(delivery, includeDetails = false) {
+    const formatted = {
+      id: delivery._id,
+      subscriptionId: delivery.subscriptionId,
+      event: delivery.event,
+      eventId: delivery.eventId,
+      status: delivery.status,
+      attemptCount: delivery.attemptCount,
+      lastStatusCode: delivery.lastStatusCode,
+      lastError: delivery.lastError,
+      nextAttemptAt: delivery.status === WEBHOOK_DELIVERY_STATUS.PENDING ? delivery.nextAttemptAt : null,
+      deliveredAt: delivery.deliveredAt,
+      redeliveryOf: delivery.redeliveryOf,
+      createdAt: delivery.createdAt
+    };
+
+    if (includeDetails) {
+      formatted.payload = delivery.payload;
+      formatted.attempts = delivery.attempts;
+      formatted.requestedBy = delivery.requestedBy;
+    }
+
+    return formatted;
+  }
+}
+
+module.exports = WebhookService;
@@ -1,13 +1,20 @@
 const Wishlist = require('../models/Wishlist');
 const Product = require('../models/Product');
 const Cart = require('../models/Cart');
+const ProductVariantService = require('./productVariantService');
+const PopularityService = require('./popularityService');
 const { AppError } = require('../middlewares/errorHandler');
+const { PRODUCT_ACTIVITY_TYPES } = require('../config/constants');
+
+// Campos de la variante necesarios para precio, stock y respuesta
+const VARIANT_FIELDS = 'sku options price weight stockQty reservedQty isActive';
 
 class WishlistService {
   // ===== OBTENER O CREAR WISHLIST =====
   static async getOrCreateWishlist(userId) {
     let wishlist = await Wishlist.findOne({ userId })
-      .populate('items.productId', 'name price stockQty isActive sku');
+      .populate('items.productId', 'name price stockQty isActive sku')
+      .populate('items.variantId', VARIANT_FIELDS);
 
     // Crear wishlist si no existe
     if (!wishlist) {
@@ -30,38 +37,45 @@ class WishlistService {
   }
 
   // ===== AGREGAR A WISHLIST =====
-  static async addToWishlist(userId, productId) {
+  // La variante es opcional: se puede guardar el producto en general o una
+  // combinación concreta (p. ej. color Rojo, talla M)
+  static async addToWishlist(userId, productId, variantId = null) {
     // Verificar que el producto exista y esté activo
     const product = await Product.findById(productId);
     if (!product || !product.isActive) {
       throw new AppError('Producto no encontrado o no disponible', 404, 'PRODUCT_NOT_AVAILABLE');
     }
 
+    if (variantId) {
+      await ProductVariantService.resolveSellable(productId, variantId);
+    }
+
     // Obtener o crear wishlist
     let wishlist = await Wishlist.findOne({ userId });
     if (!wishlist) {
       wishlist = await Wishlist.create({ userId, items: [] });
     }
 
-    // Verificar si el producto ya está en la wishlist
-    const existingItem = wishlist.items.find(
-      item => item.productId.toString() === productId
-    );
-
-    if (existingItem) {
+    // Verificar si el producto (misma variante) ya está en la wishlist
+    if (wishlist.hasItem(productId, variantId)) {
       throw new AppError('El producto ya está en tu lista de deseos', 400, 'PRODUCT_ALREADY_IN_WISHLIST');
     }
 
     // Agregar producto a wishlist
     wishlist.items.push({
       productId,
+      variantId,
       addedAt: new Date()
     });
 
     await wishlist.save();
+    await PopularityService.recordActivity(productId, PRODUCT_ACTIVITY_TYPES.WISHLIST_ADD, userId);
 
     // Poblar para respuesta
-    await wishlist.populate('items.productId', 'name price stockQty isActive sku');
+    await wishlist.populate([
+      { path: 'items.productId', select: 'name price stockQty isActive sku' },
+      { path: 'items.variantId', select: VARIANT_FIELDS }
+    ]);
 
     return this.formatWishlistData(wishlist);
   }
@@ -82,7 +96,10 @@ class WishlistService {
     await wishlist.save();
 
     // Poblar para respuesta
-    await wishlist.populate('items.productId', 'name price stockQty isActive sku');
+    await wishlist.populate([
+      { path: 'items.productId', select: 'name price stockQty isActive sku' },
+      { path: 'items.variantId', select: VARIANT_FIELDS }
+    ]);
 
     return this.formatWishlistData(wishlist);
   }
@@ -113,15 +130,15 @@ class WishlistService {
       throw new AppError('Item no encontrado en la lista de deseos', 404, 'WISHLIST_ITEM_NOT_FOUND');
     }
 
-    const productId = item.productId;
+    const { productId, variantId } = item;
 
-    // Verificar que el producto esté disponible
-    const product = await Product.findById(productId);
-    if (!product || !product.isActive) {
-      throw new AppError('Producto no disponible', 404, 'PRODUCT_NOT_AVAILABLE');
-    }
+    // Verificar que el producto (o la variante guardada) esté disponible; un
+    // producto con variantes guardado en general requiere elegir una primero
+    const { product, variant } = await ProductVariantService.resolveSellable(productId, variantId);
+    const available = ProductVariantService.getAvailableQty(product, variant);
+    const unitPrice = ProductVariantService.getUnitPrice(product, variant);
 
-    if (product.stockQty < 1) {
+    if (available < 1) {
       throw new AppError('Producto sin stock disponible', 400, 'PRODUCT_OUT_OF_STOCK');
     }
 
@@ -131,16 +148,14 @@ class WishlistService {
       cart = await Cart.create({ userId, items: [] });
     }
 
-    // Verificar si el producto ya está en el carrito
-    const existingCartItem = cart.items.find(
-      cartItem => cartItem.productId.toString() === productId.toString()
-    );
+    // Verificar si el producto (misma variante) ya está en el carrito
+    const existingCartItem = cart.findLine(productId, variantId);
 
     if (existingCartItem) {
       // Verificar stock para incrementar
-      if (product.stockQty < existingCartItem.quantity + 1) {
+      if (available < existingCartItem.quantity + 1) {
         throw new AppError(
-          `Stock insuficiente. Disponible: ${product.stockQty}, en carrito: ${existingCartItem.quantity}`, 
+          `Stock insuficiente. Disponible: ${available}, en carrito: ${existingCartItem.quantity}`, 
           400, 
           'INSUFFICIENT_STOCK'
         );
@@ -148,13 +163,14 @@ class WishlistService {
       
       // Incrementar cantidad en carrito
       existingCartItem.quantity += 1;
-      existingCartItem.priceAtTime = product.price; // Actualizar precio
+      existingCartItem.priceAtTime = unitPrice; // Actualizar precio
     } else {
       // Agregar nuevo item al carrito
       cart.items.push({
         productId: productId,
+        variantId,
         quantity: 1,
-        priceAtTime: product.price
+        priceAtTime: unitPrice
       });
     }
 
@@ -165,8 +181,14 @@ class WishlistService {
     await wishlist.save();
 
     // Poblar para respuesta
-    await cart.populate('items.productId', 'name price stockQty isActive sku');
-    await wishlist.populate('items.productId', 'name price stockQty isActive sku');
+    await cart.populate([
+      { path: 'items.productId', select: 'name price stockQty isActive sku' },
+      { path: 'items.variantId', select: VARIANT_FIELDS }
+    ]);
+    await wishlist.populate([
+      { path: 'items.productId', select: 'name price stockQty isActive sku' },
+      { path: 'items.variantId', select: VARIANT_FIELDS }
+    ]);
 
     return {
       cart: this.formatCartData(cart),
@@ -178,7 +200,8 @@ class WishlistService {
   // ===== MOVER TODOS A CARRITO =====
   static async moveAllToCart(userId) {
     const wishlist = await Wishlist.findOne({ userId })
-      .populate('items.productId', 'name price stockQty isActive');
+      .populate('items.productId', 'name price stockQty reservedQty isActive hasVariants')
+      .populate('items.variantId', VARIANT_FIELDS);
 
     if (!wishlist || wishlist.items.length === 0) {
       throw new AppError('Lista de deseos vacía', 400, 'WISHLIST_EMPTY');
@@ -191,13 +214,27 @@ class WishlistService {
     }
 
     const movedItems = [];
+    const movedItemIds = [];
     const failedItems = [];
 
     for (const wishlistItem of wishlist.items) {
       const product = wishlistItem.productId;
+      const variant = wishlistItem.variantId && wishlistItem.variantId._id ? wishlistItem.variantId : null;
+
+      if (product && product.isActive && product.hasVariants && !variant) {
+        failedItems.push({
+          productName: product.name,
+          reason: 'Selecciona una variante antes de moverlo al carrito'
+        });
+        continue;
+      }
+
+      const isAvailable = product && product.isActive && (!variant || variant.isActive);
+      const available = isAvailable ? ProductVariantService.getAvailableQty(product, variant) : 0;
+      const unitPrice = isAvailable ? ProductVariantService.getUnitPrice(product, variant) : 0;
       
       // Verificar disponibilidad
-      if (!product || !product.isActive || product.stockQty < 1) {
+      if (!isAvailable || available < 1) {
         failedItems.push({
           productName: product?.name || 'Producto eliminado',
           reason: 'Producto no disponible o sin stock'
@@ -206,30 +243,31 @@ class WishlistService {
       }
 
       // Verificar si ya está en carrito
-      const existingCartItem = cart.items.find(
-        cartItem => cartItem.productId.toString() === product._id.toString()
-      );
+      const existingCartItem = cart.findLine(product._id, variant ? variant._id : null);
 
       if (existingCartItem) {
         // Verificar stock para incrementar
-        if (product.stockQty >= existingCartItem.quantity + 1) {
+        if (available >= existingCartItem.quantity + 1) {
           existingCartItem.quantity += 1;
-          existingCartItem.priceAtTime = product.price;
+          existingCartItem.priceAtTime = unitPrice;
           movedItems.push(product.name);
+          movedItemIds.push(wishlistItem._id.toString());
         } else {
           failedItems.push({
             productName: product.name,
-            reason: `Stock insuficiente (disponible: ${product.stockQty}, en carrito: ${existingCartItem.quantity})`
+            reason: `Stock insuficiente (disponible: ${available}, en carrito: ${existingCartItem.quantity})`
           });
         }
       } else {
         // Agregar nuevo item
         cart.items.push({
           productId: product._id,
+          variantId: variant ? variant._id : null,
           quantity: 1,
-          priceAtTime: product.price
+          priceAtTime: unitPrice
         });
         movedItems.push(product.name);
+        movedItemIds.push(wishlistItem._id.toString());
       }
     }
 
@@ -237,18 +275,20 @@ class WishlistService {
     await cart.save();
 
     // Limpiar wishlist de items exitosos
-    if (movedItems.length > 0) {
-      const movedProductNames = movedItems;
-      wishlist.items = wishlist.items.filter(item => {
-        const productName = item.productId?.name;
-        return !movedProductNames.includes(productName);
-      });
+    if (movedItemIds.length > 0) {
+      wishlist.items = wishlist.items.filter(item => !movedItemIds.includes(item._id.toString()));
       await wishlist.save();
     }
 
     // Poblar para respuesta
-    await cart.populate('items.productId', 'name price stockQty isActive sku');
-    await wishlist.populate('items.productId', 'name price stockQty isActive sku');
+    await cart.populate([
+      { path: 'items.productId', select: 'name price stockQty isActive sku' },
+      { path: 'items.variantId', select: VARIANT_FIELDS }
+    ]);
+    await wishlist.populate([
+      { path: 'items.productId', select: 'name price stockQty isActive sku' },
+      { path: 'items.variantId', select: VARIANT_FIELDS }
+    ]);
 
     return {
       cart: this.formatCartData(cart),
@@ -270,19 +310,20 @@ class WishlistService {
   }
 
   // ===== VERIFICAR SI PRODUCTO ESTÁ EN WISHLIST =====
-  static async isInWishlist(userId, productId) {
+  static async isInWishlist(userId, productId, variantId = null) {
     const wishlist = await Wishlist.findOne({ userId });
     if (!wishlist) return false;
 
-    return wishlist.items.some(item => 
-      item.productId.toString() === productId.toString()
-    );
+    return variantId
+      ? wishlist.hasItem(productId, variantId)
+      : wishlist.items.some(item => item.productId.toString() === productId.toString());
   }
 
   // ===== OBTENER PRODUCTOS DE WISHLIST CON DISPONIBILIDAD =====
   static async getWishlistWithAvailability(userId) {
     const wishlist = await Wishlist.findOne({ userId })
-      .populate('items.productId', 'name price stockQty isActive sku');
+      .populate('items.productId', 'name price stockQty isActive sku')
+      .populate('items.variantId', VARIANT_FIELDS);
 
     if (!wishlist) {
       return {
@@ -304,14 +345,15 @@ class WishlistService {
 
     const enhancedItems = wishlist.items.map(item => {
       const product = item.productId;
+      const variant = item.variantId && item.variantId._id ? item.variantId : null;
       let status = 'available';
 
       if (!product) {
         status = 'deleted';
-      } else if (!product.isActive) {
+      } else if (!product.isActive || (variant && !variant.isActive)) {
         status = 'inactive';
         availability.inactive++;
-      } else if (product.stockQty === 0) {
+      } else if ((variant ? variant.available : product.stockQty) === 0) {
         status = 'out_of_stock';
         availability.outOfStock++;
       } else {
@@ -321,6 +363,8 @@ class WishlistService {
       return {
         id: item._id,
         productId: product?._id,
+        variantId: variant ? variant._id : null,
+        variantLabel: variant ? variant.label : null,
         product: product ? {
           id: product._id,
           name: product.name,
@@ -376,6 +420,29 @@ class WishlistService {
     };
   }
 
+  // ===== LIMPIAR PRODUCTOS NO DISPONIBLES DE TODAS LAS LISTAS =====
+  // Lo ejecuta a diario el trabajo wishlists.clean_unavailable
+  static async cleanAllUnavailableProducts() {
+    const productIds = await Wishlist.distinct('items.productId');
+    const activeIds = await Product.find({ _id: { $in: productIds }, isActive: true }).distinct('_id');
+    const activeSet = new Set(activeIds.map(id => id.toString()));
+    const unavailableIds = productIds.filter(id => !activeSet.has(id.toString()));
+
+    if (unavailableIds.length === 0) {
+      return { wishlistsCleaned: 0, removedCount: 0 };
+    }
+
+    const userIds = await Wishlist.distinct('userId', { 'items.productId': { $in: unavailableIds } });
+    let removedCount = 0;
+
+    for (const userId of userIds) {
+      const result = await this.cleanUnavailableProducts(userId);
+      removedCount += result.removedCount;
+    }
+
+    return { wishlistsCleaned: userIds.length, removedCount };
+  }
+
   // ===== OBTENER PRODUCTOS SIMILARES =====
   static async getSimilarProducts(userId, limit = 5) {
     const wishlist = await Wishlist.findOne({ userId })
@@ -431,6 +498,14 @@ class WishlistService {
       items: wishlist.items.map(item => ({
         id: item._id,
         productId: item.productId._id || item.productId,
+        variantId: item.variantId ? (item.variantId._id || item.variantId) : null,
+        variant: item.variantId && item.variantId._id ? {
+          id: item.variantId._id,
+          sku: item.variantId.sku,
+          label: item.variantId.label,
+          price: item.variantId.price,
+          inStock: item.variantId.isActive && item.variantId.available > 0
+        } : null,
         product: item.productId.name ? {
           id: item.productId._id,
           name: item.productId.name,
@@ -456,6 +531,7 @@ class WishlistService {
       items: cart.items.map(item => ({
         id: item._id,
         productId: item.productId._id || item.productId,
+        variantId: item.variantId ? (item.variantId._id || item.variantId) : null,
         product: item.productId.name ? {
           id: item.productId._id,
           name: item.productId.name,
@@ -0,0 +1,116 @@
+const {
+  ORDER_STATUS,
+  PAYMENT_STATUS,
+  PAYMENT_INTENT_STATUS,
+  RETURN_STATUS
+} = require('../src/config/constants');
+
+// IDs fijos para relacionar los documentos simulados entre sí
+const ids = {
+  user: '64b000000000000000000001',
+  admin: '64b000000000000000000002',
+  order: '64b000000000000000000010',
+  payment: '64b000000000000000000020',
+  returnRequest: '64b000000000000000000030',
+  promotion: '64b000000000000000000040',
+  job: '64b000000000000000000050'
+};
+
+const save = async () => {};
+
+// Valores por defecto de cada documento; son funciones para que cada prueba
+// reciba arreglos propios
+const defaults = {
+  order: () => ({
+    _id: ids.order,
+    orderNumber: 'ORD-1',
+    userId: null,
+    status: ORDER_STATUS.PENDING,
+    paymentStatus: PAYMENT_STATUS.PENDING,
+    items: [],
+    totalItems: 0,
+    taxAmount: 0,
+    refundableAmount: 0,
+    statusHistory: [],
+    save
+  }),
+
+  orderItem: () => ({
+    productId: 'p1',
+    variantId: null,
+    productName: 'Producto p1',
+    quantity: 1
+  }),
+
+  payment: () => ({
+    _id: ids.payment,
+    orderId: ids.order,
+    provider: 'sandbox',
+    providerPaymentId: 'sbx_pi_1',
+    amount: 500,
+    refundedAmount: 0,
+    refunds: [],
+    status: PAYMENT_INTENT_STATUS.AUTHORIZED,
+    save
+  }),
+
+  returnRequest: () => ({
+    _id: ids.returnRequest,
+    orderId: ids.order,
+    rmaNumber: 'RMA-1',
+    status: RETURN_STATUS.RECEIVED,
+    receivedValue: 100,
+    items: [{ restockedQty: 1, damagedQty: 0 }],
+    statusHistory: [],
+    save
+  }),
+
+  promotion: () => ({
+    _id: ids.promotion,
+    code: 'BIENVENIDA',
+    usageLimitPerUser: 2
+  }),
+
+  user: () => ({
+    _id: ids.user,
+    email: 'cliente@example.com',
+    firstName: 'Ana',
+    lastName: 'Pérez',
+    role: 'customer',
+    isActive: true,
+    isTwoFactorEnabled: false,
+    save
+  }),
+
+  apiKey: () => ({
+    _id: '64b000000000000000000060',
+    keyPrefix: '0123456789ab',
+    secretHash: null,
+    previousSecretHash: null,
+    previousSecretExpiresAt: null,
+    scopes: [],
+    userId: ids.user,
+    rateLimit: 60,
+    revokedAt: null,
+    isExpired: false,
+    lastUsedAt: new Date()
+  }),
+
+  job: () => ({
+    _id: ids.job,
+    name: 'test.job',
+    data: {},
+    attempts: 1,
+    maxAttempts: 3,
+    lockedBy: 'worker-a',
+    lockedUntil: new Date(Date.now() + 60 * 1000)
+  })
+};
+
+// Documento simulado: los valores por defecto más lo que la prueba ejercita
+const fixture = (name, overrides = {}) => ({ ...defaults[name](), ...overrides });
+
+module.exports = {
+  ids,
+  fixture
+};
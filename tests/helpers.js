@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const { mock } = require('node:test');
+
+// Consulta de Mongoose simulada: encadena session/select/populate/sort... y
+// se resuelve con result al esperarla
+const mockQuery = (result) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+
+  for (const method of ['session', 'select', 'populate', 'sort', 'skip', 'limit', 'lean']) {
+    query[method] = () => query;
+  }
+
+  return query;
+};
+
+// withTransaction sin replica set: ejecuta fn con una sesión ficticia
+const mockTransaction = () => {
+  const session = { inTransaction: () => false };
+  mock.method(mongoose.connection, 'transaction', async (fn) => fn(session));
+  return session;
+};
+
+// Espera que fn lance un AppError con el código indicado
+const rejectsWithCode = (assert, promise, errorCode, statusCode = null) =>
+  assert.rejects(promise, (error) => {
+    assert.equal(error.errorCode, errorCode);
+    if (statusCode) assert.equal(error.statusCode, statusCode);
+    return true;
+  });
+
+// Ejecuta un middleware de Express con una respuesta simulada; se resuelve
+// con el error pasado a next o con la respuesta si respondió directamente
+const runMiddleware = (middleware, req) => new Promise((resolve) => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    cookies: {},
+    setHeader(name, value) {
+      this.headers[name] = value;
+    },
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    cookie(name, value, options) {
+      this.cookies[name] = { value, options };
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      resolve({ res: this });
+    },
+    send(body) {
+      this.body = body;
+      resolve({ res: this });
+    }
+  };
+
+  middleware(req, res, (error) => resolve({ error, res }));
+});
+
+module.exports = {
+  mockQuery,
+  mockTransaction,
+  rejectsWithCode,
+  runMiddleware
+};
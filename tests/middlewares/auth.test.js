@@ -0,0 +1,190 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Order = require('../../src/models/Order');
+const Role = require('../../src/models/Role');
+const Session = require('../../src/models/Session');
+const User = require('../../src/models/User');
+const ApiKeyService = require('../../src/services/apiKeyService');
+const OrderService = require('../../src/services/orderService');
+const RoleService = require('../../src/services/roleService');
+const { identifyApiKey, requireAuthOrApiKey, requireAuth, requirePermission, signToken } = require('../../src/middlewares/auth');
+const { generalLimiter } = require('../../src/middlewares/security');
+const { AppError } = require('../../src/middlewares/errorHandler');
+const { mockQuery, rejectsWithCode, runMiddleware } = require('../helpers');
+const { fixture, ids } = require('../fixtures');
+const { AUTH_METHODS, PERMISSIONS, USER_ROLES } = require('../../src/config/constants');
+
+const apiKeyRequest = (ip, headers = {}) => ({
+  ip,
+  path: '/api/products',
+  method: 'GET',
+  headers: { 'x-api-key': 'dsk_0123456789ab_secret', ...headers },
+  app: { get: () => false }
+});
+
+const mockAuthenticate = (apiKey = fixture('apiKey', { rateLimit: 2 })) => mock.method(
+  ApiKeyService,
+  'authenticate',
+  async (rawKey) => {
+    if (rawKey === 'junk') throw new AppError('API key inválida', 401, 'INVALID_API_KEY');
+    return { apiKey, user: fixture('user'), permissions: new Set() };
+  }
+);
+
+describe('identifyApiKey', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('una llave inválida sigue sin autenticar y no se rechaza aquí', async () => {
+    mockAuthenticate();
+    const req = apiKeyRequest('10.0.0.1', { 'x-api-key': 'junk' });
+
+    const { error } = await runMiddleware(identifyApiKey, req);
+
+    assert.equal(error, undefined);
+    assert.equal(req.apiKeyAuth, undefined);
+  });
+
+  it('una llave válida consume el límite por minuto de la llave', async () => {
+    mockAuthenticate();
+    const req = apiKeyRequest('10.0.0.2');
+
+    await runMiddleware(identifyApiKey, req);
+    await runMiddleware(identifyApiKey, req);
+    const { res } = await runMiddleware(identifyApiKey, req);
+
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.body.error.errorCode, 'API_KEY_RATE_LIMIT_EXCEEDED');
+  });
+});
+
+describe('generalLimiter', () => {
+  afterEach(() => mock.restoreAll());
+
+  const exhaust = async (req) => {
+    let result;
+    for (let i = 0; i <= 100; i++) {
+      result = await runMiddleware(generalLimiter, req);
+    }
+    return result.res;
+  };
+
+  it('un encabezado X-API-Key inválido no evita el límite por IP', async () => {
+    mockAuthenticate();
+    const req = apiKeyRequest('10.0.0.3', { 'x-api-key': 'junk' });
+    await runMiddleware(identifyApiKey, req);
+
+    const res = await exhaust(req);
+
+    assert.equal(res.statusCode, 429);
+  });
+
+  it('una llave autenticada usa su propio límite en lugar del general', async () => {
+    mockAuthenticate(fixture('apiKey', { rateLimit: 1000 }));
+    const req = apiKeyRequest('10.0.0.4');
+    await runMiddleware(identifyApiKey, req);
+
+    const res = await exhaust(req);
+
+    assert.equal(res.statusCode, 200);
+  });
+});
+
+describe('requireAuthOrApiKey', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('reutiliza la llave que identifyApiKey ya autenticó', async () => {
+    const authenticate = mockAuthenticate();
+    const req = apiKeyRequest('10.0.0.5');
+    await runMiddleware(identifyApiKey, req);
+
+    const { error } = await runMiddleware(requireAuthOrApiKey, req);
+
+    assert.equal(error, undefined);
+    assert.equal(authenticate.mock.callCount(), 1);
+    assert.equal(req.authMethod, AUTH_METHODS.API_KEY);
+    assert.equal(req.mfaVerified, false);
+  });
+
+  it('una llave inválida responde 401 en la ruta', async () => {
+    mockAuthenticate();
+    const req = apiKeyRequest('10.0.0.6', { 'x-api-key': 'junk' });
+    await runMiddleware(identifyApiKey, req);
+
+    const { error } = await runMiddleware(requireAuthOrApiKey, req);
+
+    assert.equal(error.errorCode, 'INVALID_API_KEY');
+    assert.equal(error.statusCode, 401);
+  });
+});
+
+describe('requireAuth y la política de 2FA', () => {
+  afterEach(() => {
+    mock.restoreAll();
+    RoleService.invalidateCache();
+  });
+
+  // Sesión de un administrador; mfaVerifiedAt indica si superó el segundo paso
+  const adminRequest = (mfaVerifiedAt) => {
+    mock.method(Session, 'findOne', () => mockQuery({ mfaVerifiedAt }));
+    mock.method(User, 'findById', () => mockQuery(fixture('user', { _id: ids.admin, role: USER_ROLES.ADMIN })));
+    mock.method(Role, 'findOne', () => mockQuery(null));
+    mock.method(Order, 'findById', async () => fixture('order', { userId: ids.user }));
+
+    const token = signToken(ids.admin, null, { sid: '64b000000000000000000070' });
+    return { headers: { authorization: `Bearer ${token}` } };
+  };
+
+  it('una sesión sin 2FA no ejerce los permisos del rol en los servicios', async () => {
+    const req = adminRequest(null);
+
+    await runMiddleware(requireAuth, req);
+
+    assert.equal(req.permissions.size, 0);
+    await rejectsWithCode(assert, OrderService.getOrderById(ids.order, req.user._id, req.permissions), 'ACCESS_DENIED', 403);
+  });
+
+  it('una sesión con 2FA ejerce los permisos del rol', async () => {
+    const req = adminRequest(new Date());
+
+    await runMiddleware(requireAuth, req);
+
+    assert.ok(RoleService.includesPermission(req.permissions, PERMISSIONS.ORDERS_READ));
+    const order = await OrderService.getOrderById(ids.order, req.user._id, req.permissions);
+    assert.equal(order.orderNumber, 'ORD-1');
+  });
+});
+
+describe('requirePermission y la verificación en dos pasos', () => {
+  afterEach(() => {
+    mock.restoreAll();
+    RoleService.invalidateCache();
+  });
+
+  const staffRequest = (userOverrides, mfaVerified) => {
+    mock.method(Role, 'findOne', () => mockQuery(null));
+    return {
+      user: fixture('user', { role: USER_ROLES.WAREHOUSE, ...userOverrides }),
+      mfaVerified,
+      authMethod: AUTH_METHODS.JWT
+    };
+  };
+  const guard = requirePermission(PERMISSIONS.INVENTORY_ADJUST);
+
+  it('pide activar 2FA a quien aún no lo tiene', async () => {
+    const { error } = await runMiddleware(guard, staffRequest({ isTwoFactorEnabled: false }, false));
+
+    assert.equal(error.errorCode, 'TWO_FACTOR_ENROLLMENT_REQUIRED');
+  });
+
+  it('pide iniciar sesión con el código si la sesión no pasó el segundo paso', async () => {
+    const { error } = await runMiddleware(guard, staffRequest({ isTwoFactorEnabled: true }, false));
+
+    assert.equal(error.errorCode, 'TWO_FACTOR_SESSION_REQUIRED');
+  });
+
+  it('deja pasar a la sesión verificada', async () => {
+    const { error } = await runMiddleware(guard, staffRequest({ isTwoFactorEnabled: true }, true));
+
+    assert.equal(error, undefined);
+  });
+});
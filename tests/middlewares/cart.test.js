@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveCartOwner, signCartToken, verifyCartToken, extractCartToken } = require('../../src/middlewares/cart');
+const { runMiddleware } = require('../helpers');
+const { CART_TOKEN_COOKIE, CART_TOKEN_HEADER } = require('../../src/config/constants');
+
+const guestId = '0123456789abcdef0123456789abcdef';
+
+// Petición sin Authorization con el token en el header o en la cookie
+const cartRequest = ({ header = null, cookie = null } = {}) => ({
+  headers: cookie ? { cookie } : {},
+  get: (name) => (name === CART_TOKEN_HEADER ? header : undefined)
+});
+
+describe('Token de carrito de invitado', () => {
+  it('solo acepta tokens firmados por el servidor', () => {
+    const token = signCartToken(guestId);
+    const [, signature] = token.split('.');
+
+    assert.equal(verifyCartToken(token), guestId);
+    assert.equal(verifyCartToken(`${'f'.repeat(32)}.${signature}`), null);
+    assert.equal(verifyCartToken(`${guestId}.${signature.slice(0, -1)}x`), null);
+    assert.equal(verifyCartToken(guestId), null);
+    assert.equal(verifyCartToken(null), null);
+  });
+
+  it('se lee del header o de la cookie', () => {
+    const token = signCartToken(guestId);
+
+    assert.equal(extractCartToken(cartRequest({ header: token })), token);
+    assert.equal(extractCartToken(cartRequest({ cookie: `tema=oscuro; ${CART_TOKEN_COOKIE}=${encodeURIComponent(token)}` })), token);
+    assert.equal(extractCartToken(cartRequest()), null);
+  });
+});
+
+describe('resolveCartOwner', () => {
+  it('reutiliza el carrito de un token válido sin emitir otro', async () => {
+    const req = cartRequest({ header: signCartToken(guestId) });
+
+    const { error, res } = await runMiddleware(resolveCartOwner, req);
+
+    assert.equal(error, undefined);
+    assert.deepEqual(req.cartOwner, { guestId });
+    assert.equal(req.user, null);
+    assert.equal(res.headers[CART_TOKEN_HEADER], undefined);
+  });
+
+  it('un token falsificado recibe un carrito nuevo, no el ajeno', async () => {
+    const forged = `${guestId}.firma-inventada`;
+    const req = cartRequest({ header: forged });
+
+    const { res } = await runMiddleware(resolveCartOwner, req);
+
+    assert.notEqual(req.cartOwner.guestId, guestId);
+    assert.equal(verifyCartToken(res.headers[CART_TOKEN_HEADER]), req.cartOwner.guestId);
+    assert.equal(res.cookies[CART_TOKEN_COOKIE].value, res.headers[CART_TOKEN_HEADER]);
+    assert.equal(res.cookies[CART_TOKEN_COOKIE].options.httpOnly, true);
+  });
+});
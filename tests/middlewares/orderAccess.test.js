@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { requireOrderAccess, signOrderAccessToken, verifyOrderAccessToken } = require('../../src/middlewares/orderAccess');
+const { requireAuth, signToken } = require('../../src/middlewares/auth');
+const { runMiddleware } = require('../helpers');
+const { ids } = require('../fixtures');
+const { ORDER_ACCESS_SCOPE, ORDER_ACCESS_TOKEN_HEADER } = require('../../src/config/constants');
+
+const otherOrder = '64b000000000000000000011';
+
+// Petición de invitado a /orders/:orderId con el token de acceso en X-Order-Token
+const guestRequest = (orderId, orderToken = null, authorization = null) => ({
+  params: { orderId },
+  headers: authorization ? { authorization } : {},
+  get: (name) => (name === ORDER_ACCESS_TOKEN_HEADER ? orderToken : undefined)
+});
+
+describe('Token de acceso a la orden', () => {
+  it('solo lleva la orden y el alcance, nunca un usuario', () => {
+    const decoded = jwt.decode(signOrderAccessToken(ids.order));
+
+    assert.equal(decoded.scope, ORDER_ACCESS_SCOPE);
+    assert.equal(decoded.orderId, ids.order);
+    assert.equal(decoded.userId, undefined);
+    assert.equal(decoded.sid, undefined);
+  });
+
+  it('rechaza un token de cuenta presentado como token de orden', () => {
+    assert.throws(() => verifyOrderAccessToken(signToken(ids.user)), { errorCode: 'INVALID_ORDER_TOKEN', statusCode: 401 });
+    assert.throws(() => verifyOrderAccessToken('no-es-un-jwt'), { errorCode: 'INVALID_ORDER_TOKEN' });
+  });
+
+  it('no sirve como token de acceso a la cuenta', async () => {
+    const { error } = await runMiddleware(requireAuth, guestRequest(ids.order, null, `Bearer ${signOrderAccessToken(ids.order)}`));
+
+    assert.equal(error.errorCode, 'SESSION_REVOKED');
+    assert.equal(error.statusCode, 401);
+  });
+});
+
+describe('requireOrderAccess', () => {
+  it('da acceso de invitado solo a la orden del token', async () => {
+    const token = signOrderAccessToken(ids.order);
+    const req = guestRequest(ids.order, token);
+
+    const { error } = await runMiddleware(requireOrderAccess, req);
+
+    assert.equal(error, undefined);
+    assert.equal(req.user, null);
+    assert.deepEqual(req.orderAccess, { orderId: ids.order });
+
+    const { error: denied } = await runMiddleware(requireOrderAccess, guestRequest(otherOrder, token));
+    assert.equal(denied.errorCode, 'ACCESS_DENIED');
+    assert.equal(denied.statusCode, 403);
+  });
+
+  it('sin token exige autenticarse', async () => {
+    const { error } = await runMiddleware(requireOrderAccess, guestRequest(ids.order));
+
+    assert.equal(error.errorCode, 'TOKEN_REQUIRED');
+  });
+
+  it('un token vencido pide consultar la orden de nuevo', async () => {
+    const expired = jwt.sign(
+      { scope: ORDER_ACCESS_SCOPE, orderId: ids.order, exp: Math.floor(Date.now() / 1000) - 60 },
+      process.env.JWT_SECRET || 'your-super-secret-jwt-key-here'
+    );
+
+    const { error } = await runMiddleware(requireOrderAccess, guestRequest(ids.order, expired));
+
+    assert.equal(error.errorCode, 'INVALID_ORDER_TOKEN');
+  });
+});
@@ -0,0 +1,148 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../../src/models/User');
+const Order = require('../../src/models/Order');
+const ReturnRequest = require('../../src/models/ReturnRequest');
+const AuditLog = require('../../src/models/AuditLog');
+const ApiKey = require('../../src/models/ApiKey');
+const Follow = require('../../src/models/Follow');
+const Reaction = require('../../src/models/Reaction');
+const Cart = require('../../src/models/Cart');
+const Wishlist = require('../../src/models/Wishlist');
+const AuthToken = require('../../src/models/AuthToken');
+const LoginEvent = require('../../src/models/LoginEvent');
+const ProductActivity = require('../../src/models/ProductActivity');
+const AccountDeletionService = require('../../src/services/accountDeletionService');
+const SessionService = require('../../src/services/sessionService');
+const DataExportService = require('../../src/services/dataExportService');
+const NotificationService = require('../../src/services/notificationService');
+const MediaService = require('../../src/services/mediaService');
+const MailService = require('../../src/services/mailService');
+const { fixture, ids } = require('../fixtures');
+const { DELETED_USER_ADDRESS_STREET } = require('../../src/config/constants');
+
+// Aplica a un objeto los $set/$unset de un update (incluido items.$[].campo)
+// para comprobar qué datos quedan después del borrado
+const applyUpdate = (doc, { $set = {}, $unset = {} }) => {
+  const assign = (target, path, value) => {
+    const [head, ...rest] = path.split('.');
+    if (head === '$[]') return target.forEach(item => assign(item, rest.join('.'), value));
+    if (rest.length === 0) {
+      if (value === undefined) delete target[head];
+      else target[head] = value;
+      return;
+    }
+    assign(target[head], rest.join('.'), value);
+  };
+
+  Object.entries($set).forEach(([path, value]) => assign(doc, path, value));
+  Object.keys($unset).forEach(path => assign(doc, path, undefined));
+  return doc;
+};
+
+describe('AccountDeletionService.eraseUser', () => {
+  afterEach(() => mock.restoreAll());
+
+  const setup = () => {
+    mock.method(User, 'findById', async () => fixture('user', { isDeleted: false }));
+    mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(SessionService, 'revokeAllSessions', async () => {});
+    mock.method(AccountDeletionService, 'eraseSocialContent', async () => {});
+    mock.method(DataExportService, 'deleteUserExports', async () => {});
+    mock.method(NotificationService, 'eraseUserNotifications', async () => {});
+    mock.method(MediaService, 'deleteOwnerMedia', async () => {});
+    mock.method(MailService, 'sendTemplateSafely', async () => {});
+    for (const Model of [Follow, Reaction, Cart, Wishlist, AuthToken, LoginEvent]) {
+      mock.method(Model, 'deleteMany', async () => ({}));
+    }
+    for (const Model of [ApiKey, ProductActivity]) {
+      mock.method(Model, 'updateMany', async () => ({}));
+    }
+
+    return {
+      orders: mock.method(Order, 'updateMany', async () => ({})),
+      returns: mock.method(ReturnRequest, 'updateMany', async () => ({})),
+      auditLogs: mock.method(AuditLog.collection, 'updateMany', async () => ({}))
+    };
+  };
+
+  it('conserva los datos fiscales de la orden y quita los personales', async () => {
+    const { orders } = setup();
+    const order = {
+      orderNumber: 'ORD-1',
+      userId: ids.user,
+      contactEmail: 'cliente@example.com',
+      contactPhone: '+52 55 1234 5678',
+      notes: 'Dejar con el portero Juan',
+      shippingAddress: { street: 'Av. Reforma 123', city: 'CDMX', state: 'CDMX', zipCode: '06600', country: 'Mexico' },
+      items: [{ productName: 'Producto p1', quantity: 1, priceAtTime: 100 }],
+      totalAmount: 100,
+      taxAmount: 16,
+      finalAmount: 116
+    };
+
+    await AccountDeletionService.eraseUser(ids.user);
+
+    const [filter, update] = orders.mock.calls[0].arguments;
+    assert.deepEqual(filter, { userId: ids.user });
+    assert.deepEqual(applyUpdate(order, update), {
+      orderNumber: 'ORD-1',
+      userId: ids.user,
+      shippingAddress: { street: DELETED_USER_ADDRESS_STREET, city: 'CDMX', state: 'CDMX', zipCode: '06600', country: 'Mexico' },
+      items: [{ productName: 'Producto p1', quantity: 1, priceAtTime: 100 }],
+      totalAmount: 100,
+      taxAmount: 16,
+      finalAmount: 116
+    });
+  });
+
+  it('quita las notas del cliente de sus devoluciones y conserva los importes', async () => {
+    const { returns } = setup();
+    const returnRequest = {
+      rmaNumber: 'RMA-1',
+      notes: 'Llamar al 5512345678',
+      refundAmount: 100,
+      items: [{ productName: 'Producto p1', quantity: 1, unitPrice: 100, reason: 'defective', comment: 'Mi hija lo rompió' }]
+    };
+
+    await AccountDeletionService.eraseUser(ids.user);
+
+    const [filter, update] = returns.mock.calls[0].arguments;
+    assert.deepEqual(filter, { userId: ids.user });
+    assert.deepEqual(applyUpdate(returnRequest, update), {
+      rmaNumber: 'RMA-1',
+      refundAmount: 100,
+      items: [{ productName: 'Producto p1', quantity: 1, unitPrice: 100, reason: 'defective' }]
+    });
+  });
+
+  it('anonimiza al actor en la auditoría sin borrar qué hizo', async () => {
+    const { auditLogs } = setup();
+    const log = {
+      actor: { userId: ids.user, email: 'cliente@example.com', role: 'customer' },
+      action: 'user.update',
+      targetModel: 'User',
+      targetId: ids.user,
+      changes: [{ field: 'email', before: 'anterior@example.com', after: 'cliente@example.com' }],
+      ip: '203.0.113.7',
+      userAgent: 'Mozilla/5.0'
+    };
+
+    await AccountDeletionService.eraseUser(ids.user);
+
+    const [[actorFilter, actorUpdate], [targetFilter, targetUpdate]] = auditLogs.mock.calls.map(call => call.arguments);
+    assert.equal(String(actorFilter['actor.userId']), ids.user);
+    assert.equal(targetFilter.targetId, ids.user);
+    applyUpdate(log, actorUpdate);
+    applyUpdate(log, targetUpdate);
+    assert.deepEqual(log, {
+      actor: { userId: ids.user, email: null, role: 'customer' },
+      action: 'user.update',
+      targetModel: 'User',
+      targetId: ids.user,
+      changes: [{ field: 'email', before: '[REDACTED]', after: '[REDACTED]' }],
+      ip: null,
+      userAgent: null
+    });
+  });
+});
@@ -0,0 +1,67 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const ApiKey = require('../../src/models/ApiKey');
+const Role = require('../../src/models/Role');
+const User = require('../../src/models/User');
+const ApiKeyService = require('../../src/services/apiKeyService');
+const { mockQuery, rejectsWithCode } = require('../helpers');
+const { fixture } = require('../fixtures');
+const { PERMISSIONS, USER_ROLES } = require('../../src/config/constants');
+
+const secret = 'a'.repeat(32);
+const rawKey = ApiKeyService.buildKey('0123456789ab', secret);
+
+describe('ApiKeyService.authenticate', () => {
+  afterEach(() => mock.restoreAll());
+
+  // Usuario de almacén con los permisos por defecto de su rol
+  const setup = (apiKey) => {
+    mock.method(ApiKey, 'findOne', () => mockQuery(apiKey));
+    mock.method(User, 'findById', () => mockQuery(fixture('user', { role: USER_ROLES.WAREHOUSE })));
+    mock.method(Role, 'findOne', () => mockQuery(null));
+  };
+
+  it('los permisos efectivos son los scopes que el rol conserva', async () => {
+    setup(fixture('apiKey', {
+      secretHash: ApiKeyService.hashSecret(secret),
+      scopes: [PERMISSIONS.INVENTORY_ADJUST, PERMISSIONS.CATALOG_MANAGE]
+    }));
+
+    const { permissions } = await ApiKeyService.authenticate(rawKey);
+
+    assert.deepEqual([...permissions], [PERMISSIONS.INVENTORY_ADJUST]);
+  });
+
+  it('rechaza un secreto que no coincide', async () => {
+    setup(fixture('apiKey', { secretHash: ApiKeyService.hashSecret('b'.repeat(32)) }));
+
+    await rejectsWithCode(assert, ApiKeyService.authenticate(rawKey), 'INVALID_API_KEY', 401);
+  });
+
+  it('rechaza un formato de llave inválido sin consultar la base', async () => {
+    const findOne = mock.method(ApiKey, 'findOne', () => mockQuery(null));
+
+    await rejectsWithCode(assert, ApiKeyService.authenticate('junk'), 'INVALID_API_KEY', 401);
+    assert.equal(findOne.mock.callCount(), 0);
+  });
+
+  it('rechaza una llave revocada', async () => {
+    setup(fixture('apiKey', { secretHash: ApiKeyService.hashSecret(secret), revokedAt: new Date() }));
+
+    await rejectsWithCode(assert, ApiKeyService.authenticate(rawKey), 'API_KEY_REVOKED', 401);
+  });
+
+  it('acepta el secreto anterior solo durante el periodo de gracia', async () => {
+    const rotated = {
+      secretHash: ApiKeyService.hashSecret('b'.repeat(32)),
+      previousSecretHash: ApiKeyService.hashSecret(secret)
+    };
+
+    setup(fixture('apiKey', { ...rotated, previousSecretExpiresAt: new Date(Date.now() + 60 * 1000) }));
+    await ApiKeyService.authenticate(rawKey);
+
+    mock.restoreAll();
+    setup(fixture('apiKey', { ...rotated, previousSecretExpiresAt: new Date(Date.now() - 60 * 1000) }));
+    await rejectsWithCode(assert, ApiKeyService.authenticate(rawKey), 'INVALID_API_KEY', 401);
+  });
+});
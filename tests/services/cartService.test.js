@@ -0,0 +1,56 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Cart = require('../../src/models/Cart');
+const CartService = require('../../src/services/cartService');
+const ProductVariantService = require('../../src/services/productVariantService');
+const { mockQuery, mockTransaction } = require('../helpers');
+const { ids } = require('../fixtures');
+const { CART_MERGE_ACTIONS } = require('../../src/config/constants');
+
+const guestId = '0123456789abcdef0123456789abcdef';
+const productId = '64b000000000000000000080';
+
+describe('CartService.mergeCart', () => {
+  afterEach(() => mock.restoreAll());
+
+  const setup = (guestCart, { available = 10, price = 100 } = {}) => {
+    mockTransaction();
+    const claim = mock.method(Cart, 'findOneAndDelete', () => mockQuery(guestCart));
+    mock.method(Cart, 'findOne', () => mockQuery(null));
+    mock.method(Cart.prototype, 'save', async function() { return this; });
+    mock.method(Cart.prototype, 'populate', async function() { return this; });
+    mock.method(CartService, 'formatCartData', (cart) => cart);
+    mock.method(ProductVariantService, 'resolveSellable', async () => ({ product: { name: 'Lámpara' }, variant: null }));
+    mock.method(ProductVariantService, 'getAvailableQty', () => available);
+    mock.method(ProductVariantService, 'getUnitPrice', () => price);
+    return { claim };
+  };
+
+  it('reclama el carrito del invitado de forma atómica', async () => {
+    const { claim } = setup(null);
+
+    // Otro login con el mismo token ya lo fusionó: no queda nada que reclamar
+    assert.equal(await CartService.mergeCart(ids.user, { guestId }), null);
+    assert.deepEqual(claim.mock.calls[0].arguments[0], { guestId });
+  });
+
+  it('ajusta la cantidad al stock y el precio al vigente, y lo reporta', async () => {
+    setup({
+      items: [{ productId, variantId: null, quantity: 5, priceAtTime: 80 }],
+      promotionCodes: ['BIENVENIDA']
+    }, { available: 3 });
+
+    const { cart, report } = await CartService.mergeCart(ids.user, { guestId });
+
+    assert.equal(cart.items[0].quantity, 3);
+    assert.equal(cart.items[0].priceAtTime, 100);
+    assert.deepEqual(report.promotionCodesAdded, ['BIENVENIDA']);
+    const [line] = report.lines;
+    assert.equal(line.action, CART_MERGE_ACTIONS.ADDED);
+    assert.deepEqual(line.adjustments.map(adjustment => adjustment.type), [
+      CART_MERGE_ACTIONS.QUANTITY_CAPPED,
+      CART_MERGE_ACTIONS.PRICE_UPDATED
+    ]);
+    assert.equal(report.adjustedCount, 1);
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Job = require('../../src/models/Job');
+const JobQueueService = require('../../src/services/jobQueueService');
+const { registerJob } = require('../../src/services/jobs');
+const { JOB_STATUS } = require('../../src/config/constants');
+const { fixture } = require('../fixtures');
+
+describe('JobQueueService.executeJob', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('completa el trabajo con el resultado del handler', async () => {
+    registerJob('test.ok', async (data) => ({ echoed: data.value }));
+    const updateOne = mock.method(Job, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    await JobQueueService.executeJob(fixture('job', { name: 'test.ok', data: { value: 7 } }));
+
+    const [filter, update] = updateOne.mock.calls[0].arguments;
+    assert.equal(filter.lockedBy, 'worker-a');
+    assert.equal(update.$set.status, JOB_STATUS.COMPLETED);
+    assert.deepEqual(update.$set.result, { echoed: 7 });
+  });
+
+  it('un fallo normal se reintenta tras la espera exponencial', async () => {
+    registerJob('test.fails', async () => {
+      throw new Error('boom');
+    });
+    const updateOne = mock.method(Job, 'updateOne', async () => ({ modifiedCount: 1 }));
+    const job = fixture('job', { name: 'test.fails', lockedUntil: new Date(Date.now() + 10 * 60 * 1000) });
+
+    const before = Date.now();
+    await JobQueueService.executeJob(job);
+
+    const update = updateOne.mock.calls[0].arguments[1];
+    assert.equal(update.$set.status, JOB_STATUS.QUEUED);
+    assert.equal(update.$set.lastError, 'boom');
+    // Primer reintento: 30 s ±20 %, antes de que venza el bloqueo
+    assert.ok(update.$set.runAt.getTime() >= before + 24 * 1000);
+    assert.ok(update.$set.runAt < job.lockedUntil);
+  });
+
+  it('sin intentos restantes pasa a la cola de fallidos', async () => {
+    registerJob('test.dead', async () => {
+      throw new Error('boom');
+    });
+    const updateOne = mock.method(Job, 'updateOne', async () => ({ modifiedCount: 0 }));
+
+    await JobQueueService.executeJob(fixture('job', { name: 'test.dead', attempts: 3 }));
+
+    const update = updateOne.mock.calls[0].arguments[1];
+    assert.equal(update.$set.status, JOB_STATUS.DEAD);
+    assert.deepEqual(update.$unset, { uniqueKey: 1 });
+  });
+
+  it('un handler que vence su tiempo no se reencola antes de que expire el bloqueo', async () => {
+    let finished = false;
+    registerJob('test.slow', () => new Promise(resolve => setTimeout(() => {
+      finished = true;
+      resolve();
+    }, 80)), { timeoutMs: 10 });
+    const updateOne = mock.method(Job, 'updateOne', async () => ({ modifiedCount: 1 }));
+    const job = fixture('job', { name: 'test.slow', lockedUntil: new Date(Date.now() + 60 * 60 * 1000) });
+
+    await JobQueueService.executeJob(job);
+
+    const update = updateOne.mock.calls[0].arguments[1];
+    assert.equal(update.$set.status, JOB_STATUS.QUEUED);
+    assert.match(update.$set.lastError, /tiempo límite/);
+    assert.ok(update.$set.runAt >= job.lockedUntil);
+    // El hueco de concurrencia se libera solo cuando el handler termina
+    assert.equal(finished, true);
+  });
+});
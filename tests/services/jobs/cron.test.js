@@ -0,0 +1,117 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, getNextRun } = require('../../../src/services/jobs/cron');
+
+const sorted = (set) => [...set].sort((a, b) => a - b);
+
+const assertInvalidCron = (fn) => {
+  assert.throws(fn, (error) => {
+    assert.equal(error.statusCode, 400);
+    assert.equal(error.errorCode, 'INVALID_CRON');
+    return true;
+  });
+};
+
+describe('parseCron', () => {
+  it('expande pasos, rangos y listas', () => {
+    const schedule = parseCron('*/15 0-2 1,15 * 1-5');
+
+    assert.deepEqual(sorted(schedule.minutes), [0, 15, 30, 45]);
+    assert.deepEqual(sorted(schedule.hours), [0, 1, 2]);
+    assert.deepEqual(sorted(schedule.daysOfMonth), [1, 15]);
+    assert.equal(schedule.months.size, 12);
+    assert.deepEqual(sorted(schedule.daysOfWeek), [1, 2, 3, 4, 5]);
+  });
+
+  it('admite pasos sobre un rango', () => {
+    assert.deepEqual(sorted(parseCron('5-59/15 * * * *').minutes), [5, 20, 35, 50]);
+  });
+
+  it('un valor con paso recorre hasta el máximo del campo', () => {
+    assert.deepEqual(sorted(parseCron('* 20/2 * * *').hours), [20, 22]);
+  });
+
+  it('trata el 7 como domingo', () => {
+    assert.ok(parseCron('0 0 * * 7').daysOfWeek.has(0));
+  });
+
+  it('resuelve los atajos', () => {
+    const schedule = parseCron('@daily');
+
+    assert.deepEqual(sorted(schedule.minutes), [0]);
+    assert.deepEqual(sorted(schedule.hours), [0]);
+    assert.equal(schedule.daysOfMonth.size, 31);
+  });
+
+  it('marca anyDay solo cuando se restringen ambos días', () => {
+    assert.equal(parseCron('0 0 13 * 5').anyDay, true);
+    assert.equal(parseCron('0 0 13 * *').anyDay, false);
+    assert.equal(parseCron('0 0 * * 5').anyDay, false);
+  });
+
+  it('rechaza expresiones inválidas con INVALID_CRON', () => {
+    assertInvalidCron(() => parseCron('* * * *'));
+    assertInvalidCron(() => parseCron('* * * * * *'));
+    assertInvalidCron(() => parseCron('60 * * * *'));
+    assertInvalidCron(() => parseCron('* 24 * * *'));
+    assertInvalidCron(() => parseCron('* * 0 * *'));
+    assertInvalidCron(() => parseCron('* * * 13 *'));
+    assertInvalidCron(() => parseCron('*/0 * * * *'));
+    assertInvalidCron(() => parseCron('5-1 * * * *'));
+    assertInvalidCron(() => parseCron('a * * * *'));
+    assertInvalidCron(() => parseCron(''));
+    assertInvalidCron(() => parseCron('1- * * * *'));
+  });
+});
+
+describe('getNextRun', () => {
+  const at = (iso) => new Date(iso);
+
+  it('devuelve el siguiente minuto que cumple la expresión', () => {
+    assert.deepEqual(getNextRun('*/15 * * * *', at('2026-01-01T00:06:30Z')), at('2026-01-01T00:15:00Z'));
+  });
+
+  it('siempre es posterior a from, aunque from ya cumpla la expresión', () => {
+    assert.deepEqual(getNextRun('*/15 * * * *', at('2026-01-01T00:15:00Z')), at('2026-01-01T00:30:00Z'));
+    assert.deepEqual(getNextRun('* * * * *', at('2026-01-01T00:15:59.999Z')), at('2026-01-01T00:16:00Z'));
+  });
+
+  it('pasa al día siguiente cuando la hora ya pasó', () => {
+    assert.deepEqual(getNextRun('0 4 * * *', at('2026-01-01T05:00:00Z')), at('2026-01-02T04:00:00Z'));
+  });
+
+  it('pasa de año', () => {
+    assert.deepEqual(getNextRun('30 3 * * *', at('2026-12-31T03:30:00Z')), at('2027-01-01T03:30:00Z'));
+  });
+
+  it('salta meses que no coinciden', () => {
+    assert.deepEqual(getNextRun('0 0 1 6 *', at('2026-01-15T10:00:00Z')), at('2026-06-01T00:00:00Z'));
+  });
+
+  it('con día del mes y día de la semana basta con que coincida uno', () => {
+    // 1 de febrero de 2026 es domingo: el viernes 6 llega antes que el 13
+    assert.deepEqual(getNextRun('0 0 13 * 5', at('2026-02-01T00:00:00Z')), at('2026-02-06T00:00:00Z'));
+  });
+
+  it('@weekly corre el domingo a medianoche', () => {
+    const next = getNextRun('@weekly', at('2026-02-02T12:00:00Z'));
+
+    assert.equal(next.getUTCDay(), 0);
+    assert.deepEqual(next, at('2026-02-08T00:00:00Z'));
+  });
+
+  it('encuentra el 29 de febrero del siguiente año bisiesto', () => {
+    assert.deepEqual(getNextRun('0 0 29 2 *', at('2026-03-01T00:00:00Z')), at('2028-02-29T00:00:00Z'));
+  });
+
+  it('rechaza expresiones que nunca ocurren', () => {
+    assertInvalidCron(() => getNextRun('0 0 31 2 *', at('2026-01-01T00:00:00Z')));
+  });
+
+  it('no modifica la fecha recibida', () => {
+    const from = at('2026-01-01T00:06:30Z');
+    getNextRun('*/15 * * * *', from);
+
+    assert.deepEqual(from, at('2026-01-01T00:06:30Z'));
+  });
+});
@@ -0,0 +1,78 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../../src/models/User');
+const LoginSecurityService = require('../../src/services/loginSecurityService');
+const AuthService = require('../../src/services/authService');
+const AuthTokenService = require('../../src/services/authTokenService');
+const SessionService = require('../../src/services/sessionService');
+const MailService = require('../../src/services/mailService');
+const { mockQuery } = require('../helpers');
+const { ids, fixture } = require('../fixtures');
+const { LOGIN_FAILURE_REASONS } = require('../../src/config/constants');
+
+const now = new Date('2026-10-19T12:00:00Z');
+const secondsAgo = (seconds) => new Date(now.getTime() - seconds * 1000);
+
+describe('LoginSecurityService.getLockState', () => {
+  it('los primeros fallos no imponen espera', () => {
+    const state = LoginSecurityService.getLockState({
+      loginSecurity: { failedAttempts: 2, lastFailedAt: secondsAgo(0) }
+    }, now);
+
+    assert.equal(state, null);
+  });
+
+  it('pasados los intentos libres la espera crece con cada fallo', () => {
+    const state = (failedAttempts) => LoginSecurityService.getLockState({
+      loginSecurity: { failedAttempts, lastFailedAt: secondsAgo(0) }
+    }, now);
+
+    assert.equal(state(3).reason, LOGIN_FAILURE_REASONS.THROTTLED);
+    assert.equal(state(3).retryAfter, 2);
+    assert.equal(state(5).retryAfter, 8);
+  });
+
+  it('los fallos fuera de la ventana ya no cuentan', () => {
+    const state = LoginSecurityService.getLockState({
+      loginSecurity: { failedAttempts: 9, lastFailedAt: secondsAgo(2 * 60 * 60) }
+    }, now);
+
+    assert.equal(state, null);
+  });
+
+  it('una cuenta bloqueada informa cuándo se levanta el bloqueo', () => {
+    const lockedUntil = new Date(now.getTime() + 15 * 60 * 1000);
+    const state = LoginSecurityService.getLockState({ loginSecurity: { lockedUntil } }, now);
+
+    assert.equal(state.reason, LOGIN_FAILURE_REASONS.ACCOUNT_LOCKED);
+    assert.equal(state.retryAfter, 15 * 60);
+  });
+});
+
+describe('AuthService.resetPassword', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('levanta el bloqueo y reinicia los contadores de la cuenta', async () => {
+    const user = fixture('user', {
+      loginSecurity: {
+        failedAttempts: 4,
+        lastFailedAt: new Date(),
+        lockedUntil: new Date(Date.now() + 60 * 60 * 1000),
+        lockCount: 2
+      }
+    });
+    const save = mock.fn(async () => {});
+    user.save = save;
+    mock.method(AuthTokenService, 'consumeToken', async () => ({ userId: ids.user, email: user.email }));
+    mock.method(User, 'findById', () => mockQuery(user));
+    const revokeAllSessions = mock.method(SessionService, 'revokeAllSessions', async () => {});
+    mock.method(MailService, 'sendTemplateSafely', async () => {});
+
+    await AuthService.resetPassword('token', 'nueva-contraseña');
+
+    assert.deepEqual(user.loginSecurity, { failedAttempts: 0, lastFailedAt: null, lockedUntil: null, lockCount: 0 });
+    assert.equal(LoginSecurityService.getLockState(user), null);
+    assert.equal(save.mock.callCount(), 1);
+    assert.equal(revokeAllSessions.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,218 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const Order = require('../../src/models/Order');
+const Payment = require('../../src/models/Payment');
+const Product = require('../../src/models/Product');
+const PromotionRedemption = require('../../src/models/PromotionRedemption');
+const User = require('../../src/models/User');
+const Reservation = require('../../src/models/Reservation');
+const OrderService = require('../../src/services/orderService');
+const PromotionService = require('../../src/services/promotionService');
+const PaymentService = require('../../src/services/paymentService');
+const ReservationService = require('../../src/services/reservationService');
+const { mockQuery, mockTransaction, rejectsWithCode } = require('../helpers');
+const { fixture, ids } = require('../fixtures');
+const { ORDER_STATUS, PAYMENT_STATUS, RESERVATION_MAX_EXTENSIONS } = require('../../src/config/constants');
+
+describe('OrderService.reserveOrderStock', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('reserva todas las líneas con disponibilidad condicionada', async () => {
+    const findOneAndUpdate = mock.method(Product, 'findOneAndUpdate', async () => ({ _id: 'p' }));
+    const insertMany = mock.method(Reservation, 'insertMany', async () => []);
+    const order = fixture('order', {
+      items: [
+        fixture('orderItem', { productId: 'p1', quantity: 2 }),
+        fixture('orderItem', { productId: 'p2', quantity: 1 })
+      ]
+    });
+
+    const expiresAt = await OrderService.reserveOrderStock(order, null);
+
+    assert.equal(findOneAndUpdate.mock.callCount(), 2);
+    const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+    assert.equal(filter._id, 'p1');
+    assert.equal(filter.$expr.$gte[1], 2);
+    assert.deepEqual(update, { $inc: { reservedQty: 2 } });
+
+    const reservations = insertMany.mock.calls[0].arguments[0];
+    assert.deepEqual(reservations.map(r => [r.productId, r.quantity]), [['p1', 2], ['p2', 1]]);
+    assert.ok(reservations.every(r => r.expiresAt === expiresAt));
+    assert.ok(expiresAt > new Date());
+  });
+
+  it('sin stock suficiente lanza INSUFFICIENT_STOCK y no crea reservas', async () => {
+    mock.method(Product, 'findOneAndUpdate', async (filter) => (filter._id === 'p2' ? null : { _id: 'p1' }));
+    mock.method(Product, 'findById', () => mockQuery({ available: 1 }));
+    const insertMany = mock.method(Reservation, 'insertMany', async () => []);
+    const order = fixture('order', {
+      items: [
+        fixture('orderItem', { productId: 'p1', quantity: 1 }),
+        fixture('orderItem', { productId: 'p2', quantity: 3 })
+      ]
+    });
+
+    await assert.rejects(OrderService.reserveOrderStock(order, null), (error) => {
+      assert.equal(error.errorCode, 'INSUFFICIENT_STOCK');
+      assert.equal(error.statusCode, 400);
+      assert.deepEqual(error.details.items.map(c => [c.productId, c.requested, c.available]), [['p2', 3, 1]]);
+      return true;
+    });
+    assert.equal(insertMany.mock.callCount(), 0);
+  });
+});
+
+describe('OrderService.expireOrder', () => {
+  afterEach(() => mock.restoreAll());
+
+  const setup = (order) => {
+    mockTransaction();
+    mock.method(Order, 'findById', () => mockQuery(order));
+    return {
+      commit: mock.method(OrderService, 'commitOrderStock', async () => {}),
+      release: mock.method(OrderService, 'releaseOrderStock', async () => {}),
+      releaseRedemptions: mock.method(PromotionService, 'releaseRedemptions', async () => {}),
+      emitStatusChanged: mock.method(OrderService, 'emitStatusChanged', async () => {})
+    };
+  };
+
+  it('una orden ya pagada confirma su reserva en vez de cancelarse', async () => {
+    const order = fixture('order', { paymentStatus: PAYMENT_STATUS.PAID });
+    const mocks = setup(order);
+
+    assert.equal(await OrderService.expireOrder(order._id), null);
+
+    assert.equal(mocks.commit.mock.callCount(), 1);
+    assert.equal(mocks.release.mock.callCount(), 0);
+    assert.equal(order.status, ORDER_STATUS.PENDING);
+  });
+
+  it('una orden autorizada extiende su reserva', async () => {
+    const order = fixture('order', { paymentStatus: PAYMENT_STATUS.AUTHORIZED });
+    const mocks = setup(order);
+    const updateMany = mock.method(Reservation, 'updateMany', async () => ({ modifiedCount: 1 }));
+
+    assert.equal(await OrderService.expireOrder(order._id), null);
+
+    const [filter, update] = updateMany.mock.calls[0].arguments;
+    assert.equal(filter.orderId, order._id);
+    assert.ok(update.expiresAt > new Date());
+    assert.equal(order.reservationExpiresAt, update.expiresAt);
+    assert.equal(order.reservationExtensions, 1);
+    assert.equal(mocks.release.mock.callCount(), 0);
+    assert.equal(order.status, ORDER_STATUS.PENDING);
+  });
+
+  it('una orden autorizada que agotó sus extensiones se cancela', async () => {
+    const order = fixture('order', {
+      paymentStatus: PAYMENT_STATUS.AUTHORIZED,
+      reservationExtensions: RESERVATION_MAX_EXTENSIONS
+    });
+    const mocks = setup(order);
+    const updateMany = mock.method(Reservation, 'updateMany', async () => ({ modifiedCount: 1 }));
+
+    assert.equal(await OrderService.expireOrder(order._id), order);
+
+    assert.equal(updateMany.mock.callCount(), 0);
+    assert.equal(order.status, ORDER_STATUS.CANCELLED);
+    assert.match(order.cancellationReason, /sin captura/);
+    assert.equal(mocks.release.mock.callCount(), 1);
+  });
+
+  it('una orden sin pago se cancela y libera stock y promociones', async () => {
+    const order = fixture('order');
+    const mocks = setup(order);
+
+    assert.equal(await OrderService.expireOrder(order._id), order);
+
+    assert.equal(order.status, ORDER_STATUS.CANCELLED);
+    assert.equal(mocks.release.mock.callCount(), 1);
+    assert.equal(mocks.releaseRedemptions.mock.callCount(), 1);
+    assert.equal(mocks.commit.mock.callCount(), 0);
+    assert.equal(mocks.emitStatusChanged.mock.calls[0].arguments[1], ORDER_STATUS.PENDING);
+  });
+
+  it('ignora órdenes que ya no están pendientes', async () => {
+    const order = fixture('order', { status: ORDER_STATUS.CONFIRMED });
+    const mocks = setup(order);
+
+    assert.equal(await OrderService.expireOrder(order._id), null);
+
+    assert.equal(mocks.release.mock.callCount(), 0);
+    assert.equal(mocks.commit.mock.callCount(), 0);
+  });
+});
+
+describe('ReservationService.sweepExpiredReservations', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('anula la autorización de las órdenes canceladas sin captura', async () => {
+    const authorized = fixture('order', { _id: 'o1', status: ORDER_STATUS.CANCELLED, paymentStatus: PAYMENT_STATUS.AUTHORIZED });
+    const unpaid = fixture('order', { _id: 'o2', status: ORDER_STATUS.CANCELLED });
+    mock.method(Reservation, 'distinct', async () => ['o1', 'o2']);
+    mock.method(OrderService, 'expireOrder', async (orderId) => (orderId === 'o1' ? authorized : unpaid));
+    const voidAuthorizations = mock.method(PaymentService, 'voidOrderAuthorizations', async () => {});
+    mock.method(console, 'log', () => {});
+
+    await ReservationService.sweepExpiredReservations();
+
+    assert.deepEqual(voidAuthorizations.mock.calls.map(call => call.arguments[0]), ['o1']);
+  });
+});
+
+describe('OrderService.lookupOrder', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('con número y email devuelve un token limitado a esa orden', async () => {
+    const findOne = mock.method(Order, 'findOne', async () => fixture('order', { isGuest: true }));
+    mock.method(OrderService, 'formatOrderData', (order) => order);
+
+    const { orderAccess } = await OrderService.lookupOrder(' ord-1 ', ' Invitado@Example.com ');
+
+    assert.deepEqual(findOne.mock.calls[0].arguments[0], { orderNumber: 'ORD-1', contactEmail: 'invitado@example.com' });
+    assert.equal(jwt.decode(orderAccess.token).orderId, ids.order);
+  });
+
+  it('no distingue una orden inexistente de un email incorrecto', async () => {
+    mock.method(Order, 'findOne', async () => null);
+
+    await rejectsWithCode(assert, OrderService.lookupOrder('ORD-1', 'otro@example.com'), 'ORDER_NOT_FOUND', 404);
+  });
+});
+
+describe('OrderService.claimGuestOrders', () => {
+  afterEach(() => mock.restoreAll());
+
+  const setup = (user) => {
+    mockTransaction();
+    mock.method(User, 'findById', () => mockQuery(user));
+    return {
+      find: mock.method(Order, 'find', () => mockQuery([{ _id: ids.order, orderNumber: 'ORD-1' }])),
+      updateOrders: mock.method(Order, 'updateMany', async () => ({ modifiedCount: 1 })),
+      updatePayments: mock.method(Payment, 'updateMany', async () => ({ modifiedCount: 1 })),
+      updateRedemptions: mock.method(PromotionRedemption, 'updateMany', async () => ({ modifiedCount: 1 }))
+    };
+  };
+
+  it('exige el email verificado', async () => {
+    const mocks = setup(fixture('user', { emailVerifiedAt: null }));
+
+    await rejectsWithCode(assert, OrderService.claimGuestOrders(ids.user), 'EMAIL_NOT_VERIFIED', 403);
+    assert.equal(mocks.updateOrders.mock.callCount(), 0);
+  });
+
+  it('vincula solo órdenes de invitado sin dueño, con sus pagos y promociones', async () => {
+    const mocks = setup(fixture('user', { emailVerifiedAt: new Date() }));
+
+    const result = await OrderService.claimGuestOrders(ids.user);
+
+    assert.deepEqual(mocks.find.mock.calls[0].arguments[0], { isGuest: true, userId: null, contactEmail: 'cliente@example.com' });
+    const [filter, update] = mocks.updateOrders.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: { $in: [ids.order] }, userId: null });
+    assert.equal(update.$set.userId, ids.user);
+    assert.equal(mocks.updatePayments.mock.calls[0].arguments[1].$set.userId, ids.user);
+    assert.equal(mocks.updateRedemptions.mock.calls[0].arguments[1].$set.userId, ids.user);
+    assert.deepEqual(result, { claimed: 1, orders: ['ORD-1'] });
+  });
+});
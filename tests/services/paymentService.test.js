@@ -0,0 +1,269 @@
+const { describe, it, before, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Order = require('../../src/models/Order');
+const Payment = require('../../src/models/Payment');
+const PaymentService = require('../../src/services/paymentService');
+const OrderService = require('../../src/services/orderService');
+const SandboxProvider = require('../../src/services/payments/sandboxProvider');
+const { registerProvider } = require('../../src/services/payments');
+const { mockQuery, mockTransaction, rejectsWithCode } = require('../helpers');
+const { fixture, ids } = require('../fixtures');
+const {
+  ORDER_STATUS,
+  PAYMENT_EVENTS,
+  PAYMENT_INTENT_STATUS,
+  PAYMENT_STATUS,
+  PAYMENT_REVIEW_REASONS,
+  PERMISSIONS
+} = require('../../src/config/constants');
+
+const provider = new SandboxProvider('test-secret');
+
+describe('PaymentService.handleWebhook', () => {
+  before(() => registerProvider(provider));
+  afterEach(() => mock.restoreAll());
+
+  const deliver = (type, data) => {
+    const { rawBody, headers } = provider.buildWebhook(type, { paymentId: 'sbx_pi_1', ...data });
+    return PaymentService.handleWebhook(provider.name, rawBody, headers);
+  };
+
+  const setup = (payment, { modifiedCount = 1, orderStatus = ORDER_STATUS.PENDING } = {}) => {
+    const order = { _id: payment.orderId, status: orderStatus };
+    mockTransaction();
+    mock.method(Payment, 'findOne', () => mockQuery(payment));
+    mock.method(Payment, 'findById', () => mockQuery(payment));
+    mock.method(Order, 'findById', () => mockQuery(order));
+    return {
+      claim: mock.method(Payment, 'updateOne', async () => ({ modifiedCount })),
+      applyPaymentStatus: mock.method(OrderService, 'applyPaymentStatus', async () => {}),
+      applyRefund: mock.method(OrderService, 'applyRefund', async () => {}),
+      refundPayment: mock.method(PaymentService, 'refundPayment', async () => {})
+    };
+  };
+
+  it('la captura marca el pago y la orden como pagados', async () => {
+    const payment = fixture('payment');
+    const mocks = setup(payment);
+
+    const result = await deliver(PAYMENT_EVENTS.CAPTURED);
+
+    assert.equal(result.status, PAYMENT_INTENT_STATUS.CAPTURED);
+    assert.equal(payment.status, PAYMENT_INTENT_STATUS.CAPTURED);
+    assert.equal(mocks.applyPaymentStatus.mock.calls[0].arguments[1].paymentStatus, PAYMENT_STATUS.PAID);
+  });
+
+  it('una captura sobre una orden cancelada no la revive: marca el pago y lo reembolsa', async () => {
+    const payment = fixture('payment');
+    const mocks = setup(payment, { orderStatus: ORDER_STATUS.CANCELLED });
+
+    const result = await deliver(PAYMENT_EVENTS.CAPTURED);
+
+    assert.equal(result.reviewRequired, true);
+    assert.equal(payment.status, PAYMENT_INTENT_STATUS.CAPTURED);
+    assert.equal(payment.reviewReason, PAYMENT_REVIEW_REASONS.CAPTURED_ON_CANCELLED_ORDER);
+    assert.equal(mocks.applyPaymentStatus.mock.callCount(), 0);
+    assert.equal(mocks.refundPayment.mock.calls[0].arguments[0], payment._id);
+  });
+
+  it('si el reembolso automático falla el webhook se confirma y el pago sigue marcado', async () => {
+    const payment = fixture('payment');
+    const mocks = setup(payment, { orderStatus: ORDER_STATUS.CANCELLED });
+    mocks.refundPayment.mock.mockImplementation(async () => {
+      throw new Error('proveedor caído');
+    });
+    mock.method(console, 'error', () => {});
+
+    const result = await deliver(PAYMENT_EVENTS.CAPTURED);
+
+    assert.equal(result.received, true);
+    assert.equal(payment.reviewRequired, true);
+  });
+
+  it('un evento repetido se confirma sin volver a aplicarse', async () => {
+    const payment = fixture('payment');
+    const mocks = setup(payment, { modifiedCount: 0 });
+
+    const result = await deliver(PAYMENT_EVENTS.CAPTURED);
+
+    assert.deepEqual(result, { received: true, duplicate: true });
+    assert.equal(payment.status, PAYMENT_INTENT_STATUS.AUTHORIZED);
+    assert.equal(mocks.applyPaymentStatus.mock.callCount(), 0);
+  });
+
+  it('un pago desconocido se confirma e ignora', async () => {
+    mockTransaction();
+    mock.method(Payment, 'findOne', () => mockQuery(null));
+    const claim = mock.method(Payment, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    const result = await deliver(PAYMENT_EVENTS.CAPTURED);
+
+    assert.deepEqual(result, { received: true, ignored: true, reason: 'PAYMENT_NOT_FOUND' });
+    assert.equal(claim.mock.callCount(), 0);
+  });
+
+  it('un reembolso desde el proveedor se registra y se aplica a la orden', async () => {
+    const payment = fixture('payment', { status: PAYMENT_INTENT_STATUS.CAPTURED });
+    const mocks = setup(payment);
+
+    await deliver(PAYMENT_EVENTS.REFUNDED, { refundId: 'sbx_re_1', amount: 200 });
+
+    assert.equal(payment.refundedAmount, 200);
+    assert.equal(payment.status, PAYMENT_INTENT_STATUS.PARTIALLY_REFUNDED);
+    assert.equal(mocks.applyRefund.mock.calls[0].arguments[1], 200);
+  });
+
+  it('un reembolso ya registrado no se aplica dos veces', async () => {
+    const payment = fixture('payment', {
+      status: PAYMENT_INTENT_STATUS.PARTIALLY_REFUNDED,
+      refundedAmount: 200,
+      refunds: [{ providerRefundId: 'sbx_re_1', amount: 200 }]
+    });
+    const mocks = setup(payment);
+
+    await deliver(PAYMENT_EVENTS.REFUNDED, { refundId: 'sbx_re_1', amount: 200 });
+
+    assert.equal(payment.refunds.length, 1);
+    assert.equal(payment.refundedAmount, 200);
+    assert.equal(mocks.applyRefund.mock.callCount(), 0);
+  });
+});
+
+describe('PaymentService.issueRefund', () => {
+  before(() => registerProvider(provider));
+  afterEach(() => mock.restoreAll());
+
+  const capturedPayment = () => fixture('payment', {
+    status: PAYMENT_INTENT_STATUS.CAPTURED,
+    refundableAmount: 500
+  });
+
+  // Simula el update condicional: solo un reclamo puede quedar activo
+  const mockClaims = () => {
+    let activeClaim = null;
+    return mock.method(Payment, 'updateOne', async (filter, update) => {
+      if (filter.refundClaim === null) {
+        if (activeClaim) return { modifiedCount: 0 };
+        activeClaim = update.$set.refundClaim;
+        return { modifiedCount: 1 };
+      }
+      if (update.$set.refundClaim === null) activeClaim = null;
+      return { modifiedCount: 1 };
+    });
+  };
+
+  it('reclama el saldo antes de llamar al proveedor y guarda el ID del reembolso', async () => {
+    const updateOne = mockClaims();
+    const payment = capturedPayment();
+
+    const refund = await PaymentService.issueRefund(payment, { amount: 200 });
+
+    const [claimFilter, claimUpdate] = updateOne.mock.calls[0].arguments;
+    assert.deepEqual(claimFilter, { _id: payment._id, refundClaim: null, refundedAmount: 0 });
+    assert.equal(claimUpdate.$set.refundClaim.amount, 200);
+    assert.equal(claimUpdate.$set.refundClaim.claimId, refund.claimId);
+
+    const [, refundIdUpdate] = updateOne.mock.calls[1].arguments;
+    assert.deepEqual(refundIdUpdate, { $set: { 'refundClaim.refundId': refund.refundId } });
+  });
+
+  it('dos reembolsos simultáneos: solo uno llega al proveedor', async () => {
+    mockClaims();
+    const providerRefund = mock.method(provider, 'refund', async (id, amount) => ({ refundId: 'sbx_re_1', amount }));
+
+    const results = await Promise.allSettled([
+      PaymentService.issueRefund(capturedPayment(), {}),
+      PaymentService.issueRefund(capturedPayment(), {})
+    ]);
+
+    assert.equal(providerRefund.mock.callCount(), 1);
+    assert.deepEqual(results.map(result => result.status), ['fulfilled', 'rejected']);
+    assert.equal(results[1].reason.errorCode, 'REFUND_IN_PROGRESS');
+    assert.equal(results[1].reason.statusCode, 409);
+  });
+
+  it('si el proveedor falla libera el reclamo', async () => {
+    const updateOne = mockClaims();
+    mock.method(provider, 'refund', async () => {
+      throw new Error('proveedor caído');
+    });
+
+    await assert.rejects(PaymentService.issueRefund(capturedPayment(), {}), /proveedor caído/);
+
+    const [releaseFilter, release] = updateOne.mock.calls[1].arguments;
+    assert.ok(releaseFilter['refundClaim.claimId']);
+    assert.deepEqual(release, { $set: { refundClaim: null } });
+    await PaymentService.issueRefund(capturedPayment(), {}).catch(() => {});
+    assert.equal(updateOne.mock.calls[2].arguments[0].refundClaim, null);
+  });
+
+  it('registrar el reembolso libera solo el reclamo propio', async () => {
+    mockTransaction();
+    const payment = fixture('payment', {
+      status: PAYMENT_INTENT_STATUS.CAPTURED,
+      refundClaim: { claimId: 'claim-1', amount: 200, refundId: 'sbx_re_1' }
+    });
+    payment.constructor = Payment;
+    mock.method(Payment, 'findById', () => mockQuery(payment));
+    mock.method(PaymentService, 'applyPaymentEvent', async (current) => current);
+
+    await PaymentService.recordRefund(payment._id, { refundId: 'sbx_re_2', amount: 50, claimId: 'claim-2' }, null, null);
+    assert.equal(payment.refundClaim.claimId, 'claim-1');
+
+    await PaymentService.recordRefund(payment._id, { refundId: 'sbx_re_1', amount: 200, claimId: 'claim-1' }, null, null);
+    assert.equal(payment.refundClaim, null);
+    assert.deepEqual(payment.refunds.map(refund => refund.providerRefundId), ['sbx_re_2', 'sbx_re_1']);
+  });
+});
+
+describe('PaymentService.capturePayment', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('no captura el pago de una orden cancelada', async () => {
+    mock.method(Payment, 'findById', async () => fixture('payment'));
+    mock.method(Order, 'findById', () => mockQuery({ status: ORDER_STATUS.CANCELLED }));
+    const capture = mock.method(provider, 'capture', async () => ({}));
+
+    await rejectsWithCode(assert, PaymentService.capturePayment(ids.payment), 'PAYMENT_NOT_CAPTURABLE', 400);
+    assert.equal(capture.mock.callCount(), 0);
+  });
+});
+
+describe('PaymentService.assertSandboxAccess', () => {
+  afterEach(() => mock.restoreAll());
+
+  const setup = () => {
+    mock.method(Payment, 'findOne', () => mockQuery(fixture('payment')));
+    mock.method(Order, 'findById', () => mockQuery(fixture('order', { userId: ids.user })));
+  };
+
+  it('permite al dueño de la orden y a quien administra pagos', async () => {
+    setup();
+
+    await PaymentService.assertSandboxAccess('sbx_pi_1', ids.user, new Set());
+    await PaymentService.assertSandboxAccess('sbx_pi_1', ids.admin, new Set([PERMISSIONS.PAYMENTS_MANAGE]));
+  });
+
+  it('rechaza a cualquier otro usuario', async () => {
+    setup();
+
+    await rejectsWithCode(assert, PaymentService.assertSandboxAccess('sbx_pi_1', ids.admin, new Set()), 'ACCESS_DENIED', 403);
+  });
+});
+
+describe('PaymentService.voidOrderAuthorizations', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('anula cada autorización abierta aunque alguna falle', async () => {
+    const find = mock.method(Payment, 'find', () => mockQuery([{ _id: 'pay1' }, { _id: 'pay2' }]));
+    const voidPayment = mock.method(PaymentService, 'voidPayment', async (paymentId) => {
+      if (paymentId === 'pay1') throw new Error('proveedor caído');
+    });
+    mock.method(console, 'error', () => {});
+
+    await PaymentService.voidOrderAuthorizations(ids.order);
+
+    assert.deepEqual(find.mock.calls[0].arguments[0], { orderId: ids.order, status: PAYMENT_INTENT_STATUS.AUTHORIZED });
+    assert.deepEqual(voidPayment.mock.calls.map(call => call.arguments[0]), ['pay1', 'pay2']);
+  });
+});
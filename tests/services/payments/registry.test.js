@@ -0,0 +1,22 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SandboxProvider = require('../../../src/services/payments/sandboxProvider');
+const { getProviderForMethod, getUnavailablePaymentMethods } = require('../../../src/services/payments');
+const { PAYMENT_METHODS } = require('../../../src/config/constants');
+const { rejectsWithCode } = require('../../helpers');
+
+// Sin SANDBOX_WEBHOOK_SECRET el sandbox no se registra, como en producción
+describe('Registro de proveedores de pago', { skip: SandboxProvider.isEnabled() }, () => {
+  it('informa los métodos cuyo proveedor no está registrado', () => {
+    assert.ok(getUnavailablePaymentMethods().includes(`${PAYMENT_METHODS.CREDIT_CARD} -> sandbox`));
+  });
+
+  it('el checkout con un método sin proveedor responde 503', async () => {
+    await rejectsWithCode(
+      assert,
+      (async () => getProviderForMethod(PAYMENT_METHODS.CREDIT_CARD))(),
+      'PAYMENT_PROVIDER_UNAVAILABLE',
+      503
+    );
+  });
+});
@@ -0,0 +1,103 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SandboxProvider = require('../../../src/services/payments/sandboxProvider');
+const { rejectsWithCode } = require('../../helpers');
+
+const provider = new SandboxProvider('test-secret');
+
+// parseWebhook es síncrono; se envuelve para reutilizar rejectsWithCode
+const parse = async (rawBody, headers) => provider.parseWebhook(rawBody, headers);
+
+// Firmar un cuerpo arbitrario (p. ej. con forma inválida)
+const sign = (body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const rawBody = Buffer.from(JSON.stringify(body));
+  return {
+    rawBody,
+    headers: { 'x-sandbox-signature': `t=${timestamp},v1=${provider.computeSignature(timestamp, rawBody)}` }
+  };
+};
+
+describe('SandboxProvider', () => {
+  it('requiere un secreto explícito', () => {
+    assert.throws(() => new SandboxProvider(''), /SANDBOX_WEBHOOK_SECRET/);
+  });
+
+  it('nunca se habilita en producción', () => {
+    const previous = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+
+    try {
+      assert.equal(SandboxProvider.isEnabled(), false);
+    } finally {
+      if (previous === undefined) delete process.env.NODE_ENV;
+      else process.env.NODE_ENV = previous;
+    }
+  });
+});
+
+describe('SandboxProvider.parseWebhook', () => {
+  it('normaliza un webhook firmado correctamente', () => {
+    const { rawBody, headers } = provider.buildWebhook('payment.refunded', {
+      paymentId: 'sbx_pi_1',
+      refundId: 'sbx_re_1',
+      amount: 150
+    });
+
+    const event = provider.parseWebhook(rawBody, headers);
+
+    assert.match(event.eventId, /^sbx_evt_/);
+    assert.equal(event.type, 'payment.refunded');
+    assert.equal(event.providerPaymentId, 'sbx_pi_1');
+    assert.equal(event.refundId, 'sbx_re_1');
+    assert.equal(event.amount, 150);
+  });
+
+  it('rechaza una firma hecha con otro secreto', async () => {
+    const other = new SandboxProvider('otro-secreto');
+    const { rawBody, headers } = other.buildWebhook('payment.captured', { paymentId: 'sbx_pi_1' });
+
+    await rejectsWithCode(assert, parse(rawBody, headers), 'INVALID_WEBHOOK_SIGNATURE', 400);
+  });
+
+  it('rechaza un cuerpo alterado después de firmarse', async () => {
+    const { headers } = provider.buildWebhook('payment.captured', { paymentId: 'sbx_pi_1' });
+    const tampered = Buffer.from(JSON.stringify({ id: 'x', type: 'payment.captured', data: { paymentId: 'sbx_pi_2' } }));
+
+    await rejectsWithCode(assert, parse(tampered, headers), 'INVALID_WEBHOOK_SIGNATURE', 400);
+  });
+
+  it('rechaza webhooks fuera de la ventana de tiempo', async () => {
+    const stale = Math.floor(Date.now() / 1000) - 10 * 60;
+    const { rawBody, headers } = provider.buildWebhook('payment.captured', { paymentId: 'sbx_pi_1' }, stale);
+
+    await rejectsWithCode(assert, parse(rawBody, headers), 'INVALID_WEBHOOK_SIGNATURE', 400);
+  });
+
+  it('rechaza un webhook sin firma', async () => {
+    const { rawBody } = provider.buildWebhook('payment.captured', { paymentId: 'sbx_pi_1' });
+
+    await rejectsWithCode(assert, parse(rawBody, {}), 'INVALID_WEBHOOK_SIGNATURE', 400);
+  });
+
+  it('rechaza un payload firmado sin data.paymentId', async () => {
+    const { rawBody, headers } = sign({ id: 'sbx_evt_1', type: 'payment.captured', data: {} });
+
+    await rejectsWithCode(assert, parse(rawBody, headers), 'INVALID_WEBHOOK_PAYLOAD', 400);
+  });
+
+  it('rechaza un payload firmado sin data', async () => {
+    const { rawBody, headers } = sign({ id: 'sbx_evt_1', type: 'payment.captured' });
+
+    await rejectsWithCode(assert, parse(rawBody, headers), 'INVALID_WEBHOOK_PAYLOAD', 400);
+  });
+
+  it('rechaza un reembolso sin monto', async () => {
+    const { rawBody, headers } = sign({
+      id: 'sbx_evt_1',
+      type: 'payment.refunded',
+      data: { paymentId: 'sbx_pi_1', refundId: 'sbx_re_1' }
+    });
+
+    await rejectsWithCode(assert, parse(rawBody, headers), 'INVALID_WEBHOOK_PAYLOAD', 400);
+  });
+});
@@ -0,0 +1,25 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Product = require('../../src/models/Product');
+const ProductService = require('../../src/services/productService');
+const ProductVariantService = require('../../src/services/productVariantService');
+const { mockQuery } = require('../helpers');
+
+describe('ProductService.getPopularProducts', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('filtra por stock disponible descontando lo reservado', async () => {
+    mock.method(ProductVariantService, 'findProductIdsByVariantFilters', async () => ['p-variantes']);
+    const find = mock.method(Product, 'find', () => mockQuery([]));
+
+    await ProductService.getPopularProducts(5);
+
+    const [filters] = find.mock.calls[0].arguments;
+    assert.equal(filters.stockQty, undefined);
+    const [simple, withVariants] = filters.$or;
+    assert.deepEqual(simple.$expr, {
+      $gt: [{ $subtract: ['$stockQty', { $ifNull: ['$reservedQty', 0] }] }, 0]
+    });
+    assert.deepEqual(withVariants._id, { $in: ['p-variantes'] });
+  });
+});
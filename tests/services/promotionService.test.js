@@ -0,0 +1,87 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Promotion = require('../../src/models/Promotion');
+const PromotionRedemption = require('../../src/models/PromotionRedemption');
+const PromotionService = require('../../src/services/promotionService');
+const { mockQuery, rejectsWithCode } = require('../helpers');
+const { ids, fixture } = require('../fixtures');
+
+const order = fixture('order', { userId: ids.user });
+const discount = { promotionId: ids.promotion, code: 'BIENVENIDA', amount: 50 };
+
+describe('PromotionService.claimUserUse', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('toma el primer número de uso libre', async () => {
+    mock.method(PromotionRedemption, 'find', () => mockQuery([{ useNumber: 2 }]));
+
+    assert.equal(await PromotionService.claimUserUse(fixture('promotion'), order.userId, null), 1);
+  });
+
+  it('rechaza al usuario que ya alcanzó su límite', async () => {
+    mock.method(PromotionRedemption, 'find', () => mockQuery([{ useNumber: 1 }, { useNumber: 2 }]));
+
+    await rejectsWithCode(
+      assert,
+      PromotionService.claimUserUse(fixture('promotion'), order.userId, null),
+      'PROMOTION_USER_LIMIT',
+      400
+    );
+  });
+
+  it('cuenta los usos previos sin número de uso', async () => {
+    mock.method(PromotionRedemption, 'find', () => mockQuery([{}, {}]));
+
+    await rejectsWithCode(assert, PromotionService.claimUserUse(fixture('promotion'), order.userId, null), 'PROMOTION_USER_LIMIT');
+  });
+
+  it('exige sesión iniciada', async () => {
+    await rejectsWithCode(assert, PromotionService.claimUserUse(fixture('promotion'), null, null), 'PROMOTION_LOGIN_REQUIRED');
+  });
+});
+
+describe('PromotionService.redeemPromotions', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('registra el uso con su número de uso', async () => {
+    mock.method(Promotion, 'findOneAndUpdate', async () => fixture('promotion'));
+    mock.method(PromotionRedemption, 'find', () => mockQuery([{ useNumber: 1 }]));
+    const create = mock.method(PromotionRedemption, 'create', async (docs) => docs);
+
+    await PromotionService.redeemPromotions(order, [discount], null);
+
+    const [redemption] = create.mock.calls[0].arguments[0];
+    assert.equal(redemption.useNumber, 2);
+    assert.equal(redemption.userId, order.userId);
+    assert.equal(redemption.discountAmount, 50);
+  });
+
+  it('sin límite por usuario no asigna número de uso', async () => {
+    mock.method(Promotion, 'findOneAndUpdate', async () => fixture('promotion', { usageLimitPerUser: null }));
+    const find = mock.method(PromotionRedemption, 'find', () => mockQuery([]));
+    const create = mock.method(PromotionRedemption, 'create', async (docs) => docs);
+
+    await PromotionService.redeemPromotions(order, [discount], null);
+
+    assert.equal(find.mock.callCount(), 0);
+    assert.equal(create.mock.calls[0].arguments[0][0].useNumber, undefined);
+  });
+
+  it('agotado el límite global lanza PROMOTION_USAGE_LIMIT', async () => {
+    mock.method(Promotion, 'findOneAndUpdate', async () => null);
+    const create = mock.method(PromotionRedemption, 'create', async (docs) => docs);
+
+    await rejectsWithCode(assert, PromotionService.redeemPromotions(order, [discount], null), 'PROMOTION_USAGE_LIMIT', 400);
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it('una compra simultánea que tomó el mismo número de uso se rechaza por límite', async () => {
+    mock.method(Promotion, 'findOneAndUpdate', async () => fixture('promotion'));
+    mock.method(PromotionRedemption, 'find', () => mockQuery([{ useNumber: 1 }]));
+    mock.method(PromotionRedemption, 'create', async () => {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    });
+
+    await rejectsWithCode(assert, PromotionService.redeemPromotions(order, [discount], null), 'PROMOTION_USER_LIMIT', 400);
+  });
+});
@@ -0,0 +1,313 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const ReturnRequest = require('../../src/models/ReturnRequest');
+const Order = require('../../src/models/Order');
+const Payment = require('../../src/models/Payment');
+const ReturnService = require('../../src/services/returnService');
+const PaymentService = require('../../src/services/paymentService');
+const OrderService = require('../../src/services/orderService');
+const { mockQuery, mockTransaction, rejectsWithCode } = require('../helpers');
+const { ORDER_STATUS, RETURN_STATUS } = require('../../src/config/constants');
+const { fixture, ids } = require('../fixtures');
+
+// Orden de 4 unidades: 400 en mercancía con 100 de descuento, 16 % de IVA
+// sobre el neto (48) y 99 de envío
+const deliveredOrder = {
+  status: ORDER_STATUS.DELIVERED,
+  totalItems: 4,
+  taxAmount: 48,
+  refundableAmount: 447,
+  items: [
+    { subtotal: 100, discountAmount: 0, quantity: 1 },
+    { subtotal: 300, discountAmount: 100, quantity: 3 }
+  ]
+};
+
+describe('ReturnService.createReturnRequest', () => {
+  afterEach(() => mock.restoreAll());
+
+  const setup = (previousReturns) => {
+    const session = mockTransaction();
+    const order = fixture('order', {
+      ...deliveredOrder,
+      userId: ids.user,
+      items: [{ productId: 'p1', variantId: null, productName: 'Producto p1', quantity: 2, priceAtTime: 100 }]
+    });
+    mock.method(Order, 'findById', () => mockQuery(order));
+    mock.method(ReturnService, 'formatReturnData', (current) => current);
+
+    return {
+      session,
+      touch: mock.method(Order, 'updateOne', async () => ({ modifiedCount: 1 })),
+      find: mock.method(ReturnRequest, 'find', () => mockQuery(previousReturns)),
+      create: mock.method(ReturnRequest, 'create', async (docs) => docs)
+    };
+  };
+
+  it('comprueba la cantidad y crea la solicitud en la misma transacción', async () => {
+    const mocks = setup([]);
+
+    const result = await ReturnService.createReturnRequest(ids.user, {
+      orderId: ids.order,
+      items: [{ productId: 'p1', quantity: 2, reason: 'defective' }]
+    });
+
+    assert.deepEqual(mocks.touch.mock.calls[0].arguments[2], { session: mocks.session });
+    assert.equal(mocks.create.mock.calls[0].arguments[1].session, mocks.session);
+    assert.equal(result.items[0].quantity, 2);
+  });
+
+  it('descuenta las devoluciones abiertas y no crea la que excede', async () => {
+    const mocks = setup([{ items: [{ productId: 'p1', variantId: null, quantity: 1 }] }]);
+
+    await rejectsWithCode(
+      assert,
+      ReturnService.createReturnRequest(ids.user, {
+        orderId: ids.order,
+        items: [{ productId: 'p1', quantity: 2, reason: 'defective' }]
+      }),
+      'RETURN_QUANTITY_EXCEEDED',
+      400
+    );
+
+    assert.equal(mocks.create.mock.callCount(), 0);
+  });
+});
+
+describe('ReturnService.getRefundValue', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('una devolución parcial incluye su parte del IVA', async () => {
+    mock.method(ReturnRequest, 'find', () => mockQuery([]));
+
+    // 100 de mercancía neta + 48 * 100 / 300 de IVA
+    assert.equal(await ReturnService.getRefundValue(fixture('returnRequest'), fixture('order', deliveredOrder)), 116);
+  });
+
+  it('cuando vuelven todas las unidades reembolsa el resto de la orden, envío incluido', async () => {
+    mock.method(ReturnRequest, 'find', () => mockQuery([
+      { items: [{ restockedQty: 2, damagedQty: 1 }] }
+    ]));
+
+    assert.equal(await ReturnService.getRefundValue(fixture('returnRequest'), fixture('order', { ...deliveredOrder, refundableAmount: 215 })), 215);
+  });
+
+  it('nunca supera lo reembolsable de la orden', async () => {
+    mock.method(ReturnRequest, 'find', () => mockQuery([]));
+
+    assert.equal(await ReturnService.getRefundValue(fixture('returnRequest'), fixture('order', { ...deliveredOrder, refundableAmount: 80 })), 80);
+  });
+});
+
+describe('ReturnService.refundReturn', () => {
+  afterEach(() => mock.restoreAll());
+
+  // La devolución simulada cambia de estado solo si sigue en el estado esperado
+  const setup = (returnRequest, { payment = { _id: 'pay_1' } } = {}) => {
+    const order = fixture('order', deliveredOrder);
+    mockTransaction();
+    mock.method(ReturnRequest, 'findById', () => mockQuery(returnRequest));
+    mock.method(ReturnRequest, 'find', () => mockQuery([]));
+    mock.method(Order, 'findById', () => mockQuery(order));
+    mock.method(Payment, 'findOne', () => mockQuery(payment));
+    mock.method(ReturnService, 'formatReturnData', (current) => current);
+
+    return {
+      order,
+      transition: mock.method(ReturnRequest, 'findOneAndUpdate', async (filter, update) => {
+        if (returnRequest.status !== filter.status) return null;
+        returnRequest.status = update.$set.status;
+        returnRequest.statusHistory.push(update.$push.statusHistory);
+        return returnRequest;
+      }),
+      annotate: mock.method(ReturnRequest, 'updateOne', async () => ({ modifiedCount: 1 })),
+      recordRefund: mock.method(PaymentService, 'recordRefund', async () => {}),
+      applyRefund: mock.method(OrderService, 'applyRefund', async () => {})
+    };
+  };
+
+  it('reembolsa por el proveedor y marca la devolución como reembolsada', async () => {
+    const returnRequest = fixture('returnRequest');
+    const mocks = setup(returnRequest);
+    const issueRefund = mock.method(PaymentService, 'issueRefund', async (payment, { amount }) => ({
+      refundId: 'sbx_re_1',
+      amount
+    }));
+
+    const result = await ReturnService.refundReturn(returnRequest._id, {}, 'admin');
+
+    assert.equal(issueRefund.mock.calls[0].arguments[1].amount, 116);
+    assert.equal(mocks.recordRefund.mock.callCount(), 1);
+    assert.equal(mocks.applyRefund.mock.callCount(), 0);
+    assert.equal(result.status, RETURN_STATUS.REFUNDED);
+    assert.equal(result.refundAmount, 116);
+    assert.equal(result.providerRefundId, 'sbx_re_1');
+    assert.deepEqual(mocks.annotate.mock.calls[0].arguments[1], { $set: { providerRefundId: 'sbx_re_1' } });
+    assert.deepEqual(result.statusHistory.map(entry => entry.status), [RETURN_STATUS.REFUNDING, RETURN_STATUS.REFUNDED]);
+  });
+
+  it('sin pago del proveedor registra el reembolso en la orden', async () => {
+    const returnRequest = fixture('returnRequest');
+    const mocks = setup(returnRequest, { payment: null });
+
+    const result = await ReturnService.refundReturn(returnRequest._id, { amount: 50 }, 'admin');
+
+    assert.equal(mocks.applyRefund.mock.calls[0].arguments[1], 50);
+    assert.equal(mocks.recordRefund.mock.callCount(), 0);
+    assert.equal(result.status, RETURN_STATUS.REFUNDED);
+  });
+
+  it('si otra petición ya la reclamó no llama al proveedor', async () => {
+    const returnRequest = fixture('returnRequest');
+    const mocks = setup(returnRequest);
+    const issueRefund = mock.method(PaymentService, 'issueRefund', async () => ({ refundId: 'x' }));
+    // Otra petición la reclama entre la lectura y el cambio de estado
+    mocks.transition.mock.mockImplementationOnce(async () => null);
+
+    await rejectsWithCode(assert, ReturnService.refundReturn(returnRequest._id, {}, 'admin'), 'RETURN_STATUS_CHANGED', 409);
+
+    assert.equal(issueRefund.mock.callCount(), 0);
+    assert.equal(mocks.recordRefund.mock.callCount(), 0);
+  });
+
+  it('si el proveedor falla la devolución vuelve a RECEIVED', async () => {
+    const returnRequest = fixture('returnRequest');
+    const mocks = setup(returnRequest);
+    mock.method(PaymentService, 'issueRefund', async () => {
+      throw new Error('proveedor caído');
+    });
+
+    await assert.rejects(ReturnService.refundReturn(returnRequest._id, {}, 'admin'), /proveedor caído/);
+
+    assert.equal(returnRequest.status, RETURN_STATUS.RECEIVED);
+    assert.match(returnRequest.statusHistory.at(-1).notes, /Reembolso fallido: proveedor caído/);
+    assert.equal(mocks.recordRefund.mock.callCount(), 0);
+  });
+
+  it('rechaza un monto mayor a lo reembolsable sin reclamar la devolución', async () => {
+    const returnRequest = fixture('returnRequest');
+    const mocks = setup(returnRequest);
+
+    await rejectsWithCode(
+      assert,
+      ReturnService.refundReturn(returnRequest._id, { amount: 1000 }, 'admin'),
+      'INVALID_REFUND_AMOUNT',
+      400
+    );
+
+    assert.equal(mocks.transition.mock.callCount(), 0);
+    assert.equal(returnRequest.status, RETURN_STATUS.RECEIVED);
+  });
+});
+
+describe('ReturnService.reconcileRefund', () => {
+  afterEach(() => mock.restoreAll());
+
+  const refundingReturn = (overrides = {}) => fixture('returnRequest', {
+    status: RETURN_STATUS.REFUNDING,
+    statusHistory: [{ status: RETURN_STATUS.REFUNDING, notes: 'Devolución RMA-1' }],
+    ...overrides
+  });
+
+  const setup = (returnRequest, payments) => {
+    mockTransaction();
+    mock.method(ReturnRequest, 'findById', () => mockQuery(returnRequest));
+    mock.method(Payment, 'find', () => mockQuery(payments));
+    mock.method(Payment, 'findOne', () => mockQuery(payments[0] || null));
+    mock.method(ReturnService, 'formatReturnData', (current) => current);
+    mock.method(ReturnRequest, 'findOneAndUpdate', async (filter, update) => {
+      if (returnRequest.status !== filter.status) return null;
+      returnRequest.status = update.$set.status;
+      returnRequest.statusHistory.push(update.$push.statusHistory);
+      return returnRequest;
+    });
+
+    return {
+      recordRefund: mock.method(PaymentService, 'recordRefund', async () => {})
+    };
+  };
+
+  it('registra el reembolso que el proveedor emitió y completa la devolución', async () => {
+    const returnRequest = refundingReturn({ providerRefundId: 'sbx_re_1' });
+    const payment = fixture('payment', {
+      refundClaim: { claimId: 'claim-1', amount: 116, reason: 'Devolución RMA-1', refundId: 'sbx_re_1' }
+    });
+    const mocks = setup(returnRequest, [payment]);
+
+    const result = await ReturnService.reconcileRefund(returnRequest._id, 'admin');
+
+    assert.deepEqual(mocks.recordRefund.mock.calls[0].arguments[1], { refundId: 'sbx_re_1', amount: 116, claimId: 'claim-1' });
+    assert.equal(result.status, RETURN_STATUS.REFUNDED);
+    assert.equal(result.refundAmount, 116);
+  });
+
+  it('toma el ID del reclamo del pago si no llegó a anotarse en la devolución', async () => {
+    const returnRequest = refundingReturn();
+    const payment = fixture('payment', {
+      refundClaim: { claimId: 'claim-1', amount: 116, reason: 'Devolución RMA-1', refundId: 'sbx_re_1' }
+    });
+    const mocks = setup(returnRequest, [payment]);
+
+    const result = await ReturnService.reconcileRefund(returnRequest._id, 'admin');
+
+    assert.equal(mocks.recordRefund.mock.calls[0].arguments[1].refundId, 'sbx_re_1');
+    assert.equal(result.providerRefundId, 'sbx_re_1');
+  });
+
+  it('no vuelve a registrar un reembolso que ya llegó por webhook', async () => {
+    const returnRequest = refundingReturn({ providerRefundId: 'sbx_re_1' });
+    const payment = fixture('payment', { refunds: [{ providerRefundId: 'sbx_re_1', amount: 116 }], refundClaim: null });
+    const mocks = setup(returnRequest, [payment]);
+
+    const result = await ReturnService.reconcileRefund(returnRequest._id, 'admin');
+
+    assert.equal(mocks.recordRefund.mock.callCount(), 0);
+    assert.equal(result.status, RETURN_STATUS.REFUNDED);
+    assert.equal(result.refundAmount, 116);
+  });
+
+  it('sin respuesta del proveedor no la toca', async () => {
+    const returnRequest = refundingReturn();
+    const payment = fixture('payment', { refundClaim: { claimId: 'claim-1', amount: 116, reason: 'Devolución RMA-1' } });
+    setup(returnRequest, [payment]);
+
+    await rejectsWithCode(assert, ReturnService.reconcileRefund(returnRequest._id, 'admin'), 'REFUND_OUTCOME_UNKNOWN', 409);
+
+    assert.equal(returnRequest.status, RETURN_STATUS.REFUNDING);
+  });
+
+  it('si el reembolso nunca se emitió vuelve a RECEIVED', async () => {
+    const returnRequest = refundingReturn();
+    const mocks = setup(returnRequest, [fixture('payment', { refundClaim: null })]);
+
+    const result = await ReturnService.reconcileRefund(returnRequest._id, 'admin');
+
+    assert.equal(result.status, RETURN_STATUS.RECEIVED);
+    assert.equal(mocks.recordRefund.mock.callCount(), 0);
+  });
+});
+
+describe('ReturnService.reconcileStuckRefunds', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('concilia cada devolución atascada y sigue si una falla', async () => {
+    const find = mock.method(ReturnRequest, 'find', () => mockQuery([
+      { _id: 'r1', rmaNumber: 'RMA-1' },
+      { _id: 'r2', rmaNumber: 'RMA-2' }
+    ]));
+    mock.method(ReturnService, 'reconcileRefund', async (returnId) => {
+      if (returnId === 'r2') throw new Error('proveedor caído');
+      return { status: RETURN_STATUS.REFUNDED };
+    });
+    mock.method(console, 'error', () => {});
+    const now = new Date();
+
+    const result = await ReturnService.reconcileStuckRefunds(now);
+
+    const [filter] = find.mock.calls[0].arguments;
+    assert.equal(filter.status, RETURN_STATUS.REFUNDING);
+    assert.ok(filter.updatedAt.$lte < now);
+    assert.deepEqual(result.reconciled, [{ rmaNumber: 'RMA-1', status: RETURN_STATUS.REFUNDED }]);
+    assert.deepEqual(result.pending, ['RMA-2']);
+  });
+});
@@ -0,0 +1,146 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Role = require('../../src/models/Role');
+const User = require('../../src/models/User');
+const RoleService = require('../../src/services/roleService');
+const UserService = require('../../src/services/userService');
+const { mockQuery, rejectsWithCode } = require('../helpers');
+const { fixture, ids } = require('../fixtures');
+const { PERMISSIONS, PERMISSION_WILDCARD, USER_ROLES } = require('../../src/config/constants');
+
+// Gestor de usuarios sin más permisos que los de su puesto
+const manager = new Set([PERMISSIONS.USERS_READ, PERMISSIONS.USERS_MANAGE]);
+const admin = new Set([PERMISSION_WILDCARD]);
+
+const mockStoredRole = (permissions) =>
+  mock.method(Role, 'findOne', () => mockQuery(permissions ? { permissions } : null));
+
+describe('RoleService.roleRequiresTwoFactor', () => {
+  afterEach(() => {
+    mock.restoreAll();
+    RoleService.invalidateCache();
+  });
+
+  it('lo exige a los roles incluidos con permisos sensibles', () => {
+    assert.equal(RoleService.roleRequiresTwoFactor(USER_ROLES.ADMIN), true);
+    assert.equal(RoleService.roleRequiresTwoFactor(USER_ROLES.MODERATOR), true);
+    assert.equal(RoleService.roleRequiresTwoFactor(USER_ROLES.WAREHOUSE), true);
+    assert.equal(RoleService.roleRequiresTwoFactor(USER_ROLES.SUPPORT), true);
+  });
+
+  it('no lo exige a clientes ni a roles de solo lectura', async () => {
+    assert.equal(RoleService.roleRequiresTwoFactor(USER_ROLES.CUSTOMER), false);
+
+    mockStoredRole([PERMISSIONS.INVENTORY_READ, PERMISSIONS.REPORTS_VIEW]);
+    await RoleService.getRolePermissions('analista');
+
+    assert.equal(RoleService.roleRequiresTwoFactor('analista'), false);
+  });
+
+  it('lo exige a un rol personalizado con un permiso sensible', async () => {
+    mockStoredRole([PERMISSIONS.REPORTS_VIEW, PERMISSIONS.USERS_SECURITY]);
+    await RoleService.getRolePermissions('auditor');
+
+    assert.equal(RoleService.roleRequiresTwoFactor('auditor'), true);
+  });
+});
+
+describe('RoleService.assertCanGrantRole', () => {
+  afterEach(() => {
+    mock.restoreAll();
+    RoleService.invalidateCache();
+  });
+
+  it('impide asignar el rol admin sin tener el comodín', async () => {
+    mockStoredRole(null);
+
+    await assert.rejects(RoleService.assertCanGrantRole(manager, USER_ROLES.ADMIN), (error) => {
+      assert.equal(error.errorCode, 'PERMISSION_ESCALATION');
+      assert.equal(error.statusCode, 403);
+      assert.deepEqual(error.details.exceeding, [PERMISSION_WILDCARD]);
+      return true;
+    });
+  });
+
+  it('impide asignar un rol con permisos que el actor no tiene', async () => {
+    mockStoredRole([PERMISSIONS.USERS_READ, PERMISSIONS.PAYMENTS_MANAGE]);
+
+    await assert.rejects(RoleService.assertCanGrantRole(manager, 'cobros'), (error) => {
+      assert.deepEqual(error.details.exceeding, [PERMISSIONS.PAYMENTS_MANAGE]);
+      return true;
+    });
+  });
+
+  it('permite asignar roles contenidos en los permisos del actor', async () => {
+    mockStoredRole(null);
+
+    await RoleService.assertCanGrantRole(manager, USER_ROLES.CUSTOMER);
+    await RoleService.assertCanGrantRole(admin, USER_ROLES.ADMIN);
+  });
+
+  it('impide editar un rol para darle permisos que el actor no tiene', async () => {
+    const save = mock.fn(async () => {});
+    mock.method(Role, 'findOne', async () => ({ name: 'gestor', permissions: [], save }));
+
+    await rejectsWithCode(
+      assert,
+      RoleService.updateRole('gestor', { permissions: [PERMISSIONS.ROLES_MANAGE] }, manager),
+      'PERMISSION_ESCALATION'
+    );
+    assert.equal(save.mock.callCount(), 0);
+  });
+});
+
+describe('UserService con permisos delegados', () => {
+  afterEach(() => {
+    mock.restoreAll();
+    RoleService.invalidateCache();
+  });
+
+  const mockTarget = (role) => {
+    mockStoredRole(null);
+    mock.method(User, 'findById', () => mockQuery(fixture('user', { role })));
+    return mock.method(User, 'findByIdAndUpdate', () => mockQuery(fixture('user', { role })));
+  };
+
+  it('un gestor no puede asignarse el rol admin', async () => {
+    const update = mockTarget(USER_ROLES.CUSTOMER);
+
+    await rejectsWithCode(
+      assert,
+      UserService.updateUser(ids.user, { role: USER_ROLES.ADMIN }, manager),
+      'PERMISSION_ESCALATION',
+      403
+    );
+    assert.equal(update.mock.callCount(), 0);
+  });
+
+  it('un gestor no puede modificar ni desactivar a un administrador', async () => {
+    const update = mockTarget(USER_ROLES.ADMIN);
+
+    await rejectsWithCode(assert, UserService.updateUser(ids.admin, { firstName: 'Eva' }, manager), 'USER_OUTRANKS_ACTOR');
+    await rejectsWithCode(assert, UserService.deactivateUser(ids.admin, ids.user, manager), 'USER_OUTRANKS_ACTOR');
+    assert.equal(update.mock.callCount(), 0);
+  });
+
+  it('un gestor sí puede actualizar a un cliente', async () => {
+    const update = mockTarget(USER_ROLES.CUSTOMER);
+
+    await UserService.updateUser(ids.user, { firstName: 'Eva' }, manager);
+
+    assert.equal(update.mock.callCount(), 1);
+  });
+
+  it('un gestor no puede crear administradores', async () => {
+    mockStoredRole(null);
+    mock.method(User, 'findOne', async () => null);
+    const create = mock.method(User, 'create', async () => fixture('user'));
+
+    await rejectsWithCode(
+      assert,
+      UserService.createUser({ email: 'nuevo@example.com', password: 'secreto', role: USER_ROLES.ADMIN }, manager),
+      'PERMISSION_ESCALATION'
+    );
+    assert.equal(create.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,122 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const Session = require('../../src/models/Session');
+const User = require('../../src/models/User');
+const SessionService = require('../../src/services/sessionService');
+const RealtimeService = require('../../src/services/realtimeService');
+const { mockQuery, rejectsWithCode } = require('../helpers');
+const { fixture, ids } = require('../fixtures');
+const { REALTIME_EVENTS, SESSION_REVOKE_REASONS } = require('../../src/config/constants');
+
+const sessionId = '64b000000000000000000070';
+
+// Sesión almacenada cuyo refresh token vigente es `${sessionId}.${secret}`
+const storedSession = (secret, overrides = {}) => ({
+  _id: sessionId,
+  userId: ids.user,
+  tokenHash: SessionService.hashToken(secret),
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  revokedAt: null,
+  ...overrides
+});
+
+describe('SessionService.createSession', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('guarda solo el hash del refresh token y liga el access token a la sesión', async () => {
+    const create = mock.method(Session, 'create', async (data) => ({ _id: sessionId, ...data }));
+    mock.method(User, 'findByIdAndUpdate', async () => null);
+
+    const tokens = await SessionService.createSession(fixture('user'), {
+      userAgent: 'Mozilla/5.0 (Windows NT 10.0) Chrome/120.0',
+      mfaVerified: true
+    });
+
+    const [stored] = create.mock.calls[0].arguments;
+    const [id, secret] = tokens.refreshToken.split('.');
+    assert.equal(id, sessionId);
+    assert.equal(stored.tokenHash, SessionService.hashToken(secret));
+    assert.ok(!JSON.stringify(stored).includes(secret));
+    assert.equal(stored.device, 'Chrome en Windows');
+    assert.ok(stored.mfaVerifiedAt instanceof Date);
+    assert.equal(jwt.decode(tokens.token).sid, sessionId);
+  });
+});
+
+describe('SessionService.refreshSession', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('rota el refresh token: el presentado queda registrado como usado', async () => {
+    const findOneAndUpdate = mock.method(Session, 'findOneAndUpdate', async (filter, update) => ({
+      ...storedSession('viejo'),
+      tokenHash: update.$set.tokenHash
+    }));
+
+    const tokens = await SessionService.refreshSession(`${sessionId}.viejo`);
+
+    const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+    assert.equal(filter._id, sessionId);
+    assert.equal(filter.tokenHash, SessionService.hashToken('viejo'));
+    assert.equal(filter.revokedAt, null);
+    assert.deepEqual(update.$push.rotatedTokenHashes.$each, [SessionService.hashToken('viejo')]);
+
+    const [, newSecret] = tokens.refreshToken.split('.');
+    assert.notEqual(newSecret, 'viejo');
+    assert.equal(update.$set.tokenHash, SessionService.hashToken(newSecret));
+  });
+
+  it('reutilizar un token rotado revoca la sesión completa', async () => {
+    mock.method(Session, 'findOneAndUpdate', async () => null);
+    const findOne = mock.method(Session, 'findOne', () => mockQuery({ _id: sessionId, revokedAt: null }));
+    const updateOne = mock.method(Session, 'updateOne', async () => ({ modifiedCount: 1 }));
+    const publish = mock.method(RealtimeService, 'publish', async () => {});
+
+    await rejectsWithCode(assert, SessionService.refreshSession(`${sessionId}.robado`), 'REFRESH_TOKEN_REUSED', 401);
+
+    assert.equal(findOne.mock.calls[0].arguments[0].rotatedTokenHashes, SessionService.hashToken('robado'));
+    const [filter, update] = updateOne.mock.calls[0].arguments;
+    assert.equal(filter._id, sessionId);
+    assert.equal(update.$set.revokedReason, SESSION_REVOKE_REASONS.TOKEN_REUSE);
+    assert.deepEqual(publish.mock.calls[0].arguments.slice(0, 2), [
+      REALTIME_EVENTS.SESSION_REVOKED,
+      [RealtimeService.sessionChannel(sessionId)]
+    ]);
+  });
+
+  it('un token desconocido o mal formado es inválido', async () => {
+    mock.method(Session, 'findOneAndUpdate', async () => null);
+    mock.method(Session, 'findOne', () => mockQuery(null));
+    const updateOne = mock.method(Session, 'updateOne', async () => ({}));
+
+    await rejectsWithCode(assert, SessionService.refreshSession(`${sessionId}.inventado`), 'INVALID_REFRESH_TOKEN', 401);
+    await rejectsWithCode(assert, SessionService.refreshSession('no-es-un-token'), 'INVALID_REFRESH_TOKEN', 401);
+    assert.equal(updateOne.mock.callCount(), 0);
+  });
+});
+
+describe('SessionService.revokeSession', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('solo revoca sesiones vigentes del propio usuario', async () => {
+    const findOneAndUpdate = mock.method(Session, 'findOneAndUpdate', async () => null);
+
+    await rejectsWithCode(assert, SessionService.revokeSession(ids.admin, sessionId), 'SESSION_NOT_FOUND', 404);
+
+    const [filter] = findOneAndUpdate.mock.calls[0].arguments;
+    assert.equal(filter.userId, ids.admin);
+    assert.equal(filter.revokedAt, null);
+  });
+
+  it('cierra los canales en tiempo real de la sesión revocada', async () => {
+    mock.method(Session, 'findOneAndUpdate', async () => storedSession('x', { revokedAt: new Date() }));
+    const publish = mock.method(RealtimeService, 'publish', async () => {});
+
+    await SessionService.revokeSession(ids.user, sessionId, SESSION_REVOKE_REASONS.LOGOUT);
+
+    const [type, channels, data] = publish.mock.calls[0].arguments;
+    assert.equal(type, REALTIME_EVENTS.SESSION_REVOKED);
+    assert.deepEqual(channels, [RealtimeService.sessionChannel(sessionId)]);
+    assert.deepEqual(data, { reason: SESSION_REVOKE_REASONS.LOGOUT });
+  });
+});
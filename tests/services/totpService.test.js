@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const TotpService = require('../../src/services/totpService');
+
+// Clave de los vectores de prueba de RFC 4226 y RFC 6238 (SHA1)
+const RFC_SECRET = Buffer.from('12345678901234567890', 'ascii');
+
+describe('TotpService.generateHotp', () => {
+  it('cumple los vectores de RFC 4226 (apéndice D)', () => {
+    const expected = [
+      '755224', '287082', '359152', '969429', '338314',
+      '254676', '287922', '162583', '399871', '520489'
+    ];
+
+    expected.forEach((code, counter) => {
+      assert.equal(TotpService.generateHotp(RFC_SECRET, counter), code);
+    });
+  });
+});
+
+describe('TotpService.generateCode', () => {
+  it('cumple los vectores SHA1 de RFC 6238 (apéndice B)', () => {
+    const vectors = [
+      [59, '94287082'],
+      [1111111109, '07081804'],
+      [1111111111, '14050471'],
+      [1234567890, '89005924'],
+      [2000000000, '69279037'],
+      [20000000000, '65353130']
+    ];
+
+    for (const [seconds, code] of vectors) {
+      assert.equal(TotpService.generateCode(RFC_SECRET, seconds * 1000, { digits: 8 }), code);
+    }
+  });
+
+  it('acepta el secreto en base32 como lo guarda la cuenta', () => {
+    const secret = TotpService.base32Encode(RFC_SECRET);
+
+    assert.equal(secret, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    assert.equal(TotpService.generateCode(secret, 59 * 1000, { digits: 8 }), '94287082');
+  });
+});
+
+describe('TotpService.verifyCode', () => {
+  const time = 1111111111 * 1000;
+  const step = TotpService.getTimeStep(time);
+  const codeAt = (offset) => TotpService.generateHotp(RFC_SECRET, step + offset);
+
+  it('devuelve el paso del código aceptado dentro de la ventana', () => {
+    assert.equal(TotpService.verifyCode(RFC_SECRET, codeAt(0), { time }), step);
+    assert.equal(TotpService.verifyCode(RFC_SECRET, codeAt(-1), { time }), step - 1);
+    assert.equal(TotpService.verifyCode(RFC_SECRET, codeAt(1), { time }), step + 1);
+  });
+
+  it('rechaza códigos fuera de la ventana o mal formados', () => {
+    assert.equal(TotpService.verifyCode(RFC_SECRET, codeAt(2), { time }), null);
+    assert.equal(TotpService.verifyCode(RFC_SECRET, codeAt(-2), { time }), null);
+    assert.equal(TotpService.verifyCode(RFC_SECRET, '12345', { time }), null);
+    assert.equal(TotpService.verifyCode(RFC_SECRET, 'abcdef', { time }), null);
+  });
+
+  it('ignora los espacios con que se suele escribir el código', () => {
+    const code = codeAt(0);
+
+    assert.equal(TotpService.verifyCode(RFC_SECRET, `${code.slice(0, 3)} ${code.slice(3)}`, { time }), step);
+  });
+});
+
+describe('TotpService.base32Decode', () => {
+  it('acepta minúsculas, guiones y relleno', () => {
+    assert.deepEqual(TotpService.base32Decode('gezd-gnbv gy3tqojq===='), RFC_SECRET.subarray(0, 10));
+  });
+
+  it('rechaza caracteres fuera del alfabeto', () => {
+    assert.throws(() => TotpService.base32Decode('GEZD1'), /base32/);
+  });
+});
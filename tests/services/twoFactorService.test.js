@@ -0,0 +1,123 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../../src/models/User');
+const TwoFactorService = require('../../src/services/twoFactorService');
+const TotpService = require('../../src/services/totpService');
+const SessionService = require('../../src/services/sessionService');
+const LoginSecurityService = require('../../src/services/loginSecurityService');
+const AuthService = require('../../src/services/authService');
+const MailService = require('../../src/services/mailService');
+const { AppError } = require('../../src/middlewares/errorHandler');
+const { mockQuery, rejectsWithCode } = require('../helpers');
+const { fixture, ids } = require('../fixtures');
+const { LOGIN_FAILURE_REASONS } = require('../../src/config/constants');
+
+const secret = TotpService.generateSecret();
+const sessionId = '64b000000000000000000070';
+
+// El paso se fija antes de generar el código para no depender del reloj
+const currentCode = () => {
+  const step = TotpService.getTimeStep();
+  return { step, code: TotpService.generateHotp(secret, step) };
+};
+
+describe('TwoFactorService.enable', () => {
+  afterEach(() => mock.restoreAll());
+
+  const setup = () => {
+    const user = fixture('user', {
+      twoFactor: { pendingSecret: TwoFactorService.encryptSecret(secret) }
+    });
+    mock.method(User, 'findById', () => mockQuery(user));
+    mock.method(MailService, 'sendTemplateSafely', async () => {});
+    return {
+      updateOne: mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 })),
+      markMfaVerified: mock.method(SessionService, 'markMfaVerified', async () => {})
+    };
+  };
+
+  it('con un código válido activa 2FA y verifica la sesión actual', async () => {
+    const mocks = setup();
+    const { step, code } = currentCode();
+
+    const result = await TwoFactorService.enable(ids.user, code, sessionId);
+
+    assert.equal(result.enabled, true);
+    assert.equal(result.recoveryCodes.length, 10);
+    const [, update] = mocks.updateOne.mock.calls[0].arguments;
+    assert.equal(update.$set['twoFactor.lastUsedStep'], step);
+    assert.deepEqual(mocks.markMfaVerified.mock.calls[0].arguments, [sessionId]);
+  });
+
+  it('con un código incorrecto no activa nada ni eleva la sesión', async () => {
+    const mocks = setup();
+
+    await rejectsWithCode(assert, TwoFactorService.enable(ids.user, '000000', sessionId), 'INVALID_TWO_FACTOR_CODE');
+
+    assert.equal(mocks.updateOne.mock.callCount(), 0);
+    assert.equal(mocks.markMfaVerified.mock.callCount(), 0);
+  });
+});
+
+describe('TwoFactorService.verifySecondFactor', () => {
+  afterEach(() => mock.restoreAll());
+
+  const user = fixture('user', { twoFactor: { secret: TwoFactorService.encryptSecret(secret) } });
+
+  it('acepta un código nuevo y guarda su paso para que no se reuse', async () => {
+    const updateOne = mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+    const { step, code } = currentCode();
+
+    assert.equal(await TwoFactorService.verifySecondFactor(user, { code }), 'totp');
+
+    const [filter, update] = updateOne.mock.calls[0].arguments;
+    assert.deepEqual(filter.$or[1], { 'twoFactor.lastUsedStep': { $lt: step } });
+    assert.deepEqual(update, { $set: { 'twoFactor.lastUsedStep': step } });
+  });
+
+  it('rechaza un código ya usado con el estado indicado', async () => {
+    mock.method(User, 'updateOne', async () => ({ modifiedCount: 0 }));
+
+    await rejectsWithCode(
+      assert,
+      TwoFactorService.verifySecondFactor(user, { code: currentCode().code }, 401),
+      'INVALID_TWO_FACTOR_CODE',
+      401
+    );
+  });
+});
+
+describe('AuthService.completeTwoFactorLogin', () => {
+  afterEach(() => mock.restoreAll());
+
+  const setup = (verify) => {
+    const user = fixture('user', { isTwoFactorEnabled: true });
+    mock.method(TwoFactorService, 'resolveLoginChallenge', async () => user);
+    mock.method(LoginSecurityService, 'assertCanAttempt', async () => {});
+    mock.method(TwoFactorService, 'verifySecondFactor', verify);
+    return {
+      openSession: mock.method(AuthService, 'openSession', async () => ({ sessionId })),
+      registerFailure: mock.method(LoginSecurityService, 'registerFailure', async () => {})
+    };
+  };
+
+  it('abre la sesión ya verificada en dos pasos', async () => {
+    const mocks = setup(async () => 'totp');
+
+    await AuthService.completeTwoFactorLogin('mfa-token', { code: '123456' });
+
+    const [, context] = mocks.openSession.mock.calls[0].arguments;
+    assert.equal(context.mfaVerified, true);
+  });
+
+  it('un código incorrecto cuenta como intento fallido y no abre sesión', async () => {
+    const mocks = setup(async () => {
+      throw new AppError('Código de verificación incorrecto o ya utilizado', 401, 'INVALID_TWO_FACTOR_CODE');
+    });
+
+    await rejectsWithCode(assert, AuthService.completeTwoFactorLogin('mfa-token', { code: '000000' }), 'INVALID_TWO_FACTOR_CODE');
+
+    assert.equal(mocks.registerFailure.mock.calls[0].arguments[1], LOGIN_FAILURE_REASONS.INVALID_TWO_FACTOR_CODE);
+    assert.equal(mocks.openSession.mock.callCount(), 0);
+  });
+});